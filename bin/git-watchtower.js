@@ -5,7 +5,7 @@
  *
  * Features:
  * - Full terminal UI with branch dashboard
- * - Shows active branches with 7-day activity sparklines
+ * - Shows active branches with activity sparklines (last 24h, 7 days or 30 days)
  * - Arrow key navigation to switch between branches
  * - Search/filter branches by name
  * - Branch preview pane showing recent commits and changed files
@@ -25,6 +25,7 @@
  *   git-watchtower --port 8080  # Override port
  *   git-watchtower --no-server  # Branch monitoring only
  *   git-watchtower --casino     # Enable casino mode
+ *   git-watchtower --headless   # No TUI; NDJSON events on stdout
  *   git-watchtower --init       # Run configuration wizard
  *   git-watchtower --version    # Show version
  *
@@ -43,7 +44,7 @@
  *   R       - Restart dev server (command mode)
  *   l       - View server logs (command mode)
  *   o       - Open live server in browser
- *   b       - Branch actions (open on GitHub, Claude session, create/approve/merge PR, CI)
+ *   b       - Branch actions (open on GitHub, Claude session, create/approve/merge/edit PR, CI)
  *   f       - Fetch all branches + refresh sparklines
  *   s       - Toggle sound notifications
  *   B       - Toggle idle poll backoff (ease off polling when quiet)
@@ -76,21 +77,37 @@ const { loadGitignorePatterns, shouldIgnoreFile } = require('../src/utils/gitign
 const telemetry = require('../src/telemetry');
 
 // Extracted modules
-const { formatTimeAgo } = require('../src/utils/time');
+const { formatTimeAgo, toDayKey, dayBounds } = require('../src/utils/time');
 const { openInBrowser: openUrl } = require('../src/utils/browser');
 const { playSound: playSoundEffect } = require('../src/utils/sound');
+const { sendDesktopNotification } = require('../src/utils/notify');
 const { parseArgs: parseCliArgs, applyCliArgsToConfig: mergeCliArgs, getHelpText, PACKAGE_VERSION } = require('../src/cli/args');
 const { checkForUpdate, startPeriodicUpdateCheck } = require('../src/utils/version-check');
 const { detectInstallSource, getUpdateCommand } = require('../src/utils/install-source');
-const { parseRemoteUrl, buildBranchUrl, detectPlatform, buildWebUrl, extractSessionUrl } = require('../src/git/remote');
-const { parseGitHubPr, parseGitLabMr, parseGitHubPrList, parseGitLabMrList, isBaseBranch } = require('../src/git/pr');
+const { parseRemoteUrl, buildBranchUrl, buildPrUrl, detectPlatform, buildWebUrl, extractSessionUrl } = require('../src/git/remote');
+const { createHostingClient } = require('../src/git/hosting');
+const { MERGE_METHODS, splitList, buildPrCommand, buildCreatePrCommand } = require('../src/git/pr-actions');
+const { getPrDraft, titleFromBranch } = require('../src/git/pr-draft');
+const { SORT_LABELS } = require('../src/ui/branch-list');
+const { parseBranchQuery } = require('../src/server/web-ui/pure');
+const { detectInstalls, describeInstall, createInstallPrompt } = require('../src/server/dependencies');
+const {
+  projectPathFromUrl, buildConversationCommand, buildUnresolvedCountsCommand,
+  parseGitHubConversation, parseGitLabDiscussions, parseUnresolvedCounts,
+} = require('../src/git/pr-conversation');
+const { parseGitHubPr, parseGitLabMr, parseGitHubPrList, parseGitLabMrList, parseGitLabJobs, tailCiLog, isBaseBranch } = require('../src/git/pr');
 
 // ============================================================================
 // Security & Validation (imported from src/git/branch.js and src/git/commands.js)
 // ============================================================================
-const { isValidBranchName, sanitizeBranchName, getGoneBranches, deleteGoneBranches, localBranchExists, getWorktreeBranchMap, getCurrentBranch: getCurrentBranchRaw, getAllBranches: getAllBranchesRaw } = require('../src/git/branch');
-const { pruneStaleEntries, calculateInactivityInterval } = require('../src/polling/engine');
-const { isGitAvailable: checkGitAvailable, execGit, execGitOptional, getDiffStats: getDiffStatsSafe, getAheadBehind, getDiffShortstat, hasUncommittedChanges: checkUncommittedChanges } = require('../src/git/commands');
+const { applyBranchRules, comparePinned, setBranchRule, isMuted: isBranchMuted, isIgnored: isBranchIgnored } = require('../src/git/branch-rules');
+const { DEFAULT_AGENT_RULES, classifyAgent, applyAgentRules } = require('../src/git/agents');
+const { bucketStarts, bucketCommits, compressCounts, createActivityCache, buildHeatmap } = require('../src/git/activity');
+const { isValidBranchName, sanitizeBranchName, getGoneBranches, deleteGoneBranches, localBranchExists, getWorktreeBranchMap, getCurrentBranch: getCurrentBranchRaw, getAllBranches: getAllBranchesRaw, COMMIT_LOG_FORMAT, parseCommitLog } = require('../src/git/branch');
+const { detectBranchChanges, pruneStaleEntries, calculateInactivityInterval } = require('../src/polling/engine');
+const { isGitAvailable: checkGitAvailable, execGit, execGitOptional, getDiffStats: getDiffStatsSafe, getAheadBehind, getDiffShortstat, getCommitAuthor, hasUncommittedChanges: checkUncommittedChanges } = require('../src/git/commands');
+const { getBranchDiff, limitDiffLines } = require('../src/git/diff');
+const { listWorktrees, openWorktree, removeWorktree, resolveWorktreeDir } = require('../src/git/worktree');
 
 // Session stats (always-on, non-casino stats)
 const sessionStats = require('../src/stats/session');
@@ -98,7 +115,7 @@ const sessionStats = require('../src/stats/session');
 // ============================================================================
 // Configuration (imports from src/config/, inline wizard kept here)
 // ============================================================================
-const { getDefaultConfig, migrateConfig } = require('../src/config/schema');
+const { getDefaultConfig, migrateConfig, getMonitoredRemotes } = require('../src/config/schema');
 const { getConfigPath, loadConfig: loadConfigFile, saveConfig: saveConfigFile, CONFIG_FILE_NAME } = require('../src/config/loader');
 
 // Centralized state store
@@ -111,6 +128,12 @@ const { Coordinator, Worker, generateProjectId, getActiveCoordinator, tryAcquire
 const monitorLock = require('../src/utils/monitor-lock');
 const { createPipeErrorHandler } = require('../src/utils/pipe-error');
 const { getRecursiveWatchSupport } = require('../src/utils/fs-watch');
+const { EVENT_TYPES, createEventStream } = require('../src/events/stream');
+const { createHookRunner, describeHook } = require('../src/events/hooks');
+const { createDesktopNotifier } = require('../src/events/notifications');
+const { createJournal } = require('../src/state/journal');
+const { loadLastSeen, saveLastSeen } = require('../src/state/last-seen');
+const { buildDigest } = require('../src/git/digest');
 
 const PROJECT_ROOT = process.cwd();
 
@@ -360,7 +383,11 @@ async function ensureConfig(cliArgs) {
   // If no config exists, run the wizard or use defaults
   if (!config) {
     // Check if running non-interactively (no TTY)
-    if (!process.stdin.isTTY) {
+    if (cliArgs.headless) {
+      // stdout carries the event stream — keep it pure NDJSON
+      console.error('No configuration file found. Using defaults.');
+      config = getDefaultConfig();
+    } else if (!process.stdin.isTTY) {
       console.log('No configuration file found. Using defaults.');
       console.log('Run interactively or create .watchtowerrc.json manually.\n');
       config = getDefaultConfig();
@@ -392,16 +419,39 @@ if (cliArgs.errors.length > 0) {
   process.exit(1);
 }
 
+// Headless mode: no TUI, stdout carries one JSON event per line instead
+const HEADLESS = cliArgs.headless;
+
 // Configuration - these will be set after config is loaded
 let SERVER_MODE = 'static';      // 'static' | 'command' | 'none'
 let NO_SERVER = false;            // Derived from SERVER_MODE === 'none'
 let SERVER_COMMAND = '';          // Command for command mode
-let RESTART_ON_SWITCH = true;     // Restart server on branch switch
+/** @type {import('../src/config/schema').ServerCommandConfig[]} */
+let SERVER_COMMANDS = [];         // Processes for command mode (server.commands, or server.command as "server")
+/** @type {import('../src/config/schema').ServerOverrideConfig[]} */
+let SERVER_OVERRIDES = [];        // server.branchOverrides
 let PORT = 3000;
 let GIT_POLL_INTERVAL = 5000;
 let STATIC_DIR = path.join(PROJECT_ROOT, 'public');
+let STATIC_SUBDIR = 'public';     // server.staticDir, relative to SERVER_ROOT
+let SERVER_ROOT = PROJECT_ROOT;   // Working tree the dev server runs from (see serveFromWorktree)
+let WORKTREE_DIR = resolveWorktreeDir('', PROJECT_ROOT); // Where "open in worktree" creates worktrees
 let REMOTE_NAME = 'origin';
+let HOSTING_HOSTS = {};           // hosting.hosts: hostname -> platform overrides
+let PR_MERGE_METHOD = 'squash';   // pr.mergeMethod ('ask' prompts each time)
+let PR_DELETE_BRANCH = true;      // pr.deleteBranch
+// Every remote whose branches are listed, primary (REMOTE_NAME) first.
+let MONITORED_REMOTES = ['origin'];
 let AUTO_PULL = true;
+/** @type {import('../src/config/schema').AutoInstallConfig} */
+let AUTO_INSTALL = getDefaultConfig().autoInstall;
+let hookRunner = null;            // Set in applyConfig when hooks are configured
+let desktopNotifier = null;       // Set in applyConfig when desktopNotifications.enabled
+let notifierUnavailableLogged = false;
+let activityJournal = null;       // Set in applyConfig unless journal.enabled is false
+let BRANCH_RULES = { pin: [], mute: [], ignore: [] }; // Pin/mute/ignore globs
+let AGENT_RULES = DEFAULT_AGENT_RULES; // agents: which coding agent a branch/commit comes from
+let ACTIVITY_WINDOW = '7d';       // activity.window: span of the sparklines
 // Inactivity backoff ("poll backdown") settings, populated from config in
 // applyConfig(). When enabled, the poll interval eases off the longer the repo
 // stays quiet (up to maxIntervalMs) and snaps back to GIT_POLL_INTERVAL the
@@ -415,6 +465,7 @@ let INACTIVITY_BACKOFF = {
 };
 const MAX_LOG_ENTRIES = 10;
 const MAX_SERVER_LOG_LINES = 500;
+const MAX_PREVIEW_FILES = 200;    // Files listed (and selectable) in the preview pane
 
 // Timing constants (ms)
 /** Grace period before SIGKILLing a process after SIGTERM. */
@@ -433,7 +484,7 @@ let branchSwitchCount = 0;
 let sessionStartTime = null;
 
 // Server process management (for command mode)
-let serverProcess = null;
+let serverProcessManager = null;  // Set in applyConfig when there's something to run
 
 // Web dashboard
 let WEB_ENABLED = false;
@@ -453,13 +504,36 @@ function applyConfig(config) {
   SERVER_MODE = config.server?.mode || 'none';
   NO_SERVER = SERVER_MODE === 'none';
   SERVER_COMMAND = config.server?.command || '';
-  RESTART_ON_SWITCH = config.server?.restartOnSwitch !== false;
-  PORT = config.server?.port || parseInt(process.env.PORT, 10) || 3000;
-  STATIC_DIR = path.join(PROJECT_ROOT, config.server?.staticDir || 'public');
+  SERVER_COMMANDS = config.server?.commands?.length ? config.server.commands
+    : SERVER_COMMAND ? [{
+      name: 'server',
+      command: SERVER_COMMAND,
+      port: null,
+      env: {},
+      restartOnSwitch: config.server?.restartOnSwitch !== false,
+      healthCheck: config.server?.healthCheck || null,
+      autoRestart: config.server?.autoRestart || getDefaultConfig().server.autoRestart,
+    }] : [];
+  SERVER_OVERRIDES = config.server?.branchOverrides || [];
+  // With several processes, the first one with a port is what "open in
+  // browser" and the header point at
+  PORT = SERVER_COMMANDS.find((c) => c.port)?.port
+    || config.server?.port || parseInt(process.env.PORT, 10) || 3000;
+  STATIC_SUBDIR = config.server?.staticDir || 'public';
+  STATIC_DIR = path.join(SERVER_ROOT, STATIC_SUBDIR);
+  WORKTREE_DIR = resolveWorktreeDir(config.worktrees?.dir || '', PROJECT_ROOT);
 
   // Git settings
   REMOTE_NAME = config.remoteName || 'origin';
+  HOSTING_HOSTS = config.hosting?.hosts || {};
+  PR_MERGE_METHOD = config.pr?.mergeMethod || 'squash';
+  PR_DELETE_BRANCH = config.pr?.deleteBranch !== false;
+  MONITORED_REMOTES = getMonitoredRemotes(config);
   AUTO_PULL = config.autoPull !== false;
+  AUTO_INSTALL = config.autoInstall || AUTO_INSTALL;
+  BRANCH_RULES = config.branchRules || BRANCH_RULES;
+  AGENT_RULES = config.agents || AGENT_RULES;
+  ACTIVITY_WINDOW = config.activity?.window || ACTIVITY_WINDOW;
   GIT_POLL_INTERVAL = config.gitPollInterval || parseInt(process.env.GIT_POLL_INTERVAL, 10) || 5000;
 
   // Inactivity backoff — merge config over the built-in defaults so a partial
@@ -472,16 +546,19 @@ function applyConfig(config) {
   pollBackedOff = false;
 
   // UI settings via store
-  const casinoEnabled = config.casinoMode === true;
+  // Sounds and casino effects both ring the terminal bell on stdout, which
+  // would corrupt the headless event stream.
+  const casinoEnabled = config.casinoMode === true && !HEADLESS;
   store.setState({
     visibleBranchCount: config.visibleBranches || 7,
-    soundEnabled: config.soundEnabled !== false,
+    soundEnabled: config.soundEnabled !== false && !HEADLESS,
     casinoModeEnabled: casinoEnabled,
     serverMode: SERVER_MODE,
     noServer: NO_SERVER,
     port: PORT,
     maxLogEntries: MAX_LOG_ENTRIES,
     projectName: path.basename(PROJECT_ROOT),
+    monitoredRemotes: MONITORED_REMOTES,
     adaptivePollInterval: GIT_POLL_INTERVAL,
     // Store holds the runtime-authoritative enable flag (toggled from the UI);
     // INACTIVITY_BACKOFF keeps the timing knobs.
@@ -493,6 +570,64 @@ function applyConfig(config) {
     casino.enable();
   }
 
+  // Branch-event hooks
+  const hooks = config.hooks || [];
+  hookRunner = hooks.length > 0
+    ? createHookRunner({
+      hooks,
+      cwd: PROJECT_ROOT,
+      onError: (hook, event, err) => {
+        addLog(`Hook "${describeHook(hook)}" failed on ${event.type}: ${err.message}`, 'warning');
+        render();
+      },
+    })
+    : null;
+
+  // Native desktop notifications
+  const notifications = config.desktopNotifications;
+  desktopNotifier = notifications && notifications.enabled
+    ? createDesktopNotifier({
+      config: notifications,
+      getAuthor: (commit) => getCommitAuthor(commit, { cwd: PROJECT_ROOT }),
+      isMuted: (name) => isBranchMuted(name, BRANCH_RULES),
+      send: (notification) => sendDesktopNotification(notification, {
+        cwd: PROJECT_ROOT,
+        onUnavailable: () => {
+          // Say it once, not on every event
+          if (notifierUnavailableLogged) return;
+          notifierUnavailableLogged = true;
+          const hint = process.platform === 'linux' ? ' (install notify-send / libnotify)' : '';
+          addLog(`Desktop notifications unavailable on this system${hint}`, 'warning');
+          render();
+        },
+      }),
+    })
+    : null;
+
+  // Persistent activity history (log entries + branch switches)
+  activityJournal = config.journal?.enabled !== false
+    ? createJournal({
+      repoRoot: PROJECT_ROOT,
+      onError: (err) => {
+        // The journal disables itself after this; the session log still works
+        addLog(`Activity history not saved: ${err.message}`, 'warning');
+      },
+    })
+    : null;
+
+  // Dev server processes (command mode)
+  serverProcessManager = SERVER_MODE === 'command' && SERVER_COMMANDS.length > 0
+    ? createProcessManager({
+      specs: SERVER_COMMANDS,
+      getCwd: () => SERVER_ROOT,
+      resolveSpec: (spec) => resolveServerSpec(spec, SERVER_OVERRIDES, serverBranch()),
+      killGraceMs: FORCE_KILL_GRACE_MS,
+      onOutput: (name, line, isError) => addServerLog(line, isError, name),
+      onEvent: handleServerProcessEvent,
+    })
+    : null;
+  syncServerState();
+
   // Web dashboard
   if (config.web) {
     WEB_ENABLED = config.web.enabled === true;
@@ -501,18 +636,34 @@ function applyConfig(config) {
 }
 
 // Server log management
-function addServerLog(line, isError = false) {
-  const entry = { timestamp: new Date().toLocaleTimeString(), line, isError };
-  const prev = store.get('serverLogBuffer');
-  // Drop the oldest entries to stay within MAX_SERVER_LOG_LINES after push
-  const startIdx = Math.max(0, prev.length + 1 - MAX_SERVER_LOG_LINES);
-  const serverLogBuffer = prev.slice(startIdx);
+
+/**
+ * @param {string} line
+ * @param {boolean} [isError]
+ * @param {string|null} [processName] - Command-mode process the line came
+ *   from; null for the static server and watchtower's own messages
+ */
+function addServerLog(line, isError = false, processName = null) {
+  const entry = { timestamp: new Date().toLocaleTimeString(), line, isError, process: processName };
+  const serverLogBuffer = store.get('serverLogBuffer').slice();
+  // Each process keeps its last MAX_SERVER_LOG_LINES, so a chatty one can't
+  // push the others' output out
+  const own = serverLogBuffer.filter((e) => e.process === processName);
+  if (own.length >= MAX_SERVER_LOG_LINES) {
+    serverLogBuffer.splice(serverLogBuffer.indexOf(own[0]), 1);
+  }
   serverLogBuffer.push(entry);
   store.setState({ serverLogBuffer });
 }
 
-function clearServerLog() {
-  store.setState({ serverLogBuffer: [] });
+/**
+ * @param {string} [processName] - Clear only this process's lines
+ */
+function clearServerLog(processName) {
+  store.setState({
+    serverLogBuffer: processName === undefined ? []
+      : store.get('serverLogBuffer').filter((e) => e.process !== processName),
+  });
 }
 
 // openInBrowser imported from src/utils/browser.js
@@ -540,7 +691,7 @@ async function getRemoteWebUrl(branchName) {
   try {
     const { stdout } = await execGit(['remote', 'get-url', REMOTE_NAME], { cwd: PROJECT_ROOT });
     const parsed = parseRemoteUrl(stdout);
-    return buildWebUrl(parsed, branchName);
+    return buildWebUrl(parsed, branchName, parsed ? detectPlatform(`https://${parsed.host}`, HOSTING_HOSTS) : null);
   } catch (e) {
     // No remote configured, or URL isn't parseable as github/gitlab —
     // action modal hides the "view on web" link, nothing else breaks.
@@ -579,13 +730,20 @@ async function hasCommand(cmd) {
 
 // detectPlatform imported from src/git/remote.js
 
-// Get PR info for a branch using gh or glab CLI (parsing delegated to src/git/pr.js)
+// Get PR info for a branch using gh or glab CLI, or the REST API on Gitea and
+// Bitbucket (parsing delegated to src/git/pr.js)
 async function getPrInfo(branchName, platform, hasGh, hasGlab) {
+  if (hostingClient && hostingClient.platform === platform) {
+    try {
+      return await hostingClient.getPrInfo(branchName);
+    } catch (e) { /* API unreachable, or the token can't see the repo */ }
+    return null;
+  }
   if (platform === 'github' && hasGh) {
     try {
       const { stdout } = await execCli('gh', [
         'pr', 'list', '--head', branchName, '--state', 'all',
-        '--json', 'number,title,state,reviewDecision,statusCheckRollup', '--limit', '1',
+        '--json', 'number,title,state,isDraft,reviewDecision,statusCheckRollup', '--limit', '1',
       ]);
       return parseGitHubPr(JSON.parse(stdout));
     } catch (e) { /* gh not authed or other error */ }
@@ -595,12 +753,75 @@ async function getPrInfo(branchName, platform, hasGh, hasGlab) {
       const { stdout } = await execCli('glab', [
         'mr', 'list', `--source-branch=${branchName}`, '--state', 'all', '--output', 'json',
       ]);
-      return parseGitLabMr(JSON.parse(stdout));
+      const mrs = JSON.parse(stdout);
+      if (!Array.isArray(mrs) || mrs.length === 0) return null;
+      // The MR list has no pipeline or approval state; fetch both so GitLab
+      // MRs carry the same badges and checks as GitHub PRs
+      const iid = Number(mrs[0].iid);
+      if (!Number.isInteger(iid)) return parseGitLabMr(mrs);
+      const [mr, approvals] = await Promise.all([
+        glabApi(`projects/:id/merge_requests/${iid}`),
+        glabApi(`projects/:id/merge_requests/${iid}/approvals`),
+      ]);
+      const headPipeline = mr && mr.head_pipeline && Number.isInteger(mr.head_pipeline.id) ? mr.head_pipeline : null;
+      const jobs = headPipeline ? await glabApi(`projects/:id/pipelines/${headPipeline.id}/jobs?per_page=100`) : null;
+      const pipeline = headPipeline ? { ...headPipeline, jobs: Array.isArray(jobs) ? jobs : [] } : null;
+      return parseGitLabMr(mrs, { pipeline, approvals });
     } catch (e) { /* glab not authed or other error */ }
   }
   return null;
 }
 
+// GET a GitLab API path through glab (`:id` expands to the current project).
+// Resolves null on any failure so optional details don't sink the whole lookup.
+async function glabApi(apiPath) {
+  try {
+    const { stdout } = await execCli('glab', ['api', apiPath]);
+    return JSON.parse(stdout);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Individual CI checks for a branch. They come with the PR/MR (GitHub's
+// statusCheckRollup, GitLab's head pipeline, Gitea/Bitbucket commit statuses);
+// GitLab pipelines also run without an MR, so glab is asked for the branch's
+// latest one as a fallback.
+async function getCiChecks(branchName, platform, prInfo, hasGlab) {
+  if (prInfo && prInfo.checks && prInfo.checks.length > 0) return prInfo.checks;
+  if (platform === 'github') return [];
+  if (platform === 'gitlab' && hasGlab) {
+    try {
+      const { stdout } = await execCli('glab', ['ci', 'get', '--branch', branchName, '--output-format', 'json']);
+      return parseGitLabJobs(JSON.parse(stdout));
+    } catch (e) { /* no pipeline for this branch, or glab error */ }
+  }
+  return [];
+}
+
+// CI job logs can be large; fetching one gets more time and buffer than other CLI calls
+const CI_LOG_TIMEOUT = 60000;
+const CI_LOG_MAX_BUFFER = 32 * 1024 * 1024;
+
+// Tail of a failed CI job's log, by the job id from getCiChecks()
+async function fetchCiLog(jobId, platform) {
+  if (!/^\d+$/.test(String(jobId))) throw new Error('Invalid job id');
+  const env = cachedEnv || {};
+  const [cmd, args] = platform === 'gitlab'
+    ? ['glab', ['ci', 'trace', String(jobId)]]
+    : ['gh', ['run', 'view', '--job', String(jobId), '--log-failed']];
+  if ((cmd === 'gh' && !(env.hasGh && env.ghAuthed)) || (cmd === 'glab' && !(env.hasGlab && env.glabAuthed))) {
+    throw new Error(`Requires an authenticated ${cmd} CLI`);
+  }
+  try {
+    const { stdout } = await execCli(cmd, args, { timeout: CI_LOG_TIMEOUT, maxBuffer: CI_LOG_MAX_BUFFER });
+    return tailCiLog(stdout);
+  } catch (e) {
+    const msg = (e && e.stderr) || (e && e.error && e.error.message) || (e && e.message) || String(e);
+    throw new Error(msg.trim().split('\n')[0]);
+  }
+}
+
 // Check if gh/glab CLI is authenticated
 async function checkCliAuth(cmd) {
   try {
@@ -628,13 +849,22 @@ async function fetchAllPrStatuses() {
   if (!cachedEnv) return null;
   const { platform, hasGh, ghAuthed, hasGlab, glabAuthed } = cachedEnv;
 
+  if (hostingClient && hostingClient.platform === platform) {
+    try {
+      return await hostingClient.listPrs();
+    } catch (e) { /* API error */ }
+    return null;
+  }
+
   if (platform === 'github' && hasGh && ghAuthed) {
     try {
       const { stdout } = await execCli('gh', [
         'pr', 'list', '--state', 'all',
         '--json', 'headRefName,number,title,state', '--limit', PR_LIST_LIMIT,
       ]);
-      return parseGitHubPrList(JSON.parse(stdout));
+      const statusMap = parseGitHubPrList(JSON.parse(stdout));
+      await addOpenPrCiStates(statusMap);
+      return await addUnresolvedCounts(statusMap, 'github');
     } catch (e) { /* gh error */ }
   }
 
@@ -644,13 +874,61 @@ async function fetchAllPrStatuses() {
         'mr', 'list', '--state', 'all', '--output', 'json',
         '--per-page', PR_LIST_LIMIT,
       ]);
-      return parseGitLabMrList(JSON.parse(stdout));
+      return await addUnresolvedCounts(parseGitLabMrList(JSON.parse(stdout)), 'gitlab');
     } catch (e) { /* glab error */ }
   }
 
   return null;
 }
 
+// Open PRs whose CI state `gh pr list` reports for the `ci:` search
+const PR_CI_LIST_LIMIT = '100';
+// How long a CI rollup answer is reused. While the terminal search filters
+// by ci: it is refetched on every PR poll instead.
+const PR_CI_REFRESH_MS = 5 * 60 * 1000;
+let openPrCiStates = new Map(); // branch → {number, ci} from the last rollup query
+let openPrCiFetchedAt = 0;
+
+// Attach the CI state of the most recent open PRs. Check rollups are a
+// heavy GraphQL field, so they get a query of their own instead of riding
+// on the full state list above, and it runs on a slower clock than the PR
+// poll. When it fails the last answer stays in use.
+async function addOpenPrCiStates(statusMap) {
+  const searchUsesCi = parseBranchQuery(store.get('searchQuery')).filters.some((f) => f.key === 'ci');
+  if (searchUsesCi || Date.now() - openPrCiFetchedAt >= PR_CI_REFRESH_MS) {
+    openPrCiFetchedAt = Date.now();
+    try {
+      const { stdout } = await execCli('gh', [
+        'pr', 'list', '--state', 'open',
+        '--json', 'headRefName,number,statusCheckRollup', '--limit', PR_CI_LIST_LIMIT,
+      ]);
+      openPrCiStates = parseGitHubPrList(JSON.parse(stdout));
+    } catch (e) { /* CI states are optional */ }
+  }
+  for (const [branch, open] of openPrCiStates) {
+    const entry = statusMap.get(branch);
+    if (entry && entry.number === open.number && 'ci' in open) entry.ci = open.ci;
+  }
+}
+
+// Attach unresolved review-thread counts to open PRs (web row badges).
+// Only the web dashboard shows them, so without one the query is skipped.
+// Best-effort: a failed query leaves the statuses without counts.
+async function addUnresolvedCounts(statusMap, platform) {
+  if (!webDashboard) return statusMap;
+  const command = buildUnresolvedCountsCommand(platform, projectPathFromUrl(cachedEnv && cachedEnv.webUrlBase));
+  if (!command) return statusMap;
+  try {
+    const { stdout } = await execCli(command[0], command[1]);
+    const counts = parseUnresolvedCounts(platform, JSON.parse(stdout));
+    for (const [branch, count] of counts) {
+      const entry = statusMap.get(branch);
+      if (entry && entry.state === 'OPEN') entry.unresolved = count;
+    }
+  } catch (e) { /* counts are optional */ }
+  return statusMap;
+}
+
 // One-time environment detection (called at startup)
 async function initActionCache() {
   const [hasGh, hasGlab, webUrlBase] = await Promise.all([
@@ -664,32 +942,36 @@ async function initActionCache() {
   if (hasGh) ghAuthed = await checkCliAuth('gh');
   if (hasGlab) glabAuthed = await checkCliAuth('glab');
 
-  const platform = detectPlatform(webUrlBase);
+  const platform = detectPlatform(webUrlBase, HOSTING_HOSTS);
+  hostingClient = createHostingClient({ platform, webUrlBase });
 
-  cachedEnv = { hasGh, hasGlab, ghAuthed, glabAuthed, webUrlBase, platform };
+  cachedEnv = { hasGh, hasGlab, ghAuthed, glabAuthed, webUrlBase, platform, apiReady: !!hostingClient };
+  store.setState({ repoPlatform: platform });
 }
 
 // Phase 1: Instant local data for the modal (no network calls)
 function gatherLocalActionData(branch) {
-  const isClaudeBranch = /^claude\//.test(branch.name);
-  const env = cachedEnv || { hasGh: false, hasGlab: false, ghAuthed: false, glabAuthed: false, webUrlBase: null, platform: 'github' };
+  const isClaudeBranch = /^claude\//.test(branch.name) || branch.agent === 'claude';
+  const env = cachedEnv || { hasGh: false, hasGlab: false, ghAuthed: false, glabAuthed: false, webUrlBase: null, platform: 'github', apiReady: false };
 
   // Build branch-specific web URL from cached base
   let webUrl = null;
   if (env.webUrlBase) {
     try {
       const host = new URL(env.webUrlBase).hostname;
-      webUrl = buildBranchUrl(env.webUrlBase, host, branch.name);
+      webUrl = buildBranchUrl(env.webUrlBase, host, branch.name, env.platform);
     } catch (e) { /* invalid URL, will be resolved in async phase */ }
   }
 
   // Check PR cache (instant if we've seen this branch+commit before)
   const cached = prInfoCache.get(branch.name);
   const prInfo = (cached && cached.commit === branch.commit) ? cached.prInfo : null;
+  const checks = (cached && cached.commit === branch.commit) ? cached.checks : [];
   const prLoaded = !!(cached && cached.commit === branch.commit);
 
   return {
-    branch, sessionUrl: null, prInfo, webUrl, isClaudeBranch,
+    branch, sessionUrl: null, prInfo, checks, webUrl, isClaudeBranch,
+    mergeMethod: PR_MERGE_METHOD,
     ...env,
     prLoaded, // false means PR info still needs to be fetched
   };
@@ -710,7 +992,7 @@ async function loadAsyncActionData(branch, currentData) {
   if (!webUrl && env.webUrlBase) {
     try {
       const host = new URL(env.webUrlBase).hostname;
-      webUrl = buildBranchUrl(env.webUrlBase, host, branch.name);
+      webUrl = buildBranchUrl(env.webUrlBase, host, branch.name, env.platform);
     } catch (e) { /* invalid webUrlBase — leave webUrl null, modal hides the link */ }
   }
 
@@ -719,173 +1001,603 @@ async function loadAsyncActionData(branch, currentData) {
 
   // Fetch PR info if not cached
   let prInfo = currentData.prInfo;
+  let checks = currentData.checks;
   let prLoaded = currentData.prLoaded;
   if (!prLoaded) {
     const canQueryPr = (env.platform === 'github' && env.hasGh && env.ghAuthed) ||
-                       (env.platform === 'gitlab' && env.hasGlab && env.glabAuthed);
+                       (env.platform === 'gitlab' && env.hasGlab && env.glabAuthed) ||
+                       env.apiReady;
     prInfo = canQueryPr ? await getPrInfo(branch.name, env.platform, env.hasGh && env.ghAuthed, env.hasGlab && env.glabAuthed) : null;
+    checks = canQueryPr ? await getCiChecks(branch.name, env.platform, prInfo, env.hasGlab && env.glabAuthed) : [];
     // Cache the result, keyed by branch commit
-    prInfoCache.set(branch.name, { commit: branch.commit, prInfo });
+    prInfoCache.set(branch.name, { commit: branch.commit, prInfo, checks });
     prLoaded = true;
   }
 
-  return { ...currentData, ...env, webUrl, sessionUrl, prInfo, prLoaded };
+  return { ...currentData, ...env, webUrl, sessionUrl, prInfo, checks, prLoaded };
 }
 
-// Command mode server management
-function startServerProcess() {
-  if (SERVER_MODE !== 'command' || !SERVER_COMMAND) return;
-  if (serverProcess) {
-    stopServerProcess();
+// Drop the cached PR/CI info for a branch and reload the open action modal.
+// Resolves with the fresh data, or null if the modal moved on meanwhile.
+async function reloadActionData(branch) {
+  prInfoCache.delete(branch.name);
+  const refreshedData = gatherLocalActionData(branch);
+  store.setState({ actionData: refreshedData, actionLoading: true });
+  render();
+  const stillOpen = () => store.get('actionMode') && store.get('actionData') && store.get('actionData').branch.name === branch.name;
+  try {
+    const fullData = await loadAsyncActionData(branch, refreshedData);
+    if (!stillOpen()) return null;
+    store.setState({ actionData: fullData, actionLoading: false });
+    render();
+    return fullData;
+  } catch (e) {
+    if (stillOpen()) {
+      store.setState({ actionLoading: false });
+      render();
+    }
+    throw e;
   }
+}
 
-  clearServerLog();
-  store.setState({ serverCrashed: false, serverRunning: false });
+// Log lines for PR actions run from the action modal (ref is e.g. "PR #12")
+const PR_ACTION_LOG = {
+  merge: { start: (ref) => `Merging ${ref}...`, done: (ref) => `${ref} merged`, failed: 'merge' },
+  'auto-merge': {
+    start: (ref) => `Enabling auto-merge for ${ref}...`,
+    done: (ref) => `${ref} will merge once its requirements are met`,
+    failed: 'enable auto-merge',
+  },
+  approve: { start: (ref) => `Approving ${ref}...`, done: (ref) => `${ref} approved`, failed: 'approve' },
+  ready: { start: (ref) => `Marking ${ref} ready for review...`, done: (ref) => `${ref} is ready for review`, failed: 'mark ready' },
+  draft: { start: (ref) => `Converting ${ref} to draft...`, done: (ref) => `${ref} is now a draft`, failed: 'convert to draft' },
+  'request-review': { start: (ref) => `Requesting review on ${ref}...`, done: (ref) => `Review requested on ${ref}`, failed: 'request review' },
+  'add-label': { start: (ref) => `Labeling ${ref}...`, done: (ref) => `${ref} labeled`, failed: 'add label' },
+  close: { start: (ref) => `Closing ${ref}...`, done: (ref) => `${ref} closed`, failed: 'close' },
+};
 
-  addLog(`Starting: ${SERVER_COMMAND}`, 'update');
-  addServerLog(`$ ${SERVER_COMMAND}`);
+// Run a PR action through gh/glab. Merging and closing end the PR, so those
+// close the modal and refresh the bulk PR statuses; everything else reloads
+// the modal in place so it shows the new state.
+async function runPrAction(branch, prInfo, platform, action, options = {}) {
+  const log = PR_ACTION_LOG[action];
+  const ref = `${platform === 'gitlab' ? 'MR' : 'PR'} #${prInfo.number}`;
+  let cmd;
+  let args;
+  try {
+    [cmd, args] = buildPrCommand(platform, action, prInfo.number, options);
+  } catch (e) {
+    addLog(`Failed to ${log.failed}: ${e.message}`, 'error');
+    render();
+    return;
+  }
+  telemetry.capture('pr_action', { action });
+  addLog(log.start(ref), 'update');
+  render();
+  try {
+    await execCli(cmd, args);
+  } catch (e) {
+    const msg = (e && e.stderr) || (e && e.message) || String(e);
+    addLog(`Failed to ${log.failed}: ${msg.split('\n')[0]}`, 'error');
+    render();
+    return;
+  }
+  addLog(log.done(ref), 'success');
+  if (action === 'merge' || action === 'close') {
+    applyUpdates(actions.closeActionModal(getActionState()));
+    prInfoCache.delete(branch.name);
+    // Force-refresh bulk PR statuses so inline indicators update immediately
+    lastPrStatusFetch = 0;
+    await pollGitChanges();
+  } else {
+    // The action succeeded; a failed refresh just leaves the old details up
+    reloadActionData(branch).catch(() => {});
+  }
+  render();
+}
+
+// Keys while a prompt is open in the action modal: Enter runs the action,
+// Esc backs out to the modal, anything else edits the prompt.
+async function handleActionPromptKey(key) {
+  const state = getActionState();
+  const prompt = state.actionPrompt;
+  if (key === '\u001b') {
+    applyUpdates(actions.closeActionPrompt(state));
+    render();
+    return;
+  }
+  if (key === '\r' || key === '\n') {
+    applyUpdates(actions.closeActionPrompt(state));
+    const data = state.actionData;
+    if (!data || !data.prInfo) {
+      render();
+      return;
+    }
+    let options;
+    if (prompt.kind === 'merge' || prompt.kind === 'auto-merge') {
+      options = { method: MERGE_METHODS[prompt.selectedIndex], deleteBranch: PR_DELETE_BRANCH };
+    } else {
+      const items = splitList(prompt.input);
+      if (items.length === 0) {
+        render();
+        return;
+      }
+      options = prompt.kind === 'request-review' ? { reviewers: items } : { labels: items };
+    }
+    await runPrAction(data.branch, data.prInfo, data.platform, prompt.kind, options);
+    return;
+  }
+  if (applyUpdates(actions.editActionPrompt(state, key))) render();
+}
 
-  // Parse command and args (handles quoted arguments like `npm run "my script"`)
-  const { command: cmd, args } = parseCommand(SERVER_COMMAND);
+/**
+ * Title, body and base for a new PR from the branch's commits, served by
+ * GET /api/pr-draft and pre-filled into the TUI form.
+ * @param {string} branchName
+ * @returns {Promise<{title: string, body: string, base: string}>}
+ */
+async function getBranchPrDraft(branchName) {
+  if (!detectedDefaultBranch) throw new Error('No default branch detected');
+  return getPrDraft(branchName, detectedDefaultBranch, { remote: REMOTE_NAME, cwd: PROJECT_ROOT });
+}
 
-  // Use shell on Windows, direct spawn elsewhere
-  const isWindows = process.platform === 'win32';
-  const spawnOptions = {
-    cwd: PROJECT_ROOT,
-    env: { ...process.env, FORCE_COLOR: '1' },
-    shell: isWindows,
-    stdio: ['ignore', 'pipe', 'pipe'],
-    // On Unix, create a new process group so we can kill the entire tree
-    // (e.g. npm -> node -> next). On Windows, taskkill /t handles this.
-    detached: !isWindows,
-  };
+/**
+ * Open a PR through gh/glab, for the TUI form and the web dashboard alike.
+ * @param {string} branchName - Head branch
+ * @param {{title: string, body: string, base: string, draft: boolean, reviewers: string}} fields -
+ *   As entered; reviewers are comma-separated
+ * @returns {Promise<string>} What the CLI printed last — the new PR's URL
+ * @throws {Error} When the CLI isn't ready, the fields are invalid, or creation fails
+ */
+async function createPullRequest(branchName, fields) {
+  if (!cachedEnv) await initActionCache();
+  const env = cachedEnv || {};
+  const { platform } = env;
+  if (platform === 'github' && !(env.hasGh && env.ghAuthed)) throw new Error('Requires an authenticated gh CLI');
+  if (platform === 'gitlab' && !(env.hasGlab && env.glabAuthed)) throw new Error('Requires an authenticated glab CLI');
+  const [cmd, args] = buildCreatePrCommand(platform, {
+    head: branchName,
+    base: fields.base.trim(),
+    title: fields.title,
+    body: fields.body,
+    draft: fields.draft,
+    reviewers: splitList(fields.reviewers),
+  });
+  telemetry.capture('pr_action', { action: 'create' });
+  let result;
+  try {
+    result = await execCli(cmd, args);
+  } catch (e) {
+    const msg = (e && e.stderr) || (e && e.message) || String(e);
+    throw new Error(msg.trim().split('\n')[0]);
+  }
+  prInfoCache.delete(branchName);
+  // Show the new PR in the branch list on the next poll
+  lastPrStatusFetch = 0;
+  return (result.stdout || '').trim().split('\n').pop();
+}
 
+// Enter on the form's submit button. A failure keeps the form open with
+// the error so it can be corrected and resubmitted.
+async function submitCreatePrForm() {
+  const form = store.get('prForm');
+  if (!form || !applyUpdates(actions.submitPrForm(getActionState()))) return;
+  const prLabel = (cachedEnv || {}).platform === 'gitlab' ? 'MR' : 'PR';
+  addLog(`Creating ${prLabel} for ${form.branch}...`, 'update');
+  render();
   try {
-    const proc = spawn(cmd, args, spawnOptions);
-    serverProcess = proc;
-    store.setState({ serverRunning: true });
-
-    // Capture `proc` in each listener so a late event from an old process
-    // (e.g. proc1's SIGTERM-induced 'close' arriving after restart already
-    // spawned proc2) cannot clobber proc2's globals. Without this guard,
-    // proc1's close handler resolves the module-level `serverProcess` at
-    // execution time — which is now proc2 — and nulls it out, leaving the
-    // TUI thinking no server is running while proc2 is alive on its port.
-    proc.stdout.on('data', (data) => {
-      if (serverProcess !== proc) return;
-      const lines = data.toString().split('\n').filter(Boolean);
-      lines.forEach(line => addServerLog(line));
-    });
+    const url = await createPullRequest(form.branch, form);
+    addLog(`${prLabel} created: ${url}`, 'success');
+    applyUpdates(actions.closePrForm(getActionState()));
+    const data = store.get('actionData');
+    if (data && data.branch.name === form.branch) reloadActionData(data.branch).catch(() => {});
+  } catch (e) {
+    addLog(`Failed to create ${prLabel}: ${e.message}`, 'error');
+    applyUpdates(actions.failPrForm(getActionState(), e.message));
+  }
+  render();
+}
 
-    proc.stderr.on('data', (data) => {
-      if (serverProcess !== proc) return;
-      const lines = data.toString().split('\n').filter(Boolean);
-      lines.forEach(line => addServerLog(line, true));
-    });
+// "3 passed, 1 failed, 1 running" for the activity log
+function summarizeChecks(checks) {
+  if (!checks || checks.length === 0) return 'no checks reported';
+  const count = (status) => checks.filter((c) => c.status === status).length;
+  return [
+    count('pass') ? `${count('pass')} passed` : null,
+    count('fail') ? `${count('fail')} failed` : null,
+    count('pending') ? `${count('pending')} running` : null,
+    count('skipped') + count('neutral') ? `${count('skipped') + count('neutral')} skipped/neutral` : null,
+  ].filter(Boolean).join(', ');
+}
 
-    proc.on('error', (err) => {
-      if (serverProcess !== proc) return;
-      store.setState({ serverRunning: false, serverCrashed: true });
-      addServerLog(`Error: ${err.message}`, true);
-      addLog(`Server error: ${err.message}`, 'error');
-      render();
-    });
+// Command mode server management
 
-    proc.on('close', (code) => {
-      if (serverProcess !== proc) return;
-      store.setState({ serverRunning: false });
-      if (code !== 0 && code !== null) {
-        store.setState({ serverCrashed: true });
-        addServerLog(`Process exited with code ${code}`, true);
-        addLog(`Server exited with code ${code}`, 'error');
-      } else {
-        addServerLog('Process stopped');
-        addLog('Server stopped', 'info');
-      }
-      serverProcess = null;
-      render();
+/**
+ * Show the processes' state in the store: per process for the log view and
+ * the web dashboard, and rolled up (any running / any crashed) for the header.
+ */
+function syncServerState() {
+  const serverProcesses = serverProcessManager ? serverProcessManager.statuses() : [];
+  store.setState({
+    serverProcesses,
+    serverStatus: summarizeServerStatus(serverProcesses),
+    serverRunning: serverProcesses.some((p) => p.running),
+    // A crash with a restart on the way shows as restarting, not crashed
+    serverCrashed: serverProcesses.some((p) => p.status === 'crashed'),
+  });
+}
+
+/**
+ * Branch the dev server runs from: the linked worktree's it was moved to,
+ * or the current one. Picks the per-branch overrides that apply.
+ * @returns {string|null}
+ */
+function serverBranch() {
+  const worktree = store.get('serverWorktree');
+  return worktree ? worktree.branch || null : store.get('currentBranch');
+}
+
+/** Log line prefix naming the process, when there's more than one */
+function serverProcessLabel(name) {
+  return SERVER_COMMANDS.length > 1 ? `Server "${name}"` : 'Server';
+}
+
+/**
+ * Handle output and lifecycle events from the process manager.
+ * @param {import('../src/server/process').ServerProcessEvent} event
+ */
+function handleServerProcessEvent(event) {
+  const label = serverProcessLabel(event.name);
+  if (event.type === 'started') {
+    addLog(`${label} started (pid: ${event.pid})`, 'success');
+  } else if (event.type === 'health') {
+    if (event.health === 'ready') {
+      addServerLog('Health check passed', false, event.name);
+      addLog(`${label} is ready`, 'success');
+    } else {
+      addServerLog('Health check failing', true, event.name);
+      addLog(`${label} is unhealthy`, 'warning');
+    }
+  } else if (event.type === 'stopped') {
+    addServerLog('Process stopped', false, event.name);
+    addLog(`${label} stopped`, 'info');
+  } else if (event.error) {
+    addServerLog(`Error: ${event.error}`, true, event.name);
+    addLog(`${label} error: ${event.error}`, 'error');
+  } else {
+    addServerLog(`Process exited with code ${event.code}`, true, event.name);
+    addLog(`${label} exited with code ${event.code}`, 'error');
+  }
+  if (event.type === 'crashed') {
+    if (event.restart) {
+      const { attempt, maxRetries, delay } = event.restart;
+      addLog(`Restarting ${label.toLowerCase()} in ${+(delay / 1000).toFixed(1)}s (attempt ${attempt}/${maxRetries})`, 'update');
+    } else if (event.gaveUp) {
+      addLog(`${label} keeps crashing; not restarting it again (press R to retry)`, 'error');
+    }
+    emitEvent(EVENT_TYPES.SERVER_CRASH, {
+      process: event.name,
+      command: event.command,
+      code: event.code,
+      error: event.error,
+      restartAttempt: event.restart ? event.restart.attempt : null,
     });
+  }
+  syncServerState();
+  if (event.type !== 'started') render();
+}
 
-    addLog(`Server started (pid: ${proc.pid})`, 'success');
-  } catch (err) {
-    store.setState({ serverCrashed: true });
-    addServerLog(`Failed to start: ${err.message}`, true);
-    addLog(`Failed to start server: ${err.message}`, 'error');
+/**
+ * Start one dev server process, or all of them.
+ * @param {string} [name]
+ */
+function startServerProcess(name) {
+  if (SERVER_MODE !== 'command' || !serverProcessManager) return;
+  for (const spec of SERVER_COMMANDS) {
+    if (name !== undefined && spec.name !== name) continue;
+    const { command } = resolveServerSpec(spec, SERVER_OVERRIDES, serverBranch());
+    clearServerLog(spec.name);
+    addLog(`Starting${SERVER_COMMANDS.length > 1 ? ` ${spec.name}` : ''}: ${command}`, 'update');
+    addServerLog(`$ ${command}`, false, spec.name);
   }
+  serverProcessManager.start(name);
+  syncServerState();
 }
 
 /**
- * Stop the user's dev-server child process and its entire process group.
+ * Stop one dev server process (or all of them) and its entire process group.
  *
- * Returns a Promise that resolves when the process has actually exited (or a
- * hard cap elapses). Callers on async exit paths — shutdown(), uncaughtException,
- * unhandledRejection — must await this so the SIGKILL escalation timer fires
- * before process.exit() drops it. Synchronous callers (startServerProcess's
- * restart branch, the 'exit' fallback) can fire-and-forget; best effort only.
+ * Returns a Promise that resolves when the processes have actually exited (or
+ * a hard cap elapses). Callers on async exit paths — shutdown(),
+ * uncaughtException, unhandledRejection — must await this so the SIGKILL
+ * escalation timer fires before process.exit() drops it. The 'exit' fallback
+ * can fire-and-forget; best effort only.
+ * @param {string} [name]
  */
-function stopServerProcess() {
-  if (!serverProcess) return Promise.resolve();
+function stopServerProcess(name) {
+  if (!serverProcessManager) return Promise.resolve();
+  const running = serverProcessManager.statuses().filter((p) => p.running && (name === undefined || p.name === name));
+  if (running.length > 0) {
+    addLog(name === undefined && running.length > 1 ? 'Stopping servers...' : `Stopping ${serverProcessLabel(running[0].name).toLowerCase()}...`, 'update');
+  }
+  // Also cancels crash restarts that are still waiting
+  const stopped = serverProcessManager.stop(name);
+  syncServerState();
+  return stopped;
+}
 
-  addLog('Stopping server...', 'update');
+/**
+ * Restart one dev server process, or all of them.
+ * @param {string} [name]
+ * @param {string} [origin] - Appended to the log line, e.g. ' (from web)'
+ */
+async function restartServerProcess(name, origin = '') {
+  if (!serverProcessManager) return;
+  addLog(`Restarting ${name === undefined ? 'server' : serverProcessLabel(name).toLowerCase()}${origin}...`, 'update');
+  // Await actual exit before respawning: a dev server with a slow SIGTERM
+  // handler would otherwise yield EADDRINUSE on the respawn — the new
+  // process would try to bind a port the old one still held.
+  try {
+    await stopServerProcess(name);
+  } catch (_) {}
+  if (isShuttingDown) return;
+  startServerProcess(name);
+  render();
+}
 
-  // Capture reference before nulling — needed for deferred SIGKILL
-  const proc = serverProcess;
-  serverProcess = null;
-  store.setState({ serverRunning: false });
+// Switches and pulls queue their follow-up work, so a second one waits for
+// the first one's installs and pre-start steps instead of racing them
+let checkoutTask = Promise.resolve();
 
-  // Resolves when the child actually exits
-  const closedPromise = proc.exitCode !== null
-    ? Promise.resolve()
-    : new Promise((resolve) => { proc.once('close', () => resolve()); });
+// The open install question (autoInstall.mode "ask"), shown in the TUI and
+// the web dashboard
+const installPrompt = createInstallPrompt({
+  onChange: (pending) => {
+    store.setState({
+      installConfirmMode: pending !== null && !HEADLESS,
+      installConfirmSelectedIndex: 0,
+      pendingInstall: pending,
+    });
+    render();
+  },
+});
 
-  // Hard cap so callers can never hang forever if 'close' never fires
-  // (e.g. stdio pipe torn down, handle state corrupted). Grace period plus
-  // a small buffer for SIGKILL delivery + OS reap of the process group.
-  const hardCap = new Promise((resolve) => setTimeout(resolve, FORCE_KILL_GRACE_MS + 500));
+/**
+ * Queue the follow-up work of a switch or pull: dependency installs,
+ * pre-start steps and dev server restarts (see afterCheckout). An install
+ * question still open for an earlier one ends as skipped, so this one
+ * isn't stuck behind it.
+ * @param {Parameters<typeof afterCheckout>[0]} change
+ */
+function queueAfterCheckout(change) {
+  installPrompt.supersede();
+  checkoutTask = checkoutTask
+    .then(() => afterCheckout(change))
+    .catch((err) => addLog(`Could not finish updating after the ${change.trigger}: ${err.message}`, 'error'));
+}
 
-  if (process.platform === 'win32') {
-    // taskkill /f /t is already forceful and recursive; close should follow shortly
-    spawn('taskkill', ['/pid', proc.pid.toString(), '/f', '/t']);
-    return Promise.race([closedPromise, hardCap]);
+/**
+ * Offer the installs and wait for the answer, from the TUI prompt or the
+ * web dashboard. Headless runs without a dashboard can't answer, so the
+ * offer is only logged there. An offer nobody answers in time, or that a
+ * newer switch or pull replaces, is skipped.
+ * @param {import('../src/server/dependencies').DependencyInstall[]} installs
+ * @param {'switch'|'pull'} trigger
+ * @returns {Promise<boolean>} Whether to install
+ */
+async function askToInstall(installs, trigger) {
+  const commands = installs.map(describeInstall).join(', ');
+  if (HEADLESS && !webDashboard) {
+    addLog(`Dependencies changed; run ${commands}`, 'warning');
+    return false;
+  }
+  const answer = await installPrompt.ask(installs, trigger);
+  if (answer === 'skip') {
+    addLog('Skipped installing dependencies', 'info');
+  } else if (answer === 'timeout') {
+    addLog(`Nobody answered the install prompt, so it was skipped; run ${commands}`, 'warning');
+  } else if (answer === 'superseded') {
+    addLog(`Install prompt skipped for a newer switch or pull; run ${commands} if still needed`, 'warning');
+  }
+  return answer === 'install';
+}
+
+/**
+ * Run shell steps one by one, streaming their output into the server log.
+ * Stops at the first failure.
+ * @param {Array<{command: string, timeout: number, process: string|null, dir?: string}>} steps
+ * @param {string} kind - "Install" or "Pre-start step", for messages
+ * @returns {Promise<boolean>} Whether every step succeeded
+ */
+async function runServerSteps(steps, kind) {
+  for (const step of steps) {
+    if (isShuttingDown) return false;
+    const label = step.dir ? `${step.command} (in ${step.dir})` : step.command;
+    addLog(`Running ${kind.toLowerCase()}: ${label}`, 'update');
+    addServerLog(`$ ${label}`, false, step.process);
+    render();
+    try {
+      await runPreStartStep(step, {
+        cwd: path.join(PROJECT_ROOT, step.dir || ''),
+        onOutput: (line, isError) => addServerLog(line, isError, step.process),
+      });
+      addServerLog(`${kind} done`, false, step.process);
+    } catch (err) {
+      addServerLog(`${kind} failed: ${err.message}`, true, step.process);
+      addLog(`${kind} "${label}" failed: ${err.message}`, 'error');
+      showErrorToast(`${kind} Failed`, `${label} ${err.message}.`, 'See the server log (l)');
+      return false;
+    }
   }
+  return true;
+}
 
-  // Kill the entire process group (negative PID) so that grandchildren
-  // (e.g. npm -> node -> vite) are also terminated.
+/**
+ * Bring dependencies and the dev server along after a switch or pull.
+ *
+ * Changed lockfiles call for installs (autoInstall: offered, run, or
+ * ignored), and a switch also runs the pre-start steps of the new branch's
+ * overrides whose files changed. Those run with the affected processes
+ * stopped, so nothing installs or migrates under a running server, then
+ * the processes start again; a failure skips the remaining steps but not
+ * the restart. A switch restarts the processes that restart on switch or
+ * whose command or env differ on the new branch; a pull restarts the ones
+ * that restart on switch, and only when something was installed.
+ * @param {Object} change
+ * @param {'switch'|'pull'} change.trigger
+ * @param {string|null} change.fromBranch
+ * @param {string} change.toBranch
+ * @param {string|null} change.fromCommit - HEAD before the switch or pull
+ */
+async function afterCheckout({ trigger, fromBranch, toBranch, fromCommit }) {
+  const manageServer = SERVER_MODE === 'command' && serverProcessManager && !store.get('serverWorktree');
+  const running = manageServer ? serverProcessManager.statuses().filter((proc) => proc.running) : [];
+
+  const wantsInstalls = AUTO_INSTALL.mode !== 'off';
+  const wantsSteps = trigger === 'switch' && SERVER_OVERRIDES.some((o) => o.preStart.length > 0);
+  let changed = [];
+  if (fromCommit && (wantsInstalls || wantsSteps)) {
+    changed = trigger === 'switch'
+      ? await getChangedFilesBetween(fromCommit, 'HEAD', { cwd: PROJECT_ROOT })
+      // A pull only moves forward, so the merge base is the old HEAD
+      : await getChangedFiles('HEAD', fromCommit, PROJECT_ROOT);
+  }
+
+  let installs = wantsInstalls
+    ? detectInstalls(changed, AUTO_INSTALL.commands).filter((i) => fs.existsSync(path.join(PROJECT_ROOT, i.dir)))
+    : [];
+  if (installs.length > 0 && AUTO_INSTALL.mode === 'ask' && !(await askToInstall(installs, trigger))) {
+    installs = [];
+  }
+  // A pre-start step doing the same install in the root would only repeat it
+  const steps = (wantsSteps ? preStartSteps(SERVER_OVERRIDES, toBranch, changed) : [])
+    .filter((step) => !installs.some((i) => !i.dir && i.command === step.command));
+
+  const restart = running.filter((proc) => {
+    if (proc.restartOnSwitch) return trigger === 'switch' || installs.length > 0;
+    if (trigger !== 'switch') return false;
+    const spec = SERVER_COMMANDS.find((c) => c.name === proc.name);
+    return specsDiffer(resolveServerSpec(spec, SERVER_OVERRIDES, fromBranch), resolveServerSpec(spec, SERVER_OVERRIDES, toBranch));
+  }).map((proc) => proc.name);
+
+  if (installs.length === 0 && steps.length === 0) {
+    for (const name of restart) restartServerProcess(name);
+    return;
+  }
+
+  await Promise.all(restart.map((name) => stopServerProcess(name)));
+  const installed = await runServerSteps(
+    installs.map((i) => ({ command: i.command, dir: i.dir, timeout: AUTO_INSTALL.timeout, process: null })),
+    'Install'
+  );
+  if (installed) await runServerSteps(steps, 'Pre-start step');
+  if (isShuttingDown) return;
+  for (const name of restart) startServerProcess(name);
+  render();
+}
+
+/**
+ * Load the worktree list and open it.
+ * @param {string|null} [selectPath] - Worktree to select instead of the serving one
+ */
+async function showWorktreeList(selectPath = null) {
+  const worktrees = await listWorktrees(PROJECT_ROOT);
+  const updates = actions.openWorktreeList(getActionState(), worktrees);
+  const index = selectPath ? worktrees.findIndex((wt) => wt.path === selectPath) : -1;
+  if (index !== -1) updates.worktreeSelectedIndex = index;
+  applyUpdates(updates);
+  render();
+}
+
+/**
+ * "Open in worktree": create (or reuse) a linked worktree for a branch, then
+ * show the worktree list with it selected so Enter serves from it.
+ * @param {Object} branch - Branch from the list
+ */
+async function openBranchInWorktree(branch) {
+  addLog(`Opening ${branch.name} in a worktree...`, 'update');
+  render();
   try {
-    process.kill(-proc.pid, 'SIGTERM');
+    const { worktree, created } = await openWorktree(branch.name, {
+      baseDir: WORKTREE_DIR,
+      remoteRef: branch.hasRemote ? remoteRefFor(branch.name) : undefined,
+      cwd: PROJECT_ROOT,
+    });
+    if (worktree.isMain) {
+      addLog(`${branch.name} is checked out in the main working tree`, 'info');
+    } else if (created) {
+      telemetry.capture('worktree_created');
+      addLog(`Created worktree for ${branch.name} at ${worktree.path}`, 'success');
+    } else {
+      addLog(`${branch.name} is already open in ${worktree.path}`, 'info');
+    }
+    await showWorktreeList(worktree.path);
   } catch (e) {
-    // Process group may already be dead
+    const msg = (e && e.stderr) || (e && e.message) || String(e);
+    addLog(`Could not open ${branch.name} in a worktree: ${msg.split('\n')[0]}`, 'error');
+    render();
   }
-  // Force kill after grace period if process hasn't exited
-  const forceKillTimeout = setTimeout(() => {
-    try {
-      process.kill(-proc.pid, 'SIGKILL');
-    } catch (e) {
-      // Process group may already be dead
-    }
-  }, FORCE_KILL_GRACE_MS);
+}
 
-  // Clear the force-kill timer if the process exits cleanly
-  proc.once('close', () => {
-    clearTimeout(forceKillTimeout);
-  });
+/**
+ * Run the dev server from another working tree: restart a command server
+ * there, or point the static server (and its file watcher) at it.
+ * @param {import('../src/git/worktree').Worktree} worktree - Main tree to move back
+ */
+async function serveFromWorktree(worktree) {
+  if (NO_SERVER) {
+    addLog('No dev server configured (server.mode is "none")', 'info');
+    return;
+  }
+  if (!fs.existsSync(worktree.path)) {
+    addLog(`Worktree directory is missing: ${worktree.path}`, 'error');
+    return;
+  }
+  const target = worktree.isMain ? null : { path: worktree.path, branch: worktree.branch };
+  const current = store.get('serverWorktree');
+  if ((current ? current.path : null) === (target ? target.path : null)) {
+    addLog('Dev server already runs from there', 'info');
+    return;
+  }
+
+  SERVER_ROOT = target ? target.path : PROJECT_ROOT;
+  STATIC_DIR = path.join(SERVER_ROOT, STATIC_SUBDIR);
+  store.setState({ serverWorktree: target });
+  addLog(`Dev server now runs from ${target ? `${target.branch || 'worktree'} (${target.path})` : 'the main working tree'}`, 'success');
 
-  return Promise.race([closedPromise, hardCap]);
+  if (SERVER_MODE === 'command') {
+    await restartServerProcess();
+  } else if (SERVER_MODE === 'static') {
+    if (!fs.existsSync(STATIC_DIR)) {
+      addLog(`${STATIC_SUBDIR} does not exist in that worktree`, 'error');
+    }
+    setupFileWatcher();
+    notifyClients();
+  }
 }
 
-async function restartServerProcess() {
-  addLog('Restarting server...', 'update');
-  // Await actual exit before respawning. The previous fire-and-forget
-  // stopServerProcess() + 500 ms setTimeout was shorter than the
-  // FORCE_KILL_GRACE_MS (3 s) SIGKILL escalation, so a dev server with
-  // a slow SIGTERM handler would yield EADDRINUSE on the respawn — the
-  // new process tried to bind a port the old one still held.
+/**
+ * Remove the selected linked worktree. Git refuses when it has uncommitted
+ * changes; that refusal is reported rather than forced.
+ * @param {import('../src/git/worktree').Worktree} worktree
+ */
+async function removeSelectedWorktree(worktree) {
+  if (worktree.isMain) {
+    addLog('The main working tree cannot be removed', 'error');
+    return;
+  }
+  const serving = store.get('serverWorktree');
+  if (serving && serving.path === worktree.path) {
+    const mainTree = (store.get('worktrees') || []).find((wt) => wt.isMain);
+    if (mainTree) await serveFromWorktree(mainTree);
+  }
   try {
-    await stopServerProcess();
-  } catch (_) {}
-  if (isShuttingDown) return;
-  startServerProcess();
-  render();
+    await removeWorktree(worktree.path, { cwd: PROJECT_ROOT });
+    addLog(`Removed worktree ${worktree.path}`, 'success');
+  } catch (e) {
+    const msg = (e && e.stderr) || (e && e.message) || String(e);
+    addLog(`Could not remove worktree: ${msg.split('\n')[0]}`, 'error');
+  }
 }
 
 // Network and polling state
@@ -911,18 +1623,19 @@ const { isAuthError, isMergeConflict, isNetworkError, isDivergentBranches } = re
 const { Mutex, sleep } = require('../src/utils/async');
 
 // Keyboard handling utilities imported from src/ui/keybindings.js
-const { filterBranches } = require('../src/ui/keybindings');
+const { filterBranches, getCurrentMode, MODES } = require('../src/ui/keybindings');
 
 // Extracted renderer and action handlers
 const renderer = require('../src/ui/renderer');
 const actions = require('../src/ui/actions');
 
 // Diff stats parsing and stash imported from src/git/commands.js
-const { parseDiffStats, stash: gitStash, stashPop: gitStashPop, hasUnresolvedConflicts, getInProgressOperation, resetHard } = require('../src/git/commands');
+const { parseDiffStats, getChangedFiles, getChangedFilesBetween, stash: gitStash, stashPop: gitStashPop, hasUnresolvedConflicts, getInProgressOperation, resetHard } = require('../src/git/commands');
 
-// Server process command parsing and static server utilities
-const { parseCommand } = require('../src/server/process');
-const { getMimeType, injectLiveReload, resolveStaticPath, broadcastReload } = require('../src/server/static');
+// Command-mode process manager and static server utilities
+const { createProcessManager, summarizeServerStatus } = require('../src/server/process');
+const { resolveServerSpec, specsDiffer, preStartSteps, runPreStartStep } = require('../src/server/overrides');
+const { getMimeType, injectLiveReload, resolveStaticPath, broadcastReload, buildReloadFrame } = require('../src/server/static');
 
 // State (non-store globals)
 let previousBranchStates = new Map(); // branch name -> commit hash
@@ -1000,7 +1713,9 @@ function clearPendingDirtyOp() {
 }
 
 // Cached environment info (populated once at startup, doesn't change during session)
-let cachedEnv = null; // { hasGh, hasGlab, ghAuthed, glabAuthed, webUrlBase, platform }
+let cachedEnv = null; // { hasGh, hasGlab, ghAuthed, glabAuthed, webUrlBase, platform, apiReady }
+// REST client for Gitea/Bitbucket repos (null on CLI platforms); set with cachedEnv
+let hostingClient = null;
 
 // Per-branch PR info cache: Map<branchName, { commit, prInfo }>
 // Invalidated when the branch's commit hash changes
@@ -1017,6 +1732,9 @@ const MAX_HISTORY = 20;
 // Sparkline timing
 let lastSparklineUpdate = 0;
 const SPARKLINE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const SPARKLINE_WIDTH = 7;                  // Columns the branch list reserves
+// Recent commits per branch, re-read only when the branch tip moves
+const branchCommitCache = createActivityCache();
 
 // MIME_TYPES and LIVE_RELOAD_SCRIPT imported from src/server/static.js (via getMimeType and injectLiveReload)
 
@@ -1100,7 +1818,7 @@ async function fetchAheadBehindForBranches(branches) {
   const promises = visible.map(async (branch) => {
     if (isBaseBranch(branch.name)) return;
     // Use local ref if local, otherwise remote ref
-    const branchRef = branch.isLocal ? branch.name : `${REMOTE_NAME}/${branch.name}`;
+    const branchRef = branch.isLocal ? branch.name : remoteRefFor(branch.name);
     const [abResult, diffResult] = await Promise.all([
       getAheadBehind(branchRef, detectedDefaultBranch, { cwd: PROJECT_ROOT }),
       getDiffShortstat(detectedDefaultBranch, branchRef, { cwd: PROJECT_ROOT }),
@@ -1114,6 +1832,7 @@ async function fetchAheadBehindForBranches(branches) {
   });
   await Promise.all(promises);
   store.setState({ aheadBehindCache: cache });
+  refreshBranchView();
   render();
 }
 
@@ -1194,6 +1913,116 @@ function addLog(message, type = 'info') {
   activityLog[0] = entry;
   for (let i = 0; i < keepCount; i++) activityLog[i + 1] = prev[i];
   store.setState({ activityLog });
+  emitEvent(EVENT_TYPES.LOG, { level: type, message: stripAnsi(safeMessage) });
+  if (activityJournal) {
+    activityJournal.append({ time: Date.now(), kind: 'log', type, message: stripAnsi(safeMessage) });
+  }
+}
+
+/**
+ * Load the log view's history tab from the journal: one day when a day
+ * filter is set, otherwise the most recent entries.
+ */
+function loadJournalEntries() {
+  const bounds = dayBounds(store.get('journalDay') || '');
+  const entries = activityJournal
+    ? activityJournal.read(bounds ? { ...bounds, limit: 2000 } : { limit: 500 })
+    : [];
+  store.setState({ journalEntries: entries });
+}
+
+// Snapshot behind the digest each surface last showed. Acknowledging saves
+// that rather than the live branch list, so changes that land while the
+// digest is open still show up next time — and the terminal and the web
+// dashboard keep their own, so opening one doesn't change what the other
+// marks as seen.
+const digestSnapshots = { tui: null, web: null };
+
+/**
+ * Compare the branch list with what the user last acknowledged.
+ * @param {'tui'|'web'} viewer - Surface the digest is shown on
+ * @returns {Promise<import('../src/git/digest').Digest>}
+ */
+async function computeDigest(viewer) {
+  const digest = await buildDigest(loadLastSeen(PROJECT_ROOT), store.get('branches'), {
+    baseRef: detectedDefaultBranch,
+    cwd: PROJECT_ROOT,
+  });
+  digestSnapshots[viewer] = digest.snapshot;
+  return digest;
+}
+
+/**
+ * Record the branches in the digest last shown on `viewer` as seen. Falls
+ * back to the current branches when it hasn't shown one this session.
+ * @param {'tui'|'web'} viewer
+ * @returns {Promise<boolean>} Whether the snapshot was saved
+ */
+async function acknowledgeDigest(viewer) {
+  const snapshot = digestSnapshots[viewer] || (await computeDigest(viewer)).snapshot;
+  try {
+    saveLastSeen(PROJECT_ROOT, snapshot);
+    digestSnapshots[viewer] = null;
+    return true;
+  } catch (e) {
+    addLog(`Couldn't save last-seen snapshot: ${e.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Open the digest overlay and compute its contents.
+ */
+async function showDigest() {
+  applyUpdates(actions.openDigest(getActionState()));
+  render();
+  try {
+    applyUpdates(actions.showDigest(getActionState(), await computeDigest('tui')));
+  } catch (e) {
+    applyUpdates(actions.closeDigest(getActionState()));
+    showErrorToast('Could not build digest', e.message || String(e));
+  }
+  render();
+}
+
+/**
+ * On startup, show what changed while watchtower wasn't looking. The first
+ * run for a repository just records a baseline.
+ */
+async function showStartupDigest() {
+  const digest = await computeDigest('tui');
+  if (digest.since === null) {
+    await acknowledgeDigest('tui');
+    return;
+  }
+  if (digest.entries.length === 0) return;
+
+  const count = digest.entries.length;
+  addLog(`${count} branch change${count === 1 ? '' : 's'} since you last looked${HEADLESS ? '' : ' — press n'}`, 'info');
+  // Don't cover a confirm dialog or the update notice that opened first
+  const state = getActionState();
+  if (!HEADLESS && getCurrentMode(state) === MODES.NORMAL && !state.stashConfirmMode
+    && !state.cleanupConfirmMode && !state.divergeConfirmMode && !state.installConfirmMode && !state.updateModalVisible) {
+    applyUpdates(actions.openDigest(state, digest));
+  }
+  render();
+}
+
+// ============================================================================
+// Event Stream
+// ============================================================================
+
+const headlessEvents = HEADLESS ? createEventStream(process.stdout) : null;
+
+/**
+ * Publish a structured event (see src/events/stream.js for the types) to
+ * the headless stream, any configured hooks and desktop notifications. In
+ * headless mode the stream is the program's entire stdout output.
+ */
+function emitEvent(type, data = {}) {
+  if (headlessEvents) headlessEvents.emit(type, data);
+  if (hookRunner) hookRunner.fire(type, data);
+  if (desktopNotifier) desktopNotifier.notify(type, data);
 }
 
 // generateSparkline uses uiSparkline from src/ui/ansi.js
@@ -1211,52 +2040,63 @@ async function getBranchSparkline(branchName) {
   return null; // Will be populated during sparkline refresh
 }
 
+/**
+ * Recent commits on a branch (remote tip first, then local), from
+ * branchCommitCache unless the branch moved since they were read.
+ * @param {{name: string, commit: string, remoteCommit?: string}} branch
+ * @param {number} since - Epoch ms
+ * @returns {Promise<import('../src/git/activity').ActivityCommit[]>}
+ */
+function loadBranchActivity(branch, since) {
+  return branchCommitCache.load(branch.name, {
+    refs: [remoteRefFor(branch.name), branch.name],
+    tip: `${branch.remoteCommit || ''}:${branch.commit}`,
+    since,
+    cwd: PROJECT_ROOT,
+  });
+}
+
+/**
+ * Commit heatmap over every listed branch, or its authors, for the web
+ * dashboard.
+ * @param {import('../src/git/activity').ActivityWindow} window
+ * @param {'branch'|'author'} by
+ * @returns {Promise<import('../src/git/activity').Heatmap>}
+ */
+async function getActivityHeatmap(window, by) {
+  const now = Date.now();
+  const since = bucketStarts(window, now)[0];
+  const branchCommits = new Map();
+  for (const branch of store.get('branches')) {
+    if (branch.isDeleted) continue;
+    branchCommits.set(branch.name, await loadBranchActivity(branch, since));
+  }
+  return buildHeatmap(branchCommits, window, by, now);
+}
+
 async function refreshAllSparklines() {
   const now = Date.now();
   if ((now - lastSparklineUpdate) < SPARKLINE_CACHE_TTL) {
     return; // Don't refresh too often
   }
 
+  const starts = bucketStarts(ACTIVITY_WINDOW, now);
   const sparklineCache = new Map(store.get('sparklineCache'));
+  const activityCache = new Map(store.get('activityCache'));
   const currentBranches = store.get('branches');
   for (const branch of currentBranches.slice(0, 20)) { // Limit to top 20
     if (branch.isDeleted) continue;
 
     try {
-      // Get commit counts for last 7 days (try remote, fall back to local)
-      const sparkResult = await execGitOptional(
-        ['log', `${REMOTE_NAME}/${branch.name}`, '--since=7 days ago', '--format=%ad', '--date=format:%Y-%m-%d'],
-        { cwd: PROJECT_ROOT }
-      ) || await execGitOptional(
-        ['log', branch.name, '--since=7 days ago', '--format=%ad', '--date=format:%Y-%m-%d'],
-        { cwd: PROJECT_ROOT }
-      );
-      const stdout = sparkResult ? sparkResult.stdout : '';
-
-      // Count commits per day
-      const dayCounts = new Map();
-      const dates = stdout.split('\n').filter(Boolean);
-
-      // Initialize last 7 days
-      for (let i = 6; i >= 0; i--) {
-        const d = new Date();
-        d.setDate(d.getDate() - i);
-        const key = d.toISOString().split('T')[0];
-        dayCounts.set(key, 0);
-      }
-
-      // Count commits
-      for (const date of dates) {
-        dayCounts.set(date, (dayCounts.get(date) || 0) + 1);
-      }
-
-      const counts = Array.from(dayCounts.values());
-      sparklineCache.set(branch.name, generateSparkline(counts));
+      const counts = bucketCommits(await loadBranchActivity(branch, starts[0]), starts, now);
+      sparklineCache.set(branch.name, generateSparkline(compressCounts(counts, SPARKLINE_WIDTH)));
+      activityCache.set(branch.name, counts.reduce((sum, n) => sum + n, 0));
     } catch (e) {
       // Skip this branch - don't let one failure abort all sparkline updates
     }
   }
-  store.setState({ sparklineCache });
+  store.setState({ sparklineCache, activityCache });
+  refreshBranchView();
   lastSparklineUpdate = now;
 }
 
@@ -1264,44 +2104,207 @@ async function getPreviewData(branchName) {
   try {
     // Get last 5 commits (try remote, fall back to local)
     const logResult = await execGitOptional(
-      ['log', `${REMOTE_NAME}/${branchName}`, '-5', '--oneline'],
+      ['log', remoteRefFor(branchName), '-5', `--format=${COMMIT_LOG_FORMAT}`],
       { cwd: PROJECT_ROOT }
     ) || await execGitOptional(
-      ['log', branchName, '-5', '--oneline'],
+      ['log', branchName, '-5', `--format=${COMMIT_LOG_FORMAT}`],
       { cwd: PROJECT_ROOT }
     );
     const logOutput = logResult ? logResult.stdout : '';
 
-    const commits = logOutput.split('\n').filter(Boolean).map(line => {
-      const [hash, ...msgParts] = line.split(' ');
-      return { hash, message: msgParts.join(' ') };
-    });
+    const commits = parseCommitLog(logOutput).map(c => ({
+      hash: c.hash,
+      message: c.subject,
+      author: c.author,
+      authorEmail: c.authorEmail,
+      agent: classifyAgent({ email: c.authorEmail, trailers: c.trailers }, AGENT_RULES),
+    }));
 
-    // Get files changed (comparing to current branch)
+    // Get files changed (comparing to current branch). Remember which ref
+    // answered so the diff viewer compares against the same one.
     let filesChanged = [];
-    const diffResult = await execGitOptional(
-      ['diff', '--stat', '--name-only', `HEAD...${REMOTE_NAME}/${branchName}`],
-      { cwd: PROJECT_ROOT }
-    ) || await execGitOptional(
-      ['diff', '--stat', '--name-only', `HEAD...${branchName}`],
+    let diffRef = remoteRefFor(branchName);
+    let diffResult = await execGitOptional(
+      ['diff', '--name-only', `HEAD...${diffRef}`],
       { cwd: PROJECT_ROOT }
     );
+    if (!diffResult) {
+      diffRef = branchName;
+      diffResult = await execGitOptional(
+        ['diff', '--name-only', `HEAD...${diffRef}`],
+        { cwd: PROJECT_ROOT }
+      );
+    }
     if (diffResult) {
-      filesChanged = diffResult.stdout.split('\n').filter(Boolean).slice(0, 8);
+      filesChanged = diffResult.stdout.split('\n').filter(Boolean).slice(0, MAX_PREVIEW_FILES);
     }
 
-    return { commits, filesChanged };
+    return { branch: branchName, commits, filesChanged, diffRef: diffResult ? diffRef : null };
   } catch (e) {
     // Preview pane is best-effort — branch may not exist on the remote yet,
     // refs may have been pruned mid-fetch. Empty pane is better than an
     // error toast for a background UI enrichment.
-    return { commits: [], filesChanged: [] };
+    return { branch: branchName, commits: [], filesChanged: [], diffRef: null };
   }
 }
 
+/**
+ * Open the diff viewer on the file selected in the preview pane. The whole
+ * branch diff is parsed once and kept in the store, so stepping through
+ * files (Tab) doesn't re-run git.
+ */
+async function openPreviewDiff() {
+  const state = getActionState();
+  const opened = actions.openDiffView(state);
+  if (!opened) return;
+  const { previewData } = state;
+  const selectedPath = previewData.filesChanged[state.previewFileIndex];
+
+  applyUpdates(opened);
+  if (!state.diffFiles && !state.diffError) {
+    render();
+    try {
+      if (!previewData.diffRef) throw new Error(`No diff available for ${previewData.branch}`);
+      const diffFiles = await getBranchDiff('HEAD', previewData.diffRef, { cwd: PROJECT_ROOT });
+      // The preview may have been closed (or moved on) while git was running
+      if (store.get('previewData') !== previewData) return;
+      store.setState({ diffFiles });
+    } catch (e) {
+      if (store.get('previewData') !== previewData) return;
+      store.setState({ diffError: `Could not load diff: ${e.message}` });
+    }
+  }
+
+  const diffFiles = store.get('diffFiles') || [];
+  const index = diffFiles.findIndex((f) => f.path === selectedPath || f.oldPath === selectedPath);
+  store.setState({ diffFileIndex: Math.max(0, index) });
+  telemetry.capture('diff_viewed');
+  render();
+}
+
+// Line budget for diffs served to the web dashboard; past it, files are
+// listed with their stats but without content
+const MAX_WEB_DIFF_LINES = 10000;
+
+/**
+ * CI checks for a branch, served by GET /api/checks. Shares the action
+ * modal's cache so opening both doesn't query the CLI twice.
+ * @param {string} branchName
+ * @returns {Promise<{platform: string, checks: Array, reason: string|null}>}
+ */
+async function getWebChecks(branchName) {
+  if (!cachedEnv) await initActionCache();
+  const env = cachedEnv || {};
+  const platform = env.platform;
+  const cliReady = platform === 'gitlab' ? env.hasGlab && env.glabAuthed : platform === 'github' && env.hasGh && env.ghAuthed;
+  if (!cliReady && !env.apiReady) {
+    const reason = platform !== 'github' && platform !== 'gitlab'
+      ? 'CI checks are only available for GitHub, GitLab, Gitea and Bitbucket Cloud'
+      : `Requires an authenticated ${platform === 'gitlab' ? 'glab' : 'gh'} CLI`;
+    return { platform, checks: [], reason };
+  }
+
+  const branch = (store.get('branches') || []).find((b) => b.name === branchName);
+  const cached = prInfoCache.get(branchName);
+  let prInfo;
+  let checks;
+  if (branch && cached && cached.commit === branch.commit) {
+    ({ prInfo, checks } = cached);
+  } else {
+    prInfo = await getPrInfo(branchName, platform, platform === 'github', platform === 'gitlab');
+    checks = await getCiChecks(branchName, platform, prInfo, platform === 'gitlab');
+    if (branch) prInfoCache.set(branchName, { commit: branch.commit, prInfo, checks });
+  }
+  // GitLab pipelines run without an MR; elsewhere checks come with the PR
+  const reason = platform !== 'gitlab' && !prInfo ? 'No pull request for this branch' : null;
+  return { platform, checks: checks || [], reason };
+}
+
+/**
+ * Number of a branch's PR: from the bulk status map when it's there,
+ * otherwise looked up like the action modal does.
+ * @param {string} branchName
+ * @param {string} platform
+ * @returns {Promise<number|null>}
+ */
+async function findPrNumber(branchName, platform) {
+  const statusMap = store.get('branchPrStatusMap');
+  const status = statusMap && statusMap.get(branchName);
+  if (status && status.number) return status.number;
+  const branch = (store.get('branches') || []).find((b) => b.name === branchName);
+  const cached = prInfoCache.get(branchName);
+  const prInfo = branch && cached && cached.commit === branch.commit
+    ? cached.prInfo
+    : await getPrInfo(branchName, platform, platform === 'github', platform === 'gitlab');
+  return prInfo && prInfo.number ? prInfo.number : null;
+}
+
+/**
+ * Review threads and comments on a branch's PR, served by
+ * GET /api/pr-conversation. Read through gh/glab only.
+ * @param {string} branchName
+ * @returns {Promise<{platform: string, number: number|null, threads: Array, unresolved: number, reason: string|null}>}
+ */
+async function getWebConversation(branchName) {
+  if (!cachedEnv) await initActionCache();
+  const env = cachedEnv || {};
+  const platform = env.platform;
+  const empty = { platform, number: null, threads: [], unresolved: 0 };
+  if (platform !== 'github' && platform !== 'gitlab') {
+    return { ...empty, reason: 'PR conversations are only available for GitHub and GitLab' };
+  }
+  const cliReady = platform === 'gitlab' ? env.hasGlab && env.glabAuthed : env.hasGh && env.ghAuthed;
+  if (!cliReady) {
+    return { ...empty, reason: `Requires an authenticated ${platform === 'gitlab' ? 'glab' : 'gh'} CLI` };
+  }
+
+  const number = await findPrNumber(branchName, platform);
+  if (!number) return { ...empty, reason: 'No pull request for this branch' };
+
+  const [cmd, args] = buildConversationCommand(platform, number);
+  const { stdout } = await execCli(cmd, args);
+  const response = JSON.parse(stdout);
+  const conversation = platform === 'github' ? parseGitHubConversation(response) : parseGitLabDiscussions(response);
+  return { platform, number, ...conversation, reason: null };
+}
+
+/**
+ * Structured diff of a branch for the web dashboard (GET /api/diff).
+ * Compares against HEAD or the detected default branch, preferring the
+ * remote copy of the branch like the TUI preview does.
+ * @param {string} branchName
+ * @param {'current'|'default'} against
+ * @returns {Promise<Object>}
+ */
+async function getWebDiff(branchName, against) {
+  const baseRef = against === 'default' ? detectedDefaultBranch : 'HEAD';
+  if (!baseRef) throw new Error('No default branch detected');
+
+  let diffFiles;
+  try {
+    diffFiles = await getBranchDiff(baseRef, remoteRefFor(branchName), { cwd: PROJECT_ROOT });
+  } catch (e) {
+    diffFiles = await getBranchDiff(baseRef, branchName, { cwd: PROJECT_ROOT });
+  }
+
+  const { files, truncated } = limitDiffLines(diffFiles, MAX_WEB_DIFF_LINES);
+  return {
+    branch: branchName,
+    against,
+    baseRef: against === 'default' ? baseRef : store.get('currentBranch'),
+    files,
+    truncated,
+    totals: {
+      files: diffFiles.length,
+      added: diffFiles.reduce((n, f) => n + f.added, 0),
+      deleted: diffFiles.reduce((n, f) => n + f.deleted, 0),
+    },
+  };
+}
+
 // playSound delegates to extracted src/utils/sound.js
 function playSound() {
-  if (!store.get('soundEnabled')) return;
+  if (HEADLESS || !store.get('soundEnabled')) return;
   playSoundEffect({ cwd: PROJECT_ROOT });
 }
 
@@ -1310,6 +2313,7 @@ function playSound() {
 // ============================================================================
 
 function write(str) {
+  if (HEADLESS) return;
   process.stdout.write(str);
 }
 
@@ -1317,6 +2321,7 @@ function setTerminalTitle(title) {
   // Set terminal tab/window title using ANSI escape sequence
   // \x1b]0;title\x07 sets both window and tab title (most compatible)
   // Strip control characters to prevent escape sequence injection
+  if (HEADLESS) return;
   const safe = String(title).replace(/[\x00-\x1f\x7f]/g, '');
   process.stdout.write(`\x1b]0;${safe}\x07`);
 }
@@ -1324,6 +2329,7 @@ function setTerminalTitle(title) {
 function restoreTerminalTitle() {
   // Restore default terminal title behavior by clearing it
   // Some terminals will revert to showing the running process
+  if (HEADLESS) return;
   process.stdout.write('\x1b]0;\x07');
 }
 
@@ -1404,7 +2410,7 @@ function getRenderState() {
 }
 
 function render() {
-  if (_renderSuppressed) return;
+  if (_renderSuppressed || HEADLESS) return;
   updateTerminalSize();
 
   write(ansi.hideCursor);
@@ -1501,8 +2507,20 @@ function render() {
     renderer.renderPreview(state, write);
   }
 
-  if (state.historyMode) {
-    renderer.renderHistory(state, write);
+  if (state.diffViewMode) {
+    renderer.renderDiffView(state, write);
+  }
+
+  if (state.historyMode) {
+    renderer.renderHistory(state, write);
+  }
+
+  if (state.worktreeMode) {
+    renderer.renderWorktrees(state, write);
+  }
+
+  if (state.digestMode) {
+    renderer.renderDigest(state, write);
   }
 
   if (state.infoMode) {
@@ -1521,6 +2539,14 @@ function render() {
     renderer.renderActionModal(state, write);
   }
 
+  if (state.ciLogMode) {
+    renderer.renderCiLog(state, write);
+  }
+
+  if (state.prFormMode) {
+    renderer.renderPrForm(state, write);
+  }
+
   // Error toast renders on top of everything for maximum visibility
   if (state.errorToast) {
     renderer.renderErrorToast(state, write);
@@ -1536,6 +2562,11 @@ function render() {
     renderer.renderStashConfirm(state, write);
   }
 
+  // Dependency install prompt
+  if (state.installConfirmMode) {
+    renderer.renderInstallConfirm(state, write);
+  }
+
   // Divergence resolution dialog renders on top of everything
   if (state.divergeConfirmMode) {
     renderer.renderDivergeConfirm(state, write);
@@ -1747,7 +2778,14 @@ async function checkDivergence(branch, remoteCommit, respectSnooze) {
   if (!store.get('divergeConfirmMode')) {
     addLog(`${branch} has diverged from ${REMOTE_NAME}/${branch} (${ahead} local / ${behind} remote)`, 'warning');
     telemetry.capture('divergence_detected');
-    showDivergeConfirm(branch, ahead, behind, remoteCommit);
+    emitEvent(EVENT_TYPES.DIVERGENCE, { branch, ahead, behind, remoteCommit: remoteCommit || null });
+    if (HEADLESS) {
+      // Nobody to answer the dialog — report once per remote commit and
+      // leave the branch alone, same as choosing "ignore".
+      if (remoteCommit) divergenceSnooze.set(branch, remoteCommit);
+    } else {
+      showDivergeConfirm(branch, ahead, behind, remoteCommit);
+    }
   }
   return true;
 }
@@ -1778,15 +2816,102 @@ async function hasUncommittedChanges() {
 
 // isAuthError, isMergeConflict, isNetworkError imported from src/utils/errors.js
 
+/**
+ * Remote-tracking ref for a branch. Branches that only exist on a secondary
+ * monitored remote (e.g. a fork) resolve against that remote; everything
+ * else uses the primary REMOTE_NAME.
+ * @param {string} branchName
+ * @returns {string}
+ */
+function remoteRefFor(branchName) {
+  const branch = store.get('branches').find(b => b.name === branchName);
+  return `${(branch && branch.remote) || REMOTE_NAME}/${branchName}`;
+}
+
 async function getAllBranches() {
   try {
-    return await getAllBranchesRaw({ remoteName: REMOTE_NAME, fetch: true, cwd: PROJECT_ROOT });
+    const branches = await getAllBranchesRaw({ remoteNames: MONITORED_REMOTES, fetch: true, cwd: PROJECT_ROOT });
+    return applyAgentRules(applyBranchRules(branches, BRANCH_RULES, store.get('currentBranch')), AGENT_RULES);
   } catch (e) {
     addLog(`Failed to get branches: ${e.message || e}`, 'error');
     return [];
   }
 }
 
+/**
+ * Branch list order: deleted at the bottom, pinned at the top, then new
+ * branches, then by date, with merged branches sinking near the bottom.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareBranchOrder(a, b) {
+  const prStatusMap = store.get('branchPrStatusMap');
+  const aMerged = !isBaseBranch(a.name) && prStatusMap.has(a.name) && prStatusMap.get(a.name).state === 'MERGED';
+  const bMerged = !isBaseBranch(b.name) && prStatusMap.has(b.name) && prStatusMap.get(b.name).state === 'MERGED';
+  if (a.isDeleted && !b.isDeleted) return 1;
+  if (!a.isDeleted && b.isDeleted) return -1;
+  const pinned = comparePinned(a, b);
+  if (pinned !== 0) return pinned;
+  if (aMerged && !bMerged && !b.isDeleted) return 1;
+  if (!aMerged && bMerged && !a.isDeleted) return -1;
+  if (a.isNew && !b.isNew) return -1;
+  if (!a.isNew && b.isNew) return 1;
+  return b.date - a.date;
+}
+
+/**
+ * Pin or mute a single branch at runtime (TUI 'P'/'M' keys and the web
+ * dashboard), re-flag and re-sort the list, and save the rule to the repo
+ * config so it survives a restart.
+ * @param {'pin'|'mute'} kind
+ * @param {string} branchName
+ * @returns {string} Status message for the flash/toast
+ */
+function toggleBranchRule(kind, branchName) {
+  const branch = store.get('branches').find(b => b.name === branchName);
+  const wasOn = Boolean(branch && (kind === 'pin' ? branch.isPinned : branch.isMuted));
+  const verb = kind === 'pin' ? 'Pinned' : 'Muted';
+  const unverb = kind === 'pin' ? 'Unpinned' : 'Unmuted';
+
+  const { rules, changed, viaPattern } = setBranchRule(BRANCH_RULES, kind, branchName, !wasOn);
+  if (changed) {
+    BRANCH_RULES = rules;
+    const branches = applyBranchRules(store.get('branches'), BRANCH_RULES, store.get('currentBranch'));
+    branches.sort(compareBranchOrder);
+    const selectedName = store.get('selectedBranchName');
+    const selectedIndex = branches.findIndex(b => b.name === selectedName);
+    store.setState({
+      branches,
+      ...(selectedIndex >= 0 ? { selectedIndex } : {}),
+    });
+    refreshBranchView();
+    persistBranchRules();
+  }
+
+  // Runtime toggles only touch exact names; a glob match has to be
+  // edited in the config file.
+  const message = viaPattern
+    ? `${branchName} is still ${verb.toLowerCase()} by "${viaPattern}" in ${CONFIG_FILE_NAME}`
+    : `${wasOn ? unverb : verb} ${branchName}`;
+  addLog(message, viaPattern ? 'warning' : 'info');
+  return message;
+}
+
+/**
+ * Write the current pin/mute/ignore rules to the repo config, creating it
+ * with defaults if this session started without one.
+ */
+function persistBranchRules() {
+  try {
+    const current = loadConfig() || getDefaultConfig();
+    current.branchRules = { ...BRANCH_RULES };
+    saveConfig(current);
+  } catch (e) {
+    addLog(`Couldn't save branch rules: ${e.message || e}`, 'warning');
+  }
+}
+
 async function switchToBranch(branchName, recordHistory = true) {
   try {
     // Validate branch name for security
@@ -1836,6 +2961,10 @@ async function switchToBranch(branchName, recordHistory = true) {
     }
 
     const previousBranch = store.get('currentBranch');
+    // The commit being left, to find which files the switch changes (for
+    // dependency installs and per-branch pre-start steps)
+    const preHead = await execGitOptional(['rev-parse', 'HEAD'], { cwd: PROJECT_ROOT });
+    const previousCommit = preHead && preHead.stdout ? preHead.stdout.trim() : null;
 
     addLog(`Switching to ${safeBranchName}...`, 'update');
     render();
@@ -1849,7 +2978,7 @@ async function switchToBranch(branchName, recordHistory = true) {
     if (hasLocal) {
       await execGit(['checkout', safeBranchName], { cwd: PROJECT_ROOT });
     } else {
-      await execGit(['checkout', '-b', safeBranchName, `${REMOTE_NAME}/${safeBranchName}`], { cwd: PROJECT_ROOT });
+      await execGit(['checkout', '-b', safeBranchName, remoteRefFor(safeBranchName)], { cwd: PROJECT_ROOT });
     }
 
     store.setState({ currentBranch: safeBranchName, isDetachedHead: false });
@@ -1867,6 +2996,10 @@ async function switchToBranch(branchName, recordHistory = true) {
       const switchHistory = [{ from: previousBranch, to: safeBranchName, timestamp: Date.now() }, ...store.get('switchHistory')].slice(0, MAX_HISTORY);
       store.setState({ switchHistory });
     }
+    // The journal keeps undos too — it's a record, not an undo stack
+    if (activityJournal && previousBranch && previousBranch !== safeBranchName) {
+      activityJournal.append({ time: Date.now(), kind: 'switch', from: previousBranch, to: safeBranchName });
+    }
 
     addLog(`Switched to ${safeBranchName}`, 'success');
     // Surface carried-over changes so a later "where did this diff come
@@ -1878,10 +3011,10 @@ async function switchToBranch(branchName, recordHistory = true) {
     branchSwitchCount++;
     clearPendingDirtyOp();
 
-    // Restart server if configured (command mode)
-    if (SERVER_MODE === 'command' && RESTART_ON_SWITCH && serverProcess) {
-      restartServerProcess();
-    }
+    // Install changed dependencies, and restart the server if configured
+    // (command mode) — unless it runs from a linked worktree, which this
+    // switch didn't touch
+    queueAfterCheckout({ trigger: 'switch', fromBranch: previousBranch, toBranch: safeBranchName, fromCommit: previousCommit });
 
     notifyClients();
     return { success: true };
@@ -2037,6 +3170,7 @@ async function pullCurrentBranch() {
         }
       }
       addLog(`Pulled ${REMOTE_NAME}/${branch}${summary}`, 'success');
+      queueAfterCheckout({ trigger: 'pull', fromBranch: branch, toBranch: branch, fromCommit: oldCommit });
     }
     clearPendingDirtyOp();
     notifyClients();
@@ -2198,6 +3332,7 @@ async function pollGitChanges() {
     if (conflictNow !== hadConflict) {
       if (conflictNow) {
         addLog('Merge conflict detected — auto-pull paused until resolved', 'error');
+        emitEvent(EVENT_TYPES.MERGE_CONFLICT, { branch: newCurrentBranch, source: 'working_tree' });
       } else {
         addLog('Merge conflict resolved — auto-pull re-enabled', 'success');
       }
@@ -2259,14 +3394,27 @@ async function pollGitChanges() {
     const now = Date.now();
     const currentBranches = store.get('branches');
 
+    const { created, deleted } = detectBranchChanges({
+      knownBranchNames,
+      fetchedBranchNames,
+      isIgnored: (name) => isBranchIgnored(name, BRANCH_RULES),
+    });
+    const createdNames = new Set(created);
+
     // Detect NEW branches (not seen before)
     const NEW_BADGE_TTL = 30000; // 30 seconds
     const newBranchList = [];
     for (const branch of allBranches) {
-      if (!knownBranchNames.has(branch.name)) {
+      if (createdNames.has(branch.name)) {
         branch.isNew = true;
         branch.newAt = now;
         addLog(`New branch: ${branch.name}`, 'success');
+        emitEvent(EVENT_TYPES.BRANCH_CREATED, {
+          branch: branch.name,
+          commit: branch.commit,
+          subject: branch.subject || null,
+          remote: branch.remote || null,
+        });
         newBranchList.push(branch);
       } else {
         // Preserve isNew flag from previous poll cycle, but expire after TTL
@@ -2280,25 +3428,24 @@ async function pollGitChanges() {
     }
 
     // Detect DELETED branches (were known but no longer exist in git)
-    for (const knownName of knownBranchNames) {
-      if (!fetchedBranchNames.has(knownName)) {
-        // This branch was deleted from remote
-        // Check if already present in allBranches (avoid duplicates)
-        const alreadyInList = allBranches.some(b => b.name === knownName);
-        if (alreadyInList) continue;
-
-        const existingInList = currentBranches.find(b => b.name === knownName);
-        if (existingInList) {
-          if (!existingInList.isDeleted) {
-            existingInList.isDeleted = true;
-            existingInList.deletedAt = now;
-            addLog(`Branch deleted: ${knownName}`, 'warning');
-          }
-          // Keep it in the list temporarily
-          allBranches.push(existingInList);
+    for (const knownName of deleted) {
+      // This branch was deleted from remote
+      // Check if already present in allBranches (avoid duplicates)
+      const alreadyInList = allBranches.some(b => b.name === knownName);
+      if (alreadyInList) continue;
+
+      const existingInList = currentBranches.find(b => b.name === knownName);
+      if (existingInList) {
+        if (!existingInList.isDeleted) {
+          existingInList.isDeleted = true;
+          existingInList.deletedAt = now;
+          addLog(`Branch deleted: ${knownName}`, 'warning');
+          emitEvent(EVENT_TYPES.BRANCH_DELETED, { branch: knownName, commit: existingInList.commit || null });
         }
-        // Remove from known set after a delay (handled below)
+        // Keep it in the list temporarily
+        allBranches.push(existingInList);
       }
+      // Remove from known set after a delay (handled below)
     }
 
     // Prune stale entries: remove branches from tracking sets/caches
@@ -2307,7 +3454,7 @@ async function pollGitChanges() {
       knownBranchNames,
       fetchedBranchNames,
       allBranches,
-      caches: [previousBranchStates, prInfoCache, store.get('sparklineCache'), store.get('aheadBehindCache')],
+      caches: [previousBranchStates, prInfoCache, store.get('sparklineCache'), store.get('aheadBehindCache'), branchCommitCache],
       now,
     });
 
@@ -2347,11 +3494,20 @@ async function pollGitChanges() {
 
     // Flash and sound for updates or new branches
     const casinoOn = store.get('casinoModeEnabled');
-    const notifyBranches = [...updatedBranches, ...newBranchList];
+    for (const branch of updatedBranches) {
+      addLog(`Update on ${branch.name}: ${branch.commit}`, 'update');
+      emitEvent(EVENT_TYPES.BRANCH_UPDATED, {
+        branch: branch.name,
+        commit: branch.commit,
+        previousCommit: updatedBranchPrevCommits.get(branch.name) || null,
+        subject: branch.subject || null,
+      });
+    }
+    // Muted branches still get their log line and events, but never
+    // flash, beep or spin the casino reels.
+    const loudUpdatedBranches = updatedBranches.filter(b => !b.isMuted);
+    const notifyBranches = [...loudUpdatedBranches, ...newBranchList.filter(b => !b.isMuted)];
     if (notifyBranches.length > 0) {
-      for (const branch of updatedBranches) {
-        addLog(`Update on ${branch.name}: ${branch.commit}`, 'update');
-      }
 
       // Casino mode: add funny commentary
       if (casinoOn) {
@@ -2368,7 +3524,7 @@ async function pollGitChanges() {
       // path, but no fake volume is added to totalLinesAdded.
       if (casinoOn) {
         const churn = await sumPollChurn(
-          updatedBranches,
+          loudUpdatedBranches,
           updatedBranchPrevCommits,
           getDiffStats
         );
@@ -2397,31 +3553,19 @@ async function pollGitChanges() {
 
     // Inactivity backoff: any detected change counts as activity and snaps
     // polling back to the base rate. "Change" = a new branch, an update on
-    // another branch (notifyBranches), or remote updates waiting on the
+    // another branch (muted or not), or remote updates waiting on the
     // current branch (captured here before auto-pull clears the flag).
     const currentEntry = pollFilteredBranches.find(b => b.name === currentBranchName);
-    const sawActivity = notifyBranches.length > 0 || Boolean(currentEntry && currentEntry.hasUpdates);
+    const sawActivity = updatedBranches.length > 0 || newBranchList.length > 0
+      || Boolean(currentEntry && currentEntry.hasUpdates);
     updatePollBackoff(sawActivity);
 
     // Remember which branch was selected before updating the list
     const { selectedBranchName: prevSelName, selectedIndex: prevSelIdx } = store.getState();
     const previouslySelectedName = prevSelName || (currentBranches[prevSelIdx] ? currentBranches[prevSelIdx].name : null);
 
-    // Sort: new branches first, then by date, merged branches near bottom, deleted at bottom
-    const prStatusMap = store.get('branchPrStatusMap');
-    pollFilteredBranches.sort((a, b) => {
-      const aIsBase = isBaseBranch(a.name);
-      const bIsBase = isBaseBranch(b.name);
-      const aMerged = !aIsBase && prStatusMap.has(a.name) && prStatusMap.get(a.name).state === 'MERGED';
-      const bMerged = !bIsBase && prStatusMap.has(b.name) && prStatusMap.get(b.name).state === 'MERGED';
-      if (a.isDeleted && !b.isDeleted) return 1;
-      if (!a.isDeleted && b.isDeleted) return -1;
-      if (aMerged && !bMerged && !b.isDeleted) return 1;
-      if (!aMerged && bMerged && !a.isDeleted) return -1;
-      if (a.isNew && !b.isNew) return -1;
-      if (!a.isNew && b.isNew) return 1;
-      return b.date - a.date;
-    });
+    // Sort: pinned first, then new branches, then by date, merged branches near bottom, deleted at bottom
+    pollFilteredBranches.sort(compareBranchOrder);
 
     // Store all branches (no limit) - visibleBranchCount controls display
     // Restore selection to the same branch (by name) after reordering
@@ -2442,6 +3586,7 @@ async function pollGitChanges() {
       newSelectedName = pollFilteredBranches[newSelectedIndex] ? pollFilteredBranches[newSelectedIndex].name : null;
     }
     store.setState({ branches: pollFilteredBranches, selectedIndex: newSelectedIndex, selectedBranchName: newSelectedName });
+    refreshBranchView();
 
     // Background PR status fetch (throttled to every PR_STATUS_POLL_INTERVAL)
     const now2 = Date.now();
@@ -2450,6 +3595,7 @@ async function pollGitChanges() {
       fetchAllPrStatuses().then(map => {
         if (map) {
           store.setState({ branchPrStatusMap: map });
+          refreshBranchView();
           render(); // re-render to show updated PR indicators
         }
         lastPrStatusFetch = Date.now();
@@ -2461,8 +3607,10 @@ async function pollGitChanges() {
       });
     }
 
-    // Background ahead/behind fetch for visible branches
-    fetchAheadBehindForBranches(pollFilteredBranches).catch(() => { /* transient git/network error — next poll will retry */ });
+    // Background ahead/behind fetch for visible branches (in the TUI's
+    // sort order, so a sorted or grouped list gets counts for what it shows)
+    const visibleRows = actions.getDisplayBranches(getActionState()).filter(b => !b.isGroupHeader);
+    fetchAheadBehindForBranches(visibleRows).catch(() => { /* transient git/network error — next poll will retry */ });
 
     // AUTO-PULL: If current branch has remote updates, pull automatically (if enabled)
     const autoPullBranchName = store.get('currentBranch');
@@ -2510,8 +3658,24 @@ async function pollGitChanges() {
           ? ` (+${diffStats.added}/-${diffStats.deleted})`
           : '';
         addLog(`Auto-pulled ${autoPullBranchName}${summary}`, 'success');
+        queueAfterCheckout({ trigger: 'pull', fromBranch: autoPullBranchName, toBranch: autoPullBranchName, fromCommit: oldCommit || null });
+        emitEvent(EVENT_TYPES.AUTO_PULL, {
+          branch: autoPullBranchName,
+          previousCommit: oldCommit || null,
+          commit: currentInfo.commit,
+          linesAdded: diffStats.added,
+          linesDeleted: diffStats.deleted,
+        });
       } catch (e) {
         const errMsg = e.stderr || e.stdout || e.message || String(e);
+        emitEvent(EVENT_TYPES.AUTO_PULL_FAILED, {
+          branch: autoPullBranchName,
+          reason: isDivergentBranches(errMsg) ? 'diverged'
+            : isMergeConflict(errMsg) ? 'merge_conflict'
+            : isAuthError(errMsg) ? 'auth'
+            : 'error',
+          error: stripAnsi(String(errMsg)).trim(),
+        });
         if (isDivergentBranches(errMsg)) {
           // Belt-and-braces: the pre-pull checkDivergence should catch this
           // first, but if git itself refuses ("divergent branches", "not
@@ -2522,6 +3686,7 @@ async function pollGitChanges() {
         } else if (isMergeConflict(errMsg)) {
           store.setState({ hasMergeConflict: true });
           addLog(`MERGE CONFLICT detected!`, 'error');
+          emitEvent(EVENT_TYPES.MERGE_CONFLICT, { branch: autoPullBranchName, source: 'auto_pull' });
           addLog(`Resolve conflicts manually, then commit`, 'warning');
           showErrorToast(
             'Merge Conflict!',
@@ -2715,12 +3880,19 @@ function restartPolling() {
 // HTTP Server
 // ============================================================================
 
-function notifyClients() {
+/**
+ * Tell live-reload browsers to reload, or to swap stylesheets and images in
+ * place when those are all that changed.
+ * @param {string[]} [changedFiles] - Files changed under STATIC_DIR (from the
+ *   file watcher); omitted for a plain reload
+ */
+function notifyClients(changedFiles) {
   if (NO_SERVER) return; // No clients in no-server mode
   if (clients.size === 0) return;
-  const { delivered, dropped } = broadcastReload(clients);
+  const { frame, swap } = buildReloadFrame(changedFiles);
+  const { delivered, dropped } = broadcastReload(clients, frame);
   if (delivered > 0) {
-    addLog(`Reloading ${delivered} browser(s)`, 'info');
+    addLog(swap ? `Updating styles/images in ${delivered} browser(s)` : `Reloading ${delivered} browser(s)`, 'info');
   }
   if (dropped > 0) {
     addLog(`Dropped ${dropped} dead live-reload client(s)`, 'warning');
@@ -2873,6 +4045,8 @@ function createStaticServer() {
 let fileWatcher = null;
 let debounceTimer = null;
 let ignorePatterns = [];
+// Files changed since the debounce timer started, sent with the reload
+const pendingChangedFiles = new Set();
 
 function setupFileWatcher() {
   if (fileWatcher) fileWatcher.close();
@@ -2907,10 +4081,13 @@ function setupFileWatcher() {
         return;
       }
 
+      pendingChangedFiles.add(filename);
       clearTimeout(debounceTimer);
       debounceTimer = setTimeout(() => {
-        addLog(`File changed: ${filename}`, 'info');
-        notifyClients();
+        const changed = [...pendingChangedFiles];
+        pendingChangedFiles.clear();
+        addLog(changed.length > 1 ? `${changed.length} files changed: ${changed.join(', ')}` : `File changed: ${filename}`, 'info');
+        notifyClients(changed);
         render();
       }, FILE_WATCHER_DEBOUNCE_MS);
     });
@@ -2941,6 +4118,12 @@ function getActionState() {
   return store.getState();
 }
 
+// Re-derive the TUI list (search, sort mode, groups) after the branches or
+// the caches it sorts by change
+function refreshBranchView() {
+  applyUpdates(actions.refreshBranchView(getActionState()));
+}
+
 function setupKeyboardInput() {
   if (process.stdin.isTTY) {
     process.stdin.setRawMode(true);
@@ -2973,12 +4156,68 @@ function setupKeyboardInput() {
     }
 
     // Handle modal modes
+    if (store.get('diffViewMode')) {
+      const diffState = getActionState();
+      const { contentHeight } = renderer.getDiffViewLayout(diffState);
+      const diffFile = diffState.diffFiles && diffState.diffFiles[diffState.diffFileIndex];
+      const maxScroll = diffFile ? diffFile.lines.length - contentHeight : 0;
+      let updates = null;
+      if (key === '\u001b' || key === 'q') {
+        updates = actions.closeDiffView(diffState);
+      } else if (key === '\u001b[A' || key === 'k') {
+        updates = actions.scrollDiff(diffState, -1, maxScroll);
+      } else if (key === '\u001b[B' || key === 'j') {
+        updates = actions.scrollDiff(diffState, 1, maxScroll);
+      } else if (key === ' ' || key === '\u001b[6~') { // Space / PageDown
+        updates = actions.scrollDiff(diffState, contentHeight, maxScroll);
+      } else if (key === 'b' || key === '\u001b[5~') { // PageUp
+        updates = actions.scrollDiff(diffState, -contentHeight, maxScroll);
+      } else if (key === 'g') {
+        updates = actions.scrollDiff(diffState, -Infinity, maxScroll);
+      } else if (key === 'G') {
+        updates = actions.scrollDiff(diffState, Infinity, maxScroll);
+      } else if (key === 'n') {
+        updates = actions.jumpToHunk(diffState, 'next', maxScroll);
+      } else if (key === 'N') {
+        updates = actions.jumpToHunk(diffState, 'prev', maxScroll);
+      } else if (key === '\t') {
+        updates = actions.switchDiffFile(diffState, 1);
+      } else if (key === '\u001b[Z') { // Shift+Tab
+        updates = actions.switchDiffFile(diffState, -1);
+      }
+      if (updates) {
+        applyUpdates(updates);
+        render();
+      }
+      return; // Ignore other keys in diff view
+    }
+
     if (store.get('previewMode')) {
-      if (key === 'v' || key === '\u001b' || key === '\r' || key === '\n') {
+      if (key === 'v' || key === '\u001b') {
         applyUpdates(actions.togglePreview(getActionState()));
         render();
         return;
       }
+      if (key === '\r' || key === '\n') {
+        // Enter drills into the selected file; with nothing to show it
+        // closes the pane as it always has
+        if (store.get('previewData').filesChanged.length > 0) {
+          await openPreviewDiff();
+        } else {
+          applyUpdates(actions.togglePreview(getActionState()));
+          render();
+        }
+        return;
+      }
+      if (key === '\u001b[A' || key === 'k' || key === '\u001b[B' || key === 'j') {
+        const direction = (key === '\u001b[A' || key === 'k') ? 'up' : 'down';
+        const updates = actions.movePreviewFile(getActionState(), direction);
+        if (updates) {
+          applyUpdates(updates);
+          render();
+        }
+        return;
+      }
       return; // Ignore other keys in preview mode
     }
 
@@ -2997,6 +4236,57 @@ function setupKeyboardInput() {
       return; // Ignore other keys in history mode
     }
 
+    if (store.get('worktreeMode')) {
+      if (key === 'w' || key === '\u001b') {
+        applyUpdates(actions.closeWorktreeList(getActionState()));
+        render();
+        return;
+      }
+      if (key === '\u001b[A' || key === 'k' || key === '\u001b[B' || key === 'j') {
+        const direction = (key === '\u001b[A' || key === 'k') ? 'up' : 'down';
+        const updates = actions.moveWorktreeSelection(getActionState(), direction);
+        if (updates) {
+          applyUpdates(updates);
+          render();
+        }
+        return;
+      }
+      const selectedWorktree = (store.get('worktrees') || [])[store.get('worktreeSelectedIndex')];
+      if (!selectedWorktree) return;
+      if (key === '\r' || key === '\n') { // Serve from the selected worktree
+        await serveFromWorktree(selectedWorktree);
+        render();
+        return;
+      }
+      if (key === 'x') { // Remove the selected worktree
+        await removeSelectedWorktree(selectedWorktree);
+        await showWorktreeList();
+        return;
+      }
+      return; // Ignore other keys in worktree list
+    }
+
+    if (store.get('digestMode')) {
+      if (key === 'n' || key === '\u001b') {
+        applyUpdates(actions.closeDigest(getActionState()));
+        render();
+        return;
+      }
+      if (key === '\u001b[A' || key === 'k' || key === '\u001b[B' || key === 'j') {
+        const direction = (key === '\u001b[A' || key === 'k') ? 'up' : 'down';
+        const { contentHeight } = renderer.getDigestLayout(getActionState());
+        if (applyUpdates(actions.scrollDigest(getActionState(), direction, contentHeight))) render();
+        return;
+      }
+      if ((key === '\r' || key === '\n' || key === 'a') && store.get('digest')) { // Mark as seen
+        if (await acknowledgeDigest('tui')) showFlash('Marked as seen');
+        applyUpdates(actions.closeDigest(getActionState()));
+        render();
+        return;
+      }
+      return; // Ignore other keys in the digest
+    }
+
     if (store.get('infoMode')) {
       if (key === 'i' || key === '\u001b') {
         applyUpdates(actions.toggleInfo(getActionState()));
@@ -3028,11 +4318,37 @@ function setupKeyboardInput() {
         render();
         return;
       }
-      if (key === '2') { // Switch to server tab
+      if (key === '2' && !NO_SERVER) { // Switch to server tab
         applyUpdates(actions.switchLogTab(getActionState(), 'server'));
         render();
         return;
       }
+      if (key === '3') { // Switch to history tab (persisted journal)
+        if (!activityJournal) {
+          showFlash('Activity history is off (journal.enabled is false)');
+          return;
+        }
+        applyUpdates(actions.switchLogTab(getActionState(), 'history'));
+        loadJournalEntries();
+        render();
+        return;
+      }
+      if (store.get('logViewTab') === 'history') {
+        let dayUpdates = null;
+        if (key === '[' || key === '\u001b[D') { // Previous day
+          dayUpdates = actions.shiftJournalDay(getActionState(), -1, toDayKey(Date.now()));
+        } else if (key === ']' || key === '\u001b[C') { // Next day
+          dayUpdates = actions.shiftJournalDay(getActionState(), 1, toDayKey(Date.now()));
+        } else if (key === 'a') { // Back to the most recent entries
+          dayUpdates = actions.clearJournalDay(getActionState());
+        }
+        if (dayUpdates) {
+          applyUpdates(dayUpdates);
+          loadJournalEntries();
+          render();
+          return;
+        }
+      }
       if (key === '\u001b[A' || key === 'k') { // Up - scroll
         applyUpdates(actions.scrollLog(getActionState(), 'up'));
         render();
@@ -3043,15 +4359,69 @@ function setupKeyboardInput() {
         render();
         return;
       }
-      if (key === 'R' && SERVER_MODE === 'command') { // Restart server from log view
-        restartServerProcess();
+      if (store.get('logViewTab') === 'server' && (key === '[' || key === '\u001b[D' || key === ']' || key === '\u001b[C')) {
+        const processUpdates = actions.cycleLogServer(getActionState(), key === '[' || key === '\u001b[D' ? -1 : 1);
+        if (processUpdates) {
+          applyUpdates(processUpdates);
+          render();
+        }
+        return;
+      }
+      if (key === 'R' && SERVER_MODE === 'command') { // Restart the process shown (or all) from log view
+        restartServerProcess(store.get('logViewServer') || undefined);
         render();
         return;
       }
       return; // Ignore other keys in log view mode
     }
 
+    if (store.get('ciLogMode')) {
+      const ciLog = store.get('ciLog');
+      if (key === '\u001b' || key === 'L') { // Back to the action modal
+        applyUpdates(actions.closeCiLog(getActionState()));
+        render();
+        return;
+      }
+      const { contentHeight } = renderer.getCiLogLayout(getActionState());
+      const scrollBy = (key === '\u001b[A' || key === 'k') ? -1
+        : (key === '\u001b[B' || key === 'j') ? 1
+        : key === '\u001b[5~' ? -contentHeight
+        : key === '\u001b[6~' ? contentHeight
+        : 0;
+      if (scrollBy) {
+        if (applyUpdates(actions.scrollCiLog(getActionState(), scrollBy, contentHeight))) render();
+        return;
+      }
+      if (key === 'o' && ciLog && ciLog.url) {
+        addLog(`Opening ${ciLog.url}`, 'info');
+        openInBrowser(ciLog.url);
+        render();
+        return;
+      }
+      return; // Ignore other keys in the CI log
+    }
+
+    if (store.get('prFormMode')) {
+      const form = store.get('prForm');
+      if (!form || form.submitting) return; // Wait for gh/glab
+      if (key === '\u001b') { // Back to the action modal
+        applyUpdates(actions.closePrForm(getActionState()));
+        render();
+        return;
+      }
+      if ((key === '\r' || key === '\n') && form.field === 'submit') {
+        await submitCreatePrForm();
+        return;
+      }
+      if (applyUpdates(actions.editPrForm(getActionState(), key))) render();
+      return;
+    }
+
     if (store.get('actionMode')) {
+      if (store.get('actionPrompt')) {
+        await handleActionPromptKey(key);
+        return;
+      }
       if (key === '\u001b') { // Escape to close
         applyUpdates(actions.closeActionModal(getActionState()));
         render();
@@ -3059,12 +4429,18 @@ function setupKeyboardInput() {
       }
       const currentActionData = store.get('actionData');
       if (!currentActionData) return;
-      const { branch: aBranch, sessionUrl, prInfo, hasGh, hasGlab, ghAuthed, glabAuthed, webUrl, platform, prLoaded } = currentActionData;
-      const cliReady = (platform === 'gitlab') ? (hasGlab && glabAuthed) : (hasGh && ghAuthed);
+      const { branch: aBranch, sessionUrl, prInfo, checks, hasGh, hasGlab, ghAuthed, glabAuthed, webUrl, webUrlBase, platform, apiReady, prLoaded } = currentActionData;
+      // Creating, approving and merging go through gh/glab; Gitea and
+      // Bitbucket are read-only over their APIs
+      const cliReady = platform === 'gitlab' ? (hasGlab && glabAuthed) : platform === 'github' && (hasGh && ghAuthed);
       const prLabel = platform === 'gitlab' ? 'MR' : 'PR';
 
-      // Helper to extract the base repo URL from a branch-specific URL
-      const repoUrl = webUrl ? webUrl.replace(/\/tree\/.*$/, '') : null;
+      let prUrl = null;
+      if (prInfo && webUrlBase) {
+        try {
+          prUrl = buildPrUrl(webUrlBase, new URL(webUrlBase).hostname, prInfo.number, platform);
+        } catch (e) { /* invalid webUrlBase — PR links stay disabled */ }
+      }
 
       if (key === 'b' && webUrl) { // Open branch on web host
         addLog(`Opening ${webUrl}`, 'info');
@@ -3072,6 +4448,11 @@ function setupKeyboardInput() {
         render();
         return;
       }
+      if (key === 'w' && !aBranch.isDeleted) { // Open in worktree
+        applyUpdates(actions.closeActionModal(getActionState()));
+        await openBranchInWorktree(aBranch);
+        return;
+      }
       if (key === 'c' && sessionUrl) { // Open Claude session
         addLog(`Opening Claude session...`, 'info');
         openInBrowser(sessionUrl);
@@ -3079,132 +4460,93 @@ function setupKeyboardInput() {
         return;
       }
       if (key === 'p') { // Create or view PR
-        if (prInfo && repoUrl) {
+        if (prInfo && prUrl) {
           // View existing PR on web
-          const prUrl = platform === 'gitlab'
-            ? `${repoUrl}/-/merge_requests/${prInfo.number}`
-            : `${repoUrl}/pull/${prInfo.number}`;
           addLog(`Opening ${prLabel} #${prInfo.number}...`, 'info');
           openInBrowser(prUrl);
         } else if (!prInfo && prLoaded && cliReady) {
           // Create PR — only if we've confirmed no PR exists (prLoaded=true)
-          telemetry.capture('pr_action', { action: 'create' });
-          addLog(`Creating ${prLabel} for ${aBranch.name}...`, 'update');
-          render();
-          try {
-            let result;
-            if (platform === 'gitlab') {
-              result = await execCli('glab', ['mr', 'create', `--source-branch=${aBranch.name}`, '--fill', '--yes']);
-            } else {
-              result = await execCli('gh', ['pr', 'create', '--head', aBranch.name, '--fill']);
-            }
-            addLog(`${prLabel} created: ${(result.stdout || '').trim().split('\n').pop()}`, 'success');
-            // Invalidate cache and refresh modal data
-            prInfoCache.delete(aBranch.name);
-            const refreshedData = gatherLocalActionData(aBranch);
-            store.setState({ actionData: refreshedData, actionLoading: true });
-            render();
-            loadAsyncActionData(aBranch, refreshedData).then((fullData) => {
-              if (store.get('actionMode') && store.get('actionData') && store.get('actionData').branch.name === aBranch.name) {
-                store.setState({ actionData: fullData, actionLoading: false });
-                render();
-              }
-            }).catch(() => { /* PR was created; modal refresh is a nice-to-have, user can reopen */ });
-          } catch (e) {
-            const msg = (e && e.stderr) || (e && e.message) || String(e);
-            addLog(`Failed to create ${prLabel}: ${msg.split('\n')[0]}`, 'error');
-          }
+          applyUpdates(actions.openPrForm(getActionState(), aBranch.name));
+          getBranchPrDraft(aBranch.name)
+            .catch(() => ({ title: titleFromBranch(aBranch.name), body: '', base: '' }))
+            .then((draft) => {
+              if (applyUpdates(actions.fillPrForm(getActionState(), aBranch.name, draft))) render();
+            });
         } else if (!prLoaded) {
           addLog(`Still loading ${prLabel} info...`, 'info');
         }
         render();
         return;
       }
-      if (key === 'd' && prInfo && repoUrl) { // View diff on web
-        const diffUrl = platform === 'gitlab'
-          ? `${repoUrl}/-/merge_requests/${prInfo.number}/diffs`
-          : `${repoUrl}/pull/${prInfo.number}/files`;
+      if (key === 'd' && prInfo && prUrl) { // View diff on web
+        const diffTab = { gitlab: '/diffs', bitbucket: '/diff', gitea: '/files', github: '/files' }[platform] || '';
+        const diffUrl = prUrl + diffTab;
         addLog(`Opening ${prLabel} #${prInfo.number} diff...`, 'info');
         openInBrowser(diffUrl);
         render();
         return;
       }
       if (key === 'a' && prInfo && cliReady) { // Approve PR
-        telemetry.capture('pr_action', { action: 'approve' });
-        addLog(`Approving ${prLabel} #${prInfo.number}...`, 'update');
-        render();
-        try {
-          if (platform === 'gitlab') {
-            await execCli('glab', ['mr', 'approve', String(prInfo.number)]);
-          } else {
-            await execCli('gh', ['pr', 'review', String(prInfo.number), '--approve']);
-          }
-          addLog(`${prLabel} #${prInfo.number} approved`, 'success');
-          // Refresh PR info to show updated status
-          prInfoCache.delete(aBranch.name);
-        } catch (e) {
-          const msg = (e && e.stderr) || (e && e.message) || String(e);
-          addLog(`Failed to approve: ${msg.split('\n')[0]}`, 'error');
+        await runPrAction(aBranch, prInfo, platform, 'approve');
+        return;
+      }
+      const canEditPr = prInfo && (prInfo.state === 'OPEN' || prInfo.state === 'open') && cliReady;
+      if ((key === 'm' || key === 'M') && canEditPr) { // Merge PR ([M] picks the method)
+        if (key === 'M' || PR_MERGE_METHOD === 'ask') {
+          applyUpdates(actions.openActionPrompt(getActionState(), 'merge', PR_MERGE_METHOD));
+          render();
+        } else {
+          await runPrAction(aBranch, prInfo, platform, 'merge', { method: PR_MERGE_METHOD, deleteBranch: PR_DELETE_BRANCH });
+        }
+        return;
+      }
+      if (key === 'A' && canEditPr) { // Enable auto-merge
+        if (PR_MERGE_METHOD === 'ask') {
+          applyUpdates(actions.openActionPrompt(getActionState(), 'auto-merge'));
+          render();
+        } else {
+          await runPrAction(aBranch, prInfo, platform, 'auto-merge', { method: PR_MERGE_METHOD, deleteBranch: PR_DELETE_BRANCH });
         }
+        return;
+      }
+      if (key === 'D' && canEditPr) { // Toggle draft / ready for review
+        await runPrAction(aBranch, prInfo, platform, prInfo.draft ? 'ready' : 'draft');
+        return;
+      }
+      if ((key === 'r' || key === 'l') && canEditPr) { // Request review / add label
+        applyUpdates(actions.openActionPrompt(getActionState(), key === 'r' ? 'request-review' : 'add-label'));
         render();
         return;
       }
-      if (key === 'm' && prInfo && cliReady) { // Merge PR
-        telemetry.capture('pr_action', { action: 'merge' });
-        addLog(`Merging ${prLabel} #${prInfo.number}...`, 'update');
+      if (key === 'x' && canEditPr) { // Close PR
+        await runPrAction(aBranch, prInfo, platform, 'close');
+        return;
+      }
+      if (key === 'i' && (cliReady || apiReady) && (prInfo || platform === 'gitlab')) { // Refresh CI checks
+        addLog(`Checking CI for ${aBranch.name}...`, 'info');
         render();
         try {
-          if (platform === 'gitlab') {
-            await execCli('glab', ['mr', 'merge', String(prInfo.number), '--squash', '--remove-source-branch', '--yes']);
-          } else {
-            await execCli('gh', ['pr', 'merge', String(prInfo.number), '--squash', '--delete-branch']);
-          }
-          addLog(`${prLabel} #${prInfo.number} merged`, 'success');
-          store.setState({ actionMode: false, actionData: null, actionLoading: false });
-          prInfoCache.delete(aBranch.name);
-          // Force-refresh bulk PR statuses so inline indicators update immediately
-          lastPrStatusFetch = 0;
-          await pollGitChanges();
+          const refreshed = await reloadActionData(aBranch);
+          if (refreshed) addLog(`CI for ${aBranch.name}: ${summarizeChecks(refreshed.checks)}`, 'info');
         } catch (e) {
-          const msg = (e && e.stderr) || (e && e.message) || String(e);
-          addLog(`Failed to merge: ${msg.split('\n')[0]}`, 'error');
+          addLog(`CI check failed: ${(e && e.message) || String(e)}`, 'error');
         }
         render();
         return;
       }
-      if (key === 'i' && cliReady) { // CI status
-        addLog(`Checking CI for ${aBranch.name}...`, 'info');
+      if (key === 'L' && cliReady) { // Failing job log
+        const failed = (checks || []).find((c) => c.status === 'fail' && c.id);
+        if (!failed) return;
+        applyUpdates(actions.openCiLog(getActionState(), failed));
         render();
+        let result;
         try {
-          if (platform === 'gitlab') {
-            const result = await execCli('glab', ['ci', 'status', '--branch', aBranch.name]);
-            const lines = (result.stdout || '').trim().split('\n');
-            for (const line of lines.slice(0, 3)) {
-              addLog(line.trim(), 'info');
-            }
-          } else if (prInfo) {
-            const result = await execCli('gh', ['pr', 'checks', String(prInfo.number)]);
-            const lines = (result.stdout || '').trim().split('\n');
-            for (const line of lines.slice(0, 5)) {
-              addLog(line.trim(), 'info');
-            }
-          } else {
-            addLog(`No open ${prLabel} — CI status requires an open ${prLabel} on GitHub`, 'info');
-          }
+          result = { lines: await fetchCiLog(failed.id, platform) };
         } catch (e) {
-          // gh pr checks exits non-zero when checks fail — stdout still has useful info
-          const output = (e && e.stdout) || '';
-          if (output.trim()) {
-            const lines = output.trim().split('\n');
-            for (const line of lines.slice(0, 5)) {
-              addLog(line.trim(), 'info');
-            }
-          } else {
-            const msg = (e && e.stderr) || (e && e.message) || String(e);
-            addLog(`CI check failed: ${msg.split('\n')[0]}`, 'error');
-          }
+          result = { error: (e && e.message) || String(e) };
         }
-        render();
+        const { contentHeight } = renderer.getCiLogLayout(getActionState());
+        if (applyUpdates(actions.showCiLog(getActionState(), failed.id, result, contentHeight))) render();
         return;
       }
       return; // Ignore other keys in action mode
@@ -3387,6 +4729,28 @@ function setupKeyboardInput() {
       return; // Ignore other keys while the divergence dialog is open
     }
 
+    // Handle the dependency install prompt
+    if (store.get('installConfirmMode')) {
+      if (key === '\u001b[A' || key === 'k' || key === '\u001b[B' || key === 'j') { // Up/Down
+        store.setState({ installConfirmSelectedIndex: key === '\u001b[A' || key === 'k' ? 0 : 1 });
+        render();
+        return;
+      }
+      if (key === '\r' || key === '\n') { // Enter — execute selected option
+        installPrompt.answer(store.get('installConfirmSelectedIndex') === 0);
+        return;
+      }
+      if (key === 'y' || key === 'Y') {
+        installPrompt.answer(true);
+        return;
+      }
+      if (key === '\u001b' || key === 'n' || key === 'N') { // Escape — skip
+        installPrompt.answer(false);
+        return;
+      }
+      return; // Ignore other keys while the install prompt is open
+    }
+
     // Handle stash confirmation dialog
     if (store.get('stashConfirmMode')) {
       if (key === '\u001b[A' || key === 'k') { // Up
@@ -3476,29 +4840,34 @@ function setupKeyboardInput() {
       case '\n':
         if (displayBranches.length > 0 && curSelIdx < displayBranches.length) {
           const branch = displayBranches[curSelIdx];
-          if (branch.isDeleted) {
+          if (branch.isGroupHeader) {
+            applyUpdates(actions.toggleGroup(actionState, branch.name));
+            render();
+          } else if (branch.isDeleted) {
             addLog(`Cannot switch to deleted branch: ${branch.name}`, 'error');
             render();
           } else if (branch.name !== store.get('currentBranch')) {
             // Clear search when switching
-            store.setState({ searchQuery: '', filteredBranches: null, searchMode: false });
+            applyUpdates(actions.refreshBranchView(actionState, { searchQuery: '', searchMode: false }));
             await switchToBranch(branch.name);
             await pollGitChanges();
           }
         }
         break;
 
-      case 'v': // Preview pane
-        if (displayBranches.length > 0 && curSelIdx < displayBranches.length) {
-          const branch = displayBranches[curSelIdx];
+      case 'v': { // Preview pane
+        const branch = actions.getSelectedBranch(actionState);
+        if (branch) {
           addLog(`Loading preview for ${branch.name}...`, 'info');
           render();
           const pvData = await getPreviewData(branch.name);
-          store.setState({ previewData: pvData, previewMode: true });
+          // Fresh file cursor and diff for each preview
+          store.setState({ previewData: pvData, previewMode: true, previewFileIndex: 0, diffFiles: null, diffError: null });
           telemetry.capture('preview_opened');
           render();
         }
         break;
+      }
 
       case '/': // Search mode
         applyUpdates(actions.enterSearchMode(actionState));
@@ -3565,8 +4934,7 @@ function setupKeyboardInput() {
         break;
 
       case 'b': { // Branch action modal
-        const branch = displayBranches.length > 0 && curSelIdx < displayBranches.length
-          ? displayBranches[curSelIdx] : null;
+        const branch = actions.getSelectedBranch(actionState);
         if (branch) {
           telemetry.capture('branch_actions_opened');
           // Phase 1: Open modal instantly with local/cached data
@@ -3638,6 +5006,31 @@ function setupKeyboardInput() {
         break;
       }
 
+      case 'P': // Pin/unpin selected branch
+      case 'M': { // Mute/unmute selected branch
+        const branch = actions.getSelectedBranch(actionState);
+        if (branch) {
+          const kind = key === 'P' ? 'pin' : 'mute';
+          toggleBranchRule(kind, branch.name);
+          telemetry.capture(kind === 'pin' ? 'branch_pin_toggled' : 'branch_mute_toggled');
+          render();
+        }
+        break;
+      }
+
+      case 'O': { // Cycle sort order
+        applyUpdates(actions.cycleSortMode(actionState));
+        showFlash(`Sorted by ${SORT_LABELS[store.get('sortMode')]}`);
+        render();
+        break;
+      }
+
+      case 'g': // Group by prefix
+        applyUpdates(actions.toggleGrouping(actionState));
+        showFlash(store.get('groupByPrefix') ? 'Grouped by prefix' : 'Grouping off');
+        render();
+        break;
+
       case 'S': // Stash changes — open confirm dialog or show hint
         if (pendingDirtyOperation) {
           const label = pendingDirtyOperation.type === 'switch'
@@ -3673,6 +5066,14 @@ function setupKeyboardInput() {
         break;
       }
 
+      case 'w': // Worktree list
+        await showWorktreeList();
+        break;
+
+      case 'n': // What changed since last seen
+        await showDigest();
+        break;
+
       case 'W': { // Toggle web dashboard
         if (webDashboard || worker) {
           const wasPort = stopWebDashboard();
@@ -3798,6 +5199,82 @@ async function handleWebAction(action, payload) {
         sendResult(true, current ? 'Sound off' : 'Sound on');
         break;
       }
+      case 'togglePin':
+      case 'toggleMute': {
+        if (!payload.branch || !isValidBranchName(payload.branch)) {
+          sendResult(false, 'Invalid branch name');
+          break;
+        }
+        const message = toggleBranchRule(action === 'togglePin' ? 'pin' : 'mute', payload.branch);
+        render();
+        sendResult(true, message);
+        break;
+      }
+      case 'createPr': {
+        if (!payload.branch || !isValidBranchName(payload.branch)) {
+          sendResult(false, 'Invalid branch name');
+          break;
+        }
+        const prLabel = (cachedEnv || {}).platform === 'gitlab' ? 'MR' : 'PR';
+        addLog(`Creating ${prLabel} for ${payload.branch} (from web)...`, 'update');
+        render();
+        try {
+          const url = await createPullRequest(payload.branch, {
+            title: String(payload.title || ''),
+            body: String(payload.body || ''),
+            base: String(payload.base || ''),
+            draft: payload.draft === true,
+            reviewers: String(payload.reviewers || ''),
+          });
+          addLog(`${prLabel} created: ${url}`, 'success');
+          sendResult(true, `${prLabel} created: ${url}`);
+        } catch (e) {
+          addLog(`Failed to create ${prLabel}: ${e.message}`, 'error');
+          sendResult(false, `Failed to create ${prLabel}: ${e.message}`);
+        }
+        render();
+        break;
+      }
+      case 'commentPr': {
+        if (!payload.branch || !isValidBranchName(payload.branch)) {
+          sendResult(false, 'Invalid branch name');
+          break;
+        }
+        const platform = (cachedEnv || {}).platform;
+        const prLabel = platform === 'gitlab' ? 'MR' : 'PR';
+        try {
+          const number = await findPrNumber(payload.branch, platform);
+          if (!number) throw new Error('no pull request for this branch');
+          const [cmd, args] = buildPrCommand(platform, 'comment', number, { body: String(payload.body || '') });
+          await execCli(cmd, args);
+          addLog(`Commented on ${prLabel} #${number} (from web)`, 'success');
+          sendResult(true, `Commented on ${prLabel} #${number}`);
+        } catch (e) {
+          addLog(`Failed to comment on ${payload.branch}: ${e.message}`, 'error');
+          sendResult(false, `Failed to comment: ${e.message}`);
+        }
+        render();
+        break;
+      }
+      case 'acknowledgeDigest':
+        if (await acknowledgeDigest('web')) {
+          // The TUI overlay showed the same changes; don't ask twice
+          if (store.get('digestMode')) applyUpdates(actions.closeDigest(getActionState()));
+          render();
+          sendResult(true, 'Marked as seen');
+        } else {
+          sendResult(false, "Couldn't save last-seen snapshot");
+        }
+        break;
+      case 'installDependencies': {
+        // Answers the install prompt; `id` makes sure it's still the one shown
+        if (typeof payload.id !== 'number' || !installPrompt.answer(payload.install === true, payload.id)) {
+          sendResult(false, 'No install is waiting');
+        } else {
+          sendResult(true, payload.install === true ? 'Installing dependencies' : 'Install skipped');
+        }
+        break;
+      }
       case 'toggleCasino': {
         const casinoOn = store.get('casinoModeEnabled');
         store.setState({ casinoModeEnabled: !casinoOn });
@@ -3806,16 +5283,20 @@ async function handleWebAction(action, payload) {
         sendResult(true, casinoOn ? 'Casino mode off' : 'Casino mode on');
         break;
       }
-      case 'restartServer':
-        if (SERVER_MODE === 'command') {
-          addLog('Restarting server (from web)...', 'update');
-          restartServerProcess();
-          render();
-          sendResult(true, 'Server restarting');
-        } else {
+      case 'restartServer': {
+        // payload.process picks one process; without it, all of them restart
+        const processName = payload.process ? String(payload.process) : undefined;
+        if (SERVER_MODE !== 'command') {
           sendResult(false, 'Not in command mode');
+        } else if (processName !== undefined && !SERVER_COMMANDS.some((c) => c.name === processName)) {
+          sendResult(false, `Unknown server process: ${processName}`);
+        } else {
+          restartServerProcess(processName, ' (from web)');
+          render();
+          sendResult(true, processName === undefined ? 'Server restarting' : `${processName} restarting`);
         }
         break;
+      }
       case 'reloadBrowsers':
         if (SERVER_MODE === 'static') {
           addLog('Force reloading browsers (from web)...', 'update');
@@ -4012,8 +5493,20 @@ async function startWebDashboard(openBrowser) {
     getExtraState: () => ({
       clientCount: clients.size,
       sessionStats: sessionStats.getStats(),
+      activityWindow: ACTIVITY_WINDOW,
     }),
     onAction: handleWebAction,
+    getDiff: getWebDiff,
+    getChecks: getWebChecks,
+    getConversation: getWebConversation,
+    getPrDraft: getBranchPrDraft,
+    getCheckLog: async (jobId) => ({ lines: await fetchCiLog(jobId, (cachedEnv || {}).platform) }),
+    getJournal: activityJournal ? (query) => activityJournal.read(query) : null,
+    getDigest: async () => {
+      const { since, entries } = await computeDigest('web');
+      return { since, entries };
+    },
+    getHeatmap: getActivityHeatmap,
     // Route actions for non-local project tabs through the coordinator so
     // the targeted worker handles them in its own process. Without this,
     // every action runs against the coordinator's repo regardless of which
@@ -4026,7 +5519,7 @@ async function startWebDashboard(openBrowser) {
 
   // Resolve and cache the repo web URL for link building in the web UI
   getRemoteWebUrl(null).then((url) => {
-    if (url) webDashboard.setRepoWebUrl(url);
+    if (url) webDashboard.setRepoWebUrl(url, detectPlatform(url, HOSTING_HOSTS));
   }).catch(() => { /* no remote or unreachable — web UI falls back to branch names without links */ });
 
   // Atomically try to claim the coordinator role. If another live instance
@@ -4404,8 +5897,9 @@ let monitorLockFile = null;
  * execute; the dev-server close promise is bubbled up so async callers
  * can await it before process.exit().
  *
- * @returns {Promise<void>} resolves when the dev-server child has exited
- *   (or a hard cap elapses). Synchronous callers may ignore it.
+ * @returns {Promise<void>} resolves when the dev-server child and any
+ *   running hook commands have exited (or a hard cap elapses). Synchronous
+ *   callers may ignore it.
  */
 function cleanupResources() {
   if (_resourcesCleaned) return Promise.resolve();
@@ -4453,6 +5947,13 @@ function cleanupResources() {
     try { serverStopPromise = stopServerProcess(); } catch (_) {}
   }
 
+  // Branch-event hook commands run in their own process groups too, so a
+  // long `npm test` hook would outlive us unless it's stopped here.
+  let hooksStopPromise = Promise.resolve();
+  if (hookRunner) {
+    try { hooksStopPromise = hookRunner.stop(); } catch (_) {}
+  }
+
   // Web dashboard + worker/coordinator (unlinks lock file + IPC socket)
   try { stopWebDashboard(); } catch (_) {}
 
@@ -4463,7 +5964,7 @@ function cleanupResources() {
     monitorLockFile = null;
   }
 
-  return serverStopPromise;
+  return Promise.all([serverStopPromise, hooksStopPromise]).then(() => {});
 }
 
 async function shutdown() {
@@ -4496,7 +5997,11 @@ async function shutdown() {
   });
   await telemetry.shutdown();
 
-  console.log('\n✓ Git Watchtower stopped\n');
+  if (HEADLESS) {
+    emitEvent(EVENT_TYPES.STOPPED, { pid: process.pid });
+  } else {
+    console.log('\n✓ Git Watchtower stopped\n');
+  }
   process.exit(0);
 }
 
@@ -4576,12 +6081,13 @@ async function start() {
   // frame writes hideCursor/clearScreen/moveTo/color escapes into the pipe,
   // producing an unreadable log and wasting CPU on a render loop no human
   // will see. Refuse to start and point the user at a sensible alternative.
-  if (!process.stdout.isTTY) {
+  // --headless is that alternative: no frames, just NDJSON events.
+  if (!process.stdout.isTTY && !HEADLESS) {
     console.error('git-watchtower: stdout is not a TTY.');
     console.error('');
     console.error('  This is an interactive terminal UI and cannot render when stdout is');
-    console.error('  piped or redirected. If you only need a CI-friendly status check,');
-    console.error('  use `git fetch` + `git log` directly.');
+    console.error('  piped or redirected. To monitor from a script or service, run');
+    console.error('  `git-watchtower --headless` for a JSON event stream on stdout.');
     process.exit(1);
   }
 
@@ -4641,7 +6147,8 @@ async function start() {
   // events fire — every subsequent queueEvent() call reuses it.
   const installSource = detectInstallSource();
   telemetry.setVersion(PACKAGE_VERSION);
-  await telemetry.promptIfNeeded(promptYesNo);
+  // The consent prompt prints to stdout — never ask in headless mode
+  if (!HEADLESS) await telemetry.promptIfNeeded(promptYesNo);
   telemetry.init({ version: PACKAGE_VERSION });
   sessionStartTime = Date.now();
   telemetry.capture('tool_launched', {
@@ -4689,6 +6196,7 @@ async function start() {
     addLog(`Warning: In detached HEAD state`, 'warning');
   }
   const initBranches = await getAllBranches();
+  initBranches.sort(comparePinned);
   store.setState({ branches: initBranches });
 
   // Initialize previous states and known branches
@@ -4708,6 +6216,7 @@ async function start() {
   // Detect default branch for ahead/behind counts, then fetch initial data
   detectDefaultBranch().then(() => {
     fetchAheadBehindForBranches(initBranches).catch(() => { /* ahead/behind is background-only — stale counts are better than a noisy startup */ });
+    showStartupDigest().catch((e) => addLog(`Couldn't compare with last visit: ${e.message || e}`, 'warning'));
   }).catch(() => { /* no default branch detectable (no remote refs yet) — ahead/behind stays hidden */ });
 
   // Load sparklines and action cache in background
@@ -4717,6 +6226,7 @@ async function start() {
     fetchAllPrStatuses().then(map => {
       if (map) {
         store.setState({ branchPrStatusMap: map });
+        refreshBranchView();
         lastPrStatusFetch = Date.now();
         render();
       }
@@ -4730,7 +6240,7 @@ async function start() {
     addLog(`Current branch: ${startBranchName}`, 'info');
     render();
   } else if (SERVER_MODE === 'command') {
-    addLog(`Command mode: ${SERVER_COMMAND}`, 'info');
+    addLog(`Command mode: ${SERVER_COMMANDS.length === 1 ? SERVER_COMMANDS[0].command : SERVER_COMMANDS.map((c) => c.name).join(', ')}`, 'info');
     addLog(`Current branch: ${startBranchName}`, 'info');
     render();
     // Start the user's dev server
@@ -4770,14 +6280,16 @@ async function start() {
     await startWebDashboard(true);
   }
 
-  // Setup keyboard input
-  setupKeyboardInput();
+  if (!HEADLESS) {
+    // Setup keyboard input
+    setupKeyboardInput();
 
-  // Handle terminal resize
-  process.stdout.on('resize', () => {
-    updateTerminalSize();
-    render();
-  });
+    // Handle terminal resize
+    process.stdout.on('resize', () => {
+      updateTerminalSize();
+      render();
+    });
+  }
 
   // Start polling with adaptive interval (setTimeout-based to avoid queuing)
   schedulePoll();
@@ -4785,6 +6297,17 @@ async function start() {
   // Initial render
   render();
 
+  emitEvent(EVENT_TYPES.STARTED, {
+    version: PACKAGE_VERSION,
+    pid: process.pid,
+    repo: PROJECT_ROOT,
+    branch: store.get('currentBranch'),
+    remotes: MONITORED_REMOTES,
+    serverMode: SERVER_MODE,
+    pollInterval: GIT_POLL_INTERVAL,
+    autoPull: AUTO_PULL,
+  });
+
   // Check for newer version on npm (non-blocking, silent on failure)
   checkForUpdate().then((latestVersion) => {
     if (latestVersion) {
@@ -25,6 +25,7 @@ const { LIMITS } = require('../config/schema');
  * @property {boolean} web - Enable web dashboard mode
  * @property {number|null} webPort - Web dashboard port override
  * @property {boolean} force - Bypass the single-instance lock for this repo
+ * @property {boolean} headless - Run without the TUI, emitting NDJSON events on stdout
  * @property {string[]} errors - Validation errors encountered during parsing
  */
 
@@ -61,6 +62,7 @@ function parseArgs(argv, options = {}) {
     init: false,
     casino: false,
     force: false,
+    headless: false,
     // Parsing errors
     errors: [],
   };
@@ -171,6 +173,8 @@ function parseArgs(argv, options = {}) {
       result.init = true;
     } else if (args[i] === '--force') {
       result.force = true;
+    } else if (args[i] === '--headless') {
+      result.headless = true;
     } else if (args[i] === '--version' || args[i] === '-v') {
       if (options.onVersion) {
         options.onVersion(PACKAGE_VERSION);
@@ -323,6 +327,8 @@ General:
   --init                  Run the configuration wizard
   --force                 Allow starting even if another instance is running
                           against this repo (not recommended)
+  --headless              Run without the terminal UI and print one JSON event
+                          per line to stdout (for scripts, systemd, logs)
   -v, --version           Show version number
   -h, --help              Show this help message
 
@@ -345,6 +351,7 @@ Examples:
   git-watchtower --web                             # TUI + web dashboard on :4000
   git-watchtower --web --web-port 8080              # Web dashboard on custom port
   git-watchtower --no-sound --poll-interval 10000
+  git-watchtower --headless | jq .                  # Stream events as JSON
 `;
 }
 
@@ -5,6 +5,12 @@
 
 const path = require('path');
 const { ConfigError, ValidationError } = require('../utils/errors');
+const { EVENT_TYPES } = require('../events/stream');
+const { DEFAULT_NOTIFICATION_EVENTS } = require('../events/notifications');
+const { PLATFORMS } = require('../git/remote');
+const { MERGE_METHODS } = require('../git/pr-actions');
+const { DEFAULT_AGENT_RULES } = require('../git/agents');
+const { ACTIVITY_WINDOWS } = require('../git/activity');
 
 /**
  * @typedef {'static' | 'command' | 'none'} ServerMode
@@ -15,8 +21,65 @@ const { ConfigError, ValidationError } = require('../utils/errors');
  * @property {ServerMode} mode - Server mode
  * @property {string} staticDir - Directory for static files
  * @property {string} command - Command for command mode
+ * @property {ServerCommandConfig[]} commands - Named processes for command mode (replaces `command`)
  * @property {number} port - Server port
  * @property {boolean} restartOnSwitch - Restart on branch switch
+ * @property {HealthCheckConfig|null} healthCheck - Readiness probe for command mode
+ * @property {AutoRestartConfig} autoRestart - What to do when a command-mode process crashes
+ * @property {ServerOverrideConfig[]} branchOverrides - Per-branch command, env and pre-start steps
+ */
+
+/**
+ * Readiness probe: a URL answering below 400, or a port accepting
+ * connections. Exactly one of `url` and `port` is set.
+ * @typedef {Object} HealthCheckConfig
+ * @property {string} [url] - URL to GET
+ * @property {number} [port] - Local port to connect to
+ * @property {number} interval - Time between probes (ms)
+ * @property {number} timeout - Time one probe may take (ms)
+ * @property {number} startupTimeout - Time to become ready before the process counts as unhealthy (ms)
+ * @property {number} failureThreshold - Failed probes in a row that make a ready process unhealthy
+ */
+
+/**
+ * Crash restarts: after the nth crash in a row the process is restarted
+ * after initialDelay * 2^(n-1), capped at maxDelay, up to maxRetries times.
+ * @typedef {Object} AutoRestartConfig
+ * @property {boolean} enabled
+ * @property {number} maxRetries - Restarts before giving up
+ * @property {number} initialDelay - Delay before the first restart (ms)
+ * @property {number} maxDelay - Longest delay between restarts (ms)
+ */
+
+/**
+ * @typedef {Object} ServerCommandConfig
+ * @property {string} name - Shown as the process's log tab
+ * @property {string} command - Command to run
+ * @property {number|null} port - Passed as PORT; the first one is opened in the browser
+ * @property {Object<string, string>} env - Extra environment variables
+ * @property {boolean} restartOnSwitch - Restart on branch switch (defaults to server.restartOnSwitch)
+ * @property {HealthCheckConfig|null} healthCheck - Defaults to server.healthCheck
+ * @property {AutoRestartConfig} autoRestart - Fields not set default to server.autoRestart
+ */
+
+/**
+ * Dev server settings for the branches matching `branches`. Every matching
+ * override applies, in config order: a later `command` wins, `env` is
+ * merged, and all their pre-start steps run.
+ * @typedef {Object} ServerOverrideConfig
+ * @property {string[]} branches - Branch globs (empty = every branch)
+ * @property {string|null} process - Process it applies to (null = all of them)
+ * @property {string|null} command - Replaces the process's command
+ * @property {Object<string, string>} env - Merged over the process's env
+ * @property {PreStartStepConfig[]} preStart - Run after switching to a matching branch, before the restart
+ */
+
+/**
+ * @typedef {Object} PreStartStepConfig
+ * @property {string} command - Shell command, run in the project root
+ * @property {string[]} changed - File globs; the step only runs when the switch
+ *   changed a matching file (empty = on every switch)
+ * @property {number} timeout - Time the step may take (ms)
  */
 
 /**
@@ -34,17 +97,100 @@ const { ConfigError, ValidationError } = require('../utils/errors');
  * @property {number} factor - Multiplier applied to the interval per step
  */
 
+/**
+ * @typedef {Object} BranchRulesConfig
+ * @property {string[]} pin - Branch globs listed above all others
+ * @property {string[]} mute - Branch globs that never flash or play a sound
+ * @property {string[]} ignore - Branch globs hidden from the list
+ */
+
+/**
+ * @typedef {Object} HookConfig
+ * @property {string} [name] - Label used in log messages
+ * @property {string[]} events - Event types that trigger the hook
+ * @property {string[]} branches - Branch globs to filter on (empty = all branches)
+ * @property {string} [command] - Shell command to run (mutually exclusive with url)
+ * @property {string} [url] - http(s) URL to POST the event to
+ * @property {Object<string, string>} [headers] - Extra request headers (url hooks only)
+ * @property {number} [timeout] - Per-run timeout in ms
+ */
+
+/**
+ * @typedef {Object} DesktopNotificationsConfig
+ * @property {boolean} enabled - Raise OS notifications from the terminal process
+ * @property {Object<string, boolean>} events - Per-event-type toggles
+ */
+
+/**
+ * @typedef {Object} WorktreesConfig
+ * @property {string} dir - Where "open in worktree" creates worktrees
+ *   (empty = `<project>.worktrees` next to the project)
+ */
+
+/**
+ * @typedef {Object} JournalConfig
+ * @property {boolean} enabled - Persist the activity log and branch switches
+ *   to ~/.watchtower so they survive restarts
+ */
+
+/**
+ * Dependency installs after a switch or pull changes a lockfile.
+ * @typedef {Object} AutoInstallConfig
+ * @property {'ask'|'auto'|'off'} mode - Offer the install, run it, or do nothing
+ * @property {Object<string, string|null>} commands - Lockfile name -> install
+ *   command, over the built-in ones; null turns a lockfile off
+ * @property {number} timeout - Time one install may take (ms)
+ */
+
+/**
+ * @typedef {Object} ActivityConfig
+ * @property {import('../git/activity').ActivityWindow} window - Time span of the
+ *   activity sparklines: '24h' (hourly), '7d' or '30d' (daily)
+ */
+
+/**
+ * @typedef {Object} HostingConfig
+ * @property {Object<string, string>} hosts - Hostname -> platform, for self-hosted
+ *   servers whose name doesn't give the platform away
+ */
+
+/**
+ * @typedef {Object} PrConfig
+ * @property {'squash'|'merge'|'rebase'|'ask'} mergeMethod - How `m` merges a PR
+ *   ('ask' prompts for the method each time)
+ * @property {boolean} deleteBranch - Delete the source branch once merged
+ */
+
+/**
+ * @typedef {Object} AgentRuleConfig
+ * @property {string} name - Agent name shown on badges and used by `agent:` searches
+ * @property {string[]} branches - Branch globs the agent pushes to
+ * @property {string[]} emails - Author email globs the agent commits as
+ * @property {string[]} trailers - Commit trailer globs ("Co-Authored-By: Claude*")
+ */
+
 /**
  * @typedef {Object} Config
  * @property {ServerConfig} server - Server configuration
  * @property {WebConfig} web - Web dashboard configuration
- * @property {string} remoteName - Git remote name
+ * @property {string} remoteName - Primary git remote name (pull/checkout/divergence target)
+ * @property {string[]} remotes - Additional remotes to monitor alongside remoteName
  * @property {boolean} autoPull - Auto-pull enabled
+ * @property {AutoInstallConfig} autoInstall - Dependency installs when lockfiles change
  * @property {number} gitPollInterval - Polling interval in ms
  * @property {InactivityBackoffConfig} inactivityBackoff - Idle poll backoff settings
  * @property {boolean} soundEnabled - Sound notifications enabled
  * @property {number} visibleBranches - Number of visible branches
  * @property {boolean} casinoMode - Casino mode enabled
+ * @property {HookConfig[]} hooks - Commands/webhooks fired on branch events
+ * @property {BranchRulesConfig} branchRules - Pin/mute/ignore branch globs
+ * @property {DesktopNotificationsConfig} desktopNotifications - Native OS notifications
+ * @property {WorktreesConfig} worktrees - Linked worktree settings
+ * @property {JournalConfig} journal - Persistent activity history
+ * @property {ActivityConfig} activity - Activity sparkline window
+ * @property {HostingConfig} hosting - Git hosting platform overrides
+ * @property {PrConfig} pr - Pull request actions
+ * @property {AgentRuleConfig[]} agents - Rules attributing branches and commits to coding agents
  */
 
 /**
@@ -61,15 +207,30 @@ const DEFAULTS = {
     mode: /** @type {ServerMode} */ ('none'),
     staticDir: 'public',
     command: '',
+    commands: /** @type {ServerCommandConfig[]} */ ([]),
     port: 3000,
     restartOnSwitch: true,
+    healthCheck: /** @type {HealthCheckConfig|null} */ (null),
+    autoRestart: {
+      enabled: false,
+      maxRetries: 5,
+      initialDelay: 1000,
+      maxDelay: 30000,
+    },
+    branchOverrides: /** @type {ServerOverrideConfig[]} */ ([]),
   },
   web: {
     enabled: false,
     port: 4000,
   },
   remoteName: 'origin',
+  remotes: [],
   autoPull: true,
+  autoInstall: {
+    mode: /** @type {AutoInstallConfig['mode']} */ ('ask'),
+    commands: {},
+    timeout: 600000,
+  },
   gitPollInterval: 5000,
   inactivityBackoff: {
     enabled: true,
@@ -81,8 +242,45 @@ const DEFAULTS = {
   soundEnabled: true,
   visibleBranches: 7,
   casinoMode: false,
+  hooks: [],
+  branchRules: {
+    pin: [],
+    mute: [],
+    ignore: [],
+  },
+  desktopNotifications: {
+    enabled: false,
+    events: { ...DEFAULT_NOTIFICATION_EVENTS },
+  },
+  worktrees: {
+    dir: '',
+  },
+  journal: {
+    enabled: true,
+  },
+  activity: {
+    window: /** @type {ActivityConfig['window']} */ ('7d'),
+  },
+  hosting: {
+    hosts: {},
+  },
+  pr: {
+    mergeMethod: /** @type {PrConfig['mergeMethod']} */ ('squash'),
+    deleteBranch: true,
+  },
+  agents: /** @type {AgentRuleConfig[]} */ (DEFAULT_AGENT_RULES),
 };
 
+/**
+ * Values accepted for autoInstall.mode
+ */
+const AUTO_INSTALL_MODES = ['ask', 'auto', 'off'];
+
+/**
+ * Values accepted for pr.mergeMethod
+ */
+const PR_MERGE_METHODS = [...MERGE_METHODS, 'ask'];
+
 /**
  * Configuration limits
  */
@@ -97,26 +295,88 @@ const LIMITS = {
   inactivityStep: { min: 1000, max: 3600000 },
   inactivityMaxInterval: { min: 1000, max: 3600000 },
   inactivityFactor: { min: 1.1, max: 10 },
+  hookTimeout: { min: 1000, max: 600000 }, // 1s to 10min
+  healthInterval: { min: 250, max: 60000 },
+  healthTimeout: { min: 100, max: 30000 },
+  healthStartupTimeout: { min: 1000, max: 600000 },
+  healthFailureThreshold: { min: 1, max: 20 },
+  restartRetries: { min: 1, max: 100 },
+  restartDelay: { min: 100, max: 600000 },
+  preStartTimeout: { min: 1000, max: 3600000 }, // 1s to 1h
 };
 
+/** Timeout for a pre-start step that doesn't set its own (ms) */
+const DEFAULT_PRE_START_TIMEOUT_MS = 600000;
+
+/**
+ * Health check settings not given in the config
+ */
+const HEALTH_CHECK_DEFAULTS = {
+  interval: 2000,
+  timeout: 1000,
+  startupTimeout: 60000,
+  failureThreshold: 3,
+};
+
+/**
+ * Events a hook fires on when it doesn't list its own
+ */
+const DEFAULT_HOOK_EVENTS = [
+  EVENT_TYPES.BRANCH_CREATED,
+  EVENT_TYPES.BRANCH_DELETED,
+  EVENT_TYPES.BRANCH_UPDATED,
+  EVENT_TYPES.MERGE_CONFLICT,
+];
+
+// Every event except the activity log mirror can trigger a hook
+const HOOK_EVENT_TYPES = Object.values(EVENT_TYPES).filter((type) => type !== EVENT_TYPES.LOG);
+
 /**
  * Get default configuration
  * @returns {Config}
  */
 function getDefaultConfig() {
   return {
-    server: { ...DEFAULTS.server },
+    server: { ...DEFAULTS.server, commands: [], autoRestart: { ...DEFAULTS.server.autoRestart }, branchOverrides: [] },
     web: { ...DEFAULTS.web },
     remoteName: DEFAULTS.remoteName,
+    remotes: [...DEFAULTS.remotes],
     autoPull: DEFAULTS.autoPull,
+    autoInstall: { ...DEFAULTS.autoInstall, commands: {} },
     gitPollInterval: DEFAULTS.gitPollInterval,
     inactivityBackoff: { ...DEFAULTS.inactivityBackoff },
     soundEnabled: DEFAULTS.soundEnabled,
     visibleBranches: DEFAULTS.visibleBranches,
     casinoMode: DEFAULTS.casinoMode,
+    hooks: [],
+    branchRules: { pin: [], mute: [], ignore: [] },
+    desktopNotifications: {
+      enabled: DEFAULTS.desktopNotifications.enabled,
+      events: { ...DEFAULTS.desktopNotifications.events },
+    },
+    worktrees: { ...DEFAULTS.worktrees },
+    journal: { ...DEFAULTS.journal },
+    activity: { ...DEFAULTS.activity },
+    hosting: { hosts: {} },
+    pr: { ...DEFAULTS.pr },
+    agents: copyAgentRules(DEFAULTS.agents),
   };
 }
 
+/**
+ * Deep copy of agent rules, so callers can't edit the defaults.
+ * @param {ReadonlyArray<AgentRuleConfig>} rules
+ * @returns {AgentRuleConfig[]}
+ */
+function copyAgentRules(rules) {
+  return rules.map((rule) => ({
+    name: rule.name,
+    branches: [...rule.branches],
+    emails: [...rule.emails],
+    trailers: [...rule.trailers],
+  }));
+}
+
 /**
  * Validate a port number
  * @param {*} port - Port to validate
@@ -150,6 +410,294 @@ function validateServerMode(mode) {
   return mode;
 }
 
+// Pipes, chaining, substitution and redirects to absolute paths
+const DANGEROUS_COMMAND_PATTERN = /[|;&`$(){}]|>\s*\/|<\s*\//;
+
+/**
+ * Reject server commands containing shell syntax.
+ * @param {string} command
+ * @param {string} field - Config path for the error message
+ * @throws {ConfigError}
+ */
+function checkServerCommand(command, field) {
+  if (command && DANGEROUS_COMMAND_PATTERN.test(command)) {
+    throw ConfigError.invalid(
+      `${field} contains potentially dangerous shell characters (|;&\`$(){}). ` +
+      'Only simple commands like "npm run dev" are allowed.',
+      { field, value: command }
+    );
+  }
+}
+
+/**
+ * Validate a readiness probe. null turns it off.
+ * @param {*} check - Raw healthCheck config
+ * @param {string} field - Config path for error messages
+ * @returns {HealthCheckConfig|null}
+ * @throws {ConfigError}
+ */
+function validateHealthCheck(check, field) {
+  if (check === null) return null;
+  if (typeof check !== 'object' || Array.isArray(check)) {
+    throw ConfigError.invalid(`${field} must be an object`, { field, value: check });
+  }
+  if ((check.url === undefined) === (check.port === undefined)) {
+    throw ConfigError.invalid(`${field} must set exactly one of "url" or "port"`, { field, value: check });
+  }
+  /** @type {HealthCheckConfig} */
+  const result = { ...HEALTH_CHECK_DEFAULTS };
+  if (check.url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = typeof check.url === 'string' ? new URL(check.url) : null;
+    } catch (_) { /* reported below */ }
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      throw ConfigError.invalid(`${field}.url must be an http(s) URL`, { field: `${field}.url`, value: check.url });
+    }
+    result.url = check.url;
+  } else {
+    result.port = validatePort(check.port);
+  }
+  if (check.interval !== undefined) {
+    result.interval = validateBoundedNumber(check.interval, LIMITS.healthInterval, `${field}.interval`);
+  }
+  if (check.timeout !== undefined) {
+    result.timeout = validateBoundedNumber(check.timeout, LIMITS.healthTimeout, `${field}.timeout`);
+  }
+  if (check.startupTimeout !== undefined) {
+    result.startupTimeout = validateBoundedNumber(check.startupTimeout, LIMITS.healthStartupTimeout, `${field}.startupTimeout`);
+  }
+  if (check.failureThreshold !== undefined) {
+    result.failureThreshold = Math.round(
+      validateBoundedNumber(check.failureThreshold, LIMITS.healthFailureThreshold, `${field}.failureThreshold`)
+    );
+  }
+  return result;
+}
+
+/**
+ * Validate a crash restart policy. Fields not given keep `base`'s values.
+ * @param {*} settings - Raw autoRestart config
+ * @param {string} field - Config path for error messages
+ * @param {AutoRestartConfig} base
+ * @returns {AutoRestartConfig}
+ * @throws {ConfigError}
+ */
+function validateAutoRestart(settings, field, base) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid(`${field} must be an object`, { field, value: settings });
+  }
+  const result = { ...base };
+  if (settings.enabled !== undefined) {
+    result.enabled = Boolean(settings.enabled);
+  }
+  if (settings.maxRetries !== undefined) {
+    result.maxRetries = Math.round(validateBoundedNumber(settings.maxRetries, LIMITS.restartRetries, `${field}.maxRetries`));
+  }
+  if (settings.initialDelay !== undefined) {
+    result.initialDelay = validateBoundedNumber(settings.initialDelay, LIMITS.restartDelay, `${field}.initialDelay`);
+  }
+  if (settings.maxDelay !== undefined) {
+    result.maxDelay = validateBoundedNumber(settings.maxDelay, LIMITS.restartDelay, `${field}.maxDelay`);
+  }
+  if (result.maxDelay < result.initialDelay) {
+    throw ConfigError.invalid(`${field}.maxDelay must not be below initialDelay`, { field: `${field}.maxDelay`, value: result.maxDelay });
+  }
+  return result;
+}
+
+const VALID_PROCESS_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const VALID_ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Validate the named command-mode processes.
+ * @param {*} commands - Raw server.commands config
+ * @param {{restartOnSwitch: boolean, healthCheck: HealthCheckConfig|null, autoRestart: AutoRestartConfig}} defaults -
+ *   The server block's settings, for entries that don't set their own
+ * @returns {ServerCommandConfig[]}
+ * @throws {ConfigError}
+ */
+function validateServerCommands(commands, defaults) {
+  if (!Array.isArray(commands)) {
+    throw ConfigError.invalid('server.commands must be an array', { field: 'server.commands', value: commands });
+  }
+  const names = new Set();
+  return commands.map((entry, i) => {
+    const field = `server.commands[${i}]`;
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      throw ConfigError.invalid(`${field} must be an object`, { field, value: entry });
+    }
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!VALID_PROCESS_NAME.test(name)) {
+      throw ConfigError.invalid(`${field}.name must be a word like "api"`, { field: `${field}.name`, value: entry.name });
+    }
+    if (names.has(name)) {
+      throw ConfigError.invalid(`Duplicate server process name: ${name}`, { field: `${field}.name`, value: name });
+    }
+    names.add(name);
+
+    if (typeof entry.command !== 'string' || !entry.command.trim()) {
+      throw ConfigError.invalid(`${field}.command must be a non-empty string`, { field: `${field}.command`, value: entry.command });
+    }
+    checkServerCommand(entry.command, `${field}.command`);
+
+    /** @type {ServerCommandConfig} */
+    const result = {
+      name,
+      command: entry.command,
+      port: null,
+      env: {},
+      restartOnSwitch: defaults.restartOnSwitch,
+      healthCheck: defaults.healthCheck,
+      autoRestart: { ...defaults.autoRestart },
+    };
+    if (entry.port !== undefined && entry.port !== null) {
+      result.port = validatePort(entry.port);
+    }
+    if (entry.env !== undefined) {
+      const env = entry.env;
+      if (typeof env !== 'object' || env === null || Array.isArray(env)
+          || Object.entries(env).some(([k, v]) => !VALID_ENV_NAME.test(k) || typeof v !== 'string')) {
+        throw ConfigError.invalid(`${field}.env must map variable names to strings`, { field: `${field}.env`, value: env });
+      }
+      result.env = { ...env };
+    }
+    if (entry.restartOnSwitch !== undefined) {
+      result.restartOnSwitch = Boolean(entry.restartOnSwitch);
+    }
+    if (entry.healthCheck !== undefined) {
+      result.healthCheck = validateHealthCheck(entry.healthCheck, `${field}.healthCheck`);
+    }
+    if (entry.autoRestart !== undefined) {
+      result.autoRestart = validateAutoRestart(entry.autoRestart, `${field}.autoRestart`, defaults.autoRestart);
+    }
+    return result;
+  });
+}
+
+/**
+ * Validate a list of globs (branch names or file paths).
+ * @param {*} list
+ * @param {string} field - Config path for error messages
+ * @param {string} what - "branch" or "file", for the message
+ * @returns {string[]}
+ * @throws {ConfigError}
+ */
+function validateGlobList(list, field, what) {
+  if (!Array.isArray(list) || list.some((g) => typeof g !== 'string' || !g.trim())) {
+    throw ConfigError.invalid(`${field} must be an array of ${what} globs`, { field, value: list });
+  }
+  return list.map((g) => g.trim());
+}
+
+/**
+ * Validate the per-branch dev server overrides.
+ * @param {*} overrides - Raw server.branchOverrides config
+ * @param {string[]} processNames - Configured processes ("server" for a single command)
+ * @returns {ServerOverrideConfig[]}
+ * @throws {ConfigError}
+ */
+function validateServerOverrides(overrides, processNames) {
+  if (!Array.isArray(overrides)) {
+    throw ConfigError.invalid('server.branchOverrides must be an array', { field: 'server.branchOverrides', value: overrides });
+  }
+  return overrides.map((entry, i) => {
+    const field = `server.branchOverrides[${i}]`;
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      throw ConfigError.invalid(`${field} must be an object`, { field, value: entry });
+    }
+    /** @type {ServerOverrideConfig} */
+    const result = { branches: [], process: null, command: null, env: {}, preStart: [] };
+
+    if (entry.branches !== undefined) {
+      result.branches = validateGlobList(entry.branches, `${field}.branches`, 'branch');
+    }
+    if (entry.process !== undefined && entry.process !== null) {
+      if (!processNames.includes(entry.process)) {
+        throw ConfigError.invalid(
+          `${field}.process must name a server process (${processNames.join(', ') || 'none configured'})`,
+          { field: `${field}.process`, value: entry.process }
+        );
+      }
+      result.process = entry.process;
+    }
+    if (entry.command !== undefined) {
+      if (typeof entry.command !== 'string' || !entry.command.trim()) {
+        throw ConfigError.invalid(`${field}.command must be a non-empty string`, { field: `${field}.command`, value: entry.command });
+      }
+      checkServerCommand(entry.command, `${field}.command`);
+      result.command = entry.command;
+    }
+    if (entry.env !== undefined) {
+      const env = entry.env;
+      if (typeof env !== 'object' || env === null || Array.isArray(env)
+          || Object.entries(env).some(([k, v]) => !VALID_ENV_NAME.test(k) || typeof v !== 'string')) {
+        throw ConfigError.invalid(`${field}.env must map variable names to strings`, { field: `${field}.env`, value: env });
+      }
+      result.env = { ...env };
+    }
+    if (entry.preStart !== undefined) {
+      if (!Array.isArray(entry.preStart)) {
+        throw ConfigError.invalid(`${field}.preStart must be an array`, { field: `${field}.preStart`, value: entry.preStart });
+      }
+      result.preStart = entry.preStart.map((step, j) => {
+        const stepField = `${field}.preStart[${j}]`;
+        if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+          throw ConfigError.invalid(`${stepField} must be an object`, { field: stepField, value: step });
+        }
+        if (typeof step.command !== 'string' || !step.command.trim()) {
+          throw ConfigError.invalid(`${stepField}.command must be a non-empty string`, { field: `${stepField}.command`, value: step.command });
+        }
+        return {
+          command: step.command,
+          changed: step.changed === undefined ? [] : validateGlobList(step.changed, `${stepField}.changed`, 'file'),
+          timeout: step.timeout === undefined ? DEFAULT_PRE_START_TIMEOUT_MS
+            : validateBoundedNumber(step.timeout, LIMITS.preStartTimeout, `${stepField}.timeout`),
+        };
+      });
+    }
+    return result;
+  });
+}
+
+/**
+ * Validate the dependency install settings.
+ * @param {*} settings - Raw autoInstall config
+ * @returns {AutoInstallConfig}
+ * @throws {ConfigError}
+ */
+function validateAutoInstall(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('autoInstall must be an object', { field: 'autoInstall', value: settings });
+  }
+  const result = { ...DEFAULTS.autoInstall, commands: {} };
+  if (settings.mode !== undefined) {
+    if (!AUTO_INSTALL_MODES.includes(settings.mode)) {
+      throw ConfigError.invalid(
+        `autoInstall.mode must be one of: ${AUTO_INSTALL_MODES.join(', ')}`,
+        { field: 'autoInstall.mode', value: settings.mode, valid: AUTO_INSTALL_MODES }
+      );
+    }
+    result.mode = settings.mode;
+  }
+  if (settings.commands !== undefined) {
+    const commands = settings.commands;
+    if (typeof commands !== 'object' || commands === null || Array.isArray(commands)
+        || Object.entries(commands).some(([name, command]) => !name || name.includes('/')
+          || (command !== null && (typeof command !== 'string' || !command.trim())))) {
+      throw ConfigError.invalid(
+        'autoInstall.commands must map lockfile names to commands (or null)',
+        { field: 'autoInstall.commands', value: commands }
+      );
+    }
+    result.commands = { ...commands };
+  }
+  if (settings.timeout !== undefined) {
+    result.timeout = validateBoundedNumber(settings.timeout, LIMITS.preStartTimeout, 'autoInstall.timeout');
+  }
+  return result;
+}
+
 /**
  * Validate poll interval
  * @param {*} interval - Interval to validate
@@ -243,6 +791,378 @@ function validateInactivityBackoff(backoff) {
   return result;
 }
 
+// Conservative remote-name pattern: the names end up in refspecs
+// (refs/remotes/<name>/) and git argv, so keep them to plain identifiers.
+const VALID_REMOTE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Validate the list of extra remotes to monitor. Blank entries are rejected
+ * rather than dropped so a typo doesn't silently stop a fork being watched;
+ * duplicates are collapsed.
+ * @param {*} remotes - Raw remotes config
+ * @returns {string[]}
+ * @throws {ConfigError}
+ */
+function validateRemotes(remotes) {
+  if (!Array.isArray(remotes)) {
+    throw ConfigError.invalid('remotes must be an array of remote names', { field: 'remotes', value: remotes });
+  }
+  const result = [];
+  for (const entry of remotes) {
+    const name = typeof entry === 'string' ? entry.trim() : '';
+    if (!name || !VALID_REMOTE_PATTERN.test(name)) {
+      throw ConfigError.invalid(`Invalid remote name in remotes: ${entry}`, { field: 'remotes', value: entry });
+    }
+    if (!result.includes(name)) result.push(name);
+  }
+  return result;
+}
+
+/**
+ * Ordered, de-duplicated list of every remote to monitor. The primary
+ * `remoteName` always comes first — callers treat index 0 as the remote
+ * that pull, checkout and divergence checks run against.
+ * @param {{remoteName?: string, remotes?: string[]}} config
+ * @returns {string[]}
+ */
+function getMonitoredRemotes(config) {
+  const primary = (config && config.remoteName) || DEFAULTS.remoteName;
+  const extra = (config && Array.isArray(config.remotes)) ? config.remotes : [];
+  return [primary, ...extra].filter((name, i, all) => all.indexOf(name) === i);
+}
+
+/**
+ * Validate a single hook entry and fill in defaults.
+ * @param {*} hook - Raw hook config
+ * @param {number} index - Position in the hooks array (for error messages)
+ * @returns {HookConfig}
+ * @throws {ConfigError}
+ */
+function validateHook(hook, index) {
+  const field = `hooks[${index}]`;
+  if (typeof hook !== 'object' || hook === null || Array.isArray(hook)) {
+    throw ConfigError.invalid(`${field} must be an object`, { field, value: hook });
+  }
+
+  const hasCommand = hook.command !== undefined;
+  const hasUrl = hook.url !== undefined;
+  if (hasCommand === hasUrl) {
+    throw ConfigError.invalid(`${field} must set exactly one of "command" or "url"`, { field, value: hook });
+  }
+
+  /** @type {HookConfig} */
+  const result = { events: [...DEFAULT_HOOK_EVENTS], branches: [] };
+
+  if (hook.name !== undefined) {
+    if (typeof hook.name !== 'string') {
+      throw ConfigError.invalid(`${field}.name must be a string`, { field: `${field}.name`, value: hook.name });
+    }
+    result.name = hook.name;
+  }
+
+  if (hasCommand) {
+    if (typeof hook.command !== 'string' || !hook.command.trim()) {
+      throw ConfigError.invalid(`${field}.command must be a non-empty string`, { field: `${field}.command`, value: hook.command });
+    }
+    result.command = hook.command;
+  } else {
+    let parsed = null;
+    try {
+      parsed = typeof hook.url === 'string' ? new URL(hook.url) : null;
+    } catch (_) { /* reported below */ }
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      throw ConfigError.invalid(`${field}.url must be an http(s) URL`, { field: `${field}.url`, value: hook.url });
+    }
+    result.url = hook.url;
+  }
+
+  if (hook.events !== undefined) {
+    const events = Array.isArray(hook.events) ? hook.events : [hook.events];
+    if (events.length === 0) {
+      throw ConfigError.invalid(`${field}.events must not be empty`, { field: `${field}.events`, value: hook.events });
+    }
+    for (const type of events) {
+      if (!HOOK_EVENT_TYPES.includes(type)) {
+        throw ConfigError.invalid(
+          `Unknown hook event "${type}" in ${field}.events. Must be one of: ${HOOK_EVENT_TYPES.join(', ')}`,
+          { field: `${field}.events`, value: type }
+        );
+      }
+    }
+    result.events = events.filter((type, i) => events.indexOf(type) === i);
+  }
+
+  if (hook.branches !== undefined) {
+    if (!Array.isArray(hook.branches) || hook.branches.some((b) => typeof b !== 'string' || !b.trim())) {
+      throw ConfigError.invalid(`${field}.branches must be an array of branch globs`, { field: `${field}.branches`, value: hook.branches });
+    }
+    result.branches = hook.branches.map((b) => b.trim());
+  }
+
+  if (hook.headers !== undefined) {
+    if (!hasUrl) {
+      throw ConfigError.invalid(`${field}.headers only applies to url hooks`, { field: `${field}.headers`, value: hook.headers });
+    }
+    if (typeof hook.headers !== 'object' || hook.headers === null || Array.isArray(hook.headers)
+        || Object.values(hook.headers).some((v) => typeof v !== 'string')) {
+      throw ConfigError.invalid(`${field}.headers must map header names to strings`, { field: `${field}.headers`, value: hook.headers });
+    }
+    result.headers = { ...hook.headers };
+  }
+
+  if (hook.timeout !== undefined) {
+    result.timeout = validateBoundedNumber(hook.timeout, LIMITS.hookTimeout, `${field}.timeout`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the hooks list.
+ * @param {*} hooks - Raw hooks config
+ * @returns {HookConfig[]}
+ * @throws {ConfigError}
+ */
+function validateHooks(hooks) {
+  if (!Array.isArray(hooks)) {
+    throw ConfigError.invalid('hooks must be an array', { field: 'hooks', value: hooks });
+  }
+  return hooks.map((hook, i) => validateHook(hook, i));
+}
+
+/**
+ * Validate the pin/mute/ignore glob lists. Omitted lists default to empty;
+ * duplicates are collapsed.
+ * @param {*} rules - Raw branchRules config
+ * @returns {BranchRulesConfig}
+ * @throws {ConfigError}
+ */
+function validateBranchRules(rules) {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    throw ConfigError.invalid('branchRules must be an object', { field: 'branchRules', value: rules });
+  }
+  /** @type {BranchRulesConfig} */
+  const result = { pin: [], mute: [], ignore: [] };
+  for (const kind of /** @type {const} */ (['pin', 'mute', 'ignore'])) {
+    const list = rules[kind];
+    if (list === undefined) continue;
+    const field = `branchRules.${kind}`;
+    if (!Array.isArray(list)) {
+      throw ConfigError.invalid(`${field} must be an array of branch globs`, { field, value: list });
+    }
+    for (const entry of list) {
+      const pattern = typeof entry === 'string' ? entry.trim() : '';
+      if (!pattern) {
+        throw ConfigError.invalid(`Invalid pattern in ${field}: ${entry}`, { field, value: entry });
+      }
+      if (!result[kind].includes(pattern)) result[kind].push(pattern);
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate the desktop notification settings. `events` only needs the
+ * types being changed; the rest keep their defaults.
+ * @param {*} settings - Raw desktopNotifications config
+ * @returns {DesktopNotificationsConfig}
+ * @throws {ConfigError}
+ */
+function validateDesktopNotifications(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('desktopNotifications must be an object', { field: 'desktopNotifications', value: settings });
+  }
+  const result = {
+    enabled: DEFAULTS.desktopNotifications.enabled,
+    events: { ...DEFAULTS.desktopNotifications.events },
+  };
+  if (settings.enabled !== undefined) {
+    result.enabled = Boolean(settings.enabled);
+  }
+  if (settings.events !== undefined) {
+    const { events } = settings;
+    if (typeof events !== 'object' || events === null || Array.isArray(events)) {
+      throw ConfigError.invalid('desktopNotifications.events must map event types to true/false', {
+        field: 'desktopNotifications.events', value: events,
+      });
+    }
+    const known = Object.keys(DEFAULT_NOTIFICATION_EVENTS);
+    for (const [type, enabled] of Object.entries(events)) {
+      if (!known.includes(type)) {
+        throw ConfigError.invalid(
+          `Unknown event "${type}" in desktopNotifications.events. Must be one of: ${known.join(', ')}`,
+          { field: 'desktopNotifications.events', value: type }
+        );
+      }
+      result.events[type] = Boolean(enabled);
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate the worktree settings
+ * @param {*} settings - Raw worktrees config
+ * @returns {WorktreesConfig}
+ * @throws {ConfigError}
+ */
+function validateWorktrees(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('worktrees must be an object', { field: 'worktrees', value: settings });
+  }
+  const result = { ...DEFAULTS.worktrees };
+  if (settings.dir !== undefined) {
+    if (typeof settings.dir !== 'string') {
+      throw ConfigError.invalid('worktrees.dir must be a string', { field: 'worktrees.dir', value: settings.dir });
+    }
+    result.dir = settings.dir.trim();
+  }
+  return result;
+}
+
+/**
+ * Validate the activity journal settings
+ * @param {*} settings - Raw journal config
+ * @returns {JournalConfig}
+ * @throws {ConfigError}
+ */
+function validateJournal(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('journal must be an object', { field: 'journal', value: settings });
+  }
+  const result = { ...DEFAULTS.journal };
+  if (settings.enabled !== undefined) {
+    result.enabled = Boolean(settings.enabled);
+  }
+  return result;
+}
+
+/**
+ * Validate the activity sparkline settings
+ * @param {*} settings - Raw activity config
+ * @returns {ActivityConfig}
+ * @throws {ConfigError}
+ */
+function validateActivity(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('activity must be an object', { field: 'activity', value: settings });
+  }
+  const result = { ...DEFAULTS.activity };
+  if (settings.window !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(ACTIVITY_WINDOWS, settings.window)) {
+      throw ConfigError.invalid(
+        `activity.window must be one of: ${Object.keys(ACTIVITY_WINDOWS).join(', ')}`,
+        { field: 'activity.window', value: settings.window }
+      );
+    }
+    result.window = settings.window;
+  }
+  return result;
+}
+
+// Hostnames as they appear in remote URLs (no scheme, port or path)
+const VALID_HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * Validate the hosting settings. Hostnames are lowercased, since they're
+ * matched against URL hostnames.
+ * @param {*} settings - Raw hosting config
+ * @returns {HostingConfig}
+ * @throws {ConfigError}
+ */
+function validateHosting(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('hosting must be an object', { field: 'hosting', value: settings });
+  }
+  const result = { hosts: {} };
+  if (settings.hosts !== undefined) {
+    const hosts = settings.hosts;
+    if (typeof hosts !== 'object' || hosts === null || Array.isArray(hosts)) {
+      throw ConfigError.invalid('hosting.hosts must map hostnames to platforms', { field: 'hosting.hosts', value: hosts });
+    }
+    for (const [rawHost, platform] of Object.entries(hosts)) {
+      const host = rawHost.trim().toLowerCase();
+      if (!VALID_HOST_PATTERN.test(host)) {
+        throw ConfigError.invalid(`Invalid hostname in hosting.hosts: ${rawHost}`, { field: 'hosting.hosts', value: rawHost });
+      }
+      if (!PLATFORMS.includes(platform)) {
+        throw ConfigError.invalid(
+          `hosting.hosts.${rawHost} must be one of: ${PLATFORMS.join(', ')}`,
+          { field: `hosting.hosts.${rawHost}`, value: platform }
+        );
+      }
+      result.hosts[host] = platform;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate the pull request action settings
+ * @param {*} settings - Raw pr config
+ * @returns {PrConfig}
+ * @throws {ConfigError}
+ */
+function validatePr(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw ConfigError.invalid('pr must be an object', { field: 'pr', value: settings });
+  }
+  const result = { ...DEFAULTS.pr };
+  if (settings.mergeMethod !== undefined) {
+    if (!PR_MERGE_METHODS.includes(settings.mergeMethod)) {
+      throw ConfigError.invalid(
+        `pr.mergeMethod must be one of: ${PR_MERGE_METHODS.join(', ')}`,
+        { field: 'pr.mergeMethod', value: settings.mergeMethod }
+      );
+    }
+    result.mergeMethod = settings.mergeMethod;
+  }
+  if (settings.deleteBranch !== undefined) {
+    result.deleteBranch = Boolean(settings.deleteBranch);
+  }
+  return result;
+}
+
+// Agent names end up in `agent:` search terms, so no spaces or colons
+const VALID_AGENT_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Validate the agent attribution rules. A rule needs a name and at least
+ * one branch, email or trailer pattern. An empty list turns attribution off.
+ * @param {*} agents - Raw agents config
+ * @returns {AgentRuleConfig[]}
+ * @throws {ConfigError}
+ */
+function validateAgents(agents) {
+  if (!Array.isArray(agents)) {
+    throw ConfigError.invalid('agents must be an array', { field: 'agents', value: agents });
+  }
+  return agents.map((rule, i) => {
+    const field = `agents[${i}]`;
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      throw ConfigError.invalid(`${field} must be an object`, { field, value: rule });
+    }
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!VALID_AGENT_NAME.test(name)) {
+      throw ConfigError.invalid(`${field}.name must be a word like "claude"`, { field: `${field}.name`, value: rule.name });
+    }
+    /** @type {AgentRuleConfig} */
+    const result = { name, branches: [], emails: [], trailers: [] };
+    for (const kind of /** @type {const} */ (['branches', 'emails', 'trailers'])) {
+      const list = rule[kind];
+      if (list === undefined) continue;
+      if (!Array.isArray(list) || list.some((p) => typeof p !== 'string' || !p.trim())) {
+        throw ConfigError.invalid(`${field}.${kind} must be an array of patterns`, { field: `${field}.${kind}`, value: list });
+      }
+      result[kind] = list.map((p) => p.trim());
+    }
+    if (result.branches.length + result.emails.length + result.trailers.length === 0) {
+      throw ConfigError.invalid(`${field} needs branches, emails or trailers to match`, { field, value: rule });
+    }
+    return result;
+  });
+}
+
 /**
  * Validate and normalize a full configuration object
  * @param {Object} config - Configuration to validate
@@ -296,21 +1216,32 @@ function validateConfig(config) {
       if (typeof config.server.command !== 'string') {
         throw ConfigError.invalid('server.command must be a string');
       }
-      // Reject commands containing shell injection patterns
-      const dangerousPatterns = /[|;&`$(){}]|>\s*\/|<\s*\//;
-      if (config.server.command && dangerousPatterns.test(config.server.command)) {
-        throw ConfigError.invalid(
-          'server.command contains potentially dangerous shell characters (|;&`$(){}). ' +
-          'Only simple commands like "npm run dev" are allowed.',
-          { field: 'server.command', value: config.server.command }
-        );
-      }
+      checkServerCommand(config.server.command, 'server.command');
       result.server.command = config.server.command;
     }
 
     if (config.server.restartOnSwitch !== undefined) {
       result.server.restartOnSwitch = Boolean(config.server.restartOnSwitch);
     }
+
+    if (config.server.healthCheck !== undefined) {
+      result.server.healthCheck = validateHealthCheck(config.server.healthCheck, 'server.healthCheck');
+    }
+
+    if (config.server.autoRestart !== undefined) {
+      result.server.autoRestart = validateAutoRestart(config.server.autoRestart, 'server.autoRestart', DEFAULTS.server.autoRestart);
+    }
+
+    if (config.server.commands !== undefined) {
+      result.server.commands = validateServerCommands(config.server.commands, result.server);
+    }
+
+    if (config.server.branchOverrides !== undefined) {
+      // A single server.command runs as the process named "server"
+      const processNames = result.server.commands.length > 0 ? result.server.commands.map((c) => c.name)
+        : result.server.command ? ['server'] : [];
+      result.server.branchOverrides = validateServerOverrides(config.server.branchOverrides, processNames);
+    }
   }
 
   // Validate web dashboard config
@@ -334,10 +1265,18 @@ function validateConfig(config) {
     result.remoteName = config.remoteName.trim();
   }
 
+  if (config.remotes !== undefined) {
+    result.remotes = validateRemotes(config.remotes);
+  }
+
   if (config.autoPull !== undefined) {
     result.autoPull = Boolean(config.autoPull);
   }
 
+  if (config.autoInstall !== undefined) {
+    result.autoInstall = validateAutoInstall(config.autoInstall);
+  }
+
   if (config.gitPollInterval !== undefined) {
     result.gitPollInterval = validatePollInterval(config.gitPollInterval);
   }
@@ -359,6 +1298,42 @@ function validateConfig(config) {
     result.casinoMode = Boolean(config.casinoMode);
   }
 
+  if (config.hooks !== undefined) {
+    result.hooks = validateHooks(config.hooks);
+  }
+
+  if (config.branchRules !== undefined) {
+    result.branchRules = validateBranchRules(config.branchRules);
+  }
+
+  if (config.desktopNotifications !== undefined) {
+    result.desktopNotifications = validateDesktopNotifications(config.desktopNotifications);
+  }
+
+  if (config.worktrees !== undefined) {
+    result.worktrees = validateWorktrees(config.worktrees);
+  }
+
+  if (config.journal !== undefined) {
+    result.journal = validateJournal(config.journal);
+  }
+
+  if (config.activity !== undefined) {
+    result.activity = validateActivity(config.activity);
+  }
+
+  if (config.hosting !== undefined) {
+    result.hosting = validateHosting(config.hosting);
+  }
+
+  if (config.pr !== undefined) {
+    result.pr = validatePr(config.pr);
+  }
+
+  if (config.agents !== undefined) {
+    result.agents = validateAgents(config.agents);
+  }
+
   return result;
 }
 
@@ -400,15 +1375,36 @@ function migrateConfig(config) {
 
 module.exports = {
   SERVER_MODES,
+  AUTO_INSTALL_MODES,
+  PR_MERGE_METHODS,
   DEFAULTS,
   LIMITS,
+  DEFAULT_HOOK_EVENTS,
+  HOOK_EVENT_TYPES,
   getDefaultConfig,
   validatePort,
   validateServerMode,
+  validateServerCommands,
+  validateHealthCheck,
+  validateAutoRestart,
+  validateServerOverrides,
+  validateAutoInstall,
   validatePollInterval,
   validateVisibleBranches,
   validateBoundedNumber,
   validateInactivityBackoff,
+  validateRemotes,
+  getMonitoredRemotes,
+  validateHook,
+  validateHooks,
+  validateBranchRules,
+  validateDesktopNotifications,
+  validateWorktrees,
+  validateJournal,
+  validateActivity,
+  validateHosting,
+  validatePr,
+  validateAgents,
   validateConfig,
   migrateConfig,
 };
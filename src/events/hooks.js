@@ -0,0 +1,245 @@
+/**
+ * User-configured hooks fired on branch events.
+ *
+ * Each entry in the `hooks` config either runs a local shell command or
+ * POSTs the event as JSON to a URL:
+ *
+ *   { "events": ["branch_updated"], "branches": ["claude/**"], "command": "npm test" }
+ *   { "events": ["branch_created"], "url": "https://chat.example.com/hook" }
+ *
+ * Event data never gets interpolated into the command string — branch names
+ * come from the remote and are untrusted. Commands receive the event as
+ * WATCHTOWER_* environment variables and as JSON on stdin instead.
+ *
+ * Runs of the same hook are queued so a burst of updates doesn't launch a
+ * pile of concurrent test runs; different hooks run independently. A hook
+ * that already has MAX_QUEUED_HOOK_RUNS runs waiting drops further events
+ * until its queue drains.
+ *
+ * @module events/hooks
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const http = require('http');
+const https = require('https');
+const { buildEvent } = require('./stream');
+const { matchesAnyGlob } = require('../utils/glob');
+const { runShellCommand } = require('../utils/shell-command');
+
+/** Timeout applied when a hook doesn't set its own (ms) */
+const DEFAULT_HOOK_TIMEOUT_MS = 30000;
+
+/** How much of a failing command's stderr to keep for the error message */
+const MAX_STDERR_TAIL = 500;
+
+/** Runs of one hook allowed to wait behind the running one */
+const MAX_QUEUED_HOOK_RUNS = 10;
+
+/** Headers computed from the body, which a hook's `headers` can't override */
+const RESERVED_WEBHOOK_HEADERS = ['content-length'];
+
+/**
+ * Whether a hook wants this event. Events without a branch (server crashes)
+ * only reach hooks that don't filter by branch.
+ * @param {import('../config/schema').HookConfig} hook
+ * @param {{type: string, branch?: string}} event
+ * @returns {boolean}
+ */
+function hookMatches(hook, event) {
+  if (!hook.events.includes(event.type)) return false;
+  if (!hook.branches || hook.branches.length === 0) return true;
+  return typeof event.branch === 'string' && matchesAnyGlob(event.branch, hook.branches);
+}
+
+/**
+ * Environment for a command hook: the parent env plus one WATCHTOWER_*
+ * variable per scalar event field (`previousCommit` → WATCHTOWER_PREVIOUS_COMMIT),
+ * WATCHTOWER_EVENT for the type and WATCHTOWER_PAYLOAD with the full JSON.
+ * @param {Object} event - Built event object
+ * @param {NodeJS.ProcessEnv} baseEnv
+ * @returns {NodeJS.ProcessEnv}
+ */
+function buildHookEnv(event, baseEnv) {
+  const env = { ...baseEnv, WATCHTOWER_EVENT: event.type, WATCHTOWER_PAYLOAD: JSON.stringify(event) };
+  for (const [key, value] of Object.entries(event)) {
+    if (key === 'type') continue;
+    if (value === null || value === undefined || typeof value === 'object') continue;
+    const name = 'WATCHTOWER_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+    env[name] = String(value);
+  }
+  return env;
+}
+
+/**
+ * Short label for log messages.
+ * @param {import('../config/schema').HookConfig} hook
+ * @returns {string}
+ */
+function describeHook(hook) {
+  if (hook.name) return hook.name;
+  if (hook.command) return hook.command;
+  try {
+    return new URL(/** @type {string} */ (hook.url)).host;
+  } catch (_) {
+    return String(hook.url);
+  }
+}
+
+/**
+ * Run a command hook through the shell with the event on stdin.
+ * Resolves on exit code 0; rejects on non-zero exit, spawn failure, timeout
+ * or an aborted `signal`. The hook runs in its own process group (see
+ * utils/shell-command), so stopping it stops everything it started and the
+ * next queued run doesn't start until that group has exited.
+ * @param {import('../config/schema').HookConfig} hook
+ * @param {Object} event
+ * @param {{cwd: string, env: NodeJS.ProcessEnv, spawnFn?: typeof spawn, signal?: AbortSignal}} options
+ * @returns {Promise<void>}
+ */
+function runCommandHook(hook, event, { cwd, env, spawnFn = spawn, signal }) {
+  let stderr = '';
+  return runShellCommand(/** @type {string} */ (hook.command), {
+    cwd,
+    env: buildHookEnv(event, env),
+    timeout: hook.timeout || DEFAULT_HOOK_TIMEOUT_MS,
+    input: JSON.stringify(event) + '\n',
+    onOutput: (text, isError) => {
+      if (isError) stderr = (stderr + text).slice(-MAX_STDERR_TAIL);
+    },
+    signal,
+    spawnFn,
+  }).catch((err) => {
+    const detail = stderr.trim().split('\n').pop();
+    if ('exitCode' in err && detail) err.message += ': ' + detail;
+    throw err;
+  });
+}
+
+/**
+ * POST the event as JSON to a webhook URL.
+ * Resolves on a 2xx/3xx response; rejects on 4xx/5xx, network error,
+ * timeout or an aborted `signal`.
+ * @param {import('../config/schema').HookConfig} hook
+ * @param {Object} event
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function postWebhook(hook, event, signal) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(/** @type {string} */ (hook.url));
+    const body = JSON.stringify(event);
+    const transport = url.protocol === 'https:' ? https : http;
+    const timeoutMs = hook.timeout || DEFAULT_HOOK_TIMEOUT_MS;
+    const userHeaders = Object.entries(hook.headers || {})
+      .filter(([name]) => !RESERVED_WEBHOOK_HEADERS.includes(name.toLowerCase()));
+
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'git-watchtower',
+        ...Object.fromEntries(userHeaders),
+        'Content-Length': Buffer.byteLength(body),
+      },
+      timeout: timeoutMs,
+      signal,
+    }, (res) => {
+      // Drain so the socket is released; the response body is ignored.
+      res.resume();
+      res.on('end', () => {
+        const status = res.statusCode || 0;
+        if (status >= 400) reject(new Error(`HTTP ${status}`));
+        else resolve();
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Create a runner that dispatches events to the configured hooks.
+ *
+ * `fire()` never throws and never rejects — failures (including dropped
+ * events when a hook's queue is full) are reported through `onError` so a
+ * broken hook can't take down the poll loop. The returned promise settles
+ * once every matching hook has finished, which is mainly useful in tests.
+ *
+ * `stop()` is for shutdown and config reloads: later events are ignored,
+ * running commands are killed (whole process group) and webhook requests
+ * aborted. It resolves once everything in flight has exited.
+ *
+ * @param {Object} options
+ * @param {import('../config/schema').HookConfig[]} options.hooks - Validated hook list
+ * @param {string} options.cwd - Working directory for command hooks (the repo)
+ * @param {NodeJS.ProcessEnv} [options.env] - Base environment for command hooks
+ * @param {(hook: import('../config/schema').HookConfig, event: Object, err: Error) => void} [options.onError]
+ * @param {typeof spawn} [options.spawnFn] - Injected for tests
+ * @returns {{fire: (type: string, data?: Object) => Promise<void>, stop: () => Promise<void>}}
+ */
+function createHookRunner({ hooks, cwd, env = process.env, onError = () => {}, spawnFn = spawn }) {
+  // One promise chain per hook keeps its runs sequential.
+  const queues = hooks.map(() => Promise.resolve());
+  // Runs per hook that are queued but haven't started yet
+  const waiting = hooks.map(() => 0);
+  // Whether the current burst's drop was already reported, per hook
+  const dropReported = hooks.map(() => false);
+  const controller = new AbortController();
+
+  const report = (hook, event, err) => {
+    try { onError(hook, event, err); } catch (_) { /* reporting is best-effort */ }
+  };
+
+  return {
+    fire(type, data = {}) {
+      if (controller.signal.aborted) return Promise.resolve();
+      const event = buildEvent(type, { ...data, repo: cwd });
+      const runs = [];
+      hooks.forEach((hook, i) => {
+        if (!hookMatches(hook, event)) return;
+        if (waiting[i] >= MAX_QUEUED_HOOK_RUNS) {
+          if (!dropReported[i]) {
+            dropReported[i] = true;
+            report(hook, event, new Error(`${MAX_QUEUED_HOOK_RUNS} runs already queued; dropping events until they finish`));
+          }
+          return;
+        }
+        waiting[i]++;
+        const run = () => {
+          waiting[i]--;
+          if (waiting[i] === 0) dropReported[i] = false;
+          if (controller.signal.aborted) return undefined;
+          return (hook.command
+            ? runCommandHook(hook, event, { cwd, env, spawnFn, signal: controller.signal })
+            : postWebhook(hook, event, controller.signal)
+          ).catch((err) => {
+            if (!controller.signal.aborted) report(hook, event, err);
+          });
+        };
+        queues[i] = queues[i].then(run);
+        runs.push(queues[i]);
+      });
+      return Promise.all(runs).then(() => {});
+    },
+
+    stop() {
+      controller.abort();
+      return Promise.all(queues).then(() => {});
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_HOOK_TIMEOUT_MS,
+  MAX_QUEUED_HOOK_RUNS,
+  hookMatches,
+  buildHookEnv,
+  describeHook,
+  createHookRunner,
+};
@@ -0,0 +1,134 @@
+/**
+ * Desktop notifications for branch events.
+ *
+ * Turns the same events that feed the headless stream and hooks into short
+ * OS notifications — branch, commit subject and author — for the event
+ * types enabled in the `desktopNotifications` config block.
+ *
+ * @module events/notifications
+ */
+
+'use strict';
+
+const { EVENT_TYPES } = require('./stream');
+
+/**
+ * Event types that can raise a notification, with whether each is on by
+ * default. Lifecycle and log events are never shown.
+ */
+const DEFAULT_NOTIFICATION_EVENTS = Object.freeze({
+  [EVENT_TYPES.BRANCH_CREATED]: true,
+  [EVENT_TYPES.BRANCH_UPDATED]: true,
+  [EVENT_TYPES.BRANCH_DELETED]: false,
+  [EVENT_TYPES.DIVERGENCE]: true,
+  [EVENT_TYPES.AUTO_PULL]: false,
+  [EVENT_TYPES.AUTO_PULL_FAILED]: true,
+  [EVENT_TYPES.MERGE_CONFLICT]: true,
+  [EVENT_TYPES.SERVER_CRASH]: true,
+});
+
+/**
+ * @typedef {Object} DesktopNotification
+ * @property {string} title
+ * @property {string} body
+ * @property {'normal'|'critical'} urgency
+ */
+
+/**
+ * "subject" / "by author · commit" lines, skipping whatever is unknown.
+ * @param {Object} data - Event payload
+ * @param {string|null} author
+ * @returns {string[]}
+ */
+function commitLines(data, author) {
+  const lines = [];
+  if (data.subject) lines.push(data.subject);
+  const byline = [author ? `by ${author}` : null, data.commit || null].filter(Boolean).join(' · ');
+  if (byline) lines.push(byline);
+  return lines;
+}
+
+/**
+ * Build the notification for an event, or null for types that have none.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @param {string|null} [author] - Commit author, when known
+ * @returns {DesktopNotification|null}
+ */
+function formatNotification(type, data, author = null) {
+  const branch = data.branch || '';
+  switch (type) {
+    case EVENT_TYPES.BRANCH_CREATED:
+      return { title: `New branch: ${branch}`, body: commitLines(data, author).join('\n'), urgency: 'normal' };
+    case EVENT_TYPES.BRANCH_UPDATED:
+      return { title: `Updated: ${branch}`, body: commitLines(data, author).join('\n'), urgency: 'normal' };
+    case EVENT_TYPES.BRANCH_DELETED:
+      return { title: `Deleted: ${branch}`, body: data.commit ? `was at ${data.commit}` : '', urgency: 'normal' };
+    case EVENT_TYPES.DIVERGENCE:
+      return { title: `${branch} has diverged`, body: `${data.ahead} local, ${data.behind} remote commits`, urgency: 'normal' };
+    case EVENT_TYPES.AUTO_PULL:
+      return {
+        title: `Pulled ${branch}`,
+        body: [...commitLines(data, author), `+${data.linesAdded || 0} -${data.linesDeleted || 0}`].join('\n'),
+        urgency: 'normal',
+      };
+    case EVENT_TYPES.AUTO_PULL_FAILED:
+      // Conflicts and divergence raise their own, more specific event
+      if (data.reason === 'merge_conflict' || data.reason === 'diverged') return null;
+      return { title: `Auto-pull failed on ${branch}`, body: data.error || data.reason || '', urgency: 'critical' };
+    case EVENT_TYPES.MERGE_CONFLICT:
+      return { title: `Merge conflict on ${branch}`, body: 'Resolve the conflicts before continuing', urgency: 'critical' };
+    case EVENT_TYPES.SERVER_CRASH:
+      return {
+        // "server" is the single server.command; named processes say which one
+        title: data.process && data.process !== 'server' ? `Dev server "${data.process}" crashed` : 'Dev server crashed',
+        body: data.error || (data.code !== null && data.code !== undefined ? `exited with code ${data.code}` : ''),
+        urgency: 'critical',
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create a notifier that turns events into desktop notifications.
+ *
+ * `notify()` never rejects; the author lookup is best-effort and a failed
+ * one just leaves the byline off.
+ *
+ * @param {Object} options
+ * @param {import('../config/schema').DesktopNotificationsConfig} options.config
+ * @param {(notification: DesktopNotification) => void} options.send - Shows the notification
+ * @param {(commit: string) => Promise<string|null>} [options.getAuthor] - Commit author lookup
+ * @param {(branch: string) => boolean} [options.isMuted] - Muted branches are skipped
+ * @returns {{notify: (type: string, data?: Object) => Promise<void>}}
+ */
+function createDesktopNotifier({ config, send, getAuthor = async () => null, isMuted = () => false }) {
+  return {
+    async notify(type, data = {}) {
+      if (!config.enabled || !config.events[type]) return;
+      if (typeof data.branch === 'string' && isMuted(data.branch)) return;
+
+      let author = null;
+      if (data.commit) {
+        try {
+          author = await getAuthor(data.commit);
+        } catch (_) {
+          author = null;
+        }
+      }
+
+      const notification = formatNotification(type, data, author);
+      if (!notification) return;
+      try {
+        send(notification);
+      } catch (_) { /* a notification is never worth crashing the poll loop */ }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_EVENTS,
+  formatNotification,
+  createDesktopNotifier,
+};
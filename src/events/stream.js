@@ -0,0 +1,87 @@
+/**
+ * Newline-delimited JSON event stream for headless mode.
+ *
+ * `git-watchtower --headless` runs the same poll loop as the TUI but, instead
+ * of painting the terminal, writes one JSON object per line to stdout for
+ * every notable event. Each line is self-contained:
+ *
+ *   {"type":"branch_updated","timestamp":"2026-10-19T09:12:03.120Z","branch":"feature/x","commit":"a1b2c3d","previousCommit":"9f8e7d6"}
+ *
+ * so the output can be piped into `jq`, a systemd journal, or any script
+ * that reads lines.
+ *
+ * @module events/stream
+ */
+
+'use strict';
+
+/**
+ * Event types emitted by the poll loop and server manager.
+ */
+const EVENT_TYPES = {
+  STARTED: 'started',
+  STOPPED: 'stopped',
+  BRANCH_CREATED: 'branch_created',
+  BRANCH_DELETED: 'branch_deleted',
+  BRANCH_UPDATED: 'branch_updated',
+  DIVERGENCE: 'divergence',
+  AUTO_PULL: 'auto_pull',
+  AUTO_PULL_FAILED: 'auto_pull_failed',
+  MERGE_CONFLICT: 'merge_conflict',
+  SERVER_CRASH: 'server_crash',
+  LOG: 'log',
+};
+
+/**
+ * Build the event object shared by the NDJSON stream and hooks.
+ *
+ * `type` and `timestamp` always come first and can't be overridden by the
+ * payload, so consumers can rely on them being present and well-formed.
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [data] - Event payload (must be JSON-serializable)
+ * @param {Date} [now] - Timestamp override (for tests)
+ * @returns {{type: string, timestamp: string, [key: string]: any}}
+ */
+function buildEvent(type, data = {}, now = new Date()) {
+  const { type: _type, timestamp: _timestamp, ...payload } = data || {};
+  return { type, timestamp: now.toISOString(), ...payload };
+}
+
+/**
+ * Serialize one event as a single NDJSON line (trailing newline included).
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [data] - Event payload (must be JSON-serializable)
+ * @param {Date} [now] - Timestamp override (for tests)
+ * @returns {string}
+ */
+function formatEvent(type, data = {}, now = new Date()) {
+  return JSON.stringify(buildEvent(type, data, now)) + '\n';
+}
+
+/**
+ * Create an event writer bound to a stream (normally process.stdout).
+ *
+ * Writes are dropped once the stream is no longer writable — a consumer
+ * that went away (`| head -1`) is handled by the stdout EPIPE handler, not
+ * by throwing from inside the poll loop.
+ *
+ * @param {{write: (chunk: string) => any, writable?: boolean}} stream
+ * @returns {{emit: (type: string, data?: Object) => void}}
+ */
+function createEventStream(stream) {
+  return {
+    emit(type, data = {}) {
+      if (stream.writable === false) return;
+      stream.write(formatEvent(type, data));
+    },
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  buildEvent,
+  formatEvent,
+  createEventStream,
+};
@@ -0,0 +1,219 @@
+/**
+ * Branch activity: commits per hour or day over a time window
+ *
+ * Feeds the sparkline column and the web dashboard's heatmap. Commits are
+ * read once per branch tip and kept in a cache; refreshing only re-buckets
+ * them against the current time, so git runs again only for branches that
+ * moved (or when a longer window is asked for).
+ *
+ * @module git/activity
+ */
+
+const { execGitOptional } = require('./commands');
+
+/**
+ * @typedef {'24h'|'7d'|'30d'} ActivityWindow
+ */
+
+/**
+ * @typedef {Object} ActivityCommit
+ * @property {string} hash - Full commit hash (authors are counted once per commit)
+ * @property {number} time - Commit date, epoch milliseconds
+ * @property {string} author - Author name
+ */
+
+/**
+ * @typedef {Object} HeatmapRow
+ * @property {string} name - Branch or author name
+ * @property {number[]} counts - Commits per bucket, oldest first
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} Heatmap
+ * @property {ActivityWindow} window
+ * @property {'branch'|'author'} by
+ * @property {number[]} buckets - Bucket start times (epoch ms), oldest first
+ * @property {HeatmapRow[]} rows - Busiest first
+ */
+
+/**
+ * Supported windows: hourly buckets over a day, daily ones over a week or
+ * a month.
+ * @type {Readonly<Record<ActivityWindow, {buckets: number, unit: 'hour'|'day'}>>}
+ */
+const ACTIVITY_WINDOWS = Object.freeze({
+  '24h': Object.freeze({ buckets: 24, unit: /** @type {const} */ ('hour') }),
+  '7d': Object.freeze({ buckets: 7, unit: /** @type {const} */ ('day') }),
+  '30d': Object.freeze({ buckets: 30, unit: /** @type {const} */ ('day') }),
+});
+
+/**
+ * Start of each bucket in the window ending now, oldest first. Buckets
+ * follow the local clock (whole hours, calendar days), stepping with the
+ * Date constructor rather than fixed ms offsets so DST days stay one bucket.
+ * @param {ActivityWindow} window
+ * @param {number} now - Epoch milliseconds
+ * @returns {number[]}
+ */
+function bucketStarts(window, now) {
+  const { buckets, unit } = ACTIVITY_WINDOWS[window];
+  const d = new Date(now);
+  const starts = [];
+  for (let i = buckets - 1; i >= 0; i--) {
+    const start = unit === 'hour'
+      ? new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours() - i)
+      : new Date(d.getFullYear(), d.getMonth(), d.getDate() - i);
+    starts.push(start.getTime());
+  }
+  return starts;
+}
+
+/**
+ * Count commits into the buckets of `starts`. Commits before the first
+ * bucket or in the future are left out.
+ * @param {Array<{time: number}>} commits
+ * @param {number[]} starts - From bucketStarts
+ * @param {number} now - Epoch milliseconds
+ * @returns {number[]}
+ */
+function bucketCommits(commits, starts, now) {
+  const counts = new Array(starts.length).fill(0);
+  for (const commit of commits) {
+    if (commit.time < starts[0] || commit.time > now) continue;
+    let index = starts.length - 1;
+    while (starts[index] > commit.time) index--;
+    counts[index]++;
+  }
+  return counts;
+}
+
+/**
+ * Squeeze counts into at most `width` columns by summing neighbours, for
+ * the fixed-width TUI sparkline.
+ * @param {number[]} counts
+ * @param {number} width
+ * @returns {number[]}
+ */
+function compressCounts(counts, width) {
+  if (counts.length <= width) return counts.slice();
+  const columns = new Array(width).fill(0);
+  counts.forEach((count, i) => {
+    columns[Math.floor((i * width) / counts.length)] += count;
+  });
+  return columns;
+}
+
+/**
+ * Parse `git log --format=%H%x1f%ct%x1f%an%x1e` output.
+ * @param {string} stdout
+ * @returns {ActivityCommit[]}
+ */
+function parseActivityLog(stdout) {
+  const commits = [];
+  for (const record of stdout.split('\x1e')) {
+    const [hash, seconds, author = ''] = record.replace(/^\n/, '').split('\x1f');
+    if (!hash || !seconds) continue;
+    commits.push({ hash, time: Number(seconds) * 1000, author });
+  }
+  return commits;
+}
+
+/**
+ * Cache of each branch's recent commits, keyed by its tip. A branch whose
+ * tip is unchanged and whose cached commits reach back far enough is served
+ * without running git.
+ * @returns {{
+ *   load: (name: string, options: {refs: string[], tip: string, since: number, cwd?: string}) => Promise<ActivityCommit[]>,
+ *   delete: (name: string) => boolean,
+ *   clear: () => void,
+ *   readonly size: number,
+ * }}
+ */
+function createActivityCache() {
+  /** @type {Map<string, {tip: string, since: number, commits: ActivityCommit[]}>} */
+  const entries = new Map();
+
+  return {
+    /**
+     * Commits on the branch since `since` (epoch ms). `refs` are tried in
+     * order (remote-tracking ref first, then the local branch).
+     */
+    async load(name, { refs, tip, since, cwd }) {
+      const cached = entries.get(name);
+      if (cached && cached.tip === tip && cached.since <= since) {
+        return cached.commits.filter((c) => c.time >= since);
+      }
+      let commits = [];
+      for (const ref of refs) {
+        const result = await execGitOptional(
+          ['log', ref, `--since=@${Math.floor(since / 1000)}`, '--format=%H%x1f%ct%x1f%an%x1e'],
+          { cwd, timeout: 10000 }
+        );
+        if (result) {
+          commits = parseActivityLog(result.stdout);
+          break;
+        }
+      }
+      entries.set(name, { tip, since, commits });
+      return commits;
+    },
+    delete(name) {
+      return entries.delete(name);
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Heatmap rows per branch or per author. Per author, a commit reachable
+ * from several branches counts once.
+ * @param {Map<string, ActivityCommit[]>} branchCommits - Branch name -> commits
+ * @param {ActivityWindow} window
+ * @param {'branch'|'author'} by
+ * @param {number} now - Epoch milliseconds
+ * @returns {Heatmap}
+ */
+function buildHeatmap(branchCommits, window, by, now) {
+  const buckets = bucketStarts(window, now);
+  /** @type {Map<string, ActivityCommit[]>} */
+  const groups = new Map();
+  if (by === 'author') {
+    const seen = new Set();
+    for (const commits of branchCommits.values()) {
+      for (const commit of commits) {
+        if (seen.has(commit.hash)) continue;
+        seen.add(commit.hash);
+        const author = commit.author || 'unknown';
+        if (!groups.has(author)) groups.set(author, []);
+        groups.get(author).push(commit);
+      }
+    }
+  } else {
+    for (const [name, commits] of branchCommits) groups.set(name, commits);
+  }
+
+  const rows = [];
+  for (const [name, commits] of groups) {
+    const counts = bucketCommits(commits, buckets, now);
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    if (total > 0) rows.push({ name, counts, total });
+  }
+  rows.sort((a, b) => (b.total - a.total) || a.name.localeCompare(b.name));
+  return { window, by, buckets, rows };
+}
+
+module.exports = {
+  ACTIVITY_WINDOWS,
+  bucketStarts,
+  bucketCommits,
+  compressCounts,
+  parseActivityLog,
+  createActivityCache,
+  buildHeatmap,
+};
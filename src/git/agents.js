@@ -0,0 +1,93 @@
+/**
+ * Agent attribution: which coding agent, if any, a branch or commit comes from.
+ *
+ * Rules come from the `agents` config list. A rule names the agent and
+ * matches on any of:
+ *   branches — branch globs (see utils/glob), e.g. "claude/**"
+ *   emails   — author email globs, e.g. "*+Copilot@users.noreply.github.com"
+ *   trailers — globs for the commit's trailer lines ("Key: value"), e.g.
+ *              "Co-Authored-By: Claude*"
+ * Emails and trailers are compared case-insensitively. The first matching
+ * rule wins; branches and commits no rule matches are attributed to their
+ * human author.
+ *
+ * @module git/agents
+ */
+
+const { matchesGlob } = require('../utils/glob');
+
+/**
+ * @typedef {import('../config/schema').AgentRuleConfig} AgentRule
+ */
+
+/**
+ * Rules used when the config has no `agents` list: the branch prefixes
+ * agents push to by default, and the identities they commit under.
+ * @type {ReadonlyArray<AgentRule>}
+ */
+const DEFAULT_AGENT_RULES = Object.freeze([
+  { name: 'claude', branches: ['claude/**'], emails: ['noreply@anthropic.com'], trailers: ['Co-Authored-By: Claude*'] },
+  { name: 'codex', branches: ['codex/**'], emails: [], trailers: [] },
+  { name: 'copilot', branches: ['copilot/**'], emails: ['*+Copilot@users.noreply.github.com'], trailers: [] },
+  { name: 'cursor', branches: ['cursor/**'], emails: ['cursoragent@cursor.com'], trailers: ['Co-authored-by: Cursor*'] },
+  { name: 'devin', branches: ['devin/**'], emails: ['*devin-ai-integration*'], trailers: [] },
+].map((rule) => Object.freeze(rule)));
+
+/**
+ * Split `%(trailers:only,unfold)` output into trailer lines.
+ * @param {string} text
+ * @returns {string[]} e.g. ["Co-Authored-By: Claude <noreply@anthropic.com>"]
+ */
+function parseTrailers(text) {
+  return String(text || '').split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} value
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesAnyIgnoringCase(value, patterns) {
+  const lower = value.toLowerCase();
+  return patterns.some((pattern) => matchesGlob(lower, pattern.toLowerCase()));
+}
+
+/**
+ * Name of the agent behind a branch or commit.
+ * @param {Object} subject
+ * @param {string} [subject.branch] - Branch name (commits have none)
+ * @param {string} [subject.email] - Author email
+ * @param {string[]} [subject.trailers] - Trailer lines of the (tip) commit
+ * @param {ReadonlyArray<AgentRule>} rules
+ * @returns {string|null} null for human authors
+ */
+function classifyAgent(subject, rules) {
+  const { branch = '', email = '', trailers = [] } = subject;
+  for (const rule of rules) {
+    if (branch && rule.branches.some((pattern) => matchesGlob(branch, pattern))) return rule.name;
+    if (email && matchesAnyIgnoringCase(email, rule.emails)) return rule.name;
+    if (rule.trailers.length > 0 && trailers.some((line) => matchesAnyIgnoringCase(line, rule.trailers))) return rule.name;
+  }
+  return null;
+}
+
+/**
+ * Set `agent` on each branch from its name and tip commit, in place.
+ * @template {{name: string, authorEmail?: string, trailers?: string[], agent?: string|null}} T
+ * @param {T[]} branches
+ * @param {ReadonlyArray<AgentRule>} rules
+ * @returns {T[]} The same array
+ */
+function applyAgentRules(branches, rules) {
+  for (const branch of branches) {
+    branch.agent = classifyAgent({ branch: branch.name, email: branch.authorEmail, trailers: branch.trailers }, rules);
+  }
+  return branches;
+}
+
+module.exports = {
+  DEFAULT_AGENT_RULES,
+  parseTrailers,
+  classifyAgent,
+  applyAgentRules,
+};
@@ -0,0 +1,123 @@
+/**
+ * Per-branch watch rules: pin, mute and ignore.
+ *
+ * Rules are lists of branch globs (see utils/glob) from the `branchRules`
+ * config block:
+ *   pin    — listed above everything else (deleted branches still sink)
+ *   mute   — still tracked and shown, but no flash/sound on updates
+ *   ignore — dropped from the list entirely, so no events either
+ *
+ * The TUI and web dashboard toggle pin/mute for a single branch at runtime
+ * by adding or removing its exact name; glob entries are left alone.
+ *
+ * @module git/branch-rules
+ */
+
+const { matchesAnyGlob } = require('../utils/glob');
+
+/**
+ * @typedef {import('../config/schema').BranchRulesConfig} BranchRules
+ */
+
+/** Rule kinds that can be toggled per-branch at runtime */
+const TOGGLEABLE_RULES = Object.freeze(['pin', 'mute']);
+
+/**
+ * @param {string} name - Branch name
+ * @param {BranchRules} rules
+ * @returns {boolean}
+ */
+function isPinned(name, rules) {
+  return matchesAnyGlob(name, rules.pin);
+}
+
+/**
+ * @param {string} name - Branch name
+ * @param {BranchRules} rules
+ * @returns {boolean}
+ */
+function isMuted(name, rules) {
+  return matchesAnyGlob(name, rules.mute);
+}
+
+/**
+ * @param {string} name - Branch name
+ * @param {BranchRules} rules
+ * @returns {boolean}
+ */
+function isIgnored(name, rules) {
+  return matchesAnyGlob(name, rules.ignore);
+}
+
+/**
+ * Drop ignored branches and flag pinned/muted ones in place.
+ *
+ * The checked-out branch is never dropped — hiding where you are would be
+ * more confusing than showing a branch you asked to ignore.
+ *
+ * @template {{name: string, isPinned?: boolean, isMuted?: boolean}} T
+ * @param {T[]} branches
+ * @param {BranchRules} rules
+ * @param {string|null} [currentBranch]
+ * @returns {T[]} New array (branch objects are mutated, not copied)
+ */
+function applyBranchRules(branches, rules, currentBranch = null) {
+  const result = [];
+  for (const branch of branches) {
+    if (branch.name !== currentBranch && isIgnored(branch.name, rules)) continue;
+    branch.isPinned = isPinned(branch.name, rules);
+    branch.isMuted = isMuted(branch.name, rules);
+    result.push(branch);
+  }
+  return result;
+}
+
+/**
+ * Sort comparator putting pinned branches first. Returns 0 when both or
+ * neither are pinned so it can lead a chain of comparators.
+ * @param {{isPinned?: boolean}} a
+ * @param {{isPinned?: boolean}} b
+ * @returns {number}
+ */
+function comparePinned(a, b) {
+  return (b.isPinned ? 1 : 0) - (a.isPinned ? 1 : 0);
+}
+
+/**
+ * Set or clear a pin/mute for one branch.
+ *
+ * Only exact-name entries are added or removed. If a glob still matches
+ * after removal, `viaPattern` names it so the caller can explain why the
+ * branch is still pinned/muted.
+ *
+ * @param {BranchRules} rules
+ * @param {'pin'|'mute'} kind
+ * @param {string} name - Branch name
+ * @param {boolean} enabled - Desired state
+ * @returns {{rules: BranchRules, changed: boolean, viaPattern: string|null}}
+ */
+function setBranchRule(rules, kind, name, enabled) {
+  const list = rules[kind];
+  let next = list;
+  if (enabled && !matchesAnyGlob(name, list)) {
+    next = [...list, name];
+  } else if (!enabled && list.includes(name)) {
+    next = list.filter((entry) => entry !== name);
+  }
+  const viaPattern = !enabled ? (next.find((entry) => matchesAnyGlob(name, [entry])) || null) : null;
+  return {
+    rules: next === list ? rules : { ...rules, [kind]: next },
+    changed: next !== list,
+    viaPattern,
+  };
+}
+
+module.exports = {
+  TOGGLEABLE_RULES,
+  isPinned,
+  isMuted,
+  isIgnored,
+  applyBranchRules,
+  comparePinned,
+  setBranchRule,
+};
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const { execGit, execGitOptional, fetch, hasRemoteChanges, hasUncommittedChanges, getCommitsByDay, log, deleteLocalBranch, getAheadBehind } = require('./commands');
 const { GitError, ValidationError } = require('../utils/errors');
+const { parseTrailers } = require('./agents');
 
 // Short timeout for quick local git queries (worktree list, show-toplevel).
 const WORKTREE_QUERY_TIMEOUT = 5000;
@@ -34,6 +35,10 @@ const VALID_BRANCH_PATTERN = /^[a-zA-Z0-9_\-./]+$/;
  * @property {string} name - Branch name
  * @property {string} commit - Short commit hash
  * @property {string} subject - Commit subject
+ * @property {string} [author] - Author name of the tip commit
+ * @property {string} [authorEmail] - Author email of the tip commit
+ * @property {string[]} [trailers] - Trailer lines of the tip commit ("Key: value")
+ * @property {string|null} [agent] - Coding agent behind the branch (see git/agents), null for humans
  * @property {Date} date - Commit date
  * @property {boolean} isLocal - Is a local branch
  * @property {boolean} hasRemote - Has a remote tracking branch
@@ -43,10 +48,15 @@ const VALID_BRANCH_PATTERN = /^[a-zA-Z0-9_\-./]+$/;
  * @property {string} [remoteSubject] - Remote commit subject
  * @property {number} [ahead] - Local commits not on the remote tracking branch
  * @property {number} [behind] - Remote commits not on the local branch
+ * @property {string} [remote] - Remote backing this row (the primary remote when the branch is on it)
+ * @property {string[]} [remotes] - Every monitored remote that has this branch, primary first
+ * @property {Object<string, {ahead: number, behind: number}>} [remoteAheadBehind] - Ahead/behind of this row against each remote's copy
  * @property {boolean} [isNew] - Newly discovered branch
  * @property {boolean} [isDeleted] - Branch was deleted
  * @property {boolean} [justUpdated] - Was just updated
  * @property {string} [sparkline] - Activity sparkline
+ * @property {boolean} [isPinned] - Matches a branchRules.pin glob (listed first)
+ * @property {boolean} [isMuted] - Matches a branchRules.mute glob (no flash/sound)
  */
 
 /**
@@ -122,16 +132,85 @@ async function getCurrentBranch(cwd) {
   }
 }
 
+// Tip-commit fields read for every ref. \x1f (Unit Separator) separates
+// fields since | can appear in commit subjects; \x1e ends a record because
+// trailers span several lines. The subject comes last so a stray \x1f in
+// it is joined back.
+const REF_FORMAT = [
+  '%(refname:short)',
+  '%(committerdate:iso8601-strict)',
+  '%(objectname:short)',
+  '%(authorname)',
+  '%(authoremail)',
+  '%(trailers:only,unfold)',
+  '%(subject)',
+].join('\x1f') + '\x1e';
+
+/**
+ * Split `for-each-ref --format=REF_FORMAT` output into records.
+ * @param {string} stdout
+ * @returns {Array<{ref: string, dateStr: string, commit: string, author: string, authorEmail: string, trailers: string[], subject: string}>}
+ */
+function parseRefRecords(stdout) {
+  return stdout.split('\x1e').map((record) => record.replace(/^\n/, '')).filter(Boolean).map((record) => {
+    const [ref, dateStr, commit, author, email, trailers, ...subjectParts] = record.split('\x1f');
+    return {
+      ref,
+      dateStr,
+      commit,
+      author: author || '',
+      // %(authoremail) keeps the angle brackets (:trim needs git 2.34)
+      authorEmail: (email || '').replace(/^<|>$/g, ''),
+      trailers: parseTrailers(trailers),
+      subject: subjectParts.join('\x1f'),
+    };
+  });
+}
+
+// Per-commit fields for commit lists, in the same record layout as
+// REF_FORMAT: short hash, author, relative date, trailers, subject.
+const COMMIT_LOG_FORMAT = '%h%x1f%an%x1f%ae%x1f%cr%x1f%(trailers:only,unfold)%x1f%s%x1e';
+
+/**
+ * Split `git log --format=COMMIT_LOG_FORMAT` output into commits.
+ * @param {string} stdout
+ * @returns {Array<{hash: string, author: string, authorEmail: string, time: string, trailers: string[], subject: string}>}
+ */
+function parseCommitLog(stdout) {
+  return stdout.split('\x1e').map((record) => record.replace(/^\n/, '')).filter(Boolean).map((record) => {
+    const [hash, author, authorEmail, time, trailers, ...subjectParts] = record.split('\x1f');
+    return {
+      hash,
+      author: author || '',
+      authorEmail: authorEmail || '',
+      time: time || '',
+      trailers: parseTrailers(trailers),
+      subject: subjectParts.join('\x1f'),
+    };
+  });
+}
+
 /**
  * Get all branches (local and remote)
+ *
+ * Several remotes can be monitored at once (forks: `origin`, `upstream`,
+ * per-agent remotes). The first entry of `remoteNames` is the primary
+ * remote: it alone drives `hasRemote`/`hasUpdates`/`remoteCommit`, since
+ * pull, checkout and divergence handling all target it. Every remote a
+ * branch lives on is listed in `remotes`, with ahead/behind counts per
+ * remote in `remoteAheadBehind`.
+ *
  * @param {Object} [options] - Options
- * @param {string} [options.remoteName='origin'] - Remote name
+ * @param {string} [options.remoteName='origin'] - Remote name (used when remoteNames is omitted)
+ * @param {string[]} [options.remoteNames] - Remotes to monitor, primary first
  * @param {boolean} [options.fetch=true] - Fetch before listing
  * @param {string} [options.cwd] - Working directory
  * @returns {Promise<Branch[]>}
  */
 async function getAllBranches(options = {}) {
-  const { remoteName = 'origin', fetch: shouldFetch = true, cwd } = options;
+  const { remoteName = 'origin', remoteNames, fetch: shouldFetch = true, cwd } = options;
+  const remotes = Array.isArray(remoteNames) && remoteNames.length > 0 ? remoteNames : [remoteName];
+  const primaryRemote = remotes[0];
 
   try {
     // Optionally fetch first. Probe via `git ls-remote --heads` first
@@ -143,10 +222,17 @@ async function getAllBranches(options = {}) {
     // we fall through to the regular fetch + prune. A null probe result
     // (network/auth/missing-remote) also falls through, so an unrelated
     // probe failure can't masquerade as "no changes."
+    //
+    // With several remotes, the first one that reports a change stops the
+    // probing: `fetch --all` below refreshes every remote in one go.
     if (shouldFetch) {
-      const changed = await hasRemoteChanges(remoteName, { cwd });
+      let changed = false;
+      for (const remote of remotes) {
+        changed = await hasRemoteChanges(remote, { cwd });
+        if (changed !== false) break;
+      }
       if (changed !== false) {
-        await fetch(remoteName, { prune: true, all: true, cwd });
+        await fetch(primaryRemote, { prune: true, all: true, cwd });
       }
     }
 
@@ -159,26 +245,27 @@ async function getAllBranches(options = {}) {
     const branchByName = new Map();
 
     // Get local branches
-    // Use \x1f (Unit Separator) as delimiter since | can appear in commit subjects
-    const delimiter = '\x1f';
     const localResult = await execGit(
-      ['for-each-ref', '--sort=-committerdate', `--format=%(refname:short)${delimiter}%(committerdate:iso8601-strict)${delimiter}%(objectname:short)${delimiter}%(subject)`, 'refs/heads/'],
+      ['for-each-ref', '--sort=-committerdate', `--format=${REF_FORMAT}`, 'refs/heads/'],
       { cwd }
     );
 
     if (localResult) {
-      for (const line of localResult.stdout.split('\n').filter(Boolean)) {
-        const [name, dateStr, commit, ...subjectParts] = line.split(delimiter);
-        const subject = subjectParts.join(delimiter);
+      for (const { ref: name, dateStr, commit, author, authorEmail, trailers, subject } of parseRefRecords(localResult.stdout)) {
         if (!branchByName.has(name) && isValidBranchName(name)) {
           const branch = {
             name,
             commit,
             subject: subject || '',
+            author,
+            authorEmail,
+            trailers,
             date: new Date(dateStr),
             isLocal: true,
             hasRemote: false,
             hasUpdates: false,
+            remotes: [],
+            remoteAheadBehind: {},
           };
           branchByName.set(name, branch);
           branchList.push(branch);
@@ -186,64 +273,90 @@ async function getAllBranches(options = {}) {
       }
     }
 
-    // Get remote branches
-    const remoteResult = await execGit(
-      ['for-each-ref', '--sort=-committerdate', `--format=%(refname:short)${delimiter}%(committerdate:iso8601-strict)${delimiter}%(objectname:short)${delimiter}%(subject)`, `refs/remotes/${remoteName}/`],
-      { cwd }
-    );
+    // Get remote branches, primary remote first
+    for (const remote of remotes) {
+      const isPrimary = remote === primaryRemote;
+      const remoteResult = await execGit(
+        ['for-each-ref', '--sort=-committerdate', `--format=${REF_FORMAT}`, `refs/remotes/${remote}/`],
+        { cwd }
+      );
+      if (!remoteResult) continue;
 
-    if (remoteResult) {
-      const remotePrefix = `${remoteName}/`;
-      for (const line of remoteResult.stdout.split('\n').filter(Boolean)) {
-        const [fullName, dateStr, commit, ...subjectParts] = line.split(delimiter);
-        const subject = subjectParts.join(delimiter);
-        const name = fullName.replace(remotePrefix, '');
+      const remotePrefix = `${remote}/`;
+      for (const { ref: fullName, dateStr, commit, author, authorEmail, trailers, subject } of parseRefRecords(remoteResult.stdout)) {
+        const name = fullName.startsWith(remotePrefix) ? fullName.slice(remotePrefix.length) : fullName;
 
         if (name === 'HEAD') continue;
         if (!isValidBranchName(name)) continue;
 
         const existing = /** @type {Branch|undefined} */ (branchByName.get(name));
-        if (existing) {
-          existing.hasRemote = true;
-          existing.remoteCommit = commit;
-          existing.remoteDate = new Date(dateStr);
-          existing.remoteSubject = subject || '';
-          if (commit !== existing.commit) {
-            // Direction matters. hasUpdates must mean "the remote has commits
-            // we don't have yet" — i.e. something to pull (behind > 0). A
-            // branch that differs only because it is AHEAD (local commits not
-            // yet pushed) has nothing to pull; flagging it made auto-pull fire
-            // every poll ("already up to date"), spam the activity log, and
-            // reload every connected browser each cycle. It also pinned
-            // sawActivity true, defeating the inactivity poll backoff.
-            const { ahead, behind } = await getAheadBehind(
-              existing.name,
-              `${remoteName}/${existing.name}`,
-              { cwd }
-            );
-            existing.ahead = ahead;
-            existing.behind = behind;
-            existing.hasUpdates = hasUpdatesFromCounts(ahead, behind);
-            if (existing.hasUpdates) {
-              // Remote moved (or direction is unknown): surface it by sorting
-              // to the top with the remote's date/subject. For an ahead-only
-              // branch we intentionally keep the local date so it doesn't jump.
-              existing.date = new Date(dateStr);
-              existing.subject = subject || existing.subject;
-            }
-          }
-        } else {
+        if (!existing) {
           const branch = {
             name,
             commit,
             subject: subject || '',
+            author,
+            authorEmail,
+            trailers,
             date: new Date(dateStr),
             isLocal: false,
             hasRemote: true,
             hasUpdates: false,
+            remote,
+            remotes: [remote],
+            remoteAheadBehind: { [remote]: { ahead: 0, behind: 0 } },
           };
           branchByName.set(name, branch);
           branchList.push(branch);
+          continue;
+        }
+
+        existing.remotes.push(remote);
+
+        if (!isPrimary) {
+          // Secondary remotes are informational: compare against whatever
+          // this row represents (the local branch, or the remote copy it was
+          // first seen on) without touching hasUpdates/date/subject.
+          const baseRef = existing.isLocal ? existing.name : `${existing.remote}/${existing.name}`;
+          existing.remoteAheadBehind[remote] = commit === existing.commit
+            ? { ahead: 0, behind: 0 }
+            : await getAheadBehind(baseRef, `${remote}/${existing.name}`, { cwd });
+          continue;
+        }
+
+        existing.hasRemote = true;
+        existing.remote = remote;
+        existing.remoteCommit = commit;
+        existing.remoteDate = new Date(dateStr);
+        existing.remoteSubject = subject || '';
+        existing.remoteAheadBehind[remote] = { ahead: 0, behind: 0 };
+        if (commit !== existing.commit) {
+          // Direction matters. hasUpdates must mean "the remote has commits
+          // we don't have yet" — i.e. something to pull (behind > 0). A
+          // branch that differs only because it is AHEAD (local commits not
+          // yet pushed) has nothing to pull; flagging it made auto-pull fire
+          // every poll ("already up to date"), spam the activity log, and
+          // reload every connected browser each cycle. It also pinned
+          // sawActivity true, defeating the inactivity poll backoff.
+          const { ahead, behind } = await getAheadBehind(
+            existing.name,
+            `${remote}/${existing.name}`,
+            { cwd }
+          );
+          existing.ahead = ahead;
+          existing.behind = behind;
+          existing.remoteAheadBehind[remote] = { ahead, behind };
+          existing.hasUpdates = hasUpdatesFromCounts(ahead, behind);
+          if (existing.hasUpdates) {
+            // Remote moved (or direction is unknown): surface it by sorting
+            // to the top with the remote's date/subject. For an ahead-only
+            // branch we intentionally keep the local date so it doesn't jump.
+            existing.date = new Date(dateStr);
+            existing.subject = subject || existing.subject;
+            existing.author = author;
+            existing.authorEmail = authorEmail;
+            existing.trailers = trailers;
+          }
         }
       }
     }
@@ -275,22 +388,12 @@ async function getPreviewData(branchName, options = {}) {
     const safeName = sanitizeBranchName(branchName);
 
     // Get recent commits
-    // Use %x1f (Unit Separator) as delimiter since | can appear in commit subjects
     const commitLog = await log(safeName, {
       count: commitCount,
-      format: '%h%x1f%s%x1f%cr',
+      format: COMMIT_LOG_FORMAT,
       cwd,
     });
-
-    const commits = commitLog
-      .split('\n')
-      .filter(Boolean)
-      .map((line) => {
-        const [hash, ...rest] = line.split('\x1f');
-        const time = rest.pop() || '';
-        const subject = rest.join('\x1f');
-        return { hash, subject, time };
-      });
+    const commits = parseCommitLog(commitLog);
 
     // Get changed files compared to current branch
     let files = [];
@@ -501,11 +604,15 @@ module.exports = {
   getCurrentBranch,
   getAllBranches,
   getPreviewData,
+  COMMIT_LOG_FORMAT,
+  parseCommitLog,
   generateSparkline,
   getLocalBranches,
   localBranchExists,
   getWorktreeBranchMap,
   getGoneBranches,
   deleteGoneBranches,
+  realpathOrSelf,
   VALID_BRANCH_PATTERN,
+  WORKTREE_QUERY_TIMEOUT,
 };
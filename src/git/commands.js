@@ -325,6 +325,26 @@ async function log(branchName, options = {}) {
   return stdout;
 }
 
+/**
+ * Get the author name of a single commit.
+ * @param {string} commit - Commit hash or ref
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<string|null>} null when the commit can't be read
+ */
+async function getCommitAuthor(commit, options = {}) {
+  try {
+    const { stdout } = await execGit(
+      ['log', '-1', '--format=%an', commit, '--'],
+      { ...options, timeout: SHORT_TIMEOUT }
+    );
+    return stdout.trim() || null;
+  } catch (e) {
+    // Commit not fetched yet, or already gcd after a force-push.
+    return null;
+  }
+}
+
 /**
  * Get commit count by day for sparkline.
  *
@@ -581,6 +601,25 @@ async function getChangedFiles(branchName, baseBranch = 'HEAD', cwd) {
   }
 }
 
+/**
+ * Files that differ between two commits (not since their merge base, as in
+ * getChangedFiles): what checking out `toCommit` over `fromCommit` changes
+ * in the working tree.
+ * @param {string} fromCommit
+ * @param {string} [toCommit='HEAD']
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<string[]>} Empty when either commit is unknown
+ */
+async function getChangedFilesBetween(fromCommit, toCommit = 'HEAD', options = {}) {
+  try {
+    const { stdout } = await execGit(['diff', '--name-only', `${fromCommit}..${toCommit}`], options);
+    return stdout.split('\n').filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
 /**
  * Parse git diff --stat output into added/deleted line counts
  * @param {string} diffStatOutput - Output from `git diff --stat`
@@ -731,6 +770,7 @@ module.exports = {
   hasRemoteChanges,
   pull,
   log,
+  getCommitAuthor,
   getCommitsByDay,
   hasUncommittedChanges,
   hasUnresolvedConflicts,
@@ -738,6 +778,7 @@ module.exports = {
   stash,
   stashPop,
   getChangedFiles,
+  getChangedFilesBetween,
   parseDiffStats,
   getDiffStats,
   deleteLocalBranch,
@@ -0,0 +1,187 @@
+/**
+ * Unified diff retrieval and parsing
+ *
+ * Diffs are compared with three-dot syntax (`base...branch`), i.e. against
+ * the merge base — the same "what this branch changed" view a PR shows.
+ *
+ * @module git/diff
+ */
+
+const { execGit } = require('./commands');
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'hunk'|'add'|'del'|'context'|'meta'} type
+ * @property {string} text - Line content without the leading +/-/space marker
+ *   (the full `@@ ... @@` header for hunk lines)
+ * @property {number|null} oldLine - Line number in the base version
+ * @property {number|null} newLine - Line number in the branch version
+ */
+
+/**
+ * @typedef {Object} FileDiff
+ * @property {string} path - Path on the branch side (the old path for deletions)
+ * @property {string|null} oldPath - Previous path when renamed
+ * @property {'added'|'deleted'|'modified'|'renamed'} status
+ * @property {boolean} binary
+ * @property {number} added - Added line count
+ * @property {number} deleted - Deleted line count
+ * @property {DiffLine[]} lines
+ * @property {number[]} hunkStarts - Indices into `lines` of each hunk header
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * Strip the a/ or b/ prefix git puts on diff header paths.
+ * @param {string} raw
+ * @returns {string|null} null for /dev/null
+ */
+function headerPath(raw) {
+  const value = raw.replace(/\t.*$/, '');
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse `git diff` output into per-file structures.
+ *
+ * Only the header section of each file (before its first hunk) is scanned
+ * for `---`/`+++`/mode lines, so a removed line that happens to start with
+ * `--` isn't mistaken for a header.
+ *
+ * @param {string} text - Raw unified diff
+ * @returns {FileDiff[]}
+ */
+function parseUnifiedDiff(text) {
+  /** @type {FileDiff[]} */
+  const files = [];
+  /** @type {FileDiff|null} */
+  let file = null;
+  let inHunk = false;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      // Fallback path from the header; refined by ---/+++/rename lines below
+      const match = line.match(/^diff --git a\/(.*) b\/(.*)$/);
+      file = {
+        path: match ? match[2] : line.slice('diff --git '.length),
+        oldPath: null,
+        status: 'modified',
+        binary: false,
+        added: 0,
+        deleted: 0,
+        lines: [],
+        hunkStarts: [],
+      };
+      files.push(file);
+      inHunk = false;
+      continue;
+    }
+    if (!file) continue;
+
+    const hunk = line.match(HUNK_HEADER);
+    if (hunk) {
+      inHunk = true;
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+      file.hunkStarts.push(file.lines.length);
+      file.lines.push({ type: 'hunk', text: line, oldLine: null, newLine: null });
+      continue;
+    }
+
+    if (!inHunk) {
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) {
+        file.status = 'renamed';
+        file.oldPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) file.path = line.slice('rename to '.length);
+      else if (line.startsWith('Binary files ')) file.binary = true;
+      else if (line.startsWith('+++ ')) {
+        const p = headerPath(line.slice(4));
+        if (p) file.path = p;
+      } else if (line.startsWith('--- ') && file.status === 'deleted') {
+        const p = headerPath(line.slice(4));
+        if (p) file.path = p;
+      }
+      continue;
+    }
+
+    const marker = line[0];
+    const content = line.slice(1);
+    if (marker === '+') {
+      file.added++;
+      file.lines.push({ type: 'add', text: content, oldLine: null, newLine: newLine++ });
+    } else if (marker === '-') {
+      file.deleted++;
+      file.lines.push({ type: 'del', text: content, oldLine: oldLine++, newLine: null });
+    } else if (marker === ' ') {
+      file.lines.push({ type: 'context', text: content, oldLine: oldLine++, newLine: newLine++ });
+    } else if (marker === '\\') {
+      // "\ No newline at end of file"
+      file.lines.push({ type: 'meta', text: line, oldLine: null, newLine: null });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Diff a branch against a base ref (three-dot, from the merge base).
+ *
+ * @param {string} baseRef - Base ref (e.g. "HEAD" or "origin/main")
+ * @param {string} branchRef - Branch ref (e.g. "origin/feature/foo")
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.paths] - Limit to these paths
+ * @param {number} [options.contextLines=3] - Lines of context around changes
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<FileDiff[]>}
+ * @throws {import('../utils/errors').GitError} When the refs can't be diffed
+ *   or the output overflows execGit's buffer
+ */
+async function getBranchDiff(baseRef, branchRef, options = {}) {
+  const { paths = [], contextLines = 3, cwd } = options;
+  const args = [
+    '-c', 'core.quotePath=false',
+    'diff', '--no-color', '--no-ext-diff', '-M',
+    `-U${contextLines}`,
+    `${baseRef}...${branchRef}`,
+    '--',
+    ...paths,
+  ];
+  const { stdout } = await execGit(args, { cwd });
+  return parseUnifiedDiff(stdout);
+}
+
+/**
+ * Cap the total number of diff lines kept across files, for callers that
+ * ship diffs somewhere size matters (e.g. the web dashboard). Files past the
+ * cap keep their path, status and counts but lose their lines.
+ *
+ * @param {FileDiff[]} files
+ * @param {number} maxLines - Total line budget
+ * @returns {{files: FileDiff[], truncated: boolean}}
+ */
+function limitDiffLines(files, maxLines) {
+  let remaining = maxLines;
+  let truncated = false;
+  const limited = files.map((file) => {
+    if (file.lines.length <= remaining) {
+      remaining -= file.lines.length;
+      return file;
+    }
+    truncated = true;
+    remaining = 0;
+    return { ...file, lines: [], hunkStarts: [] };
+  });
+  return { files: limited, truncated };
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  getBranchDiff,
+  limitDiffLines,
+};
@@ -0,0 +1,229 @@
+/**
+ * "Since you last looked" digest
+ *
+ * Compares the branch tips recorded when the user last acknowledged the
+ * digest with the current ones, and describes every branch that was
+ * created, updated, merged or deleted in between — with commit counts and
+ * line stats, so work done while nobody was watching can be reviewed at a
+ * glance.
+ *
+ * @module git/digest
+ */
+
+const { execGitOptional, getDiffStats } = require('./commands');
+
+/**
+ * Branch tips at the moment the digest was last acknowledged.
+ * @typedef {Object} SeenSnapshot
+ * @property {number} seenAt - Epoch milliseconds
+ * @property {string|null} baseCommit - Default branch tip at that time
+ * @property {Object<string, string>} branches - Branch name -> tip commit
+ */
+
+/**
+ * @typedef {Object} DigestEntry
+ * @property {string} name - Branch name
+ * @property {'created'|'updated'|'merged'|'deleted'} status
+ * @property {string} commit - Current tip (last known tip for deleted branches)
+ * @property {string|null} previousCommit - Tip when last seen (null when created)
+ * @property {string} subject - Tip commit subject ('' for deleted branches)
+ * @property {number|null} commits - Commits added since last seen (null when unknown)
+ * @property {{added: number, deleted: number}|null} stats - Line changes (null when unknown)
+ */
+
+/**
+ * @typedef {Object} Digest
+ * @property {number|null} since - When the previous snapshot was taken (null on first run)
+ * @property {DigestEntry[]} entries - Created, updated, merged, then deleted
+ * @property {SeenSnapshot} snapshot - What acknowledging this digest records as seen
+ */
+
+const STATUS_ORDER = { created: 0, updated: 1, merged: 2, deleted: 3 };
+
+/**
+ * Tip commit of each listed branch. The remote tip wins over the local one:
+ * it's what others pushed, and what the digest is about.
+ * @param {Array<{name: string, commit: string, remoteCommit?: string, isDeleted?: boolean}>} branches
+ * @returns {Object<string, string>}
+ */
+function branchTips(branches) {
+  /** @type {Object<string, string>} */
+  const tips = {};
+  for (const branch of branches) {
+    if (branch.isDeleted) continue;
+    tips[branch.name] = branch.remoteCommit || branch.commit;
+  }
+  return tips;
+}
+
+/**
+ * Compare two tip maps. Merges aren't visible from tips alone; buildDigest
+ * works those out with git.
+ * @param {Object<string, string>} seen - Tips when last seen
+ * @param {Object<string, string>} current - Tips now
+ * @returns {Array<{name: string, status: 'created'|'updated'|'deleted', commit: string, previousCommit: string|null}>}
+ */
+function compareTips(seen, current) {
+  const changes = [];
+  for (const [name, commit] of Object.entries(current)) {
+    const previous = Object.prototype.hasOwnProperty.call(seen, name) ? seen[name] : null;
+    if (previous === null) {
+      changes.push({ name, status: /** @type {const} */ ('created'), commit, previousCommit: null });
+    } else if (previous !== commit) {
+      changes.push({ name, status: /** @type {const} */ ('updated'), commit, previousCommit: previous });
+    }
+  }
+  for (const [name, commit] of Object.entries(seen)) {
+    if (!Object.prototype.hasOwnProperty.call(current, name)) {
+      changes.push({ name, status: /** @type {const} */ ('deleted'), commit, previousCommit: commit });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Number of commits in a revision range, or null when git can't tell
+ * (e.g. an old tip that was force-pushed away and garbage-collected).
+ * @param {string} range
+ * @param {string} [cwd]
+ * @returns {Promise<number|null>}
+ */
+async function countCommits(range, cwd) {
+  const result = await execGitOptional(['rev-list', '--count', range], { cwd });
+  if (!result) return null;
+  const count = parseInt(result.stdout, 10);
+  return Number.isNaN(count) ? null : count;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @param {string} [cwd]
+ * @returns {Promise<string|null>}
+ */
+async function mergeBase(a, b, cwd) {
+  const result = await execGitOptional(['merge-base', a, b], { cwd });
+  return result && result.stdout ? result.stdout : null;
+}
+
+/**
+ * @param {string} commit
+ * @param {string} base
+ * @param {string} [cwd]
+ * @returns {Promise<boolean>}
+ */
+async function isAncestor(commit, base, cwd) {
+  return (await execGitOptional(['merge-base', '--is-ancestor', commit, base], { cwd })) !== null;
+}
+
+/**
+ * Commits merged into a ref, as the short hashes getAllBranches reports.
+ * @param {string} ref
+ * @param {string} [cwd]
+ * @returns {Promise<Set<string>>}
+ */
+async function mergedTips(ref, cwd) {
+  const result = await execGitOptional(
+    ['for-each-ref', `--merged=${ref}`, '--format=%(objectname:short)', 'refs/heads/', 'refs/remotes/'],
+    { cwd }
+  );
+  return new Set(result ? result.stdout.split('\n').filter(Boolean) : []);
+}
+
+/**
+ * Build the digest of what changed since the snapshot.
+ *
+ * A branch counts as merged when its tip is reachable from the default
+ * branch now but wasn't from the default branch's tip at snapshot time.
+ * Squash and rebase merges leave no such trace; those branches show up as
+ * updated or deleted.
+ *
+ * Without a previous snapshot (first run) nothing is reported; the returned
+ * snapshot is the baseline to save.
+ *
+ * @param {SeenSnapshot|null} seen - Snapshot from the last acknowledgement
+ * @param {Array<{name: string, commit: string, subject?: string, remoteCommit?: string, remoteSubject?: string, isDeleted?: boolean}>} branches
+ * @param {Object} [options]
+ * @param {string|null} [options.baseRef] - Default branch ref (e.g. "origin/main");
+ *   without it created branches get no stats and merges aren't detected
+ * @param {string} [options.cwd] - Working directory
+ * @param {() => number} [options.now] - Clock, for tests
+ * @returns {Promise<Digest>}
+ */
+async function buildDigest(seen, branches, options = {}) {
+  const { baseRef = null, cwd, now = Date.now } = options;
+  const current = branchTips(branches);
+  const baseResult = baseRef ? await execGitOptional(['rev-parse', '--short', baseRef], { cwd }) : null;
+  const baseCommit = baseResult ? baseResult.stdout : null;
+  const snapshot = { seenAt: now(), baseCommit, branches: current };
+
+  if (!seen) return { since: null, entries: [], snapshot };
+
+  const baseName = baseRef ? baseRef.replace(/^[^/]+\//, '') : null;
+  const baseMoved = Boolean(baseCommit && seen.baseCommit && baseCommit !== seen.baseCommit);
+
+  /** @type {Array<{name: string, status: DigestEntry['status'], commit: string, previousCommit: string|null}>} */
+  const changes = compareTips(seen.branches || {}, current);
+
+  // Branches that didn't move can still have been merged. One for-each-ref
+  // per side beats a merge-base call per branch.
+  if (baseMoved) {
+    const mergedNow = await mergedTips(/** @type {string} */ (baseCommit), cwd);
+    const mergedThen = await mergedTips(/** @type {string} */ (seen.baseCommit), cwd);
+    for (const [name, commit] of Object.entries(current)) {
+      if (name === baseName || seen.branches[name] !== commit) continue;
+      if (mergedNow.has(commit) && !mergedThen.has(commit)) {
+        changes.push({ name, status: 'merged', commit, previousCommit: commit });
+      }
+    }
+  }
+
+  const subjects = new Map(branches.map((b) => [b.name, (b.remoteCommit && b.remoteSubject) || b.subject || '']));
+
+  /** @type {DigestEntry[]} */
+  const entries = [];
+  for (const change of changes) {
+    /** @type {DigestEntry} */
+    const entry = {
+      ...change,
+      subject: subjects.get(change.name) || '',
+      commits: null,
+      stats: null,
+    };
+
+    // A branch that moved and then landed (or was deleted after landing)
+    // reads better as merged than as updated/deleted
+    if (baseMoved && change.status !== 'created' && change.status !== 'merged' && change.name !== baseName
+      && await isAncestor(change.commit, /** @type {string} */ (baseCommit), cwd)
+      && !(await isAncestor(change.commit, /** @type {string} */ (seen.baseCommit), cwd))) {
+      entry.status = 'merged';
+    }
+
+    if (entry.status === 'merged') {
+      // What the branch brought in: its commits the old default branch lacked
+      const from = await mergeBase(/** @type {string} */ (seen.baseCommit), entry.commit, cwd);
+      entry.commits = await countCommits(`${seen.baseCommit}..${entry.commit}`, cwd);
+      if (from) entry.stats = await getDiffStats(from, entry.commit, { cwd });
+    } else if (entry.status === 'created' && baseCommit) {
+      const from = await mergeBase(baseCommit, entry.commit, cwd);
+      entry.commits = await countCommits(`${baseCommit}..${entry.commit}`, cwd);
+      if (from) entry.stats = await getDiffStats(from, entry.commit, { cwd });
+    } else if (entry.status === 'updated') {
+      // null when the old tip is gone (force-push + gc)
+      entry.commits = await countCommits(`${entry.previousCommit}..${entry.commit}`, cwd);
+      if (entry.commits !== null) {
+        entry.stats = await getDiffStats(/** @type {string} */ (entry.previousCommit), entry.commit, { cwd });
+      }
+    }
+    entries.push(entry);
+  }
+
+  entries.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || a.name.localeCompare(b.name));
+  return { since: seen.seenAt, entries, snapshot };
+}
+
+module.exports = {
+  branchTips,
+  compareTips,
+  buildDigest,
+};
@@ -0,0 +1,256 @@
+/**
+ * REST clients for hosting platforms without a supported CLI
+ *
+ * GitHub and GitLab are queried through gh/glab. Gitea/Forgejo and
+ * Bitbucket Cloud are queried through their REST APIs instead, and the
+ * responses are normalized by the parsers in git/pr so callers see the same
+ * PR info whichever platform the repo lives on.
+ *
+ * Credentials come from the environment:
+ * - Gitea/Forgejo: GITEA_TOKEN (or FORGEJO_TOKEN)
+ * - Bitbucket Cloud: BITBUCKET_TOKEN (an access token), or
+ *   BITBUCKET_USERNAME + BITBUCKET_APP_PASSWORD
+ * Without them only public repositories can be queried.
+ *
+ * Zero runtime dependencies — only Node built-ins.
+ *
+ * @module git/hosting
+ */
+
+const http = require('http');
+const https = require('https');
+const {
+  parseGiteaPr,
+  parseGiteaPrList,
+  parseBitbucketPr,
+  parseBitbucketPrList,
+} = require('./pr');
+
+const DEFAULT_API_TIMEOUT_MS = 15000;
+// A page of PRs is tens of KB; anything near this is not an API response
+const MAX_RESPONSE_BYTES = 8 * 1024 * 1024;
+const PAGE_SIZE = 50;
+// Bulk listing stops after this many pages — the newest PRs are what the
+// branch list needs, and a repo with thousands of PRs shouldn't stall a poll
+const MAX_PAGES = 10;
+const BITBUCKET_API = 'https://api.bitbucket.org/2.0';
+
+/**
+ * Platforms this module has a client for.
+ * @type {ReadonlyArray<string>}
+ */
+const API_PLATFORMS = Object.freeze(['gitea', 'bitbucket']);
+
+/**
+ * @typedef {Object} HostingClient
+ * @property {string} platform
+ * @property {() => Promise<Map<string, {state: string, number: number, title: string}>>} listPrs -
+ *   Recent PRs of the repository by source branch
+ * @property {(branch: string) => Promise<object|null>} getPrInfo - Normalized PR info for a
+ *   branch (see git/pr), or null when it has no PR
+ */
+
+/**
+ * GET a URL and parse the JSON response.
+ * @param {string} url
+ * @param {Object<string, string>} headers
+ * @param {number} timeoutMs
+ * @returns {Promise<any>}
+ * @throws {Error} On network errors, timeouts, non-2xx responses and invalid JSON
+ */
+function getJson(url, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'GET',
+      headers: { Accept: 'application/json', 'User-Agent': 'git-watchtower', ...headers },
+      timeout: timeoutMs,
+    }, (res) => {
+      const status = res.statusCode || 0;
+      if (status >= 300) {
+        res.resume();
+        reject(new Error(`HTTP ${status} from ${target.host}`));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          req.destroy(new Error(`response from ${target.host} is too large`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (e) {
+          reject(new Error(`invalid JSON from ${target.host}`));
+        }
+      });
+    });
+    req.on('timeout', () => {
+      req.destroy(new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Authorization header for a platform from the environment, if any.
+ * @param {string} platform
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Object<string, string>}
+ */
+function authHeaders(platform, env) {
+  if (platform === 'gitea') {
+    const token = env.GITEA_TOKEN || env.FORGEJO_TOKEN;
+    return token ? { Authorization: `token ${token}` } : {};
+  }
+  if (platform === 'bitbucket') {
+    if (env.BITBUCKET_TOKEN) return { Authorization: `Bearer ${env.BITBUCKET_TOKEN}` };
+    if (env.BITBUCKET_USERNAME && env.BITBUCKET_APP_PASSWORD) {
+      const basic = Buffer.from(`${env.BITBUCKET_USERNAME}:${env.BITBUCKET_APP_PASSWORD}`).toString('base64');
+      return { Authorization: `Basic ${basic}` };
+    }
+  }
+  return {};
+}
+
+/**
+ * API base URL of a repository.
+ *
+ * Gitea can be served from a sub-path (https://host/git/owner/repo), so the
+ * owner and repo are the last two path segments and whatever precedes them
+ * is the install prefix. Bitbucket Data Center has a different API
+ * altogether; only bitbucket.org is supported.
+ *
+ * @param {string} platform
+ * @param {string|null} webUrlBase - Web URL of the repository
+ * @param {string} [bitbucketApi] - Bitbucket Cloud API root
+ * @returns {string|null} Null when the platform or URL isn't supported
+ */
+function repoApiBase(platform, webUrlBase, bitbucketApi = BITBUCKET_API) {
+  if (!webUrlBase) return null;
+  let url;
+  try {
+    url = new URL(webUrlBase);
+  } catch (e) {
+    return null;
+  }
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+
+  if (platform === 'gitea') {
+    const [owner, repo] = segments.slice(-2);
+    const prefix = segments.slice(0, -2).map(s => `/${s}`).join('');
+    return `${url.origin}${prefix}/api/v1/repos/${owner}/${repo}`;
+  }
+  if (platform === 'bitbucket' && url.hostname.toLowerCase() === 'bitbucket.org') {
+    return `${bitbucketApi}/repositories/${segments[0]}/${segments[1]}`;
+  }
+  return null;
+}
+
+/**
+ * Create the REST client for a repository.
+ * @param {Object} options
+ * @param {string|null} options.platform - Detected platform
+ * @param {string|null} options.webUrlBase - Web URL of the repository
+ * @param {NodeJS.ProcessEnv} [options.env] - Source of credentials
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {string} [options.bitbucketApi] - Bitbucket Cloud API root, for tests
+ * @returns {HostingClient|null} Null when the platform has no REST client or
+ *   the repository URL can't be mapped to an API
+ */
+function createHostingClient({
+  platform,
+  webUrlBase,
+  env = process.env,
+  timeoutMs = DEFAULT_API_TIMEOUT_MS,
+  bitbucketApi = BITBUCKET_API,
+}) {
+  if (!platform || !API_PLATFORMS.includes(platform)) return null;
+  const base = repoApiBase(platform, webUrlBase, bitbucketApi);
+  if (!base) return null;
+  const headers = authHeaders(platform, env);
+  /** @param {string} url */
+  const get = (url) => getJson(url, headers, timeoutMs);
+
+  if (platform === 'gitea') {
+    /**
+     * Pages of PRs, most recently updated first, until `done` is satisfied.
+     * @param {(page: Array) => boolean} done
+     * @returns {Promise<Array>}
+     */
+    const fetchPulls = async (done) => {
+      const all = [];
+      for (let page = 1; page <= MAX_PAGES; page++) {
+        const prs = await get(`${base}/pulls?state=all&sort=recentupdate&limit=${PAGE_SIZE}&page=${page}`);
+        if (!Array.isArray(prs)) break;
+        all.push(...prs);
+        if (prs.length < PAGE_SIZE || done(prs)) break;
+      }
+      return all;
+    };
+
+    return {
+      platform,
+      async listPrs() {
+        return parseGiteaPrList(await fetchPulls(() => false));
+      },
+      async getPrInfo(branch) {
+        const isBranch = (/** @type {any} */ pr) => pr.head && pr.head.ref === branch;
+        const prs = (await fetchPulls((page) => page.some(isBranch))).filter(isBranch);
+        if (prs.length === 0) return null;
+        const pr = prs.reduce((a, b) => (b.number > a.number ? b : a));
+        const sha = pr.head && pr.head.sha;
+        const [statuses, reviews] = await Promise.all([
+          sha ? get(`${base}/commits/${encodeURIComponent(sha)}/status`).catch(() => null) : null,
+          get(`${base}/pulls/${pr.number}/reviews`).catch(() => null),
+        ]);
+        return parseGiteaPr([pr], { statuses, reviews });
+      },
+    };
+  }
+
+  // Bitbucket lists open PRs only unless every state is asked for
+  const states = 'state=OPEN&state=MERGED&state=DECLINED&state=SUPERSEDED';
+  return {
+    platform,
+    async listPrs() {
+      const all = [];
+      let url = `${base}/pullrequests?${states}&sort=-updated_on&pagelen=${PAGE_SIZE}`;
+      for (let page = 0; url && page < MAX_PAGES; page++) {
+        const body = await get(url);
+        if (!body || !Array.isArray(body.values)) break;
+        all.push(...body.values);
+        url = typeof body.next === 'string' ? body.next : '';
+      }
+      return parseBitbucketPrList(all);
+    },
+    async getPrInfo(branch) {
+      const q = encodeURIComponent(`source.branch.name="${branch.replace(/["\\]/g, '\\$&')}"`);
+      const body = await get(`${base}/pullrequests?${states}&q=${q}&pagelen=${PAGE_SIZE}`);
+      const prs = body && Array.isArray(body.values) ? body.values : [];
+      if (prs.length === 0) return null;
+      const { id } = prs.reduce((a, b) => (b.id > a.id ? b : a));
+      // Participants (and so approvals) are only on the single-PR resource
+      const [pr, statuses] = await Promise.all([
+        get(`${base}/pullrequests/${id}`),
+        get(`${base}/pullrequests/${id}/statuses?pagelen=100`).catch(() => null),
+      ]);
+      return parseBitbucketPr([pr], { statuses });
+    },
+  };
+}
+
+module.exports = {
+  API_PLATFORMS,
+  DEFAULT_API_TIMEOUT_MS,
+  repoApiBase,
+  createHostingClient,
+};
@@ -0,0 +1,170 @@
+/**
+ * gh/glab command lines for pull request actions
+ *
+ * The action modal runs these through execCli; keeping the argument lists
+ * here makes the per-platform differences testable without the CLIs.
+ *
+ * @module git/pr-actions
+ */
+
+const { isValidBranchName } = require('./branch');
+
+/**
+ * Ways a PR can be merged. GitLab's "merge" is a merge commit, like GitHub's.
+ * @type {ReadonlyArray<'squash'|'merge'|'rebase'>}
+ */
+const MERGE_METHODS = Object.freeze(/** @type {const} */ (['squash', 'merge', 'rebase']));
+
+/**
+ * @typedef {'merge'|'auto-merge'|'approve'|'ready'|'draft'|'request-review'|'add-label'|'close'|'comment'} PrAction
+ */
+
+/**
+ * @typedef {Object} PrActionOptions
+ * @property {'squash'|'merge'|'rebase'} [method] - Merge method (merge, auto-merge)
+ * @property {boolean} [deleteBranch] - Delete the source branch once merged (merge, auto-merge)
+ * @property {string[]} [reviewers] - Usernames (request-review)
+ * @property {string[]} [labels] - Label names (add-label)
+ * @property {string} [body] - Markdown text (comment)
+ */
+
+// Usernames on GitHub and GitLab: letters, digits, '-', '_' and '.'
+const VALID_USERNAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Split comma-separated user input into trimmed, non-empty items.
+ * A leading '@' on usernames is dropped.
+ * @param {string} input
+ * @returns {string[]}
+ */
+function splitList(input) {
+  return String(input || '')
+    .split(',')
+    .map((item) => item.trim().replace(/^@/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Build the CLI invocation for a PR action.
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {PrAction} action
+ * @param {number} number - PR/MR number
+ * @param {PrActionOptions} [options]
+ * @returns {[string, string[]]} Command and arguments
+ * @throws {Error} For unsupported platforms, invalid methods, invalid reviewers/labels,
+ *   or an empty comment
+ */
+function buildPrCommand(platform, action, number, options = {}) {
+  if (platform !== 'github' && platform !== 'gitlab') {
+    throw new Error(`PR actions are not supported on ${platform}`);
+  }
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`Invalid PR number: ${number}`);
+  }
+  const id = String(number);
+  const gh = platform === 'github';
+  const { method = 'squash', deleteBranch = true, reviewers = [], labels = [], body = '' } = options;
+
+  switch (action) {
+    case 'merge':
+    case 'auto-merge': {
+      if (!MERGE_METHODS.includes(method)) throw new Error(`Invalid merge method: ${method}`);
+      const auto = action === 'auto-merge';
+      if (gh) {
+        const args = ['pr', 'merge', id, `--${method}`];
+        if (auto) args.push('--auto');
+        if (deleteBranch) args.push('--delete-branch');
+        return ['gh', args];
+      }
+      const args = ['mr', 'merge', id];
+      if (method !== 'merge') args.push(`--${method}`);
+      if (deleteBranch) args.push('--remove-source-branch');
+      if (auto) args.push('--auto-merge');
+      args.push('--yes');
+      return ['glab', args];
+    }
+    case 'approve':
+      return gh ? ['gh', ['pr', 'review', id, '--approve']] : ['glab', ['mr', 'approve', id]];
+    case 'ready':
+      return gh ? ['gh', ['pr', 'ready', id]] : ['glab', ['mr', 'update', id, '--ready']];
+    case 'draft':
+      return gh ? ['gh', ['pr', 'ready', id, '--undo']] : ['glab', ['mr', 'update', id, '--draft']];
+    case 'request-review': {
+      if (reviewers.length === 0) throw new Error('No reviewers given');
+      const bad = reviewers.find((r) => !VALID_USERNAME.test(r));
+      if (bad) throw new Error(`Invalid username: ${bad}`);
+      return gh
+        ? ['gh', ['pr', 'edit', id, '--add-reviewer', reviewers.join(',')]]
+        // '+' adds to the existing reviewers instead of replacing them
+        : ['glab', ['mr', 'update', id, '--reviewer', reviewers.map((r) => `+${r}`).join(',')]];
+    }
+    case 'add-label': {
+      if (labels.length === 0) throw new Error('No labels given');
+      // Labels travel as a comma-separated list and can't start a flag
+      const bad = labels.find((l) => l.startsWith('-') || l.includes(','));
+      if (bad) throw new Error(`Invalid label: ${bad}`);
+      return gh
+        ? ['gh', ['pr', 'edit', id, '--add-label', labels.join(',')]]
+        : ['glab', ['mr', 'update', id, '--label', labels.join(',')]];
+    }
+    case 'close':
+      return gh ? ['gh', ['pr', 'close', id]] : ['glab', ['mr', 'close', id]];
+    case 'comment':
+      if (!body.trim()) throw new Error('The comment is empty');
+      return gh ? ['gh', ['pr', 'comment', id, '--body', body]] : ['glab', ['mr', 'note', id, '--message', body]];
+    default:
+      throw new Error(`Unknown PR action: ${action}`);
+  }
+}
+
+/**
+ * @typedef {Object} NewPr
+ * @property {string} head - Branch the PR is opened from
+ * @property {string} base - Branch it targets
+ * @property {string} title
+ * @property {string} [body]
+ * @property {boolean} [draft]
+ * @property {string[]} [reviewers] - Usernames
+ */
+
+/**
+ * Build the CLI invocation that opens a PR. Title and body are passed
+ * explicitly, so nothing is filled in or prompted for by the CLI.
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {NewPr} pr
+ * @returns {[string, string[]]} Command and arguments
+ * @throws {Error} For unsupported platforms, a missing title, or invalid branches/reviewers
+ */
+function buildCreatePrCommand(platform, pr) {
+  if (platform !== 'github' && platform !== 'gitlab') {
+    throw new Error(`Creating PRs is not supported on ${platform}`);
+  }
+  const { head, base, body = '', draft = false, reviewers = [] } = pr;
+  const title = String(pr.title || '').trim();
+  if (!title) throw new Error('A title is required');
+  for (const branch of [head, base]) {
+    if (!isValidBranchName(branch)) throw new Error(`Invalid branch name: ${branch}`);
+  }
+  if (head === base) throw new Error(`Can't open a PR from ${head} into itself`);
+  const bad = reviewers.find((r) => !VALID_USERNAME.test(r));
+  if (bad) throw new Error(`Invalid username: ${bad}`);
+
+  if (platform === 'github') {
+    const args = ['pr', 'create', '--head', head, '--base', base, '--title', title, '--body', body];
+    if (draft) args.push('--draft');
+    if (reviewers.length > 0) args.push('--reviewer', reviewers.join(','));
+    return ['gh', args];
+  }
+  const args = ['mr', 'create', '--source-branch', head, '--target-branch', base, '--title', title, '--description', body];
+  if (draft) args.push('--draft');
+  if (reviewers.length > 0) args.push('--reviewer', reviewers.join(','));
+  args.push('--yes');
+  return ['glab', args];
+}
+
+module.exports = {
+  MERGE_METHODS,
+  splitList,
+  buildPrCommand,
+  buildCreatePrCommand,
+};
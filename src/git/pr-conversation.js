@@ -0,0 +1,279 @@
+/**
+ * PR conversations: review threads and comments
+ *
+ * Read through `gh api graphql` and `glab api`, and normalized so the web
+ * dashboard can list both platforms' discussions the same way. Unresolved
+ * thread counts for every open PR come from one bulk query per poll.
+ *
+ * @module git/pr-conversation
+ */
+
+/**
+ * @typedef {Object} ConversationComment
+ * @property {string} author - Login/username ('ghost' for deleted accounts)
+ * @property {string} body - Markdown source
+ * @property {string|null} createdAt - ISO timestamp
+ * @property {string|null} url - Link to the comment, when the platform has one
+ */
+
+/**
+ * A top-level comment, a review, or a thread of replies on a line of code.
+ * @typedef {Object} ConversationThread
+ * @property {'comment'|'review'|'thread'} kind
+ * @property {string|null} path - File a code thread is on
+ * @property {number|null} line - Line a code thread is on (null when unknown)
+ * @property {boolean} resolvable - Can be resolved (code threads and GitLab discussions)
+ * @property {boolean} resolved
+ * @property {boolean} outdated - The code it was left on has since changed
+ * @property {string|null} reviewState - 'APPROVED', 'CHANGES_REQUESTED' or 'COMMENTED' for reviews
+ * @property {ConversationComment[]} comments - Oldest first
+ */
+
+/**
+ * @typedef {Object} Conversation
+ * @property {ConversationThread[]} threads - Oldest first
+ * @property {number} unresolved - Resolvable threads not yet resolved
+ */
+
+// Enough for any PR a person reads through in a modal
+const GITHUB_CONVERSATION_QUERY = `query($owner: String!, $repo: String!, $number: Int!) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $number) {
+      comments(last: 100) { nodes { author { login } body createdAt url } }
+      reviews(last: 100) { nodes { author { login } body state submittedAt url } }
+      reviewThreads(last: 100) {
+        nodes {
+          isResolved isOutdated path line
+          comments(first: 50) { nodes { author { login } body createdAt url } }
+        }
+      }
+    }
+  }
+}`;
+
+const GITHUB_UNRESOLVED_QUERY = `query($owner: String!, $repo: String!) {
+  repository(owner: $owner, name: $repo) {
+    pullRequests(states: OPEN, first: 100, orderBy: {field: UPDATED_AT, direction: DESC}) {
+      nodes { number headRefName reviewThreads(first: 100) { nodes { isResolved } } }
+    }
+  }
+}`;
+
+const GITLAB_UNRESOLVED_QUERY = `query($path: ID!) {
+  project(fullPath: $path) {
+    mergeRequests(state: opened, first: 100, sort: UPDATED_DESC) {
+      nodes { iid sourceBranch resolvableDiscussionsCount resolvedDiscussionsCount }
+    }
+  }
+}`;
+
+// Reviews worth listing even without a body
+const VERDICT_STATES = new Set(['APPROVED', 'CHANGES_REQUESTED']);
+
+/**
+ * Project path ("group/subgroup/repo") of a repository's web URL, for
+ * GitLab's GraphQL API.
+ * @param {string|null} webUrlBase
+ * @returns {string|null}
+ */
+function projectPathFromUrl(webUrlBase) {
+  if (!webUrlBase) return null;
+  try {
+    const path = new URL(webUrlBase).pathname.replace(/^\/+|\/+$/g, '');
+    return path.includes('/') ? path : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the CLI invocation that reads a PR's conversation. gh fills in
+ * {owner} and {repo}, and glab :id, from the repository in the working
+ * directory.
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {number} number - PR/MR number
+ * @returns {[string, string[]]} Command and arguments
+ * @throws {Error} For unsupported platforms or invalid numbers
+ */
+function buildConversationCommand(platform, number) {
+  if (!Number.isInteger(number) || number <= 0) throw new Error(`Invalid PR number: ${number}`);
+  if (platform === 'github') {
+    return ['gh', ['api', 'graphql',
+      '-F', 'owner={owner}', '-F', 'repo={repo}', '-F', `number=${number}`,
+      '-f', `query=${GITHUB_CONVERSATION_QUERY}`]];
+  }
+  if (platform === 'gitlab') {
+    return ['glab', ['api', `projects/:id/merge_requests/${number}/discussions?per_page=100`]];
+  }
+  throw new Error(`PR conversations are not supported on ${platform}`);
+}
+
+/**
+ * Build the CLI invocation that counts unresolved threads on every open PR.
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {string|null} [projectPath] - GitLab project path (see projectPathFromUrl)
+ * @returns {[string, string[]]|null} Null when the platform (or a GitLab
+ *   repo without a known path) can't be queried
+ */
+function buildUnresolvedCountsCommand(platform, projectPath = null) {
+  if (platform === 'github') {
+    return ['gh', ['api', 'graphql', '-F', 'owner={owner}', '-F', 'repo={repo}', '-f', `query=${GITHUB_UNRESOLVED_QUERY}`]];
+  }
+  if (platform === 'gitlab' && projectPath) {
+    return ['glab', ['api', 'graphql', '-f', `path=${projectPath}`, '-f', `query=${GITLAB_UNRESOLVED_QUERY}`]];
+  }
+  return null;
+}
+
+/**
+ * @param {any} node - GraphQL comment node
+ * @param {string} [dateField='createdAt']
+ * @returns {ConversationComment}
+ */
+function githubComment(node, dateField = 'createdAt') {
+  return {
+    author: (node.author && node.author.login) || 'ghost',
+    body: node.body || '',
+    createdAt: node[dateField] || null,
+    url: node.url || null,
+  };
+}
+
+/**
+ * @param {any} connection - GraphQL connection
+ * @returns {any[]}
+ */
+function nodes(connection) {
+  return connection && Array.isArray(connection.nodes) ? connection.nodes.filter(Boolean) : [];
+}
+
+/**
+ * Order threads by their first comment and count the unresolved ones.
+ * @param {ConversationThread[]} threads
+ * @returns {Conversation}
+ */
+function toConversation(threads) {
+  const started = (/** @type {ConversationThread} */ t) => (t.comments[0] && t.comments[0].createdAt) || '';
+  const sorted = threads
+    .filter((t) => t.comments.length > 0)
+    .sort((a, b) => (started(a) < started(b) ? -1 : started(a) > started(b) ? 1 : 0));
+  return { threads: sorted, unresolved: sorted.filter((t) => t.resolvable && !t.resolved).length };
+}
+
+/**
+ * Parse the `gh api graphql` response for GITHUB_CONVERSATION_QUERY.
+ * Reviews without a body are only kept for approvals and change requests;
+ * the rest just group the line comments listed as threads.
+ * @param {any} response
+ * @returns {Conversation}
+ */
+function parseGitHubConversation(response) {
+  const pr = response && response.data && response.data.repository && response.data.repository.pullRequest;
+  if (!pr) return { threads: [], unresolved: 0 };
+
+  /** @type {ConversationThread[]} */
+  const threads = [];
+  const base = { path: null, line: null, resolvable: false, resolved: false, outdated: false, reviewState: null };
+  for (const node of nodes(pr.comments)) {
+    threads.push({ ...base, kind: 'comment', comments: [githubComment(node)] });
+  }
+  for (const node of nodes(pr.reviews)) {
+    if (node.state === 'PENDING' || (!node.body && !VERDICT_STATES.has(node.state))) continue;
+    threads.push({ ...base, kind: 'review', reviewState: node.state || null, comments: [githubComment(node, 'submittedAt')] });
+  }
+  for (const node of nodes(pr.reviewThreads)) {
+    threads.push({
+      kind: 'thread',
+      path: node.path || null,
+      line: typeof node.line === 'number' ? node.line : null,
+      resolvable: true,
+      resolved: !!node.isResolved,
+      outdated: !!node.isOutdated,
+      reviewState: null,
+      comments: nodes(node.comments).map((c) => githubComment(c)),
+    });
+  }
+  return toConversation(threads);
+}
+
+/**
+ * Parse `glab api .../discussions`. System notes ("added 2 commits") are
+ * left out; a discussion counts as resolved once all its resolvable notes are.
+ * @param {any} discussions
+ * @returns {Conversation}
+ */
+function parseGitLabDiscussions(discussions) {
+  if (!Array.isArray(discussions)) return { threads: [], unresolved: 0 };
+  /** @type {ConversationThread[]} */
+  const threads = [];
+  for (const discussion of discussions) {
+    const notes = (discussion && Array.isArray(discussion.notes) ? discussion.notes : []).filter((n) => n && !n.system);
+    if (notes.length === 0) continue;
+    const resolvable = notes.filter((n) => n.resolvable);
+    const position = notes[0].position || null;
+    threads.push({
+      kind: position || notes.length > 1 || resolvable.length > 0 ? 'thread' : 'comment',
+      path: position ? position.new_path || position.old_path || null : null,
+      line: position ? position.new_line || position.old_line || null : null,
+      resolvable: resolvable.length > 0,
+      resolved: resolvable.length > 0 && resolvable.every((n) => n.resolved),
+      outdated: false,
+      reviewState: null,
+      comments: notes.map((n) => ({
+        author: (n.author && n.author.username) || 'ghost',
+        body: n.body || '',
+        createdAt: n.created_at || null,
+        url: null,
+      })),
+    });
+  }
+  return toConversation(threads);
+}
+
+/**
+ * Parse the bulk unresolved-thread query into a Map of branch -> count.
+ * Branches whose PRs have no unresolved threads map to 0.
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {any} response
+ * @returns {Map<string, number>}
+ */
+function parseUnresolvedCounts(platform, response) {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  /** @type {Map<string, number>} */
+  const numbers = new Map();
+  const data = response && response.data;
+  /**
+   * @param {string} branch
+   * @param {number} number
+   * @param {number} count
+   */
+  const add = (branch, number, count) => {
+    // Several open PRs from one branch: the newest is the one shown
+    if (!branch || (numbers.has(branch) && /** @type {number} */ (numbers.get(branch)) > number)) return;
+    numbers.set(branch, number);
+    counts.set(branch, Math.max(0, count));
+  };
+
+  if (platform === 'github') {
+    const prs = data && data.repository ? nodes(data.repository.pullRequests) : [];
+    for (const pr of prs) {
+      add(pr.headRefName, pr.number, nodes(pr.reviewThreads).filter((t) => !t.isResolved).length);
+    }
+  } else if (platform === 'gitlab') {
+    const mrs = data && data.project ? nodes(data.project.mergeRequests) : [];
+    for (const mr of mrs) {
+      add(mr.sourceBranch, Number(mr.iid), (mr.resolvableDiscussionsCount || 0) - (mr.resolvedDiscussionsCount || 0));
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  projectPathFromUrl,
+  buildConversationCommand,
+  buildUnresolvedCountsCommand,
+  parseGitHubConversation,
+  parseGitLabDiscussions,
+  parseUnresolvedCounts,
+};
@@ -0,0 +1,108 @@
+/**
+ * Pull request drafts from a branch's commits
+ *
+ * Pre-fills the "create PR" form with what `gh pr create --fill` would use,
+ * computed locally so it can be edited before anything is submitted: a
+ * single commit supplies the title and body, several commits are listed
+ * under a title derived from the branch name.
+ *
+ * @module git/pr-draft
+ */
+
+const { execGitOptional } = require('./commands');
+
+/**
+ * @typedef {Object} DraftCommit
+ * @property {string} subject
+ * @property {string} body - Message body without the subject ('' when none)
+ */
+
+/**
+ * @typedef {Object} PrDraft
+ * @property {string} title
+ * @property {string} body
+ * @property {string} base - Target branch name, without the remote prefix
+ */
+
+// Field and record separators in the `git log` format below
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+const LOG_FORMAT = '--format=%s%x1f%b%x1e';
+
+// Enough to describe any reviewable branch; the rest is summarized
+const MAX_COMMITS = 50;
+
+/**
+ * Parse `git log` output in LOG_FORMAT.
+ * @param {string} output
+ * @returns {DraftCommit[]} In log order (newest first)
+ */
+function parseCommitLog(output) {
+  return String(output || '')
+    .split(RECORD_SEP)
+    .map((record) => {
+      const [subject = '', body = ''] = record.replace(/^\s+/, '').split(FIELD_SEP);
+      return { subject: subject.trim(), body: body.trim() };
+    })
+    .filter((commit) => commit.subject);
+}
+
+/**
+ * Turn a branch name into a title: the last path segment with dashes and
+ * underscores as spaces, capitalized ("claude/fix-login_flow" → "Fix login flow").
+ * @param {string} branch
+ * @returns {string}
+ */
+function titleFromBranch(branch) {
+  const words = String(branch || '').split('/').pop().replace(/[-_]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Build the title and body of a PR from its commits.
+ * @param {DraftCommit[]} commits - Newest first, as git log lists them. Past
+ *   MAX_COMMITS the oldest are left out of the list.
+ * @param {string} branch - Head branch, titles multi-commit PRs
+ * @returns {{title: string, body: string}}
+ */
+function buildPrDraft(commits, branch) {
+  if (commits.length === 0) return { title: titleFromBranch(branch), body: '' };
+  if (commits.length === 1) return { title: commits[0].subject, body: commits[0].body };
+  const listed = commits.slice(0, MAX_COMMITS).reverse();
+  const lines = listed.map((commit) => `- ${commit.subject}`);
+  if (commits.length > listed.length) lines.unshift('- ...earlier commits');
+  return { title: titleFromBranch(branch), body: lines.join('\n') };
+}
+
+/**
+ * Draft a PR for a branch against the default branch. The remote-tracking
+ * branch is read first — it's what the PR will contain — falling back to
+ * the local one for branches that were never pushed.
+ * @param {string} branch - Head branch name
+ * @param {string} baseRef - Base ref to compare against (e.g. "origin/main")
+ * @param {Object} [options]
+ * @param {string} [options.remote='origin'] - Remote the branch is pushed to
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<PrDraft>}
+ */
+async function getPrDraft(branch, baseRef, options = {}) {
+  const { remote = 'origin', cwd } = options;
+  /** @param {string} head */
+  const readLog = (head) => execGitOptional(
+    ['log', LOG_FORMAT, '-n', String(MAX_COMMITS + 1), `${baseRef}..${head}`, '--'],
+    { cwd }
+  );
+  const result = (await readLog(`${remote}/${branch}`)) || (await readLog(branch));
+  const commits = parseCommitLog(result ? result.stdout : '');
+  return {
+    ...buildPrDraft(commits, branch),
+    base: baseRef.startsWith(`${remote}/`) ? baseRef.slice(remote.length + 1) : baseRef,
+  };
+}
+
+module.exports = {
+  parseCommitLog,
+  titleFromBranch,
+  buildPrDraft,
+  getPrDraft,
+};
@@ -1,5 +1,6 @@
 /**
- * PR/CI integration for GitHub (gh) and GitLab (glab) CLIs
+ * PR/CI integration for GitHub (gh) and GitLab (glab) CLIs, and the
+ * Gitea/Forgejo and Bitbucket Cloud REST APIs
  * @module git/pr
  */
 
@@ -20,46 +21,217 @@ const FAILED_CONCLUSIONS = new Set([
   'STARTUP_FAILURE',
 ]);
 
+// Lines of a failed job's log kept for display
+const CI_LOG_TAIL_LINES = 80;
+
+/**
+ * One CI check (GitHub check run / status, GitLab job).
+ * @typedef {Object} CiCheck
+ * @property {string|null} id - Job id the failing log can be fetched by (null when
+ *   the check isn't a job, e.g. a third-party commit status)
+ * @property {string} name
+ * @property {'pass'|'fail'|'pending'|'skipped'|'neutral'} status
+ * @property {number|null} durationMs - Null while running or when unknown
+ * @property {string|null} url - Details page
+ */
+
+/**
+ * Milliseconds between two timestamps, or null when either is missing.
+ * gh reports unfinished runs with a zero date (0001-01-01T00:00:00Z).
+ * @param {string} [start]
+ * @param {string} [end]
+ * @returns {number|null}
+ */
+function durationBetween(start, end) {
+  const a = start ? Date.parse(start) : NaN;
+  const b = end ? Date.parse(end) : NaN;
+  if (Number.isNaN(a) || Number.isNaN(b) || a <= 0 || b <= 0 || b < a) return null;
+  return b - a;
+}
+
+/**
+ * Normalize GitHub's statusCheckRollup. Entries are either check runs
+ * (Actions and other apps: name/status/conclusion) or legacy commit
+ * statuses (context/state).
+ * @param {Array} rollup
+ * @returns {CiCheck[]}
+ */
+function parseGitHubChecks(rollup) {
+  if (!Array.isArray(rollup)) return [];
+  return rollup.map((c) => {
+    if (c.__typename === 'StatusContext' || (c.context && !c.name)) {
+      const state = c.state || '';
+      return {
+        id: null,
+        name: c.context || 'status',
+        status: state === 'SUCCESS' ? 'pass'
+          : state === 'FAILURE' || state === 'ERROR' ? 'fail'
+          : 'pending',
+        durationMs: null,
+        url: c.targetUrl || null,
+      };
+    }
+    const url = c.detailsUrl || null;
+    const job = url ? /\/actions\/runs\/\d+\/job\/(\d+)/.exec(url) : null;
+    const done = !c.status || c.status === 'COMPLETED';
+    const conclusion = c.conclusion || '';
+    /** @type {CiCheck['status']} */
+    let status;
+    if (!done) status = 'pending';
+    else if (conclusion === 'SUCCESS') status = 'pass';
+    else if (FAILED_CONCLUSIONS.has(conclusion)) status = 'fail';
+    else if (conclusion === 'SKIPPED') status = 'skipped';
+    else status = 'neutral';
+    return {
+      id: job ? job[1] : null,
+      name: c.workflowName && c.name ? `${c.workflowName} / ${c.name}` : (c.name || 'check'),
+      status,
+      durationMs: done ? durationBetween(c.startedAt, c.completedAt) : null,
+      url,
+    };
+  });
+}
+
+/**
+ * Normalize the jobs of a GitLab pipeline (`glab ci get --output-format json`).
+ * Failures allowed to fail count as neutral, like GitLab's own warning badge.
+ * @param {{jobs?: Array}|null} pipeline
+ * @returns {CiCheck[]}
+ */
+function parseGitLabJobs(pipeline) {
+  if (!pipeline || !Array.isArray(pipeline.jobs)) return [];
+  return pipeline.jobs.map((job) => {
+    const state = job.status || '';
+    /** @type {CiCheck['status']} */
+    let status;
+    if (state === 'success') status = 'pass';
+    else if (state === 'failed') status = job.allow_failure ? 'neutral' : 'fail';
+    else if (state === 'canceled') status = 'fail';
+    else if (state === 'skipped') status = 'skipped';
+    else if (state === 'manual') status = 'neutral';
+    else status = 'pending';
+    const seconds = typeof job.duration === 'number' ? job.duration : null;
+    return {
+      id: job.id !== undefined && job.id !== null ? String(job.id) : null,
+      name: job.stage && job.name ? `${job.stage} / ${job.name}` : (job.name || 'job'),
+      status,
+      durationMs: status === 'pending' || seconds === null ? null : Math.round(seconds * 1000),
+      url: job.web_url || null,
+    };
+  });
+}
+
+/**
+ * Last lines of a CI job log, cleaned up for display: ANSI escapes and
+ * carriage-return progress output are dropped, as are the job/step/timestamp
+ * columns `gh run view --log-failed` prefixes every line with.
+ * @param {string} text - Raw log
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function tailCiLog(text, limit = CI_LOG_TAIL_LINES) {
+  const lines = String(text || '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+    .split('\n')
+    .map((line) => {
+      // Keep what a terminal would show after the last carriage return
+      const shown = line.endsWith('\r') ? line.slice(0, -1) : line;
+      const segments = shown.split('\r');
+      let out = segments[segments.length - 1];
+      // gh: "<job>\t<step>\t<timestamp> <text>"
+      const cols = out.split('\t');
+      if (cols.length >= 3) out = cols.slice(2).join('\t');
+      return out.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z ?/, '').replace(/\t/g, '  ');
+    })
+    // GitLab's collapsible section markers
+    .filter((line) => !/^section_(start|end):\d+:/.test(line));
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  return lines.slice(-limit);
+}
+
 function parseGitHubPr(prs) {
   if (!prs || prs.length === 0) return null;
   const pr = prs[0];
-  const checks = pr.statusCheckRollup || [];
-  const checksPass = checks.length > 0 && checks.every(c => c.conclusion === 'SUCCESS');
-  const checksFail = checks.some(c => FAILED_CONCLUSIONS.has(c.conclusion));
+  const rollup = pr.statusCheckRollup || [];
+  const checksPass = rollup.length > 0 && rollup.every(c => c.conclusion === 'SUCCESS');
+  const checksFail = rollup.some(c => FAILED_CONCLUSIONS.has(c.conclusion));
   return {
     number: pr.number,
     title: pr.title,
     state: pr.state,
+    draft: pr.isDraft === true,
     approved: pr.reviewDecision === 'APPROVED',
     checksPass,
     checksFail,
-    checksCount: checks.length,
+    checksCount: rollup.length,
+    checks: parseGitHubChecks(rollup),
   };
 }
 
+// GitLab pipeline statuses that mean "this pipeline did not pass" — the
+// counterparts of FAILED_CONCLUSIONS
+const FAILED_PIPELINE_STATUSES = new Set(['failed', 'canceled']);
+
 /**
  * Parse GitLab MR JSON response into normalized PR info.
+ *
+ * `glab mr list` carries neither pipeline nor approval state, so those come
+ * separately: the MR's head pipeline with its jobs, and the approvals
+ * endpoint. Without them the MR reads as unapproved with no checks.
+ *
+ * Like GitHub's reviewDecision, `approved` needs an actual approval: GitLab
+ * reports a project without approval rules as approved before anyone
+ * looked at the MR.
+ *
  * @param {Array} mrs - Array of MR objects from glab CLI
+ * @param {Object} [details]
+ * @param {{status?: string, jobs?: Array}|null} [details.pipeline] - Head pipeline
+ *   (`head_pipeline` of the MR) with its jobs
+ * @param {{approved?: boolean, approved_by?: Array}|null} [details.approvals] -
+ *   Response of the MR approvals endpoint
  * @returns {object|null} Normalized PR info
  */
-function parseGitLabMr(mrs) {
+function parseGitLabMr(mrs, details = {}) {
   if (!mrs || mrs.length === 0) return null;
   const mr = mrs[0];
+  const { pipeline = null, approvals = null } = details;
+  const checks = parseGitLabJobs(pipeline);
+  const pipelineStatus = pipeline ? pipeline.status : null;
+  const checksFail = FAILED_PIPELINE_STATUSES.has(pipelineStatus || '') || checks.some(c => c.status === 'fail');
   return {
     number: mr.iid,
     title: mr.title,
     state: mr.state === 'merged' ? 'MERGED' : mr.state === 'opened' ? 'OPEN' : 'CLOSED',
-    approved: false,
-    checksPass: false,
-    checksFail: false,
-    checksCount: 0,
+    // `work_in_progress` is the pre-15.0 name of `draft`
+    draft: mr.draft === true || mr.work_in_progress === true,
+    approved: !!(approvals && approvals.approved && Array.isArray(approvals.approved_by) && approvals.approved_by.length > 0),
+    checksPass: pipelineStatus === 'success' && !checksFail,
+    checksFail,
+    checksCount: checks.length,
+    checks,
   };
 }
 
 /**
- * Parse bulk GitHub PR list into a Map of branch -> PR status.
+ * Overall CI state of normalized checks: 'fail' as soon as one failed,
+ * 'pending' while any is still running, 'pass' otherwise.
+ * @param {CiCheck[]} checks
+ * @returns {'pass'|'fail'|'pending'|null} Null without checks
+ */
+function summarizeCiState(checks) {
+  if (checks.length === 0) return null;
+  if (checks.some(c => c.status === 'fail')) return 'fail';
+  if (checks.some(c => c.status === 'pending')) return 'pending';
+  return 'pass';
+}
+
+/**
+ * Parse bulk GitHub PR list into a Map of branch -> PR status. When the
+ * list was requested with `statusCheckRollup`, entries carry the CI state
+ * of the PR's head commit.
  * @param {Array} prs - Array of PR objects from gh CLI
- * @returns {Map<string, {state: string, number: number, title: string}>}
+ * @returns {Map<string, {state: string, number: number, title: string, ci?: 'pass'|'fail'|'pending'|null}>}
  */
 function parseGitHubPrList(prs) {
   const map = new Map();
@@ -67,11 +239,14 @@ function parseGitHubPrList(prs) {
   for (const pr of prs) {
     const existing = map.get(pr.headRefName);
     if (!existing || pr.number > existing.number) {
-      map.set(pr.headRefName, {
+      /** @type {{state: string, number: number, title: string, ci?: 'pass'|'fail'|'pending'|null}} */
+      const entry = {
         state: pr.state,
         number: pr.number,
         title: pr.title,
-      });
+      };
+      if (Array.isArray(pr.statusCheckRollup)) entry.ci = summarizeCiState(parseGitHubChecks(pr.statusCheckRollup));
+      map.set(pr.headRefName, entry);
     }
   }
   return map;
@@ -99,6 +274,206 @@ function parseGitLabMrList(mrs) {
   return map;
 }
 
+/**
+ * Pass/fail summary of normalized checks, for platforms that report no
+ * overall CI state of their own.
+ * @param {CiCheck[]} checks
+ * @returns {{checksPass: boolean, checksFail: boolean, checksCount: number}}
+ */
+function summarizeCheckStatuses(checks) {
+  const checksFail = checks.some(c => c.status === 'fail');
+  return {
+    checksPass: checks.length > 0 && !checksFail && checks.every(c => c.status === 'pass' || c.status === 'skipped'),
+    checksFail,
+    checksCount: checks.length,
+  };
+}
+
+/**
+ * Normalize a Gitea/Forgejo combined commit status. Statuses are external
+ * (Actions, Drone, Woodpecker...) and have no job log the CLI could fetch.
+ * @param {{statuses?: Array}|Array|null} combined - Response of
+ *   `repos/{owner}/{repo}/commits/{ref}/status`, or its `statuses` array
+ * @returns {CiCheck[]}
+ */
+function parseGiteaStatuses(combined) {
+  const statuses = Array.isArray(combined) ? combined : (combined && combined.statuses);
+  if (!Array.isArray(statuses)) return [];
+  return statuses.map((s) => {
+    // Older Gitea versions call the field `status`, Forgejo and newer Gitea `state`
+    const state = String(s.status || s.state || '').toLowerCase();
+    /** @type {CiCheck['status']} */
+    let status;
+    if (state === 'success') status = 'pass';
+    else if (state === 'failure' || state === 'error') status = 'fail';
+    else if (state === 'warning') status = 'neutral';
+    else status = 'pending';
+    return {
+      id: null,
+      name: s.context || 'status',
+      status,
+      durationMs: status === 'pending' ? null : durationBetween(s.created_at, s.updated_at),
+      url: s.target_url || null,
+    };
+  });
+}
+
+/**
+ * Whether a Gitea/Forgejo PR is approved: someone's latest review approves
+ * it and nobody's latest review requests changes. Dismissed and stale
+ * reviews don't count.
+ * @param {Array|null} reviews - Response of `repos/{owner}/{repo}/pulls/{n}/reviews`
+ * @returns {boolean}
+ */
+function giteaReviewsApproved(reviews) {
+  if (!Array.isArray(reviews)) return false;
+  /** @type {Map<string, string>} */
+  const latest = new Map();
+  for (const review of reviews) {
+    if (review.dismissed || review.stale) continue;
+    if (review.state !== 'APPROVED' && review.state !== 'REQUEST_CHANGES') continue;
+    latest.set(review.user ? review.user.login : '', review.state);
+  }
+  const states = [...latest.values()];
+  return states.includes('APPROVED') && !states.includes('REQUEST_CHANGES');
+}
+
+/**
+ * @param {{state?: string, merged?: boolean}} pr
+ * @returns {string}
+ */
+function giteaPrState(pr) {
+  if (pr.merged) return 'MERGED';
+  return pr.state === 'open' ? 'OPEN' : 'CLOSED';
+}
+
+/**
+ * Parse Gitea/Forgejo pull requests into normalized PR info. As with
+ * GitLab, CI and review state come from separate endpoints.
+ * @param {Array} prs - Pull request objects from the Gitea API
+ * @param {Object} [details]
+ * @param {{statuses?: Array}|null} [details.statuses] - Combined status of the head commit
+ * @param {Array|null} [details.reviews] - Reviews of the PR
+ * @returns {object|null} Normalized PR info
+ */
+function parseGiteaPr(prs, details = {}) {
+  if (!prs || prs.length === 0) return null;
+  const pr = prs[0];
+  const checks = parseGiteaStatuses(details.statuses || null);
+  return {
+    number: pr.number,
+    title: pr.title,
+    state: giteaPrState(pr),
+    draft: pr.draft === true,
+    approved: giteaReviewsApproved(details.reviews || null),
+    ...summarizeCheckStatuses(checks),
+    checks,
+  };
+}
+
+/**
+ * Parse a Gitea/Forgejo pull request list into a Map of branch -> PR status.
+ * @param {Array} prs - Pull request objects from the Gitea API
+ * @returns {Map<string, {state: string, number: number, title: string}>}
+ */
+function parseGiteaPrList(prs) {
+  const map = new Map();
+  if (!prs || !Array.isArray(prs)) return map;
+  for (const pr of prs) {
+    const branchName = pr.head && pr.head.ref;
+    if (!branchName) continue;
+    const existing = map.get(branchName);
+    if (!existing || pr.number > existing.number) {
+      map.set(branchName, { state: giteaPrState(pr), number: pr.number, title: pr.title });
+    }
+  }
+  return map;
+}
+
+/**
+ * Normalize Bitbucket Cloud build statuses. A status is reported per commit
+ * and key; the most recently updated one per key wins.
+ * @param {{values?: Array}|Array|null} statuses - Response of
+ *   `pullrequests/{id}/statuses`, or its `values` array
+ * @returns {CiCheck[]}
+ */
+function parseBitbucketStatuses(statuses) {
+  const values = Array.isArray(statuses) ? statuses : (statuses && statuses.values);
+  if (!Array.isArray(values)) return [];
+  const byKey = new Map();
+  for (const s of values) {
+    const key = s.key || s.name;
+    const existing = byKey.get(key);
+    if (!existing || Date.parse(s.updated_on) > Date.parse(existing.updated_on)) byKey.set(key, s);
+  }
+  return [...byKey.values()].map((s) => {
+    /** @type {CiCheck['status']} */
+    let status;
+    if (s.state === 'SUCCESSFUL') status = 'pass';
+    else if (s.state === 'FAILED' || s.state === 'STOPPED') status = 'fail';
+    else status = 'pending';
+    return {
+      id: null,
+      name: s.name || s.key || 'build',
+      status,
+      durationMs: status === 'pending' ? null : durationBetween(s.created_on, s.updated_on),
+      url: s.url || null,
+    };
+  });
+}
+
+/**
+ * @param {{state?: string}} pr
+ * @returns {string}
+ */
+function bitbucketPrState(pr) {
+  return pr.state === 'MERGED' || pr.state === 'OPEN' ? pr.state : 'CLOSED';
+}
+
+/**
+ * Parse Bitbucket Cloud pull requests into normalized PR info.
+ * `approved` is taken from the participants, which only the single-PR
+ * endpoint returns, and is false when any participant requested changes.
+ * @param {Array} prs - Pull request objects from the Bitbucket API
+ * @param {Object} [details]
+ * @param {{values?: Array}|null} [details.statuses] - Build statuses of the PR
+ * @returns {object|null} Normalized PR info
+ */
+function parseBitbucketPr(prs, details = {}) {
+  if (!prs || prs.length === 0) return null;
+  const pr = prs[0];
+  const participants = Array.isArray(pr.participants) ? pr.participants : [];
+  const checks = parseBitbucketStatuses(details.statuses || null);
+  return {
+    number: pr.id,
+    title: pr.title,
+    state: bitbucketPrState(pr),
+    draft: pr.draft === true,
+    approved: participants.some(p => p.approved) && !participants.some(p => p.state === 'changes_requested'),
+    ...summarizeCheckStatuses(checks),
+    checks,
+  };
+}
+
+/**
+ * Parse a Bitbucket Cloud pull request list into a Map of branch -> PR status.
+ * @param {Array} prs - Pull request objects from the Bitbucket API
+ * @returns {Map<string, {state: string, number: number, title: string}>}
+ */
+function parseBitbucketPrList(prs) {
+  const map = new Map();
+  if (!prs || !Array.isArray(prs)) return map;
+  for (const pr of prs) {
+    const branchName = pr.source && pr.source.branch && pr.source.branch.name;
+    if (!branchName) continue;
+    const existing = map.get(branchName);
+    if (!existing || pr.id > existing.number) {
+      map.set(branchName, { state: bitbucketPrState(pr), number: pr.id, title: pr.title });
+    }
+  }
+  return map;
+}
+
 /**
  * Default/base branches that should never get "merged" treatment.
  */
@@ -114,10 +489,21 @@ function isBaseBranch(name) {
 }
 
 module.exports = {
+  CI_LOG_TAIL_LINES,
+  parseGitHubChecks,
+  parseGitLabJobs,
+  tailCiLog,
   parseGitHubPr,
   parseGitLabMr,
+  summarizeCiState,
   parseGitHubPrList,
   parseGitLabMrList,
+  parseGiteaStatuses,
+  parseGiteaPr,
+  parseGiteaPrList,
+  parseBitbucketStatuses,
+  parseBitbucketPr,
+  parseBitbucketPrList,
   BASE_BRANCH_RE,
   isBaseBranch,
 };
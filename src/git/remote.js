@@ -3,10 +3,16 @@
  * @module git/remote
  */
 
-// Branch-URL building lives in the pure module so it can be inlined into
+// Branch- and PR-URL building lives in the pure module so it can be inlined into
 // the web dashboard bundle. We re-export it here so existing Node callers
 // keep working without an extra hop.
-const { buildBranchUrl } = require('../server/web-ui/pure');
+const { buildBranchUrl, buildPrUrl, hostPlatform } = require('../server/web-ui/pure');
+
+/**
+ * Platforms that can be named in the `hosting.hosts` config override.
+ * @type {ReadonlyArray<string>}
+ */
+const PLATFORMS = Object.freeze(['github', 'gitlab', 'gitea', 'bitbucket', 'azure']);
 
 /**
  * Parse a git remote URL into { host, path } components.
@@ -34,18 +40,17 @@ function parseRemoteUrl(remoteUrl) {
 
 /**
  * Detect the git hosting platform from a web URL.
+ * Hosts whose name doesn't give the platform away (e.g. git.company.com
+ * running Gitea) can be mapped explicitly with `hosts`.
  * @param {string|null} webUrl - Web URL of the repository
- * @returns {string|null} Platform name: 'github' | 'gitlab' | 'bitbucket' | 'azure' | null
+ * @param {Object<string, string>} [hosts] - Hostname -> platform overrides
+ * @returns {string|null} Platform name: 'github' | 'gitlab' | 'gitea' | 'bitbucket' | 'azure' | null
  */
-function detectPlatform(webUrl) {
+function detectPlatform(webUrl, hosts) {
   if (!webUrl) return null;
   try {
-    const host = new URL(webUrl).hostname.toLowerCase();
-    const parts = host.split('.');
-    if (host === 'github.com' || parts.includes('github')) return 'github';
-    if (host === 'gitlab.com' || parts.includes('gitlab')) return 'gitlab';
-    if (host === 'bitbucket.org' || parts.includes('bitbucket')) return 'bitbucket';
-    if (host === 'dev.azure.com' || host.endsWith('.visualstudio.com')) return 'azure';
+    const platform = hostPlatform(new URL(webUrl).hostname, hosts);
+    if (platform && platform !== 'codecommit') return platform;
   } catch (e) { /* webUrl isn't a valid URL — fall through to the self-hosted default */ }
   return 'github'; // default assumption for self-hosted
 }
@@ -55,9 +60,10 @@ function detectPlatform(webUrl) {
  * Handles Azure DevOps SSH special case.
  * @param {{ host: string, path: string }} parsed - Parsed remote URL
  * @param {string|null} branchName - Optional branch name
+ * @param {string|null} [platform] - Known platform; detected from the host when omitted
  * @returns {string|null}
  */
-function buildWebUrl(parsed, branchName) {
+function buildWebUrl(parsed, branchName, platform) {
   if (!parsed) return null;
 
   let baseUrl;
@@ -74,7 +80,7 @@ function buildWebUrl(parsed, branchName) {
   }
 
   baseUrl = `https://${parsed.host}/${parsed.path}`;
-  if (branchName) return buildBranchUrl(baseUrl, parsed.host, branchName);
+  if (branchName) return buildBranchUrl(baseUrl, parsed.host, branchName, platform);
   return baseUrl;
 }
 
@@ -89,8 +95,11 @@ function extractSessionUrl(commitBody) {
 }
 
 module.exports = {
+  PLATFORMS,
   parseRemoteUrl,
+  hostPlatform,
   buildBranchUrl,
+  buildPrUrl,
   detectPlatform,
   buildWebUrl,
   extractSessionUrl,
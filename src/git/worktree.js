@@ -0,0 +1,207 @@
+/**
+ * Git worktree management
+ *
+ * Opens a branch in its own linked worktree instead of switching the main
+ * working tree, so several branches can be inspected (and served) side by
+ * side without stashing.
+ *
+ * @module git/worktree
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execGit, execGitOptional } = require('./commands');
+const { sanitizeBranchName, localBranchExists, realpathOrSelf, WORKTREE_QUERY_TIMEOUT } = require('./branch');
+const { GitError } = require('../utils/errors');
+
+/**
+ * @typedef {Object} Worktree
+ * @property {string} path - Absolute path of the working tree
+ * @property {string|null} branch - Checked-out branch (null when detached)
+ * @property {string|null} head - Commit the worktree is at
+ * @property {boolean} isMain - The repository's main working tree
+ * @property {boolean} isCurrent - The working tree the query ran from
+ * @property {boolean} locked
+ * @property {boolean} prunable - Its directory is gone; `git worktree prune` would drop it
+ */
+
+/**
+ * Parse `git worktree list --porcelain` output. The first block is always
+ * the main working tree; bare repositories are skipped.
+ * @param {string} text
+ * @returns {Worktree[]}
+ */
+function parseWorktreeList(text) {
+  /** @type {Worktree[]} */
+  const worktrees = [];
+  /** @type {(Worktree & {bare?: boolean})|null} */
+  let current = null;
+  const flush = () => {
+    if (current && !current.bare) {
+      delete current.bare;
+      worktrees.push(current);
+    }
+    current = null;
+  };
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      flush();
+      current = {
+        path: line.slice('worktree '.length),
+        branch: null,
+        head: null,
+        isMain: worktrees.length === 0,
+        isCurrent: false,
+        locked: false,
+        prunable: false,
+      };
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('HEAD ')) {
+      current.head = line.slice('HEAD '.length);
+    } else if (line.startsWith('branch ')) {
+      current.branch = line.slice('branch '.length).replace(/^refs\/heads\//, '');
+    } else if (line === 'bare') {
+      current.bare = true;
+    } else if (line === 'locked' || line.startsWith('locked ')) {
+      current.locked = true;
+    } else if (line === 'prunable' || line.startsWith('prunable ')) {
+      current.prunable = true;
+    } else if (line === '') {
+      flush();
+    }
+  }
+  flush();
+  return worktrees;
+}
+
+/**
+ * List the repository's working trees, flagging the one `cwd` is in.
+ * Returns an empty list when the probe fails (not a repo, old git).
+ * @param {string} [cwd] - Working directory
+ * @returns {Promise<Worktree[]>}
+ */
+async function listWorktrees(cwd) {
+  const result = await execGitOptional(['worktree', 'list', '--porcelain'], {
+    cwd,
+    timeout: WORKTREE_QUERY_TIMEOUT,
+  });
+  if (!result) return [];
+
+  const topResult = await execGitOptional(['rev-parse', '--show-toplevel'], {
+    cwd,
+    timeout: WORKTREE_QUERY_TIMEOUT,
+  });
+  const currentTop = topResult && topResult.stdout ? realpathOrSelf(topResult.stdout) : null;
+
+  return parseWorktreeList(result.stdout).map((wt) => ({
+    ...wt,
+    isCurrent: currentTop !== null && realpathOrSelf(wt.path) === currentTop,
+  }));
+}
+
+/**
+ * Resolve the configured worktree directory. Empty means a sibling of the
+ * project named `<project>.worktrees`; `~/` is expanded and relative paths
+ * are taken from the project root.
+ * @param {string} dir - `worktrees.dir` from the config
+ * @param {string} projectRoot - Main working tree
+ * @returns {string} Absolute directory
+ */
+function resolveWorktreeDir(dir, projectRoot) {
+  if (!dir) {
+    return path.join(path.dirname(projectRoot), `${path.basename(projectRoot)}.worktrees`);
+  }
+  if (dir === '~' || dir.startsWith('~/')) {
+    return path.join(os.homedir(), dir.slice(1));
+  }
+  return path.resolve(projectRoot, dir);
+}
+
+/**
+ * Where a branch's worktree lives under the base directory. Slashes become
+ * subdirectories, mirroring the ref namespace — git already forbids
+ * `feature` and `feature/x` existing together, so paths can't collide.
+ * @param {string} baseDir
+ * @param {string} branchName
+ * @returns {string}
+ */
+function worktreePathFor(baseDir, branchName) {
+  return path.join(baseDir, ...branchName.split('/'));
+}
+
+/**
+ * Open a branch in a worktree: reuse the one it's already checked out in,
+ * or create one under `baseDir`. A branch that only exists on the remote
+ * gets a local tracking branch first.
+ *
+ * @param {string} branchName
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory new worktrees go in
+ * @param {string} [options.remoteRef] - Remote ref to track when there's no local branch
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<{worktree: Worktree, created: boolean}>}
+ * @throws {import('../utils/errors').ValidationError} For unsafe branch names
+ * @throws {GitError} When the target path is taken or git refuses
+ */
+async function openWorktree(branchName, options) {
+  const { baseDir, remoteRef, cwd } = options;
+  const name = sanitizeBranchName(branchName);
+
+  const existing = (await listWorktrees(cwd)).find((wt) => wt.branch === name);
+  if (existing) return { worktree: existing, created: false };
+
+  const target = worktreePathFor(baseDir, name);
+  if (fs.existsSync(target)) {
+    throw new GitError(
+      `${target} already exists and is not a worktree for ${name}`,
+      'WORKTREE_PATH_EXISTS'
+    );
+  }
+
+  if (await localBranchExists(name, cwd)) {
+    await execGit(['worktree', 'add', target, name], { cwd });
+  } else if (remoteRef) {
+    await execGit(['worktree', 'add', '--track', '-b', name, target, remoteRef], { cwd });
+  } else {
+    throw new GitError(`Branch ${name} does not exist`, 'BRANCH_NOT_FOUND');
+  }
+
+  const created = (await listWorktrees(cwd)).find((wt) => wt.branch === name);
+  return {
+    worktree: created || {
+      path: target, branch: name, head: null,
+      isMain: false, isCurrent: false, locked: false, prunable: false,
+    },
+    created: true,
+  };
+}
+
+/**
+ * Remove a linked worktree. Without `force`, git refuses when the worktree
+ * has uncommitted changes — that refusal is passed on as a GitError.
+ * @param {string} worktreePath
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Discard uncommitted changes
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<void>}
+ * @throws {GitError}
+ */
+async function removeWorktree(worktreePath, options = {}) {
+  const { force = false, cwd } = options;
+  const args = ['worktree', 'remove'];
+  if (force) args.push('--force');
+  args.push(worktreePath);
+  await execGit(args, { cwd });
+}
+
+module.exports = {
+  parseWorktreeList,
+  listWorktrees,
+  resolveWorktreeDir,
+  worktreePathFor,
+  openWorktree,
+  removeWorktree,
+};
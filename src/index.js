@@ -16,6 +16,8 @@ const errors = require('./utils/errors');
 
 // State management
 const state = require('./state/store');
+const journal = require('./state/journal');
+const lastSeen = require('./state/last-seen');
 
 // UI components
 const ui = require('./ui/ansi');
@@ -26,6 +28,9 @@ const keybindingsModule = require('./ui/keybindings');
 // Git operations
 const gitCommands = require('./git/commands');
 const gitBranch = require('./git/branch');
+const gitWorktree = require('./git/worktree');
+const gitDigest = require('./git/digest');
+const gitActivity = require('./git/activity');
 
 // Configuration
 const configSchema = require('./config/schema');
@@ -72,6 +77,9 @@ module.exports = {
   Store: state.Store,
   createStore: state.createStore,
   getInitialState: state.getInitialState,
+  createJournal: journal.createJournal,
+  loadLastSeen: lastSeen.loadLastSeen,
+  saveLastSeen: lastSeen.saveLastSeen,
 
   // UI utilities
   ansi: ui.ansi,
@@ -119,6 +127,7 @@ module.exports = {
   stash: gitCommands.stash,
   stashPop: gitCommands.stashPop,
   getChangedFiles: gitCommands.getChangedFiles,
+  getChangedFilesBetween: gitCommands.getChangedFilesBetween,
   deleteLocalBranch: gitCommands.deleteLocalBranch,
   resetHard: gitCommands.resetHard,
 
@@ -135,6 +144,20 @@ module.exports = {
   getGoneBranches: gitBranch.getGoneBranches,
   deleteGoneBranches: gitBranch.deleteGoneBranches,
 
+  // Git worktrees
+  listWorktrees: gitWorktree.listWorktrees,
+  openWorktree: gitWorktree.openWorktree,
+  removeWorktree: gitWorktree.removeWorktree,
+  resolveWorktreeDir: gitWorktree.resolveWorktreeDir,
+
+  // Since-last-seen digest
+  buildDigest: gitDigest.buildDigest,
+
+  // Branch activity (sparklines and heatmap)
+  ACTIVITY_WINDOWS: gitActivity.ACTIVITY_WINDOWS,
+  createActivityCache: gitActivity.createActivityCache,
+  buildHeatmap: gitActivity.buildHeatmap,
+
   // Configuration schema
   SERVER_MODES: configSchema.SERVER_MODES,
   DEFAULTS: configSchema.DEFAULTS,
@@ -144,6 +167,7 @@ module.exports = {
   validateServerMode: configSchema.validateServerMode,
   validatePollInterval: configSchema.validatePollInterval,
   validateVisibleBranches: configSchema.validateVisibleBranches,
+  getMonitoredRemotes: configSchema.getMonitoredRemotes,
   validateConfig: configSchema.validateConfig,
   migrateConfig: configSchema.migrateConfig,
 
@@ -3,8 +3,8 @@
  *
  * Note: this module previously also exported helpers like detectNewBranches,
  * detectDeletedBranches, sortBranches, etc., but the bin reimplements those
- * flows inline. Only pruneStaleEntries and calculateInactivityInterval are
- * wired up in production, so that's all that lives here now.
+ * flows inline. Only what's wired up in production lives here now:
+ * detectBranchChanges, pruneStaleEntries and calculateInactivityInterval.
  *
  * @module polling/engine
  */
@@ -70,6 +70,30 @@ function calculateInactivityInterval({
   return Math.max(base, Math.min(grown, ceiling));
 }
 
+/**
+ * Compare a poll's branch names against the known set.
+ *
+ * Ignored branches are skipped both ways: one only appears in the list while
+ * it's checked out, so switching onto it and away again must not read as the
+ * branch being created and then deleted.
+ * @param {Object} opts
+ * @param {Set<string>} opts.knownBranchNames - Branches seen on earlier polls (not mutated)
+ * @param {Set<string>} opts.fetchedBranchNames - Branch names from this poll, in list order
+ * @param {(name: string) => boolean} [opts.isIgnored] - Whether a branch is ignored by branch rules
+ * @returns {{created: string[], deleted: string[]}} Names seen for the first time, and known names now missing
+ */
+function detectBranchChanges({ knownBranchNames, fetchedBranchNames, isIgnored = () => false }) {
+  const created = [];
+  for (const name of fetchedBranchNames) {
+    if (!knownBranchNames.has(name) && !isIgnored(name)) created.push(name);
+  }
+  const deleted = [];
+  for (const name of knownBranchNames) {
+    if (!fetchedBranchNames.has(name) && !isIgnored(name)) deleted.push(name);
+  }
+  return { created, deleted };
+}
+
 /**
  * Prune stale entries from tracking sets and caches for branches
  * that no longer exist in git.
@@ -103,6 +127,7 @@ function pruneStaleEntries({ knownBranchNames, fetchedBranchNames, allBranches,
 }
 
 module.exports = {
+  detectBranchChanges,
   pruneStaleEntries,
   calculateInactivityInterval,
 };
@@ -0,0 +1,161 @@
+/**
+ * Dependency installs after a switch or pull
+ *
+ * Maps changed lockfiles to the package manager command that brings the
+ * installed dependencies back in line. Lockfiles are recognized by name in
+ * any directory, and the install runs in that directory, so a monorepo
+ * package with its own lockfile gets its own install.
+ *
+ * @module server/dependencies
+ */
+
+const path = require('path');
+
+/** How long an install prompt waits for an answer before it counts as skipped (ms) */
+const INSTALL_PROMPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Install command for each lockfile name
+ * @type {Readonly<Record<string, string>>}
+ */
+const LOCKFILE_COMMANDS = Object.freeze({
+  'package-lock.json': 'npm install',
+  'npm-shrinkwrap.json': 'npm install',
+  'yarn.lock': 'yarn install',
+  'pnpm-lock.yaml': 'pnpm install',
+  'bun.lock': 'bun install',
+  'bun.lockb': 'bun install',
+  'Gemfile.lock': 'bundle install',
+  'composer.lock': 'composer install',
+  'poetry.lock': 'poetry install',
+  'uv.lock': 'uv sync',
+  'Pipfile.lock': 'pipenv install',
+});
+
+/**
+ * @typedef {Object} DependencyInstall
+ * @property {string[]} lockfiles - Changed lockfiles behind it, relative to the repository root
+ * @property {string} dir - Directory to run it in, relative to the repository root ('' for the root)
+ * @property {string} command
+ */
+
+/**
+ * Installs the changed files call for, one per directory and command, in
+ * the order their lockfiles appear.
+ * @param {string[]} changedFiles - Paths relative to the repository root
+ * @param {Object<string, string|null>} [commands] - Lockfile name -> command,
+ *   over LOCKFILE_COMMANDS; null turns a lockfile off
+ * @returns {DependencyInstall[]}
+ */
+function detectInstalls(changedFiles, commands = {}) {
+  const table = { ...LOCKFILE_COMMANDS, ...commands };
+  /** @type {DependencyInstall[]} */
+  const installs = [];
+  for (const file of changedFiles) {
+    const name = path.posix.basename(file);
+    if (!Object.prototype.hasOwnProperty.call(table, name) || !table[name]) continue;
+    const dir = path.posix.dirname(file) === '.' ? '' : path.posix.dirname(file);
+    const command = table[name];
+    const existing = installs.find((i) => i.dir === dir && i.command === command);
+    if (existing) existing.lockfiles.push(file);
+    else installs.push({ lockfiles: [file], dir, command });
+  }
+  return installs;
+}
+
+/**
+ * Short description for logs and prompts: "npm install" or
+ * "yarn install (in web)".
+ * @param {DependencyInstall} install
+ * @returns {string}
+ */
+function describeInstall(install) {
+  return install.dir ? `${install.command} (in ${install.dir})` : install.command;
+}
+
+/**
+ * @typedef {Object} PendingInstall
+ * @property {number} id - Lets a late answer tell whether it's still the open question
+ * @property {'switch'|'pull'} trigger
+ * @property {DependencyInstall[]} installs
+ */
+
+/**
+ * How an install question ended: answered, unanswered for too long, or
+ * replaced by a newer switch or pull.
+ * @typedef {'install'|'skip'|'timeout'|'superseded'} InstallAnswer
+ */
+
+/**
+ * The install question of `autoInstall.mode` "ask", one at a time.
+ *
+ * Switches and pulls finish their follow-up work in order, so an open
+ * question holds up every later one. It can't wait forever: it ends as
+ * 'timeout' after `timeoutMs`, and as 'superseded' when `supersede()` is
+ * called because a newer checkout is waiting, or when another question
+ * is asked.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {(pending: PendingInstall|null) => void} [options.onChange] - The
+ *   question to show, or null once it has ended
+ * @returns {{
+ *   ask: (installs: DependencyInstall[], trigger: 'switch'|'pull') => Promise<InstallAnswer>,
+ *   answer: (install: boolean, id?: number) => boolean,
+ *   supersede: () => boolean,
+ * }}
+ */
+function createInstallPrompt({ timeoutMs = INSTALL_PROMPT_TIMEOUT_MS, onChange = () => {} } = {}) {
+  /** @type {PendingInstall|null} */
+  let pending = null;
+  /** @type {((answer: InstallAnswer) => void)|null} */
+  let settle = null;
+  /** @type {NodeJS.Timeout|undefined} */
+  let timer;
+  let nextId = Date.now();
+
+  /**
+   * @param {InstallAnswer} answer
+   * @returns {boolean} Whether a question was open
+   */
+  function end(answer) {
+    const done = settle;
+    if (!done) return false;
+    settle = null;
+    pending = null;
+    clearTimeout(timer);
+    onChange(null);
+    done(answer);
+    return true;
+  }
+
+  return {
+    ask(installs, trigger) {
+      end('superseded');
+      return new Promise((resolve) => {
+        settle = resolve;
+        pending = { id: nextId++, trigger, installs };
+        timer = setTimeout(() => end('timeout'), timeoutMs);
+        onChange(pending);
+      });
+    },
+
+    // Without an id the open question is answered, whichever it is
+    answer(install, id) {
+      if (!pending || (id !== undefined && id !== pending.id)) return false;
+      return end(install ? 'install' : 'skip');
+    },
+
+    supersede() {
+      return end('superseded');
+    },
+  };
+}
+
+module.exports = {
+  INSTALL_PROMPT_TIMEOUT_MS,
+  LOCKFILE_COMMANDS,
+  detectInstalls,
+  describeInstall,
+  createInstallPrompt,
+};
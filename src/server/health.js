@@ -0,0 +1,83 @@
+/**
+ * Readiness probes for command-mode dev servers
+ *
+ * A probe either fetches a URL (any status below 400 counts as healthy) or
+ * opens a TCP connection to a local port. Probes never reject: a refused
+ * connection, a timeout and an error status all resolve to false.
+ *
+ * @module server/health
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * @typedef {import('../config/schema').HealthCheckConfig} HealthCheckConfig
+ */
+
+/**
+ * GET the URL and report whether it answered below 400.
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>}
+ */
+function probeHttp(url, timeoutMs) {
+  return new Promise((resolve) => {
+    let req;
+    try {
+      const parsed = new URL(url);
+      const transport = parsed.protocol === 'https:' ? https : http;
+      req = transport.get(parsed, {
+        headers: { 'User-Agent': 'git-watchtower' },
+        timeout: timeoutMs,
+        // Dev servers commonly use self-signed certificates
+        rejectUnauthorized: false,
+      }, (res) => {
+        // Drain so the socket is released; the body is ignored
+        res.resume();
+        resolve((res.statusCode || 0) < 400);
+      });
+    } catch (_) {
+      resolve(false);
+      return;
+    }
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', () => resolve(false));
+  });
+}
+
+/**
+ * Report whether something accepts connections on the port.
+ * @param {number} port
+ * @param {number} timeoutMs
+ * @param {string} [host='localhost']
+ * @returns {Promise<boolean>}
+ */
+function probeTcp(port, timeoutMs, host = 'localhost') {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/**
+ * Run the probe a health check describes.
+ * @param {HealthCheckConfig} check
+ * @returns {Promise<boolean>}
+ */
+function probeHealth(check) {
+  return check.url ? probeHttp(check.url, check.timeout) : probeTcp(/** @type {number} */ (check.port), check.timeout);
+}
+
+module.exports = {
+  probeHttp,
+  probeTcp,
+  probeHealth,
+};
@@ -0,0 +1,134 @@
+/**
+ * Per-branch dev server overrides (`server.branchOverrides`)
+ *
+ * An override swaps a process's command or adds env vars while a matching
+ * branch is checked out, and can list pre-start steps (`npm install`, a
+ * migration) that run after a switch to such a branch — only when the
+ * switch changed files matching the step's `changed` globs — before the dev
+ * server restarts. Branch and file globs use the syntax of utils/glob.
+ *
+ * @module server/overrides
+ */
+
+const { spawn } = require('child_process');
+const { matchesAnyGlob } = require('../utils/glob');
+const { runShellCommand } = require('../utils/shell-command');
+
+/**
+ * @typedef {import('../config/schema').ServerOverrideConfig} ServerOverrideConfig
+ * @typedef {import('../config/schema').ServerCommandConfig} ServerCommandConfig
+ */
+
+/**
+ * @typedef {Object} PreStartStep
+ * @property {string} command
+ * @property {number} timeout - ms
+ * @property {string|null} process - Process whose log shows the output (null = all)
+ */
+
+/**
+ * Whether an override applies on this branch. Overrides listing branches
+ * never apply with a detached HEAD.
+ * @param {ServerOverrideConfig} override
+ * @param {string|null} branch
+ * @returns {boolean}
+ */
+function overrideMatches(override, branch) {
+  if (override.branches.length === 0) return true;
+  return typeof branch === 'string' && matchesAnyGlob(branch, override.branches);
+}
+
+/**
+ * The process as it should run on `branch`: the last matching override's
+ * command, and every matching override's env merged over its own.
+ * @param {ServerCommandConfig} spec
+ * @param {ServerOverrideConfig[]} overrides
+ * @param {string|null} branch
+ * @returns {ServerCommandConfig}
+ */
+function resolveServerSpec(spec, overrides, branch) {
+  let { command } = spec;
+  const env = { ...spec.env };
+  for (const override of overrides) {
+    if (override.process !== null && override.process !== spec.name) continue;
+    if (!overrideMatches(override, branch)) continue;
+    if (override.command) command = override.command;
+    Object.assign(env, override.env);
+  }
+  return { ...spec, command, env };
+}
+
+/**
+ * Whether two resolved specs would run differently.
+ * @param {ServerCommandConfig} a
+ * @param {ServerCommandConfig} b
+ * @returns {boolean}
+ */
+function specsDiffer(a, b) {
+  if (a.command !== b.command) return true;
+  const keys = new Set([...Object.keys(a.env), ...Object.keys(b.env)]);
+  return [...keys].some((key) => a.env[key] !== b.env[key]);
+}
+
+/**
+ * Pre-start steps to run after switching to `branch`, given the files the
+ * switch changed. A command listed by several overrides runs once.
+ * @param {ServerOverrideConfig[]} overrides
+ * @param {string|null} branch
+ * @param {string[]} changedFiles - Paths relative to the repository root
+ * @returns {PreStartStep[]}
+ */
+function preStartSteps(overrides, branch, changedFiles) {
+  /** @type {PreStartStep[]} */
+  const steps = [];
+  for (const override of overrides) {
+    if (!overrideMatches(override, branch)) continue;
+    for (const step of override.preStart) {
+      if (steps.some((s) => s.command === step.command)) continue;
+      if (step.changed.length > 0 && !changedFiles.some((file) => matchesAnyGlob(file, step.changed))) continue;
+      steps.push({ command: step.command, timeout: step.timeout, process: override.process });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Run a pre-start step through the shell, passing its output on line by
+ * line. Resolves on exit code 0; rejects on a non-zero exit, a spawn
+ * failure or the timeout, which stops the step's whole process group
+ * (see utils/shell-command) before the promise settles.
+ * @param {PreStartStep} step
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {NodeJS.ProcessEnv} [options.env]
+ * @param {(line: string, isError: boolean) => void} [options.onOutput]
+ * @param {typeof spawn} [options.spawnFn] - Injected for tests
+ * @param {string} [options.platform] - Injected for tests
+ * @returns {Promise<void>}
+ */
+function runPreStartStep(step, {
+  cwd,
+  env = process.env,
+  onOutput = () => {},
+  spawnFn = spawn,
+  platform = process.platform,
+}) {
+  return runShellCommand(step.command, {
+    cwd,
+    env: { ...env, FORCE_COLOR: '1' },
+    timeout: step.timeout,
+    onOutput: (text, isError) => {
+      text.split('\n').filter(Boolean).forEach((line) => onOutput(line, isError));
+    },
+    spawnFn,
+    platform,
+  });
+}
+
+module.exports = {
+  overrideMatches,
+  resolveServerSpec,
+  specsDiffer,
+  preStartSteps,
+  runPreStartStep,
+};
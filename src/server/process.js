@@ -1,11 +1,12 @@
 /**
- * Server process management — command parsing for command mode
- *
- * Note: the bin's `startServerProcess` / `stopServerProcess` /
- * `restartServerProcess` implement the actual lifecycle inline; this
- * file only exports the parseCommand helper they use.
+ * Server process management for command mode: command parsing and the
+ * lifecycle of the dev server processes (one per `server.commands` entry,
+ * or the single `server.command`).
  */
 
+const { spawn } = require('child_process');
+const { probeHealth } = require('./health');
+
 /**
  * Parse a command string into command and arguments.
  * Handles quoted strings, backslash escapes (e.g. `\"`, `\\`, `\ `),
@@ -72,6 +73,408 @@ function parseCommand(commandString) {
   };
 }
 
+/**
+ * One dev server process to run in command mode.
+ * @typedef {import('../config/schema').ServerCommandConfig} ServerProcessSpec
+ */
+
+/**
+ * Where a process stands:
+ * - running: up, and there's no health check to say more
+ * - starting: up, but its health check hasn't passed yet
+ * - ready: up and passing its health check
+ * - unhealthy: up, but its health check keeps failing
+ * - restarting: crashed, restart scheduled
+ * - crashed: failed to start, exited non-zero or was killed by a signal
+ * - stopped: not started, stopped, or exited cleanly
+ * @typedef {'running'|'starting'|'ready'|'unhealthy'|'restarting'|'crashed'|'stopped'} ServerProcessState
+ */
+
+/**
+ * @typedef {Object} ServerProcessStatus
+ * @property {string} name
+ * @property {string} command
+ * @property {number|null} port
+ * @property {boolean} restartOnSwitch
+ * @property {ServerProcessState} status
+ * @property {boolean} running
+ * @property {boolean} crashed - Last run failed to start, exited non-zero or was killed
+ * @property {number} restarts - Crash restarts in a row so far
+ * @property {number|null} pid
+ */
+
+/**
+ * @typedef {Object} ServerProcessEvent
+ * @property {'started'|'stopped'|'crashed'|'health'} type
+ * @property {string} name
+ * @property {string} command
+ * @property {number|null} [pid] - Set on 'started'
+ * @property {number|null} [code] - Exit code ('stopped' and 'crashed')
+ * @property {string|null} [error] - Spawn error, or the signal that killed it ('crashed')
+ * @property {{attempt: number, maxRetries: number, delay: number}|null} [restart] - Scheduled
+ *   crash restart ('crashed'); null when there's none
+ * @property {boolean} [gaveUp] - Crashed again after maxRetries restarts ('crashed')
+ * @property {'ready'|'unhealthy'} [health] - New health ('health')
+ */
+
+/** Without a health check, a process that stayed up this long resets its crash count */
+const STABLE_AFTER_MS = 60000;
+
+/**
+ * Delay before the nth crash restart in a row: doubling from initialDelay,
+ * capped at maxDelay.
+ * @param {number} attempt - 1 for the first restart
+ * @param {import('../config/schema').AutoRestartConfig} policy
+ * @returns {number}
+ */
+function restartDelay(attempt, policy) {
+  return Math.min(policy.initialDelay * 2 ** (attempt - 1), policy.maxDelay);
+}
+
+/**
+ * Roll several processes up into one status for the header: the most
+ * pressing state any of them is in.
+ * @param {Array<{status: ServerProcessState}>} statuses
+ * @returns {ServerProcessState|null} null without processes
+ */
+function summarizeServerStatus(statuses) {
+  const order = ['crashed', 'unhealthy', 'restarting', 'starting', 'ready', 'running', 'stopped'];
+  let best = null;
+  for (const { status } of statuses) {
+    if (best === null || order.indexOf(status) < order.indexOf(best)) best = status;
+  }
+  return best;
+}
+
+/**
+ * Run a set of named dev server processes.
+ *
+ * Each process is spawned without a shell (except on Windows) in its own
+ * process group, so stopping it also stops what it launched (npm -> node ->
+ * vite). Output arrives line by line through `onOutput`; starts, exits,
+ * crashes and health changes through `onEvent`. Events from a process that
+ * has since been stopped or replaced are dropped, so a slow exit can't
+ * clobber the status of its successor.
+ *
+ * A process with a health check is probed every `interval` once started:
+ * it's "starting" until the first probe passes, then "ready", and
+ * "unhealthy" after `failureThreshold` failed probes in a row (or when it
+ * isn't ready within `startupTimeout`). With `autoRestart` enabled, a crash
+ * schedules a restart with exponential backoff; being ready (or up for a
+ * minute without a health check) resets the count.
+ *
+ * @param {Object} options
+ * @param {ServerProcessSpec[]} options.specs - Processes, in display order
+ * @param {() => string} options.getCwd - Working directory at spawn time
+ *   (the dev server can be moved to a linked worktree)
+ * @param {(spec: ServerProcessSpec) => ServerProcessSpec} [options.resolveSpec] - Command
+ *   and env to use at spawn time (per-branch overrides)
+ * @param {NodeJS.ProcessEnv} [options.env] - Base environment
+ * @param {(name: string, line: string, isError: boolean) => void} [options.onOutput]
+ * @param {(event: ServerProcessEvent) => void} [options.onEvent]
+ * @param {number} [options.killGraceMs=3000] - SIGTERM to SIGKILL delay
+ * @param {(check: import('../config/schema').HealthCheckConfig) => Promise<boolean>} [options.probe] - Injected for tests
+ * @param {typeof spawn} [options.spawnFn] - Injected for tests
+ * @param {string} [options.platform] - Injected for tests
+ */
+function createProcessManager({
+  specs,
+  getCwd,
+  resolveSpec = (spec) => spec,
+  env = process.env,
+  onOutput = () => {},
+  onEvent = () => {},
+  killGraceMs = 3000,
+  probe = probeHealth,
+  spawnFn = spawn,
+  platform = process.platform,
+}) {
+  /**
+   * @typedef {Object} Entry
+   * @property {ServerProcessSpec} spec
+   * @property {string} command - What was last spawned, overrides applied
+   * @property {import('child_process').ChildProcess|null} proc
+   * @property {boolean} crashed
+   * @property {'starting'|'ready'|'unhealthy'|null} health - null without a check or process
+   * @property {number} failures - Failed probes in a row
+   * @property {number} startedAt
+   * @property {number} restarts - Crash restarts in a row
+   * @property {NodeJS.Timeout|null} healthTimer
+   * @property {NodeJS.Timeout|null} restartTimer
+   */
+  /** @type {Map<string, Entry>} */
+  const entries = new Map(specs.map((spec) => [spec.name, {
+    spec,
+    command: spec.command,
+    proc: null,
+    crashed: false,
+    health: null,
+    failures: 0,
+    startedAt: 0,
+    restarts: 0,
+    healthTimer: null,
+    restartTimer: null,
+  }]));
+  const isWindows = platform === 'win32';
+
+  /**
+   * @param {string|undefined} name
+   * @returns {string[]} The named process, or all of them
+   */
+  function targets(name) {
+    if (name === undefined) return [...entries.keys()];
+    if (!entries.has(name)) throw new Error(`Unknown server process: ${name}`);
+    return [name];
+  }
+
+  /**
+   * @param {import('child_process').ChildProcess} proc
+   * @returns {Promise<void>} Resolves once it exited, or after the grace
+   *   period plus a margin if 'close' never fires
+   */
+  function killTree(proc) {
+    /** @type {Promise<void>} */
+    const closed = proc.exitCode !== null || proc.signalCode !== null
+      ? Promise.resolve()
+      : new Promise((resolve) => { proc.once('close', () => resolve()); });
+    /** @type {Promise<void>} */
+    const hardCap = new Promise((resolve) => { setTimeout(resolve, killGraceMs + 500).unref(); });
+
+    if (isWindows) {
+      // taskkill /f /t is already forceful and recursive
+      spawnFn('taskkill', ['/pid', String(proc.pid), '/f', '/t']);
+      return Promise.race([closed, hardCap]);
+    }
+    // Negative PID: the whole process group
+    try { process.kill(-proc.pid, 'SIGTERM'); } catch (e) { /* group already gone */ }
+    const forceKill = setTimeout(() => {
+      try { process.kill(-proc.pid, 'SIGKILL'); } catch (e) { /* group already gone */ }
+    }, killGraceMs);
+    proc.once('close', () => clearTimeout(forceKill));
+    return Promise.race([closed, hardCap]);
+  }
+
+  /** @param {Entry} entry */
+  function clearTimers(entry) {
+    clearTimeout(entry.healthTimer);
+    clearTimeout(entry.restartTimer);
+    entry.healthTimer = null;
+    entry.restartTimer = null;
+  }
+
+  /**
+   * Probe `proc` every interval while it's the entry's current process.
+   * @param {Entry} entry
+   * @param {import('child_process').ChildProcess} proc
+   */
+  function watchHealth(entry, proc) {
+    const check = entry.spec.healthCheck;
+    const schedule = () => {
+      entry.healthTimer = setTimeout(runProbe, check.interval);
+      entry.healthTimer.unref();
+    };
+    const setHealth = (health) => {
+      if (entry.health === health) return;
+      entry.health = health;
+      onEvent({ type: 'health', name: entry.spec.name, command: entry.command, health });
+    };
+    const runProbe = async () => {
+      entry.healthTimer = null;
+      let ok = false;
+      try { ok = await probe(check); } catch (_) { /* counts as a failure */ }
+      if (entry.proc !== proc) return;
+      if (ok) {
+        entry.failures = 0;
+        entry.restarts = 0;
+        setHealth('ready');
+      } else if (entry.health === 'starting') {
+        if (Date.now() - entry.startedAt >= check.startupTimeout) setHealth('unhealthy');
+      } else if (++entry.failures >= check.failureThreshold) {
+        setHealth('unhealthy');
+      }
+      schedule();
+    };
+    schedule();
+  }
+
+  /**
+   * Record a crash and schedule a restart if the policy allows one.
+   * @param {Entry} entry
+   * @param {number|null} code
+   * @param {string|null} error
+   */
+  function handleCrash(entry, code, error) {
+    const { spec } = entry;
+    entry.proc = null;
+    entry.crashed = true;
+    entry.health = null;
+    clearTimers(entry);
+
+    const policy = spec.autoRestart;
+    let restart = null;
+    let gaveUp = false;
+    if (policy && policy.enabled) {
+      if (!spec.healthCheck && entry.startedAt && Date.now() - entry.startedAt >= STABLE_AFTER_MS) {
+        entry.restarts = 0;
+      }
+      if (entry.restarts < policy.maxRetries) {
+        const attempt = ++entry.restarts;
+        const delay = restartDelay(attempt, policy);
+        restart = { attempt, maxRetries: policy.maxRetries, delay };
+        entry.restartTimer = setTimeout(() => {
+          entry.restartTimer = null;
+          startOne(spec.name);
+        }, delay);
+        entry.restartTimer.unref();
+      } else {
+        gaveUp = true;
+      }
+    }
+    onEvent({ type: 'crashed', name: spec.name, command: entry.command, code, error, restart, gaveUp });
+  }
+
+  /** @param {string} name */
+  function startOne(name) {
+    const entry = entries.get(name);
+    if (entry.proc) stopOne(name);
+    clearTimers(entry);
+    entry.crashed = false;
+    entry.failures = 0;
+    entry.startedAt = Date.now();
+    entry.health = null;
+    const spec = resolveSpec(entry.spec);
+    entry.command = spec.command;
+
+    const { command, args } = parseCommand(spec.command);
+    /** @type {NodeJS.ProcessEnv} */
+    const procEnv = { ...env, FORCE_COLOR: '1' };
+    if (spec.port) procEnv.PORT = String(spec.port);
+    Object.assign(procEnv, spec.env);
+
+    /** @type {import('child_process').ChildProcess} */
+    let proc;
+    try {
+      proc = spawnFn(command, args, {
+        cwd: getCwd(),
+        env: procEnv,
+        shell: isWindows,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: !isWindows,
+      });
+    } catch (err) {
+      handleCrash(entry, null, err.message);
+      return;
+    }
+    entry.proc = proc;
+
+    /** @param {boolean} isError */
+    const forward = (isError) => (data) => {
+      if (entry.proc !== proc) return;
+      data.toString().split('\n').filter(Boolean).forEach((line) => onOutput(name, line, isError));
+    };
+    proc.stdout.on('data', forward(false));
+    proc.stderr.on('data', forward(true));
+
+    proc.on('error', (err) => {
+      if (entry.proc !== proc) return;
+      handleCrash(entry, null, err.message);
+    });
+
+    proc.on('close', (code, signal) => {
+      if (entry.proc !== proc) return;
+      if (code !== 0 && code !== null) {
+        handleCrash(entry, code, null);
+      } else if (code === null && signal) {
+        // Our own stops detach the process first, so a signal here came
+        // from outside (OOM killer, segfault)
+        handleCrash(entry, null, `killed by ${signal}`);
+      } else {
+        entry.proc = null;
+        entry.health = null;
+        clearTimers(entry);
+        onEvent({ type: 'stopped', name, command: spec.command, code });
+      }
+    });
+
+    if (spec.healthCheck) {
+      entry.health = 'starting';
+      watchHealth(entry, proc);
+    }
+    onEvent({ type: 'started', name, command: spec.command, pid: proc.pid });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  function stopOne(name) {
+    const entry = entries.get(name);
+    clearTimers(entry);
+    entry.health = null;
+    const proc = entry.proc;
+    if (!proc) return Promise.resolve();
+    entry.proc = null;
+    return killTree(proc);
+  }
+
+  /**
+   * @param {Entry} entry
+   * @returns {ServerProcessState}
+   */
+  function stateOf(entry) {
+    if (entry.proc) return entry.health || 'running';
+    if (entry.restartTimer) return 'restarting';
+    return entry.crashed ? 'crashed' : 'stopped';
+  }
+
+  return {
+    /**
+     * Start a process by name, or all of them. A running one is stopped
+     * first (without waiting for it to exit). Starting by hand resets the
+     * crash restart count.
+     * @param {string} [name]
+     */
+    start(name) {
+      for (const target of targets(name)) {
+        entries.get(target).restarts = 0;
+        startOne(target);
+      }
+    },
+
+    /**
+     * Stop a process by name, or all of them, cancelling scheduled restarts.
+     * @param {string} [name]
+     * @returns {Promise<void>} Resolves once they exited
+     */
+    stop(name) {
+      return Promise.all(targets(name).map(stopOne)).then(() => {});
+    },
+
+    /** @returns {string[]} Process names, in config order */
+    names() {
+      return [...entries.keys()];
+    },
+
+    /** @returns {ServerProcessStatus[]} */
+    statuses() {
+      return [...entries.values()].map((entry) => ({
+        name: entry.spec.name,
+        command: entry.command,
+        port: entry.spec.port,
+        restartOnSwitch: entry.spec.restartOnSwitch,
+        status: stateOf(entry),
+        running: entry.proc !== null,
+        crashed: entry.crashed,
+        restarts: entry.restarts,
+        pid: entry.proc ? entry.proc.pid : null,
+      }));
+    },
+  };
+}
+
 module.exports = {
   parseCommand,
+  restartDelay,
+  summarizeServerStatus,
+  createProcessManager,
 };
@@ -39,21 +39,89 @@ function getMimeType(ext) {
   return MIME_TYPES[(ext || '').toLowerCase()] || 'application/octet-stream';
 }
 
+/**
+ * Image types the live reload client can refresh in place.
+ */
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico'];
+
 /**
  * Live reload script to inject into HTML pages.
- * Connects via Server-Sent Events (SSE) and reloads on 'reload' event.
+ * Connects via Server-Sent Events (SSE). A 'reload' message reloads the
+ * page; a JSON {type: 'swap', css, images} message (see buildReloadFrame)
+ * re-requests the matching stylesheets and images with a cache-busting
+ * query, keeping scroll position and form input. When nothing on the page
+ * uses a changed file (an @import-ed partial, a CSS background image) it
+ * falls back to a reload.
  */
 const LIVE_RELOAD_SCRIPT = `
 <script>
 (function() {
+  function bust(url) {
+    var u = new URL(url, location.href);
+    u.searchParams.set('livereload', String(Date.now()));
+    return u.href;
+  }
+  function isPath(url, path) {
+    try { return decodeURIComponent(new URL(url, location.href).pathname) === path; } catch (e) { return false; }
+  }
+  function swapLink(link) {
+    // Drop the old sheet only once the new one is in, so the page never renders unstyled
+    var next = link.cloneNode(false);
+    next.href = bust(link.href);
+    next.onload = next.onerror = function() {
+      if (link.parentNode) link.parentNode.removeChild(link);
+    };
+    link.parentNode.insertBefore(next, link.nextSibling);
+  }
+  function refresh(selector, paths, update) {
+    var nodes = document.querySelectorAll(selector);
+    for (var i = 0; i < paths.length; i++) {
+      var found = false;
+      for (var j = 0; j < nodes.length; j++) {
+        if (isPath(nodes[j].href || nodes[j].src, paths[i])) { update(nodes[j]); found = true; }
+      }
+      if (!found) return false;
+    }
+    return true;
+  }
   var source = new EventSource('/livereload');
   source.onmessage = function(e) {
-    if (e.data === 'reload') location.reload();
+    if (e.data === 'reload') return location.reload();
+    var msg;
+    try { msg = JSON.parse(e.data); } catch (err) { return; }
+    if (!msg || msg.type !== 'swap') return;
+    var swapped = refresh('link[rel="stylesheet"][href]', msg.css || [], swapLink) &&
+      refresh('img[src]', msg.images || [], function(img) { img.src = bust(img.src); });
+    if (!swapped) location.reload();
   };
 })();
 </script>
 </body>`;
 
+/**
+ * SSE frame telling live-reload clients what changed. When every changed
+ * file is a stylesheet or an image, clients swap those in place; anything
+ * else (HTML, scripts) needs a full reload.
+ * @param {string[]} [changedFiles] - Paths relative to the static root, with
+ *   OS separators as fs.watch reports them. Empty or omitted means reload.
+ * @returns {{frame: string, swap: boolean}} Pre-formatted SSE frame for
+ *   broadcastReload, and whether it swaps files rather than reloading
+ */
+function buildReloadFrame(changedFiles) {
+  const reload = { frame: 'data: reload\n\n', swap: false };
+  const css = [];
+  const images = [];
+  for (const file of changedFiles || []) {
+    const urlPath = '/' + file.split(path.sep).join('/');
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.css') css.push(urlPath);
+    else if (IMAGE_EXTENSIONS.includes(ext)) images.push(urlPath);
+    else return reload;
+  }
+  if (css.length === 0 && images.length === 0) return reload;
+  return { frame: `data: ${JSON.stringify({ type: 'swap', css, images })}\n\n`, swap: true };
+}
+
 /**
  * Inject live reload script into HTML content.
  *
@@ -169,6 +237,7 @@ module.exports = {
   getMimeType,
   LIVE_RELOAD_SCRIPT,
   injectLiveReload,
+  buildReloadFrame,
   resolveStaticPath,
   broadcastReload,
 };
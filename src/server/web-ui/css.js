@@ -110,6 +110,11 @@ function getDashboardCss() {
   .badge-online { background: var(--green-dim); color: #fff; box-shadow: 0 0 8px rgba(63,185,80,0.3); }
   .badge-offline { background: var(--red-dim); color: #fff; box-shadow: 0 0 8px rgba(248,81,73,0.3); }
   .badge-fetching { background: var(--yellow); color: #000; }
+  .badge[hidden] { display: none; }
+  .badge-server-running, .badge-server-ready { background: none; color: var(--green); border: 1px solid var(--green-dim); }
+  .badge-server-starting, .badge-server-restarting { background: none; color: var(--yellow); border: 1px solid var(--yellow); }
+  .badge-server-unhealthy, .badge-server-crashed { background: var(--red-dim); color: #fff; }
+  .badge-server-stopped { background: none; color: var(--text-muted); border: 1px solid var(--border); }
 
   /* ── Layout ────────────────────────────────────────────────────── */
   .layout {
@@ -217,6 +222,11 @@ function getDashboardCss() {
     overflow: hidden;
     text-overflow: ellipsis;
   }
+  .branch-name mark {
+    background: none;
+    color: var(--yellow);
+    text-decoration: underline;
+  }
   .branch-current-badge {
     font-size: 10px;
     color: var(--green);
@@ -265,6 +275,27 @@ function getDashboardCss() {
     color: var(--text-muted);
     font-size: 11px;
   }
+  .branch-remotes {
+    font-family: var(--font-mono);
+    font-size: 11px;
+    color: var(--accent);
+  }
+  .branch-remotes .remote-ahead { color: var(--green); }
+  .branch-remotes .remote-behind { color: var(--orange); }
+  .branch-author {
+    white-space: nowrap;
+    font-weight: 500;
+    flex-shrink: 0;
+  }
+  .branch-agent-badge {
+    font-size: 10px;
+    color: var(--cyan);
+    background: rgba(57,210,192,0.15);
+    padding: 0 6px;
+    border-radius: var(--radius-sm);
+    font-weight: 600;
+    flex-shrink: 0;
+  }
   .branch-subject {
     white-space: nowrap;
     overflow: hidden;
@@ -337,6 +368,14 @@ function getDashboardCss() {
   .pr-open { color: var(--green); background: rgba(63,185,80,0.15); }
   .pr-merged { color: var(--magenta); background: rgba(188,140,255,0.15); }
   .pr-closed { color: var(--red); background: rgba(248,81,73,0.15); }
+  .pr-unresolved {
+    color: var(--yellow);
+    background: rgba(210,153,34,0.15);
+    border: none;
+    font-family: inherit;
+    cursor: pointer;
+  }
+  .pr-unresolved:hover { text-decoration: underline; }
 
   /* ── Side Panel ────────────────────────────────────────────────── */
   .side-panel {
@@ -396,7 +435,7 @@ function getDashboardCss() {
     background: var(--bg-surface);
     border-bottom: 1px solid var(--border);
   }
-  .search-bar.active { display: flex; }
+  .search-bar.active { display: flex; flex-direction: column; gap: 4px; }
   .search-input {
     width: 100%;
     background: var(--bg);
@@ -409,6 +448,10 @@ function getDashboardCss() {
     outline: none;
   }
   .search-input:focus { border-color: var(--accent); }
+  .search-note {
+    font-size: 11px;
+    color: var(--yellow);
+  }
 
   /* ── Footer ────────────────────────────────────────────────────── */
   .footer {
@@ -718,6 +761,209 @@ function getDashboardCss() {
   .log-line { padding: 1px 0; white-space: pre-wrap; word-break: break-all; }
   .log-line.error { color: var(--red); }
   .log-line .log-ts { color: var(--text-muted); margin-right: 8px; }
+  .log-line.journal-switch { color: var(--accent); }
+  .log-line .log-process { color: var(--cyan); margin-right: 8px; }
+  .server-toolbar[hidden] { display: none; }
+  .server-toolbar .process-dot { margin-left: 6px; color: var(--text-muted); }
+  .server-toolbar .process-dot.running,
+  .server-toolbar .process-dot.ready { color: var(--green); }
+  .server-toolbar .process-dot.starting,
+  .server-toolbar .process-dot.restarting { color: var(--yellow); }
+  .server-toolbar .process-dot.unhealthy,
+  .server-toolbar .process-dot.crashed { color: var(--red); }
+  .server-toolbar .server-restart { margin-left: auto; }
+  .journal-toolbar {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 10px;
+    font-size: 12px;
+    color: var(--text-muted);
+  }
+  .journal-toolbar[hidden] { display: none; }
+  .journal-toolbar input[type="date"] {
+    background: var(--bg);
+    color: var(--text);
+    border: 1px solid var(--border);
+    border-radius: var(--radius-sm);
+    padding: 3px 6px;
+    font-size: 12px;
+    color-scheme: dark;
+  }
+  .journal-recent {
+    background: none;
+    border: 1px solid var(--border);
+    border-radius: var(--radius-sm);
+    color: var(--text-dim);
+    padding: 3px 10px;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  .journal-recent:hover { color: var(--text); }
+
+  /* ── Create PR Form ────────────────────────────────────────────── */
+  .pr-form-box { min-width: 520px; max-width: 720px; width: 60vw; }
+  .pr-form { display: flex; flex-direction: column; gap: 12px; }
+  .pr-form label {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 12px;
+    color: var(--text-muted);
+  }
+  .pr-form input[type="text"], .pr-form textarea {
+    background: var(--bg);
+    border: 1px solid var(--border);
+    color: var(--text);
+    font-family: var(--font-mono);
+    font-size: 13px;
+    padding: 6px 10px;
+    border-radius: var(--radius-sm);
+    outline: none;
+  }
+  .pr-form textarea { resize: vertical; min-height: 120px; }
+  .pr-form input[type="text"]:focus, .pr-form textarea:focus { border-color: var(--accent); }
+  .pr-form-row { display: flex; gap: 12px; }
+  .pr-form-row label { flex: 1; }
+  .pr-form label.pr-form-check { flex-direction: row; align-items: center; gap: 6px; color: var(--text-dim); }
+  .pr-form-status { font-size: 12px; color: var(--text-muted); min-height: 16px; }
+  .pr-form-status.error { color: var(--red); }
+
+  /* ── PR Conversation ───────────────────────────────────────────── */
+  .pr-conversation-box { min-width: 520px; max-width: 760px; width: 65vw; }
+  .pr-conversation-summary { font-size: 12px; color: var(--text-muted); margin-bottom: 8px; }
+  .pr-conversation-summary.error { color: var(--red); }
+  .pr-conversation-list { max-height: 55vh; overflow-y: auto; margin-bottom: 12px; }
+  .conv-thread { border: 1px solid var(--border); border-radius: var(--radius-sm); margin-bottom: 8px; }
+  .conv-thread.resolved { opacity: 0.6; }
+  .conv-tags { display: flex; flex-wrap: wrap; gap: 6px; padding: 4px 10px; border-bottom: 1px solid var(--border); font-size: 11px; }
+  .conv-tag { font-family: var(--font-mono); color: var(--text-muted); }
+  .conv-tag.unresolved, .conv-tag.changes-requested { color: var(--yellow); }
+  .conv-tag.approved, .conv-tag.resolved { color: var(--green); }
+  .conv-comment { padding: 6px 10px; }
+  .conv-comment + .conv-comment { border-top: 1px dashed var(--border); }
+  .conv-meta { font-size: 11px; color: var(--text-muted); margin-bottom: 2px; }
+  .conv-meta strong { color: var(--text); }
+  .conv-body { font-size: 13px; white-space: pre-wrap; word-break: break-word; color: var(--text-dim); }
+
+  /* ── Since-Last-Seen Digest ──────────────────────────────────── */
+  .digest-summary { font-size: 13px; color: var(--text-dim); margin-bottom: 12px; }
+  .digest-list { max-height: 60vh; overflow-y: auto; margin-bottom: 16px; }
+  .digest-row {
+    display: flex;
+    align-items: baseline;
+    gap: 10px;
+    padding: 4px 0;
+    font-size: 12px;
+    border-bottom: 1px solid var(--border);
+  }
+  .digest-tag {
+    flex: 0 0 auto;
+    font-size: 10px;
+    font-weight: 700;
+    padding: 1px 6px;
+    border-radius: var(--radius-sm);
+  }
+  .digest-tag.created { color: var(--green); background: rgba(63,185,80,0.15); }
+  .digest-tag.updated { color: var(--yellow); background: rgba(210,153,34,0.15); }
+  .digest-tag.merged { color: var(--magenta); background: rgba(188,140,255,0.15); }
+  .digest-tag.deleted { color: var(--red); background: rgba(248,81,73,0.15); }
+  .digest-name { font-family: var(--font-mono); color: var(--text); white-space: nowrap; }
+  .digest-counts { font-family: var(--font-mono); color: var(--text-muted); white-space: nowrap; }
+  .digest-subject { color: var(--text-muted); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+
+  /* ── Activity Heatmap ────────────────────────────────────────── */
+  .modal-box.heatmap-box { width: 92vw; max-width: 1100px; }
+  .heatmap-scroll { max-height: 65vh; overflow: auto; }
+  .heatmap { border-collapse: separate; border-spacing: 2px; font-size: 11px; }
+  .heatmap th {
+    font-weight: 400;
+    color: var(--text-muted);
+    text-align: left;
+    white-space: nowrap;
+    max-width: 14px;
+  }
+  .heatmap td { padding: 0; }
+  .heatmap .heatmap-name {
+    font-family: var(--font-mono);
+    color: var(--text-dim);
+    max-width: 240px;
+    padding-right: 8px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .heatmap .heatmap-total { font-family: var(--font-mono); color: var(--text-muted); padding-left: 8px; }
+  .heatmap-cell { display: block; width: 14px; height: 14px; border-radius: 2px; background: var(--bg-surface-active); }
+  .heatmap-cell.l1 { background: rgba(88,166,255,0.25); }
+  .heatmap-cell.l2 { background: rgba(88,166,255,0.45); }
+  .heatmap-cell.l3 { background: rgba(88,166,255,0.7); }
+  .heatmap-cell.l4 { background: var(--sparkline); }
+
+  /* ── Diff Viewer ─────────────────────────────────────────────── */
+  .modal-box.diff-box {
+    width: 92vw;
+    max-width: 1400px;
+    height: 85vh;
+    max-height: 85vh;
+    display: flex;
+    flex-direction: column;
+  }
+  .diff-toolbar { flex-wrap: wrap; align-items: center; }
+  .diff-toolbar-gap { width: 16px; }
+  .diff-content { flex: 1; overflow: auto; scrollbar-width: thin; scrollbar-color: var(--border) transparent; }
+  .diff-summary { font-size: 12px; color: var(--text-dim); margin-bottom: 12px; }
+  .diff-note { font-size: 12px; color: var(--text-muted); padding: 8px 12px; }
+  .diff-note.error { color: var(--red); }
+  .diff-file { border: 1px solid var(--border); border-radius: var(--radius-sm); margin-bottom: 12px; overflow: hidden; }
+  .diff-file-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 12px;
+    background: var(--bg-surface-hover);
+    font-family: var(--font-mono);
+    font-size: 12px;
+    cursor: pointer;
+    user-select: none;
+    position: sticky;
+    top: 0;
+  }
+  .diff-file-header:hover { background: var(--bg-surface-active); }
+  .diff-caret { color: var(--text-muted); width: 10px; }
+  .diff-path { flex: 1; color: var(--text); word-break: break-all; }
+  .diff-status { font-size: 10px; text-transform: uppercase; padding: 1px 6px; border-radius: var(--radius-sm); color: var(--text-dim); background: var(--bg); }
+  .diff-status.added { color: var(--green); }
+  .diff-status.deleted { color: var(--red); }
+  .diff-status.renamed { color: var(--magenta); }
+  .diff-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-family: var(--font-mono);
+    font-size: 12px;
+    line-height: 1.5;
+    background: var(--bg);
+  }
+  .diff-table.split { table-layout: fixed; }
+  .diff-table.split .diff-ln { width: 48px; }
+  .diff-ln {
+    width: 1%;
+    min-width: 40px;
+    padding: 0 8px;
+    text-align: right;
+    color: var(--text-muted);
+    vertical-align: top;
+    user-select: none;
+    white-space: nowrap;
+  }
+  .diff-code { padding: 0 8px; white-space: pre-wrap; word-break: break-all; color: var(--text); }
+  .diff-row.add .diff-code, .diff-code.add { background: rgba(63,185,80,0.15); }
+  .diff-row.del .diff-code, .diff-code.del { background: rgba(248,81,73,0.15); }
+  .diff-row.add .diff-ln { background: rgba(63,185,80,0.08); }
+  .diff-row.del .diff-ln { background: rgba(248,81,73,0.08); }
+  .diff-code.empty { background: var(--bg-surface); }
+  .diff-row.meta .diff-code, .diff-code.meta { color: var(--text-muted); font-style: italic; }
+  .diff-row.hunk td { padding: 2px 8px; color: var(--cyan); background: rgba(57,210,192,0.08); }
 
   /* ── Branch Action Modal ─────────────────────────────────────── */
   .action-list {
@@ -753,6 +999,44 @@ function getDashboardCss() {
     padding: 1px 6px;
   }
   .action-item.disabled { opacity: 0.4; cursor: not-allowed; }
+  .branch-checks:empty { display: none; }
+  .branch-checks { margin-top: 12px; padding-top: 10px; border-top: 1px solid var(--border); }
+  .checks-heading { font-size: 11px; font-weight: 600; color: var(--text-muted); text-transform: uppercase; margin-bottom: 6px; }
+  .checks-empty { font-size: 12px; color: var(--text-muted); }
+  .checks-empty.error { color: var(--red); }
+  .check-row { display: flex; align-items: center; gap: 8px; padding: 3px 0; font-size: 12px; }
+  .check-icon { width: 14px; text-align: center; flex-shrink: 0; }
+  .check-icon.pass { color: var(--green); }
+  .check-icon.fail { color: var(--red); }
+  .check-icon.pending { color: var(--yellow); }
+  .check-icon.neutral, .check-icon.skipped { color: var(--text-muted); }
+  .check-name { flex: 1; font-family: var(--font-mono); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .check-name a { color: var(--text); }
+  .check-duration { font-family: var(--font-mono); color: var(--text-muted); white-space: nowrap; }
+  .check-log-btn {
+    font-size: 11px;
+    color: var(--text);
+    background: var(--bg);
+    border: 1px solid var(--border);
+    border-radius: var(--radius-sm);
+    padding: 1px 8px;
+    cursor: pointer;
+  }
+  .check-log-btn:hover { border-color: var(--red); }
+  .check-log {
+    margin: 4px 0 8px 22px;
+    padding: 8px;
+    max-height: 260px;
+    overflow: auto;
+    font-family: var(--font-mono);
+    font-size: 11px;
+    line-height: 1.4;
+    color: var(--text);
+    background: var(--bg);
+    border: 1px solid var(--border);
+    border-radius: var(--radius-sm);
+    white-space: pre;
+  }
 
   /* ── Info Panel ──────────────────────────────────────────────── */
   .info-grid {
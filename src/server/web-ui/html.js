@@ -30,7 +30,10 @@ function getDashboardHtml() {
     <div class="casino-reel-label" id="casino-reel-label"></div>
   </div>
   <div class="header-right">
+    <button class="notif-btn" id="digest-btn" title="Branches changed since you last looked (n)">what's new</button>
+    <button class="notif-btn" id="heatmap-btn" title="Commit activity across branches and authors (a)">activity</button>
     <button class="notif-btn" id="notif-btn" title="Enable desktop notifications">notifications</button>
+    <span class="badge" id="server-badge" title="Dev server status" hidden></span>
     <span class="badge" id="status-badge">connecting</span>
     <span class="connection-dot disconnected" id="connection-dot"></span>
   </div>
@@ -41,7 +44,8 @@ function getDashboardHtml() {
 <div class="layout">
   <div class="branch-panel">
     <div class="search-bar" id="search-bar">
-      <input type="text" class="search-input" id="search-input" placeholder="Filter branches..." autocomplete="off" spellcheck="false">
+      <input type="text" class="search-input" id="search-input" placeholder="Filter branches... (pr:open ci:fail ahead:&gt;0 /regex/)" autocomplete="off" spellcheck="false">
+      <div class="search-note" id="search-note" hidden></div>
     </div>
     <div class="panel-header">
       <span>Active Branches</span>
@@ -71,7 +75,11 @@ function getDashboardHtml() {
     <span><kbd>f</kbd> fetch</span>
     <span><kbd>S</kbd> stash</span>
     <span><kbd>d</kbd> cleanup</span>
+    <span><kbd>P</kbd><kbd>M</kbd> pin/mute</span>
+    <span><kbd>v</kbd> diff</span>
     <span><kbd>h</kbd> history</span>
+    <span><kbd>n</kbd> what's new</span>
+    <span><kbd>a</kbd> activity</span>
     <span><kbd>c</kbd> casino</span>
     <span><kbd>Esc</kbd> close</span>
   </div>
@@ -100,13 +108,20 @@ function getDashboardHtml() {
 <div class="modal-overlay" id="log-viewer-overlay">
   <div class="modal-box" style="min-width:500px;max-width:750px;">
     <div class="modal-title">
-      Server Logs
+      Logs
       <button class="modal-close" id="log-viewer-close">&times;</button>
     </div>
     <div class="log-viewer-tabs" id="log-viewer-tabs">
       <button class="log-viewer-tab active" data-tab="server">Server</button>
       <button class="log-viewer-tab" data-tab="activity">Activity</button>
+      <button class="log-viewer-tab" data-tab="history">History</button>
     </div>
+    <div class="journal-toolbar" id="journal-toolbar" hidden>
+      <label for="journal-day">Day</label>
+      <input type="date" id="journal-day">
+      <button class="journal-recent" id="journal-recent">Most recent</button>
+    </div>
+    <div class="log-viewer-tabs diff-toolbar server-toolbar" id="server-toolbar" hidden></div>
     <div class="log-viewer-content" id="log-viewer-content"></div>
   </div>
 </div>
@@ -119,6 +134,61 @@ function getDashboardHtml() {
       <button class="modal-close" id="branch-action-close">&times;</button>
     </div>
     <div class="action-list" id="branch-action-list"></div>
+    <div class="branch-checks" id="branch-action-checks"></div>
+  </div>
+</div>
+
+<!-- Create PR Modal -->
+<div class="modal-overlay" id="pr-form-overlay">
+  <div class="modal-box pr-form-box">
+    <div class="modal-title">
+      <span id="pr-form-heading">Create PR</span>
+      <button class="modal-close" id="pr-form-close">&times;</button>
+    </div>
+    <form class="pr-form" id="pr-form" autocomplete="off">
+      <label>Title<input type="text" id="pr-form-title" spellcheck="true"></label>
+      <label>Description<textarea id="pr-form-body" rows="10" maxlength="8000"></textarea></label>
+      <div class="pr-form-row">
+        <label>Base branch<input type="text" id="pr-form-base" spellcheck="false"></label>
+        <label>Reviewers<input type="text" id="pr-form-reviewers" placeholder="comma-separated usernames" spellcheck="false"></label>
+      </div>
+      <label class="pr-form-check"><input type="checkbox" id="pr-form-draft"> Open as draft</label>
+      <div class="pr-form-status" id="pr-form-status"></div>
+      <div class="confirm-actions">
+        <button type="button" class="confirm-btn" id="pr-form-cancel">Cancel</button>
+        <button type="submit" class="confirm-btn primary" id="pr-form-submit">Create PR</button>
+      </div>
+    </form>
+  </div>
+</div>
+
+<!-- PR Conversation Modal -->
+<div class="modal-overlay" id="pr-conversation-overlay">
+  <div class="modal-box pr-conversation-box">
+    <div class="modal-title">
+      <span id="pr-conversation-title">Conversation</span>
+      <button class="modal-close" id="pr-conversation-close">&times;</button>
+    </div>
+    <div class="pr-conversation-summary" id="pr-conversation-summary"></div>
+    <div class="pr-conversation-list" id="pr-conversation-list"></div>
+    <form class="pr-form" id="pr-conversation-form" autocomplete="off">
+      <label>Add a comment<textarea id="pr-conversation-reply" rows="4" maxlength="8000" placeholder="Markdown is supported"></textarea></label>
+      <div class="confirm-actions">
+        <button type="submit" class="confirm-btn primary" id="pr-conversation-submit">Comment</button>
+      </div>
+    </form>
+  </div>
+</div>
+
+<!-- Diff Viewer Modal -->
+<div class="modal-overlay" id="diff-overlay">
+  <div class="modal-box diff-box">
+    <div class="modal-title">
+      <span id="diff-title">Diff</span>
+      <button class="modal-close" id="diff-close">&times;</button>
+    </div>
+    <div class="log-viewer-tabs diff-toolbar" id="diff-toolbar"></div>
+    <div class="diff-content" id="diff-content"></div>
   </div>
 </div>
 
@@ -133,6 +203,29 @@ function getDashboardHtml() {
   </div>
 </div>
 
+<!-- Since-Last-Seen Digest Modal -->
+<div class="modal-overlay" id="digest-overlay">
+  <div class="modal-box" style="min-width:500px;max-width:750px;">
+    <div class="modal-title">
+      Since You Last Looked
+      <button class="modal-close" id="digest-close">&times;</button>
+    </div>
+    <div id="digest-content"></div>
+  </div>
+</div>
+
+<!-- Activity Heatmap Modal -->
+<div class="modal-overlay" id="heatmap-overlay">
+  <div class="modal-box heatmap-box">
+    <div class="modal-title">
+      Activity
+      <button class="modal-close" id="heatmap-close">&times;</button>
+    </div>
+    <div class="log-viewer-tabs diff-toolbar" id="heatmap-toolbar"></div>
+    <div id="heatmap-content"></div>
+  </div>
+</div>
+
 <!-- Branch Cleanup Modal -->
 <div class="modal-overlay" id="cleanup-overlay">
   <div class="modal-box">
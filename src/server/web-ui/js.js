@@ -47,17 +47,52 @@ function getDashboardJs() {
     searchQuery: '',
     confirmMode: false,
     confirmCallback: null,
+    confirmCancel: null,
+    confirmOwner: null,
+    installPromptId: null,
     connected: false,
     flashTimer: null,
     activeTabId: null,
     logViewerMode: false,
     logViewerTab: 'server',
+    logServer: '', // server tab narrowed to one process ('' = all)
+    journalDay: '',
+    journalData: null,
+    journalError: null,
+    journalRequestId: 0,
+    journalScrollPending: false,
     branchActionMode: false,
     infoMode: false,
     cleanupMode: false,
     updateMode: false,
     stashMode: false,
     pendingStashBranch: null,
+    diffMode: false,
+    diffBranch: null,
+    diffAgainst: 'current',
+    diffData: null,
+    diffError: null,
+    diffCollapsed: {},
+    diffRequestId: 0,
+    digestMode: false,
+    digestData: null,
+    digestError: null,
+    digestRequestId: 0,
+    heatmapWindow: null,
+    heatmapBy: 'branch',
+    heatmapData: null,
+    heatmapError: null,
+    heatmapRequestId: 0,
+    checksData: null,
+    checksError: null,
+    checksRequestId: 0,
+    checkLogs: {},
+    prFormBranch: null,
+    prDraftRequestId: 0,
+    conversationBranch: null,
+    conversationData: null,
+    conversationError: null,
+    conversationRequestId: 0,
     updateNotificationShown: false,
     remoteTabPollTimer: null,
   };
@@ -107,7 +142,10 @@ function getDashboardJs() {
   const prefs = loadPrefs();
   let sidebarCollapsed = prefs.sidebarCollapsed || false;
   let sortOrder = prefs.sortOrder || 'default';
-  let pinnedBranches = prefs.pinnedBranches || [];
+  let diffLayout = prefs.diffLayout === 'split' ? 'split' : 'unified';
+  // Pins used to live in localStorage; they're now saved to the repo config
+  // by the server. Anything left here is handed over once (see migrateLocalPins).
+  let legacyPinnedBranches = prefs.pinnedBranches || [];
 
   // Apply initial sidebar state
   {
@@ -164,6 +202,7 @@ function getDashboardJs() {
     }
     for (const nb of newBranches) {
       const ob = oldMap[nb.name];
+      if (nb.isMuted) continue;
       if (!ob && nb.isNew) {
         sendNotification('New Branch', nb.name + ' was created', 'new-' + nb.name);
       } else if (ob && !ob.justUpdated && nb.justUpdated) {
@@ -180,6 +219,20 @@ function getDashboardJs() {
     }
   }
 
+  // Hand browser-local pins over to the server the first time we see the
+  // branches they refer to, then forget them.
+  function migrateLocalPins() {
+    if (legacyPinnedBranches.length === 0 || !state || !state.branches) return;
+    const remaining = [];
+    for (const name of legacyPinnedBranches) {
+      const branch = state.branches.find((b) => b.name === name);
+      if (!branch) remaining.push(name);
+      else if (!branch.isPinned) sendAction('togglePin', { branch: name });
+    }
+    legacyPinnedBranches = remaining;
+    savePrefs({ pinnedBranches: remaining });
+  }
+
   // ── Clipboard Helper ──────────────────────────────────────────
   function copyToClipboard(text, btnEl) {
     navigator.clipboard.writeText(text).then(() => {
@@ -203,10 +256,15 @@ function getDashboardJs() {
   // pure.js — branch on platform. The previous getBranchUrl/getCommitUrl/
   // getPrUrl hardcoded GitHub paths and produced broken links for
   // Bitbucket (/src/), Azure DevOps (?version=GB), AWS CodeCommit
-  // (/browse/refs/heads/), self-hosted GitLab, etc.
+  // (/browse/refs/heads/), self-hosted GitLab, etc. state.repoPlatform
+  // carries a hosting.hosts override for hosts that don't name their
+  // platform.
   function getRepoUrl() {
     return (state && state.repoWebUrl) ? state.repoWebUrl : null;
   }
+  function getRepoPlatform() {
+    return (state && state.repoPlatform) || null;
+  }
   function getRepoHost() {
     var base = getRepoUrl();
     if (!base) return null;
@@ -215,17 +273,17 @@ function getDashboardJs() {
   function getBranchUrl(branchName) {
     var base = getRepoUrl();
     if (!base) return null;
-    return buildBranchUrl(base, getRepoHost(), branchName);
+    return buildBranchUrl(base, getRepoHost(), branchName, getRepoPlatform());
   }
   function getCommitUrl(hash) {
     var base = getRepoUrl();
     if (!base) return null;
-    return buildCommitUrl(base, getRepoHost(), hash);
+    return buildCommitUrl(base, getRepoHost(), hash, getRepoPlatform());
   }
   function getPrUrl(prNumber) {
     var base = getRepoUrl();
     if (!base) return null;
-    return buildPrUrl(base, getRepoHost(), prNumber);
+    return buildPrUrl(base, getRepoHost(), prNumber, getRepoPlatform());
   }
 
   // ── SSE Connection ─────────────────────────────────────────────
@@ -261,6 +319,7 @@ function getDashboardJs() {
           // the transition BEFORE the new state replaces the old.
           const prevBranchesForCasino = state ? state.branches : null;
           state = newState;
+          migrateLocalPins();
           onStateTransition(newState, prevBranchesForCasino);
           ui.prevPollingStatus = newState.pollingStatus;
         } else {
@@ -295,6 +354,10 @@ function getDashboardJs() {
         } else {
           showToast(data.message, data.success ? 'success' : 'error');
         }
+        if (data.action === 'commentPr' && data.success && ui.conversationBranch) {
+          document.getElementById('pr-conversation-reply').value = '';
+          loadConversation();
+        }
       } catch (err) { /* malformed actionResult payload — skip (the action already ran server-side) */ }
     });
 
@@ -397,20 +460,32 @@ function getDashboardJs() {
   const stashModal       = new Modal('stash-overlay', 'stash-close');
   const cleanupModal     = new Modal('cleanup-overlay', 'cleanup-close');
   const updateModal      = new Modal('update-overlay', 'update-close');
+  const diffModal        = new Modal('diff-overlay', 'diff-close');
+  const digestModal      = new Modal('digest-overlay', 'digest-close');
+  const heatmapModal     = new Modal('heatmap-overlay', 'heatmap-close');
+  const prFormModal      = new Modal('pr-form-overlay', 'pr-form-close');
+  const conversationModal = new Modal('pr-conversation-overlay', 'pr-conversation-close');
 
   // Per-modal hide callbacks for state cleanup
   logViewerModal.onHide = () => { ui.logViewerMode = false; };
-  branchActionModal.onHide = () => { ui.branchActionMode = false; };
+  branchActionModal.onHide = () => { ui.branchActionMode = false; ui.checksRequestId++; };
   infoModal.onHide = () => { ui.infoMode = false; };
   stashModal.onHide = () => { ui.stashMode = false; ui.pendingStashBranch = null; };
   cleanupModal.onHide = () => { ui.cleanupMode = false; };
   updateModal.onHide = () => { ui.updateMode = false; };
+  diffModal.onHide = () => { ui.diffMode = false; ui.diffData = null; ui.diffRequestId++; };
+  digestModal.onHide = () => { ui.digestMode = false; ui.digestData = null; ui.digestRequestId++; };
+  heatmapModal.onHide = () => { ui.heatmapData = null; ui.heatmapRequestId++; };
+  prFormModal.onHide = () => { ui.prFormBranch = null; ui.prDraftRequestId++; };
+  conversationModal.onHide = () => { ui.conversationBranch = null; ui.conversationData = null; ui.conversationRequestId++; };
 
   // ── Confirm Dialog ─────────────────────────────────────────────
   function showConfirm(title, message, onConfirm, opts) {
     opts = opts || {};
     ui.confirmMode = true;
     ui.confirmCallback = onConfirm;
+    ui.confirmCancel = opts.onCancel || null;
+    ui.confirmOwner = opts.owner || null;
     const box = document.getElementById('confirm-box');
     box.innerHTML =
       '<div class="confirm-title">' + escHtml(title) + '</div>' +
@@ -422,16 +497,25 @@ function getDashboardJs() {
         '</button>' +
       '</div>';
     document.getElementById('confirm-overlay').className = 'confirm-overlay active';
-    document.getElementById('confirm-cancel').onclick = hideConfirm;
+    document.getElementById('confirm-cancel').onclick = cancelConfirm;
     document.getElementById('confirm-ok').onclick = () => {
+      const cb = ui.confirmCallback;
       hideConfirm();
-      if (ui.confirmCallback) ui.confirmCallback();
+      if (cb) cb();
     };
   }
 
+  function cancelConfirm() {
+    const cb = ui.confirmCancel;
+    hideConfirm();
+    if (cb) cb();
+  }
+
   function hideConfirm() {
     ui.confirmMode = false;
     ui.confirmCallback = null;
+    ui.confirmCancel = null;
+    ui.confirmOwner = null;
     document.getElementById('confirm-overlay').className = 'confirm-overlay';
   }
 
@@ -477,6 +561,7 @@ function getDashboardJs() {
           state.isOffline = pState.isOffline || false;
           state.serverMode = pState.serverMode || 'none';
           state.repoWebUrl = pState.repoWebUrl || null;
+          state.repoPlatform = pState.repoPlatform || null;
           render();
         } catch (err) { /* malformed per-project state response — keep current view until the next poll */ }
       }
@@ -490,6 +575,9 @@ function getDashboardJs() {
     ui.selectedIndex = 0;
     ui.searchQuery = '';
     ui.searchMode = false;
+    ui.journalData = null; // belongs to the previous project
+    ui.logServer = '';
+    if (ui.logViewerMode && ui.logViewerTab === 'history') loadJournal();
     document.getElementById('search-bar').className = 'search-bar';
     document.getElementById('search-input').value = '';
     renderTabs();
@@ -515,8 +603,10 @@ ${pureFnBlock}
     if (!state || !state.branches) return [];
     return _pureGetDisplayBranches(state.branches, {
       searchQuery: ui.searchQuery,
-      pinnedBranches: pinnedBranches,
+      pinnedBranches: state.branches.filter((b) => b.isPinned).map((b) => b.name),
       sortOrder: sortOrder,
+      prStatuses: state.branchPrStatusMap,
+      aheadBehind: state.aheadBehindCache,
     });
   };
 
@@ -728,6 +818,16 @@ ${pureFnBlock}
       }
     }
 
+    // Dev server status (command mode)
+    const serverBadge = document.getElementById('server-badge');
+    const serverStatus = state.serverMode === 'command' ? state.serverStatus : null;
+    serverBadge.hidden = !serverStatus;
+    if (serverStatus) {
+      serverBadge.className = 'badge badge-server-' + serverStatus;
+      serverBadge.textContent = 'server ' + serverStatus;
+    }
+    renderInstallPrompt();
+
     renderBranches();
     renderActivityLog();
     renderDashboardStats();
@@ -749,6 +849,11 @@ ${pureFnBlock}
     const countEl = document.getElementById('branch-count');
     countEl.textContent = branches.length;
 
+    const noteEl = document.getElementById('search-note');
+    const note = ui.searchQuery ? queryNote(parseBranchQuery(ui.searchQuery), getRepoPlatform()) : null;
+    noteEl.textContent = note || '';
+    noteEl.hidden = !note;
+
     if (ui.selectedIndex >= branches.length) {
       ui.selectedIndex = Math.max(0, branches.length - 1);
     }
@@ -761,6 +866,9 @@ ${pureFnBlock}
       return;
     }
 
+    // Characters of each name that matched the search get highlighted
+    const nameQuery = ui.searchQuery ? parseBranchQuery(ui.searchQuery) : null;
+
     let html = '';
     for (let i = 0; i < branches.length; i++) {
       const b = branches[i];
@@ -791,12 +899,13 @@ ${pureFnBlock}
       html += '<div class="branch-name-row">';
       // Branch name - clickable link to GitHub/GitLab
       const branchUrl = getBranchUrl(b.name);
-      const isPinned = pinnedBranches.indexOf(b.name) !== -1;
+      const isPinned = !!b.isPinned;
+      const nameHtml = highlightMatches(b.name, nameQuery ? matchQueryName(b.name, nameQuery) : null);
       html += '<span class="branch-name">';
       if (branchUrl) {
-        html += '<a href="' + escHtml(branchUrl) + '" target="_blank" rel="noopener" title="Open on web" onclick="event.stopPropagation()">' + escHtml(b.name) + '</a>';
+        html += '<a href="' + escHtml(branchUrl) + '" target="_blank" rel="noopener" title="Open on web" onclick="event.stopPropagation()">' + nameHtml + '</a>';
       } else {
-        html += escHtml(b.name);
+        html += nameHtml;
       }
       html += '</span>';
       // Copy branch name button
@@ -817,6 +926,21 @@ ${pureFnBlock}
       if (b.commit) {
         html += '<button class="copy-btn" data-copy="' + escHtml(b.commit) + '" title="Copy commit hash" onclick="event.stopPropagation()">&#x1f4cb;</button>';
       }
+      // Remotes the branch lives on (only meaningful with several monitored)
+      if (state.monitoredRemotes && state.monitoredRemotes.length > 1 && b.remotes && b.remotes.length) {
+        html += '<span class="branch-remotes">[';
+        html += b.remotes.map((r) => {
+          const rab = (b.remoteAheadBehind && b.remoteAheadBehind[r]) || {};
+          let part = escHtml(r);
+          if (rab.ahead) part += '<span class="remote-ahead">&#x2191;' + fmtCompact(rab.ahead) + '</span>';
+          if (rab.behind) part += '<span class="remote-behind">&#x2193;' + fmtCompact(rab.behind) + '</span>';
+          return part;
+        }).join(' ');
+        html += ']</span>';
+      }
+      if (b.author && !b.agent) {
+        html += '<span class="branch-author" title="' + escHtml(b.authorEmail || '') + '">' + escHtml(b.author) + '</span>';
+      }
       html += '<span class="branch-subject">' + escHtml(b.subject || '') + '</span>';
       html += '</div>'; // branch-meta
       html += '</div>'; // branch-info
@@ -826,6 +950,10 @@ ${pureFnBlock}
       let badges = '';
       if (isCurrent) badges += '<span class="branch-current-badge">HEAD</span>';
       if (isPinned) badges += '<span class="branch-new-badge" style="color:var(--orange);background:rgba(219,109,40,0.15)">pinned</span>';
+      if (b.agent) {
+        badges += '<span class="branch-agent-badge" title="' + escHtml(b.author ? 'Last commit by ' + b.author : 'Coding agent') + '">' + escHtml(b.agent) + '</span>';
+      }
+      if (b.isMuted) badges += '<span class="branch-new-badge" style="color:var(--text-dim);background:rgba(139,148,158,0.15)" title="No notifications for this branch">muted</span>';
       if (b.isNew) badges += '<span class="branch-new-badge">new</span>';
       if (b.isDeleted) badges += '<span class="branch-deleted-badge">deleted</span>';
       if (b.justUpdated) badges += '<span class="branch-updated-badge">updated</span>';
@@ -838,6 +966,10 @@ ${pureFnBlock}
         if (prUrl) badges += '</a>';
         badges += '</span>';
         if (prUrl) badges += '<button class="copy-btn" data-copy="' + escHtml(prUrl) + '" title="Copy PR URL" onclick="event.stopPropagation()">&#x1f4cb;</button>';
+        if (prStatus.unresolved > 0) {
+          badges += '<button class="pr-badge pr-unresolved" data-conversation="' + escHtml(b.name) + '" title="Unresolved review threads">' +
+            prStatus.unresolved + ' unresolved</button>';
+        }
       }
       html += '<div class="branch-time-row">';
       html += '<span class="branch-time">' + timeAgo(b.date) + '</span>';
@@ -907,14 +1039,23 @@ ${pureFnBlock}
     if (!state) return;
     const container = document.getElementById('log-viewer-content');
     // Update tab active state
-    const tabs = document.querySelectorAll('.log-viewer-tab');
+    const tabs = document.querySelectorAll('#log-viewer-tabs .log-viewer-tab');
     for (let t = 0; t < tabs.length; t++) {
       tabs[t].className = 'log-viewer-tab' + (tabs[t].getAttribute('data-tab') === ui.logViewerTab ? ' active' : '');
     }
+    document.getElementById('journal-toolbar').hidden = ui.logViewerTab !== 'history';
+    renderServerToolbar();
+
+    if (ui.logViewerTab === 'history') {
+      renderJournal(container);
+      return;
+    }
 
     let html = '';
     if (ui.logViewerTab === 'server') {
-      const logs = state.serverLogBuffer || [];
+      const shown = shownServerProcess();
+      const logs = (state.serverLogBuffer || []).filter((log) => !shown || log.process === shown);
+      const showProcess = !shown && serverProcesses().length > 1;
       if (logs.length === 0) {
         html = '<div style="color:var(--text-muted);padding:20px;text-align:center;">No server logs</div>';
       } else {
@@ -922,6 +1063,7 @@ ${pureFnBlock}
           const log = logs[i];
           html += '<div class="log-line' + (log.isError ? ' error' : '') + '">';
           html += '<span class="log-ts">' + escHtml(log.timestamp || '') + '</span>';
+          if (showProcess && log.process) html += '<span class="log-process">' + escHtml(log.process) + '</span>';
           html += escHtml(log.line || '');
           html += '</div>';
         }
@@ -945,10 +1087,168 @@ ${pureFnBlock}
     container.scrollTop = container.scrollHeight;
   }
 
+  // Command-mode processes; the toolbar only appears with more than one
+  function serverProcesses() {
+    return (state && state.serverMode === 'command' && state.serverProcesses) || [];
+  }
+
+  // Process the server tab is narrowed to, or '' once it's gone from the config
+  function shownServerProcess() {
+    const name = ui.logServer;
+    return serverProcesses().some((p) => p.name === name) ? name : '';
+  }
+
+  // Offered when a switch or pull changed a lockfile (autoInstall "ask");
+  // the terminal shows the same prompt, and whichever answers first wins
+  function renderInstallPrompt() {
+    const pending = state.pendingInstall;
+    if (!pending || pending.id !== ui.installPromptId) {
+      if (ui.confirmOwner === 'install') hideConfirm();
+      if (!pending) ui.installPromptId = null;
+    }
+    if (!pending || pending.id === ui.installPromptId || ui.confirmMode) return;
+    ui.installPromptId = pending.id;
+    const lockfiles = [];
+    const commands = [];
+    for (const install of pending.installs) {
+      lockfiles.push.apply(lockfiles, install.lockfiles);
+      commands.push(install.dir ? install.command + ' (in ' + install.dir + ')' : install.command);
+    }
+    const answer = (install) => () => sendAction('installDependencies', { id: pending.id, install: install });
+    showConfirm(
+      'Dependencies Changed',
+      lockfiles.join(', ') + ' changed with this ' + pending.trigger + '. Run ' + commands.join(', ') + '?',
+      answer(true),
+      { label: 'Install', onCancel: answer(false), owner: 'install' }
+    );
+  }
+
+  function renderServerToolbar() {
+    const toolbar = document.getElementById('server-toolbar');
+    const processes = serverProcesses();
+    toolbar.hidden = ui.logViewerTab !== 'server' || processes.length < 2;
+    if (toolbar.hidden) return;
+    const shown = shownServerProcess();
+    let html = diffToggleHtml('data-log-server', '', shown, 'All');
+    for (let i = 0; i < processes.length; i++) {
+      const proc = processes[i];
+      const status = proc.status || (proc.running ? 'running' : proc.crashed ? 'crashed' : 'stopped');
+      html += diffToggleHtml('data-log-server', escHtml(proc.name), shown,
+        escHtml(proc.name) + '<span class="process-dot ' + status + '" title="' + status + '">\u25CF</span>');
+    }
+    html += '<button class="log-viewer-tab server-restart" data-server-restart="' + escHtml(shown) + '">' +
+      (shown ? 'Restart ' + escHtml(shown) : 'Restart all') + '</button>';
+    toolbar.innerHTML = html;
+  }
+
+  document.getElementById('server-toolbar').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.hasAttribute('data-server-restart')) {
+      confirmServerRestart(btn.getAttribute('data-server-restart'));
+    } else if (btn.hasAttribute('data-log-server')) {
+      ui.logServer = btn.getAttribute('data-log-server');
+      renderLogViewer();
+    }
+  });
+
+  // name: one process, or '' for all of them
+  function confirmServerRestart(name) {
+    const several = serverProcesses().length > 1;
+    const message = name ? 'Restart the "' + name + '" process?'
+      : several ? 'Restart all dev server processes?' : 'Restart the dev server process?';
+    showConfirm('Restart Server', message, () => {
+      sendAction('restartServer', name ? { process: name } : {});
+      showToast(name ? 'Restarting ' + name + '...' : 'Restarting server...', 'info');
+    }, { label: 'Restart' });
+  }
+
+  const LOG_VIEWER_TABS = ['server', 'activity', 'history'];
+
+  function setLogViewerTab(tab) {
+    ui.logViewerTab = tab;
+    if (tab === 'history' && !ui.journalData) loadJournal();
+    renderLogViewer();
+  }
+
   document.getElementById('log-viewer-tabs').addEventListener('click', (e) => {
     const tab = e.target.closest('.log-viewer-tab');
     if (!tab) return;
-    ui.logViewerTab = tab.getAttribute('data-tab');
+    setLogViewerTab(tab.getAttribute('data-tab'));
+  });
+
+  // ── Activity History (persisted journal) ───────────────────────
+  // Read on demand from /api/journal: it can hold days of entries, far more
+  // than is worth pushing with every state update.
+  function loadJournal() {
+    const requestId = ++ui.journalRequestId;
+    ui.journalData = null;
+    ui.journalError = null;
+
+    let url = '/api/journal?limit=1000';
+    const range = journalDayRange(ui.journalDay);
+    if (range) url += '&since=' + range.since + '&until=' + range.until;
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.journalRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.journalData = body.entries || [];
+      else ui.journalError = (body && body.error) || ('Request failed (' + xhr.status + ')');
+      ui.journalScrollPending = true;
+      if (ui.logViewerMode) renderLogViewer();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.journalRequestId) return;
+      ui.journalError = 'Could not reach the dashboard server';
+      if (ui.logViewerMode) renderLogViewer();
+    };
+    xhr.send();
+  }
+
+  function renderJournal(container) {
+    let html = '';
+    if (ui.journalError) {
+      html = '<div style="color:var(--red);padding:20px;text-align:center;">' + escHtml(ui.journalError) + '</div>';
+    } else if (!ui.journalData) {
+      html = '<div style="color:var(--text-muted);padding:20px;text-align:center;">Loading history...</div>';
+    } else if (ui.journalData.length === 0) {
+      html = '<div style="color:var(--text-muted);padding:20px;text-align:center;">' +
+        (ui.journalDay ? 'Nothing recorded on ' + escHtml(ui.journalDay) : 'No history recorded yet') + '</div>';
+    } else {
+      // The API answers newest first; show it like a log, newest at the bottom
+      for (let i = ui.journalData.length - 1; i >= 0; i--) {
+        const entry = ui.journalData[i];
+        const d = new Date(entry.time);
+        const ts = ui.journalDay ? d.toLocaleTimeString() : d.toLocaleDateString() + ' ' + d.toLocaleTimeString();
+        const cls = entry.kind === 'switch' ? ' journal-switch' : (entry.type === 'error' ? ' error' : '');
+        html += '<div class="log-line' + cls + '">';
+        html += '<span class="log-ts">' + escHtml(ts) + '</span>';
+        html += escHtml(journalEntryText(entry));
+        html += '</div>';
+      }
+    }
+    container.innerHTML = html;
+    // State pushes re-render this tab too; only jump to the newest entry
+    // after a load so reading older entries isn't interrupted.
+    if (ui.journalScrollPending) {
+      ui.journalScrollPending = false;
+      container.scrollTop = container.scrollHeight;
+    }
+  }
+
+  document.getElementById('journal-day').addEventListener('change', (e) => {
+    ui.journalDay = e.target.value || '';
+    loadJournal();
+    renderLogViewer();
+  });
+
+  document.getElementById('journal-recent').addEventListener('click', () => {
+    ui.journalDay = '';
+    document.getElementById('journal-day').value = '';
+    loadJournal();
     renderLogViewer();
   });
 
@@ -982,6 +1282,16 @@ ${pureFnBlock}
       actions.push({ icon: '\\u{1f517}', label: 'View PR #' + prStatus.number, key: 'openPrUrl', data: { url: prStatus.url } });
     }
 
+    // Opened with gh/glab, so only on GitHub and GitLab
+    const platform = getRepoPlatform();
+    if (prStatus && (!platform || platform === 'github' || platform === 'gitlab')) {
+      const unresolved = prStatus.unresolved > 0 ? ' (' + prStatus.unresolved + ' unresolved)' : '';
+      actions.push({ icon: '\\u{1f4ac}', label: 'View conversation' + unresolved, key: 'viewConversation', data: { branch: branch.name } });
+    }
+    if (!prStatus && !branch.isDeleted && (!platform || platform === 'github' || platform === 'gitlab')) {
+      actions.push({ icon: '\\u{2795}', label: 'Create ' + (platform === 'gitlab' ? 'MR' : 'PR') + '...', key: 'createPr', data: { branch: branch.name } });
+    }
+
     // Copy actions
     actions.push({ icon: '\\u{1f4cb}', label: 'Copy branch name', key: 'copy', data: { text: branch.name } });
     if (branch.commit) {
@@ -991,9 +1301,14 @@ ${pureFnBlock}
       actions.push({ icon: '\\u{1f4cb}', label: 'Copy PR URL', key: 'copy', data: { text: prUrl } });
     }
 
-    // Pin/Unpin
-    const isPinnedBranch = pinnedBranches.indexOf(branch.name) !== -1;
-    actions.push({ icon: isPinnedBranch ? '\\u{1f4cc}' : '\\u{1f4cc}', label: isPinnedBranch ? 'Unpin branch' : 'Pin branch to top', key: 'pin', data: { branch: branch.name } });
+    // Diff against the current (or default) branch
+    if (!branch.isDeleted) {
+      actions.push({ icon: '\\u{1f50d}', label: 'View diff', key: 'viewDiff', data: { branch: branch.name } });
+    }
+
+    // Pin/Unpin, Mute/Unmute (saved to the repo config)
+    actions.push({ icon: '\\u{1f4cc}', label: branch.isPinned ? 'Unpin branch' : 'Pin branch to top', key: 'togglePin', data: { branch: branch.name } });
+    actions.push({ icon: branch.isMuted ? '\\u{1f514}' : '\\u{1f515}', label: branch.isMuted ? 'Unmute notifications' : 'Mute notifications', key: 'toggleMute', data: { branch: branch.name } });
 
     // Switch to branch
     if (!isCurrent) {
@@ -1017,10 +1332,123 @@ ${pureFnBlock}
       html += '</button>';
     }
     document.getElementById('branch-action-list').innerHTML = html;
+    loadChecks(branch.name);
   }
 
   function hideBranchActions() { branchActionModal.hide(); }
 
+  // ── CI Checks ──────────────────────────────────────────────────
+  // Listed under the branch actions, fetched from /api/checks when the
+  // modal opens. Failed jobs can show the tail of their log inline.
+  const CHECK_ICONS = { pass: '\\u2713', fail: '\\u2717', pending: '\\u25cf', neutral: '\\u25cb', skipped: '-' };
+  const CHECK_ORDER = { fail: 0, pending: 1, pass: 2, neutral: 3, skipped: 4 };
+
+  function loadChecks(branchName) {
+    const requestId = ++ui.checksRequestId;
+    ui.checksData = null;
+    ui.checksError = null;
+    ui.checkLogs = {};
+    renderChecks();
+
+    let url = '/api/checks?branch=' + encodeURIComponent(branchName);
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.checksRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.checksData = body;
+      else ui.checksError = (body && body.error) || ('Request failed (' + xhr.status + ')');
+      renderChecks();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.checksRequestId) return;
+      ui.checksError = 'Could not reach the dashboard server';
+      renderChecks();
+    };
+    xhr.send();
+  }
+
+  function loadCheckLog(jobId) {
+    const requestId = ui.checksRequestId;
+    ui.checkLogs[jobId] = { lines: null, error: null };
+    renderChecks();
+
+    let url = '/api/checks/log?job=' + encodeURIComponent(jobId);
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.checksRequestId || !ui.checkLogs[jobId]) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.checkLogs[jobId] = { lines: body.lines || [], error: null };
+      else ui.checkLogs[jobId] = { lines: [], error: (body && body.error) || ('Request failed (' + xhr.status + ')') };
+      renderChecks();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.checksRequestId || !ui.checkLogs[jobId]) return;
+      ui.checkLogs[jobId] = { lines: [], error: 'Could not reach the dashboard server' };
+      renderChecks();
+    };
+    xhr.send();
+  }
+
+  function renderChecks() {
+    const el = document.getElementById('branch-action-checks');
+    let html = '<div class="checks-heading">CI checks</div>';
+    const data = ui.checksData;
+    if (ui.checksError) {
+      html += '<div class="checks-empty error">' + escHtml(ui.checksError) + '</div>';
+    } else if (!data) {
+      html += '<div class="checks-empty">Loading checks...</div>';
+    } else if (!data.checks || data.checks.length === 0) {
+      html += '<div class="checks-empty">' + escHtml(data.reason || 'No checks reported') + '</div>';
+    } else {
+      const checks = data.checks.slice().sort((a, b) => CHECK_ORDER[a.status] - CHECK_ORDER[b.status]);
+      for (let i = 0; i < checks.length; i++) {
+        const check = checks[i];
+        html += '<div class="check-row">';
+        html += '<span class="check-icon ' + escHtml(check.status) + '">' + (CHECK_ICONS[check.status] || '?') + '</span>';
+        html += '<span class="check-name">';
+        if (check.url && /^https?:\\/\\//.test(check.url)) {
+          html += '<a href="' + escHtml(check.url) + '" target="_blank" rel="noopener">' + escHtml(check.name) + '</a>';
+        } else {
+          html += escHtml(check.name);
+        }
+        html += '</span>';
+        const duration = check.durationMs !== null ? formatElapsed(check.durationMs) : check.status === 'pending' ? 'running' : '';
+        if (duration) html += '<span class="check-duration">' + escHtml(duration) + '</span>';
+        const log = check.id ? ui.checkLogs[check.id] : null;
+        if (check.status === 'fail' && check.id) {
+          html += '<button class="check-log-btn" data-job="' + escHtml(check.id) + '">' + (log ? 'Hide log' : 'Show log') + '</button>';
+        }
+        html += '</div>';
+        if (log) {
+          if (!log.lines) html += '<div class="checks-empty check-log">Fetching log...</div>';
+          else if (log.error) html += '<div class="checks-empty error check-log">' + escHtml(log.error) + '</div>';
+          else html += '<pre class="check-log">' + escHtml(log.lines.length ? log.lines.join('\\n') : 'The log is empty') + '</pre>';
+        }
+      }
+    }
+    el.innerHTML = html;
+    const logs = el.querySelectorAll('pre.check-log');
+    for (let i = 0; i < logs.length; i++) logs[i].scrollTop = logs[i].scrollHeight;
+  }
+
+  document.getElementById('branch-action-checks').addEventListener('click', (e) => {
+    const btn = e.target.closest('.check-log-btn');
+    if (!btn) return;
+    const jobId = btn.getAttribute('data-job');
+    if (ui.checkLogs[jobId]) {
+      delete ui.checkLogs[jobId];
+      renderChecks();
+    } else {
+      loadCheckLog(jobId);
+    }
+  });
+
   document.getElementById('branch-action-list').addEventListener('click', (e) => {
     const btn = e.target.closest('.action-item');
     if (!btn) return;
@@ -1036,17 +1464,15 @@ ${pureFnBlock}
       showToast('Opening in browser...', 'info');
     } else if (key === 'copy') {
       copyToClipboard(data.text, null);
-    } else if (key === 'pin') {
-      const pIdx = pinnedBranches.indexOf(data.branch);
-      if (pIdx === -1) {
-        pinnedBranches.push(data.branch);
-        showToast('Pinned: ' + data.branch, 'success');
-      } else {
-        pinnedBranches.splice(pIdx, 1);
-        showToast('Unpinned: ' + data.branch, 'info');
-      }
-      savePrefs({ pinnedBranches: pinnedBranches });
-      renderBranches();
+    } else if (key === 'viewDiff') {
+      showDiff(data.branch);
+    } else if (key === 'createPr') {
+      showPrForm(data.branch);
+    } else if (key === 'viewConversation') {
+      showConversation(data.branch);
+    } else if (key === 'togglePin' || key === 'toggleMute') {
+      // The server replies with an actionResult toast
+      sendAction(key, data);
     } else if (key === 'openBranchWeb' || key === 'openPrUrl') {
       // Fallback: handled by the server sending back a URL
       sendAction('openBrowser', data);
@@ -1060,6 +1486,342 @@ ${pureFnBlock}
     }
   });
 
+  // ── Create PR Form ─────────────────────────────────────────────
+  // Pre-filled from /api/pr-draft (the branch's commits) and submitted as
+  // the createPr action, whose outcome comes back as a toast.
+  const PR_FORM_INPUTS = ['pr-form-title', 'pr-form-body', 'pr-form-base', 'pr-form-reviewers'];
+
+  function setPrFormStatus(text, isError) {
+    const el = document.getElementById('pr-form-status');
+    el.textContent = text;
+    el.className = 'pr-form-status' + (isError ? ' error' : '');
+  }
+
+  function showPrForm(branchName) {
+    const requestId = ++ui.prDraftRequestId;
+    const label = getRepoPlatform() === 'gitlab' ? 'MR' : 'PR';
+    ui.prFormBranch = branchName;
+    document.getElementById('pr-form-heading').textContent = 'Create ' + label + ': ' + branchName;
+    document.getElementById('pr-form-submit').textContent = 'Create ' + label;
+    for (let i = 0; i < PR_FORM_INPUTS.length; i++) document.getElementById(PR_FORM_INPUTS[i]).value = '';
+    document.getElementById('pr-form-draft').checked = false;
+    setPrFormStatus('Reading commits...', false);
+    prFormModal.show();
+    document.getElementById('pr-form-title').focus();
+
+    let url = '/api/pr-draft?branch=' + encodeURIComponent(branchName);
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.prDraftRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status !== 200 || !body) {
+        setPrFormStatus((body && body.error) || ('Request failed (' + xhr.status + ')'), true);
+        return;
+      }
+      // Keep whatever was typed while the draft loaded
+      const fill = (id, value) => {
+        const el = document.getElementById(id);
+        if (!el.value) el.value = value || '';
+      };
+      fill('pr-form-title', body.title);
+      fill('pr-form-body', body.body);
+      fill('pr-form-base', body.base);
+      setPrFormStatus('', false);
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.prDraftRequestId) return;
+      setPrFormStatus('Could not reach the dashboard server', true);
+    };
+    xhr.send();
+  }
+
+  document.getElementById('pr-form-cancel').addEventListener('click', () => prFormModal.hide());
+
+  document.getElementById('pr-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const title = document.getElementById('pr-form-title').value.trim();
+    const base = document.getElementById('pr-form-base').value.trim();
+    if (!title || !base) {
+      setPrFormStatus(title ? 'A base branch is required' : 'A title is required', true);
+      return;
+    }
+    sendAction('createPr', {
+      branch: ui.prFormBranch,
+      title,
+      body: document.getElementById('pr-form-body').value,
+      base,
+      draft: document.getElementById('pr-form-draft').checked,
+      reviewers: document.getElementById('pr-form-reviewers').value,
+    });
+    showToast(document.getElementById('pr-form-submit').textContent.replace('Create', 'Creating') + '...', 'info');
+    prFormModal.hide();
+  });
+
+  // ── PR Conversation ────────────────────────────────────────────
+  // Review threads and comments from /api/pr-conversation. Comments are
+  // posted with the commentPr action; its actionResult reloads the list.
+  function showConversation(branchName) {
+    ui.conversationBranch = branchName;
+    document.getElementById('pr-conversation-title').textContent = 'Conversation: ' + branchName;
+    document.getElementById('pr-conversation-reply').value = '';
+    conversationModal.show();
+    loadConversation();
+  }
+
+  function loadConversation() {
+    const requestId = ++ui.conversationRequestId;
+    const branchName = ui.conversationBranch;
+    ui.conversationError = null;
+    renderConversation();
+
+    let url = '/api/pr-conversation?branch=' + encodeURIComponent(branchName);
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.conversationRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.conversationData = body;
+      else ui.conversationError = (body && body.error) || ('Request failed (' + xhr.status + ')');
+      renderConversation();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.conversationRequestId) return;
+      ui.conversationError = 'Could not reach the dashboard server';
+      renderConversation();
+    };
+    xhr.send();
+  }
+
+  function renderConversation() {
+    const summary = document.getElementById('pr-conversation-summary');
+    const data = ui.conversationData;
+    const label = getRepoPlatform() === 'gitlab' ? 'MR' : 'PR';
+    let text;
+    if (ui.conversationError) text = ui.conversationError;
+    else if (!data) text = 'Loading conversation...';
+    else if (data.reason) text = data.reason;
+    else {
+      text = label + ' #' + data.number + ': ' + data.threads.length + (data.threads.length === 1 ? ' thread' : ' threads');
+      if (data.unresolved) text += ', ' + data.unresolved + ' unresolved';
+    }
+    summary.textContent = text;
+    summary.className = 'pr-conversation-summary' + (ui.conversationError ? ' error' : '');
+    document.getElementById('pr-conversation-form').style.display = data && data.number ? '' : 'none';
+
+    let html = '';
+    const threads = data && data.threads ? data.threads : [];
+    for (let i = 0; i < threads.length; i++) {
+      const thread = threads[i];
+      const tags = conversationTags(thread);
+      html += '<div class="conv-thread' + (thread.resolved ? ' resolved' : '') + '">';
+      if (tags.length) {
+        html += '<div class="conv-tags">';
+        for (let j = 0; j < tags.length; j++) {
+          html += '<span class="conv-tag ' + escHtml(tags[j].replace(/ /g, '-')) + '">' + escHtml(tags[j]) + '</span>';
+        }
+        html += '</div>';
+      }
+      for (let j = 0; j < thread.comments.length; j++) {
+        const comment = thread.comments[j];
+        html += '<div class="conv-comment"><div class="conv-meta"><strong>' + escHtml(comment.author) + '</strong> ' + escHtml(timeAgo(comment.createdAt));
+        if (comment.url && /^https?:\\/\\//.test(comment.url)) {
+          html += ' &middot; <a href="' + escHtml(comment.url) + '" target="_blank" rel="noopener">open</a>';
+        }
+        html += '</div><div class="conv-body">' + escHtml(comment.body || '(no text)') + '</div></div>';
+      }
+      html += '</div>';
+    }
+    document.getElementById('pr-conversation-list').innerHTML = html;
+  }
+
+  document.getElementById('pr-conversation-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const body = document.getElementById('pr-conversation-reply').value;
+    if (!body.trim() || !ui.conversationBranch) return;
+    sendAction('commentPr', { branch: ui.conversationBranch, body });
+    showToast('Posting comment...', 'info');
+  });
+
+  // ── Diff Viewer ────────────────────────────────────────────────
+  // Fetched on demand from /api/diff rather than pushed over SSE: diffs are
+  // large and only wanted while this panel is open.
+  function showDiff(branchName) {
+    if (!state || !branchName) return;
+    ui.diffMode = true;
+    ui.diffBranch = branchName;
+    ui.diffCollapsed = {};
+    diffModal.show();
+    loadDiff();
+  }
+
+  function loadDiff() {
+    const requestId = ++ui.diffRequestId;
+    ui.diffData = null;
+    ui.diffError = null;
+    renderDiff();
+
+    let url = '/api/diff?branch=' + encodeURIComponent(ui.diffBranch) + '&against=' + ui.diffAgainst;
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      // Closed, or superseded by a newer request (e.g. base toggled)
+      if (requestId !== ui.diffRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.diffData = body;
+      else ui.diffError = (body && body.error) || ('Request failed (' + xhr.status + ')');
+      renderDiff();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.diffRequestId) return;
+      ui.diffError = 'Could not reach the dashboard server';
+      renderDiff();
+    };
+    xhr.send();
+  }
+
+  function diffToggleHtml(attr, value, current, label) {
+    return '<button class="log-viewer-tab' + (value === current ? ' active' : '') + '" ' + attr + '="' + value + '">' + label + '</button>';
+  }
+
+  function diffLineNo(n) {
+    return '<td class="diff-ln">' + (n === null || n === undefined ? '' : n) + '</td>';
+  }
+
+  // One table row per line; the +/- marker column keeps changes readable
+  // without colour and copy-paste friendly.
+  function renderUnifiedRows(lines) {
+    let html = '';
+    for (let i = 0; i < lines.length; i++) {
+      const l = lines[i];
+      if (l.type === 'hunk') {
+        html += '<tr class="diff-row hunk"><td colspan="3">' + escHtml(l.text) + '</td></tr>';
+        continue;
+      }
+      const marker = l.type === 'add' ? '+' : l.type === 'del' ? '-' : ' ';
+      html += '<tr class="diff-row ' + l.type + '">' + diffLineNo(l.oldLine) + diffLineNo(l.newLine) +
+        '<td class="diff-code">' + (l.type === 'meta' ? '' : marker) + escHtml(l.text) + '</td></tr>';
+    }
+    return html;
+  }
+
+  function renderSplitRows(lines) {
+    const rows = pairDiffLines(lines);
+    let html = '';
+    for (let i = 0; i < rows.length; i++) {
+      const r = rows[i];
+      if (r.hunk) {
+        html += '<tr class="diff-row hunk"><td colspan="4">' + escHtml(r.hunk) + '</td></tr>';
+        continue;
+      }
+      const left = r.left;
+      const right = r.right;
+      html += '<tr class="diff-row">' +
+        diffLineNo(left && left.oldLine) +
+        '<td class="diff-code ' + (left ? left.type : 'empty') + '">' + (left ? escHtml(left.text) : '') + '</td>' +
+        diffLineNo(right && right.newLine) +
+        '<td class="diff-code ' + (right ? right.type : 'empty') + '">' + (right ? escHtml(right.text) : '') + '</td>' +
+        '</tr>';
+    }
+    return html;
+  }
+
+  function renderDiffFile(file) {
+    const collapsed = !!ui.diffCollapsed[file.path];
+    const name = file.oldPath ? file.oldPath + ' \\u2192 ' + file.path : file.path;
+    let html = '<div class="diff-file">';
+    html += '<div class="diff-file-header" data-diff-path="' + escHtml(file.path) + '">';
+    html += '<span class="diff-caret">' + (collapsed ? '\\u25b8' : '\\u25be') + '</span>';
+    html += '<span class="diff-status ' + file.status + '">' + file.status + '</span>';
+    html += '<span class="diff-path">' + escHtml(name) + '</span>';
+    html += '<span class="diff-added">+' + file.added + '</span> <span class="diff-deleted">-' + file.deleted + '</span>';
+    html += '</div>';
+    if (!collapsed) {
+      if (file.binary) {
+        html += '<div class="diff-note">Binary file not shown</div>';
+      } else if (!file.lines.length) {
+        html += '<div class="diff-note">' + (file.added || file.deleted ? 'Too large to show here' : 'No content changes') + '</div>';
+      } else {
+        html += '<table class="diff-table ' + diffLayout + '">' +
+          (diffLayout === 'split' ? renderSplitRows(file.lines) : renderUnifiedRows(file.lines)) +
+          '</table>';
+      }
+    }
+    html += '</div>';
+    return html;
+  }
+
+  function renderDiff() {
+    const base = ui.diffData ? ui.diffData.baseRef : (ui.diffAgainst === 'current' ? state.currentBranch : 'default branch');
+    document.getElementById('diff-title').textContent = 'Diff: ' + ui.diffBranch + ' vs ' + (base || ui.diffAgainst);
+
+    let toolbar = diffToggleHtml('data-diff-layout', 'unified', diffLayout, 'Unified') +
+      diffToggleHtml('data-diff-layout', 'split', diffLayout, 'Side by side') +
+      '<span class="diff-toolbar-gap"></span>' +
+      diffToggleHtml('data-diff-against', 'current', ui.diffAgainst, 'vs current') +
+      diffToggleHtml('data-diff-against', 'default', ui.diffAgainst, 'vs default');
+    if (ui.diffData && ui.diffData.files.length) {
+      toolbar += '<span class="diff-toolbar-gap"></span>' +
+        '<button class="log-viewer-tab" data-diff-collapse="all">Collapse all</button>' +
+        '<button class="log-viewer-tab" data-diff-collapse="none">Expand all</button>';
+    }
+    document.getElementById('diff-toolbar').innerHTML = toolbar;
+
+    const content = document.getElementById('diff-content');
+    if (ui.diffError) {
+      content.innerHTML = '<div class="diff-note error">' + escHtml(ui.diffError) + '</div>';
+      return;
+    }
+    if (!ui.diffData) {
+      content.innerHTML = '<div class="diff-note">Loading diff...</div>';
+      return;
+    }
+    const d = ui.diffData;
+    if (!d.files.length) {
+      content.innerHTML = '<div class="diff-note">No differences</div>';
+      return;
+    }
+    let html = '<div class="diff-summary">' + d.totals.files + ' file' + (d.totals.files === 1 ? '' : 's') + ' changed, ' +
+      '<span class="diff-added">+' + d.totals.added + '</span> <span class="diff-deleted">-' + d.totals.deleted + '</span>' +
+      (d.truncated ? ' \\u2014 large diff, some files are listed without content' : '') + '</div>';
+    for (let i = 0; i < d.files.length; i++) html += renderDiffFile(d.files[i]);
+    content.innerHTML = html;
+  }
+
+  document.getElementById('diff-toolbar').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const layout = btn.getAttribute('data-diff-layout');
+    const against = btn.getAttribute('data-diff-against');
+    const collapse = btn.getAttribute('data-diff-collapse');
+    if (layout && layout !== diffLayout) {
+      diffLayout = layout;
+      savePrefs({ diffLayout });
+      renderDiff();
+    } else if (against && against !== ui.diffAgainst) {
+      ui.diffAgainst = against;
+      loadDiff();
+    } else if (collapse && ui.diffData) {
+      ui.diffCollapsed = {};
+      if (collapse === 'all') ui.diffData.files.forEach((f) => { ui.diffCollapsed[f.path] = true; });
+      renderDiff();
+    }
+  });
+
+  document.getElementById('diff-content').addEventListener('click', (e) => {
+    const header = e.target.closest('.diff-file-header');
+    if (!header) return;
+    const filePath = header.getAttribute('data-diff-path');
+    ui.diffCollapsed[filePath] = !ui.diffCollapsed[filePath];
+    renderDiff();
+  });
+
   // ── Info Panel ─────────────────────────────────────────────────
   function showInfo() {
     if (!state) return;
@@ -1071,6 +1833,7 @@ ${pureFnBlock}
       ['Server Mode', state.serverMode || 'none'],
       ['Server Port', state.noServer ? 'N/A' : String(state.port || '-')],
       ['Server Running', state.serverRunning ? 'Yes' : 'No'],
+      ['Server Status', state.serverStatus || '-'],
       ['SSE Clients', String(state.clientCount || 0)],
       ['Current Branch', state.currentBranch || '-'],
       ['Polling Status', state.pollingStatus || 'idle'],
@@ -1088,6 +1851,180 @@ ${pureFnBlock}
 
   function hideInfo() { infoModal.hide(); }
 
+  // ── Since-Last-Seen Digest ─────────────────────────────────────
+  const DIGEST_TAGS = { created: 'NEW', updated: 'UPD', merged: 'MRG', deleted: 'DEL' };
+
+  function showDigest() {
+    ui.digestMode = true;
+    digestModal.show();
+    loadDigest();
+  }
+
+  function loadDigest() {
+    const requestId = ++ui.digestRequestId;
+    ui.digestData = null;
+    ui.digestError = null;
+    renderDigest();
+
+    let url = '/api/digest';
+    if (ui.activeTabId) url += '?project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.digestRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.digestData = body;
+      else ui.digestError = (body && body.error) || ('Request failed (' + xhr.status + ')');
+      renderDigest();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.digestRequestId) return;
+      ui.digestError = 'Could not reach the dashboard server';
+      renderDigest();
+    };
+    xhr.send();
+  }
+
+  function renderDigest() {
+    const content = document.getElementById('digest-content');
+    if (ui.digestError) {
+      content.innerHTML = '<div style="color:var(--red);padding:20px;text-align:center;">' + escHtml(ui.digestError) + '</div>';
+      return;
+    }
+    const d = ui.digestData;
+    if (!d) {
+      content.innerHTML = '<div style="color:var(--text-muted);padding:20px;text-align:center;">Comparing branches...</div>';
+      return;
+    }
+    let html = '<div class="digest-summary">' + escHtml(digestSummary(d)) + '</div>';
+    if (d.entries.length > 0) {
+      html += '<div class="digest-list">';
+      for (let i = 0; i < d.entries.length; i++) {
+        const entry = d.entries[i];
+        html += '<div class="digest-row">';
+        html += '<span class="digest-tag ' + entry.status + '">' + DIGEST_TAGS[entry.status] + '</span>';
+        html += '<span class="digest-name">' + escHtml(entry.name) + '</span>';
+        if (entry.status !== 'deleted') {
+          const commits = entry.commits === null ? '?' : String(entry.commits);
+          html += '<span class="digest-counts">' + commits + (entry.commits === 1 ? ' commit' : ' commits') + '</span>';
+          if (entry.stats) {
+            html += '<span class="digest-counts"><span class="diff-added">+' + entry.stats.added + '</span> ' +
+              '<span class="diff-deleted">-' + entry.stats.deleted + '</span></span>';
+          }
+        }
+        if (entry.subject) html += '<span class="digest-subject">' + escHtml(entry.subject) + '</span>';
+        html += '</div>';
+      }
+      html += '</div>';
+    }
+    html += '<div class="confirm-actions">';
+    html += '<button class="confirm-btn" id="digest-dismiss">Close</button>';
+    html += '<button class="confirm-btn primary" id="digest-ack">Mark as seen</button>';
+    html += '</div>';
+    content.innerHTML = html;
+    document.getElementById('digest-dismiss').onclick = () => digestModal.hide();
+    document.getElementById('digest-ack').onclick = () => {
+      sendAction('acknowledgeDigest');
+      digestModal.hide();
+    };
+  }
+
+  document.getElementById('digest-btn').addEventListener('click', showDigest);
+
+  // ── Activity Heatmap ───────────────────────────────────────────
+  function showHeatmap() {
+    // Opens at the configured sparkline window; the toolbar switches it
+    if (!ui.heatmapWindow) ui.heatmapWindow = (state && state.activityWindow) || '7d';
+    heatmapModal.show();
+    loadHeatmap();
+  }
+
+  function loadHeatmap() {
+    const requestId = ++ui.heatmapRequestId;
+    ui.heatmapData = null;
+    ui.heatmapError = null;
+    renderHeatmap();
+
+    let url = '/api/heatmap?window=' + encodeURIComponent(ui.heatmapWindow) + '&by=' + encodeURIComponent(ui.heatmapBy);
+    if (ui.activeTabId) url += '&project=' + encodeURIComponent(ui.activeTabId);
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = () => {
+      if (requestId !== ui.heatmapRequestId) return;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page — reported below */ }
+      if (xhr.status === 200 && body) ui.heatmapData = body;
+      else ui.heatmapError = (body && body.error) || ('Request failed (' + xhr.status + ')');
+      renderHeatmap();
+    };
+    xhr.onerror = () => {
+      if (requestId !== ui.heatmapRequestId) return;
+      ui.heatmapError = 'Could not reach the dashboard server';
+      renderHeatmap();
+    };
+    xhr.send();
+  }
+
+  function renderHeatmap() {
+    document.getElementById('heatmap-toolbar').innerHTML =
+      diffToggleHtml('data-heatmap-window', '24h', ui.heatmapWindow, '24 hours') +
+      diffToggleHtml('data-heatmap-window', '7d', ui.heatmapWindow, '7 days') +
+      diffToggleHtml('data-heatmap-window', '30d', ui.heatmapWindow, '30 days') +
+      '<span class="diff-toolbar-gap"></span>' +
+      diffToggleHtml('data-heatmap-by', 'branch', ui.heatmapBy, 'By branch') +
+      diffToggleHtml('data-heatmap-by', 'author', ui.heatmapBy, 'By author');
+
+    const content = document.getElementById('heatmap-content');
+    if (ui.heatmapError) {
+      content.innerHTML = '<div class="diff-note error">' + escHtml(ui.heatmapError) + '</div>';
+      return;
+    }
+    const d = ui.heatmapData;
+    if (!d) {
+      content.innerHTML = '<div class="diff-note">Counting commits...</div>';
+      return;
+    }
+    if (!d.rows.length) {
+      content.innerHTML = '<div class="diff-note">No commits in this window</div>';
+      return;
+    }
+    let max = 0;
+    for (let i = 0; i < d.rows.length; i++) {
+      for (let j = 0; j < d.rows[i].counts.length; j++) max = Math.max(max, d.rows[i].counts[j]);
+    }
+    // Label every few columns so 24 or 30 of them stay readable
+    const labelEvery = d.buckets.length > 7 ? 6 : 1;
+    let html = '<div class="heatmap-scroll"><table class="heatmap"><thead><tr><th></th>';
+    for (let j = 0; j < d.buckets.length; j++) {
+      html += '<th>' + (j % labelEvery === 0 ? escHtml(heatmapBucketLabel(d.buckets[j], d.window)) : '') + '</th>';
+    }
+    html += '<th></th></tr></thead><tbody>';
+    for (let i = 0; i < d.rows.length; i++) {
+      const row = d.rows[i];
+      html += '<tr><td class="heatmap-name" title="' + escHtml(row.name) + '">' + escHtml(row.name) + '</td>';
+      for (let j = 0; j < row.counts.length; j++) {
+        const count = row.counts[j];
+        html += '<td><span class="heatmap-cell l' + heatmapLevel(count, max) + '" title="' +
+          escHtml(heatmapBucketLabel(d.buckets[j], d.window)) + ': ' + count + (count === 1 ? ' commit' : ' commits') + '"></span></td>';
+      }
+      html += '<td class="heatmap-total">' + row.total + '</td></tr>';
+    }
+    html += '</tbody></table></div>';
+    content.innerHTML = html;
+  }
+
+  document.getElementById('heatmap-toolbar').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const span = btn.getAttribute('data-heatmap-window');
+    const by = btn.getAttribute('data-heatmap-by');
+    if (span && span !== ui.heatmapWindow) { ui.heatmapWindow = span; loadHeatmap(); }
+    if (by && by !== ui.heatmapBy) { ui.heatmapBy = by; loadHeatmap(); }
+  });
+
+  document.getElementById('heatmap-btn').addEventListener('click', showHeatmap);
+
   // ── Stash Management ───────────────────────────────────────────
   function showStashDialog(pendingBranch) {
     ui.stashMode = true;
@@ -1356,9 +2293,22 @@ ${pureFnBlock}
     'l':         'logViewer',
     'S':         'stash',
     'd':         'cleanup',
+    'P':         'togglePin',
+    'M':         'toggleMute',
+    'v':         'viewDiff',
+    'n':         'digest',
+    'a':         'heatmap',
     'Escape':    'escape',
   };
 
+  // Pin/mute the selected branch; the server saves it and answers with a toast.
+  function toggleSelectedRule(action) {
+    const branches = getDisplayBranches();
+    if (branches.length > 0 && ui.selectedIndex < branches.length) {
+      sendAction(action, { branch: branches[ui.selectedIndex].name });
+    }
+  }
+
   // Action handlers for normal mode.
   // Each receives the KeyboardEvent for cases that need it.
   const KEY_ACTIONS = {
@@ -1396,12 +2346,7 @@ ${pureFnBlock}
       }
     },
     restartServer() {
-      if (state && state.serverMode === 'command') {
-        showConfirm('Restart Server', 'Restart the dev server process?', () => {
-          sendAction('restartServer');
-          showToast('Restarting server...', 'info');
-        }, { label: 'Restart' });
-      }
+      if (state && state.serverMode === 'command') confirmServerRestart('');
     },
     toggleCasino()   { sendAction('toggleCasino'); },
     openBrowser()    { sendAction('openBrowser'); showToast('Opening in browser...', 'info'); },
@@ -1422,12 +2367,23 @@ ${pureFnBlock}
     logViewer()      { showLogViewer(); },
     stash()          { showStashDialog(null); },
     cleanup()        { showCleanup(); },
+    togglePin()      { toggleSelectedRule('togglePin'); },
+    toggleMute()     { toggleSelectedRule('toggleMute'); },
+    viewDiff() {
+      const branches = getDisplayBranches();
+      if (branches.length > 0 && ui.selectedIndex < branches.length && !branches[ui.selectedIndex].isDeleted) {
+        showDiff(branches[ui.selectedIndex].name);
+      }
+    },
+    digest()         { showDigest(); },
+    heatmap()        { showHeatmap(); },
     escape()         { /* no-op in normal mode */ },
   };
 
   document.addEventListener('keydown', (e) => {
     // Ignore when typing in input fields (other than search)
     if (e.target.tagName === 'INPUT' && e.target.id !== 'search-input') return;
+    if (e.target.tagName === 'TEXTAREA') return;
     if (e.target.tagName === 'BUTTON') return;
 
     // Any modal — Escape to close the topmost one
@@ -1441,8 +2397,9 @@ ${pureFnBlock}
     if (ui.logViewerMode) {
       if (e.key === 'Tab' || e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
         e.preventDefault();
-        ui.logViewerTab = ui.logViewerTab === 'server' ? 'activity' : 'server';
-        renderLogViewer();
+        const step = (e.key === 'ArrowLeft' || (e.key === 'Tab' && e.shiftKey)) ? -1 : 1;
+        const index = LOG_VIEWER_TABS.indexOf(ui.logViewerTab);
+        setLogViewerTab(LOG_VIEWER_TABS[(index + step + LOG_VIEWER_TABS.length) % LOG_VIEWER_TABS.length]);
       }
       return;
     }
@@ -1452,7 +2409,7 @@ ${pureFnBlock}
 
     // Confirm dialog mode — Escape to cancel, Enter to confirm
     if (ui.confirmMode) {
-      if (e.key === 'Escape') { e.preventDefault(); hideConfirm(); }
+      if (e.key === 'Escape') { e.preventDefault(); cancelConfirm(); }
       if (e.key === 'Enter') {
         e.preventDefault();
         const cb = ui.confirmCallback;
@@ -1543,6 +2500,12 @@ ${pureFnBlock}
 
   // ── Click Handlers ─────────────────────────────────────────────
   document.getElementById('branch-list').addEventListener('click', (e) => {
+    // Unresolved-thread badge: straight to the PR conversation
+    const convBadge = e.target.closest('[data-conversation]');
+    if (convBadge) {
+      showConversation(convBadge.getAttribute('data-conversation'));
+      return;
+    }
     const item = e.target.closest('.branch-item');
     if (!item) return;
     const idx = parseInt(item.getAttribute('data-index'), 10);
@@ -1608,17 +2571,7 @@ ${pureFnBlock}
     if (e.target.id === 'pin-selected-btn') {
       const branches = getDisplayBranches();
       if (branches.length > 0 && ui.selectedIndex < branches.length) {
-        const bn = branches[ui.selectedIndex].name;
-        const idx = pinnedBranches.indexOf(bn);
-        if (idx === -1) {
-          pinnedBranches.push(bn);
-          showToast('Pinned: ' + bn, 'success');
-        } else {
-          pinnedBranches.splice(idx, 1);
-          showToast('Unpinned: ' + bn, 'info');
-        }
-        savePrefs({ pinnedBranches: pinnedBranches });
-        renderBranches();
+        sendAction('togglePin', { branch: branches[ui.selectedIndex].name });
       }
       return;
     }
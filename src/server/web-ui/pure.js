@@ -77,12 +77,222 @@ function fmtCompact(n) {
   return (n / 1000000).toFixed(1) + 'm';
 }
 
+/**
+ * Parse a branch search query. Whitespace separates terms, and a branch
+ * has to match every one of them:
+ *
+ *   author:ann            tip commit author name or email contains "ann"
+ *   agent:claude|codex    coding agent behind the branch; agent:none = humans,
+ *                         a bare agent: = any agent
+ *   pr:open|merged|none   PR state (open, merged, closed, none); `|` = any of
+ *   ci:fail               CI state of the branch's open PR (pass, fail, pending,
+ *                         none); GitHub only, see queryNote
+ *   ahead:>0  behind:<=3  commits ahead of / behind the base (>, >=, <, <=, =)
+ *   updated:<1h           last commit younger than 1h (m, h, d, w); >2w = stale
+ *   local:  remote:       has a local branch / is on a remote (remote:upstream)
+ *   /fix-\d+/             name matches the regular expression (case-insensitive)
+ *   anything else         fuzzy match on the name
+ *
+ * Qualifiers with a value that doesn't parse, and regexes that don't
+ * compile, are matched against the name as plain text instead.
+ *
+ * @param {string} query
+ * @returns {{filters: Array<Object>, patterns: Array<{text?: string, regex?: RegExp}>}}
+ */
+function parseBranchQuery(query) {
+  var UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  function parseFilter(key, value) {
+    if (key === 'author') return value ? { key: key, text: value } : null;
+    if (key === 'pr' || key === 'ci') return value ? { key: key, values: value.split('|') } : null;
+    if (key === 'agent') return { key: key, values: value ? value.split('|') : [] };
+    if (key === 'local') return value ? null : { key: key };
+    if (key === 'remote') return { key: key, text: value };
+    if (key !== 'ahead' && key !== 'behind' && key !== 'updated') return null;
+    var m = /^(>=|<=|>|<|=)?(\d+)([mhdw]?)$/.exec(value);
+    // Ages need a unit, commit counts must not have one
+    if (!m || (key === 'updated') !== Boolean(m[3])) return null;
+    var amount = Number(m[2]) * (m[3] ? UNIT_MS[m[3]] : 1);
+    return { key: key, op: m[1] || (key === 'updated' ? '<' : '='), value: amount };
+  }
+
+  var parsed = { filters: [], patterns: [] };
+  var terms = String(query || '').trim().split(/\s+/);
+  for (var i = 0; i < terms.length; i++) {
+    var term = terms[i];
+    if (!term) continue;
+    var regex = /^\/(.+)\/$/.exec(term);
+    if (regex) {
+      try {
+        parsed.patterns.push({ regex: new RegExp(regex[1], 'i') });
+        continue;
+      } catch (e) { /* not a valid expression: match it as text */ }
+    }
+    var qualifier = /^([a-z]+):(.*)$/i.exec(term);
+    var filter = qualifier ? parseFilter(qualifier[1].toLowerCase(), qualifier[2].toLowerCase()) : null;
+    if (filter) parsed.filters.push(filter);
+    else parsed.patterns.push({ text: term.toLowerCase() });
+  }
+  return parsed;
+}
+
+/**
+ * Fuzzy-match a pattern against text, case-insensitively. A contiguous
+ * occurrence wins; otherwise the pattern's characters have to appear in
+ * order ("fxlg" matches "fix-login").
+ * @param {string} pattern
+ * @param {string} text
+ * @returns {number[]|null} Indices of the matched characters in text, or null
+ */
+function fuzzyMatch(pattern, text) {
+  var p = pattern.toLowerCase();
+  var t = text.toLowerCase();
+  var indices = [];
+  var at = t.indexOf(p);
+  if (at !== -1) {
+    for (var i = 0; i < p.length; i++) indices.push(at + i);
+    return indices;
+  }
+  var from = 0;
+  for (var k = 0; k < p.length; k++) {
+    var found = t.indexOf(p.charAt(k), from);
+    if (found === -1) return null;
+    indices.push(found);
+    from = found + 1;
+  }
+  return indices;
+}
+
+/**
+ * Match a branch name against the text and regex terms of a parsed query.
+ * @param {string} name
+ * @param {{patterns: Array<{text?: string, regex?: RegExp}>}} parsed - From parseBranchQuery
+ * @returns {number[]|null} Sorted indices of the characters to highlight,
+ *   or null when a term doesn't match
+ */
+function matchQueryName(name, parsed) {
+  var marked = {};
+  for (var i = 0; i < parsed.patterns.length; i++) {
+    var pattern = parsed.patterns[i];
+    var indices;
+    if (pattern.regex) {
+      var m = pattern.regex.exec(name);
+      if (!m) return null;
+      indices = [];
+      for (var j = m.index; j < m.index + m[0].length; j++) indices.push(j);
+    } else {
+      indices = fuzzyMatch(pattern.text, name);
+      if (!indices) return null;
+    }
+    for (var k = 0; k < indices.length; k++) marked[indices[k]] = true;
+  }
+  return Object.keys(marked).map(Number).sort(function(a, b) { return a - b; });
+}
+
+/**
+ * Match a branch against a parsed query.
+ * @param {{name: string, author?: string, authorEmail?: string, agent?: (string|null), date?: (Date|string), isLocal?: boolean, hasRemote?: boolean, remotes?: string[]}} branch
+ * @param {{filters: Array<Object>, patterns: Array<{text?: string, regex?: RegExp}>}} parsed - From parseBranchQuery
+ * @param {Object} [info] - What the branch object doesn't carry itself
+ * @param {{state: string, ci?: (string|null)}|null} [info.pr] - PR status of the
+ *   branch. `ci` is null for a PR without checks and missing when the CI
+ *   state isn't known, which no `ci:` value matches
+ * @param {number} [info.ahead] - Commits ahead of the base, when known
+ * @param {number} [info.behind] - Commits behind the base, when known
+ * @param {number} [info.now] - Reference time for `updated:` (default: Date.now())
+ * @returns {number[]|null} Name indices to highlight (see matchQueryName),
+ *   or null when the branch doesn't match
+ */
+function matchBranchQuery(branch, parsed, info) {
+  info = info || {};
+  function compare(actual, op, value) {
+    if (op === '>') return actual > value;
+    if (op === '>=') return actual >= value;
+    if (op === '<') return actual < value;
+    if (op === '<=') return actual <= value;
+    return actual === value;
+  }
+  function matches(filter) {
+    if (filter.key === 'author') {
+      return (String(branch.author || '') + '\n' + String(branch.authorEmail || '')).toLowerCase().indexOf(filter.text) !== -1;
+    }
+    if (filter.key === 'agent') {
+      if (filter.values.length === 0) return Boolean(branch.agent);
+      return filter.values.indexOf(branch.agent ? String(branch.agent).toLowerCase() : 'none') !== -1;
+    }
+    if (filter.key === 'pr') return filter.values.indexOf(info.pr ? String(info.pr.state).toLowerCase() : 'none') !== -1;
+    if (filter.key === 'ci') {
+      if (!info.pr) return filter.values.indexOf('none') !== -1;
+      if (info.pr.ci === undefined) return false;
+      return filter.values.indexOf(info.pr.ci || 'none') !== -1;
+    }
+    if (filter.key === 'local') return Boolean(branch.isLocal);
+    if (filter.key === 'remote') {
+      if (!filter.text) return Boolean(branch.hasRemote);
+      var remotes = branch.remotes || [];
+      for (var r = 0; r < remotes.length; r++) if (remotes[r].toLowerCase() === filter.text) return true;
+      return false;
+    }
+    if (filter.key === 'ahead' || filter.key === 'behind') {
+      return typeof info[filter.key] === 'number' && compare(info[filter.key], filter.op, filter.value);
+    }
+    if (filter.key === 'updated') {
+      var time = branch.date ? new Date(branch.date).getTime() : NaN;
+      return !isNaN(time) && compare((info.now || Date.now()) - time, filter.op, filter.value);
+    }
+    return false;
+  }
+
+  for (var i = 0; i < parsed.filters.length; i++) {
+    if (!matches(parsed.filters[i])) return null;
+  }
+  return matchQueryName(branch.name, parsed);
+}
+
+/**
+ * Warning for a parsed query that uses a qualifier the hosting platform
+ * can't answer. Only GitHub's PR list reports CI states, so `ci:` matches
+ * no PR branches elsewhere.
+ * @param {{filters: Array<Object>}} parsed - From parseBranchQuery
+ * @param {string|null} platform - Hosting platform, null when unknown
+ * @returns {string|null}
+ */
+function queryNote(parsed, platform) {
+  if (!platform || platform === 'github') return null;
+  for (var i = 0; i < parsed.filters.length; i++) {
+    if (parsed.filters[i].key === 'ci') return 'ci: needs GitHub — branches with a PR never match';
+  }
+  return null;
+}
+
+/**
+ * HTML-escape text, wrapping the characters at `indices` in <mark> runs.
+ * @param {string} text
+ * @param {number[]|null} indices - Sorted, e.g. from matchQueryName
+ * @returns {string}
+ */
+function highlightMatches(text, indices) {
+  if (!indices || indices.length === 0) return escHtml(text);
+  var marked = {};
+  for (var i = 0; i < indices.length; i++) marked[indices[i]] = true;
+  var html = '';
+  var open = false;
+  for (var j = 0; j < text.length; j++) {
+    if (marked[j] && !open) html += '<mark>';
+    else if (!marked[j] && open) html += '</mark>';
+    open = Boolean(marked[j]);
+    html += escHtml(text.charAt(j));
+  }
+  return open ? html + '</mark>' : html;
+}
+
 /**
  * Filter and sort branches for display.
  * Pure function — all dependencies passed as arguments.
  * @param {Array} branches - Full branch list from state
  * @param {Object} options
- * @param {string} [options.searchQuery=''] - Filter string
+ * @param {string} [options.searchQuery=''] - Query in parseBranchQuery syntax
+ * @param {Object<string, {state: string, ci?: (string|null)}>} [options.prStatuses={}] - PR status by branch name
+ * @param {Object<string, {ahead: number, behind: number}>} [options.aheadBehind={}] - Ahead/behind by branch name
  * @param {string[]} [options.pinnedBranches=[]] - Branch names pinned to top
  * @param {string} [options.sortOrder='default'] - 'default' | 'alpha' | 'recent'
  * @returns {Array} Filtered and sorted branch list
@@ -96,9 +306,18 @@ function getDisplayBranches(branches, options) {
   var result = branches.slice();
 
   if (searchQuery) {
-    var q = searchQuery.toLowerCase();
+    var parsed = parseBranchQuery(searchQuery);
+    var prStatuses = (options && options.prStatuses) || {};
+    var aheadBehind = (options && options.aheadBehind) || {};
+    var now = Date.now();
     result = result.filter(function(b) {
-      return b.name.toLowerCase().indexOf(q) !== -1;
+      var counts = aheadBehind[b.name];
+      return matchBranchQuery(b, parsed, {
+        pr: prStatuses[b.name] || null,
+        ahead: counts ? counts.ahead : undefined,
+        behind: counts ? counts.behind : undefined,
+        now: now,
+      }) !== null;
     });
   }
 
@@ -134,6 +353,28 @@ function getDisplayBranches(branches, options) {
   return result;
 }
 
+/**
+ * Work out the hosting platform from a hostname. Configured overrides win;
+ * otherwise well-known hosts and hostname labels ("gitlab.example.com",
+ * "gitea.internal") decide.
+ * @param {string|null} host - Hostname of the git hosting service
+ * @param {Object<string, string>} [hosts] - Configured hostname -> platform overrides
+ * @returns {string|null} 'github' | 'gitlab' | 'gitea' | 'bitbucket' | 'azure' |
+ *   'codecommit', or null when nothing matches
+ */
+function hostPlatform(host, hosts) {
+  var h = String(host || '').toLowerCase();
+  if (hosts && Object.prototype.hasOwnProperty.call(hosts, h)) return hosts[h];
+  var parts = h.split('.');
+  if (h === 'github.com' || parts.indexOf('github') !== -1) return 'github';
+  if (h === 'gitlab.com' || parts.indexOf('gitlab') !== -1) return 'gitlab';
+  if (h === 'bitbucket.org' || parts.indexOf('bitbucket') !== -1) return 'bitbucket';
+  if (h === 'codeberg.org' || parts.indexOf('gitea') !== -1 || parts.indexOf('forgejo') !== -1) return 'gitea';
+  if (h === 'dev.azure.com' || /\.visualstudio\.com$/.test(h)) return 'azure';
+  if (/codecommit\..+\.amazonaws\.com/.test(h)) return 'codecommit';
+  return null;
+}
+
 /**
  * Build a branch URL for the appropriate git hosting service.
  * Pure / browser-safe — duplicated logic lives in src/git/remote.js for
@@ -143,23 +384,23 @@ function getDisplayBranches(branches, options) {
  * @param {string} baseUrl - Repository base URL (e.g., https://github.com/user/repo)
  * @param {string} host - Hostname of the git hosting service
  * @param {string} branchName - Name of the branch
+ * @param {string|null} [platform] - Known platform (e.g. from a config override);
+ *   detected from the host when omitted
  * @returns {string}
  */
-function buildBranchUrl(baseUrl, host, branchName) {
+function buildBranchUrl(baseUrl, host, branchName, platform) {
   var branch = encodeURIComponent(branchName);
-  var h = String(host || '').toLowerCase();
+  var p = platform || hostPlatform(host);
 
   // Azure DevOps: dev.azure.com/org/project/_git/repo or org.visualstudio.com
-  if (h === 'dev.azure.com' || /\.visualstudio\.com$/.test(h)) {
-    return baseUrl + '?version=GB' + branch;
-  }
+  if (p === 'azure') return baseUrl + '?version=GB' + branch;
   // Bitbucket Cloud
-  if (h === 'bitbucket.org') return baseUrl + '/src/' + branch;
+  if (p === 'bitbucket') return baseUrl + '/src/' + branch;
+  // Gitea, Forgejo, Codeberg
+  if (p === 'gitea') return baseUrl + '/src/branch/' + branch;
   // AWS CodeCommit
-  if (/codecommit\..+\.amazonaws\.com/.test(h)) {
-    return baseUrl + '/browse/refs/heads/' + branch;
-  }
-  // GitHub, GitLab, SourceHut, Codeberg, Gitea, Forgejo, Gogs, self-hosted
+  if (p === 'codecommit') return baseUrl + '/browse/refs/heads/' + branch;
+  // GitHub, GitLab, SourceHut, Gogs, self-hosted
   return baseUrl + '/tree/' + branch;
 }
 
@@ -168,13 +409,14 @@ function buildBranchUrl(baseUrl, host, branchName) {
  * @param {string} baseUrl - Repository base URL
  * @param {string} host - Hostname
  * @param {string} sha - Commit SHA (full or short)
+ * @param {string|null} [platform] - Known platform; detected from the host when omitted
  * @returns {string|null}
  */
-function buildCommitUrl(baseUrl, host, sha) {
+function buildCommitUrl(baseUrl, host, sha, platform) {
   if (!sha) return null;
-  var h = String(host || '').toLowerCase();
+  var p = platform || hostPlatform(host);
   // Bitbucket uses /commits/ (plural)
-  if (h === 'bitbucket.org') return baseUrl + '/commits/' + sha;
+  if (p === 'bitbucket') return baseUrl + '/commits/' + sha;
   // GitHub, GitLab, Gitea, Forgejo, Codeberg, Azure (best-effort), self-hosted
   return baseUrl + '/commit/' + sha;
 }
@@ -184,24 +426,162 @@ function buildCommitUrl(baseUrl, host, sha) {
  * @param {string} baseUrl - Repository base URL
  * @param {string} host - Hostname
  * @param {string|number} prNumber - PR / MR number
+ * @param {string|null} [platform] - Known platform; detected from the host when omitted
  * @returns {string|null}
  */
-function buildPrUrl(baseUrl, host, prNumber) {
+function buildPrUrl(baseUrl, host, prNumber, platform) {
   if (!prNumber) return null;
-  var h = String(host || '').toLowerCase();
-  if (h === 'bitbucket.org') return baseUrl + '/pull-requests/' + prNumber;
-  // GitLab.com or any host containing "gitlab" (self-hosted gitlab.example.com)
-  if (h === 'gitlab.com' || h.split('.').indexOf('gitlab') !== -1) {
-    return baseUrl + '/-/merge_requests/' + prNumber;
-  }
-  if (h === 'dev.azure.com' || /\.visualstudio\.com$/.test(h)) {
-    return baseUrl + '/pullrequest/' + prNumber;
+  var p = platform || hostPlatform(host);
+  if (p === 'bitbucket' || p === 'codecommit') return baseUrl + '/pull-requests/' + prNumber;
+  if (p === 'gitlab') return baseUrl + '/-/merge_requests/' + prNumber;
+  if (p === 'azure') return baseUrl + '/pullrequest/' + prNumber;
+  if (p === 'gitea') return baseUrl + '/pulls/' + prNumber;
+  // GitHub, Gogs, self-hosted
+  return baseUrl + '/pull/' + prNumber;
+}
+
+/**
+ * Arrange a file's diff lines into side-by-side rows.
+ *
+ * Within each run of changes, removed lines are paired with the added lines
+ * that follow them so an edited line shows up on the same row; whichever
+ * side runs longer gets blank cells. Context and meta lines span both sides,
+ * and hunk headers become full-width rows.
+ *
+ * @param {Array<{type: string, text: string, oldLine: (number|null), newLine: (number|null)}>} lines
+ * @returns {Array<{hunk?: string, left: (Object|null), right: (Object|null)}>}
+ */
+function pairDiffLines(lines) {
+  var rows = [];
+  var dels = [];
+  var adds = [];
+  function flush() {
+    var n = Math.max(dels.length, adds.length);
+    for (var j = 0; j < n; j++) {
+      rows.push({ left: dels[j] || null, right: adds[j] || null });
+    }
+    dels = [];
+    adds = [];
   }
-  if (/codecommit\..+\.amazonaws\.com/.test(h)) {
-    return baseUrl + '/pull-requests/' + prNumber;
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    if (line.type === 'del') {
+      // A removal after additions starts a new change run
+      if (adds.length) flush();
+      dels.push(line);
+    } else if (line.type === 'add') {
+      adds.push(line);
+    } else {
+      flush();
+      if (line.type === 'hunk') rows.push({ hunk: line.text, left: null, right: null });
+      else rows.push({ left: line, right: line });
+    }
   }
-  // GitHub, Gitea, Codeberg, Forgejo, Gogs, self-hosted
-  return baseUrl + '/pull/' + prNumber;
+  flush();
+  return rows;
+}
+
+/**
+ * Epoch-millisecond bounds of a local calendar day picked in an
+ * `<input type="date">` (value `YYYY-MM-DD`), for GET /api/journal.
+ * @param {string} dayKey
+ * @returns {{since: number, until: number}|null} null for empty or malformed values
+ */
+function journalDayRange(dayKey) {
+  var m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayKey || '');
+  if (!m) return null;
+  var y = Number(m[1]);
+  var mo = Number(m[2]) - 1;
+  var d = Number(m[3]);
+  var start = new Date(y, mo, d);
+  if (start.getMonth() !== mo || start.getDate() !== d) return null;
+  return { since: start.getTime(), until: new Date(y, mo, d + 1).getTime() };
+}
+
+/**
+ * One-line text for a journal entry: the log message, or the branch switch.
+ * @param {{kind: string, message?: string, from?: string, to?: string}} entry
+ * @returns {string}
+ */
+function journalEntryText(entry) {
+  if (entry.kind === 'switch') return 'Switched ' + entry.from + ' \u2192 ' + entry.to;
+  return entry.message || '';
+}
+
+/**
+ * Headline for the "since you last looked" digest, e.g.
+ * "Since 3h ago: 2 new, 1 merged".
+ * @param {{since: number|null, entries: Array<{status: string}>}} digest
+ * @returns {string}
+ */
+function digestSummary(digest) {
+  var since = digest.since ? 'Since ' + timeAgo(new Date(digest.since).toISOString()) : 'Since your last visit';
+  if (!digest.entries || digest.entries.length === 0) return since + ': nothing changed';
+  var counts = { created: 0, updated: 0, merged: 0, deleted: 0 };
+  for (var i = 0; i < digest.entries.length; i++) counts[digest.entries[i].status]++;
+  var parts = [];
+  if (counts.created) parts.push(counts.created + ' new');
+  if (counts.updated) parts.push(counts.updated + ' updated');
+  if (counts.merged) parts.push(counts.merged + ' merged');
+  if (counts.deleted) parts.push(counts.deleted + ' deleted');
+  return since + ': ' + parts.join(', ');
+}
+
+/**
+ * Format an elapsed time, e.g. a CI job's run time.
+ * @param {number} ms
+ * @returns {string} e.g. "45s", "2m 5s", "1h 3m"
+ */
+function formatElapsed(ms) {
+  var totalSec = Math.max(0, Math.round(ms / 1000));
+  var hours = Math.floor(totalSec / 3600);
+  var minutes = Math.floor((totalSec % 3600) / 60);
+  var seconds = totalSec % 60;
+  if (hours > 0) return hours + 'h ' + minutes + 'm';
+  if (minutes > 0) return seconds ? minutes + 'm ' + seconds + 's' : minutes + 'm';
+  return seconds + 's';
+}
+
+/**
+ * Labels for a PR conversation thread: where it is and what state it's in,
+ * e.g. ["src/app.js:12", "outdated", "unresolved"].
+ * @param {{path: string|null, line: number|null, reviewState: string|null, outdated: boolean, resolvable: boolean, resolved: boolean}} thread
+ * @returns {string[]}
+ */
+function conversationTags(thread) {
+  var tags = [];
+  if (thread.path) tags.push(thread.line ? thread.path + ':' + thread.line : thread.path);
+  if (thread.reviewState === 'APPROVED') tags.push('approved');
+  else if (thread.reviewState === 'CHANGES_REQUESTED') tags.push('changes requested');
+  if (thread.outdated) tags.push('outdated');
+  if (thread.resolvable) tags.push(thread.resolved ? 'resolved' : 'unresolved');
+  return tags;
+}
+
+/**
+ * Intensity of a heatmap cell from 0 (no commits) to 4, relative to the
+ * busiest cell.
+ * @param {number} count
+ * @param {number} max - Largest count in the heatmap
+ * @returns {number}
+ */
+function heatmapLevel(count, max) {
+  if (!count || !max) return 0;
+  return Math.min(4, Math.ceil((count / max) * 4));
+}
+
+/**
+ * Column label of a heatmap bucket: its hour for the 24h window ("09:00"),
+ * its date otherwise ("Oct 12").
+ * @param {number} start - Bucket start, epoch ms
+ * @param {string} window - '24h', '7d' or '30d'
+ * @returns {string}
+ */
+function heatmapBucketLabel(start, window) {
+  var d = new Date(start);
+  if (window === '24h') return (d.getHours() < 10 ? '0' : '') + d.getHours() + ':00';
+  var months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return months[d.getMonth()] + ' ' + d.getDate();
 }
 
 module.exports = {
@@ -209,8 +589,23 @@ module.exports = {
   timeAgo,
   renderSparklineBars,
   fmtCompact,
+  parseBranchQuery,
+  fuzzyMatch,
+  matchQueryName,
+  matchBranchQuery,
+  queryNote,
+  highlightMatches,
   getDisplayBranches,
+  hostPlatform,
   buildBranchUrl,
   buildCommitUrl,
   buildPrUrl,
+  pairDiffLines,
+  journalDayRange,
+  journalEntryText,
+  digestSummary,
+  formatElapsed,
+  conversationTags,
+  heatmapLevel,
+  heatmapBucketLabel,
 };
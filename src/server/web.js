@@ -15,6 +15,8 @@ const { getWebDashboardHtml } = require('./web-ui');
 const { version: PACKAGE_VERSION } = require('../../package.json');
 const sessionStats = require('../stats/session');
 const casino = require('../casino');
+const { isValidBranchName } = require('../git/branch');
+const { ACTIVITY_WINDOWS } = require('../git/activity');
 
 /**
  * Default web dashboard port
@@ -89,6 +91,9 @@ const ALLOWED_ACTIONS = Object.freeze([
   'restartServer', 'reloadBrowsers', 'toggleCasino',
   'openBrowser',
   'stash', 'stashPop', 'deleteBranches', 'checkUpdate',
+  'togglePin', 'toggleMute',
+  'acknowledgeDigest', 'createPr', 'commentPr',
+  'installDependencies',
 ]);
 
 /**
@@ -100,8 +105,74 @@ const ALLOWED_ACTIONS = Object.freeze([
  *   project's worker. When omitted, every action is dispatched locally — preserves
  *   single-project behaviour for callers (and tests) that don't run a coordinator.
  * @property {function} [getExtraState] - Returns additional state to merge
+ * @property {(branch: string, against: DiffBase) => Promise<Object>} [getDiff] - Resolves
+ *   the structured diff served by GET /api/diff. Without it the route answers 501.
+ * @property {(branch: string) => Promise<{platform: string, checks: import('../git/pr').CiCheck[], reason: string|null}>} [getChecks] -
+ *   Fetches the branch's CI checks served by GET /api/checks (`reason` explains an
+ *   empty list). Without it the route answers 501.
+ * @property {(branch: string) => Promise<import('../git/pr-draft').PrDraft>} [getPrDraft] -
+ *   Drafts the title, body and base of a new PR from the branch's commits, served
+ *   by GET /api/pr-draft. Without it the route answers 501.
+ * @property {(branch: string) => Promise<PrConversationResponse>} [getConversation] -
+ *   Reads the review threads and comments on the branch's PR, served by
+ *   GET /api/pr-conversation. Without it the route answers 501.
+ * @property {(jobId: string) => Promise<{lines: string[]}>} [getCheckLog] - Fetches the
+ *   tail of a failed CI job's log served by GET /api/checks/log. Without it the
+ *   route answers 501.
+ * @property {(query: import('../state/journal').JournalQuery) => import('../state/journal').JournalEntry[]} [getJournal] -
+ *   Reads the persisted activity history served by GET /api/journal. Without it
+ *   (journal disabled) the route answers 501.
+ * @property {() => Promise<{since: number|null, entries: import('../git/digest').DigestEntry[]}>} [getDigest] -
+ *   Computes the "since you last looked" digest served by GET /api/digest.
+ *   Without it the route answers 501.
+ * @property {(window: import('../git/activity').ActivityWindow, by: HeatmapRows) => Promise<import('../git/activity').Heatmap>} [getHeatmap] -
+ *   Buckets recent commits per branch or author for GET /api/heatmap. Without it
+ *   the route answers 501.
  */
 
+/**
+ * Body of GET /api/pr-conversation. `reason` explains why there are no
+ * threads when the PR couldn't be read (no PR, no authenticated CLI).
+ * @typedef {import('../git/pr-conversation').Conversation & {platform: string, number: number|null, reason: string|null}} PrConversationResponse
+ */
+
+/**
+ * What GET /api/diff compares a branch against: the checked-out branch or
+ * the repository's default branch.
+ * @typedef {'current'|'default'} DiffBase
+ */
+
+/**
+ * Accepted values for the `against` query parameter of GET /api/diff
+ */
+const DIFF_BASES = Object.freeze(['current', 'default']);
+
+/**
+ * What the rows of GET /api/heatmap are
+ * @typedef {'branch'|'author'} HeatmapRows
+ */
+
+/**
+ * Accepted values for the `by` query parameter of GET /api/heatmap
+ */
+const HEATMAP_ROWS = Object.freeze(['branch', 'author']);
+
+/**
+ * Most entries GET /api/journal returns in one response
+ */
+const MAX_JOURNAL_ENTRIES = 1000;
+
+/**
+ * Write a JSON response.
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
 /**
  * Web dashboard server.
  * Manages an HTTP server, SSE connections, and state broadcasting.
@@ -116,6 +187,14 @@ class WebDashboardServer {
     this.onAction = options.onAction || (() => {});
     this.sendCommand = options.sendCommand || null;
     this.getExtraState = options.getExtraState || (() => ({}));
+    this.getDiff = options.getDiff || null;
+    this.getChecks = options.getChecks || null;
+    this.getCheckLog = options.getCheckLog || null;
+    this.getPrDraft = options.getPrDraft || null;
+    this.getConversation = options.getConversation || null;
+    this.getJournal = options.getJournal || null;
+    this.getDigest = options.getDigest || null;
+    this.getHeatmap = options.getHeatmap || null;
 
     /** @type {Set<import('http').ServerResponse>} */
     this.clients = new Set();
@@ -142,6 +221,8 @@ class WebDashboardServer {
 
     /** @type {string|null} Repository web URL for building links */
     this.repoWebUrl = null;
+    /** @type {string|null} Hosting platform of repoWebUrl (see git/remote detectPlatform) */
+    this.repoPlatform = null;
 
     // Cache the HTML (regenerated only if port changes)
     this._cachedHtml = getWebDashboardHtml(this.port);
@@ -178,6 +259,7 @@ class WebDashboardServer {
       currentBranch: s.currentBranch,
       isDetachedHead: s.isDetachedHead,
       hasMergeConflict: s.hasMergeConflict,
+      monitoredRemotes: s.monitoredRemotes || [],
 
       // Polling
       pollingStatus: s.pollingStatus,
@@ -187,6 +269,9 @@ class WebDashboardServer {
       serverMode: s.serverMode,
       serverRunning: s.serverRunning,
       serverCrashed: s.serverCrashed,
+      serverProcesses: s.serverProcesses || [],
+      serverStatus: s.serverStatus || null,
+      pendingInstall: s.pendingInstall || null,
       port: s.port,
 
       // UI
@@ -236,6 +321,7 @@ class WebDashboardServer {
 
       // Repository web URL for building links in the web UI
       repoWebUrl: this.repoWebUrl || null,
+      repoPlatform: this.repoPlatform || null,
 
       // Extra state from the main process
       ...extra,
@@ -264,9 +350,12 @@ class WebDashboardServer {
   /**
    * Set the repository web URL for link building in the web UI.
    * @param {string|null} url - e.g. https://github.com/user/repo
+   * @param {string|null} [platform] - Hosting platform, when known; the web UI
+   *   otherwise guesses it from the hostname
    */
-  setRepoWebUrl(url) {
+  setRepoWebUrl(url, platform = null) {
     this.repoWebUrl = url || null;
+    this.repoPlatform = (url && platform) || null;
   }
 
   /**
@@ -551,6 +640,46 @@ class WebDashboardServer {
       return;
     }
 
+    if (pathname === '/api/diff' && req.method === 'GET') {
+      this._handleDiff(url, res);
+      return;
+    }
+
+    if (pathname === '/api/checks' && req.method === 'GET') {
+      this._handleChecks(url, res);
+      return;
+    }
+
+    if (pathname === '/api/checks/log' && req.method === 'GET') {
+      this._handleCheckLog(url, res);
+      return;
+    }
+
+    if (pathname === '/api/pr-draft' && req.method === 'GET') {
+      this._handlePrDraft(url, res);
+      return;
+    }
+
+    if (pathname === '/api/pr-conversation' && req.method === 'GET') {
+      this._handleConversation(url, res);
+      return;
+    }
+
+    if (pathname === '/api/journal' && req.method === 'GET') {
+      this._handleJournal(url, res);
+      return;
+    }
+
+    if (pathname === '/api/digest' && req.method === 'GET') {
+      this._handleDigest(url, res);
+      return;
+    }
+
+    if (pathname === '/api/heatmap' && req.method === 'GET') {
+      this._handleHeatmap(url, res);
+      return;
+    }
+
     // 404
     res.writeHead(404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Not found' }));
@@ -654,6 +783,214 @@ class WebDashboardServer {
     });
   }
 
+  /**
+   * Answer a GET route that is served from this process, and so only for
+   * the local project: 404 for another project, 501 when the host didn't
+   * provide `getter`, otherwise `call(getter)`'s (possibly async) result as
+   * JSON, or a 500 with the error message.
+   * @template {Function} T
+   * @param {import('http').ServerResponse} res
+   * @param {string|null} projectId - The request's `project` parameter
+   * @param {T|null} getter
+   * @param {{notLocal: string, unavailable: string}} errors - 404 and 501 messages
+   * @param {(getter: T) => any} call
+   * @private
+   */
+  _serveLocalJson(res, projectId, getter, errors, call) {
+    if (projectId && this.localProjectId && projectId !== this.localProjectId) {
+      sendJson(res, 404, { error: errors.notLocal });
+      return;
+    }
+    if (typeof getter !== 'function') {
+      sendJson(res, 501, { error: errors.unavailable });
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => call(getter))
+      .then((body) => sendJson(res, 200, body))
+      .catch((e) => sendJson(res, 500, { error: (e && e.message) || String(e) }));
+  }
+
+  /**
+   * Serve GET /api/diff?branch=<name>&against=current|default[&project=<id>].
+   *
+   * Diffs are computed in this process, so only the local project can be
+   * diffed — worker projects are reached through fire-and-forget commands
+   * that have no way to answer with a payload.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleDiff(url, res) {
+    const branch = url.searchParams.get('branch');
+    const against = /** @type {DiffBase} */ (url.searchParams.get('against') || 'current');
+
+    if (!branch || !isValidBranchName(branch)) {
+      sendJson(res, 400, { error: 'Invalid branch name' });
+      return;
+    }
+    if (!DIFF_BASES.includes(against)) {
+      sendJson(res, 400, { error: 'Unknown diff base: ' + against });
+      return;
+    }
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getDiff, {
+      notLocal: 'Diffs are only available for the local project',
+      unavailable: 'Diffs are not available',
+    }, (getDiff) => getDiff(branch, against));
+  }
+
+  /**
+   * Serve GET /api/checks?branch=<name>[&project=<id>]: the branch's CI
+   * checks (name, status, duration, link). Like /api/diff, answered for
+   * the local project only.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleChecks(url, res) {
+    const branch = url.searchParams.get('branch');
+    if (!branch || !isValidBranchName(branch)) {
+      sendJson(res, 400, { error: 'Invalid branch name' });
+      return;
+    }
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getChecks, {
+      notLocal: 'CI checks are only available for the local project',
+      unavailable: 'CI checks are not available',
+    }, (getChecks) => getChecks(branch));
+  }
+
+  /**
+   * Serve GET /api/checks/log?job=<id>[&project=<id>]: the last lines of a
+   * failed CI job's log. Job ids are numeric on both GitHub and GitLab, and
+   * anything else is refused before it reaches the CLI.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleCheckLog(url, res) {
+    const job = url.searchParams.get('job');
+    if (!job || !/^\d{1,20}$/.test(job)) {
+      sendJson(res, 400, { error: 'Invalid job id' });
+      return;
+    }
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getCheckLog, {
+      notLocal: 'CI logs are only available for the local project',
+      unavailable: 'CI logs are not available',
+    }, (getCheckLog) => getCheckLog(job));
+  }
+
+  /**
+   * Serve GET /api/pr-draft?branch=<name>[&project=<id>]: what the "create
+   * PR" form starts with. The PR itself is opened through the `createPr`
+   * action. Like /api/diff, answered for the local project only.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handlePrDraft(url, res) {
+    const branch = url.searchParams.get('branch');
+    if (!branch || !isValidBranchName(branch)) {
+      sendJson(res, 400, { error: 'Invalid branch name' });
+      return;
+    }
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getPrDraft, {
+      notLocal: 'PR drafts are only available for the local project',
+      unavailable: 'PR drafts are not available',
+    }, (getPrDraft) => getPrDraft(branch));
+  }
+
+  /**
+   * Serve GET /api/pr-conversation?branch=<name>[&project=<id>]: review
+   * threads and comments on the branch's PR. Replies go through the
+   * `commentPr` action. Like /api/diff, answered for the local project only.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleConversation(url, res) {
+    const branch = url.searchParams.get('branch');
+    if (!branch || !isValidBranchName(branch)) {
+      sendJson(res, 400, { error: 'Invalid branch name' });
+      return;
+    }
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getConversation, {
+      notLocal: 'PR conversations are only available for the local project',
+      unavailable: 'PR conversations are not available',
+    }, (getConversation) => getConversation(branch));
+  }
+
+  /**
+   * Serve GET /api/journal?since=<ms>&until=<ms>&limit=<n>[&project=<id>].
+   *
+   * The browser turns its date picker into local-day bounds, so the server
+   * only deals in epoch milliseconds. Like /api/diff, only the local
+   * project's journal can be read.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleJournal(url, res) {
+    /** @type {import('../state/journal').JournalQuery} */
+    const query = { limit: MAX_JOURNAL_ENTRIES };
+    for (const key of /** @type {const} */ (['since', 'until', 'limit'])) {
+      const raw = url.searchParams.get(key);
+      if (raw === null || raw === '') continue;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        sendJson(res, 400, { error: 'Invalid ' + key + ': ' + raw });
+        return;
+      }
+      query[key] = value;
+    }
+    query.limit = Math.max(1, Math.min(Math.floor(query.limit), MAX_JOURNAL_ENTRIES));
+
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getJournal, {
+      notLocal: 'History is only available for the local project',
+      unavailable: 'Activity history is disabled',
+    }, (getJournal) => ({ entries: getJournal(query) }));
+  }
+
+  /**
+   * Serve GET /api/digest[?project=<id>]: branches created, updated, merged
+   * or deleted since the user last marked the digest as seen. Computed on
+   * request (it runs git per changed branch), for the local project only.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleDigest(url, res) {
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getDigest, {
+      notLocal: 'The digest is only available for the local project',
+      unavailable: 'The digest is not available',
+    }, (getDigest) => getDigest());
+  }
+
+  /**
+   * Serve GET /api/heatmap?window=<24h|7d|30d>&by=<branch|author>[&project=<id>]:
+   * commits per hour or day across every listed branch, for the local
+   * project only.
+   * @param {URL} url
+   * @param {import('http').ServerResponse} res
+   * @private
+   */
+  _handleHeatmap(url, res) {
+    const window = url.searchParams.get('window') || '7d';
+    if (!Object.prototype.hasOwnProperty.call(ACTIVITY_WINDOWS, window)) {
+      sendJson(res, 400, { error: 'Invalid window: ' + window });
+      return;
+    }
+    const by = url.searchParams.get('by') || 'branch';
+    if (!HEATMAP_ROWS.includes(by)) {
+      sendJson(res, 400, { error: 'Invalid by: ' + by });
+      return;
+    }
+    this._serveLocalJson(res, url.searchParams.get('project'), this.getHeatmap, {
+      notLocal: 'The heatmap is only available for the local project',
+      unavailable: 'The heatmap is not available',
+    }, (getHeatmap) => getHeatmap(/** @type {import('../git/activity').ActivityWindow} */ (window), /** @type {HeatmapRows} */ (by)));
+  }
+
   /**
    * Push current state to all SSE clients (if changed).
    * @private
@@ -709,4 +1046,6 @@ module.exports = {
   MAX_STALLED_PUSHES,
   ALLOWED_ACTIONS,
   CONTENT_SECURITY_POLICY,
+  DIFF_BASES,
+  MAX_JOURNAL_ENTRIES,
 };
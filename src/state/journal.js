@@ -0,0 +1,184 @@
+/**
+ * Persistent activity journal.
+ *
+ * The activity log and switch history in the store only cover the current
+ * session. The journal appends the same entries to a per-repository JSON
+ * Lines file so they can be browsed after a restart — e.g. to see what was
+ * pushed overnight while watchtower was running.
+ *
+ * The file lives at `~/.watchtower/journal-<repo id>.jsonl`. When it
+ * grows past `maxBytes` it is renamed to `<file>.1` (replacing the previous
+ * one), so a repository never holds more than twice that on disk.
+ *
+ * Zero runtime dependencies — only Node built-ins.
+ *
+ * @module state/journal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const WATCHTOWER_DIR = path.join(os.homedir(), '.watchtower');
+
+// ~2 MB per file holds tens of thousands of entries; one rotated file is kept.
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+
+// Entries returned by read() when no limit is given
+const DEFAULT_READ_LIMIT = 500;
+
+/**
+ * @typedef {Object} JournalLogEntry
+ * @property {number} time - Epoch milliseconds
+ * @property {'log'} kind
+ * @property {'info'|'success'|'warning'|'error'|'update'} type
+ * @property {string} message - Plain text (no ANSI)
+ */
+
+/**
+ * @typedef {Object} JournalSwitchEntry
+ * @property {number} time - Epoch milliseconds
+ * @property {'switch'} kind
+ * @property {string} from - Previous branch
+ * @property {string} to - New branch
+ */
+
+/** @typedef {JournalLogEntry|JournalSwitchEntry} JournalEntry */
+
+/**
+ * @typedef {Object} JournalQuery
+ * @property {number} [since] - Earliest entry time (inclusive, epoch ms)
+ * @property {number} [until] - Latest entry time (exclusive, epoch ms)
+ * @property {number} [limit=500] - Maximum entries returned (newest kept)
+ */
+
+/**
+ * Short stable id for a repository, used to name its per-repo files in
+ * ~/.watchtower (the journal, the digest's last-seen snapshot).
+ * @param {string} repoRoot - Absolute path to the repo
+ * @returns {string}
+ */
+function repoFileId(repoRoot) {
+  return crypto.createHash('sha1').update(repoRoot).digest('hex').slice(0, 16);
+}
+
+/**
+ * Compute the journal path for a repository.
+ * @param {string} repoRoot - Absolute path to the repo
+ * @param {string} [dir] - Directory holding journals (defaults to ~/.watchtower)
+ * @returns {string}
+ */
+function journalFilePath(repoRoot, dir = WATCHTOWER_DIR) {
+  return path.join(dir, `journal-${repoFileId(repoRoot)}.jsonl`);
+}
+
+/**
+ * Parse one journal line. Returns null for blank, truncated (crash mid-write)
+ * or foreign lines.
+ * @param {string} line
+ * @returns {JournalEntry|null}
+ */
+function parseJournalLine(line) {
+  if (!line) return null;
+  try {
+    const entry = JSON.parse(line);
+    if (!entry || typeof entry.time !== 'number') return null;
+    if (entry.kind === 'log' && typeof entry.message === 'string') return entry;
+    if (entry.kind === 'switch' && typeof entry.from === 'string' && typeof entry.to === 'string') return entry;
+    return null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a journal file's entries, oldest first. Missing files read as empty.
+ * @param {string} file
+ * @returns {JournalEntry[]}
+ */
+function readEntries(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    const entry = parseJournalLine(line);
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Create the journal for a repository.
+ *
+ * Writes are synchronous appends so entries land in order and survive a
+ * crash right after they're logged. The first failed write (read-only home,
+ * full disk) disables the journal and is reported once through `onError`;
+ * logging never throws.
+ *
+ * @param {Object} options
+ * @param {string} options.repoRoot - Absolute path to the repo
+ * @param {string} [options.dir] - Directory holding journals (defaults to ~/.watchtower)
+ * @param {number} [options.maxBytes] - Size at which the file is rotated
+ * @param {(err: Error) => void} [options.onError] - Called once when writing fails
+ * @returns {{file: string, append: (entry: JournalEntry) => void, read: (query?: JournalQuery) => JournalEntry[]}}
+ */
+function createJournal({ repoRoot, dir = WATCHTOWER_DIR, maxBytes = DEFAULT_MAX_BYTES, onError = () => {} }) {
+  const file = journalFilePath(repoRoot, dir);
+  const rotated = file + '.1';
+  let size = -1;
+  let failed = false;
+
+  function ensureDir() {
+    // Same 0o700 treatment as the lock files: the journal records branch
+    // names and commit subjects, which are nobody else's business.
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+  }
+
+  return {
+    file,
+
+    append(entry) {
+      if (failed) return;
+      const line = JSON.stringify(entry) + '\n';
+      const bytes = Buffer.byteLength(line);
+      try {
+        if (size < 0) {
+          ensureDir();
+          try { size = fs.statSync(file).size; } catch (e) { size = 0; }
+        }
+        if (size > 0 && size + bytes > maxBytes) {
+          fs.renameSync(file, rotated);
+          size = 0;
+        }
+        fs.appendFileSync(file, line, { mode: 0o600 });
+        size += bytes;
+      } catch (e) {
+        failed = true;
+        onError(e);
+      }
+    },
+
+    read(query = {}) {
+      const { since = -Infinity, until = Infinity, limit = DEFAULT_READ_LIMIT } = query;
+      const matching = [...readEntries(rotated), ...readEntries(file)]
+        .filter((entry) => entry.time >= since && entry.time < until);
+      return matching.slice(-limit).reverse();
+    },
+  };
+}
+
+module.exports = {
+  WATCHTOWER_DIR,
+  DEFAULT_MAX_BYTES,
+  repoFileId,
+  journalFilePath,
+  parseJournalLine,
+  createJournal,
+};
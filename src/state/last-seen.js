@@ -0,0 +1,74 @@
+/**
+ * "Last seen" snapshot for the since-you-last-looked digest.
+ *
+ * Records the branch tips at the moment the user acknowledged the digest,
+ * per repository, at `~/.watchtower/last-seen-<repo id>.json`. The
+ * next session compares against it.
+ *
+ * Zero runtime dependencies — only Node built-ins.
+ *
+ * @module state/last-seen
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WATCHTOWER_DIR, repoFileId } = require('./journal');
+
+/** @typedef {import('../git/digest').SeenSnapshot} SeenSnapshot */
+
+/**
+ * Compute the snapshot path for a repository.
+ * @param {string} repoRoot - Absolute path to the repo
+ * @param {string} [dir] - Directory holding snapshots (defaults to ~/.watchtower)
+ * @returns {string}
+ */
+function lastSeenFilePath(repoRoot, dir = WATCHTOWER_DIR) {
+  return path.join(dir, `last-seen-${repoFileId(repoRoot)}.json`);
+}
+
+/**
+ * Load the snapshot. Missing, unreadable and malformed files all read as
+ * null, which makes the next digest start a fresh baseline.
+ * @param {string} repoRoot
+ * @param {string} [dir]
+ * @returns {SeenSnapshot|null}
+ */
+function loadLastSeen(repoRoot, dir = WATCHTOWER_DIR) {
+  try {
+    const data = JSON.parse(fs.readFileSync(lastSeenFilePath(repoRoot, dir), 'utf8'));
+    if (!data || typeof data.seenAt !== 'number' || !data.branches || typeof data.branches !== 'object') {
+      return null;
+    }
+    return {
+      seenAt: data.seenAt,
+      baseCommit: typeof data.baseCommit === 'string' ? data.baseCommit : null,
+      branches: data.branches,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Save the snapshot. Written to a temp file and renamed into place so a
+ * crash mid-write can't leave a truncated snapshot behind.
+ * @param {string} repoRoot
+ * @param {SeenSnapshot} snapshot
+ * @param {string} [dir]
+ * @throws {Error} When the file can't be written
+ */
+function saveLastSeen(repoRoot, snapshot, dir = WATCHTOWER_DIR) {
+  const file = lastSeenFilePath(repoRoot, dir);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(snapshot), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  lastSeenFilePath,
+  loadLastSeen,
+  saveLastSeen,
+};
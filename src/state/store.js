@@ -8,6 +8,10 @@
  * @property {string} name - Branch name
  * @property {string} commit - Short commit hash
  * @property {string} subject - Commit subject
+ * @property {string} [author] - Author name of the tip commit
+ * @property {string} [authorEmail] - Author email of the tip commit
+ * @property {string[]} [trailers] - Trailer lines of the tip commit
+ * @property {string|null} [agent] - Coding agent behind the branch, null for humans
  * @property {Date} date - Commit date
  * @property {boolean} isLocal - Is a local branch
  * @property {boolean} hasRemote - Has a remote tracking branch
@@ -16,6 +20,23 @@
  * @property {boolean} isDeleted - Branch was deleted
  * @property {boolean} justUpdated - Was just updated
  * @property {string} [sparkline] - Activity sparkline
+ * @property {string} [remote] - Remote backing this row when it has no local branch
+ * @property {string[]} [remotes] - Monitored remotes that have this branch, primary first
+ * @property {Object<string, {ahead: number, behind: number}>} [remoteAheadBehind] - Ahead/behind per remote
+ * @property {boolean} [isPinned] - Matches a branchRules.pin glob (listed first)
+ * @property {boolean} [isMuted] - Matches a branchRules.mute glob (no flash/sound)
+ */
+
+/**
+ * Header row of a branch group in the TUI list (see ui/branch-list). It sits
+ * in the list alongside branches, so code acting on the selected row checks
+ * `isGroupHeader` first.
+ * @typedef {Object} BranchGroupHeader
+ * @property {string} name - The prefix, e.g. "claude/"
+ * @property {true} isGroupHeader
+ * @property {number} count - Branches in the group (matching the search)
+ * @property {boolean} collapsed - Its branches are hidden
+ * @property {boolean} hasUpdates - A branch in it is new or has updates
  */
 
 /**
@@ -67,6 +88,42 @@
  * @property {string} timestamp - Time string
  * @property {string} line - Log line content
  * @property {boolean} isError - Is an error line
+ * @property {string|null} [process] - Command-mode process the line came from
+ */
+
+/**
+ * Dependency installs a switch or pull calls for, offered before they run
+ * (autoInstall.mode "ask").
+ * @typedef {Object} PendingInstall
+ * @property {number} id - Tells one offer from the next
+ * @property {'switch'|'pull'} trigger
+ * @property {import('../server/dependencies').DependencyInstall[]} installs
+ */
+
+/**
+ * Prompt shown inside the action modal before running a PR action: a merge
+ * method picker (`merge`, `auto-merge`) or a comma-separated text input
+ * (`request-review`, `add-label`).
+ * @typedef {Object} ActionPrompt
+ * @property {'merge'|'auto-merge'|'request-review'|'add-label'} kind
+ * @property {string} input - Text typed so far
+ * @property {number} selectedIndex - Highlighted merge method (index into MERGE_METHODS)
+ */
+
+/**
+ * "Create PR" form shown over the action modal. `field` is the focused
+ * input; the text fields are submitted as typed.
+ * @typedef {Object} PrForm
+ * @property {string} branch - Head branch
+ * @property {string} title
+ * @property {string} body
+ * @property {string} base - Target branch
+ * @property {boolean} draft - Open as a draft
+ * @property {string} reviewers - Comma-separated usernames
+ * @property {'title'|'body'|'base'|'draft'|'reviewers'|'submit'} field
+ * @property {boolean} loading - Pre-fill from the branch's commits still running
+ * @property {boolean} submitting - Waiting for gh/glab
+ * @property {string|null} error - Why the last submission failed
  */
 
 /**
@@ -75,7 +132,11 @@
  * @property {string|null} currentBranch - Current checked out branch
  * @property {number} selectedIndex - Selected branch index
  * @property {string|null} selectedBranchName - Selected branch name (for persistence)
- * @property {Branch[]|null} filteredBranches - Filtered branch list (null = no filter)
+ * @property {Array<Branch|BranchGroupHeader>|null} filteredBranches - Branch list as shown:
+ *   filtered, sorted and grouped (null = `branches` as-is)
+ * @property {'date'|'name'|'ahead-behind'|'pr'|'activity'} sortMode - TUI list order
+ * @property {boolean} groupByPrefix - Group the TUI list by branch name prefix
+ * @property {string[]} collapsedGroups - Prefixes of collapsed groups
  * @property {boolean} isDetachedHead - In detached HEAD state
  * @property {boolean} hasMergeConflict - Has merge conflicts
  * @property {{type: string, label: string}|null} inProgressOperation - Sequencer op in progress (rebase/merge/cherry-pick/revert/bisect/am), or null
@@ -84,14 +145,41 @@
  * @property {string} searchQuery - Current search query
  * @property {boolean} previewMode - Preview pane active
  * @property {Object|null} previewData - Preview pane data
+ * @property {number} previewFileIndex - Selected file in the preview pane
+ * @property {boolean} diffViewMode - Diff viewer open over the preview pane
+ * @property {import('../git/diff').FileDiff[]|null} diffFiles - Parsed diff of the previewed branch (null while loading)
+ * @property {string|null} diffError - Why the diff couldn't be loaded
+ * @property {number} diffFileIndex - File shown in the diff viewer
+ * @property {number} diffScrollOffset - Scroll position in the diff viewer
  * @property {boolean} historyMode - History view active
+ * @property {boolean} worktreeMode - Worktree list active
+ * @property {import('../git/worktree').Worktree[]|null} worktrees - Worktrees shown in the list (null when closed)
+ * @property {number} worktreeSelectedIndex - Selected worktree in the list
+ * @property {{path: string, branch: string|null}|null} serverWorktree - Linked worktree the dev
+ *   server runs from (null = the main working tree)
+ * @property {boolean} digestMode - "Since you last looked" digest open
+ * @property {import('../git/digest').Digest|null} digest - Digest shown in the overlay
+ *   (null while it's being computed)
+ * @property {number} digestScrollOffset - First digest entry shown
  * @property {boolean} infoMode - Info view active
  * @property {boolean} helpMode - Keyboard-shortcuts overlay active
  * @property {boolean} logViewMode - Log view active
- * @property {string} logViewTab - Active log tab ('server' | 'activity')
+ * @property {string} logViewTab - Active log tab ('server' | 'activity' | 'history')
+ * @property {string|null} logViewServer - Process the server tab is narrowed to (null = all)
+ * @property {import('./journal').JournalEntry[]|null} journalEntries - Persisted entries shown
+ *   on the history tab, newest first (null until loaded)
+ * @property {string|null} journalDay - Day (`YYYY-MM-DD`) the history tab is filtered to
+ *   (null = most recent entries)
  * @property {boolean} actionMode - Action modal active
  * @property {Object|null} actionData - Action modal data
  * @property {boolean} actionLoading - Action modal loading state
+ * @property {ActionPrompt|null} actionPrompt - Prompt open inside the action modal
+ * @property {boolean} ciLogMode - Failing CI job log open (on top of the action modal)
+ * @property {{jobId: string, name: string, url: string|null, lines: string[]|null, error: string|null}|null} ciLog -
+ *   Log shown in the overlay (`lines` is null while it's being fetched)
+ * @property {number} ciLogScrollOffset - First log line shown
+ * @property {boolean} prFormMode - "Create PR" form open (on top of the action modal)
+ * @property {PrForm|null} prForm - Contents of the form
  * @property {FlashMessage|string|null} flashMessage - Current flash message. The TUI's
  *   showFlash() stores a bare string; Store.flash() (used by the web dashboard) stores
  *   a FlashMessage. Consumers must handle both forms.
@@ -105,6 +193,9 @@
  * @property {boolean} divergeConfirmMode - Divergence resolution dialog active
  * @property {number} divergeConfirmSelectedIndex - Selected option in divergence dialog
  * @property {{branch: string, ahead: number, behind: number, remoteCommit: string|null}|null} divergeData - Divergence dialog data
+ * @property {boolean} installConfirmMode - Dependency install prompt active
+ * @property {number} installConfirmSelectedIndex - Selected option in the install prompt
+ * @property {PendingInstall|null} pendingInstall - Installs waiting for an answer (TUI or web)
  * @property {ActivityLogEntry[]} activityLog - Activity log entries
  * @property {SwitchHistoryEntry[]} switchHistory - Branch switch history
  * @property {boolean} isPolling - Currently polling git
@@ -116,6 +207,9 @@
  * @property {boolean} inactivityBackoffEnabled - Ease off polling when the repo is idle
  * @property {boolean} serverRunning - Server process is running
  * @property {boolean} serverCrashed - Server process crashed
+ * @property {import('../server/process').ServerProcessStatus[]} serverProcesses - Command-mode processes
+ * @property {import('../server/process').ServerProcessState|null} serverStatus - The processes rolled up
+ *   (the most pressing state any of them is in)
  * @property {ServerLogEntry[]} serverLogs - Server log buffer (legacy)
  * @property {ServerLogEntry[]} serverLogBuffer - Server log buffer
  * @property {number} logScrollOffset - Scroll position in log view
@@ -128,11 +222,14 @@
  * @property {Map<string, string>} sparklineCache - Branch sparkline cache
  * @property {Map<string, Object>} branchPrStatusMap - Branch PR status cache
  * @property {Map<string, Object>} aheadBehindCache - Branch ahead/behind cache
+ * @property {Map<string, number>} activityCache - Commits per branch in the sparkline window
+ * @property {string|null} repoPlatform - Hosting platform of the remote (github, gitlab...), once detected
  * @property {string} serverMode - Server mode ('static' | 'command' | 'none')
  * @property {boolean} noServer - No server mode
  * @property {number} port - Server port
  * @property {number} maxLogEntries - Max activity log entries
  * @property {string} projectName - Project name
+ * @property {string[]} monitoredRemotes - Remotes whose branches are listed, primary first
  * @property {number} clientCount - Connected SSE clients
  * @property {string|null} updateAvailable - Latest version if update available, or null
  * @property {boolean} updateModalVisible - Whether the update notification modal is shown
@@ -152,6 +249,9 @@ function getInitialState() {
     selectedIndex: 0,
     selectedBranchName: null,
     filteredBranches: null,
+    sortMode: 'date',
+    groupByPrefix: false,
+    collapsedGroups: [],
     isDetachedHead: false,
     hasMergeConflict: false,
     inProgressOperation: null,
@@ -164,14 +264,36 @@ function getInitialState() {
     searchQuery: '',
     previewMode: false,
     previewData: null,
+    previewFileIndex: 0,
+    diffViewMode: false,
+    diffFiles: null,
+    diffError: null,
+    diffFileIndex: 0,
+    diffScrollOffset: 0,
     historyMode: false,
+    worktreeMode: false,
+    worktrees: null,
+    worktreeSelectedIndex: 0,
+    serverWorktree: null,
+    digestMode: false,
+    digest: null,
+    digestScrollOffset: 0,
     infoMode: false,
     helpMode: false,
     logViewMode: false,
     logViewTab: 'server',
+    logViewServer: null,
+    journalEntries: null,
+    journalDay: null,
     actionMode: false,
     actionData: null,
     actionLoading: false,
+    actionPrompt: null,
+    ciLogMode: false,
+    ciLog: null,
+    ciLogScrollOffset: 0,
+    prFormMode: false,
+    prForm: null,
 
     // Notifications
     flashMessage: null,
@@ -185,6 +307,9 @@ function getInitialState() {
     divergeConfirmMode: false,
     divergeConfirmSelectedIndex: 0,
     divergeData: null,
+    installConfirmMode: false,
+    installConfirmSelectedIndex: 0,
+    pendingInstall: null,
 
     // Activity tracking
     activityLog: [],
@@ -202,6 +327,8 @@ function getInitialState() {
     // Server state
     serverRunning: false,
     serverCrashed: false,
+    serverProcesses: [],
+    serverStatus: null,
     serverLogs: [],
     serverLogBuffer: [],
     logScrollOffset: 0,
@@ -219,6 +346,8 @@ function getInitialState() {
     sparklineCache: new Map(),
     branchPrStatusMap: new Map(),
     aheadBehindCache: new Map(),
+    activityCache: new Map(),
+    repoPlatform: null,
 
     // Config (set once at startup, treated as read-only after)
     serverMode: 'static',
@@ -226,6 +355,7 @@ function getInitialState() {
     port: 3000,
     maxLogEntries: 10,
     projectName: '',
+    monitoredRemotes: ['origin'],
     clientCount: 0,
 
     // Version check
@@ -276,6 +406,9 @@ class Store {
     if (snapshot.aheadBehindCache instanceof Map) {
       snapshot.aheadBehindCache = new Map(snapshot.aheadBehindCache);
     }
+    if (snapshot.activityCache instanceof Map) {
+      snapshot.activityCache = new Map(snapshot.activityCache);
+    }
     return snapshot;
   }
 
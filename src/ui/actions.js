@@ -15,8 +15,10 @@ const {
   isEscapeKey,
   isEnterKey,
   KEYS,
-  filterBranches,
 } = require('./keybindings');
+const { arrangeBranches, nextSortMode } = require('./branch-list');
+const { shiftDayKey } = require('../utils/time');
+const { MERGE_METHODS } = require('../git/pr-actions');
 
 /** @typedef {import('../state/store').State} State */
 
@@ -27,7 +29,7 @@ const {
 /**
  * Return the branch list that is currently visible (filtered or full).
  * @param {State} state
- * @returns {Array<{name: string}>}
+ * @returns {Array<{name: string, isGroupHeader?: boolean}>}
  */
 function getDisplayBranches(state) {
   return state.filteredBranches !== null ? state.filteredBranches : state.branches;
@@ -105,14 +107,14 @@ function handleSearchInput(state, key) {
     const updates = { searchMode: false };
     if (isEscapeKey(key)) {
       updates.searchQuery = '';
-      updates.filteredBranches = null;
+      updates.filteredBranches = arrangeBranches({ ...state, searchQuery: '' });
     }
     return updates;
   }
 
   if (isBackspaceKey(key)) {
     const newQuery = state.searchQuery.slice(0, -1);
-    const filtered = filterBranches(state.branches, newQuery);
+    const filtered = arrangeBranches({ ...state, searchQuery: newQuery });
     let newIndex = state.selectedIndex;
     if (filtered && newIndex >= filtered.length) {
       newIndex = Math.max(0, filtered.length - 1);
@@ -126,7 +128,7 @@ function handleSearchInput(state, key) {
 
   if (isPrintableChar(key)) {
     const newQuery = state.searchQuery + key;
-    const filtered = filterBranches(state.branches, newQuery);
+    const filtered = arrangeBranches({ ...state, searchQuery: newQuery });
     let newIndex = state.selectedIndex;
     if (filtered && newIndex >= filtered.length) {
       newIndex = Math.max(0, filtered.length - 1);
@@ -141,6 +143,65 @@ function handleSearchInput(state, key) {
   return null; // Key not handled
 }
 
+// ---------------------------------------------------------------------------
+// Sorting and grouping
+// ---------------------------------------------------------------------------
+
+/**
+ * Re-derive the visible list after `updates`, keeping the cursor on the
+ * same row (branch or group header) when it is still listed.
+ * @param {State} state
+ * @param {object} [updates] - Changes to apply before arranging
+ * @returns {object} `updates` plus filteredBranches and the selection
+ */
+function refreshBranchView(state, updates = {}) {
+  const next = { ...state, ...updates };
+  const filteredBranches = arrangeBranches(next);
+  const rows = filteredBranches !== null ? filteredBranches : next.branches;
+  let selectedIndex = rows.findIndex((row) => row.name === state.selectedBranchName);
+  if (selectedIndex < 0) selectedIndex = Math.min(state.selectedIndex, Math.max(0, rows.length - 1));
+  return {
+    ...updates,
+    filteredBranches,
+    selectedIndex,
+    selectedBranchName: rows[selectedIndex] ? rows[selectedIndex].name : null,
+  };
+}
+
+/**
+ * Switch to the next sort mode (date → name → ahead/behind → PR state →
+ * activity → date).
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function cycleSortMode(state) {
+  return refreshBranchView(state, { sortMode: nextSortMode(state.sortMode || 'date') });
+}
+
+/**
+ * Turn grouping by branch name prefix on or off.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function toggleGrouping(state) {
+  return refreshBranchView(state, { groupByPrefix: !state.groupByPrefix });
+}
+
+/**
+ * Collapse or expand a group of branches.
+ * @param {State} state
+ * @param {string} prefix - Group header name, e.g. "claude/"
+ * @returns {object} State updates.
+ */
+function toggleGroup(state, prefix) {
+  const collapsed = state.collapsedGroups || [];
+  return refreshBranchView(state, {
+    collapsedGroups: collapsed.includes(prefix)
+      ? collapsed.filter((g) => g !== prefix)
+      : [...collapsed, prefix],
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Modal toggles
 // ---------------------------------------------------------------------------
@@ -188,16 +249,18 @@ function toggleHelp(state) {
 }
 
 /**
- * Toggle the log viewer panel.
- * No-ops when running without a server (`state.noServer`).
+ * Toggle the log viewer panel. Without a server (`state.noServer`) there is
+ * no server tab, so it opens on the activity tab instead.
  * @param {State} state
- * @returns {object|null} State updates, or null if no server is configured.
+ * @returns {object} State updates.
  */
 function toggleLogView(state) {
-  if (state.noServer) return null;
   if (state.logViewMode) {
     return { logViewMode: false, logScrollOffset: 0 };
   }
+  if (state.noServer && state.logViewTab === 'server') {
+    return { logViewMode: true, logScrollOffset: 0, logViewTab: 'activity' };
+  }
   return { logViewMode: true, logScrollOffset: 0 };
 }
 
@@ -207,7 +270,240 @@ function toggleLogView(state) {
  * @returns {object} State updates.
  */
 function closeActionModal(state) {
-  return { actionMode: false, actionData: null, actionLoading: false };
+  return {
+    actionMode: false, actionData: null, actionLoading: false,
+    ...closeActionPrompt(state), ...closeCiLog(state), ...closePrForm(state),
+  };
+}
+
+/**
+ * Open a prompt inside the action modal. Merge prompts start on the given
+ * method (the configured one); text prompts start empty.
+ * @param {State} state
+ * @param {import('../state/store').ActionPrompt['kind']} kind
+ * @param {string} [method] - Merge method to highlight
+ * @returns {object} State updates.
+ */
+function openActionPrompt(state, kind, method) {
+  const index = method ? MERGE_METHODS.indexOf(/** @type {any} */ (method)) : 0;
+  return { actionPrompt: { kind, input: '', selectedIndex: Math.max(0, index) } };
+}
+
+/**
+ * Close the action modal's prompt without running anything.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function closeActionPrompt(state) {
+  return { actionPrompt: null };
+}
+
+/**
+ * Process a keypress in the action modal's prompt: up/down move through
+ * merge methods, typing and backspace edit text input. Escape and Enter are
+ * left to the caller, which runs or cancels the action.
+ * @param {State} state
+ * @param {string} key
+ * @returns {object|null} State updates, or null if the key was not handled.
+ */
+function editActionPrompt(state, key) {
+  const prompt = state.actionPrompt;
+  if (!prompt) return null;
+  if (prompt.kind === 'merge' || prompt.kind === 'auto-merge') {
+    let delta = 0;
+    if (key === KEYS.UP || key === 'k') delta = -1;
+    else if (key === KEYS.DOWN || key === 'j') delta = 1;
+    if (!delta) return null;
+    const selectedIndex = Math.min(Math.max(0, prompt.selectedIndex + delta), MERGE_METHODS.length - 1);
+    return selectedIndex === prompt.selectedIndex ? null : { actionPrompt: { ...prompt, selectedIndex } };
+  }
+  if (isBackspaceKey(key)) {
+    return { actionPrompt: { ...prompt, input: prompt.input.slice(0, -1) } };
+  }
+  if (isPrintableChar(key)) {
+    return { actionPrompt: { ...prompt, input: prompt.input + key } };
+  }
+  return null;
+}
+
+/**
+ * Open the failing-job log overlay for a CI check. The log is fetched
+ * separately; showCiLog() fills it in.
+ * @param {State} state
+ * @param {import('../git/pr').CiCheck} check - Check with a job id
+ * @returns {object} State updates.
+ */
+function openCiLog(state, check) {
+  return {
+    ciLogMode: true,
+    ciLog: { jobId: /** @type {string} */ (check.id), name: check.name, url: check.url, lines: null, error: null },
+    ciLogScrollOffset: 0,
+  };
+}
+
+/**
+ * Fill in the fetched log, scrolled to the end where failures are reported.
+ * Ignored if the overlay was closed or moved on to another job meanwhile.
+ * @param {State} state
+ * @param {string} jobId
+ * @param {{lines?: string[], error?: string}} result
+ * @param {number} visibleRows - Lines that fit in the overlay
+ * @returns {object|null} State updates, or null if the result is stale.
+ */
+function showCiLog(state, jobId, result, visibleRows) {
+  if (!state.ciLogMode || !state.ciLog || state.ciLog.jobId !== jobId) return null;
+  const lines = result.lines || [];
+  return {
+    ciLog: { ...state.ciLog, lines, error: result.error || null },
+    ciLogScrollOffset: Math.max(0, lines.length - visibleRows),
+  };
+}
+
+/**
+ * Close the CI log overlay, back to the action modal.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function closeCiLog(state) {
+  return { ciLogMode: false, ciLog: null, ciLogScrollOffset: 0 };
+}
+
+/**
+ * Scroll the CI log.
+ * @param {State} state
+ * @param {number} delta - Lines to move (negative scrolls up)
+ * @param {number} visibleRows - Lines that fit in the overlay
+ * @returns {object|null} State updates, or null if there's nothing to scroll.
+ */
+function scrollCiLog(state, delta, visibleRows) {
+  const count = state.ciLog && state.ciLog.lines ? state.ciLog.lines.length : 0;
+  const maxScroll = Math.max(0, count - visibleRows);
+  const clamped = Math.min(Math.max(0, state.ciLogScrollOffset + delta), maxScroll);
+  return clamped === state.ciLogScrollOffset ? null : { ciLogScrollOffset: clamped };
+}
+
+// ---------------------------------------------------------------------------
+// Create PR form
+// ---------------------------------------------------------------------------
+
+/** @type {ReadonlyArray<import('../state/store').PrForm['field']>} */
+const PR_FORM_FIELDS = Object.freeze(/** @type {const} */ (['title', 'body', 'base', 'draft', 'reviewers', 'submit']));
+
+/**
+ * Open the "create PR" form for a branch. Title, body and base are
+ * pre-filled by fillPrForm() once the branch's commits have been read.
+ * @param {State} state
+ * @param {string} branch - Head branch
+ * @returns {object} State updates.
+ */
+function openPrForm(state, branch) {
+  return {
+    prFormMode: true,
+    prForm: {
+      branch, title: '', body: '', base: '', draft: false, reviewers: '',
+      field: 'title', loading: true, submitting: false, error: null,
+    },
+  };
+}
+
+/**
+ * Pre-fill the form from the branch's commits. Fields typed into while the
+ * commits were being read are kept. Ignored if the form was closed or
+ * reopened for another branch meanwhile.
+ * @param {State} state
+ * @param {string} branch
+ * @param {{title: string, body: string, base: string}} draft
+ * @returns {object|null} State updates, or null if the draft is stale.
+ */
+function fillPrForm(state, branch, draft) {
+  const form = state.prForm;
+  if (!state.prFormMode || !form || form.branch !== branch) return null;
+  return {
+    prForm: {
+      ...form,
+      title: form.title || draft.title,
+      body: form.body || draft.body,
+      base: form.base || draft.base,
+      loading: false,
+    },
+  };
+}
+
+/**
+ * Text a keypress (or a paste, which arrives as one chunk) adds to a field.
+ * Escape sequences add nothing; newlines only survive in multi-line fields.
+ * @param {string} key
+ * @param {boolean} multiline
+ * @returns {string}
+ */
+function typedText(key, multiline) {
+  if (key.startsWith(KEYS.ESCAPE)) return '';
+  const text = key.replace(/\r\n?/g, '\n');
+  // eslint-disable-next-line no-control-regex
+  return (multiline ? text : text.replace(/\n/g, ' ')).replace(/[\x00-\x09\x0b-\x1f\x7f]/g, '');
+}
+
+/**
+ * Process a keypress in the "create PR" form: Tab/Shift+Tab and the arrows
+ * move between fields, Enter moves on (or adds a line to the body), Space
+ * or Enter toggles the draft flag, and typing edits the focused field.
+ * Enter on the submit button and Escape are left to the caller.
+ * @param {State} state
+ * @param {string} key
+ * @returns {object|null} State updates, or null if the key was not handled.
+ */
+function editPrForm(state, key) {
+  const form = state.prForm;
+  if (!state.prFormMode || !form || form.submitting) return null;
+  const index = PR_FORM_FIELDS.indexOf(form.field);
+  const focus = (/** @type {number} */ i) => {
+    const next = PR_FORM_FIELDS[Math.min(Math.max(0, i), PR_FORM_FIELDS.length - 1)];
+    return next === form.field ? null : { prForm: { ...form, field: next } };
+  };
+
+  if (key === KEYS.TAB || key === KEYS.DOWN) return focus(index + 1);
+  if (key === KEYS.SHIFT_TAB || key === KEYS.UP) return focus(index - 1);
+  if (form.field === 'submit') return null;
+  if (form.field === 'draft') {
+    return key === ' ' || isEnterKey(key) ? { prForm: { ...form, draft: !form.draft } } : null;
+  }
+  const field = form.field;
+  if (isEnterKey(key) && field !== 'body') return focus(index + 1);
+  if (isBackspaceKey(key)) {
+    return form[field] ? { prForm: { ...form, [field]: form[field].slice(0, -1) } } : null;
+  }
+  const text = typedText(key, field === 'body');
+  return text ? { prForm: { ...form, [field]: form[field] + text } } : null;
+}
+
+/**
+ * Mark the form as submitted, clearing the previous error.
+ * @param {State} state
+ * @returns {object|null} State updates, or null if the form is closed.
+ */
+function submitPrForm(state) {
+  if (!state.prFormMode || !state.prForm) return null;
+  return { prForm: { ...state.prForm, submitting: true, error: null } };
+}
+
+/**
+ * Show why a submission failed and let the user edit and retry.
+ * @param {State} state
+ * @param {string} error
+ * @returns {object|null} State updates, or null if the form is closed.
+ */
+function failPrForm(state, error) {
+  if (!state.prFormMode || !state.prForm) return null;
+  return { prForm: { ...state.prForm, submitting: false, error } };
+}
+
+/**
+ * Close the "create PR" form, back to the action modal.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function closePrForm(state) {
+  return { prFormMode: false, prForm: null };
 }
 
 // ---------------------------------------------------------------------------
@@ -217,13 +513,38 @@ function closeActionModal(state) {
 /**
  * Switch the active tab inside the log viewer.
  * @param {State} state
- * @param {string} tab - The tab identifier (e.g. 'server' or 'activity').
+ * @param {string} tab - The tab identifier ('server', 'activity' or 'history').
  * @returns {object} State updates.
  */
 function switchLogTab(state, tab) {
   return { logViewTab: tab, logScrollOffset: 0 };
 }
 
+/**
+ * Server log lines on the server tab: all of them, or one process's.
+ * @param {State} state
+ * @returns {import('../state/store').ServerLogEntry[]}
+ */
+function visibleServerLog(state) {
+  const name = state.logViewServer;
+  return name ? state.serverLogBuffer.filter((entry) => entry.process === name) : state.serverLogBuffer;
+}
+
+/**
+ * Step the server tab through all processes, then each one in config order.
+ * @param {State} state
+ * @param {number} delta - 1 for the next process, -1 for the previous
+ * @returns {object|null} State updates, or null with fewer than two processes.
+ */
+function cycleLogServer(state, delta) {
+  const names = (state.serverProcesses || []).map((p) => p.name);
+  if (names.length < 2) return null;
+  const choices = [null, ...names];
+  const index = Math.max(0, choices.indexOf(state.logViewServer));
+  const next = choices[(index + delta + choices.length) % choices.length];
+  return { logViewServer: next, logScrollOffset: 0 };
+}
+
 /**
  * Scroll the log viewer up or down by one line.
  * @param {State} state
@@ -231,7 +552,9 @@ function switchLogTab(state, tab) {
  * @returns {object} State updates.
  */
 function scrollLog(state, direction) {
-  const logData = state.logViewTab === 'server' ? state.serverLogBuffer : state.activityLog;
+  const logData = state.logViewTab === 'server' ? visibleServerLog(state)
+    : state.logViewTab === 'history' ? (state.journalEntries || [])
+    : state.activityLog;
   const maxScroll = Math.max(0, logData.length - 10);
 
   if (direction === 'up') {
@@ -241,6 +564,111 @@ function scrollLog(state, direction) {
   }
 }
 
+/**
+ * Step the history tab's day filter. Stepping back from "recent" starts at
+ * today; stepping forward stops at today.
+ * @param {State} state
+ * @param {number} delta - Days to move (-1 = previous day)
+ * @param {string} today - Today's `YYYY-MM-DD` key
+ * @returns {object|null} State updates, or null if the day doesn't change.
+ */
+function shiftJournalDay(state, delta, today) {
+  const next = state.journalDay ? shiftDayKey(state.journalDay, delta) : (delta < 0 ? today : null);
+  if (!next || next > today || next === state.journalDay) return null;
+  return { journalDay: next, journalEntries: null, logScrollOffset: 0 };
+}
+
+/**
+ * Clear the history tab's day filter to show the most recent entries.
+ * @param {State} state
+ * @returns {object|null} State updates, or null if already unfiltered.
+ */
+function clearJournalDay(state) {
+  if (!state.journalDay) return null;
+  return { journalDay: null, journalEntries: null, logScrollOffset: 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Preview file list and diff viewer
+// ---------------------------------------------------------------------------
+
+/**
+ * Move the file cursor in the preview pane.
+ * @param {State} state
+ * @param {'up'|'down'} direction
+ * @returns {object|null} State updates, or null if there is nothing to move.
+ */
+function movePreviewFile(state, direction) {
+  const files = state.previewData ? state.previewData.filesChanged : [];
+  if (files.length === 0) return null;
+  const next = state.previewFileIndex + (direction === 'up' ? -1 : 1);
+  return { previewFileIndex: Math.min(Math.max(0, next), files.length - 1) };
+}
+
+/**
+ * Open the diff viewer on a file. `diffFiles` is filled in by the caller
+ * once the diff has loaded (null renders a loading message).
+ * @param {State} state
+ * @returns {object|null} State updates, or null if no file is selected.
+ */
+function openDiffView(state) {
+  const files = state.previewData ? state.previewData.filesChanged : [];
+  if (files.length === 0) return null;
+  return { diffViewMode: true, diffFileIndex: 0, diffScrollOffset: 0, diffError: null };
+}
+
+/**
+ * Close the diff viewer and return to the preview pane. The loaded diff is
+ * kept so reopening another file of the same branch is instant.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function closeDiffView(state) {
+  return { diffViewMode: false, diffScrollOffset: 0 };
+}
+
+/**
+ * Scroll the diff by `delta` lines (negative scrolls up).
+ * @param {State} state
+ * @param {number} delta
+ * @param {number} maxScroll - Last offset that still fills the page
+ * @returns {object} State updates.
+ */
+function scrollDiff(state, delta, maxScroll) {
+  const next = state.diffScrollOffset + delta;
+  return { diffScrollOffset: Math.min(Math.max(0, next), Math.max(0, maxScroll)) };
+}
+
+/**
+ * Jump to the next or previous hunk header of the current file.
+ * @param {State} state
+ * @param {'next'|'prev'} direction
+ * @param {number} maxScroll - Last offset that still fills the page
+ * @returns {object|null} State updates, or null if there is no such hunk.
+ */
+function jumpToHunk(state, direction, maxScroll) {
+  const file = state.diffFiles && state.diffFiles[state.diffFileIndex];
+  if (!file) return null;
+  const current = Math.min(state.diffScrollOffset, Math.max(0, maxScroll));
+  const target = direction === 'next'
+    ? file.hunkStarts.find((start) => start > current)
+    : [...file.hunkStarts].reverse().find((start) => start < current);
+  if (target === undefined) return null;
+  return { diffScrollOffset: target };
+}
+
+/**
+ * Show the next or previous file of the diff, wrapping around.
+ * @param {State} state
+ * @param {number} delta - +1 for next, -1 for previous
+ * @returns {object|null} State updates, or null if the diff isn't loaded.
+ */
+function switchDiffFile(state, delta) {
+  if (!state.diffFiles || state.diffFiles.length === 0) return null;
+  const count = state.diffFiles.length;
+  return { diffFileIndex: (state.diffFileIndex + delta + count) % count, diffScrollOffset: 0 };
+}
+
 // ---------------------------------------------------------------------------
 // Settings
 // ---------------------------------------------------------------------------
@@ -298,6 +726,96 @@ function decreaseVisibleBranches(state) {
   return null;
 }
 
+// ---------------------------------------------------------------------------
+// Worktree list
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the worktree list with freshly loaded worktrees, selecting the one
+ * the dev server runs from.
+ * @param {State} state
+ * @param {import('../git/worktree').Worktree[]} worktrees
+ * @returns {object} State updates.
+ */
+function openWorktreeList(state, worktrees) {
+  const servingPath = state.serverWorktree ? state.serverWorktree.path : null;
+  const serving = worktrees.findIndex((wt) => (servingPath ? wt.path === servingPath : wt.isMain));
+  return { worktreeMode: true, worktrees, worktreeSelectedIndex: Math.max(0, serving) };
+}
+
+/**
+ * Close the worktree list.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function closeWorktreeList(state) {
+  return { worktreeMode: false, worktrees: null, worktreeSelectedIndex: 0 };
+}
+
+/**
+ * Move the selection in the worktree list.
+ * @param {State} state
+ * @param {'up'|'down'} direction
+ * @returns {object|null} State updates, or null if the list is empty.
+ */
+function moveWorktreeSelection(state, direction) {
+  const worktrees = state.worktrees || [];
+  if (worktrees.length === 0) return null;
+  const next = state.worktreeSelectedIndex + (direction === 'up' ? -1 : 1);
+  return { worktreeSelectedIndex: Math.min(Math.max(0, next), worktrees.length - 1) };
+}
+
+// ---------------------------------------------------------------------------
+// Since-last-seen digest
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the digest overlay. Without a digest it shows a loading state until
+ * showDigest() fills it in.
+ * @param {State} state
+ * @param {import('../git/digest').Digest|null} [digest]
+ * @returns {object} State updates.
+ */
+function openDigest(state, digest = null) {
+  return { digestMode: true, digest, digestScrollOffset: 0 };
+}
+
+/**
+ * Fill in the digest once computed. Ignored if the overlay was closed
+ * in the meantime.
+ * @param {State} state
+ * @param {import('../git/digest').Digest} digest
+ * @returns {object|null} State updates, or null if the overlay is closed.
+ */
+function showDigest(state, digest) {
+  if (!state.digestMode) return null;
+  return { digest, digestScrollOffset: 0 };
+}
+
+/**
+ * Close the digest overlay.
+ * @param {State} state
+ * @returns {object} State updates.
+ */
+function closeDigest(state) {
+  return { digestMode: false, digest: null, digestScrollOffset: 0 };
+}
+
+/**
+ * Scroll the digest by one entry.
+ * @param {State} state
+ * @param {'up'|'down'} direction
+ * @param {number} visibleRows - Entries that fit in the overlay
+ * @returns {object|null} State updates, or null if there's nothing to scroll.
+ */
+function scrollDigest(state, direction, visibleRows) {
+  const count = state.digest ? state.digest.entries.length : 0;
+  const maxScroll = Math.max(0, count - visibleRows);
+  const next = state.digestScrollOffset + (direction === 'up' ? -1 : 1);
+  const clamped = Math.min(Math.max(0, next), maxScroll);
+  return clamped === state.digestScrollOffset ? null : { digestScrollOffset: clamped };
+}
+
 // ---------------------------------------------------------------------------
 // Cleanup confirm modal
 // ---------------------------------------------------------------------------
@@ -371,8 +889,10 @@ function dismissErrorToast(state) {
  * @returns {object} State updates (may include `_quit: true`).
  */
 function handleEscape(state) {
-  if (state.searchQuery || state.filteredBranches) {
-    return { searchQuery: '', filteredBranches: null };
+  // A sorted or grouped list is not a filter: Esc still quits
+  const arranged = (state.sortMode && state.sortMode !== 'date') || state.groupByPrefix;
+  if (state.searchQuery || (state.filteredBranches && !arranged)) {
+    return { searchQuery: '', filteredBranches: arrangeBranches({ ...state, searchQuery: '' }) };
   }
   // Quit signal
   return { _quit: true };
@@ -384,14 +904,15 @@ function handleEscape(state) {
 
 /**
  * Return the branch object that is currently highlighted, or null if the
- * selection is out of range or the list is empty.
+ * selection is out of range, the list is empty or a group header is selected.
  * @param {State} state
  * @returns {object|null} The selected branch, or null.
  */
 function getSelectedBranch(state) {
   const displayBranches = getDisplayBranches(state);
   if (displayBranches.length > 0 && state.selectedIndex < displayBranches.length) {
-    return displayBranches[state.selectedIndex];
+    const row = displayBranches[state.selectedIndex];
+    return row.isGroupHeader ? null : row;
   }
   return null;
 }
@@ -412,6 +933,12 @@ module.exports = {
   enterSearchMode,
   handleSearchInput,
 
+  // sorting and grouping
+  refreshBranchView,
+  cycleSortMode,
+  toggleGrouping,
+  toggleGroup,
+
   // modal toggles
   togglePreview,
   toggleHistory,
@@ -419,6 +946,35 @@ module.exports = {
   toggleHelp,
   toggleLogView,
   closeActionModal,
+  openActionPrompt,
+  closeActionPrompt,
+  editActionPrompt,
+
+  // CI log overlay
+  openCiLog,
+  showCiLog,
+  closeCiLog,
+  scrollCiLog,
+
+  // create PR form
+  PR_FORM_FIELDS,
+  openPrForm,
+  fillPrForm,
+  editPrForm,
+  submitPrForm,
+  failPrForm,
+  closePrForm,
+
+  // worktree list
+  openWorktreeList,
+  closeWorktreeList,
+  moveWorktreeSelection,
+
+  // since-last-seen digest
+  openDigest,
+  showDigest,
+  closeDigest,
+  scrollDigest,
 
   // cleanup confirm
   openCleanupConfirm,
@@ -427,6 +983,18 @@ module.exports = {
   // log view
   switchLogTab,
   scrollLog,
+  visibleServerLog,
+  cycleLogServer,
+  shiftJournalDay,
+  clearJournalDay,
+
+  // preview files / diff viewer
+  movePreviewFile,
+  openDiffView,
+  closeDiffView,
+  scrollDiff,
+  jumpToHunk,
+  switchDiffFile,
 
   // settings
   toggleSound,
@@ -0,0 +1,179 @@
+/**
+ * Sort modes and prefix grouping for the TUI branch list
+ *
+ * The poll loop keeps `state.branches` in date order (pinned first, merged
+ * and deleted branches sinking). The list the TUI shows is derived from it
+ * here: filtered by the search query, re-sorted by the chosen sort mode and
+ * optionally grouped by name prefix ("claude/", "feature/") under
+ * collapsible header rows.
+ *
+ * @module ui/branch-list
+ */
+
+const { filterBranches } = require('./keybindings');
+
+/** @typedef {import('../state/store').State} State */
+/** @typedef {import('../state/store').Branch} Branch */
+/** @typedef {import('../state/store').BranchGroupHeader} BranchGroupHeader */
+
+/**
+ * Sort modes, in the order the sort key cycles through them. 'date' is the
+ * poll loop's own order.
+ * @type {ReadonlyArray<'date'|'name'|'ahead-behind'|'pr'|'activity'>}
+ */
+const SORT_MODES = Object.freeze(/** @type {const} */ (['date', 'name', 'ahead-behind', 'pr', 'activity']));
+
+/**
+ * How each sort mode is named in the list title and flash messages.
+ * @type {Readonly<Record<string, string>>}
+ */
+const SORT_LABELS = Object.freeze({
+  date: 'date',
+  name: 'name',
+  'ahead-behind': 'ahead/behind',
+  pr: 'PR state',
+  activity: 'activity',
+});
+
+// Open PRs first, then branches still without one; finished PRs last
+const PR_STATE_ORDER = { OPEN: 0, NONE: 1, CLOSED: 2, MERGED: 3 };
+
+/**
+ * The sort mode after `mode`, wrapping around.
+ * @param {string} mode
+ * @returns {'date'|'name'|'ahead-behind'|'pr'|'activity'}
+ */
+function nextSortMode(mode) {
+  const index = SORT_MODES.indexOf(/** @type {any} */ (mode));
+  return SORT_MODES[(index + 1) % SORT_MODES.length];
+}
+
+/**
+ * Group a branch is listed under: its first path segment with the slash
+ * ("claude/fix-login" → "claude/"), or null for names without one.
+ * @param {string} name
+ * @returns {string|null}
+ */
+function branchGroup(name) {
+  const slash = name.indexOf('/');
+  return slash > 0 ? name.slice(0, slash + 1) : null;
+}
+
+/**
+ * Comparator for a sort mode. Pinned branches stay on top and deleted ones
+ * at the bottom, as in date order; ties keep the date order (Array#sort is
+ * stable).
+ * @param {string} mode - A SORT_MODES entry other than 'date'
+ * @param {State} state - For the PR, ahead/behind and activity caches
+ * @returns {(a: Branch, b: Branch) => number}
+ */
+function compareBranches(mode, state) {
+  const prStatusMap = state.branchPrStatusMap || new Map();
+  const aheadBehind = state.aheadBehindCache || new Map();
+  const activity = state.activityCache || new Map();
+  /** @param {Branch} b */
+  const counts = (b) => aheadBehind.get(b.name) || { ahead: 0, behind: 0 };
+  /** @param {Branch} b */
+  const prRank = (b) => {
+    const status = prStatusMap.get(b.name);
+    return status && status.state in PR_STATE_ORDER ? PR_STATE_ORDER[status.state] : PR_STATE_ORDER.NONE;
+  };
+
+  /** @type {(a: Branch, b: Branch) => number} */
+  let byMode;
+  if (mode === 'name') byMode = (a, b) => a.name.localeCompare(b.name);
+  else if (mode === 'ahead-behind') byMode = (a, b) => (counts(b).ahead - counts(a).ahead) || (counts(b).behind - counts(a).behind);
+  else if (mode === 'pr') byMode = (a, b) => prRank(a) - prRank(b);
+  else if (mode === 'activity') byMode = (a, b) => (activity.get(b.name) || 0) - (activity.get(a.name) || 0);
+  else byMode = () => 0;
+
+  return (a, b) => {
+    if (a.isDeleted !== b.isDeleted) return a.isDeleted ? 1 : -1;
+    if (Boolean(a.isPinned) !== Boolean(b.isPinned)) return a.isPinned ? -1 : 1;
+    return byMode(a, b);
+  };
+}
+
+/**
+ * Interleave group header rows with their branches. Branches without a
+ * prefix come first, then each group in the order its first branch appears.
+ * @param {Branch[]} branches - Already sorted
+ * @param {string[]} collapsedGroups - Prefixes whose branches are hidden
+ * @returns {Array<Branch|BranchGroupHeader>}
+ */
+function groupByPrefix(branches, collapsedGroups) {
+  /** @type {Array<Branch|BranchGroupHeader>} */
+  const rows = [];
+  /** @type {Map<string, Branch[]>} */
+  const groups = new Map();
+  for (const branch of branches) {
+    const group = branchGroup(branch.name);
+    if (!group) {
+      rows.push(branch);
+    } else if (groups.has(group)) {
+      groups.get(group).push(branch);
+    } else {
+      groups.set(group, [branch]);
+    }
+  }
+  for (const [group, members] of groups) {
+    const collapsed = collapsedGroups.includes(group);
+    rows.push({
+      name: group,
+      isGroupHeader: true,
+      count: members.length,
+      collapsed,
+      hasUpdates: members.some((b) => !b.isDeleted && (b.hasUpdates || b.isNew)),
+    });
+    if (!collapsed) rows.push(...members);
+  }
+  return rows;
+}
+
+/**
+ * Per-branch data the search qualifiers need beyond the branch itself
+ * (pr:, ci:, ahead:, behind:), looked up in the state caches.
+ * @param {State} state
+ * @returns {(branch: Branch) => Object}
+ */
+function queryInfo(state) {
+  const prStatusMap = state.branchPrStatusMap || new Map();
+  const aheadBehind = state.aheadBehindCache || new Map();
+  const now = Date.now();
+  return (branch) => {
+    const counts = aheadBehind.get(branch.name);
+    return {
+      pr: prStatusMap.get(branch.name) || null,
+      ahead: counts ? counts.ahead : undefined,
+      behind: counts ? counts.behind : undefined,
+      now,
+    };
+  };
+}
+
+/**
+ * The rows the TUI lists: state.branches filtered by the search query,
+ * sorted by `state.sortMode` and grouped when `state.groupByPrefix` is on.
+ * While searching, collapsed groups are expanded so matches stay visible.
+ * @param {State} state
+ * @returns {Array<Branch|BranchGroupHeader>|null} Null when the list is
+ *   state.branches as-is (date order, no search, no grouping)
+ */
+function arrangeBranches(state) {
+  const sortMode = state.sortMode || 'date';
+  const filtered = filterBranches(state.branches, state.searchQuery, queryInfo(state));
+  if (sortMode === 'date' && !state.groupByPrefix) return filtered;
+
+  const branches = (filtered || state.branches).slice();
+  if (sortMode !== 'date') branches.sort(compareBranches(sortMode, state));
+  if (!state.groupByPrefix) return branches;
+  return groupByPrefix(branches, state.searchQuery ? [] : (state.collapsedGroups || []));
+}
+
+module.exports = {
+  SORT_MODES,
+  SORT_LABELS,
+  nextSortMode,
+  branchGroup,
+  arrangeBranches,
+};
@@ -3,6 +3,8 @@
  * @module ui/keybindings
  */
 
+const { parseBranchQuery, matchBranchQuery } = require('../server/web-ui/pure');
+
 /**
  * Key constants for special keys
  */
@@ -10,6 +12,8 @@ const KEYS = {
   UP: '\u001b[A',
   DOWN: '\u001b[B',
   ENTER: '\r',
+  TAB: '\t',
+  SHIFT_TAB: '\u001b[Z',
   NEWLINE: '\n',
   ESCAPE: '\u001b',
   BACKSPACE: '\u007f',
@@ -24,9 +28,14 @@ const MODES = {
   NORMAL: 'normal',
   SEARCH: 'search',
   PREVIEW: 'preview',
+  DIFF: 'diff',
   HISTORY: 'history',
+  WORKTREES: 'worktrees',
+  DIGEST: 'digest',
   INFO: 'info',
   LOG_VIEW: 'log_view',
+  CI_LOG: 'ci_log',
+  PR_FORM: 'pr_form',
   ACTION: 'action',
   HELP: 'help',
 };
@@ -35,20 +44,30 @@ const MODES = {
  * Determine the current UI mode from state flags.
  * @param {object} state
  * @param {boolean} state.searchMode
+ * @param {boolean} [state.diffViewMode]
  * @param {boolean} state.previewMode
  * @param {boolean} state.historyMode
+ * @param {boolean} [state.worktreeMode]
+ * @param {boolean} [state.digestMode]
  * @param {boolean} state.infoMode
  * @param {boolean} state.logViewMode
+ * @param {boolean} [state.ciLogMode]
+ * @param {boolean} [state.prFormMode]
  * @param {boolean} state.actionMode
  * @param {boolean} state.helpMode
  * @returns {string} One of MODES values
  */
 function getCurrentMode(state) {
   if (state.searchMode) return MODES.SEARCH;
+  if (state.diffViewMode) return MODES.DIFF;
   if (state.previewMode) return MODES.PREVIEW;
   if (state.historyMode) return MODES.HISTORY;
+  if (state.worktreeMode) return MODES.WORKTREES;
+  if (state.digestMode) return MODES.DIGEST;
   if (state.infoMode) return MODES.INFO;
   if (state.logViewMode) return MODES.LOG_VIEW;
+  if (state.ciLogMode) return MODES.CI_LOG;
+  if (state.prFormMode) return MODES.PR_FORM;
   if (state.actionMode) return MODES.ACTION;
   if (state.helpMode) return MODES.HELP;
   return MODES.NORMAL;
@@ -155,10 +174,22 @@ function getNormalModeAction(key) {
       return 'stash';
     case 'c':
       return 'toggle_casino';
+    case 'P':
+      return 'toggle_pin';
+    case 'M':
+      return 'toggle_mute';
+    case 'O':
+      return 'cycle_sort';
+    case 'g':
+      return 'toggle_grouping';
     case 'd':
       return 'cleanup_branches';
     case 'W':
       return 'toggle_web';
+    case 'w':
+      return 'worktrees';
+    case 'n':
+      return 'digest';
     case '?':
       return 'help';
     case 'q':
@@ -179,15 +210,20 @@ function getNormalModeAction(key) {
 }
 
 /**
- * Apply a search query to filter branches.
- * @param {Array<{name: string}>} branches - Full branch list
+ * Apply a search query to filter branches. The query syntax (qualifiers
+ * like `pr:open`, `/regex/`, fuzzy name terms) is shared with the web
+ * dashboard; see parseBranchQuery in server/web-ui/pure.
+ * @template {{name: string}} T
+ * @param {T[]} branches - Full branch list
  * @param {string} query - Search query
- * @returns {Array<{name: string}>|null} Filtered branches, or null if empty query
+ * @param {(branch: T) => Object} [getInfo] - PR status and ahead/behind
+ *   counts of a branch, for the qualifiers that need them (see matchBranchQuery)
+ * @returns {T[]|null} Filtered branches, or null if empty query
  */
-function filterBranches(branches, query) {
+function filterBranches(branches, query, getInfo) {
   if (!query) return null;
-  const lowerQuery = query.toLowerCase();
-  return branches.filter(b => b.name.toLowerCase().includes(lowerQuery));
+  const parsed = parseBranchQuery(query);
+  return branches.filter(b => matchBranchQuery(b, parsed, getInfo ? getInfo(b) : {}) !== null);
 }
 
 module.exports = {
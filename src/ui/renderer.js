@@ -20,9 +20,16 @@ const {
   clearArea,
   visibleLength,
   stripAnsi,
+  sanitizeForRender,
 } = require('../ui/ansi');
-const { formatTimeAgo, formatTimeCompact } = require('../utils/time');
+const os = require('os');
+const { formatTimeAgo, formatTimeCompact, formatElapsed } = require('../utils/time');
 const { isBaseBranch } = require('../git/pr');
+const { MERGE_METHODS } = require('../git/pr-actions');
+const { SORT_LABELS } = require('./branch-list');
+const { visibleServerLog } = require('./actions');
+const { parseBranchQuery, matchQueryName, queryNote } = require('../server/web-ui/pure');
+const { describeInstall } = require('../server/dependencies');
 const { detectInstallSource, getUpdateCommand } = require('../utils/install-source');
 const { version: PACKAGE_VERSION } = require('../../package.json');
 
@@ -54,6 +61,129 @@ function computeNamePadding(displayName, maxNameLen) {
   return Math.max(1, maxNameLen - visibleLength(displayName) + 2);
 }
 
+/**
+ * Underline the characters of a branch name that matched the search query.
+ * Indices refer to the full name, so only the prefix truncate() kept is
+ * marked; the ellipsis after it passes through untouched.
+ *
+ * @param {string} displayName - Already truncate()d branch name.
+ * @param {string} name - Full branch name.
+ * @param {number[]|null} indices - Matched characters (see matchQueryName).
+ * @returns {string}
+ */
+function underlineMatches(displayName, name, indices) {
+  if (!indices || indices.length === 0) return displayName;
+  let kept = 0;
+  while (kept < name.length && displayName[kept] === name[kept]) kept++;
+  const marked = new Set(indices);
+  let out = '';
+  let open = false;
+  for (let i = 0; i < kept; i++) {
+    if (marked.has(i) !== open) {
+      out += open ? ansi.resetUnderline : ansi.underline;
+      open = !open;
+    }
+    out += name[i];
+  }
+  if (open) out += ansi.resetUnderline;
+  return out + displayName.slice(kept);
+}
+
+// ---------------------------------------------------------------------------
+// Remote tag
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the "which remotes is this branch on" tag for the commit-info line,
+ * e.g. `[origin upstream↑1↓3]`. Each remote carries its own ahead/behind
+ * counts when they're non-zero. Only shown when more than one remote is
+ * monitored — with a single remote the tag would say the same thing on
+ * every row.
+ *
+ * @param {State} state
+ * @param {import('../state/store').Branch} branch
+ * @returns {{plain: string, colored: string}} Empty strings when no tag applies.
+ */
+function formatRemoteTag(state, branch) {
+  const monitored = state.monitoredRemotes || [];
+  if (monitored.length < 2 || !branch.remotes || branch.remotes.length === 0) {
+    return { plain: '', colored: '' };
+  }
+  const plainParts = [];
+  const coloredParts = [];
+  for (const remote of branch.remotes) {
+    const ab = (branch.remoteAheadBehind && branch.remoteAheadBehind[remote]) || { ahead: 0, behind: 0 };
+    let plain = remote;
+    let colored = ansi.blue + remote + ansi.reset;
+    if (ab.ahead > 0) {
+      plain += '\u2191' + fmtCompact(ab.ahead);
+      colored += ansi.brightCyan + '\u2191' + fmtCompact(ab.ahead) + ansi.reset;
+    }
+    if (ab.behind > 0) {
+      plain += '\u2193' + fmtCompact(ab.behind);
+      colored += ansi.yellow + '\u2193' + fmtCompact(ab.behind) + ansi.reset;
+    }
+    plainParts.push(plain);
+    coloredParts.push(colored);
+  }
+  return {
+    plain: '[' + plainParts.join(' ') + '] ',
+    colored: ansi.gray + '[' + ansi.reset + coloredParts.join(' ') + ansi.gray + '] ' + ansi.reset,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rule tag
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the pin/mute tag for the commit-info line, e.g. `[pinned muted]`.
+ *
+ * @param {import('../state/store').Branch} branch
+ * @returns {{plain: string, colored: string}} Empty strings for unflagged branches.
+ */
+function formatRuleTag(branch) {
+  const plainParts = [];
+  const coloredParts = [];
+  if (branch.isPinned) {
+    plainParts.push('pinned');
+    coloredParts.push(ansi.cyan + 'pinned' + ansi.reset);
+  }
+  if (branch.isMuted) {
+    plainParts.push('muted');
+    coloredParts.push(ansi.dim + 'muted' + ansi.reset);
+  }
+  if (plainParts.length === 0) return { plain: '', colored: '' };
+  return {
+    plain: '[' + plainParts.join(' ') + '] ',
+    colored: ansi.gray + '[' + ansi.reset + coloredParts.join(' ') + ansi.gray + '] ' + ansi.reset,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Author tag
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the attribution tag for the commit-info line: the coding agent
+ * behind the branch, e.g. `[claude]`, or else the tip commit's author
+ * (`Ann Lee:`) in front of the subject.
+ *
+ * @param {import('../state/store').Branch} branch
+ * @returns {{plain: string, colored: string}} Empty strings when the author is unknown.
+ */
+function formatAuthorTag(branch) {
+  if (branch.agent) {
+    return {
+      plain: '[' + branch.agent + '] ',
+      colored: ansi.magenta + '[' + branch.agent + '] ' + ansi.reset,
+    };
+  }
+  if (!branch.author) return { plain: '', colored: '' };
+  const name = stripAnsi(truncate(branch.author, 16));
+  return { plain: name + ': ', colored: ansi.gray + name + ':' + ansi.reset + ' ' };
+}
+
 // ---------------------------------------------------------------------------
 // Compact number formatting
 // ---------------------------------------------------------------------------
@@ -76,6 +206,35 @@ function fmtCompact(n) {
 // renderHeader
 // ---------------------------------------------------------------------------
 
+/** Header badges for dev server states worth calling out (crashed has its own) */
+const SERVER_STATUS_BADGES = {
+  starting: { label: ' STARTING ', color: ansi.bgYellow + ansi.black },
+  restarting: { label: ' RESTARTING ', color: ansi.bgYellow + ansi.black },
+  unhealthy: { label: ' UNHEALTHY ', color: ansi.bgRed + ansi.white },
+};
+
+/** Colour of each dev server state in the header dot and the log view */
+const SERVER_STATUS_COLORS = {
+  running: ansi.green,
+  ready: ansi.green,
+  starting: ansi.yellow,
+  restarting: ansi.yellow,
+  unhealthy: ansi.red,
+  crashed: ansi.red,
+  stopped: ansi.gray,
+};
+
+/** Per-process marker on the log view's sub-tabs */
+const SERVER_STATUS_ICONS = {
+  running: '\u25CF',
+  ready: '\u25CF',
+  starting: '\u25CC',
+  restarting: '\u25CC',
+  unhealthy: '!',
+  crashed: '\u2717',
+  stopped: '\u25CB',
+};
+
 /**
  * Render the top header bar.
  *
@@ -106,6 +265,10 @@ function renderHeader(state, write) {
     const label = ' CRASHED ';
     badges += ' ' + ansi.bgRed + ansi.white + label + ansi.bgBlue + ansi.white;
     badgesVisibleLen += 1 + label.length;
+  } else if (state.serverMode === 'command' && state.serverStatus in SERVER_STATUS_BADGES) {
+    const { label, color } = SERVER_STATUS_BADGES[state.serverStatus];
+    badges += ' ' + color + label + ansi.bgBlue + ansi.white;
+    badgesVisibleLen += 1 + label.length;
   }
   if (state.isOffline) {
     const label = ' OFFLINE ';
@@ -127,6 +290,11 @@ function renderHeader(state, write) {
     badges += ' ' + ansi.bgYellow + ansi.black + label + ansi.bgBlue + ansi.white;
     badgesVisibleLen += 1 + label.length;
   }
+  if (state.serverWorktree && state.serverMode !== 'none') {
+    const label = ` SERVING ${truncate(state.serverWorktree.branch || 'worktree', 20)} `;
+    badges += ' ' + ansi.bgCyan + ansi.black + label + ansi.bgBlue + ansi.white;
+    badgesVisibleLen += 1 + label.length;
+  }
   if (state.updateAvailable) {
     const label = ` UPDATE v${state.updateAvailable} `;
     badges += ' ' + ansi.bgMagenta + ansi.white + label + ansi.bgBlue + ansi.white;
@@ -152,9 +320,11 @@ function renderHeader(state, write) {
   if (state.serverMode === 'none') {
     serverInfoVisibleLen = 0;
   } else {
-    const statusDot = state.serverRunning
-      ? ansi.green + '\u25CF'
-      : (state.serverCrashed ? ansi.red + '\u25CF' : ansi.gray + '\u25CB');
+    const statusDot = state.serverStatus && state.serverStatus in SERVER_STATUS_COLORS
+      ? SERVER_STATUS_COLORS[state.serverStatus] + (state.serverStatus === 'stopped' ? '\u25CB' : '\u25CF')
+      : state.serverRunning
+        ? ansi.green + '\u25CF'
+        : (state.serverCrashed ? ansi.red + '\u25CF' : ansi.gray + '\u25CB');
     serverInfoVisibleLen = 2 + `localhost:${state.port} `.length; // dot + space + "localhost:PORT "
     serverInfo = statusDot + ansi.white + ` localhost:${state.port} `;
   }
@@ -173,6 +343,38 @@ function renderHeader(state, write) {
 // renderBranchList
 // ---------------------------------------------------------------------------
 
+/**
+ * Sort mode and grouping of the branch list, for its title: "by name,
+ * grouped". Empty for the default date order without grouping.
+ * @param {State} state
+ * @returns {string}
+ */
+function formatListArrangement(state) {
+  const parts = [];
+  if (state.sortMode && state.sortMode !== 'date') parts.push('by ' + SORT_LABELS[state.sortMode]);
+  if (state.groupByPrefix) parts.push('grouped');
+  return parts.join(', ');
+}
+
+/**
+ * One row for a group header in the branch list: a fold marker, the prefix
+ * and how many branches it holds ("▾ claude/ (4)"). Collapsed groups with
+ * new or updated branches say so, since those rows are hidden.
+ * @param {import('../state/store').BranchGroupHeader} header
+ * @param {boolean} isSelected
+ * @param {number} contentWidth
+ * @returns {string}
+ */
+function formatGroupHeader(header, isSelected, contentWidth) {
+  const cursor = isSelected ? ' \u25B6 ' : '   ';
+  const marker = header.collapsed ? '\u25B8' : '\u25BE';
+  const label = truncate(header.name, Math.max(4, contentWidth - 30));
+  let out = (isSelected ? ansi.inverse : '') + cursor + marker + ' ' + ansi.bold + label + ansi.reset;
+  out += ansi.gray + ` (${header.count})` + ansi.reset;
+  if (header.collapsed && header.hasUpdates) out += ansi.yellow + ' \u2193 updates' + ansi.reset;
+  return out;
+}
+
 /**
  * Render the branch list box.  Returns the row number at the bottom of the
  * box so that subsequent sections know where to start.
@@ -188,9 +390,10 @@ function renderBranchList(state, write) {
   const height = Math.min(state.visibleBranchCount * 2 + 4, Math.floor(state.terminalHeight * 0.5));
 
   const displayBranches = state.filteredBranches !== null ? state.filteredBranches : state.branches;
+  const arrangement = formatListArrangement(state);
   const boxTitle = state.searchMode
     ? `BRANCHES (/${state.searchQuery}_)`
-    : 'ACTIVE BRANCHES';
+    : 'ACTIVE BRANCHES' + (arrangement ? ` (${arrangement})` : '');
 
   write(drawBox(startRow, 1, boxWidth, height, boxTitle, ansi.cyan));
 
@@ -200,9 +403,14 @@ function renderBranchList(state, write) {
     write(' '.repeat(contentWidth + 2));
   }
 
-  // Header line
+  // Header line, carrying a warning about qualifiers the platform can't answer
   write(ansi.moveTo(startRow + 1, 2));
   write(ansi.gray + '\u2500'.repeat(contentWidth + 2) + ansi.reset);
+  const note = state.searchQuery ? queryNote(parseBranchQuery(state.searchQuery), state.repoPlatform || null) : null;
+  if (note) {
+    write(ansi.moveTo(startRow + 1, 3));
+    write(ansi.yellow + ' ' + truncate(note, contentWidth - 2) + ' ' + ansi.reset);
+  }
 
   if (displayBranches.length === 0) {
     write(ansi.moveTo(startRow + 3, 4));
@@ -214,10 +422,18 @@ function renderBranchList(state, write) {
     return startRow + height;
   }
 
+  const nameQuery = state.searchQuery ? parseBranchQuery(state.searchQuery) : null;
   let row = startRow + 2;
   for (let i = 0; i < displayBranches.length && i < state.visibleBranchCount; i++) {
-    const branch = displayBranches[i];
+    const entry = displayBranches[i];
     const isSelected = i === state.selectedIndex;
+    if ('isGroupHeader' in entry) {
+      write(ansi.moveTo(row, 2));
+      write(formatGroupHeader(entry, isSelected, contentWidth));
+      row++;
+      continue;
+    }
+    const branch = entry;
     const isCurrent = branch.name === state.currentBranch;
     const timeAgo = formatTimeCompact(branch.date);
     const sparkline = state.sparklineCache.get(branch.name) || '       ';
@@ -273,24 +489,27 @@ function renderBranchList(state, write) {
     const maxNameLen = contentWidth - fixedWidth;
     const displayName = truncate(branch.name, maxNameLen);
     const namePadding = computeNamePadding(displayName, maxNameLen);
+    const shownName = nameQuery
+      ? underlineMatches(displayName, branch.name, matchQueryName(branch.name, nameQuery))
+      : displayName;
 
     if (isSelected) write(ansi.inverse);
     write(cursor);
 
     if (branch.isDeleted) {
-      write(ansi.gray + ansi.dim + displayName + ansi.reset);
+      write(ansi.gray + ansi.dim + shownName + ansi.reset);
       if (isSelected) write(ansi.inverse);
     } else if (isMerged && !isCurrent) {
-      write(ansi.dim + ansi.fg256(103) + displayName + ansi.reset);
+      write(ansi.dim + ansi.fg256(103) + shownName + ansi.reset);
       if (isSelected) write(ansi.inverse);
     } else if (isCurrent) {
-      write(ansi.green + ansi.bold + displayName + ansi.reset);
+      write(ansi.green + ansi.bold + shownName + ansi.reset);
       if (isSelected) write(ansi.inverse);
     } else if (branch.justUpdated) {
-      write(ansi.yellow + displayName + ansi.reset);
+      write(ansi.yellow + shownName + ansi.reset);
       if (isSelected) write(ansi.inverse);
     } else {
-      write(displayName);
+      write(shownName);
     }
 
     write(' '.repeat(namePadding));
@@ -340,22 +559,32 @@ function renderBranchList(state, write) {
     row++;
 
     // Commit info line
+    const ruleTag = formatRuleTag(branch);
+    const remoteTag = formatRemoteTag(state, branch);
+    const authorTag = formatAuthorTag(branch);
+    const tagLen = visibleLength(ruleTag.plain) + visibleLength(remoteTag.plain) + visibleLength(authorTag.plain);
     write(ansi.moveTo(row, 2));
     if (isMerged && !isCurrent) {
       write(ansi.dim + '      \u2514\u2500 ' + ansi.reset);
       write(ansi.dim + ansi.cyan + (branch.commit || '???????') + ansi.reset);
       write(ansi.dim + ' \u2022 ' + ansi.reset);
+      write(ruleTag.colored);
+      write(remoteTag.colored);
+      write(authorTag.colored);
       const prTag = ansi.dim + ansi.magenta + '#' + prStatus.number + ansi.reset + ansi.dim + ' ';
-      write(prTag + ansi.gray + ansi.dim + truncate(branch.subject || 'No commit message', contentWidth - 28) + ansi.reset);
+      write(prTag + ansi.gray + ansi.dim + truncate(branch.subject || 'No commit message', contentWidth - 28 - tagLen) + ansi.reset);
     } else {
       write('      \u2514\u2500 ');
       write(ansi.cyan + (branch.commit || '???????') + ansi.reset);
       write(' \u2022 ');
+      write(ruleTag.colored);
+      write(remoteTag.colored);
+      write(authorTag.colored);
       if (hasOpenPr) {
         const prTag = ansi.brightGreen + '#' + prStatus.number + ansi.reset + ' ';
-        write(prTag + ansi.gray + truncate(branch.subject || 'No commit message', contentWidth - 28) + ansi.reset);
+        write(prTag + ansi.gray + truncate(branch.subject || 'No commit message', contentWidth - 28 - tagLen) + ansi.reset);
       } else {
-        write(ansi.gray + truncate(branch.subject || 'No commit message', contentWidth - 22) + ansi.reset);
+        write(ansi.gray + truncate(branch.subject || 'No commit message', contentWidth - 22 - tagLen) + ansi.reset);
       }
     }
 
@@ -554,8 +783,8 @@ function renderFooter(state, write) {
   write(ansi.gray + '[?]' + ansi.reset + ansi.bgBlack + ' Help  ');
   write(ansi.gray + '[b]' + ansi.reset + ansi.bgBlack + ' Actions  ');
 
+  write(ansi.gray + '[l]' + ansi.reset + ansi.bgBlack + ' Logs  ');
   if (!state.noServer) {
-    write(ansi.gray + '[l]' + ansi.reset + ansi.bgBlack + ' Logs  ');
     write(ansi.gray + '[o]' + ansi.reset + ansi.bgBlack + ' Open  ');
   }
   if (state.serverMode === 'static') {
@@ -766,9 +995,11 @@ function renderPreview(state, write) {
     contentRow++;
   } else {
     for (const commit of state.previewData.commits.slice(0, 5)) {
+      const by = commit.agent ? '[' + commit.agent + '] ' : '';
       write(ansi.moveTo(contentRow, col + 3));
       write(ansi.yellow + commit.hash + ansi.reset + ' ');
-      write(ansi.gray + truncate(commit.message, width - 14) + ansi.reset);
+      if (by) write(ansi.magenta + by + ansi.reset);
+      write(ansi.gray + truncate(commit.message, width - 14 - by.length) + ansi.reset);
       contentRow++;
     }
   }
@@ -779,24 +1010,202 @@ function renderPreview(state, write) {
   write(ansi.white + ansi.bold + 'Files Changed vs HEAD:' + ansi.reset);
   contentRow++;
 
-  if (state.previewData.filesChanged.length === 0) {
+  const files = state.previewData.filesChanged;
+  if (files.length === 0) {
     write(ansi.moveTo(contentRow, col + 3));
     write(ansi.gray + '(no changes or same as current)' + ansi.reset);
   } else {
-    for (const file of state.previewData.filesChanged.slice(0, 5)) {
+    // Five-row window that follows the file cursor
+    const visibleFiles = 5;
+    const selected = Math.min(Math.max(0, state.previewFileIndex || 0), files.length - 1);
+    const start = Math.max(0, Math.min(selected - 2, files.length - visibleFiles));
+    const end = Math.min(files.length, start + visibleFiles);
+    for (let i = start; i < end; i++) {
       write(ansi.moveTo(contentRow, col + 3));
-      write(ansi.green + '\u2022 ' + ansi.reset + truncate(file, width - 8));
+      const name = truncate(files[i], width - 8);
+      if (i === selected) {
+        write(ansi.cyan + '\u25b8 ' + ansi.reset + ansi.inverse + name + ansi.reset);
+      } else {
+        write(ansi.green + '\u2022 ' + ansi.reset + name);
+      }
       contentRow++;
     }
-    if (state.previewData.filesChanged.length > 5) {
+    if (end < files.length) {
+      write(ansi.moveTo(contentRow, col + 3));
+      write(ansi.gray + `... and ${files.length - end} more` + ansi.reset);
+    } else if (start > 0) {
       write(ansi.moveTo(contentRow, col + 3));
-      write(ansi.gray + `... and ${state.previewData.filesChanged.length - 5} more` + ansi.reset);
+      write(ansi.gray + `(${start} above)` + ansi.reset);
     }
   }
 
   // Instructions
-  write(ansi.moveTo(row + height - 2, col + Math.floor((width - 26) / 2)));
-  write(ansi.gray + 'Press [v] or [Esc] to close' + ansi.reset);
+  const hint = files.length > 0 ? '[\u2191\u2193] File  [Enter] Diff  [v]/[Esc] Close' : 'Press [v] or [Esc] to close';
+  write(ansi.moveTo(row + height - 2, col + Math.max(2, Math.floor((width - hint.length) / 2))));
+  write(ansi.gray + hint + ansi.reset);
+}
+
+// ---------------------------------------------------------------------------
+// renderDiffView
+// ---------------------------------------------------------------------------
+
+/**
+ * Box geometry for the diff viewer. Exported so key handling can clamp
+ * scrolling to the same page size the renderer draws.
+ *
+ * @param {{terminalWidth: number, terminalHeight: number}} state
+ * @returns {{width: number, height: number, row: number, col: number, contentHeight: number}}
+ */
+function getDiffViewLayout(state) {
+  const width = Math.min(state.terminalWidth - 4, 140);
+  const height = Math.max(8, state.terminalHeight - 2);
+  return {
+    width,
+    height,
+    col: Math.floor((state.terminalWidth - width) / 2),
+    row: Math.max(1, Math.floor((state.terminalHeight - height) / 2)),
+    // Border, summary line, separator, hint line, border
+    contentHeight: height - 5,
+  };
+}
+
+/**
+ * Diff content comes straight from the branch's files: drop every escape
+ * (even SGR — file content shouldn't get to colour the terminal) and expand
+ * tabs so columns line up.
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanDiffText(text) {
+  return stripAnsi(sanitizeForRender(text.replace(/\t/g, '    ')));
+}
+
+/** @type {Record<string, string>} */
+const DIFF_LINE_STYLE = {
+  add: ansi.green,
+  del: ansi.red,
+  hunk: ansi.cyan,
+  meta: ansi.gray,
+  context: '',
+};
+
+/** @type {Record<string, string>} */
+const DIFF_LINE_MARKER = { add: '+', del: '-', context: ' ', hunk: '', meta: '' };
+
+/**
+ * Render the full-screen diff viewer for one file of the previewed branch.
+ *
+ * Reads `diffFiles` (parsed FileDiff list from git/diff), `diffFileIndex`
+ * and `diffScrollOffset`, which is clamped here like `logScrollOffset`.
+ *
+ * @param {State} state
+ * @param {function} write
+ */
+function renderDiffView(state, write) {
+  if (!state.diffViewMode) return;
+
+  const { width, height, row, col, contentHeight } = getDiffViewLayout(state);
+  const branchName = state.previewData && state.previewData.branch ? state.previewData.branch : '';
+
+  write(ansi.moveTo(row, col));
+  write(ansi.magenta + ansi.bold);
+  write(box.dTopLeft + box.dHorizontal.repeat(width - 2) + box.dTopRight);
+  for (let i = 1; i < height - 1; i++) {
+    write(ansi.moveTo(row + i, col));
+    write(ansi.magenta + box.dVertical + ansi.reset + ' '.repeat(width - 2) + ansi.magenta + box.dVertical + ansi.reset);
+  }
+  write(ansi.moveTo(row + height - 1, col));
+  write(ansi.magenta + box.dBottomLeft + box.dHorizontal.repeat(width - 2) + box.dBottomRight);
+  write(ansi.reset);
+
+  write(ansi.moveTo(row, col + 2));
+  write(ansi.magenta + ansi.bold + ` Diff: ${truncate(branchName, width - 30)} vs HEAD ` + ansi.reset);
+
+  const hintRow = row + height - 2;
+  const files = state.diffFiles;
+
+  if (state.diffError || !files) {
+    write(ansi.moveTo(row + 2, col + 2));
+    write(state.diffError
+      ? ansi.red + truncate(state.diffError, width - 4) + ansi.reset
+      : ansi.gray + 'Loading diff...' + ansi.reset);
+    write(ansi.moveTo(hintRow, col + 2));
+    write(ansi.gray + '[Esc] Back' + ansi.reset);
+    return;
+  }
+
+  const file = files[state.diffFileIndex];
+  if (!file) {
+    write(ansi.moveTo(row + 2, col + 2));
+    write(ansi.gray + 'No changes in this file against HEAD' + ansi.reset);
+    write(ansi.moveTo(hintRow, col + 2));
+    write(ansi.gray + '[Esc] Back' + ansi.reset);
+    return;
+  }
+
+  // Summary: path, per-file stat, position among files and hunks
+  const maxScroll = Math.max(0, file.lines.length - contentHeight);
+  const offset = Math.min(Math.max(0, state.diffScrollOffset), maxScroll);
+  let hunkIndex = 0;
+  for (let i = 0; i < file.hunkStarts.length; i++) {
+    if (file.hunkStarts[i] <= offset) hunkIndex = i + 1;
+  }
+  const totals = files.reduce((acc, f) => ({ added: acc.added + f.added, deleted: acc.deleted + f.deleted }), { added: 0, deleted: 0 });
+  const position = `file ${state.diffFileIndex + 1}/${files.length}` +
+    (file.hunkStarts.length > 0 ? `  hunk ${Math.max(1, hunkIndex)}/${file.hunkStarts.length}` : '');
+  const totalStat = `${files.length} files +${totals.added} -${totals.deleted}`;
+  const status = file.status === 'renamed' && file.oldPath ? `renamed from ${file.oldPath}` : file.status;
+  const fileStat = `+${file.added} -${file.deleted}`;
+  const pathBudget = Math.max(10, width - 4 - position.length - totalStat.length - fileStat.length - status.length - 10);
+
+  write(ansi.moveTo(row + 1, col + 2));
+  write(ansi.white + ansi.bold + truncate(file.path, pathBudget) + ansi.reset + ' ');
+  write(ansi.gray + `(${truncate(status, 40)}) ` + ansi.reset);
+  write(ansi.green + `+${file.added}` + ansi.reset + ' ' + ansi.red + `-${file.deleted}` + ansi.reset);
+  const right = position + '  ' + ansi.gray + totalStat + ansi.reset;
+  write(ansi.moveTo(row + 1, col + width - 2 - visibleLength(right)));
+  write(right);
+
+  write(ansi.moveTo(row + 2, col + 1));
+  write(ansi.gray + box.horizontal.repeat(width - 2) + ansi.reset);
+
+  // Gutter: old and new line numbers
+  const lastLine = file.lines.reduce((max, l) => Math.max(max, l.oldLine || 0, l.newLine || 0), 0);
+  const numWidth = Math.max(3, String(lastLine).length);
+  const textWidth = width - 4 - (numWidth * 2 + 4);
+
+  if (file.binary) {
+    write(ansi.moveTo(row + 3, col + 2));
+    write(ansi.gray + 'Binary file — no text diff' + ansi.reset);
+  } else if (file.lines.length === 0) {
+    write(ansi.moveTo(row + 3, col + 2));
+    write(ansi.gray + (file.status === 'renamed' ? 'Renamed without content changes' : 'No content changes') + ansi.reset);
+  }
+
+  for (let i = 0; i < contentHeight; i++) {
+    const line = file.lines[offset + i];
+    if (!line) break;
+    write(ansi.moveTo(row + 3 + i, col + 2));
+    if (line.type === 'hunk' || line.type === 'meta') {
+      write(DIFF_LINE_STYLE[line.type] + truncate(cleanDiffText(line.text), width - 4) + ansi.reset);
+      continue;
+    }
+    const oldNo = line.oldLine !== null ? padLeft(String(line.oldLine), numWidth) : ' '.repeat(numWidth);
+    const newNo = line.newLine !== null ? padLeft(String(line.newLine), numWidth) : ' '.repeat(numWidth);
+    write(ansi.gray + oldNo + ' ' + newNo + ' \u2502' + ansi.reset);
+    const style = DIFF_LINE_STYLE[line.type];
+    write(style + DIFF_LINE_MARKER[line.type] + ' ' + truncate(cleanDiffText(line.text), textWidth) + ansi.reset);
+  }
+
+  // Scroll indicator
+  if (maxScroll > 0) {
+    const pct = ` ${Math.round((offset / maxScroll) * 100)}% `;
+    write(ansi.moveTo(row, col + width - 2 - pct.length));
+    write(ansi.gray + pct + ansi.reset);
+  }
+
+  write(ansi.moveTo(hintRow, col + 2));
+  write(ansi.gray + truncate('[\u2191\u2193] Scroll  [Space/b] Page  [n/N] Hunk  [Tab/S-Tab] File  [g/G] Top/End  [Esc] Back', width - 4) + ansi.reset);
 }
 
 // ---------------------------------------------------------------------------
@@ -858,6 +1267,210 @@ function renderHistory(state, write) {
   write(ansi.gray + '[u] Undo last  [h]/[Esc] Close' + ansi.reset);
 }
 
+// ---------------------------------------------------------------------------
+// renderWorktrees
+// ---------------------------------------------------------------------------
+
+/**
+ * Render the worktree list: one row per working tree, marking the one the
+ * dev server runs from.
+ *
+ * @param {State} state
+ * @param {function} write
+ */
+function renderWorktrees(state, write) {
+  if (!state.worktreeMode || !state.worktrees) return;
+
+  const worktrees = state.worktrees;
+  const width = Math.min(76, state.terminalWidth - 4);
+  const innerW = width - 6;
+  const maxRows = Math.max(1, Math.min(worktrees.length, state.terminalHeight - 12, 12));
+  const height = maxRows + 7;
+  const col = Math.floor((state.terminalWidth - width) / 2);
+  const row = Math.floor((state.terminalHeight - height) / 2);
+  const hasServer = state.serverMode !== 'none';
+  const servingPath = state.serverWorktree ? state.serverWorktree.path : null;
+  const home = os.homedir();
+
+  // Draw box
+  write(ansi.moveTo(row, col));
+  write(ansi.cyan + ansi.bold);
+  write(box.dTopLeft + box.dHorizontal.repeat(width - 2) + box.dTopRight);
+
+  for (let i = 1; i < height - 1; i++) {
+    write(ansi.moveTo(row + i, col));
+    write(ansi.cyan + box.dVertical + ansi.reset + ' '.repeat(width - 2) + ansi.cyan + box.dVertical + ansi.reset);
+  }
+
+  write(ansi.moveTo(row + height - 1, col));
+  write(ansi.cyan + box.dBottomLeft + box.dHorizontal.repeat(width - 2) + box.dBottomRight);
+  write(ansi.reset);
+
+  // Title
+  write(ansi.moveTo(row, col + 2));
+  write(ansi.cyan + ansi.bold + ' Worktrees ' + ansi.reset);
+
+  // Dev server location
+  write(ansi.moveTo(row + 2, col + 3));
+  if (hasServer) {
+    const where = state.serverWorktree ? (state.serverWorktree.branch || 'linked worktree') : 'main working tree';
+    write(ansi.gray + 'Dev server runs from: ' + ansi.reset + ansi.cyan + truncate(where, innerW - 22) + ansi.reset);
+  } else {
+    write(ansi.gray + 'No dev server configured' + ansi.reset);
+  }
+
+  // Scroll window that keeps the selection visible
+  const selected = Math.min(state.worktreeSelectedIndex, worktrees.length - 1);
+  const start = Math.max(0, Math.min(selected - Math.floor(maxRows / 2), worktrees.length - maxRows));
+  const nameW = Math.min(28, Math.floor(innerW / 2));
+
+  for (let i = 0; i < maxRows && start + i < worktrees.length; i++) {
+    const wt = worktrees[start + i];
+    const isSelected = start + i === selected;
+    const isServing = servingPath ? wt.path === servingPath : wt.isMain;
+    write(ansi.moveTo(row + 4 + i, col + 3));
+
+    const cursor = isSelected ? ansi.cyan + ansi.bold + '\u25b8 ' + ansi.reset : '  ';
+    const dot = hasServer && isServing ? ansi.green + '\u25cf ' + ansi.reset : '  ';
+    const name = wt.branch || `(detached ${(wt.head || '').slice(0, 7)})`;
+    const tags = [wt.isMain ? 'main' : null, wt.locked ? 'locked' : null, wt.prunable ? 'missing' : null]
+      .filter(Boolean).map((t) => `[${t}]`).join(' ');
+    const displayPath = wt.path.startsWith(home + '/') ? '~' + wt.path.slice(home.length) : wt.path;
+
+    write(cursor + dot);
+    write((isSelected ? ansi.bold + ansi.white : ansi.white) + padRight(truncate(name, nameW), nameW) + ansi.reset + ' ');
+    const rest = (tags ? tags + ' ' : '') + displayPath;
+    write(ansi.gray + truncate(rest, Math.max(4, innerW - nameW - 5)) + ansi.reset);
+  }
+
+  // Instructions
+  const hint = (hasServer ? '[Enter] Serve from here  ' : '') + '[x] Remove  [Esc] Close';
+  write(ansi.moveTo(row + height - 2, col + 2));
+  write(ansi.gray + hint + ansi.reset);
+}
+
+// ---------------------------------------------------------------------------
+// renderDigest
+// ---------------------------------------------------------------------------
+
+const DIGEST_TAGS = {
+  created: { label: 'NEW', color: ansi.green },
+  updated: { label: 'UPD', color: ansi.yellow },
+  merged: { label: 'MRG', color: ansi.magenta },
+  deleted: { label: 'DEL', color: ansi.red },
+};
+
+/**
+ * Box geometry for the digest overlay. Exported so key handling can clamp
+ * scrolling to the rows the renderer draws.
+ *
+ * @param {{terminalWidth: number, terminalHeight: number, digest?: import('../git/digest').Digest|null}} state
+ * @returns {{width: number, height: number, row: number, col: number, contentHeight: number}}
+ */
+function getDigestLayout(state) {
+  const count = state.digest ? state.digest.entries.length : 0;
+  const contentHeight = Math.max(1, Math.min(count, state.terminalHeight - 10, 20));
+  // Border, summary, blank, rows, blank, hint, border
+  const height = contentHeight + 7;
+  const width = Math.min(100, state.terminalWidth - 4);
+  return {
+    width,
+    height,
+    col: Math.floor((state.terminalWidth - width) / 2),
+    row: Math.max(1, Math.floor((state.terminalHeight - height) / 2)),
+    contentHeight,
+  };
+}
+
+/**
+ * One-line summary of the digest, e.g. "Since 3h ago: 2 new, 1 merged".
+ * @param {import('../git/digest').Digest} digest
+ * @returns {string}
+ */
+function formatDigestSummary(digest) {
+  const since = digest.since ? `Since ${formatTimeAgo(new Date(digest.since))}` : 'Since your last visit';
+  if (digest.entries.length === 0) return `${since}: nothing changed`;
+  const counts = { created: 0, updated: 0, merged: 0, deleted: 0 };
+  for (const entry of digest.entries) counts[entry.status]++;
+  const parts = [
+    counts.created ? `${counts.created} new` : null,
+    counts.updated ? `${counts.updated} updated` : null,
+    counts.merged ? `${counts.merged} merged` : null,
+    counts.deleted ? `${counts.deleted} deleted` : null,
+  ].filter(Boolean);
+  return `${since}: ${parts.join(', ')}`;
+}
+
+/**
+ * Render the "since you last looked" overlay.
+ * @param {State} state
+ * @param {function} write
+ */
+function renderDigest(state, write) {
+  if (!state.digestMode) return;
+
+  const { width, height, row, col, contentHeight } = getDigestLayout(state);
+  const innerW = width - 6;
+  const digest = state.digest;
+
+  write(ansi.moveTo(row, col));
+  write(ansi.cyan + ansi.bold);
+  write(box.dTopLeft + box.dHorizontal.repeat(width - 2) + box.dTopRight);
+
+  for (let i = 1; i < height - 1; i++) {
+    write(ansi.moveTo(row + i, col));
+    write(ansi.cyan + box.dVertical + ansi.reset + ' '.repeat(width - 2) + ansi.cyan + box.dVertical + ansi.reset);
+  }
+
+  write(ansi.moveTo(row + height - 1, col));
+  write(ansi.cyan + box.dBottomLeft + box.dHorizontal.repeat(width - 2) + box.dBottomRight);
+  write(ansi.reset);
+
+  write(ansi.moveTo(row, col + 2));
+  write(ansi.cyan + ansi.bold + ' Since you last looked ' + ansi.reset);
+
+  write(ansi.moveTo(row + 2, col + 3));
+  if (!digest) {
+    write(ansi.gray + 'Comparing branches...' + ansi.reset);
+    write(ansi.moveTo(row + height - 2, col + 2));
+    write(ansi.gray + '[Esc] Close' + ansi.reset);
+    return;
+  }
+  write(ansi.white + truncate(formatDigestSummary(digest), innerW) + ansi.reset);
+
+  const entries = digest.entries;
+  const maxScroll = Math.max(0, entries.length - contentHeight);
+  const offset = Math.min(Math.max(0, state.digestScrollOffset), maxScroll);
+  const nameW = Math.min(30, Math.floor(innerW / 3));
+
+  for (let i = 0; i < contentHeight && offset + i < entries.length; i++) {
+    const entry = entries[offset + i];
+    const tag = DIGEST_TAGS[entry.status];
+    write(ansi.moveTo(row + 4 + i, col + 3));
+    write(tag.color + ansi.bold + tag.label + ansi.reset + ' ');
+    write(ansi.white + padRight(truncate(sanitizeForRender(entry.name), nameW), nameW) + ansi.reset + ' ');
+
+    let used = 4 + nameW + 1;
+    if (entry.status !== 'deleted') {
+      const commits = entry.commits === null ? '?' : String(entry.commits);
+      const countText = padLeft(commits, 4) + (entry.commits === 1 ? ' commit ' : ' commits');
+      write(ansi.gray + countText + ansi.reset + ' ');
+      const added = entry.stats ? `+${entry.stats.added}` : '';
+      const deleted = entry.stats ? `-${entry.stats.deleted}` : '';
+      write(ansi.green + added + ansi.reset + ' ' + ansi.red + deleted + ansi.reset);
+      write(' '.repeat(Math.max(0, 13 - added.length - deleted.length)));
+      used += countText.length + 1 + 14;
+    }
+    if (entry.subject) {
+      write(ansi.gray + truncate(sanitizeForRender(entry.subject), Math.max(4, innerW - used)) + ansi.reset);
+    }
+  }
+
+  const scroll = maxScroll > 0 ? `${offset + 1}-${Math.min(entries.length, offset + contentHeight)}/${entries.length}  ` : '';
+  write(ansi.moveTo(row + height - 2, col + 2));
+  write(ansi.gray + scroll + (maxScroll > 0 ? '[\u2191\u2193] Scroll  ' : '') + '[Enter] Mark as seen  [Esc] Close' + ansi.reset);
+}
+
 // ---------------------------------------------------------------------------
 // renderLogView
 // ---------------------------------------------------------------------------
@@ -885,7 +1498,14 @@ function renderLogView(state, write) {
 
   // Determine which log to display
   const isServerTab = state.logViewTab === 'server';
-  const logData = isServerTab ? state.serverLogBuffer : state.activityLog;
+  const isHistoryTab = state.logViewTab === 'history';
+  const processes = state.serverProcesses || [];
+  const multiProcess = state.serverMode === 'command' && processes.length > 1;
+  const shownProcess = multiProcess ? processes.find((p) => p.name === state.logViewServer) || null : null;
+  const serverLog = isServerTab ? visibleServerLog(state) : [];
+  const logData = isServerTab ? serverLog
+    : isHistoryTab ? (state.journalEntries || [])
+    : state.activityLog;
 
   // Draw box
   write(ansi.moveTo(row, col));
@@ -905,21 +1525,48 @@ function renderLogView(state, write) {
   const activityTab = state.logViewTab === 'activity'
     ? ansi.bgWhite + ansi.black + ' 1:Activity ' + ansi.reset + ansi.yellow
     : ansi.gray + ' 1:Activity ' + ansi.yellow;
-  const serverTab = state.logViewTab === 'server'
-    ? ansi.bgWhite + ansi.black + ' 2:Server ' + ansi.reset + ansi.yellow
-    : ansi.gray + ' 2:Server ' + ansi.yellow;
+  const serverTab = state.noServer ? ''
+    : state.logViewTab === 'server'
+      ? ansi.bgWhite + ansi.black + ' 2:Server ' + ansi.reset + ansi.yellow + ' '
+      : ansi.gray + ' 2:Server ' + ansi.yellow + ' ';
+  const historyTab = isHistoryTab
+    ? ansi.bgWhite + ansi.black + ' 3:History ' + ansi.reset + ansi.yellow
+    : ansi.gray + ' 3:History ' + ansi.yellow;
 
   // Server status (only show on server tab)
   let statusIndicator = '';
-  if (isServerTab && state.serverMode === 'command') {
-    const statusText = state.serverRunning ? ansi.green + 'RUNNING' : (state.serverCrashed ? ansi.red + 'CRASHED' : ansi.gray + 'STOPPED');
+  if (isServerTab && multiProcess && !shownProcess) {
+    const running = processes.filter((p) => p.running).length;
+    const color = state.serverCrashed ? ansi.red : running === processes.length ? ansi.green : ansi.gray;
+    statusIndicator = ` [${color}${running}/${processes.length} RUNNING${ansi.yellow}]`;
+  } else if (isServerTab && state.serverMode === 'command') {
+    const { running, crashed, status } = shownProcess
+      || { running: state.serverRunning, crashed: state.serverCrashed, status: state.serverStatus };
+    const statusText = status && status in SERVER_STATUS_COLORS ? SERVER_STATUS_COLORS[status] + status.toUpperCase()
+      : running ? ansi.green + 'RUNNING' : (crashed ? ansi.red + 'CRASHED' : ansi.gray + 'STOPPED');
     statusIndicator = ` [${statusText}${ansi.yellow}]`;
   } else if (isServerTab && state.serverMode === 'static') {
     statusIndicator = ansi.green + ' [STATIC]' + ansi.yellow;
+  } else if (isHistoryTab) {
+    statusIndicator = ansi.cyan + ` [${state.journalDay || 'recent'}]` + ansi.yellow;
   }
 
   write(ansi.moveTo(row, col + 2));
-  write(ansi.yellow + ansi.bold + ' ' + activityTab + ' ' + serverTab + statusIndicator + ' ' + ansi.reset);
+  write(ansi.yellow + ansi.bold + ' ' + activityTab + ' ' + serverTab + historyTab + statusIndicator + ' ' + ansi.reset);
+
+  // One sub-tab per process, with its status dot
+  if (isServerTab && multiProcess) {
+    const subTab = (label, selected) => (selected
+      ? ansi.bgWhite + ansi.black + ` ${label} ` + ansi.reset
+      : ansi.gray + ` ${label} ` + ansi.reset);
+    let tabs = subTab('All', !shownProcess);
+    for (const proc of processes) {
+      const dot = SERVER_STATUS_ICONS[proc.status] || (proc.running ? '\u25CF' : proc.crashed ? '\u2717' : '\u25CB');
+      tabs += ' ' + subTab(`${proc.name} ${dot}`, proc === shownProcess);
+    }
+    write(ansi.moveTo(row + 1, col + 2));
+    write(tabs);
+  }
 
   // Content
   const contentHeight = height - 4;
@@ -928,18 +1575,27 @@ function renderLogView(state, write) {
 
   let contentRow = row + 2;
 
-  if (logData.length === 0) {
+  if (isHistoryTab && !state.journalEntries) {
+    write(ansi.moveTo(contentRow, col + 2));
+    write(ansi.gray + 'Loading history...' + ansi.reset);
+  } else if (logData.length === 0) {
     write(ansi.moveTo(contentRow, col + 2));
-    write(ansi.gray + (isServerTab ? 'No server output yet...' : 'No activity yet...') + ansi.reset);
+    const emptyText = isServerTab ? 'No server output yet...'
+      : isHistoryTab ? (state.journalDay ? `Nothing recorded on ${state.journalDay}` : 'No history recorded yet')
+      : 'No activity yet...';
+    write(ansi.gray + emptyText + ansi.reset);
   } else if (isServerTab) {
-    // Server log: newest at bottom, scroll from bottom
-    const startIndex = Math.max(0, state.serverLogBuffer.length - contentHeight - logScrollOffset);
-    const endIndex = Math.min(state.serverLogBuffer.length, startIndex + contentHeight);
+    // Server log: newest at bottom, scroll from bottom. With several
+    // processes interleaved, each line starts with the one it came from.
+    const startIndex = Math.max(0, serverLog.length - contentHeight - logScrollOffset);
+    const endIndex = Math.min(serverLog.length, startIndex + contentHeight);
 
     for (let i = startIndex; i < endIndex; i++) {
-      const entry = state.serverLogBuffer[i];
+      const entry = serverLog[i];
       write(ansi.moveTo(contentRow, col + 2));
-      const lineText = truncate(entry.line, width - 4);
+      const prefix = multiProcess && !shownProcess && entry.process ? `${entry.process} ` : '';
+      if (prefix) write(ansi.cyan + prefix + ansi.reset);
+      const lineText = truncate(entry.line, width - 4 - prefix.length);
       if (entry.isError) {
         write(ansi.red + lineText + ansi.reset);
       } else {
@@ -947,6 +1603,16 @@ function renderLogView(state, write) {
       }
       contentRow++;
     }
+  } else if (isHistoryTab) {
+    // Journal: newest first like the activity log, with the date on each row
+    const entries = state.journalEntries || [];
+    const endIndex = Math.min(entries.length, logScrollOffset + contentHeight);
+
+    for (let i = logScrollOffset; i < endIndex; i++) {
+      write(ansi.moveTo(contentRow, col + 2));
+      write(formatJournalRow(entries[i], width - 4));
+      contentRow++;
+    }
   } else {
     // Activity log: newest first, scroll from top
     const startIndex = logScrollOffset;
@@ -973,8 +1639,40 @@ function renderLogView(state, write) {
 
   // Instructions
   write(ansi.moveTo(row + height - 2, col + 2));
-  const restartHint = state.serverMode === 'command' ? '[R] Restart  ' : '';
-  write(ansi.gray + '[1/2] Switch Tab  [\u2191\u2193] Scroll  ' + restartHint + '[l]/[Esc] Close' + ansi.reset);
+  const tabHint = state.noServer ? '[1/3] Switch Tab  ' : '[1-3] Switch Tab  ';
+  const extraHint = isHistoryTab ? '[\u2190\u2192] Day  [a] Recent  '
+    : isServerTab && multiProcess ? '[\u2190\u2192] Process  [R] Restart  '
+    : state.serverMode === 'command' ? '[R] Restart  ' : '';
+  write(ansi.gray + tabHint + '[\u2191\u2193] Scroll  ' + extraHint + '[l]/[Esc] Close' + ansi.reset);
+}
+
+/** Icon and colour per activity log type, matching the TUI's addLog() */
+const LOG_TYPE_STYLE = {
+  info: { icon: '\u25cb', color: 'white' },
+  success: { icon: '\u2713', color: 'green' },
+  warning: { icon: '\u25cf', color: 'yellow' },
+  error: { icon: '\u2717', color: 'red' },
+  update: { icon: '\u27f3', color: 'cyan' },
+};
+
+/**
+ * One history-tab row: `MM-DD HH:MM:SS` then the log message or the switch.
+ * @param {import('../state/journal').JournalEntry} entry
+ * @param {number} maxWidth
+ * @returns {string}
+ */
+function formatJournalRow(entry, maxWidth) {
+  const d = new Date(entry.time);
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  const textWidth = Math.max(10, maxWidth - stamp.length - 5);
+  if (entry.kind === 'switch') {
+    return ansi.gray + `[${stamp}]` + ansi.reset + ' ' + ansi.cyan + '\u21c4' + ansi.reset + ' '
+      + truncate(`Switched ${entry.from} \u2192 ${entry.to}`, textWidth);
+  }
+  const style = LOG_TYPE_STYLE[entry.type] || LOG_TYPE_STYLE.info;
+  return ansi.gray + `[${stamp}]` + ansi.reset + ' ' + ansi[style.color] + style.icon + ansi.reset + ' '
+    + truncate(entry.message, textWidth);
 }
 
 // ---------------------------------------------------------------------------
@@ -1089,30 +1787,36 @@ function renderHelp(state, write) {
     { k: 'Esc', d: 'Clear search' },
     {},
     { h: 'BRANCHES' },
-    { k: 'v', d: 'Preview diff' },
+    { k: 'v', d: 'Preview / diff viewer' },
     { k: 'b', d: 'Branch actions' },
     { k: 'h', d: 'Switch history' },
+    { k: 'w', d: 'Worktrees' },
     { k: 'u', d: 'Undo switch' },
     { k: 'p', d: 'Pull current' },
     { k: 'f', d: 'Fetch + refresh' },
     { k: 'd', d: 'Clean up gone' },
+    { k: 'P', d: 'Pin / unpin' },
+    { k: 'M', d: 'Mute / unmute' },
   ];
 
   const rightCol = [
     { h: 'SERVER & WEB' },
     { k: 'r', d: 'Reload browsers' },
     { k: 'R', d: 'Restart server' },
-    { k: 'l', d: 'Server logs' },
+    { k: 'l', d: 'Logs & history' },
     { k: 'o', d: 'Open in browser' },
     { k: 'W', d: 'Toggle web UI' },
     {},
     { h: 'DISPLAY & MISC' },
     { k: '1-9 0', d: 'Set list size' },
     { k: '+ -', d: 'Grow / shrink' },
+    { k: 'O', d: 'Cycle sort order' },
+    { k: 'g', d: 'Group by prefix' },
     { k: 's', d: 'Toggle sound' },
     { k: 'B', d: 'Idle poll backoff' },
     { k: 'c', d: 'Casino mode' },
     { k: 'i', d: 'Status info' },
+    { k: 'n', d: 'What changed' },
     { k: 'S', d: 'Stash & retry' },
   ];
 
@@ -1176,6 +1880,88 @@ function renderHelp(state, write) {
 // renderActionModal
 // ---------------------------------------------------------------------------
 
+// Most CI checks listed in the action modal before "+N more"
+const CHECKS_SHOWN = 6;
+
+const PLATFORM_LABELS = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  gitea: 'Gitea',
+  bitbucket: 'Bitbucket',
+  azure: 'Azure DevOps',
+};
+
+const CHECK_STYLE = {
+  fail: { icon: '\u2717', color: ansi.red },
+  pending: { icon: '\u25cf', color: ansi.yellow },
+  pass: { icon: '\u2713', color: ansi.green },
+  neutral: { icon: '\u25cb', color: ansi.gray },
+  skipped: { icon: '-', color: ansi.gray },
+};
+
+const CHECK_ORDER = { fail: 0, pending: 1, pass: 2, neutral: 3, skipped: 4 };
+
+/**
+ * Rows describing CI checks: an icon, the check name and its run time.
+ * Failures and running checks come first so they survive the cap.
+ *
+ * @param {import('../git/pr').CiCheck[]} checks
+ * @param {number} limit - Checks listed before collapsing the rest into "+N more"
+ * @param {number} width - Usable columns
+ * @returns {string[]} Rendered rows (with ANSI colors)
+ */
+function formatCheckLines(checks, limit, width) {
+  if (!checks || checks.length === 0) return [];
+  const sorted = [...checks].sort((a, b) => CHECK_ORDER[a.status] - CHECK_ORDER[b.status]);
+  const shown = sorted.length > limit ? sorted.slice(0, limit - 1) : sorted;
+  const lines = shown.map((check) => {
+    const style = CHECK_STYLE[check.status] || CHECK_STYLE.neutral;
+    const duration = check.durationMs !== null ? formatElapsed(check.durationMs) : check.status === 'pending' ? 'running' : '';
+    const nameW = Math.max(4, width - 2 - (duration ? duration.length + 1 : 0));
+    return style.color + style.icon + ansi.reset + ' '
+      + padRight(truncate(sanitizeForRender(check.name), nameW), nameW)
+      + (duration ? ' ' + ansi.gray + duration + ansi.reset : '');
+  });
+  if (shown.length < sorted.length) {
+    lines.push(ansi.gray + `  +${sorted.length - shown.length} more` + ansi.reset);
+  }
+  return lines;
+}
+
+const PROMPT_TITLES = {
+  merge: 'Merge',
+  'auto-merge': 'Auto-merge',
+  'request-review': 'Reviewers (comma-separated):',
+  'add-label': 'Labels (comma-separated):',
+};
+
+/**
+ * Lines of the action modal's prompt: the merge methods with the selected
+ * one highlighted, or the text typed so far with a cursor.
+ * @param {import('../state/store').ActionPrompt} prompt
+ * @param {string} prLabel - 'PR' or 'MR'
+ * @param {number|null} prNumber
+ * @param {number} width - Available columns
+ * @returns {string[]}
+ */
+function formatActionPrompt(prompt, prLabel, prNumber, width) {
+  if (prompt.kind === 'merge' || prompt.kind === 'auto-merge') {
+    const lines = [ansi.bold + `${PROMPT_TITLES[prompt.kind]} ${prLabel} #${prNumber} with:` + ansi.reset];
+    MERGE_METHODS.forEach((method, i) => {
+      lines.push(i === prompt.selectedIndex
+        ? ansi.brightCyan + ansi.bold + '> ' + method + ansi.reset
+        : ansi.gray + '  ' + method + ansi.reset);
+    });
+    return lines;
+  }
+  // Keep the end of long input in view
+  const input = prompt.input.length > width - 3 ? '\u2026' + prompt.input.slice(-(width - 4)) : prompt.input;
+  return [
+    ansi.bold + PROMPT_TITLES[prompt.kind] + ansi.reset,
+    ansi.brightCyan + '> ' + ansi.reset + input + ansi.inverse + ' ' + ansi.reset,
+  ];
+}
+
 /**
  * Render the branch-actions modal with PR/CI/Claude integration.
  *
@@ -1185,17 +1971,28 @@ function renderHelp(state, write) {
 function renderActionModal(state, write) {
   if (!state.actionMode || !state.actionData) return;
 
-  const { branch, sessionUrl, prInfo, hasGh, hasGlab, ghAuthed, glabAuthed, webUrl, isClaudeBranch, platform, prLoaded } = state.actionData;
+  const { branch, sessionUrl, prInfo, hasGh, hasGlab, ghAuthed, glabAuthed, webUrl, isClaudeBranch, platform, apiReady, prLoaded } = state.actionData;
+  const mergeMethod = state.actionData.mergeMethod || 'squash';
+  const prompt = state.actionPrompt;
+  /** @type {import('../git/pr').CiCheck[]} */
+  const checks = state.actionData.checks || [];
 
   const width = Math.min(64, state.terminalWidth - 4);
   const innerW = width - 6;
 
-  const platformLabel = platform === 'gitlab' ? 'GitLab' : platform === 'bitbucket' ? 'Bitbucket' : platform === 'azure' ? 'Azure DevOps' : 'GitHub';
+  const platformLabel = PLATFORM_LABELS[platform] || 'GitHub';
   const prLabel = platform === 'gitlab' ? 'MR' : 'PR';
   const cliTool = platform === 'gitlab' ? 'glab' : 'gh';
+  // gh/glab do everything on their platforms. Gitea and Bitbucket Cloud are
+  // read over their REST APIs (apiReady); Azure DevOps has neither.
+  const cliPlatform = !platform || platform === 'github' || platform === 'gitlab';
   const hasCli = platform === 'gitlab' ? hasGlab : hasGh;
   const cliAuthed = platform === 'gitlab' ? glabAuthed : ghAuthed;
-  const cliReady = hasCli && cliAuthed;
+  const cliReady = cliPlatform && hasCli && cliAuthed;
+  const canQuery = cliReady || !!apiReady;
+  const unsupported = `Not supported on ${platformLabel}`;
+  const cliReason = !cliPlatform ? unsupported : !hasCli ? `Requires ${cliTool} CLI` : !cliAuthed ? `Run: ${cliTool} auth login` : null;
+  const queryReason = cliPlatform ? cliReason : !apiReady ? unsupported : null;
   const loading = state.actionLoading;
 
   // Build actions list - ALL actions always shown, grayed out with reasons when unavailable
@@ -1207,6 +2004,12 @@ function renderActionModal(state, write) {
     available: !!webUrl, reason: !webUrl ? 'Could not parse remote URL' : null,
   });
 
+  // Open in a linked worktree instead of switching this one
+  actions.push({
+    key: 'w', label: 'Open in worktree',
+    available: !branch.isDeleted, reason: branch.isDeleted ? 'Branch deleted' : null,
+  });
+
   // Claude session - always shown so users know it exists
   actions.push({
     key: 'c', label: 'Open Claude Code session',
@@ -1224,8 +2027,8 @@ function renderActionModal(state, write) {
     actions.push({
       key: 'p', label: `Create ${prLabel}`,
       available: cliReady && prLoaded,
-      reason: !hasCli ? `Requires ${cliTool} CLI` : !cliAuthed ? `Run: ${cliTool} auth login` : null,
-      loading: cliReady && !prLoaded,
+      reason: cliReason,
+      loading: canQuery && !prLoaded,
     });
   }
 
@@ -1234,31 +2037,69 @@ function renderActionModal(state, write) {
     key: 'd', label: `View ${prLabel} diff on ${platformLabel}`,
     available: !!prInfo && !!webUrl,
     reason: !prInfo && prLoaded ? `No ${prLabel}` : !webUrl ? 'Could not parse remote URL' : null,
-    loading: !prLoaded && (cliReady || !!webUrl),
+    loading: !prLoaded && (canQuery || !!webUrl),
   });
 
   // Approve - disabled for merged PRs
   actions.push({
     key: 'a', label: `Approve ${prLabel}`,
     available: !!prInfo && prIsOpen && cliReady,
-    reason: prIsMerged ? `${prLabel} already merged` : !hasCli ? `Requires ${cliTool} CLI` : !cliAuthed ? `Run: ${cliTool} auth login` : !prInfo && prLoaded ? `No open ${prLabel}` : null,
+    reason: prIsMerged ? `${prLabel} already merged` : cliReason || (!prInfo && prLoaded ? `No open ${prLabel}` : null),
     loading: cliReady && !prLoaded,
   });
 
-  // Merge - disabled for already-merged PRs
+  // Merge - disabled for already-merged PRs. [M] always asks for the method.
+  const openPrReason = prIsMerged ? `${prLabel} already merged` : cliReason
+    || (prInfo && !prIsOpen ? `${prLabel} closed` : !prInfo && prLoaded ? `No open ${prLabel}` : null);
+  const canEditPr = !!prInfo && prIsOpen && cliReady;
   actions.push({
-    key: 'm', label: `Merge ${prLabel} (squash)`,
-    available: !!prInfo && prIsOpen && cliReady,
-    reason: prIsMerged ? `${prLabel} already merged` : !hasCli ? `Requires ${cliTool} CLI` : !cliAuthed ? `Run: ${cliTool} auth login` : !prInfo && prLoaded ? `No open ${prLabel}` : null,
+    key: 'm', label: mergeMethod === 'ask' ? `Merge ${prLabel}...` : `Merge ${prLabel} (${mergeMethod}, [M] other)`,
+    available: canEditPr,
+    reason: openPrReason,
     loading: cliReady && !prLoaded,
   });
 
+  actions.push({
+    key: 'A', label: 'Enable auto-merge',
+    available: canEditPr, reason: openPrReason, loading: cliReady && !prLoaded,
+  });
+
+  actions.push({
+    key: 'D', label: prInfo && prInfo.draft ? 'Mark ready for review' : 'Convert to draft',
+    available: canEditPr, reason: openPrReason, loading: cliReady && !prLoaded,
+  });
+
+  actions.push({
+    key: 'r', label: 'Request review',
+    available: canEditPr, reason: openPrReason, loading: cliReady && !prLoaded,
+  });
+
+  actions.push({
+    key: 'l', label: 'Add label',
+    available: canEditPr, reason: openPrReason, loading: cliReady && !prLoaded,
+  });
+
+  actions.push({
+    key: 'x', label: `Close ${prLabel}`,
+    available: canEditPr, reason: openPrReason, loading: cliReady && !prLoaded,
+  });
+
   // CI
   actions.push({
     key: 'i', label: 'Check CI status',
-    available: cliReady && (!!prInfo || platform === 'gitlab'),
-    reason: !hasCli ? `Requires ${cliTool} CLI` : !cliAuthed ? `Run: ${cliTool} auth login` : !prInfo && prLoaded && platform !== 'gitlab' ? `No open ${prLabel}` : null,
-    loading: cliReady && !prLoaded && platform !== 'gitlab',
+    available: canQuery && (!!prInfo || platform === 'gitlab'),
+    reason: queryReason || (!prInfo && prLoaded && platform !== 'gitlab' ? `No open ${prLabel}` : null),
+    loading: canQuery && !prLoaded && platform !== 'gitlab',
+  });
+
+  // Failing job log
+  const failedJob = checks.find((c) => c.status === 'fail' && c.id);
+  actions.push({
+    key: 'L', label: 'View failing CI log',
+    available: cliReady && !!failedJob,
+    reason: queryReason
+      || (prLoaded && !failedJob ? (checks.some((c) => c.status === 'fail') ? 'Log not available' : 'No failing jobs') : null),
+    loading: canQuery && !prLoaded,
   });
 
   // Calculate height
@@ -1274,6 +2115,7 @@ function renderActionModal(state, write) {
     let prStatus = `${prLabel} #${prInfo.number}: ${truncate(prInfo.title, innerW - 20)}`;
     const badges = [];
     if (prIsMerged) badges.push('merged');
+    if (prInfo.draft) badges.push('draft');
     if (prInfo.approved) badges.push('approved');
     if (prInfo.checksPass) badges.push('checks pass');
     if (prInfo.checksFail) badges.push('checks fail');
@@ -1281,7 +2123,7 @@ function renderActionModal(state, write) {
     statusInfoLines.push({ color: prIsMerged ? 'magenta' : 'green', text: prStatus });
   } else if (loading) {
     statusInfoLines.push({ color: 'gray', text: `Loading ${prLabel} info...` });
-  } else if (cliReady) {
+  } else if (canQuery) {
     statusInfoLines.push({ color: 'gray', text: `No ${prLabel} for this branch` });
   }
 
@@ -1296,9 +2138,13 @@ function renderActionModal(state, write) {
 
   contentLines += statusInfoLines.length;
 
-  // Setup hints
+  // Individual CI checks, failures first
+  const checkLines = formatCheckLines(checks, CHECKS_SHOWN, innerW);
+  contentLines += checkLines.length;
+
+  // Setup hints (Gitea, Bitbucket and Azure have no CLI to set up)
   const hints = [];
-  if (!hasCli) {
+  if (cliPlatform && !hasCli) {
     if (platform === 'gitlab') {
       hints.push('Install glab: https://gitlab.com/gitlab-org/cli');
       hints.push('Then run: glab auth login');
@@ -1306,7 +2152,7 @@ function renderActionModal(state, write) {
       hints.push('Install gh:   https://cli.github.com');
       hints.push('Then run: gh auth login');
     }
-  } else if (!cliAuthed) {
+  } else if (cliPlatform && !cliAuthed) {
     hints.push(`${cliTool} is installed but not authenticated`);
     hints.push(`Run: ${cliTool} auth login`);
   }
@@ -1316,6 +2162,13 @@ function renderActionModal(state, write) {
     contentLines += hints.length;
   }
 
+  // Prompt for the pending PR action
+  const promptLines = prompt ? formatActionPrompt(prompt, prLabel, prInfo ? prInfo.number : null, innerW) : [];
+  if (promptLines.length > 0) {
+    contentLines += 1;
+    contentLines += promptLines.length;
+  }
+
   contentLines += 2; // blank + close instructions
 
   const modalHeight = contentLines + 3;
@@ -1382,6 +2235,13 @@ function renderActionModal(state, write) {
     r++;
   }
 
+  // CI checks
+  for (const line of checkLines) {
+    write(ansi.moveTo(r, modalCol + 3));
+    write(line);
+    r++;
+  }
+
   // Setup hints
   if (hints.length > 0) {
     r++;
@@ -1392,9 +2252,229 @@ function renderActionModal(state, write) {
     }
   }
 
+  // Prompt
+  if (promptLines.length > 0) {
+    r++;
+    for (const line of promptLines) {
+      write(ansi.moveTo(r, modalCol + 3));
+      write(line);
+      r++;
+    }
+  }
+
   // Close instructions
-  write(ansi.moveTo(modalRow + modalHeight - 2, modalCol + Math.floor((width - 18) / 2)));
-  write(ansi.gray + 'Press [Esc] to close' + ansi.reset);
+  const footer = prompt ? '[Enter] Confirm  [Esc] Cancel' : 'Press [Esc] to close';
+  write(ansi.moveTo(modalRow + modalHeight - 2, modalCol + Math.floor((width - footer.length) / 2)));
+  write(ansi.gray + footer + ansi.reset);
+}
+
+// ---------------------------------------------------------------------------
+// renderCiLog
+// ---------------------------------------------------------------------------
+
+/**
+ * Box geometry for the failing CI job log. Exported so key handling can
+ * clamp scrolling to the rows the renderer draws.
+ *
+ * @param {{terminalWidth: number, terminalHeight: number}} state
+ * @returns {{width: number, height: number, row: number, col: number, contentHeight: number}}
+ */
+function getCiLogLayout(state) {
+  const width = Math.min(120, state.terminalWidth - 4);
+  const height = Math.max(8, state.terminalHeight - 4);
+  return {
+    width,
+    height,
+    col: Math.floor((state.terminalWidth - width) / 2),
+    row: Math.max(1, Math.floor((state.terminalHeight - height) / 2)),
+    // Border, blank, rows, blank, hint, border
+    contentHeight: height - 5,
+  };
+}
+
+/**
+ * Render the tail of a failing CI job's log over the action modal.
+ * @param {State} state
+ * @param {function} write
+ */
+function renderCiLog(state, write) {
+  if (!state.ciLogMode || !state.ciLog) return;
+
+  const { width, height, row, col, contentHeight } = getCiLogLayout(state);
+  const innerW = width - 6;
+  const { name, url, lines, error } = state.ciLog;
+
+  write(ansi.moveTo(row, col));
+  write(ansi.red + ansi.bold);
+  write(box.dTopLeft + box.dHorizontal.repeat(width - 2) + box.dTopRight);
+
+  for (let i = 1; i < height - 1; i++) {
+    write(ansi.moveTo(row + i, col));
+    write(ansi.red + box.dVertical + ansi.reset + ' '.repeat(width - 2) + ansi.red + box.dVertical + ansi.reset);
+  }
+
+  write(ansi.moveTo(row + height - 1, col));
+  write(ansi.red + box.dBottomLeft + box.dHorizontal.repeat(width - 2) + box.dBottomRight);
+  write(ansi.reset);
+
+  write(ansi.moveTo(row, col + 2));
+  write(ansi.red + ansi.bold + ' ' + truncate(sanitizeForRender(name), width - 8) + ' ' + ansi.reset);
+
+  const openHint = url ? '[o] Open in browser  ' : '';
+  if (!lines) {
+    write(ansi.moveTo(row + 2, col + 3));
+    write(ansi.gray + 'Fetching log...' + ansi.reset);
+    write(ansi.moveTo(row + height - 2, col + 2));
+    write(ansi.gray + openHint + '[Esc] Back' + ansi.reset);
+    return;
+  }
+  if (error || lines.length === 0) {
+    write(ansi.moveTo(row + 2, col + 3));
+    write((error ? ansi.red : ansi.gray) + truncate(error || 'The log is empty', innerW) + ansi.reset);
+    write(ansi.moveTo(row + height - 2, col + 2));
+    write(ansi.gray + openHint + '[Esc] Back' + ansi.reset);
+    return;
+  }
+
+  const maxScroll = Math.max(0, lines.length - contentHeight);
+  const offset = Math.min(Math.max(0, state.ciLogScrollOffset), maxScroll);
+  for (let i = 0; i < contentHeight && offset + i < lines.length; i++) {
+    write(ansi.moveTo(row + 2 + i, col + 3));
+    write(truncate(sanitizeForRender(lines[offset + i]), innerW));
+  }
+
+  const scroll = maxScroll > 0 ? `${offset + 1}-${Math.min(lines.length, offset + contentHeight)}/${lines.length}  [\u2191\u2193] Scroll  ` : '';
+  write(ansi.moveTo(row + height - 2, col + 2));
+  write(ansi.gray + scroll + openHint + '[Esc] Back' + ansi.reset);
+}
+
+// ---------------------------------------------------------------------------
+// renderPrForm
+// ---------------------------------------------------------------------------
+
+/**
+ * Text of a form input that fits in `width` columns, with a cursor when
+ * focused. Long values keep their end in view, where the typing happens.
+ * @param {string} value
+ * @param {boolean} focused
+ * @param {number} width
+ * @returns {string}
+ */
+function formatFormInput(value, focused, width) {
+  const text = sanitizeForRender(value);
+  const room = focused ? width - 1 : width;
+  const shown = text.length > room ? '\u2026' + text.slice(-(room - 1)) : text;
+  return focused ? shown + ansi.inverse + ' ' + ansi.reset : shown;
+}
+
+/**
+ * Render the "create PR" form over the action modal.
+ * @param {State} state
+ * @param {function} write
+ */
+function renderPrForm(state, write) {
+  if (!state.prFormMode || !state.prForm) return;
+
+  const form = state.prForm;
+  const platform = state.actionData ? state.actionData.platform : null;
+  const prLabel = platform === 'gitlab' ? 'MR' : 'PR';
+  const width = Math.min(80, state.terminalWidth - 4);
+  const innerW = width - 6;
+  const labelW = 11;
+  const inputW = innerW - labelW;
+  const bodyRows = Math.max(3, Math.min(10, state.terminalHeight - 18));
+  // Border, blank, title, body label + rows, base, draft, reviewers, blank,
+  // button, status, blank, hint, border
+  const height = bodyRows + 13;
+  const col = Math.floor((state.terminalWidth - width) / 2);
+  const row = Math.max(1, Math.floor((state.terminalHeight - height) / 2));
+  const borderColor = ansi.brightCyan;
+
+  write(ansi.moveTo(row, col));
+  write(borderColor + ansi.bold);
+  write(box.dTopLeft + box.dHorizontal.repeat(width - 2) + box.dTopRight);
+  for (let i = 1; i < height - 1; i++) {
+    write(ansi.moveTo(row + i, col));
+    write(borderColor + box.dVertical + ansi.reset + ' '.repeat(width - 2) + borderColor + box.dVertical + ansi.reset);
+  }
+  write(ansi.moveTo(row + height - 1, col));
+  write(borderColor + box.dBottomLeft + box.dHorizontal.repeat(width - 2) + box.dBottomRight);
+  write(ansi.reset);
+
+  write(ansi.moveTo(row, col + 2));
+  write(borderColor + ansi.bold + ' ' + truncate(`Create ${prLabel}: ${form.branch}`, width - 8) + ' ' + ansi.reset);
+
+  /**
+   * @param {import('../state/store').PrForm['field']} field
+   * @param {string} label
+   */
+  const writeLabel = (field, label) => {
+    write(form.field === field
+      ? ansi.brightCyan + ansi.bold + padRight('> ' + label, labelW) + ansi.reset
+      : ansi.gray + padRight('  ' + label, labelW) + ansi.reset);
+  };
+
+  let r = row + 2;
+  write(ansi.moveTo(r++, col + 3));
+  writeLabel('title', 'Title');
+  write(formatFormInput(form.title, form.field === 'title', inputW));
+
+  write(ansi.moveTo(r++, col + 3));
+  writeLabel('body', 'Body');
+  const bodyFocused = form.field === 'body';
+  const bodyLines = form.body.split('\n');
+  // The focused body follows the cursor at its end; otherwise show the start
+  const first = bodyFocused ? Math.max(0, bodyLines.length - bodyRows) : 0;
+  for (let i = 0; i < bodyRows; i++) {
+    const index = first + i;
+    if (index >= bodyLines.length) break;
+    write(ansi.moveTo(r + i, col + 5));
+    const isLast = index === bodyLines.length - 1;
+    if (!bodyFocused && i === bodyRows - 1 && !isLast) {
+      write(ansi.gray + `\u2026 ${bodyLines.length - index} more lines` + ansi.reset);
+    } else {
+      write(formatFormInput(bodyLines[index], bodyFocused && isLast, innerW - 2));
+    }
+  }
+  r += bodyRows;
+
+  write(ansi.moveTo(r++, col + 3));
+  writeLabel('base', 'Base');
+  write(formatFormInput(form.base, form.field === 'base', inputW));
+
+  write(ansi.moveTo(r++, col + 3));
+  writeLabel('draft', 'Draft');
+  write((form.field === 'draft' ? ansi.inverse : '') + (form.draft ? '[x]' : '[ ]') + ansi.reset);
+
+  write(ansi.moveTo(r++, col + 3));
+  writeLabel('reviewers', 'Reviewers');
+  write(form.reviewers || form.field === 'reviewers'
+    ? formatFormInput(form.reviewers, form.field === 'reviewers', inputW)
+    : ansi.gray + 'none (comma-separated usernames)' + ansi.reset);
+
+  r++;
+  const button = `[ Create ${prLabel} ]`;
+  write(ansi.moveTo(r++, col + 3 + labelW));
+  write(form.field === 'submit'
+    ? ansi.inverse + ansi.bold + button + ansi.reset
+    : ansi.brightCyan + button + ansi.reset);
+
+  write(ansi.moveTo(r, col + 3));
+  if (form.submitting) {
+    write(ansi.yellow + `Creating ${prLabel}...` + ansi.reset);
+  } else if (form.error) {
+    write(ansi.red + truncate(sanitizeForRender(form.error), innerW) + ansi.reset);
+  } else if (form.loading) {
+    write(ansi.gray + 'Reading commits...' + ansi.reset);
+  }
+
+  const hint = form.field === 'body'
+    ? '[Tab] Next field  [Enter] New line  [Esc] Cancel'
+    : form.field === 'submit'
+      ? `[Enter] Create ${prLabel}  [Shift+Tab] Back  [Esc] Cancel`
+      : '[Tab/\u2191\u2193] Move  [Enter] Next  [Esc] Cancel';
+  write(ansi.moveTo(row + height - 2, col + Math.max(2, Math.floor((width - hint.length) / 2))));
+  write(ansi.gray + hint + ansi.reset);
 }
 
 // ---------------------------------------------------------------------------
@@ -1511,6 +2591,84 @@ function renderStashConfirm(state, write) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// renderInstallConfirm
+// ---------------------------------------------------------------------------
+
+/**
+ * Render the dependency install prompt.
+ *
+ * Shown when a switch or pull changed a lockfile and autoInstall.mode is
+ * "ask". The dev server waits for the answer before restarting.
+ *
+ * State shape expected:
+ *   installConfirmMode: boolean
+ *   installConfirmSelectedIndex: number (0 or 1)
+ *   pendingInstall: { trigger, installs: [{ lockfiles, dir, command }] }
+ *
+ * @param {State} state
+ * @param {function} write
+ */
+function renderInstallConfirm(state, write) {
+  if (!state.installConfirmMode || !state.pendingInstall) return;
+
+  const { trigger, installs } = state.pendingInstall;
+  const options = ['Install now', 'Skip'];
+  const selectedIdx = state.installConfirmSelectedIndex || 0;
+  const hint = '[Y] Install  [Esc] Skip';
+
+  const width = Math.min(60, state.terminalWidth - 4);
+  const inner = width - 6;
+  const col = Math.floor((state.terminalWidth - width) / 2);
+  const row = 2;
+
+  const lockfiles = installs.flatMap((i) => i.lockfiles);
+  const message = `${lockfiles.join(', ')} changed with this ${trigger}. Run:`;
+  const lines = [];
+  let current = '';
+  for (const word of message.split(' ')) {
+    if (current && (current + ' ' + word).length > inner) {
+      lines.push(current);
+      current = word;
+    } else {
+      current += (current ? ' ' : '') + word;
+    }
+  }
+  if (current) lines.push(current);
+
+  const height = lines.length + installs.length + options.length + 7;
+  write(ansi.moveTo(row, col));
+  write(ansi.cyan + ansi.bold + box.dTopLeft + box.dHorizontal.repeat(width - 2) + box.dTopRight);
+  for (let i = 1; i < height - 1; i++) {
+    write(ansi.moveTo(row + i, col));
+    write(ansi.cyan + box.dVertical + ansi.reset + ' '.repeat(width - 2) + ansi.cyan + box.dVertical + ansi.reset);
+  }
+  write(ansi.moveTo(row + height - 1, col));
+  write(ansi.cyan + box.dBottomLeft + box.dHorizontal.repeat(width - 2) + box.dBottomRight + ansi.reset);
+
+  let r = row + 1;
+  const title = 'Dependencies Changed';
+  write(ansi.moveTo(r++, col + 3) + ' '.repeat(Math.floor((inner - title.length) / 2)) + ansi.cyan + ansi.bold + title + ansi.reset);
+  r++;
+  for (const line of lines) {
+    write(ansi.moveTo(r++, col + 3) + padRight(line, inner));
+  }
+  for (const install of installs) {
+    write(ansi.moveTo(r++, col + 3) + ansi.bold + padRight('  ' + truncate(describeInstall(install), inner - 2), inner) + ansi.reset);
+  }
+  r++;
+  options.forEach((opt, i) => {
+    write(ansi.moveTo(r++, col + 3));
+    if (i === selectedIdx) {
+      write(ansi.bold + ansi.cyan + padRight('\u25b8 ' + opt, inner) + ansi.reset);
+    } else {
+      write(ansi.gray + padRight('  ' + opt, inner) + ansi.reset);
+    }
+  });
+  r++;
+  write(ansi.moveTo(r, col + 3) + ansi.dim + ' '.repeat(Math.floor((inner - hint.length) / 2)) + hint + ansi.reset);
+}
+
 // ---------------------------------------------------------------------------
 // renderDivergeConfirm
 // ---------------------------------------------------------------------------
@@ -1866,15 +3024,30 @@ module.exports = {
   renderFlash,
   renderErrorToast,
   renderPreview,
+  renderDiffView,
   renderHistory,
+  renderWorktrees,
+  renderDigest,
   renderLogView,
   renderInfo,
   renderHelp,
   renderActionModal,
+  renderCiLog,
+  renderPrForm,
   renderStashConfirm,
+  renderInstallConfirm,
   renderDivergeConfirm,
   renderCleanupConfirm,
   renderUpdateModal,
   // Layout helpers — exported for unit testing
   computeNamePadding,
+  underlineMatches,
+  formatRemoteTag,
+  formatRuleTag,
+  formatAuthorTag,
+  getDiffViewLayout,
+  getDigestLayout,
+  formatDigestSummary,
+  getCiLogLayout,
+  formatCheckLines,
 };
@@ -0,0 +1,76 @@
+/**
+ * Branch-name glob matching
+ *
+ * Branch names are slash-separated like paths, so the syntax follows the
+ * familiar shell rules:
+ *   `*`  matches anything within one segment (`feature/*` ≠ `feature/a/b`)
+ *   `**` matches across segments (`claude/**`, `**` alone matches everything)
+ *   `?`  matches a single non-slash character
+ * Everything else is literal. Patterns are anchored to the whole name.
+ */
+
+/** @type {Map<string, RegExp>} */
+const compiled = new Map();
+
+/**
+ * Compile a branch glob to an anchored RegExp (cached).
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const cached = compiled.get(pattern);
+  if (cached) return cached;
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` may also match zero segments: `a/**/b` matches `a/b`
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp('^' + source + '$');
+  compiled.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Test a branch name against a single glob.
+ * @param {string} name - Branch name
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(name, pattern) {
+  return globToRegExp(pattern).test(name);
+}
+
+/**
+ * Test a branch name against a list of globs.
+ * @param {string} name - Branch name
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} true if any pattern matches
+ */
+function matchesAnyGlob(name, patterns) {
+  return patterns.some((pattern) => matchesGlob(name, pattern));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAnyGlob,
+};
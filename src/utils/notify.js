@@ -0,0 +1,75 @@
+/**
+ * Native desktop notifications
+ * @module utils/notify
+ */
+
+const { cascade } = require('./sound');
+
+const APP_NAME = 'git-watchtower';
+
+/** How long the notification stays up where the server honours it (ms) */
+const EXPIRE_MS = 8000;
+
+/**
+ * Quote a string as a GVariant text literal for `gdbus call`, which parses
+ * each argument rather than taking it verbatim.
+ * @param {string} value
+ * @returns {string}
+ */
+function gvariantString(value) {
+  return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+}
+
+/**
+ * Linux cascade: libnotify's notify-send first, then a direct D-Bus call
+ * for desktops that ship gdbus but not libnotify-bin.
+ * @param {{title: string, body: string, urgency: string}} notification
+ * @returns {Array<[string, string[]]>}
+ */
+function linuxAttempts({ title, body, urgency }) {
+  return [
+    ['notify-send', [`--app-name=${APP_NAME}`, `--urgency=${urgency}`, `--expire-time=${EXPIRE_MS}`, '--', title, body]],
+    ['gdbus', [
+      'call', '--session',
+      '--dest', 'org.freedesktop.Notifications',
+      '--object-path', '/org/freedesktop/Notifications',
+      '--method', 'org.freedesktop.Notifications.Notify',
+      gvariantString(APP_NAME), '0', "''",
+      gvariantString(title), gvariantString(body),
+      '[]', `{'urgency': <byte ${urgency === 'critical' ? 2 : 1}>}`, String(EXPIRE_MS),
+    ]],
+  ];
+}
+
+/**
+ * Show a desktop notification (non-blocking).
+ *
+ * Linux (notify-send, then gdbus) and macOS (osascript). Other platforms
+ * have no notifier and go straight to `onUnavailable`. Title and body are
+ * passed as argv — never through a shell or spliced into a script — since
+ * they carry branch names and commit subjects from the remote.
+ *
+ * @param {{title: string, body?: string, urgency?: 'normal'|'critical'}} notification
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {() => void} [options.onUnavailable] - Called when every notifier failed
+ */
+function sendDesktopNotification(notification, options = {}) {
+  const { platform } = process;
+  const cwd = options.cwd || process.cwd();
+  const onUnavailable = options.onUnavailable || (() => {});
+  const title = notification.title;
+  const body = notification.body || '';
+  const urgency = notification.urgency || 'normal';
+
+  if (platform === 'linux') {
+    cascade(linuxAttempts({ title, body, urgency }), onUnavailable, { cwd });
+  } else if (platform === 'darwin') {
+    const script = ['-e', 'on run argv', '-e', 'display notification (item 2 of argv) with title (item 1 of argv)', '-e', 'end run'];
+    cascade([['osascript', [...script, title, body]]], onUnavailable, { cwd });
+  } else {
+    onUnavailable();
+  }
+}
+
+module.exports = { sendDesktopNotification, gvariantString };
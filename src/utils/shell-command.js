@@ -0,0 +1,141 @@
+/**
+ * Run a user-configured shell command (a hook, a pre-start step) in its own
+ * process group.
+ *
+ * `npm test && curl …` is a shell with children, and killing only the shell
+ * leaves them running. The command gets a process group of its own instead,
+ * and a timeout (or an abort) signals the whole group: SIGTERM first, then
+ * SIGKILL for whatever is still there after a grace period. The returned
+ * promise doesn't settle until the group has exited, so a caller running
+ * commands one after another never overlaps a stopped one with the next.
+ *
+ * @module utils/shell-command
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+
+/** How long a stopped command gets after SIGTERM before SIGKILL (ms) */
+const KILL_GRACE_MS = 2000;
+
+/** How long to wait for the exit after SIGKILL before giving up on it (ms) */
+const KILL_WAIT_MS = 500;
+
+/**
+ * Error for a command that ran and failed, carrying its exit status.
+ * @typedef {Error & {exitCode: number|null, signal: NodeJS.Signals|null}} CommandExitError
+ */
+
+/**
+ * Run `command` through the shell.
+ *
+ * Resolves on exit code 0. Rejects with a CommandExitError on a non-zero
+ * exit or an outside signal, with the spawn error when the shell can't
+ * start, with `code: 'ETIMEDOUT'` after the timeout and with
+ * `code: 'ABORT_ERR'` when `signal` is aborted.
+ *
+ * @param {string} command
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {NodeJS.ProcessEnv} options.env - The command's full environment
+ * @param {number} options.timeout - Milliseconds before the group is stopped
+ * @param {string} [options.input] - Written to stdin, which is closed otherwise
+ * @param {(text: string, isError: boolean) => void} [options.onOutput] - stdout/stderr chunks
+ * @param {AbortSignal} [options.signal] - Stops the group like a timeout
+ * @param {typeof spawn} [options.spawnFn] - Injected for tests
+ * @param {string} [options.platform] - Injected for tests
+ * @param {number} [options.killGraceMs]
+ * @returns {Promise<void>}
+ */
+function runShellCommand(command, {
+  cwd,
+  env,
+  timeout,
+  input,
+  onOutput = () => {},
+  signal,
+  spawnFn = spawn,
+  platform = process.platform,
+  killGraceMs = KILL_GRACE_MS,
+}) {
+  const isWindows = platform === 'win32';
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    /** @type {Error|null} */
+    let stopError = null;
+    /** @type {NodeJS.Timeout|undefined} */
+    let forceKill;
+    /** @type {NodeJS.Timeout|undefined} */
+    let timer;
+    const onAbort = () => stop(Object.assign(new Error('stopped'), { code: 'ABORT_ERR' }));
+    /** @param {Error|null} err */
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(forceKill);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (err) reject(err);
+      else resolve();
+    };
+
+    const proc = spawnFn(command, {
+      cwd,
+      env,
+      shell: true,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      detached: !isWindows,
+    });
+
+    /** @param {NodeJS.Signals} sig */
+    const killGroup = (sig) => {
+      try {
+        if (isWindows) proc.kill(sig);
+        else process.kill(-proc.pid, sig);
+      } catch (_) { /* already gone */ }
+    };
+
+    /** @param {Error} err */
+    function stop(err) {
+      if (stopError || settled) return;
+      stopError = err;
+      killGroup('SIGTERM');
+      forceKill = setTimeout(() => {
+        killGroup('SIGKILL');
+        // Don't hold the caller forever if 'close' never comes
+        setTimeout(() => finish(stopError), KILL_WAIT_MS).unref();
+      }, killGraceMs);
+    }
+
+    timer = setTimeout(() => {
+      stop(Object.assign(new Error(`timed out after ${Math.round(timeout / 1000)}s`), { code: 'ETIMEDOUT' }));
+    }, timeout);
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort);
+    }
+
+    proc.stdout.on('data', (chunk) => onOutput(chunk.toString(), false));
+    proc.stderr.on('data', (chunk) => onOutput(chunk.toString(), true));
+    proc.on('error', (err) => finish(err));
+    proc.on('close', (code, sig) => {
+      if (stopError) return finish(stopError);
+      if (code === 0) return finish(null);
+      const message = sig ? `killed by ${sig}` : `exited with code ${code}`;
+      finish(Object.assign(new Error(message), { exitCode: code, signal: sig }));
+    });
+
+    if (input !== undefined) {
+      // A command that never reads stdin may exit before we finish writing;
+      // the resulting EPIPE is not the command's failure.
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    }
+  });
+}
+
+module.exports = {
+  KILL_GRACE_MS,
+  runShellCommand,
+};
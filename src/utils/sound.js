@@ -14,12 +14,20 @@ const playBell = () => {
 // Linux audio-tool cascade. Each entry is [command, args]; we try them in
 // order and fall through on non-zero exit, ending in a terminal bell.
 // Mirrors the previous shell `||` chain without spawning a shell.
+/** @type {Array<[string, string[]]>} */
 const LINUX_ATTEMPTS = [
   ['paplay', ['/usr/share/sounds/freedesktop/stereo/message-new-instant.oga']],
   ['paplay', ['/usr/share/sounds/freedesktop/stereo/complete.oga']],
   ['aplay', ['-q', '/usr/share/sounds/sound-icons/prompt.wav']],
 ];
 
+/**
+ * Run each [command, args] in turn until one exits 0, calling onAllFailed
+ * if none do. Shared with utils/notify.
+ * @param {Array<[string, string[]]>} attempts
+ * @param {() => void} onAllFailed
+ * @param {import('child_process').ExecFileOptions} options
+ */
 function cascade(attempts, onAllFailed, options) {
   if (attempts.length === 0) {
     onAllFailed();
@@ -57,4 +65,4 @@ function playSound(options = {}) {
   }
 }
 
-module.exports = { playSound };
+module.exports = { playSound, cascade };
@@ -44,4 +44,58 @@ function formatTimeCompact(date) {
   return `${diffDay}d`;
 }
 
-module.exports = { formatTimeAgo, formatTimeCompact };
+/**
+ * Format an elapsed time, e.g. a CI job's run time.
+ * @param {number} ms
+ * @returns {string} e.g. "45s", "2m 5s", "1h 3m"
+ */
+function formatElapsed(ms) {
+  const totalSec = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSec / 3600);
+  const minutes = Math.floor((totalSec % 3600) / 60);
+  const seconds = totalSec % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Local calendar day of a timestamp as `YYYY-MM-DD`.
+ * @param {Date|number} date
+ * @returns {string}
+ */
+function toDayKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Start and end (exclusive) of a local calendar day, in epoch ms.
+ * Built from calendar fields rather than adding 24h so DST days are right.
+ * @param {string} dayKey - `YYYY-MM-DD`
+ * @returns {{since: number, until: number}|null} null for malformed keys
+ */
+function dayBounds(dayKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayKey || '');
+  if (!match) return null;
+  const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+  const start = new Date(year, month, day);
+  if (start.getMonth() !== month || start.getDate() !== day) return null;
+  return { since: start.getTime(), until: new Date(year, month, day + 1).getTime() };
+}
+
+/**
+ * Move a `YYYY-MM-DD` day key by a number of days.
+ * @param {string} dayKey
+ * @param {number} days - Negative to go back
+ * @returns {string}
+ */
+function shiftDayKey(dayKey, days) {
+  const bounds = dayBounds(dayKey);
+  if (!bounds) return dayKey;
+  const d = new Date(bounds.since);
+  return toDayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() + days));
+}
+
+module.exports = { formatTimeAgo, formatTimeCompact, formatElapsed, toDayKey, dayBounds, shiftDayKey };
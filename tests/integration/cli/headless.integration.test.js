@@ -0,0 +1,95 @@
+/**
+ * CLI headless mode: no TUI, one JSON event per line on stdout.
+ *
+ * Runs the real entrypoint against a throwaway repo with a bare remote and
+ * checks that stdout stays machine-readable from start to shutdown.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGitFixture } = require('../git/git-fixture');
+
+const BIN = path.join(__dirname, '..', '..', '..', 'bin', 'git-watchtower.js');
+
+/**
+ * Resolve once an event matching `predicate` has been read, or reject after
+ * `timeoutMs`.
+ */
+function waitForEvent(events, predicate, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      const found = events.find(predicate);
+      if (found) return resolve(found);
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting for event'));
+      setTimeout(tick, 50);
+    };
+    tick();
+  });
+}
+
+describe('CLI headless mode', () => {
+  let fixture;
+  let home;
+
+  before(() => {
+    fixture = createGitFixture();
+    fixture.createRemote();
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'git-watchtower-home-'));
+  });
+
+  after(() => {
+    fixture.cleanup();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('streams NDJSON events from startup to shutdown', async () => {
+    const proc = spawn('node', [BIN, '--headless', '--no-server', '--poll-interval', '1000'], {
+      cwd: fixture.path,
+      env: { ...process.env, HOME: home, USERPROFILE: home, GIT_WATCHTOWER_TELEMETRY: 'false' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let stdout = '';
+    const events = [];
+    proc.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      let nl;
+      while ((nl = stdout.indexOf('\n')) >= 0) {
+        const line = stdout.slice(0, nl);
+        stdout = stdout.slice(nl + 1);
+        events.push(JSON.parse(line));
+      }
+    });
+    const exited = new Promise((resolve) => proc.on('close', resolve));
+
+    try {
+      const startedEvent = await waitForEvent(events, (e) => e.type === 'started', 10000);
+      assert.equal(startedEvent.branch, fixture.getCurrentBranch());
+      assert.deepEqual(startedEvent.remotes, ['origin']);
+
+      fixture.createBranch('feature/headless');
+      const created = await waitForEvent(
+        events,
+        (e) => e.type === 'branch_created' && e.branch === 'feature/headless',
+        10000,
+      );
+      assert.equal(created.commit, fixture.getHeadHash());
+    } finally {
+      proc.kill('SIGTERM');
+    }
+
+    const code = await exited;
+    assert.equal(code, 0);
+    assert.equal(stdout, '', 'stdout should end on a complete line');
+    assert.equal(events[events.length - 1].type, 'stopped');
+    for (const event of events) {
+      assert.equal(typeof event.type, 'string');
+      assert.ok(!Number.isNaN(Date.parse(event.timestamp)));
+    }
+  });
+});
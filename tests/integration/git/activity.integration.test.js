@@ -0,0 +1,52 @@
+/**
+ * Integration tests for the branch activity cache
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createGitFixture } = require('./git-fixture');
+const { createActivityCache } = require('../../../src/git/activity');
+
+describe('activity.js integration tests', () => {
+  let fixture;
+
+  beforeEach(() => {
+    fixture = createGitFixture();
+  });
+
+  afterEach(() => {
+    if (fixture) fixture.cleanup();
+  });
+
+  it('reads commits since a time and reuses them while the tip is unchanged', async () => {
+    const now = Date.now();
+    fixture.commitWithDate('Old work', new Date(now - 40 * 86400000));
+    fixture.commitWithDate('Recent work', new Date(now - 3600000));
+    const tip = fixture.getHeadHash();
+    const cache = createActivityCache();
+    const since = now - 7 * 86400000;
+
+    const commits = await cache.load('master', { refs: ['origin/master', 'master'], tip, since, cwd: fixture.path });
+    assert.strictEqual(commits.length, 1);
+    assert.strictEqual(commits[0].author, 'Test Author');
+
+    // A new commit doesn't show up until the tip passed in changes
+    fixture.commit('Newer work', true);
+    const cached = await cache.load('master', { refs: ['master'], tip, since, cwd: fixture.path });
+    assert.strictEqual(cached.length, 1);
+    const fresh = await cache.load('master', { refs: ['master'], tip: fixture.getHeadHash(), since, cwd: fixture.path });
+    assert.strictEqual(fresh.length, 2);
+  });
+
+  it('reads again when a longer window is asked for', async () => {
+    const now = Date.now();
+    fixture.commitWithDate('Old work', new Date(now - 20 * 86400000));
+    const tip = fixture.getHeadHash();
+    const cache = createActivityCache();
+
+    const week = await cache.load('master', { refs: ['master'], tip, since: now - 7 * 86400000, cwd: fixture.path });
+    const month = await cache.load('master', { refs: ['master'], tip, since: now - 30 * 86400000, cwd: fixture.path });
+    assert.strictEqual(week.length, 0);
+    assert.ok(month.some((c) => c.time < now - 7 * 86400000));
+  });
+});
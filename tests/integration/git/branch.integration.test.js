@@ -100,6 +100,19 @@ describe('branch.js integration tests', () => {
       assert.ok('hasUpdates' in branch);
     });
 
+    it('should read the author and trailers of the tip commit', async () => {
+      fixture.git('commit --allow-empty -m "Add login" -m "Co-Authored-By: Claude <noreply@anthropic.com>"');
+      const branches = await getAllBranches({
+        fetch: false,
+        cwd: fixture.path,
+      });
+
+      assert.strictEqual(branches[0].author, 'Test Author');
+      assert.strictEqual(branches[0].authorEmail, 'test@example.com');
+      assert.deepStrictEqual(branches[0].trailers, ['Co-Authored-By: Claude <noreply@anthropic.com>']);
+      assert.strictEqual(branches[0].subject, 'Add login');
+    });
+
     it('populates branch.date from a strict-ISO timestamp (audit #24)', async () => {
       // for-each-ref is asked for committerdate:iso8601-strict, not the
       // space-separated iso8601 form. Verifies Date parse produced a
@@ -156,6 +169,56 @@ describe('branch.js integration tests', () => {
       assert.strictEqual(master.hasRemote, true);
     });
 
+    it('should list every monitored remote a branch lives on', async () => {
+      fixture.createRemote('origin');
+      fixture.createRemote('upstream');
+
+      // Only on upstream
+      fixture.createBranch('fork-only', true);
+      fixture.commit('Fork commit', true);
+      fixture.push('fork-only', 'upstream');
+      fixture.checkout('master');
+      fixture.git('branch -D fork-only');
+
+      // upstream master is one commit ahead of local/origin master
+      fixture.commit('Upstream-only commit', true);
+      fixture.push('master', 'upstream');
+      fixture.git('reset --hard HEAD~1');
+
+      const branches = await getAllBranches({
+        fetch: false,
+        remoteNames: ['origin', 'upstream'],
+        cwd: fixture.path,
+      });
+
+      const master = branches.find((b) => b.name === 'master');
+      assert.deepStrictEqual(master.remotes, ['origin', 'upstream']);
+      assert.deepStrictEqual(master.remoteAheadBehind.origin, { ahead: 0, behind: 0 });
+      assert.deepStrictEqual(master.remoteAheadBehind.upstream, { ahead: 0, behind: 1 });
+      // Only the primary remote drives hasUpdates
+      assert.strictEqual(master.hasUpdates, false);
+
+      const forkOnly = branches.find((b) => b.name === 'fork-only');
+      assert.ok(forkOnly, 'Should find branch that only exists on a secondary remote');
+      assert.strictEqual(forkOnly.isLocal, false);
+      assert.strictEqual(forkOnly.remote, 'upstream');
+      assert.deepStrictEqual(forkOnly.remotes, ['upstream']);
+    });
+
+    it('should ignore secondary remotes that are not monitored', async () => {
+      fixture.createRemote('origin');
+      fixture.createRemote('upstream');
+
+      const branches = await getAllBranches({
+        fetch: false,
+        remoteName: 'origin',
+        cwd: fixture.path,
+      });
+
+      const master = branches.find((b) => b.name === 'master');
+      assert.deepStrictEqual(master.remotes, ['origin']);
+    });
+
     it('should sort branches by date (most recent first)', async () => {
       // Create branches with commits at different times
       fixture.createBranch('old-branch', true);
@@ -0,0 +1,87 @@
+/**
+ * Integration tests for the since-last-seen digest
+ *
+ * Uses temporary git repositories with local branches standing in for
+ * what the poll loop lists.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createGitFixture } = require('./git-fixture');
+const { buildDigest } = require('../../../src/git/digest');
+
+describe('digest.js integration tests', () => {
+  let fixture;
+
+  /** Branch list in the shape getAllBranches returns */
+  function listBranches() {
+    return fixture.git('for-each-ref "--format=%(refname:short)|%(objectname:short)|%(subject)" refs/heads/')
+      .split('\n')
+      .map((line) => {
+        const [name, commit, subject] = line.split('|');
+        return { name, commit, subject };
+      });
+  }
+
+  beforeEach(() => {
+    fixture = createGitFixture();
+  });
+
+  afterEach(() => {
+    if (fixture) fixture.cleanup();
+  });
+
+  it('reports nothing on the first run and returns a baseline', async () => {
+    const digest = await buildDigest(null, listBranches(), { baseRef: 'master', cwd: fixture.path, now: () => 1000 });
+    assert.strictEqual(digest.since, null);
+    assert.deepStrictEqual(digest.entries, []);
+    assert.strictEqual(digest.snapshot.seenAt, 1000);
+    assert.strictEqual(digest.snapshot.baseCommit, fixture.getHeadHash());
+    assert.deepStrictEqual(Object.keys(digest.snapshot.branches), ['master']);
+  });
+
+  it('reports created, updated, merged and deleted branches with stats', async () => {
+    fixture.createBranch('quiet');
+    fixture.createBranch('gone');
+    fixture.createBranch('agent/update', true);
+    fixture.createFile('a.txt', 'one\n', true, 'Start update');
+    fixture.checkout('master');
+    fixture.createBranch('agent/merge', true);
+    fixture.createFile('b.txt', 'one\ntwo\n', true, 'Work to merge');
+    fixture.checkout('master');
+
+    const { snapshot } = await buildDigest(null, listBranches(), { baseRef: 'master', cwd: fixture.path, now: () => 1000 });
+
+    // While nobody was looking...
+    fixture.checkout('agent/update');
+    fixture.createFile('a.txt', 'one\ntwo\nthree\n', true, 'More update');
+    fixture.createFile('c.txt', 'x\n', true, 'Even more');
+    fixture.checkout('master');
+    fixture.git('merge --no-ff agent/merge -m "Merge agent/merge"');
+    fixture.createBranch('agent/new', true);
+    fixture.createFile('d.txt', 'new\n', true, 'Brand new');
+    fixture.checkout('master');
+    fixture.git('branch -D gone');
+
+    const digest = await buildDigest(snapshot, listBranches(), { baseRef: 'master', cwd: fixture.path });
+    assert.strictEqual(digest.since, 1000);
+    const summary = digest.entries.map((e) => [e.status, e.name, e.commits, e.stats && e.stats.added]);
+    assert.deepStrictEqual(summary, [
+      ['created', 'agent/new', 1, 1],
+      ['updated', 'agent/update', 2, 3],
+      ['updated', 'master', 2, 2],
+      ['merged', 'agent/merge', 1, 2],
+      ['deleted', 'gone', null, null],
+    ]);
+    assert.strictEqual(digest.entries[0].subject, 'Brand new');
+  });
+
+  it('leaves counts unknown when the old tip no longer exists', async () => {
+    const seen = { seenAt: 1, baseCommit: null, branches: { master: 'deadbee' } };
+    const digest = await buildDigest(seen, listBranches(), { cwd: fixture.path });
+    assert.strictEqual(digest.entries.length, 1);
+    assert.strictEqual(digest.entries[0].status, 'updated');
+    assert.strictEqual(digest.entries[0].commits, null);
+    assert.strictEqual(digest.entries[0].stats, null);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Integration tests for git worktree management
+ *
+ * Uses temporary git repositories; worktrees are created in a separate
+ * temp directory that each test removes.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createGitFixture } = require('./git-fixture');
+const { listWorktrees, openWorktree, removeWorktree } = require('../../../src/git/worktree');
+const { GitError, ValidationError } = require('../../../src/utils/errors');
+
+describe('worktree.js integration tests', () => {
+  let fixture;
+  let baseDir;
+
+  beforeEach(() => {
+    fixture = createGitFixture();
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-worktrees-'));
+  });
+
+  afterEach(() => {
+    if (fixture) fixture.cleanup();
+    try { fs.rmSync(baseDir, { recursive: true, force: true }); } catch (e) { /* best effort */ }
+  });
+
+  it('listWorktrees returns just the main tree, flagged current', async () => {
+    const list = await listWorktrees(fixture.path);
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].branch, 'master');
+    assert.strictEqual(list[0].isMain, true);
+    assert.strictEqual(list[0].isCurrent, true);
+  });
+
+  it('openWorktree creates a worktree for a local branch, then reuses it', async () => {
+    fixture.createBranch('agent/fix');
+    const first = await openWorktree('agent/fix', { baseDir, cwd: fixture.path });
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(fs.realpathSync(first.worktree.path), fs.realpathSync(path.join(baseDir, 'agent', 'fix')));
+    assert.ok(fs.existsSync(path.join(first.worktree.path, 'README.md')));
+
+    const second = await openWorktree('agent/fix', { baseDir, cwd: fixture.path });
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(second.worktree.path, first.worktree.path);
+
+    const list = await listWorktrees(fixture.path);
+    assert.deepStrictEqual(list.map(w => w.branch), ['master', 'agent/fix']);
+  });
+
+  it('openWorktree reuses the main tree when the branch is checked out there', async () => {
+    const { worktree, created } = await openWorktree('master', { baseDir, cwd: fixture.path });
+    assert.strictEqual(created, false);
+    assert.strictEqual(worktree.isMain, true);
+  });
+
+  it('openWorktree creates a tracking branch from a remote ref', async () => {
+    const remotePath = fixture.createRemote('origin');
+    fixture.createBranch('remote-only');
+    fixture.push('remote-only');
+    fixture.git('branch -D remote-only');
+
+    const { worktree, created } = await openWorktree('remote-only', {
+      baseDir, remoteRef: 'origin/remote-only', cwd: fixture.path,
+    });
+    assert.strictEqual(created, true);
+    assert.strictEqual(worktree.branch, 'remote-only');
+    assert.strictEqual(fixture.git('rev-parse --abbrev-ref remote-only@{upstream}'), 'origin/remote-only');
+    fs.rmSync(remotePath, { recursive: true, force: true });
+  });
+
+  it('openWorktree refuses unknown branches, taken paths and unsafe names', async () => {
+    await assert.rejects(openWorktree('nope', { baseDir, cwd: fixture.path }), GitError);
+
+    fixture.createBranch('taken');
+    fs.mkdirSync(path.join(baseDir, 'taken'));
+    await assert.rejects(openWorktree('taken', { baseDir, cwd: fixture.path }), /already exists/);
+
+    await assert.rejects(openWorktree('-x', { baseDir, cwd: fixture.path }), ValidationError);
+  });
+
+  it('removeWorktree removes a clean worktree and refuses a dirty one without force', async () => {
+    fixture.createBranch('a');
+    fixture.createBranch('b');
+    const a = (await openWorktree('a', { baseDir, cwd: fixture.path })).worktree;
+    const b = (await openWorktree('b', { baseDir, cwd: fixture.path })).worktree;
+
+    await removeWorktree(a.path, { cwd: fixture.path });
+    assert.strictEqual(fs.existsSync(a.path), false);
+
+    fs.writeFileSync(path.join(b.path, 'README.md'), 'changed\n');
+    await assert.rejects(removeWorktree(b.path, { cwd: fixture.path }), GitError);
+    await removeWorktree(b.path, { force: true, cwd: fixture.path });
+    assert.deepStrictEqual((await listWorktrees(fixture.path)).map(w => w.branch), ['master']);
+  });
+});
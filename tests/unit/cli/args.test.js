@@ -384,6 +384,25 @@ describe('parseArgs', () => {
     });
   });
 
+  describe('--headless', () => {
+    it('should default to false', () => {
+      const result = parseArgs([]);
+      assert.equal(result.headless, false);
+    });
+
+    it('should set headless flag', () => {
+      const result = parseArgs(['--headless']);
+      assert.equal(result.headless, true);
+    });
+
+    it('should combine with other flags', () => {
+      const result = parseArgs(['--headless', '--no-server', '--poll-interval', '10000']);
+      assert.equal(result.headless, true);
+      assert.equal(result.noServer, true);
+      assert.equal(result.pollInterval, 10000);
+    });
+  });
+
   describe('--version', () => {
     it('should call onVersion callback', () => {
       let versionCalled = null;
@@ -11,10 +11,26 @@ const {
   getDefaultConfig,
   validatePort,
   validateServerMode,
+  validateServerCommands,
+  validateHealthCheck,
+  validateAutoRestart,
+  validateServerOverrides,
+  validateAutoInstall,
   validatePollInterval,
   validateVisibleBranches,
   validateConfig,
   migrateConfig,
+  getMonitoredRemotes,
+  validateHooks,
+  validateBranchRules,
+  validateDesktopNotifications,
+  validateWorktrees,
+  validateJournal,
+  validateActivity,
+  validateHosting,
+  validatePr,
+  validateAgents,
+  HOOK_EVENT_TYPES,
 } = require('../../../src/config/schema');
 const { ConfigError, ValidationError } = require('../../../src/utils/errors');
 
@@ -378,3 +394,459 @@ describe('inactivityBackoff validation', () => {
     assert.throws(() => validateConfig({ inactivityBackoff: { factor: 'big' } }), ConfigError);
   });
 });
+
+describe('remotes validation', () => {
+  it('should default to no extra remotes', () => {
+    const result = validateConfig({});
+    assert.deepStrictEqual(result.remotes, []);
+  });
+
+  it('should accept a list of remote names and collapse duplicates', () => {
+    const result = validateConfig({ remotes: ['upstream', ' agent-1 ', 'upstream'] });
+    assert.deepStrictEqual(result.remotes, ['upstream', 'agent-1']);
+  });
+
+  it('should reject a non-array value', () => {
+    assert.throws(() => validateConfig({ remotes: 'upstream' }), ConfigError);
+  });
+
+  it('should reject blank or unsafe remote names', () => {
+    assert.throws(() => validateConfig({ remotes: [''] }), ConfigError);
+    assert.throws(() => validateConfig({ remotes: [42] }), ConfigError);
+    assert.throws(() => validateConfig({ remotes: ['up;stream'] }), ConfigError);
+    assert.throws(() => validateConfig({ remotes: ['-upstream'] }), ConfigError);
+  });
+});
+
+describe('getMonitoredRemotes', () => {
+  it('should put the primary remote first', () => {
+    assert.deepStrictEqual(
+      getMonitoredRemotes({ remoteName: 'origin', remotes: ['upstream', 'agent'] }),
+      ['origin', 'upstream', 'agent']
+    );
+  });
+
+  it('should not repeat the primary remote when it is also listed', () => {
+    assert.deepStrictEqual(
+      getMonitoredRemotes({ remoteName: 'upstream', remotes: ['origin', 'upstream'] }),
+      ['upstream', 'origin']
+    );
+  });
+
+  it('should fall back to the default remote', () => {
+    assert.deepStrictEqual(getMonitoredRemotes({}), ['origin']);
+  });
+});
+
+describe('hooks validation', () => {
+  it('should default to no hooks', () => {
+    assert.deepStrictEqual(validateConfig({}).hooks, []);
+  });
+
+  it('should fill in default events and branch filter', () => {
+    const result = validateConfig({ hooks: [{ command: 'npm test' }] });
+    assert.deepStrictEqual(result.hooks, [{
+      events: ['branch_created', 'branch_deleted', 'branch_updated', 'merge_conflict'],
+      branches: [],
+      command: 'npm test',
+    }]);
+  });
+
+  it('should accept a url hook with headers, filters and timeout', () => {
+    const [hook] = validateHooks([{
+      name: 'chat',
+      url: 'https://chat.example.com/hook',
+      events: ['branch_updated', 'auto_pull_failed', 'branch_updated'],
+      branches: ['claude/**', ' main '],
+      headers: { Authorization: 'Bearer x' },
+      timeout: 5000,
+    }]);
+    assert.strictEqual(hook.name, 'chat');
+    assert.deepStrictEqual(hook.events, ['branch_updated', 'auto_pull_failed']);
+    assert.deepStrictEqual(hook.branches, ['claude/**', 'main']);
+    assert.deepStrictEqual(hook.headers, { Authorization: 'Bearer x' });
+    assert.strictEqual(hook.timeout, 5000);
+  });
+
+  it('should allow shell syntax in hook commands', () => {
+    const [hook] = validateHooks([{ command: 'npm test && ./notify.sh | tee hook.log' }]);
+    assert.strictEqual(hook.command, 'npm test && ./notify.sh | tee hook.log');
+  });
+
+  it('should require exactly one of command or url', () => {
+    assert.throws(() => validateHooks([{}]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', url: 'http://localhost/' }]), ConfigError);
+  });
+
+  it('should reject malformed entries', () => {
+    assert.throws(() => validateHooks({ command: 'x' }), ConfigError);
+    assert.throws(() => validateHooks(['npm test']), ConfigError);
+    assert.throws(() => validateHooks([{ command: '  ' }]), ConfigError);
+    assert.throws(() => validateHooks([{ url: 'ftp://example.com' }]), ConfigError);
+    assert.throws(() => validateHooks([{ url: 'not a url' }]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', events: [] }]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', events: ['log'] }]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', events: ['pushed'] }]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', branches: 'main' }]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', headers: { A: 'b' } }]), ConfigError);
+    assert.throws(() => validateHooks([{ url: 'http://localhost/', headers: { A: 1 } }]), ConfigError);
+    assert.throws(() => validateHooks([{ command: 'x', timeout: 10 }]), ConfigError);
+  });
+
+  it('should name the offending entry in the error', () => {
+    assert.throws(
+      () => validateHooks([{ command: 'ok' }, { command: 'x', events: ['nope'] }]),
+      /hooks\[1\]\.events/
+    );
+  });
+
+  it('should not offer the log event to hooks', () => {
+    assert.ok(!HOOK_EVENT_TYPES.includes('log'));
+    assert.ok(HOOK_EVENT_TYPES.includes('server_crash'));
+  });
+});
+
+describe('branchRules validation', () => {
+  it('should default to empty lists', () => {
+    assert.deepStrictEqual(validateConfig({}).branchRules, { pin: [], mute: [], ignore: [] });
+  });
+
+  it('should fill in omitted lists and collapse duplicates', () => {
+    const result = validateBranchRules({ pin: ['main', 'release/*', ' main '], ignore: ['dependabot/**'] });
+    assert.deepStrictEqual(result, { pin: ['main', 'release/*'], mute: [], ignore: ['dependabot/**'] });
+  });
+
+  it('should reject non-object blocks and non-array lists', () => {
+    assert.throws(() => validateBranchRules(['main']), ConfigError);
+    assert.throws(() => validateBranchRules(null), ConfigError);
+    assert.throws(() => validateBranchRules({ pin: 'main' }), ConfigError);
+  });
+
+  it('should reject blank or non-string patterns', () => {
+    assert.throws(() => validateBranchRules({ mute: [''] }), ConfigError);
+    assert.throws(() => validateBranchRules({ ignore: [42] }), /branchRules\.ignore/);
+  });
+});
+
+describe('desktopNotifications validation', () => {
+  it('should be off by default with per-event defaults', () => {
+    const result = validateConfig({}).desktopNotifications;
+    assert.strictEqual(result.enabled, false);
+    assert.strictEqual(result.events.branch_updated, true);
+    assert.strictEqual(result.events.branch_deleted, false);
+  });
+
+  it('should merge partial event toggles over the defaults', () => {
+    const result = validateDesktopNotifications({ enabled: true, events: { branch_updated: false, branch_deleted: true } });
+    assert.strictEqual(result.enabled, true);
+    assert.strictEqual(result.events.branch_updated, false);
+    assert.strictEqual(result.events.branch_deleted, true);
+    assert.strictEqual(result.events.merge_conflict, true);
+  });
+
+  it('should not share the defaults object between results', () => {
+    validateDesktopNotifications({ events: { branch_created: false } });
+    assert.strictEqual(DEFAULTS.desktopNotifications.events.branch_created, true);
+  });
+
+  it('should reject unknown event types and malformed blocks', () => {
+    assert.throws(() => validateDesktopNotifications({ events: { log: true } }), /Unknown event "log"/);
+    assert.throws(() => validateDesktopNotifications({ events: ['branch_created'] }), ConfigError);
+    assert.throws(() => validateDesktopNotifications(true), ConfigError);
+  });
+});
+
+describe('worktrees validation', () => {
+  it('should default to an empty dir', () => {
+    assert.deepStrictEqual(validateConfig({}).worktrees, { dir: '' });
+  });
+
+  it('should accept and trim a dir', () => {
+    assert.deepStrictEqual(validateWorktrees({ dir: ' ~/worktrees ' }), { dir: '~/worktrees' });
+  });
+
+  it('should reject malformed settings', () => {
+    assert.throws(() => validateWorktrees({ dir: 42 }), /worktrees\.dir/);
+    assert.throws(() => validateWorktrees('..'), ConfigError);
+  });
+});
+
+describe('journal validation', () => {
+  it('should be enabled by default', () => {
+    assert.deepStrictEqual(validateConfig({}).journal, { enabled: true });
+  });
+
+  it('should accept enabled: false', () => {
+    assert.deepStrictEqual(validateJournal({ enabled: false }), { enabled: false });
+  });
+
+  it('should reject non-object settings', () => {
+    assert.throws(() => validateJournal(true), ConfigError);
+  });
+});
+
+describe('server.commands validation', () => {
+  const SERVER_DEFAULTS = getDefaultConfig().server;
+
+  it('should default to no named processes', () => {
+    assert.deepStrictEqual(validateConfig({}).server.commands, []);
+  });
+
+  it('should fill in defaults, taking restartOnSwitch from the server block', () => {
+    const result = validateConfig({
+      server: {
+        restartOnSwitch: false,
+        commands: [
+          { name: 'web', command: 'npm run dev', port: 3000 },
+          { name: 'worker', command: 'npm run worker', env: { QUEUE: 'local' }, restartOnSwitch: true },
+        ],
+      },
+    });
+    const autoRestart = DEFAULTS.server.autoRestart;
+    assert.deepStrictEqual(result.server.commands, [
+      { name: 'web', command: 'npm run dev', port: 3000, env: {}, restartOnSwitch: false, healthCheck: null, autoRestart },
+      { name: 'worker', command: 'npm run worker', port: null, env: { QUEUE: 'local' }, restartOnSwitch: true, healthCheck: null, autoRestart },
+    ]);
+  });
+
+  it('should let each process override the health check and restart policy', () => {
+    const result = validateConfig({
+      server: {
+        healthCheck: { port: 3000 },
+        autoRestart: { enabled: true },
+        commands: [
+          { name: 'web', command: 'npm run dev' },
+          { name: 'api', command: 'npm run api', healthCheck: { url: 'http://localhost:8080/health' }, autoRestart: { maxRetries: 2 } },
+          { name: 'worker', command: 'npm run worker', healthCheck: null, autoRestart: { enabled: false } },
+        ],
+      },
+    });
+    const [web, api, worker] = result.server.commands;
+    assert.strictEqual(web.healthCheck.port, 3000);
+    assert.strictEqual(web.autoRestart.enabled, true);
+    assert.strictEqual(api.healthCheck.url, 'http://localhost:8080/health');
+    assert.deepStrictEqual(api.autoRestart, { enabled: true, maxRetries: 2, initialDelay: 1000, maxDelay: 30000 });
+    assert.strictEqual(worker.healthCheck, null);
+    assert.strictEqual(worker.autoRestart.enabled, false);
+  });
+
+  it('should reject bad and duplicate names', () => {
+    assert.throws(() => validateServerCommands([{ name: 'my api', command: 'x' }], SERVER_DEFAULTS), /name must be a word/);
+    assert.throws(() => validateServerCommands([{ command: 'x' }], SERVER_DEFAULTS), /server\.commands\[0\]\.name/);
+    assert.throws(
+      () => validateServerCommands([{ name: 'api', command: 'a' }, { name: 'api', command: 'b' }], SERVER_DEFAULTS),
+      /Duplicate server process name: api/
+    );
+  });
+
+  it('should apply the server.command checks to each command', () => {
+    assert.throws(() => validateServerCommands([{ name: 'api', command: '' }], SERVER_DEFAULTS), /non-empty/);
+    assert.throws(
+      () => validateServerCommands([{ name: 'api', command: 'npm run api && rm -rf /' }], SERVER_DEFAULTS),
+      /server\.commands\[0\]\.command contains potentially dangerous shell characters/
+    );
+  });
+
+  it('should reject bad ports and env', () => {
+    assert.throws(() => validateServerCommands([{ name: 'api', command: 'x', port: 70000 }], SERVER_DEFAULTS), ValidationError);
+    assert.throws(() => validateServerCommands([{ name: 'api', command: 'x', env: { PORT: 8080 } }], SERVER_DEFAULTS), /env must map/);
+    assert.throws(() => validateServerCommands([{ name: 'api', command: 'x', env: { 'BAD-NAME': '1' } }], SERVER_DEFAULTS), /env must map/);
+    assert.throws(() => validateServerCommands({ name: 'api' }, SERVER_DEFAULTS), /server\.commands must be an array/);
+  });
+});
+
+describe('server.healthCheck validation', () => {
+  it('should default to no health check', () => {
+    assert.strictEqual(validateConfig({}).server.healthCheck, null);
+  });
+
+  it('should fill in the probe timing', () => {
+    assert.deepStrictEqual(validateHealthCheck({ port: 3000 }, 'server.healthCheck'), {
+      port: 3000, interval: 2000, timeout: 1000, startupTimeout: 60000, failureThreshold: 3,
+    });
+    const check = validateHealthCheck({ url: 'https://localhost:5173/', interval: 500, failureThreshold: 1 }, 'server.healthCheck');
+    assert.strictEqual(check.url, 'https://localhost:5173/');
+    assert.strictEqual(check.interval, 500);
+    assert.strictEqual(check.failureThreshold, 1);
+  });
+
+  it('should need exactly one of url and port', () => {
+    assert.throws(() => validateHealthCheck({}, 'server.healthCheck'), /exactly one of "url" or "port"/);
+    assert.throws(() => validateHealthCheck({ url: 'http://x/', port: 1 }, 'server.healthCheck'), /exactly one/);
+  });
+
+  it('should reject bad URLs and timing', () => {
+    assert.throws(() => validateHealthCheck({ url: 'ftp://x/' }, 'server.healthCheck'), /server\.healthCheck\.url must be an http\(s\) URL/);
+    assert.throws(() => validateHealthCheck({ port: 3000, interval: 10 }, 'server.healthCheck'), /server\.healthCheck\.interval/);
+    assert.throws(() => validateHealthCheck('http://x/', 'server.healthCheck'), ConfigError);
+  });
+});
+
+describe('server.autoRestart validation', () => {
+  it('should default to off', () => {
+    assert.deepStrictEqual(validateConfig({}).server.autoRestart, {
+      enabled: false, maxRetries: 5, initialDelay: 1000, maxDelay: 30000,
+    });
+  });
+
+  it('should keep the base policy for fields not given', () => {
+    const result = validateAutoRestart({ enabled: true, maxDelay: 5000 }, 'server.autoRestart', DEFAULTS.server.autoRestart);
+    assert.deepStrictEqual(result, { enabled: true, maxRetries: 5, initialDelay: 1000, maxDelay: 5000 });
+  });
+
+  it('should reject bad retry counts and delays', () => {
+    const base = DEFAULTS.server.autoRestart;
+    assert.throws(() => validateAutoRestart({ maxRetries: 0 }, 'server.autoRestart', base), /server\.autoRestart\.maxRetries/);
+    assert.throws(() => validateAutoRestart({ initialDelay: 5000, maxDelay: 2000 }, 'server.autoRestart', base), /maxDelay must not be below initialDelay/);
+    assert.throws(() => validateAutoRestart(true, 'server.autoRestart', base), ConfigError);
+  });
+});
+
+describe('server.branchOverrides validation', () => {
+  it('should default to no overrides', () => {
+    assert.deepStrictEqual(validateConfig({}).server.branchOverrides, []);
+  });
+
+  it('should fill in the optional fields', () => {
+    const result = validateConfig({
+      server: {
+        mode: 'command',
+        command: 'npm run dev',
+        branchOverrides: [
+          { branches: ['legacy/*'], command: 'npm run dev:legacy', env: { API: 'v1' } },
+          { process: 'server', preStart: [{ command: 'npm install', changed: ['package-lock.json'] }] },
+        ],
+      },
+    });
+    assert.deepStrictEqual(result.server.branchOverrides, [
+      { branches: ['legacy/*'], process: null, command: 'npm run dev:legacy', env: { API: 'v1' }, preStart: [] },
+      { branches: [], process: 'server', command: null, env: {}, preStart: [{ command: 'npm install', changed: ['package-lock.json'], timeout: 600000 }] },
+    ]);
+  });
+
+  it('should only accept configured process names', () => {
+    const commands = [{ name: 'web', command: 'npm run dev' }];
+    assert.doesNotThrow(() => validateConfig({ server: { commands, branchOverrides: [{ process: 'web' }] } }));
+    assert.throws(
+      () => validateConfig({ server: { commands, branchOverrides: [{ process: 'api' }] } }),
+      /server\.branchOverrides\[0\]\.process must name a server process \(web\)/
+    );
+  });
+
+  it('should hold override commands to the server command rules', () => {
+    assert.throws(
+      () => validateServerOverrides([{ command: 'npm run dev; rm -rf /' }], []),
+      /server\.branchOverrides\[0\]\.command contains potentially dangerous/
+    );
+  });
+
+  it('should reject malformed entries', () => {
+    assert.throws(() => validateServerOverrides({}, []), /server\.branchOverrides must be an array/);
+    assert.throws(() => validateServerOverrides([{ branches: 'main' }], []), /branches must be an array of branch globs/);
+    assert.throws(() => validateServerOverrides([{ env: { A: 1 } }], []), /env must map/);
+    assert.throws(() => validateServerOverrides([{ preStart: [{}] }], []), /preStart\[0\]\.command must be a non-empty string/);
+    assert.throws(() => validateServerOverrides([{ preStart: [{ command: 'x', changed: [''] }] }], []), /changed must be an array of file globs/);
+    assert.throws(() => validateServerOverrides([{ preStart: [{ command: 'x', timeout: 10 }] }], []), ConfigError);
+  });
+});
+
+describe('autoInstall validation', () => {
+  it('should default to asking', () => {
+    assert.deepStrictEqual(validateConfig({}).autoInstall, { mode: 'ask', commands: {}, timeout: 600000 });
+  });
+
+  it('should accept a mode, commands and a timeout', () => {
+    const result = validateAutoInstall({ mode: 'auto', commands: { 'package-lock.json': 'npm ci', 'yarn.lock': null }, timeout: 120000 });
+    assert.deepStrictEqual(result, { mode: 'auto', commands: { 'package-lock.json': 'npm ci', 'yarn.lock': null }, timeout: 120000 });
+  });
+
+  it('should reject unknown modes and bad commands', () => {
+    assert.throws(() => validateAutoInstall({ mode: 'always' }), /autoInstall\.mode must be one of: ask, auto, off/);
+    assert.throws(() => validateAutoInstall({ commands: { 'yarn.lock': '' } }), /autoInstall\.commands must map/);
+    assert.throws(() => validateAutoInstall({ commands: { 'web/yarn.lock': 'yarn' } }), /autoInstall\.commands must map/);
+    assert.throws(() => validateAutoInstall({ timeout: 5 }), /autoInstall\.timeout/);
+    assert.throws(() => validateAutoInstall('auto'), ConfigError);
+  });
+});
+
+describe('activity validation', () => {
+  it('should default to a 7-day window', () => {
+    assert.deepStrictEqual(validateConfig({}).activity, { window: '7d' });
+  });
+
+  it('should accept the supported windows', () => {
+    assert.deepStrictEqual(validateActivity({ window: '24h' }), { window: '24h' });
+    assert.deepStrictEqual(validateActivity({ window: '30d' }), { window: '30d' });
+  });
+
+  it('should reject other windows and non-object settings', () => {
+    assert.throws(() => validateActivity({ window: '1y' }), /activity\.window must be one of: 24h, 7d, 30d/);
+    assert.throws(() => validateActivity('7d'), ConfigError);
+  });
+});
+
+describe('hosting validation', () => {
+  it('should default to no host overrides', () => {
+    assert.deepStrictEqual(validateConfig({}).hosting, { hosts: {} });
+  });
+
+  it('should normalize hostnames', () => {
+    assert.deepStrictEqual(
+      validateHosting({ hosts: { ' Git.Company.com ': 'gitea', 'code.company.com': 'bitbucket' } }),
+      { hosts: { 'git.company.com': 'gitea', 'code.company.com': 'bitbucket' } }
+    );
+  });
+
+  it('should reject unknown platforms and malformed hosts', () => {
+    assert.throws(() => validateHosting({ hosts: { 'git.company.com': 'gogs' } }), /must be one of/);
+    assert.throws(() => validateHosting({ hosts: { 'https://git.company.com': 'gitea' } }), /Invalid hostname/);
+    assert.throws(() => validateHosting({ hosts: ['git.company.com'] }), ConfigError);
+    assert.throws(() => validateHosting('gitea'), ConfigError);
+  });
+});
+
+describe('pr validation', () => {
+  it('should squash and delete the branch by default', () => {
+    assert.deepStrictEqual(validateConfig({}).pr, { mergeMethod: 'squash', deleteBranch: true });
+  });
+
+  it('should accept each merge method and ask', () => {
+    for (const mergeMethod of ['squash', 'merge', 'rebase', 'ask']) {
+      assert.strictEqual(validatePr({ mergeMethod }).mergeMethod, mergeMethod);
+    }
+    assert.deepStrictEqual(validatePr({ deleteBranch: false }), { mergeMethod: 'squash', deleteBranch: false });
+  });
+
+  it('should reject unknown merge methods', () => {
+    assert.throws(() => validatePr({ mergeMethod: 'fast-forward' }), /pr\.mergeMethod/);
+    assert.throws(() => validatePr('squash'), ConfigError);
+  });
+});
+
+describe('agents validation', () => {
+  it('should default to the built-in agent rules', () => {
+    const names = validateConfig({}).agents.map((rule) => rule.name);
+    assert.deepStrictEqual(names, ['claude', 'codex', 'copilot', 'cursor', 'devin']);
+  });
+
+  it('should fill in missing pattern lists and trim', () => {
+    assert.deepStrictEqual(validateAgents([{ name: ' aider ', trailers: [' Co-authored-by: aider* '] }]), [
+      { name: 'aider', branches: [], emails: [], trailers: ['Co-authored-by: aider*'] },
+    ]);
+    assert.deepStrictEqual(validateAgents([]), []);
+  });
+
+  it('should reject invalid rules', () => {
+    assert.throws(() => validateAgents({ name: 'x' }), /agents must be an array/);
+    assert.throws(() => validateAgents([{ name: 'my agent', branches: ['x/**'] }]), /agents\[0\]\.name/);
+    assert.throws(() => validateAgents([{ name: 'x', emails: 'a@b.c' }]), /agents\[0\]\.emails/);
+    assert.throws(() => validateAgents([{ name: 'x', branches: [''] }]), ConfigError);
+    assert.throws(() => validateAgents([{ name: 'x' }]), /needs branches, emails or trailers/);
+  });
+
+  it('should not hand out the shared defaults', () => {
+    const config = getDefaultConfig();
+    config.agents[0].branches.push('ai/**');
+    assert.deepStrictEqual(getDefaultConfig().agents[0].branches, ['claude/**']);
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Tests for branch-event hooks (shell commands and webhooks).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  hookMatches,
+  buildHookEnv,
+  describeHook,
+  createHookRunner,
+  MAX_QUEUED_HOOK_RUNS,
+} = require('../../../src/events/hooks');
+
+const ALL = ['branch_created', 'branch_deleted', 'branch_updated', 'merge_conflict', 'server_crash'];
+
+/** Quote a path for the platform shell used by `shell: true`. */
+function q(p) {
+  return JSON.stringify(p);
+}
+
+/** spawn() stand-in whose processes exit cleanly a few ms after starting. */
+function quickSpawn(calls) {
+  return /** @type {any} */ ((cmd, opts) => {
+    calls.push(opts.env.WATCHTOWER_BRANCH);
+    const proc = new EventEmitter();
+    Object.assign(proc, { pid: 0, stdout: new EventEmitter(), stderr: new EventEmitter(), stdin: { on() {}, end() {} } });
+    setTimeout(() => proc.emit('close', 0, null), 5);
+    return proc;
+  });
+}
+
+describe('hookMatches', () => {
+  it('matches on event type', () => {
+    const hook = { events: ['branch_updated'], branches: [] };
+    assert.equal(hookMatches(hook, { type: 'branch_updated', branch: 'main' }), true);
+    assert.equal(hookMatches(hook, { type: 'branch_created', branch: 'main' }), false);
+  });
+
+  it('filters by branch glob', () => {
+    const hook = { events: ALL, branches: ['claude/**'] };
+    assert.equal(hookMatches(hook, { type: 'branch_updated', branch: 'claude/fix/x' }), true);
+    assert.equal(hookMatches(hook, { type: 'branch_updated', branch: 'main' }), false);
+  });
+
+  it('skips branchless events when a branch filter is set', () => {
+    assert.equal(hookMatches({ events: ALL, branches: ['main'] }, { type: 'server_crash' }), false);
+    assert.equal(hookMatches({ events: ALL, branches: [] }, { type: 'server_crash' }), true);
+  });
+});
+
+describe('buildHookEnv', () => {
+  it('exposes scalar fields as WATCHTOWER_* variables', () => {
+    const event = {
+      type: 'branch_updated',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      branch: 'feature/x',
+      previousCommit: 'abc1234',
+      linesAdded: 3,
+      remotes: ['origin'],
+      subject: null,
+    };
+    const env = buildHookEnv(event, { PATH: '/bin' });
+    assert.equal(env.PATH, '/bin');
+    assert.equal(env.WATCHTOWER_EVENT, 'branch_updated');
+    assert.equal(env.WATCHTOWER_BRANCH, 'feature/x');
+    assert.equal(env.WATCHTOWER_PREVIOUS_COMMIT, 'abc1234');
+    assert.equal(env.WATCHTOWER_LINES_ADDED, '3');
+    assert.equal(env.WATCHTOWER_TIMESTAMP, '2026-01-01T00:00:00.000Z');
+    assert.equal(env.WATCHTOWER_REMOTES, undefined);
+    assert.equal(env.WATCHTOWER_SUBJECT, undefined);
+    assert.deepEqual(JSON.parse(env.WATCHTOWER_PAYLOAD), event);
+  });
+});
+
+describe('describeHook', () => {
+  it('prefers the name, then the command, then the URL host', () => {
+    assert.equal(describeHook({ name: 'tests', command: 'npm test', events: [], branches: [] }), 'tests');
+    assert.equal(describeHook({ command: 'npm test', events: [], branches: [] }), 'npm test');
+    assert.equal(describeHook({ url: 'https://chat.example.com/x?token=secret', events: [], branches: [] }), 'chat.example.com');
+  });
+});
+
+describe('createHookRunner — command hooks', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-watchtower-hooks-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('passes the event through env vars and stdin', async () => {
+    const out = path.join(dir, 'out.json');
+    const script = path.join(dir, 'record.js');
+    fs.writeFileSync(script, `
+      let input = '';
+      process.stdin.on('data', (c) => { input += c; });
+      process.stdin.on('end', () => {
+        require('fs').writeFileSync(process.argv[2], JSON.stringify({
+          env: { event: process.env.WATCHTOWER_EVENT, branch: process.env.WATCHTOWER_BRANCH, repo: process.env.WATCHTOWER_REPO },
+          stdin: JSON.parse(input),
+          cwd: process.cwd(),
+        }));
+      });
+    `);
+
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ['branch_updated'], branches: [], command: `node ${q(script)} ${q(out)}` }],
+      cwd: dir,
+      onError: (hook, event, err) => errors.push(err),
+    });
+    await runner.fire('branch_updated', { branch: 'feature/x', commit: 'abc1234' });
+
+    assert.deepEqual(errors, []);
+    const recorded = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.deepEqual(recorded.env, { event: 'branch_updated', branch: 'feature/x', repo: dir });
+    assert.equal(recorded.stdin.type, 'branch_updated');
+    assert.equal(recorded.stdin.commit, 'abc1234');
+    assert.equal(fs.realpathSync(recorded.cwd), fs.realpathSync(dir));
+  });
+
+  it('does not run hooks for events they did not subscribe to', async () => {
+    const spawned = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ['branch_deleted'], branches: [], command: 'true' }],
+      cwd: dir,
+      spawnFn: /** @type {any} */ ((cmd) => { spawned.push(cmd); throw new Error('should not spawn'); }),
+    });
+    await runner.fire('branch_created', { branch: 'x' });
+    assert.deepEqual(spawned, []);
+  });
+
+  it('reports non-zero exits with the last stderr line', async () => {
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], command: 'node -e "console.error(\'tests failed\'); process.exit(3)"' }],
+      cwd: dir,
+      onError: (hook, event, err) => errors.push({ event: event.type, message: err.message }),
+    });
+    await runner.fire('merge_conflict', { branch: 'main' });
+    assert.deepEqual(errors, [{ event: 'merge_conflict', message: 'exited with code 3: tests failed' }]);
+  });
+
+  it('kills commands that exceed their timeout', async () => {
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], command: 'node -e "setTimeout(() => {}, 10000)"', timeout: 200 }],
+      cwd: dir,
+      onError: (hook, event, err) => errors.push(err.message),
+    });
+    await runner.fire('branch_created', { branch: 'x' });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /timed out/);
+  });
+
+  it('stops everything a timed-out command started, not just the shell', { skip: process.platform === 'win32' }, async () => {
+    const late = path.join(dir, 'late.txt');
+    const child = `node -e "setTimeout(() => require('fs').writeFileSync(process.argv[1], 'late'), 1000)" ${q(late)}`;
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], command: `${child} && true`, timeout: 200 }],
+      cwd: dir,
+      onError: (hook, event, err) => errors.push(err.message),
+    });
+    await runner.fire('branch_created', { branch: 'x' });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /timed out/);
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    assert.equal(fs.existsSync(late), false);
+  });
+
+  it('runs one hook sequentially across a burst of events', async () => {
+    const log = path.join(dir, 'sequence.log');
+    const script = path.join(dir, 'append.js');
+    fs.writeFileSync(script, `
+      const fs = require('fs');
+      fs.appendFileSync(process.argv[2], 'start ' + process.env.WATCHTOWER_BRANCH + '\\n');
+      setTimeout(() => fs.appendFileSync(process.argv[2], 'end ' + process.env.WATCHTOWER_BRANCH + '\\n'), 50);
+    `);
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], command: `node ${q(script)} ${q(log)}` }],
+      cwd: dir,
+    });
+    await Promise.all([
+      runner.fire('branch_updated', { branch: 'a' }),
+      runner.fire('branch_updated', { branch: 'b' }),
+    ]);
+    assert.deepEqual(fs.readFileSync(log, 'utf8').trim().split('\n'), ['start a', 'end a', 'start b', 'end b']);
+  });
+
+  it('drops events beyond the queue cap and reports it once per burst', async () => {
+    const calls = [];
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], command: 'run' }],
+      cwd: dir,
+      spawnFn: quickSpawn(calls),
+      onError: (hook, event, err) => errors.push(err.message),
+    });
+    const burst = [];
+    for (let i = 0; i < MAX_QUEUED_HOOK_RUNS + 5; i++) {
+      burst.push(runner.fire('branch_updated', { branch: `b${i}` }));
+    }
+    await Promise.all(burst);
+    assert.equal(calls.length, MAX_QUEUED_HOOK_RUNS);
+    assert.deepEqual(calls.slice(0, 2), ['b0', 'b1']);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /dropping events/);
+
+    await runner.fire('branch_updated', { branch: 'after' });
+    assert.equal(calls[calls.length - 1], 'after');
+  });
+
+  it('stop() kills running commands and ignores later events', async () => {
+    const spawned = [];
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], command: 'node -e "setTimeout(() => {}, 10000)"' }],
+      cwd: dir,
+      spawnFn: /** @type {any} */ ((cmd, opts) => {
+        const proc = spawn(cmd, opts);
+        spawned.push(proc);
+        return proc;
+      }),
+      onError: (hook, event, err) => errors.push(err.message),
+    });
+    const running = runner.fire('branch_created', { branch: 'x' });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const started = Date.now();
+    await runner.stop();
+    await running;
+    assert.ok(Date.now() - started < 5000);
+    assert.ok(spawned[0].exitCode !== null || spawned[0].signalCode !== null);
+    assert.deepEqual(errors, []);
+
+    await runner.fire('branch_created', { branch: 'y' });
+    assert.equal(spawned.length, 1);
+  });
+});
+
+describe('createHookRunner — webhooks', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.statusCode = req.url === '/fail' ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('POSTs the event as JSON with custom headers', async () => {
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ['branch_created'], branches: [], url: `${baseUrl}/hook`, headers: { 'X-Token': 'secret' } }],
+      cwd: '/repo',
+      onError: (hook, event, err) => errors.push(err),
+    });
+    await runner.fire('branch_created', { branch: 'claude/new', commit: 'def5678' });
+
+    assert.deepEqual(errors, []);
+    const req = received.find((r) => r.url === '/hook');
+    assert.equal(req.method, 'POST');
+    assert.equal(req.headers['content-type'], 'application/json');
+    assert.equal(req.headers['x-token'], 'secret');
+    assert.equal(req.body.type, 'branch_created');
+    assert.equal(req.body.branch, 'claude/new');
+    assert.equal(req.body.repo, '/repo');
+  });
+
+  it('keeps its own Content-Length when the hook sets one', async () => {
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ['branch_created'], branches: [], url: `${baseUrl}/length`, headers: { 'content-length': '2' } }],
+      cwd: '/repo',
+      onError: (hook, event, err) => errors.push(err),
+    });
+    await runner.fire('branch_created', { branch: 'claude/len' });
+
+    assert.deepEqual(errors, []);
+    const req = received.find((r) => r.url === '/length');
+    assert.equal(req.body.branch, 'claude/len');
+    assert.equal(Number(req.headers['content-length']), Buffer.byteLength(JSON.stringify(req.body)));
+  });
+
+  it('reports HTTP error statuses', async () => {
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], url: `${baseUrl}/fail` }],
+      cwd: '/repo',
+      onError: (hook, event, err) => errors.push(err.message),
+    });
+    await runner.fire('branch_deleted', { branch: 'old' });
+    assert.deepEqual(errors, ['HTTP 500']);
+  });
+
+  it('reports connection failures without throwing', async () => {
+    const errors = [];
+    const runner = createHookRunner({
+      hooks: [{ events: ALL, branches: [], url: 'http://127.0.0.1:1/unreachable' }],
+      cwd: '/repo',
+      onError: (hook, event, err) => errors.push(err),
+    });
+    await runner.fire('branch_deleted', { branch: 'old' });
+    assert.equal(errors.length, 1);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for desktop notifications built from branch events.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_NOTIFICATION_EVENTS,
+  formatNotification,
+  createDesktopNotifier,
+} = require('../../../src/events/notifications');
+
+describe('formatNotification', () => {
+  it('includes branch, subject, author and commit for updates', () => {
+    const n = formatNotification('branch_updated', { branch: 'feature/x', commit: 'abc1234', subject: 'Fix login' }, 'Ada');
+    assert.equal(n.title, 'Updated: feature/x');
+    assert.equal(n.body, 'Fix login\nby Ada · abc1234');
+    assert.equal(n.urgency, 'normal');
+  });
+
+  it('leaves out what is unknown', () => {
+    const n = formatNotification('branch_created', { branch: 'feature/y', commit: 'def5678', subject: null });
+    assert.equal(n.body, 'def5678');
+  });
+
+  it('marks conflicts and crashes critical', () => {
+    assert.equal(formatNotification('merge_conflict', { branch: 'main' }).urgency, 'critical');
+    const crash = formatNotification('server_crash', { command: 'npm run dev', code: 1, error: null });
+    assert.equal(crash.urgency, 'critical');
+    assert.equal(crash.body, 'exited with code 1');
+    assert.equal(crash.title, 'Dev server crashed');
+  });
+
+  it('names the crashed process when there are several', () => {
+    const crash = formatNotification('server_crash', { process: 'api', command: 'npm run api', code: 1, error: null });
+    assert.equal(crash.title, 'Dev server "api" crashed');
+  });
+
+  it('skips auto-pull failures that raise their own event', () => {
+    assert.equal(formatNotification('auto_pull_failed', { branch: 'main', reason: 'merge_conflict' }), null);
+    assert.equal(formatNotification('auto_pull_failed', { branch: 'main', reason: 'diverged' }), null);
+    assert.equal(formatNotification('auto_pull_failed', { branch: 'main', reason: 'auth', error: 'denied' }).body, 'denied');
+  });
+
+  it('returns null for events without a notification', () => {
+    assert.equal(formatNotification('log', { message: 'x' }), null);
+    assert.equal(formatNotification('started', {}), null);
+  });
+});
+
+describe('createDesktopNotifier', () => {
+  const config = { enabled: true, events: { ...DEFAULT_NOTIFICATION_EVENTS } };
+
+  it('sends enabled events with the looked-up author', async () => {
+    const sent = [];
+    const notifier = createDesktopNotifier({
+      config,
+      send: (n) => sent.push(n),
+      getAuthor: async (commit) => (commit === 'abc1234' ? 'Ada' : null),
+    });
+    await notifier.notify('branch_updated', { branch: 'feature/x', commit: 'abc1234', subject: 'Fix' });
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].body, /by Ada/);
+  });
+
+  it('respects per-event toggles and the master switch', async () => {
+    const sent = [];
+    await createDesktopNotifier({ config, send: (n) => sent.push(n) })
+      .notify('branch_deleted', { branch: 'old' });
+    await createDesktopNotifier({ config: { ...config, enabled: false }, send: (n) => sent.push(n) })
+      .notify('branch_updated', { branch: 'feature/x' });
+    assert.equal(sent.length, 0);
+  });
+
+  it('skips muted branches', async () => {
+    const sent = [];
+    const notifier = createDesktopNotifier({
+      config,
+      send: (n) => sent.push(n),
+      isMuted: (name) => name.startsWith('dependabot/'),
+    });
+    await notifier.notify('branch_created', { branch: 'dependabot/npm/x', commit: 'a' });
+    await notifier.notify('branch_created', { branch: 'feature/z', commit: 'b' });
+    assert.deepEqual(sent.map(n => n.title), ['New branch: feature/z']);
+  });
+
+  it('still notifies when the author lookup fails', async () => {
+    const sent = [];
+    const notifier = createDesktopNotifier({
+      config,
+      send: (n) => sent.push(n),
+      getAuthor: async () => { throw new Error('git gone'); },
+    });
+    await notifier.notify('branch_updated', { branch: 'main', commit: 'abc1234' });
+    assert.equal(sent[0].body, 'abc1234');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the headless NDJSON event stream.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EVENT_TYPES,
+  formatEvent,
+  createEventStream,
+} = require('../../../src/events/stream');
+
+describe('formatEvent', () => {
+  const now = new Date('2026-01-02T03:04:05.678Z');
+
+  it('serializes one JSON object terminated by a newline', () => {
+    const line = formatEvent(EVENT_TYPES.BRANCH_UPDATED, { branch: 'main', commit: 'abc1234' }, now);
+    assert.ok(line.endsWith('\n'));
+    assert.equal(line.indexOf('\n'), line.length - 1);
+    assert.deepEqual(JSON.parse(line), {
+      type: 'branch_updated',
+      timestamp: '2026-01-02T03:04:05.678Z',
+      branch: 'main',
+      commit: 'abc1234',
+    });
+  });
+
+  it('puts type and timestamp first', () => {
+    const line = formatEvent('log', { message: 'hi' }, now);
+    assert.deepEqual(Object.keys(JSON.parse(line)), ['type', 'timestamp', 'message']);
+  });
+
+  it('does not let the payload override type or timestamp', () => {
+    const line = formatEvent('started', { type: 'bogus', timestamp: 'nope', pid: 1 }, now);
+    const event = JSON.parse(line);
+    assert.equal(event.type, 'started');
+    assert.equal(event.timestamp, '2026-01-02T03:04:05.678Z');
+    assert.equal(event.pid, 1);
+  });
+
+  it('keeps embedded newlines escaped on a single line', () => {
+    const line = formatEvent('log', { message: 'line one\nline two' }, now);
+    assert.equal(line.split('\n').length, 2);
+    assert.equal(JSON.parse(line).message, 'line one\nline two');
+  });
+
+  it('handles missing or null payloads', () => {
+    assert.deepEqual(Object.keys(JSON.parse(formatEvent('stopped', undefined, now))), ['type', 'timestamp']);
+    assert.deepEqual(Object.keys(JSON.parse(formatEvent('stopped', null, now))), ['type', 'timestamp']);
+  });
+});
+
+describe('createEventStream', () => {
+  it('writes one line per emitted event', () => {
+    const chunks = [];
+    const events = createEventStream({ write: (chunk) => chunks.push(chunk) });
+    events.emit(EVENT_TYPES.BRANCH_CREATED, { branch: 'feature/a' });
+    events.emit(EVENT_TYPES.BRANCH_DELETED, { branch: 'feature/b' });
+
+    assert.equal(chunks.length, 2);
+    assert.equal(JSON.parse(chunks[0]).type, 'branch_created');
+    assert.equal(JSON.parse(chunks[1]).branch, 'feature/b');
+  });
+
+  it('drops events once the stream is no longer writable', () => {
+    const chunks = [];
+    const stream = { writable: true, write: (chunk) => chunks.push(chunk) };
+    const events = createEventStream(stream);
+    events.emit('log', { message: 'first' });
+    stream.writable = false;
+    events.emit('log', { message: 'second' });
+
+    assert.equal(chunks.length, 1);
+  });
+});
+
+describe('EVENT_TYPES', () => {
+  it('uses unique snake_case values', () => {
+    const values = Object.values(EVENT_TYPES);
+    assert.equal(new Set(values).size, values.length);
+    for (const value of values) {
+      assert.match(value, /^[a-z]+(_[a-z]+)*$/);
+    }
+  });
+});
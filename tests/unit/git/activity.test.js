@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  bucketStarts,
+  bucketCommits,
+  compressCounts,
+  parseActivityLog,
+  buildHeatmap,
+} = require('../../../src/git/activity');
+
+const now = new Date(2026, 9, 12, 15, 30).getTime();
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).getTime();
+
+describe('bucketStarts', () => {
+  it('should start daily buckets at local midnight, oldest first', () => {
+    const starts = bucketStarts('7d', now);
+    assert.equal(starts.length, 7);
+    assert.equal(starts[0], new Date(2026, 9, 6).getTime());
+    assert.equal(starts[6], new Date(2026, 9, 12).getTime());
+  });
+
+  it('should use whole hours for the 24h window', () => {
+    const starts = bucketStarts('24h', now);
+    assert.equal(starts.length, 24);
+    assert.equal(starts[23], new Date(2026, 9, 12, 15).getTime());
+    assert.equal(starts[0], new Date(2026, 9, 11, 16).getTime());
+  });
+});
+
+describe('bucketCommits', () => {
+  it('should count commits per bucket and skip ones outside the window', () => {
+    const starts = bucketStarts('7d', now);
+    const commits = [at(12), at(12, 9), at(6, 0), at(9), at(5), now + 60000];
+    assert.deepEqual(bucketCommits(commits.map((time) => ({ time })), starts, now), [1, 0, 0, 1, 0, 0, 2]);
+  });
+});
+
+describe('compressCounts', () => {
+  it('should sum neighbouring buckets into the given width', () => {
+    assert.deepEqual(compressCounts([1, 2, 3, 4], 2), [3, 7]);
+    assert.equal(compressCounts(new Array(24).fill(1), 7).reduce((a, b) => a + b, 0), 24);
+    assert.equal(compressCounts(new Array(30).fill(0), 7).length, 7);
+  });
+
+  it('should leave counts that already fit alone', () => {
+    assert.deepEqual(compressCounts([1, 2], 7), [1, 2]);
+  });
+});
+
+describe('parseActivityLog', () => {
+  it('should read hash, time and author per record', () => {
+    assert.deepEqual(
+      parseActivityLog('abc\x1f1700000000\x1fAnn Lee\x1e\ndef\x1f1700000060\x1fBob\x1e\n'),
+      [
+        { hash: 'abc', time: 1700000000000, author: 'Ann Lee' },
+        { hash: 'def', time: 1700000060000, author: 'Bob' },
+      ]
+    );
+    assert.deepEqual(parseActivityLog(''), []);
+  });
+});
+
+describe('buildHeatmap', () => {
+  const shared = { hash: 'a1', time: at(12), author: 'Ann' };
+  const branchCommits = new Map([
+    ['main', [shared]],
+    ['feature/x', [shared, { hash: 'b1', time: at(11), author: 'Bob' }, { hash: 'b2', time: at(11), author: 'Bob' }]],
+    ['stale', [{ hash: 'c1', time: at(1), author: 'Cy' }]],
+  ]);
+
+  it('should list branches busiest first and drop quiet ones', () => {
+    const heatmap = buildHeatmap(branchCommits, '7d', 'branch', now);
+    assert.equal(heatmap.buckets.length, 7);
+    assert.deepEqual(heatmap.rows.map((r) => [r.name, r.total]), [['feature/x', 3], ['main', 1]]);
+    assert.deepEqual(heatmap.rows[0].counts, [0, 0, 0, 0, 0, 2, 1]);
+  });
+
+  it('should count a commit on several branches once per author', () => {
+    const heatmap = buildHeatmap(branchCommits, '7d', 'author', now);
+    assert.deepEqual(heatmap.rows.map((r) => [r.name, r.total]), [['Bob', 2], ['Ann', 1]]);
+    assert.equal(heatmap.by, 'author');
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_AGENT_RULES, parseTrailers, classifyAgent, applyAgentRules } = require('../../../src/git/agents');
+
+describe('parseTrailers', () => {
+  it('should return one trimmed line per trailer', () => {
+    assert.deepEqual(
+      parseTrailers('Co-Authored-By: Claude <noreply@anthropic.com>\nSigned-off-by: Ann <ann@example.com>\n'),
+      ['Co-Authored-By: Claude <noreply@anthropic.com>', 'Signed-off-by: Ann <ann@example.com>']
+    );
+    assert.deepEqual(parseTrailers(undefined), []);
+  });
+});
+
+describe('classifyAgent', () => {
+  it('should recognize the default branch prefixes', () => {
+    assert.equal(classifyAgent({ branch: 'claude/fix-login' }, DEFAULT_AGENT_RULES), 'claude');
+    assert.equal(classifyAgent({ branch: 'codex/a/b' }, DEFAULT_AGENT_RULES), 'codex');
+    assert.equal(classifyAgent({ branch: 'feature/claude' }, DEFAULT_AGENT_RULES), null);
+  });
+
+  it('should match author emails ignoring case', () => {
+    assert.equal(
+      classifyAgent({ email: '198982749+Copilot@users.noreply.github.com' }, DEFAULT_AGENT_RULES),
+      'copilot'
+    );
+    assert.equal(classifyAgent({ email: 'CursorAgent@cursor.com' }, DEFAULT_AGENT_RULES), 'cursor');
+  });
+
+  it('should match trailers regardless of key casing', () => {
+    const trailers = ['co-authored-by: Claude Opus <noreply@anthropic.com>'];
+    assert.equal(classifyAgent({ branch: 'feature/x', email: 'ann@example.com', trailers }, DEFAULT_AGENT_RULES), 'claude');
+  });
+
+  it('should use the first matching rule', () => {
+    const rules = [
+      { name: 'bot', branches: [], emails: ['*@bots.example.com'], trailers: [] },
+      { name: 'claude', branches: ['claude/**'], emails: [], trailers: [] },
+    ];
+    assert.equal(classifyAgent({ branch: 'claude/x', email: 'ci@bots.example.com' }, rules), 'bot');
+    assert.equal(classifyAgent({ branch: 'claude/x' }, []), null);
+  });
+});
+
+describe('applyAgentRules', () => {
+  it('should set agent on every branch in place', () => {
+    const branches = [
+      { name: 'main', authorEmail: 'ann@example.com', trailers: [] },
+      { name: 'feature/a', authorEmail: 'ann@example.com', trailers: ['Co-Authored-By: Claude <noreply@anthropic.com>'] },
+    ];
+    assert.equal(applyAgentRules(branches, DEFAULT_AGENT_RULES), branches);
+    assert.deepEqual(branches.map((b) => b.agent), [null, 'claude']);
+  });
+});
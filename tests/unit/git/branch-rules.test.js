@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isPinned,
+  isMuted,
+  isIgnored,
+  applyBranchRules,
+  comparePinned,
+  setBranchRule,
+} = require('../../../src/git/branch-rules');
+
+const rules = {
+  pin: ['main', 'release/*'],
+  mute: ['wip/**'],
+  ignore: ['dependabot/**'],
+};
+
+describe('branch rule predicates', () => {
+  it('should match pin, mute and ignore globs', () => {
+    assert.equal(isPinned('release/1.2', rules), true);
+    assert.equal(isPinned('release/1.2/hotfix', rules), false);
+    assert.equal(isMuted('wip/alice/spike', rules), true);
+    assert.equal(isIgnored('dependabot/npm_and_yarn/lodash', rules), true);
+    assert.equal(isIgnored('main', rules), false);
+  });
+});
+
+describe('applyBranchRules', () => {
+  it('should drop ignored branches and flag pinned/muted ones', () => {
+    const branches = [
+      { name: 'feature/a' },
+      { name: 'dependabot/npm/x' },
+      { name: 'main' },
+      { name: 'wip/spike' },
+    ];
+    const result = applyBranchRules(branches, rules);
+    assert.deepEqual(result.map((b) => b.name), ['feature/a', 'main', 'wip/spike']);
+    assert.deepEqual(result.map((b) => [b.isPinned, b.isMuted]), [[false, false], [true, false], [false, true]]);
+  });
+
+  it('should keep the current branch even when it is ignored', () => {
+    const result = applyBranchRules([{ name: 'dependabot/npm/x' }], rules, 'dependabot/npm/x');
+    assert.deepEqual(result.map((b) => b.name), ['dependabot/npm/x']);
+  });
+
+  it('should clear flags when a rule no longer applies', () => {
+    const branch = { name: 'feature/a', isPinned: true, isMuted: true };
+    applyBranchRules([branch], rules);
+    assert.equal(branch.isPinned, false);
+    assert.equal(branch.isMuted, false);
+  });
+});
+
+describe('comparePinned', () => {
+  it('should sort pinned branches first and keep the rest stable', () => {
+    const list = [{ name: 'a' }, { name: 'b', isPinned: true }, { name: 'c' }, { name: 'd', isPinned: true }];
+    list.sort(comparePinned);
+    assert.deepEqual(list.map((b) => b.name), ['b', 'd', 'a', 'c']);
+  });
+});
+
+describe('setBranchRule', () => {
+  it('should add an exact-name entry', () => {
+    const result = setBranchRule(rules, 'pin', 'feature/a', true);
+    assert.equal(result.changed, true);
+    assert.deepEqual(result.rules.pin, ['main', 'release/*', 'feature/a']);
+    assert.deepEqual(rules.pin, ['main', 'release/*'], 'input is not mutated');
+  });
+
+  it('should not add a name a glob already covers', () => {
+    const result = setBranchRule(rules, 'mute', 'wip/x', true);
+    assert.equal(result.changed, false);
+    assert.equal(result.rules, rules);
+  });
+
+  it('should remove an exact-name entry', () => {
+    const result = setBranchRule(rules, 'pin', 'main', false);
+    assert.equal(result.changed, true);
+    assert.deepEqual(result.rules.pin, ['release/*']);
+    assert.equal(result.viaPattern, null);
+  });
+
+  it('should report the glob that still matches after removal', () => {
+    const result = setBranchRule(rules, 'pin', 'release/2.0', false);
+    assert.equal(result.changed, false);
+    assert.equal(result.viaPattern, 'release/*');
+  });
+});
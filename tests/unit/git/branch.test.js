@@ -8,6 +8,7 @@ const {
   isValidBranchName,
   sanitizeBranchName,
   hasUpdatesFromCounts,
+  parseCommitLog,
 } = require('../../../src/git/branch');
 const { ValidationError } = require('../../../src/utils/errors');
 
@@ -139,3 +140,29 @@ describe('hasUpdatesFromCounts', () => {
     assert.strictEqual(hasUpdatesFromCounts(0, 0), true);
   });
 });
+
+describe('parseCommitLog', () => {
+  it('should split records whose trailers span lines', () => {
+    const stdout = [
+      'abc1234\x1fAnn Lee\x1fann@example.com\x1f2 hours ago\x1fCo-Authored-By: Claude <noreply@anthropic.com>\nSigned-off-by: Ann Lee <ann@example.com>\n\x1fFix login\x1e',
+      'def5678\x1fBob\x1fbob@example.com\x1f3 days ago\x1f\x1fSubject with \x1f inside\x1e',
+      '',
+    ].join('\n');
+    const commits = parseCommitLog(stdout);
+    assert.strictEqual(commits.length, 2);
+    assert.deepStrictEqual(commits[0], {
+      hash: 'abc1234',
+      author: 'Ann Lee',
+      authorEmail: 'ann@example.com',
+      time: '2 hours ago',
+      trailers: ['Co-Authored-By: Claude <noreply@anthropic.com>', 'Signed-off-by: Ann Lee <ann@example.com>'],
+      subject: 'Fix login',
+    });
+    assert.deepStrictEqual(commits[1].trailers, []);
+    assert.strictEqual(commits[1].subject, 'Subject with \x1f inside');
+  });
+
+  it('should return no commits for empty output', () => {
+    assert.deepStrictEqual(parseCommitLog(''), []);
+  });
+});
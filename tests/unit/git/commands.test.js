@@ -16,9 +16,11 @@ const {
   getRemotes,
   remoteExists,
   hasUncommittedChanges,
+  getCommitAuthor,
   stash,
   stashPop,
   parseDiffStats,
+  getChangedFilesBetween,
   buildGitEnv,
   GIT_ENV_OVERRIDES,
   DEFAULT_TIMEOUT,
@@ -131,6 +133,19 @@ describe('remoteExists', () => {
   });
 });
 
+describe('getCommitAuthor', () => {
+  it('should return the author of HEAD', async () => {
+    const { stdout } = await execGit(['log', '-1', '--format=%an'], { cwd: REPO_ROOT });
+    const result = await getCommitAuthor('HEAD', { cwd: REPO_ROOT });
+    assert.strictEqual(result, stdout);
+  });
+
+  it('should return null for an unknown commit', async () => {
+    const result = await getCommitAuthor('0000000deadbeef', { cwd: REPO_ROOT });
+    assert.strictEqual(result, null);
+  });
+});
+
 describe('hasUncommittedChanges', () => {
   it('should return boolean', async () => {
     const result = await hasUncommittedChanges(REPO_ROOT);
@@ -255,6 +270,16 @@ describe('GitError handling', () => {
   });
 });
 
+describe('getChangedFilesBetween', () => {
+  it('should return nothing between a commit and itself', async () => {
+    assert.deepStrictEqual(await getChangedFilesBetween('HEAD', 'HEAD', { cwd: REPO_ROOT }), []);
+  });
+
+  it('should return nothing for an unknown commit', async () => {
+    assert.deepStrictEqual(await getChangedFilesBetween('no-such-ref-xyz', 'HEAD', { cwd: REPO_ROOT }), []);
+  });
+});
+
 describe('parseDiffStats', () => {
   it('should parse both insertions and deletions', () => {
     const result = parseDiffStats('3 files changed, 10 insertions(+), 5 deletions(-)');
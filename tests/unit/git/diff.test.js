@@ -0,0 +1,96 @@
+/**
+ * Tests for unified diff parsing
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseUnifiedDiff, limitDiffLines } = require('../../../src/git/diff');
+
+const MODIFIED = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -1,4 +1,4 @@ function main() {',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  ' const c = 4;',
+  '@@ -20,2 +20,3 @@',
+  ' end();',
+  '+-- not a header',
+  '\\ No newline at end of file',
+].join('\n');
+
+describe('parseUnifiedDiff', () => {
+  it('should parse hunks with line numbers and counts', () => {
+    const [file] = parseUnifiedDiff(MODIFIED);
+    assert.strictEqual(file.path, 'src/app.js');
+    assert.strictEqual(file.status, 'modified');
+    assert.strictEqual(file.added, 2);
+    assert.strictEqual(file.deleted, 1);
+    assert.deepStrictEqual(file.hunkStarts, [0, 5]);
+
+    assert.deepStrictEqual(file.lines[1], { type: 'context', text: 'const a = 1;', oldLine: 1, newLine: 1 });
+    assert.deepStrictEqual(file.lines[2], { type: 'del', text: 'const b = 2;', oldLine: 2, newLine: null });
+    assert.deepStrictEqual(file.lines[3], { type: 'add', text: 'const b = 3;', oldLine: null, newLine: 2 });
+    assert.deepStrictEqual(file.lines[7], { type: 'add', text: '-- not a header', oldLine: null, newLine: 21 });
+    assert.strictEqual(file.lines[8].type, 'meta');
+  });
+
+  it('should detect added, deleted, renamed and binary files', () => {
+    const text = [
+      'diff --git a/new.txt b/new.txt',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      'diff --git a/old.txt b/old.txt',
+      'deleted file mode 100644',
+      '--- a/old.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      'diff --git a/a.js b/b.js',
+      'similarity index 100%',
+      'rename from a.js',
+      'rename to b.js',
+      'diff --git a/logo.png b/logo.png',
+      'Binary files a/logo.png and b/logo.png differ',
+    ].join('\n');
+    const files = parseUnifiedDiff(text);
+    assert.deepStrictEqual(files.map(f => [f.path, f.status]), [
+      ['new.txt', 'added'],
+      ['old.txt', 'deleted'],
+      ['b.js', 'renamed'],
+      ['logo.png', 'modified'],
+    ]);
+    assert.strictEqual(files[2].oldPath, 'a.js');
+    assert.strictEqual(files[2].lines.length, 0);
+    assert.strictEqual(files[3].binary, true);
+  });
+
+  it('should return an empty list for empty output', () => {
+    assert.deepStrictEqual(parseUnifiedDiff(''), []);
+  });
+});
+
+describe('limitDiffLines', () => {
+  it('should keep whole files until the budget runs out', () => {
+    const [file] = parseUnifiedDiff(MODIFIED);
+    const other = { ...file, path: 'src/other.js' };
+    const { files, truncated } = limitDiffLines([file, other], file.lines.length + 1);
+    assert.strictEqual(truncated, true);
+    assert.strictEqual(files[0], file);
+    assert.strictEqual(files[1].path, 'src/other.js');
+    assert.strictEqual(files[1].added, 2);
+    assert.deepStrictEqual(files[1].lines, []);
+    assert.deepStrictEqual(files[1].hunkStarts, []);
+  });
+
+  it('should report no truncation when everything fits', () => {
+    const parsed = parseUnifiedDiff(MODIFIED);
+    assert.deepStrictEqual(limitDiffLines(parsed, 1000), { files: parsed, truncated: false });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for the since-last-seen digest's tip comparison
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { branchTips, compareTips } = require('../../../src/git/digest');
+
+describe('branchTips', () => {
+  it('should prefer the remote tip and skip deleted branches', () => {
+    const tips = branchTips([
+      { name: 'main', commit: 'aaa1111' },
+      { name: 'feature', commit: 'bbb2222', remoteCommit: 'ccc3333' },
+      { name: 'old', commit: 'ddd4444', isDeleted: true },
+    ]);
+    assert.deepStrictEqual(tips, { main: 'aaa1111', feature: 'ccc3333' });
+  });
+});
+
+describe('compareTips', () => {
+  it('should report created, updated and deleted branches', () => {
+    const changes = compareTips(
+      { main: 'aaa', moved: 'bbb', gone: 'ccc' },
+      { main: 'aaa', moved: 'bbb2', fresh: 'ddd' }
+    );
+    assert.deepStrictEqual(changes, [
+      { name: 'moved', status: 'updated', commit: 'bbb2', previousCommit: 'bbb' },
+      { name: 'fresh', status: 'created', commit: 'ddd', previousCommit: null },
+      { name: 'gone', status: 'deleted', commit: 'ccc', previousCommit: 'ccc' },
+    ]);
+  });
+
+  it('should not treat inherited object keys as branches', () => {
+    const changes = compareTips({}, { constructor: 'aaa' });
+    assert.deepStrictEqual(changes.map(c => c.status), ['created']);
+  });
+
+  it('should report nothing when tips are unchanged', () => {
+    assert.deepStrictEqual(compareTips({ main: 'aaa' }, { main: 'aaa' }), []);
+  });
+});
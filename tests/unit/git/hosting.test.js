@@ -0,0 +1,160 @@
+/**
+ * Tests for the Gitea/Forgejo and Bitbucket Cloud REST clients.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { repoApiBase, createHostingClient } = require('../../../src/git/hosting');
+
+describe('repoApiBase', () => {
+  it('should build the Gitea API base from the repo URL', () => {
+    assert.equal(
+      repoApiBase('gitea', 'https://codeberg.org/user/repo'),
+      'https://codeberg.org/api/v1/repos/user/repo'
+    );
+  });
+
+  it('should keep a Gitea sub-path install prefix', () => {
+    assert.equal(
+      repoApiBase('gitea', 'https://example.com/git/user/repo'),
+      'https://example.com/git/api/v1/repos/user/repo'
+    );
+  });
+
+  it('should build the Bitbucket Cloud API base', () => {
+    assert.equal(
+      repoApiBase('bitbucket', 'https://bitbucket.org/team/repo'),
+      'https://api.bitbucket.org/2.0/repositories/team/repo'
+    );
+  });
+
+  it('should not support Bitbucket Data Center', () => {
+    assert.equal(repoApiBase('bitbucket', 'https://bitbucket.company.com/scm/team/repo'), null);
+  });
+
+  it('should return null for unusable URLs', () => {
+    assert.equal(repoApiBase('gitea', null), null);
+    assert.equal(repoApiBase('gitea', 'not a url'), null);
+    assert.equal(repoApiBase('gitea', 'https://codeberg.org/user'), null);
+  });
+});
+
+describe('createHostingClient', () => {
+  it('should return null for CLI platforms and unmappable repos', () => {
+    assert.equal(createHostingClient({ platform: 'github', webUrlBase: 'https://github.com/u/r' }), null);
+    assert.equal(createHostingClient({ platform: 'gitea', webUrlBase: null }), null);
+    assert.equal(createHostingClient({ platform: null, webUrlBase: 'https://codeberg.org/u/r' }), null);
+  });
+});
+
+describe('createHostingClient — HTTP', () => {
+  let server;
+  let origin;
+  const requests = [];
+  /** @type {Object<string, any>} */
+  const routes = {};
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      const path = req.url.split('?')[0];
+      const route = routes[path];
+      if (route === undefined) {
+        res.statusCode = 404;
+        res.end('{}');
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(typeof route === 'function' ? route(req.url) : JSON.stringify(route));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('should list Gitea PRs with the token', async () => {
+    routes['/api/v1/repos/u/r/pulls'] = [
+      { number: 2, title: 'Feat', state: 'open', merged: false, head: { ref: 'feat', sha: 'abc' } },
+      { number: 1, title: 'Fix', state: 'closed', merged: true, head: { ref: 'fix', sha: 'def' } },
+    ];
+    const client = createHostingClient({
+      platform: 'gitea',
+      webUrlBase: `${origin}/u/r`,
+      env: { GITEA_TOKEN: 'secret' },
+    });
+    const map = await client.listPrs();
+    assert.deepEqual(map.get('feat'), { state: 'OPEN', number: 2, title: 'Feat' });
+    assert.deepEqual(map.get('fix'), { state: 'MERGED', number: 1, title: 'Fix' });
+    const req = requests.find((r) => r.url.startsWith('/api/v1/repos/u/r/pulls?'));
+    assert.equal(req.headers.authorization, 'token secret');
+    assert.match(req.url, /state=all/);
+  });
+
+  it('should fetch Gitea PR info with statuses and reviews', async () => {
+    routes['/api/v1/repos/u/r/commits/abc/status'] = { statuses: [{ context: 'ci', status: 'failure' }] };
+    routes['/api/v1/repos/u/r/pulls/2/reviews'] = [{ user: { login: 'ann' }, state: 'APPROVED' }];
+    const client = createHostingClient({ platform: 'gitea', webUrlBase: `${origin}/u/r`, env: {} });
+    const info = await client.getPrInfo('feat');
+    assert.equal(info.number, 2);
+    assert.equal(info.state, 'OPEN');
+    assert.equal(info.approved, true);
+    assert.equal(info.checksFail, true);
+    assert.equal(await client.getPrInfo('no-such-branch'), null);
+  });
+
+  it('should follow Bitbucket pagination', async () => {
+    const api = `${origin}/bb`;
+    routes['/bb/repositories/team/repo/pullrequests'] = (url) => (url.includes('page=2')
+      ? JSON.stringify({ values: [{ id: 1, title: 'Old', state: 'DECLINED', source: { branch: { name: 'old' } } }] })
+      : JSON.stringify({
+        values: [{ id: 3, title: 'Feat', state: 'OPEN', source: { branch: { name: 'feat' } } }],
+        next: `${api}/repositories/team/repo/pullrequests?page=2`,
+      }));
+    const client = createHostingClient({
+      platform: 'bitbucket',
+      webUrlBase: 'https://bitbucket.org/team/repo',
+      env: { BITBUCKET_USERNAME: 'me', BITBUCKET_APP_PASSWORD: 'pw' },
+      bitbucketApi: api,
+    });
+    const map = await client.listPrs();
+    assert.deepEqual(map.get('feat'), { state: 'OPEN', number: 3, title: 'Feat' });
+    assert.deepEqual(map.get('old'), { state: 'CLOSED', number: 1, title: 'Old' });
+    const req = requests.find((r) => r.url.startsWith('/bb/'));
+    assert.equal(req.headers.authorization, `Basic ${Buffer.from('me:pw').toString('base64')}`);
+  });
+
+  it('should fetch Bitbucket PR info for a branch', async () => {
+    const api = `${origin}/bb`;
+    routes['/bb/repositories/team/repo/pullrequests'] = (url) => (url.includes('q=')
+      ? JSON.stringify({ values: [{ id: 3, title: 'Feat', state: 'OPEN' }] })
+      : '{"values":[]}');
+    routes['/bb/repositories/team/repo/pullrequests/3'] = {
+      id: 3, title: 'Feat', state: 'OPEN', participants: [{ approved: true }],
+    };
+    routes['/bb/repositories/team/repo/pullrequests/3/statuses'] = {
+      values: [{ key: 'ci', name: 'CI', state: 'SUCCESSFUL' }],
+    };
+    const client = createHostingClient({
+      platform: 'bitbucket',
+      webUrlBase: 'https://bitbucket.org/team/repo',
+      env: { BITBUCKET_TOKEN: 'tok' },
+      bitbucketApi: api,
+    });
+    const info = await client.getPrInfo('feat');
+    assert.equal(info.number, 3);
+    assert.equal(info.approved, true);
+    assert.equal(info.checksPass, true);
+    const query = requests.filter((r) => r.url.includes('q=')).pop();
+    assert.match(decodeURIComponent(query.url), /source\.branch\.name="feat"/);
+    assert.equal(query.headers.authorization, 'Bearer tok');
+  });
+
+  it('should reject on HTTP errors', async () => {
+    const client = createHostingClient({ platform: 'gitea', webUrlBase: `${origin}/missing/repo`, env: {} });
+    await assert.rejects(client.listPrs(), /HTTP 404/);
+  });
+});
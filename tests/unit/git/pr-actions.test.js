@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MERGE_METHODS, splitList, buildPrCommand, buildCreatePrCommand } = require('../../../src/git/pr-actions');
+
+describe('splitList', () => {
+  it('should split, trim and drop empty items and leading @', () => {
+    assert.deepEqual(splitList(' @ann, bob ,,'), ['ann', 'bob']);
+    assert.deepEqual(splitList(''), []);
+  });
+});
+
+describe('buildPrCommand', () => {
+  it('should merge with each method on GitHub', () => {
+    for (const method of MERGE_METHODS) {
+      assert.deepEqual(
+        buildPrCommand('github', 'merge', 12, { method }),
+        ['gh', ['pr', 'merge', '12', `--${method}`, '--delete-branch']]
+      );
+    }
+  });
+
+  it('should keep the branch when deleteBranch is false', () => {
+    assert.deepEqual(
+      buildPrCommand('github', 'merge', 3, { method: 'rebase', deleteBranch: false }),
+      ['gh', ['pr', 'merge', '3', '--rebase']]
+    );
+  });
+
+  it('should merge on GitLab, with a plain merge commit for "merge"', () => {
+    assert.deepEqual(
+      buildPrCommand('gitlab', 'merge', 5, { method: 'squash' }),
+      ['glab', ['mr', 'merge', '5', '--squash', '--remove-source-branch', '--yes']]
+    );
+    assert.deepEqual(
+      buildPrCommand('gitlab', 'merge', 5, { method: 'merge', deleteBranch: false }),
+      ['glab', ['mr', 'merge', '5', '--yes']]
+    );
+  });
+
+  it('should enable auto-merge', () => {
+    assert.deepEqual(
+      buildPrCommand('github', 'auto-merge', 8, { method: 'squash' }),
+      ['gh', ['pr', 'merge', '8', '--squash', '--auto', '--delete-branch']]
+    );
+    assert.deepEqual(
+      buildPrCommand('gitlab', 'auto-merge', 8, { method: 'rebase' }),
+      ['glab', ['mr', 'merge', '8', '--rebase', '--remove-source-branch', '--auto-merge', '--yes']]
+    );
+  });
+
+  it('should toggle draft state', () => {
+    assert.deepEqual(buildPrCommand('github', 'ready', 1), ['gh', ['pr', 'ready', '1']]);
+    assert.deepEqual(buildPrCommand('github', 'draft', 1), ['gh', ['pr', 'ready', '1', '--undo']]);
+    assert.deepEqual(buildPrCommand('gitlab', 'ready', 1), ['glab', ['mr', 'update', '1', '--ready']]);
+    assert.deepEqual(buildPrCommand('gitlab', 'draft', 1), ['glab', ['mr', 'update', '1', '--draft']]);
+  });
+
+  it('should request reviews, adding to existing GitLab reviewers', () => {
+    assert.deepEqual(
+      buildPrCommand('github', 'request-review', 2, { reviewers: ['ann', 'bob'] }),
+      ['gh', ['pr', 'edit', '2', '--add-reviewer', 'ann,bob']]
+    );
+    assert.deepEqual(
+      buildPrCommand('gitlab', 'request-review', 2, { reviewers: ['ann', 'bob'] }),
+      ['glab', ['mr', 'update', '2', '--reviewer', '+ann,+bob']]
+    );
+  });
+
+  it('should add labels', () => {
+    assert.deepEqual(
+      buildPrCommand('github', 'add-label', 4, { labels: ['needs review'] }),
+      ['gh', ['pr', 'edit', '4', '--add-label', 'needs review']]
+    );
+    assert.deepEqual(
+      buildPrCommand('gitlab', 'add-label', 4, { labels: ['bug', 'p1'] }),
+      ['glab', ['mr', 'update', '4', '--label', 'bug,p1']]
+    );
+  });
+
+  it('should close and approve', () => {
+    assert.deepEqual(buildPrCommand('github', 'close', 9), ['gh', ['pr', 'close', '9']]);
+    assert.deepEqual(buildPrCommand('gitlab', 'close', 9), ['glab', ['mr', 'close', '9']]);
+    assert.deepEqual(buildPrCommand('github', 'approve', 9), ['gh', ['pr', 'review', '9', '--approve']]);
+    assert.deepEqual(buildPrCommand('gitlab', 'approve', 9), ['glab', ['mr', 'approve', '9']]);
+  });
+
+  it('should post comments', () => {
+    assert.deepEqual(
+      buildPrCommand('github', 'comment', 6, { body: 'Please add a test' }),
+      ['gh', ['pr', 'comment', '6', '--body', 'Please add a test']]
+    );
+    assert.deepEqual(
+      buildPrCommand('gitlab', 'comment', 6, { body: 'Please add a test' }),
+      ['glab', ['mr', 'note', '6', '--message', 'Please add a test']]
+    );
+  });
+
+  it('should reject invalid input', () => {
+    assert.throws(() => buildPrCommand('gitea', 'close', 1), /not supported on gitea/);
+    assert.throws(() => buildPrCommand('github', 'comment', 1, { body: ' \n' }), /comment is empty/);
+    assert.throws(() => buildPrCommand('github', 'close', 0), /Invalid PR number/);
+    assert.throws(() => buildPrCommand('github', 'merge', 1, { method: 'octopus' }), /Invalid merge method/);
+    assert.throws(() => buildPrCommand('github', 'request-review', 1, { reviewers: [] }), /No reviewers/);
+    assert.throws(() => buildPrCommand('github', 'request-review', 1, { reviewers: ['--admin'] }), /Invalid username/);
+    assert.throws(() => buildPrCommand('github', 'add-label', 1, { labels: ['-x'] }), /Invalid label/);
+    assert.throws(() => buildPrCommand('github', 'rename', 1), /Unknown PR action/);
+  });
+});
+
+describe('buildCreatePrCommand', () => {
+  const pr = { head: 'feature/x', base: 'main', title: ' Add x ', body: '- Add x' };
+
+  it('should pass title, body and base explicitly on GitHub', () => {
+    assert.deepEqual(
+      buildCreatePrCommand('github', pr),
+      ['gh', ['pr', 'create', '--head', 'feature/x', '--base', 'main', '--title', 'Add x', '--body', '- Add x']]
+    );
+  });
+
+  it('should open drafts with reviewers on GitLab', () => {
+    assert.deepEqual(
+      buildCreatePrCommand('gitlab', { ...pr, draft: true, reviewers: ['ann', 'bob'] }),
+      ['glab', ['mr', 'create', '--source-branch', 'feature/x', '--target-branch', 'main',
+        '--title', 'Add x', '--description', '- Add x', '--draft', '--reviewer', 'ann,bob', '--yes']]
+    );
+  });
+
+  it('should reject invalid input', () => {
+    assert.throws(() => buildCreatePrCommand('gitea', pr), /not supported on gitea/);
+    assert.throws(() => buildCreatePrCommand('github', { ...pr, title: '  ' }), /title is required/);
+    assert.throws(() => buildCreatePrCommand('github', { ...pr, base: '--force' }), /Invalid branch name/);
+    assert.throws(() => buildCreatePrCommand('github', { ...pr, base: 'feature/x' }), /into itself/);
+    assert.throws(() => buildCreatePrCommand('github', { ...pr, reviewers: ['-x'] }), /Invalid username/);
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  projectPathFromUrl,
+  buildConversationCommand,
+  buildUnresolvedCountsCommand,
+  parseGitHubConversation,
+  parseGitLabDiscussions,
+  parseUnresolvedCounts,
+} = require('../../../src/git/pr-conversation');
+
+describe('projectPathFromUrl', () => {
+  it('should return the group and project path', () => {
+    assert.equal(projectPathFromUrl('https://gitlab.com/group/sub/repo'), 'group/sub/repo');
+    assert.equal(projectPathFromUrl('https://gitlab.example.com/team/repo/'), 'team/repo');
+  });
+
+  it('should return null without a usable path', () => {
+    assert.equal(projectPathFromUrl(null), null);
+    assert.equal(projectPathFromUrl('not a url'), null);
+    assert.equal(projectPathFromUrl('https://gitlab.com/repo'), null);
+  });
+});
+
+describe('buildConversationCommand', () => {
+  it('should query GitHub through gh api graphql', () => {
+    const [cmd, args] = buildConversationCommand('github', 12);
+    assert.equal(cmd, 'gh');
+    assert.deepEqual(args.slice(0, 8), ['api', 'graphql', '-F', 'owner={owner}', '-F', 'repo={repo}', '-F', 'number=12']);
+    assert.ok(args[9].startsWith('query=') && args[9].includes('reviewThreads'));
+  });
+
+  it('should list GitLab discussions through glab api', () => {
+    assert.deepEqual(
+      buildConversationCommand('gitlab', 4),
+      ['glab', ['api', 'projects/:id/merge_requests/4/discussions?per_page=100']]
+    );
+  });
+
+  it('should reject unsupported platforms and invalid numbers', () => {
+    assert.throws(() => buildConversationCommand('gitea', 1), /not supported on gitea/);
+    assert.throws(() => buildConversationCommand('github', 0), /Invalid PR number/);
+  });
+});
+
+describe('buildUnresolvedCountsCommand', () => {
+  it('should query open PRs on GitHub and MRs by project path on GitLab', () => {
+    assert.equal(buildUnresolvedCountsCommand('github')[0], 'gh');
+    const [cmd, args] = buildUnresolvedCountsCommand('gitlab', 'group/repo');
+    assert.equal(cmd, 'glab');
+    assert.deepEqual(args.slice(0, 4), ['api', 'graphql', '-f', 'path=group/repo']);
+  });
+
+  it('should return null when the counts cannot be queried', () => {
+    assert.equal(buildUnresolvedCountsCommand('gitlab', null), null);
+    assert.equal(buildUnresolvedCountsCommand('bitbucket'), null);
+  });
+});
+
+describe('parseGitHubConversation', () => {
+  const response = {
+    data: { repository: { pullRequest: {
+      comments: { nodes: [
+        { author: { login: 'ann' }, body: 'Looks close', createdAt: '2026-01-01T10:00:00Z', url: 'https://github.com/o/r/pull/1#c1' },
+      ] },
+      reviews: { nodes: [
+        { author: { login: 'bob' }, body: '', state: 'COMMENTED', submittedAt: '2026-01-01T09:00:00Z' },
+        { author: { login: 'bob' }, body: '', state: 'CHANGES_REQUESTED', submittedAt: '2026-01-01T11:00:00Z' },
+        { author: { login: 'bob' }, body: 'draft', state: 'PENDING', submittedAt: null },
+      ] },
+      reviewThreads: { nodes: [
+        {
+          isResolved: false, isOutdated: true, path: 'src/a.js', line: 7,
+          comments: { nodes: [
+            { author: null, body: 'Rename this', createdAt: '2026-01-01T08:00:00Z', url: null },
+            { author: { login: 'agent' }, body: 'Done', createdAt: '2026-01-01T08:30:00Z', url: null },
+          ] },
+        },
+        { isResolved: true, isOutdated: false, path: 'src/b.js', line: null, comments: { nodes: [
+          { author: { login: 'ann' }, body: 'Typo', createdAt: '2026-01-01T12:00:00Z' },
+        ] } },
+      ] },
+    } } },
+  };
+
+  it('should list comments, verdict reviews and threads oldest first', () => {
+    const { threads } = parseGitHubConversation(response);
+    assert.deepEqual(threads.map((t) => t.kind), ['thread', 'comment', 'review', 'thread']);
+    assert.equal(threads[2].reviewState, 'CHANGES_REQUESTED');
+    assert.deepEqual(threads[0].comments.map((c) => c.author), ['ghost', 'agent']);
+    assert.equal(threads[0].path, 'src/a.js');
+    assert.equal(threads[0].line, 7);
+    assert.equal(threads[0].outdated, true);
+    assert.equal(threads[1].comments[0].url, 'https://github.com/o/r/pull/1#c1');
+  });
+
+  it('should count unresolved threads', () => {
+    assert.equal(parseGitHubConversation(response).unresolved, 1);
+  });
+
+  it('should return an empty conversation for a missing PR', () => {
+    assert.deepEqual(parseGitHubConversation({ data: { repository: { pullRequest: null } } }), { threads: [], unresolved: 0 });
+  });
+});
+
+describe('parseGitLabDiscussions', () => {
+  const discussions = [
+    { notes: [{ system: true, body: 'added 2 commits', author: { username: 'ann' }, created_at: '2026-01-01T07:00:00Z' }] },
+    { notes: [{ body: 'Ship it', author: { username: 'ann' }, created_at: '2026-01-01T09:00:00Z', resolvable: false }] },
+    { notes: [
+      {
+        body: 'Null check?', author: { username: 'bob' }, created_at: '2026-01-01T08:00:00Z',
+        resolvable: true, resolved: false, position: { new_path: 'lib/x.rb', new_line: 3 },
+      },
+      { body: 'Added', author: { username: 'agent' }, created_at: '2026-01-01T08:10:00Z', resolvable: true, resolved: false },
+    ] },
+    { notes: [{ body: 'Fixed', author: { username: 'bob' }, created_at: '2026-01-01T10:00:00Z', resolvable: true, resolved: true }] },
+  ];
+
+  it('should skip system notes and keep replies together', () => {
+    const { threads } = parseGitLabDiscussions(discussions);
+    assert.equal(threads.length, 3);
+    assert.equal(threads[0].kind, 'thread');
+    assert.equal(threads[0].path, 'lib/x.rb');
+    assert.equal(threads[0].line, 3);
+    assert.deepEqual(threads[0].comments.map((c) => c.author), ['bob', 'agent']);
+    assert.equal(threads[1].kind, 'comment');
+    assert.equal(threads[1].resolvable, false);
+  });
+
+  it('should count discussions with unresolved notes', () => {
+    const { threads, unresolved } = parseGitLabDiscussions(discussions);
+    assert.equal(unresolved, 1);
+    assert.equal(threads[2].resolved, true);
+  });
+
+  it('should tolerate a non-array response', () => {
+    assert.deepEqual(parseGitLabDiscussions({ message: '404 Not found' }), { threads: [], unresolved: 0 });
+  });
+});
+
+describe('parseUnresolvedCounts', () => {
+  it('should count unresolved GitHub threads per branch, newest PR first', () => {
+    const counts = parseUnresolvedCounts('github', { data: { repository: { pullRequests: { nodes: [
+      { number: 5, headRefName: 'feature/a', reviewThreads: { nodes: [{ isResolved: false }, { isResolved: true }] } },
+      { number: 3, headRefName: 'feature/a', reviewThreads: { nodes: [{ isResolved: false }, { isResolved: false }] } },
+      { number: 4, headRefName: 'feature/b', reviewThreads: { nodes: [] } },
+    ] } } } });
+    assert.deepEqual([...counts], [['feature/a', 1], ['feature/b', 0]]);
+  });
+
+  it('should subtract resolved from resolvable GitLab discussions', () => {
+    const counts = parseUnresolvedCounts('gitlab', { data: { project: { mergeRequests: { nodes: [
+      { iid: '9', sourceBranch: 'fix', resolvableDiscussionsCount: 4, resolvedDiscussionsCount: 1 },
+    ] } } } });
+    assert.equal(counts.get('fix'), 3);
+  });
+
+  it('should return an empty map for errors and other platforms', () => {
+    assert.equal(parseUnresolvedCounts('github', { errors: [{ message: 'bad' }] }).size, 0);
+    assert.equal(parseUnresolvedCounts('gitea', {}).size, 0);
+  });
+});
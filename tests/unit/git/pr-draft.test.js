@@ -0,0 +1,58 @@
+/**
+ * Tests for drafting PR titles and bodies from a branch's commits
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommitLog, titleFromBranch, buildPrDraft } = require('../../../src/git/pr-draft');
+
+describe('parseCommitLog', () => {
+  it('should split subjects and bodies', () => {
+    const output = 'Add login\x1fUses OAuth.\n\nCloses #4\n\x1e\nFix typo\x1f\x1e';
+    assert.deepEqual(parseCommitLog(output), [
+      { subject: 'Add login', body: 'Uses OAuth.\n\nCloses #4' },
+      { subject: 'Fix typo', body: '' },
+    ]);
+  });
+
+  it('should return nothing for empty output', () => {
+    assert.deepEqual(parseCommitLog(''), []);
+  });
+});
+
+describe('titleFromBranch', () => {
+  it('should humanize the last path segment', () => {
+    assert.equal(titleFromBranch('claude/fix-login_flow'), 'Fix login flow');
+    assert.equal(titleFromBranch('main'), 'Main');
+  });
+});
+
+describe('buildPrDraft', () => {
+  it('should use a single commit as is', () => {
+    assert.deepEqual(
+      buildPrDraft([{ subject: 'Add login', body: 'Uses OAuth.' }], 'feature/login'),
+      { title: 'Add login', body: 'Uses OAuth.' }
+    );
+  });
+
+  it('should list several commits oldest first under the branch title', () => {
+    const commits = [{ subject: 'Second', body: '' }, { subject: 'First', body: 'details' }];
+    assert.deepEqual(buildPrDraft(commits, 'claude/add-login'), {
+      title: 'Add login',
+      body: '- First\n- Second',
+    });
+  });
+
+  it('should note commits left out of long lists', () => {
+    const commits = Array.from({ length: 51 }, (_, i) => ({ subject: `Commit ${51 - i}`, body: '' }));
+    const lines = buildPrDraft(commits, 'big').body.split('\n');
+    assert.equal(lines.length, 51);
+    assert.equal(lines[0], '- ...earlier commits');
+    assert.equal(lines[1], '- Commit 2');
+    assert.equal(lines[50], '- Commit 51');
+  });
+
+  it('should fall back to the branch name without commits', () => {
+    assert.deepEqual(buildPrDraft([], 'fix-it'), { title: 'Fix it', body: '' });
+  });
+});
@@ -5,6 +5,15 @@ const {
   parseGitLabMr,
   parseGitHubPrList,
   parseGitLabMrList,
+  parseGitHubChecks,
+  parseGitLabJobs,
+  tailCiLog,
+  parseGiteaStatuses,
+  parseGiteaPr,
+  parseGiteaPrList,
+  parseBitbucketStatuses,
+  parseBitbucketPr,
+  parseBitbucketPrList,
   isBaseBranch,
 } = require('../../../src/git/pr');
 
@@ -34,6 +43,12 @@ describe('parseGitHubPr', () => {
     assert.equal(result.checksCount, 0);
   });
 
+  it('should report draft PRs', () => {
+    const result = parseGitHubPr([{ number: 1, title: 'WIP', state: 'OPEN', isDraft: true }]);
+    assert.equal(result.draft, true);
+    assert.equal(parseGitHubPr([{ number: 1, title: 'PR', state: 'OPEN' }]).draft, false);
+  });
+
   it('should detect approved PRs', () => {
     const result = parseGitHubPr([{
       number: 1,
@@ -140,6 +155,12 @@ describe('parseGitLabMr', () => {
     assert.equal(result.state, 'OPEN');
   });
 
+  it('should report draft MRs under either field name', () => {
+    assert.equal(parseGitLabMr([{ iid: 1, state: 'opened', draft: true }]).draft, true);
+    assert.equal(parseGitLabMr([{ iid: 1, state: 'opened', work_in_progress: true }]).draft, true);
+    assert.equal(parseGitLabMr([{ iid: 1, state: 'opened' }]).draft, false);
+  });
+
   it('should parse merged MR', () => {
     const result = parseGitLabMr([{
       iid: 11,
@@ -169,6 +190,44 @@ describe('parseGitLabMr', () => {
     assert.equal(result.checksFail, false);
     assert.equal(result.checksCount, 0);
   });
+
+  it('should take checks from the head pipeline', () => {
+    const mrs = [{ iid: 3, title: 'MR', state: 'opened' }];
+    const jobs = [
+      { id: 1, name: 'build', stage: 'build', status: 'success', duration: 12 },
+      { id: 2, name: 'lint', stage: 'test', status: 'failed', allow_failure: true },
+    ];
+    const result = parseGitLabMr(mrs, { pipeline: { status: 'success', jobs } });
+    assert.equal(result.checksPass, true);
+    assert.equal(result.checksFail, false);
+    assert.equal(result.checksCount, 2);
+    assert.deepEqual(result.checks.map(c => c.status), ['pass', 'neutral']);
+  });
+
+  it('should report failed and canceled pipelines as failing', () => {
+    const mrs = [{ iid: 3, title: 'MR', state: 'opened' }];
+    for (const status of ['failed', 'canceled']) {
+      const result = parseGitLabMr(mrs, { pipeline: { status, jobs: [] } });
+      assert.equal(result.checksFail, true, status);
+      assert.equal(result.checksPass, false, status);
+    }
+  });
+
+  it('should not report running pipelines as passing', () => {
+    const result = parseGitLabMr([{ iid: 3, title: 'MR', state: 'opened' }], {
+      pipeline: { status: 'running', jobs: [{ id: 1, name: 'test', status: 'running' }] },
+    });
+    assert.equal(result.checksPass, false);
+    assert.equal(result.checksFail, false);
+    assert.equal(result.checks[0].status, 'pending');
+  });
+
+  it('should need an actual approval to count as approved', () => {
+    const mrs = [{ iid: 3, title: 'MR', state: 'opened' }];
+    assert.equal(parseGitLabMr(mrs, { approvals: { approved: true, approved_by: [{ user: { username: 'a' } }] } }).approved, true);
+    assert.equal(parseGitLabMr(mrs, { approvals: { approved: true, approved_by: [] } }).approved, false);
+    assert.equal(parseGitLabMr(mrs, { approvals: { approved: false, approved_by: [{ user: { username: 'a' } }] } }).approved, false);
+  });
 });
 
 describe('parseGitHubPrList', () => {
@@ -201,6 +260,26 @@ describe('parseGitHubPrList', () => {
     assert.equal(map.size, 1);
     assert.deepEqual(map.get('feature'), { state: 'OPEN', number: 5, title: 'New' });
   });
+
+  it('should summarize the check rollup when it was requested', () => {
+    const map = parseGitHubPrList([
+      { headRefName: 'red', number: 1, title: 'R', state: 'OPEN', statusCheckRollup: [
+        { name: 'lint', status: 'COMPLETED', conclusion: 'SUCCESS' },
+        { name: 'test', status: 'COMPLETED', conclusion: 'TIMED_OUT' },
+      ] },
+      { headRefName: 'running', number: 2, title: 'P', state: 'OPEN', statusCheckRollup: [
+        { name: 'test', status: 'IN_PROGRESS', conclusion: '' },
+      ] },
+      { headRefName: 'green', number: 3, title: 'G', state: 'OPEN', statusCheckRollup: [
+        { context: 'ci/legacy', state: 'SUCCESS' },
+      ] },
+      { headRefName: 'none', number: 4, title: 'N', state: 'OPEN', statusCheckRollup: [] },
+    ]);
+    assert.equal(map.get('red').ci, 'fail');
+    assert.equal(map.get('running').ci, 'pending');
+    assert.equal(map.get('green').ci, 'pass');
+    assert.equal(map.get('none').ci, null);
+  });
 });
 
 describe('parseGitLabMrList', () => {
@@ -239,6 +318,168 @@ describe('parseGitLabMrList', () => {
   });
 });
 
+describe('parseGiteaPr', () => {
+  it('should return null for an empty list', () => {
+    assert.equal(parseGiteaPr([]), null);
+  });
+
+  it('should normalize state, CI and reviews', () => {
+    const info = parseGiteaPr([{ number: 7, title: 'Feat', state: 'open', merged: false }], {
+      statuses: { state: 'success', statuses: [{ context: 'ci/build', status: 'success' }] },
+      reviews: [{ user: { login: 'ann' }, state: 'APPROVED' }],
+    });
+    assert.equal(info.number, 7);
+    assert.equal(info.state, 'OPEN');
+    assert.equal(info.approved, true);
+    assert.equal(info.checksPass, true);
+    assert.equal(info.checksFail, false);
+    assert.equal(info.checksCount, 1);
+  });
+
+  it('should report merged PRs as MERGED', () => {
+    assert.equal(parseGiteaPr([{ number: 1, title: 'A', state: 'closed', merged: true }]).state, 'MERGED');
+    assert.equal(parseGiteaPr([{ number: 1, title: 'A', state: 'closed', merged: false }]).state, 'CLOSED');
+  });
+
+  it('should use each reviewer\'s latest review', () => {
+    const reviews = [
+      { user: { login: 'ann' }, state: 'REQUEST_CHANGES' },
+      { user: { login: 'ann' }, state: 'APPROVED' },
+      { user: { login: 'bob' }, state: 'COMMENT' },
+    ];
+    assert.equal(parseGiteaPr([{ number: 1, state: 'open' }], { reviews }).approved, true);
+    reviews.push({ user: { login: 'bob' }, state: 'REQUEST_CHANGES' });
+    assert.equal(parseGiteaPr([{ number: 1, state: 'open' }], { reviews }).approved, false);
+  });
+
+  it('should ignore dismissed and stale approvals', () => {
+    const reviews = [
+      { user: { login: 'ann' }, state: 'APPROVED', dismissed: true },
+      { user: { login: 'bob' }, state: 'APPROVED', stale: true },
+    ];
+    assert.equal(parseGiteaPr([{ number: 1, state: 'open' }], { reviews }).approved, false);
+  });
+
+  it('should be unapproved without reviews or statuses', () => {
+    const info = parseGiteaPr([{ number: 1, state: 'open' }]);
+    assert.equal(info.approved, false);
+    assert.equal(info.checksPass, false);
+    assert.equal(info.checksFail, false);
+    assert.deepEqual(info.checks, []);
+  });
+});
+
+describe('parseGiteaStatuses', () => {
+  it('should map commit statuses to checks', () => {
+    const checks = parseGiteaStatuses({
+      statuses: [
+        { context: 'build', status: 'success', target_url: 'https://ci/1', created_at: '2024-01-01T00:00:00Z', updated_at: '2024-01-01T00:01:30Z' },
+        { context: 'lint', state: 'failure' },
+        { context: 'deploy', status: 'pending' },
+        { context: 'audit', status: 'warning' },
+        { context: 'e2e', status: 'error' },
+      ],
+    });
+    assert.deepEqual(checks.map(c => c.status), ['pass', 'fail', 'pending', 'neutral', 'fail']);
+    assert.equal(checks[0].durationMs, 90000);
+    assert.equal(checks[0].url, 'https://ci/1');
+    assert.equal(checks[0].id, null);
+    assert.equal(checks[2].durationMs, null);
+  });
+
+  it('should return [] for missing input', () => {
+    assert.deepEqual(parseGiteaStatuses(null), []);
+    assert.deepEqual(parseGiteaStatuses({}), []);
+  });
+});
+
+describe('parseGiteaPrList', () => {
+  it('should map head branches to PR status, preferring the newest PR', () => {
+    const map = parseGiteaPrList([
+      { number: 1, title: 'Old', state: 'closed', merged: false, head: { ref: 'feat' } },
+      { number: 4, title: 'New', state: 'open', merged: false, head: { ref: 'feat' } },
+      { number: 2, title: 'Fix', state: 'closed', merged: true, head: { ref: 'fix' } },
+      { number: 3, title: 'Broken' },
+    ]);
+    assert.equal(map.size, 2);
+    assert.deepEqual(map.get('feat'), { state: 'OPEN', number: 4, title: 'New' });
+    assert.deepEqual(map.get('fix'), { state: 'MERGED', number: 2, title: 'Fix' });
+  });
+
+  it('should return empty map for null', () => {
+    assert.equal(parseGiteaPrList(null).size, 0);
+  });
+});
+
+describe('parseBitbucketPr', () => {
+  it('should return null for an empty list', () => {
+    assert.equal(parseBitbucketPr(null), null);
+  });
+
+  it('should normalize state, participants and statuses', () => {
+    const info = parseBitbucketPr([{
+      id: 12,
+      title: 'Feat',
+      state: 'OPEN',
+      participants: [{ approved: true, state: 'approved' }, { approved: false, state: null }],
+    }], { statuses: { values: [{ key: 'b', name: 'Build', state: 'FAILED' }] } });
+    assert.equal(info.number, 12);
+    assert.equal(info.state, 'OPEN');
+    assert.equal(info.approved, true);
+    assert.equal(info.checksFail, true);
+    assert.equal(info.checksPass, false);
+    assert.equal(info.checks[0].name, 'Build');
+  });
+
+  it('should not be approved when changes were requested', () => {
+    const info = parseBitbucketPr([{
+      id: 1,
+      state: 'OPEN',
+      participants: [{ approved: true }, { approved: false, state: 'changes_requested' }],
+    }]);
+    assert.equal(info.approved, false);
+  });
+
+  it('should map declined and superseded PRs to CLOSED', () => {
+    assert.equal(parseBitbucketPr([{ id: 1, state: 'DECLINED' }]).state, 'CLOSED');
+    assert.equal(parseBitbucketPr([{ id: 1, state: 'SUPERSEDED' }]).state, 'CLOSED');
+    assert.equal(parseBitbucketPr([{ id: 1, state: 'MERGED' }]).state, 'MERGED');
+  });
+});
+
+describe('parseBitbucketStatuses', () => {
+  it('should keep the latest status per key', () => {
+    const checks = parseBitbucketStatuses({
+      values: [
+        { key: 'ci', name: 'CI', state: 'FAILED', created_on: '2024-01-01T00:00:00Z', updated_on: '2024-01-01T00:01:00Z' },
+        { key: 'ci', name: 'CI', state: 'SUCCESSFUL', url: 'https://ci/2', created_on: '2024-01-01T01:00:00Z', updated_on: '2024-01-01T01:00:45Z' },
+        { key: 'deploy', name: 'Deploy', state: 'INPROGRESS' },
+        { key: 'e2e', name: 'E2E', state: 'STOPPED' },
+      ],
+    });
+    assert.equal(checks.length, 3);
+    assert.deepEqual(checks[0], { id: null, name: 'CI', status: 'pass', durationMs: 45000, url: 'https://ci/2' });
+    assert.equal(checks[1].status, 'pending');
+    assert.equal(checks[2].status, 'fail');
+  });
+
+  it('should return [] for missing input', () => {
+    assert.deepEqual(parseBitbucketStatuses(undefined), []);
+  });
+});
+
+describe('parseBitbucketPrList', () => {
+  it('should map source branches to PR status', () => {
+    const map = parseBitbucketPrList([
+      { id: 3, title: 'Feat', state: 'OPEN', source: { branch: { name: 'feat' } } },
+      { id: 1, title: 'Old', state: 'DECLINED', source: { branch: { name: 'feat' } } },
+      { id: 2, title: 'Fix', state: 'MERGED', source: { branch: { name: 'fix' } } },
+    ]);
+    assert.deepEqual(map.get('feat'), { state: 'OPEN', number: 3, title: 'Feat' });
+    assert.deepEqual(map.get('fix'), { state: 'MERGED', number: 2, title: 'Fix' });
+  });
+});
+
 describe('isBaseBranch', () => {
   it('should identify main as base branch', () => {
     assert.equal(isBaseBranch('main'), true);
@@ -279,3 +520,138 @@ describe('isBaseBranch', () => {
     assert.equal(isBaseBranch('pre-release'), false);
   });
 });
+
+describe('parseGitHubChecks', () => {
+  it('should return an empty list for missing rollups', () => {
+    assert.deepEqual(parseGitHubChecks(undefined), []);
+    assert.deepEqual(parseGitHubChecks(null), []);
+  });
+
+  it('should keep name, status, duration, url and job id of check runs', () => {
+    const [check] = parseGitHubChecks([{
+      __typename: 'CheckRun',
+      name: 'test',
+      workflowName: 'CI',
+      status: 'COMPLETED',
+      conclusion: 'FAILURE',
+      startedAt: '2024-05-01T10:00:00Z',
+      completedAt: '2024-05-01T10:02:30Z',
+      detailsUrl: 'https://github.com/o/r/actions/runs/111/job/222',
+    }]);
+    assert.deepEqual(check, {
+      id: '222',
+      name: 'CI / test',
+      status: 'fail',
+      durationMs: 150000,
+      url: 'https://github.com/o/r/actions/runs/111/job/222',
+    });
+  });
+
+  it('should map conclusions to statuses', () => {
+    const statuses = parseGitHubChecks([
+      { name: 'a', status: 'COMPLETED', conclusion: 'SUCCESS' },
+      { name: 'b', status: 'COMPLETED', conclusion: 'TIMED_OUT' },
+      { name: 'c', status: 'COMPLETED', conclusion: 'SKIPPED' },
+      { name: 'd', status: 'COMPLETED', conclusion: 'NEUTRAL' },
+      { name: 'e', status: 'IN_PROGRESS', conclusion: '' },
+    ]).map((c) => c.status);
+    assert.deepEqual(statuses, ['pass', 'fail', 'skipped', 'neutral', 'pending']);
+  });
+
+  it('should not report a duration for running checks or zero dates', () => {
+    const [running, zero] = parseGitHubChecks([
+      { name: 'a', status: 'IN_PROGRESS', startedAt: '2024-05-01T10:00:00Z', completedAt: '0001-01-01T00:00:00Z' },
+      { name: 'b', status: 'COMPLETED', conclusion: 'SUCCESS', startedAt: '0001-01-01T00:00:00Z', completedAt: '0001-01-01T00:00:00Z' },
+    ]);
+    assert.equal(running.durationMs, null);
+    assert.equal(zero.durationMs, null);
+  });
+
+  it('should leave the id null for checks outside GitHub Actions', () => {
+    const [check] = parseGitHubChecks([
+      { name: 'ci/circleci', status: 'COMPLETED', conclusion: 'FAILURE', detailsUrl: 'https://circleci.com/gh/o/r/1' },
+    ]);
+    assert.equal(check.id, null);
+    assert.equal(check.url, 'https://circleci.com/gh/o/r/1');
+  });
+
+  it('should parse commit statuses', () => {
+    const checks = parseGitHubChecks([
+      { __typename: 'StatusContext', context: 'deploy', state: 'ERROR', targetUrl: 'https://ci.example/1' },
+      { __typename: 'StatusContext', context: 'lint', state: 'SUCCESS' },
+      { __typename: 'StatusContext', context: 'e2e', state: 'PENDING' },
+    ]);
+    assert.deepEqual(checks.map((c) => [c.name, c.status, c.url]), [
+      ['deploy', 'fail', 'https://ci.example/1'],
+      ['lint', 'pass', null],
+      ['e2e', 'pending', null],
+    ]);
+  });
+
+  it('should be included in parseGitHubPr', () => {
+    const result = parseGitHubPr([{
+      number: 1, title: 'PR', state: 'OPEN', reviewDecision: '',
+      statusCheckRollup: [{ name: 'build', status: 'COMPLETED', conclusion: 'SUCCESS' }],
+    }]);
+    assert.equal(result.checks.length, 1);
+    assert.equal(result.checks[0].name, 'build');
+    assert.equal(result.checks[0].status, 'pass');
+  });
+});
+
+describe('parseGitLabJobs', () => {
+  it('should return an empty list without jobs', () => {
+    assert.deepEqual(parseGitLabJobs(null), []);
+    assert.deepEqual(parseGitLabJobs({}), []);
+  });
+
+  it('should normalize pipeline jobs', () => {
+    const [job] = parseGitLabJobs({
+      jobs: [{ id: 987, name: 'rspec', stage: 'test', status: 'failed', duration: 42.5, web_url: 'https://gitlab.com/o/r/-/jobs/987' }],
+    });
+    assert.deepEqual(job, {
+      id: '987',
+      name: 'test / rspec',
+      status: 'fail',
+      durationMs: 42500,
+      url: 'https://gitlab.com/o/r/-/jobs/987',
+    });
+  });
+
+  it('should map job statuses', () => {
+    const statuses = parseGitLabJobs({
+      jobs: [
+        { id: 1, name: 'a', status: 'success' },
+        { id: 2, name: 'b', status: 'failed', allow_failure: true },
+        { id: 3, name: 'c', status: 'canceled' },
+        { id: 4, name: 'd', status: 'running', duration: 10 },
+        { id: 5, name: 'e', status: 'skipped' },
+        { id: 6, name: 'f', status: 'manual' },
+      ],
+    });
+    assert.deepEqual(statuses.map((c) => c.status), ['pass', 'neutral', 'fail', 'pending', 'skipped', 'neutral']);
+    assert.equal(statuses[3].durationMs, null);
+  });
+});
+
+describe('tailCiLog', () => {
+  it('should strip gh job/step/timestamp columns', () => {
+    const log = 'test\tRun npm test\t2024-05-01T10:00:01.1234567Z > npm test\n'
+      + 'test\tRun npm test\t2024-05-01T10:00:02.0000000Z Error: boom\n';
+    assert.deepEqual(tailCiLog(log), ['> npm test', 'Error: boom']);
+  });
+
+  it('should strip ANSI escapes and carriage-return progress', () => {
+    const log = '\x1b[32mok\x1b[0m\nprogress 10%\rprogress 100%\r\nsection_start:1700000000:build\r\x1b[0KBuilding\n';
+    assert.deepEqual(tailCiLog(log), ['ok', 'progress 100%', 'Building']);
+  });
+
+  it('should keep only the last lines', () => {
+    const log = Array.from({ length: 10 }, (_, i) => `line ${i}`).join('\n') + '\n\n';
+    assert.deepEqual(tailCiLog(log, 3), ['line 7', 'line 8', 'line 9']);
+  });
+
+  it('should return no lines for an empty log', () => {
+    assert.deepEqual(tailCiLog(''), []);
+  });
+});
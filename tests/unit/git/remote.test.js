@@ -156,8 +156,8 @@ describe('buildBranchUrl', () => {
   });
 
   it('should default to /tree/ for unknown hosts', () => {
-    const url = buildBranchUrl('https://gitea.example.com/user/repo', 'gitea.example.com', 'main');
-    assert.equal(url, 'https://gitea.example.com/user/repo/tree/main');
+    const url = buildBranchUrl('https://git.example.com/user/repo', 'git.example.com', 'main');
+    assert.equal(url, 'https://git.example.com/user/repo/tree/main');
   });
 });
 
@@ -190,12 +190,25 @@ describe('detectPlatform', () => {
     assert.equal(detectPlatform('https://org.visualstudio.com/project'), 'azure');
   });
 
+  it('should detect Gitea and Forgejo hosts', () => {
+    assert.equal(detectPlatform('https://gitea.example.com/user/repo'), 'gitea');
+    assert.equal(detectPlatform('https://forgejo.company.com/user/repo'), 'gitea');
+    assert.equal(detectPlatform('https://codeberg.org/user/repo'), 'gitea');
+  });
+
+  it('should honour host overrides', () => {
+    const hosts = { 'git.company.com': 'gitea', 'code.company.com': 'bitbucket' };
+    assert.equal(detectPlatform('https://git.company.com/user/repo', hosts), 'gitea');
+    assert.equal(detectPlatform('https://Code.Company.com/team/repo', hosts), 'bitbucket');
+    assert.equal(detectPlatform('https://github.com/user/repo', hosts), 'github');
+  });
+
   it('should return null for null URL', () => {
     assert.equal(detectPlatform(null), null);
   });
 
   it('should default to github for unknown hosts', () => {
-    assert.equal(detectPlatform('https://gitea.example.com/user/repo'), 'github');
+    assert.equal(detectPlatform('https://git.example.com/user/repo'), 'github');
   });
 
   it('should return null for invalid URL', () => {
@@ -205,6 +218,11 @@ describe('detectPlatform', () => {
 });
 
 describe('buildWebUrl', () => {
+  it('should use the platform-specific branch path when a platform is given', () => {
+    const url = buildWebUrl({ host: 'git.company.com', path: 'user/repo' }, 'main', 'gitea');
+    assert.equal(url, 'https://git.company.com/user/repo/src/branch/main');
+  });
+
   it('should build basic web URL from parsed remote', () => {
     const url = buildWebUrl({ host: 'github.com', path: 'user/repo' }, null);
     assert.equal(url, 'https://github.com/user/repo');
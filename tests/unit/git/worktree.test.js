@@ -0,0 +1,72 @@
+/**
+ * Tests for git worktree helpers
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const {
+  parseWorktreeList,
+  resolveWorktreeDir,
+  worktreePathFor,
+} = require('../../../src/git/worktree');
+
+describe('parseWorktreeList', () => {
+  it('should parse main, linked, detached and flagged worktrees', () => {
+    const text = [
+      'worktree /repo',
+      'HEAD 1111111111111111111111111111111111111111',
+      'branch refs/heads/main',
+      '',
+      'worktree /wt/feature/x',
+      'HEAD 2222222222222222222222222222222222222222',
+      'branch refs/heads/feature/x',
+      'locked reason here',
+      '',
+      'worktree /wt/gone',
+      'HEAD 3333333333333333333333333333333333333333',
+      'detached',
+      'prunable gitdir file points to non-existent location',
+      '',
+    ].join('\n');
+    const list = parseWorktreeList(text);
+    assert.deepStrictEqual(list.map(w => [w.path, w.branch, w.isMain]), [
+      ['/repo', 'main', true],
+      ['/wt/feature/x', 'feature/x', false],
+      ['/wt/gone', null, false],
+    ]);
+    assert.strictEqual(list[0].head, '1111111111111111111111111111111111111111');
+    assert.strictEqual(list[1].locked, true);
+    assert.strictEqual(list[2].prunable, true);
+    assert.strictEqual(list[0].isCurrent, false);
+  });
+
+  it('should skip bare repositories', () => {
+    const list = parseWorktreeList('worktree /repo.git\nbare\n\nworktree /wt/a\nHEAD abc\nbranch refs/heads/a\n');
+    assert.deepStrictEqual(list.map(w => w.path), ['/wt/a']);
+  });
+
+  it('should return an empty list for empty output', () => {
+    assert.deepStrictEqual(parseWorktreeList(''), []);
+  });
+});
+
+describe('resolveWorktreeDir', () => {
+  const root = path.join(path.sep, 'code', 'app');
+
+  it('should default to a sibling <project>.worktrees directory', () => {
+    assert.strictEqual(resolveWorktreeDir('', root), path.join(path.sep, 'code', 'app.worktrees'));
+  });
+
+  it('should expand ~ and resolve relative paths from the project', () => {
+    assert.strictEqual(resolveWorktreeDir('~/wt', root), path.join(os.homedir(), 'wt'));
+    assert.strictEqual(resolveWorktreeDir('../trees', root), path.join(path.sep, 'code', 'trees'));
+  });
+});
+
+describe('worktreePathFor', () => {
+  it('should nest slashed branch names', () => {
+    assert.strictEqual(worktreePathFor('/wt', 'agent/fix-login'), path.join('/wt', 'agent', 'fix-login'));
+  });
+});
@@ -1,10 +1,40 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const {
+  detectBranchChanges,
   pruneStaleEntries,
   calculateInactivityInterval,
 } = require('../../../src/polling/engine');
 
+describe('detectBranchChanges', () => {
+  it('reports first-seen and missing branches', () => {
+    const result = detectBranchChanges({
+      knownBranchNames: new Set(['main', 'old']),
+      fetchedBranchNames: new Set(['main', 'feature']),
+    });
+    assert.deepEqual(result, { created: ['feature'], deleted: ['old'] });
+  });
+
+  it('stays quiet while switching onto an ignored branch and off again', () => {
+    const knownBranchNames = new Set(['main']);
+    const isIgnored = (name) => name.startsWith('wip/');
+    // Mirrors the bin's poll loop: detect, then remember what was listed
+    const poll = (names) => {
+      const fetchedBranchNames = new Set(names);
+      const changes = detectBranchChanges({ knownBranchNames, fetchedBranchNames, isIgnored });
+      for (const name of names) knownBranchNames.add(name);
+      pruneStaleEntries({ knownBranchNames, fetchedBranchNames, allBranches: names.map((name) => ({ name })), caches: [] });
+      return changes;
+    };
+
+    // Checked out: the ignored branch is listed
+    assert.deepEqual(poll(['main', 'wip/scratch']), { created: [], deleted: [] });
+    // Switched away: it drops out of the list again
+    assert.deepEqual(poll(['main']), { created: [], deleted: [] });
+    assert.deepEqual(poll(['main', 'feature']), { created: ['feature'], deleted: [] });
+  });
+});
+
 describe('pruneStaleEntries', () => {
   function makeOpts(overrides = {}) {
     return {
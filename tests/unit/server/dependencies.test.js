@@ -0,0 +1,88 @@
+/**
+ * Tests for lockfile-driven dependency installs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { LOCKFILE_COMMANDS, detectInstalls, describeInstall, createInstallPrompt } = require('../../../src/server/dependencies');
+
+describe('detectInstalls', () => {
+  it('returns nothing when no lockfile changed', () => {
+    assert.deepStrictEqual(detectInstalls(['src/app.js', 'package.json', 'README.md']), []);
+  });
+
+  it('maps each lockfile to its package manager', () => {
+    assert.deepStrictEqual(detectInstalls(['yarn.lock', 'src/app.js', 'Gemfile.lock']), [
+      { lockfiles: ['yarn.lock'], dir: '', command: 'yarn install' },
+      { lockfiles: ['Gemfile.lock'], dir: '', command: 'bundle install' },
+    ]);
+    assert.strictEqual(LOCKFILE_COMMANDS['pnpm-lock.yaml'], 'pnpm install');
+  });
+
+  it('runs the install in the lockfile directory', () => {
+    assert.deepStrictEqual(detectInstalls(['packages/web/package-lock.json']), [
+      { lockfiles: ['packages/web/package-lock.json'], dir: 'packages/web', command: 'npm install' },
+    ]);
+  });
+
+  it('installs once per directory and command', () => {
+    const installs = detectInstalls(['package-lock.json', 'npm-shrinkwrap.json', 'web/package-lock.json']);
+    assert.deepStrictEqual(installs.map((i) => [i.dir, i.lockfiles.length]), [['', 2], ['web', 1]]);
+  });
+
+  it('lets the config replace, add and turn off commands', () => {
+    const commands = { 'package-lock.json': 'npm ci', 'Cargo.lock': 'cargo fetch', 'yarn.lock': null };
+    assert.deepStrictEqual(
+      detectInstalls(['package-lock.json', 'Cargo.lock', 'yarn.lock'], commands).map((i) => i.command),
+      ['npm ci', 'cargo fetch']
+    );
+  });
+
+  it('ignores names that only look like lockfiles', () => {
+    assert.deepStrictEqual(detectInstalls(['docs/yarn.lock.md', 'constructor', 'toString']), []);
+  });
+});
+
+describe('describeInstall', () => {
+  it('names the directory when it is not the root', () => {
+    assert.strictEqual(describeInstall({ lockfiles: ['yarn.lock'], dir: '', command: 'yarn install' }), 'yarn install');
+    assert.strictEqual(describeInstall({ lockfiles: ['web/yarn.lock'], dir: 'web', command: 'yarn install' }), 'yarn install (in web)');
+  });
+});
+
+describe('createInstallPrompt', () => {
+  const installs = [{ lockfiles: ['package-lock.json'], dir: '', command: 'npm install' }];
+
+  it('shows the question until it is answered', async () => {
+    const shown = [];
+    const prompt = createInstallPrompt({ onChange: (pending) => shown.push(pending) });
+    const answer = prompt.ask(installs, 'switch');
+    const { id } = shown[0];
+    assert.strictEqual(prompt.answer(true, id + 1), false);
+    assert.strictEqual(prompt.answer(true, id), true);
+    assert.strictEqual(await answer, 'install');
+    assert.deepStrictEqual(shown, [{ id, trigger: 'switch', installs }, null]);
+    assert.strictEqual(prompt.answer(false), false);
+  });
+
+  it('skips a question nobody answers in time', async () => {
+    const shown = [];
+    const prompt = createInstallPrompt({ timeoutMs: 20, onChange: (pending) => shown.push(pending) });
+    assert.strictEqual(await prompt.ask(installs, 'pull'), 'timeout');
+    assert.strictEqual(shown[shown.length - 1], null);
+  });
+
+  it('skips an open question when a newer checkout supersedes it', async () => {
+    const prompt = createInstallPrompt();
+    const first = prompt.ask(installs, 'switch');
+    assert.strictEqual(prompt.supersede(), true);
+    assert.strictEqual(await first, 'superseded');
+    assert.strictEqual(prompt.supersede(), false);
+
+    const second = prompt.ask(installs, 'switch');
+    const third = prompt.ask(installs, 'pull');
+    assert.strictEqual(await second, 'superseded');
+    prompt.answer(false);
+    assert.strictEqual(await third, 'skip');
+  });
+});
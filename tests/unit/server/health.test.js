@@ -0,0 +1,72 @@
+/**
+ * Tests for the dev server readiness probes, against real local servers.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { probeHttp, probeTcp, probeHealth } = require('../../../src/server/health');
+
+/** @returns {Promise<number>} A port nothing listens on */
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+describe('probeHttp', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') return; // never answers
+      res.statusCode = req.url === '/health' ? 200 : req.url === '/login' ? 302 : 503;
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('passes on statuses below 400', async () => {
+    assert.strictEqual(await probeHttp(`${base}/health`, 1000), true);
+    assert.strictEqual(await probeHttp(`${base}/login`, 1000), true);
+  });
+
+  it('fails on error statuses, timeouts and refused connections', async () => {
+    assert.strictEqual(await probeHttp(`${base}/down`, 1000), false);
+    assert.strictEqual(await probeHttp(`${base}/slow`, 100), false);
+    assert.strictEqual(await probeHttp(`http://127.0.0.1:${await freePort()}/`, 1000), false);
+  });
+
+  it('fails on a malformed URL instead of throwing', async () => {
+    assert.strictEqual(await probeHttp('not a url', 1000), false);
+  });
+});
+
+describe('probeTcp', () => {
+  it('passes while something listens on the port', async () => {
+    const server = net.createServer((socket) => socket.end());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+    try {
+      assert.strictEqual(await probeTcp(port, 1000, '127.0.0.1'), true);
+      assert.strictEqual(await probeHealth({ port, interval: 1000, timeout: 1000, startupTimeout: 1000, failureThreshold: 1 }), true);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('fails when the connection is refused', async () => {
+    assert.strictEqual(await probeTcp(await freePort(), 1000, '127.0.0.1'), false);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for per-branch dev server overrides
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  overrideMatches,
+  resolveServerSpec,
+  specsDiffer,
+  preStartSteps,
+  runPreStartStep,
+} = require('../../../src/server/overrides');
+
+/** @returns {import('../../../src/config/schema').ServerOverrideConfig} */
+function override(fields) {
+  return { branches: [], process: null, command: null, env: {}, preStart: [], ...fields };
+}
+
+function step(command, changed = [], timeout = 5000) {
+  return { command, changed, timeout };
+}
+
+const WEB = {
+  name: 'web',
+  command: 'npm run dev',
+  port: 3000,
+  env: { LOG_LEVEL: 'info' },
+  restartOnSwitch: true,
+  healthCheck: null,
+  autoRestart: { enabled: false, maxRetries: 5, initialDelay: 1000, maxDelay: 30000 },
+};
+
+describe('overrideMatches', () => {
+  it('matches every branch without globs, and listed branches otherwise', () => {
+    assert.strictEqual(overrideMatches(override({}), 'main'), true);
+    assert.strictEqual(overrideMatches(override({}), null), true);
+    const legacy = override({ branches: ['legacy/**'] });
+    assert.strictEqual(overrideMatches(legacy, 'legacy/v1/fix'), true);
+    assert.strictEqual(overrideMatches(legacy, 'main'), false);
+    assert.strictEqual(overrideMatches(legacy, null), false);
+  });
+});
+
+describe('resolveServerSpec', () => {
+  const overrides = [
+    override({ branches: ['legacy/*'], command: 'npm run dev:legacy', env: { API: 'v1' } }),
+    override({ branches: ['legacy/debug'], env: { LOG_LEVEL: 'debug' } }),
+    override({ process: 'api', command: 'npm run api:mock' }),
+  ];
+
+  it('leaves the process alone on branches no override matches', () => {
+    assert.deepStrictEqual(resolveServerSpec(WEB, overrides, 'main'), WEB);
+  });
+
+  it('applies every matching override in order', () => {
+    const spec = resolveServerSpec(WEB, overrides, 'legacy/debug');
+    assert.strictEqual(spec.command, 'npm run dev:legacy');
+    assert.deepStrictEqual(spec.env, { LOG_LEVEL: 'debug', API: 'v1' });
+    assert.strictEqual(spec.port, 3000);
+    assert.deepStrictEqual(WEB.env, { LOG_LEVEL: 'info' }, 'the spec itself is not changed');
+  });
+
+  it('skips overrides for other processes', () => {
+    assert.strictEqual(resolveServerSpec(WEB, overrides, 'main').command, 'npm run dev');
+    assert.strictEqual(resolveServerSpec({ ...WEB, name: 'api' }, overrides, 'main').command, 'npm run api:mock');
+  });
+});
+
+describe('specsDiffer', () => {
+  it('compares the command and env', () => {
+    assert.strictEqual(specsDiffer(WEB, { ...WEB }), false);
+    assert.strictEqual(specsDiffer(WEB, { ...WEB, command: 'vite' }), true);
+    assert.strictEqual(specsDiffer(WEB, { ...WEB, env: { LOG_LEVEL: 'info', API: 'v1' } }), true);
+    assert.strictEqual(specsDiffer(WEB, { ...WEB, port: 4000 }), false);
+  });
+});
+
+describe('preStartSteps', () => {
+  const overrides = [
+    override({ preStart: [step('npm install', ['package-lock.json']), step('npm run migrate', ['migrations/**'])] }),
+    override({ branches: ['feature/*'], process: 'api', preStart: [step('npm install', ['**/package.json']), step('npm run seed')] }),
+  ];
+
+  it('picks the steps whose files changed', () => {
+    assert.deepStrictEqual(preStartSteps(overrides, 'main', ['src/app.js']), []);
+    assert.deepStrictEqual(
+      preStartSteps(overrides, 'main', ['package-lock.json', 'migrations/002_users.sql']).map((s) => s.command),
+      ['npm install', 'npm run migrate']
+    );
+  });
+
+  it('runs steps without file globs on every switch to a matching branch', () => {
+    const steps = preStartSteps(overrides, 'feature/login', []);
+    assert.deepStrictEqual(steps, [{ command: 'npm run seed', timeout: 5000, process: 'api' }]);
+  });
+
+  it('runs a command once when several overrides list it', () => {
+    const steps = preStartSteps(overrides, 'feature/login', ['package-lock.json', 'package.json']);
+    assert.deepStrictEqual(steps.map((s) => s.command), ['npm install', 'npm run seed']);
+  });
+});
+
+describe('runPreStartStep', () => {
+  it('streams the output and resolves on success', async () => {
+    const lines = [];
+    await runPreStartStep({ command: 'echo installing && echo done', timeout: 5000, process: null }, {
+      cwd: process.cwd(),
+      onOutput: (line, isError) => { if (!isError) lines.push(line); },
+    });
+    assert.deepStrictEqual(lines, ['installing', 'done']);
+  });
+
+  it('rejects on a non-zero exit', async () => {
+    await assert.rejects(
+      runPreStartStep({ command: 'exit 3', timeout: 5000, process: null }, { cwd: process.cwd() }),
+      /exited with code 3/
+    );
+  });
+
+  it('stops a step that runs too long', async () => {
+    const started = Date.now();
+    await assert.rejects(
+      runPreStartStep({ command: 'sleep 5', timeout: 200, process: null }, { cwd: process.cwd() }),
+      /timed out/
+    );
+    assert.ok(Date.now() - started < 2000);
+  });
+});
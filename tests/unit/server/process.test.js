@@ -1,14 +1,11 @@
 /**
- * Tests for server process module — parseCommand only.
- *
- * Note: this file previously also covered a ProcessManager class, which
- * was deleted alongside the rest of the dead generality. parseCommand
- * is the only export bin/git-watchtower.js actually uses.
+ * Tests for server process module — parseCommand and the command-mode
+ * process manager (which spawns real `node -e` processes).
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, afterEach } = require('node:test');
 const assert = require('node:assert');
-const { parseCommand } = require('../../../src/server/process');
+const { parseCommand, restartDelay, summarizeServerStatus, createProcessManager } = require('../../../src/server/process');
 
 describe('parseCommand', () => {
   it('should parse simple command', () => {
@@ -147,3 +144,225 @@ describe('parseCommand', () => {
     assert.deepStrictEqual(result.args, ['-e', 'console.log("hi")']);
   });
 });
+
+describe('createProcessManager', () => {
+  /** @type {ReturnType<typeof createProcessManager>|null} */
+  let manager = null;
+
+  afterEach(async () => {
+    if (manager) await manager.stop();
+    manager = null;
+  });
+
+  function spec(name, code, extra = {}) {
+    return {
+      name,
+      command: `node -e "${code}"`,
+      port: null,
+      env: {},
+      restartOnSwitch: true,
+      healthCheck: null,
+      autoRestart: { enabled: false, maxRetries: 5, initialDelay: 1000, maxDelay: 30000 },
+      ...extra,
+    };
+  }
+
+  function setup(specs, options = {}) {
+    const output = [];
+    const events = [];
+    manager = createProcessManager({
+      specs,
+      getCwd: () => process.cwd(),
+      killGraceMs: 500,
+      onOutput: (name, line, isError) => output.push({ name, line, isError }),
+      onEvent: (event) => events.push(event),
+      ...options,
+    });
+    return { output, events };
+  }
+
+  function waitFor(predicate, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        if (predicate()) resolve();
+        else if (Date.now() > deadline) reject(new Error('timed out'));
+        else setTimeout(check, 20);
+      };
+      check();
+    });
+  }
+
+  const SERVE = "console.log(process.env.PORT + ' ' + process.env.GREETING); setInterval(() => {}, 1000)";
+
+  it('runs each process with its own PORT and env, tagging its output', async () => {
+    const { output, events } = setup([
+      spec('web', SERVE, { port: 3000, env: { GREETING: 'hi' } }),
+      spec('api', SERVE, { port: 8080, env: { GREETING: 'yo' } }),
+    ]);
+    manager.start();
+    // stderr may carry Node warnings (e.g. NO_COLOR vs FORCE_COLOR)
+    const stdout = () => output.filter((o) => !o.isError);
+    await waitFor(() => stdout().length === 2);
+
+    assert.deepStrictEqual(stdout().map((o) => `${o.name}: ${o.line}`).sort(), ['api: 8080 yo', 'web: 3000 hi']);
+    assert.deepStrictEqual(events.map((e) => `${e.type} ${e.name}`), ['started web', 'started api']);
+    assert.deepStrictEqual(manager.statuses().map((p) => [p.name, p.status, p.port]), [['web', 'running', 3000], ['api', 'running', 8080]]);
+  });
+
+  it('leaves PORT alone for a process without a port', async () => {
+    const { output } = setup([spec('server', SERVE)], { env: { ...process.env, PORT: '1234' } });
+    manager.start();
+    const stdout = () => output.filter((o) => !o.isError);
+    await waitFor(() => stdout().length === 1);
+    assert.strictEqual(stdout()[0].line, '1234 undefined');
+  });
+
+  it('asks for the command and env to use each time it spawns', async () => {
+    let greeting = 'hi';
+    const { output } = setup([spec('web', SERVE, { port: 3000 })], {
+      resolveSpec: (s) => ({ ...s, env: { ...s.env, GREETING: greeting } }),
+    });
+    const stdout = () => output.filter((o) => !o.isError);
+    manager.start();
+    await waitFor(() => stdout().length === 1);
+    greeting = 'yo';
+    manager.start('web');
+    await waitFor(() => stdout().length === 2);
+    assert.deepStrictEqual(stdout().map((o) => o.line), ['3000 hi', '3000 yo']);
+  });
+
+  it('reports a non-zero exit as a crash of that process only', async () => {
+    const { output, events } = setup([
+      spec('web', 'setInterval(() => {}, 1000)'),
+      spec('worker', "console.error('boom'); process.exit(2)"),
+    ]);
+    manager.start();
+    await waitFor(() => events.some((e) => e.type === 'crashed'));
+
+    const crash = events.find((e) => e.type === 'crashed');
+    assert.strictEqual(crash.name, 'worker');
+    assert.strictEqual(crash.code, 2);
+    assert.deepStrictEqual(output.filter((o) => o.line === 'boom'), [{ name: 'worker', line: 'boom', isError: true }]);
+    const [web, worker] = manager.statuses();
+    assert.strictEqual(web.running, true);
+    assert.strictEqual(web.crashed, false);
+    assert.strictEqual(worker.running, false);
+    assert.strictEqual(worker.crashed, true);
+    assert.strictEqual(worker.status, 'crashed');
+  });
+
+  it('stops one process without touching the others, and stays quiet about it', async () => {
+    const { events } = setup([spec('web', 'setInterval(() => {}, 1000)'), spec('api', 'setInterval(() => {}, 1000)')]);
+    manager.start();
+    await manager.stop('api');
+
+    assert.deepStrictEqual(manager.statuses().map((p) => p.running), [true, false]);
+    assert.deepStrictEqual(events.map((e) => e.type), ['started', 'started']);
+  });
+
+  it('reports a failed spawn as a crash', () => {
+    const { events } = setup([spec('web', '')], {
+      spawnFn: /** @type {any} */ (() => { throw new Error('EACCES'); }),
+    });
+    manager.start();
+    assert.deepStrictEqual(events, [
+      { type: 'crashed', name: 'web', command: 'node -e ""', code: null, error: 'EACCES', restart: null, gaveUp: false },
+    ]);
+    assert.strictEqual(manager.statuses()[0].crashed, true);
+  });
+
+  it('moves from starting to ready to unhealthy as probes pass and fail', async () => {
+    const results = [false, true, true, false, false];
+    const healthCheck = { port: 1, interval: 10, timeout: 100, startupTimeout: 10000, failureThreshold: 2 };
+    const { events } = setup([spec('web', 'setInterval(() => {}, 1000)', { healthCheck })], {
+      probe: async () => (results.length ? results.shift() : false),
+    });
+    manager.start();
+    assert.strictEqual(manager.statuses()[0].status, 'starting');
+    await waitFor(() => events.some((e) => e.health === 'unhealthy'));
+
+    assert.deepStrictEqual(events.filter((e) => e.type === 'health').map((e) => e.health), ['ready', 'unhealthy']);
+    assert.strictEqual(manager.statuses()[0].status, 'unhealthy');
+  });
+
+  it('counts a process that never becomes ready as unhealthy', async () => {
+    const healthCheck = { port: 1, interval: 10, timeout: 100, startupTimeout: 30, failureThreshold: 3 };
+    const { events } = setup([spec('web', 'setInterval(() => {}, 1000)', { healthCheck })], { probe: async () => false });
+    manager.start();
+    await waitFor(() => events.some((e) => e.health === 'unhealthy'));
+    assert.strictEqual(manager.statuses()[0].running, true);
+  });
+
+  it('restarts a crashing process with backoff until it runs out of retries', async () => {
+    const autoRestart = { enabled: true, maxRetries: 2, initialDelay: 20, maxDelay: 30 };
+    const { events } = setup([spec('worker', 'process.exit(1)', { autoRestart })]);
+    manager.start();
+    await waitFor(() => events.some((e) => e.type === 'crashed'));
+    assert.strictEqual(manager.statuses()[0].status, 'restarting');
+    await waitFor(() => events.some((e) => e.gaveUp));
+
+    const crashes = events.filter((e) => e.type === 'crashed');
+    assert.deepStrictEqual(crashes.map((e) => e.restart), [
+      { attempt: 1, maxRetries: 2, delay: 20 },
+      { attempt: 2, maxRetries: 2, delay: 30 },
+      null,
+    ]);
+    assert.strictEqual(events.filter((e) => e.type === 'started').length, 3);
+    assert.strictEqual(manager.statuses()[0].status, 'crashed');
+  });
+
+  it('treats a process killed from outside as a crash and restarts it', async () => {
+    const autoRestart = { enabled: true, maxRetries: 2, initialDelay: 20, maxDelay: 30 };
+    const { events } = setup([spec('web', 'setInterval(() => {}, 1000)', { autoRestart })]);
+    manager.start();
+    const started = events.find((e) => e.type === 'started');
+    process.kill(started.pid, 'SIGKILL');
+    await waitFor(() => events.some((e) => e.type === 'crashed'));
+
+    const crash = events.find((e) => e.type === 'crashed');
+    assert.strictEqual(crash.code, null);
+    assert.strictEqual(crash.error, 'killed by SIGKILL');
+    assert.deepStrictEqual(crash.restart, { attempt: 1, maxRetries: 2, delay: 20 });
+    assert.ok(!events.some((e) => e.type === 'stopped'));
+    await waitFor(() => events.filter((e) => e.type === 'started').length === 2);
+  });
+
+  it('cancels a scheduled restart when stopped', async () => {
+    const autoRestart = { enabled: true, maxRetries: 5, initialDelay: 50, maxDelay: 50 };
+    const { events } = setup([spec('worker', 'process.exit(1)', { autoRestart })]);
+    manager.start();
+    await waitFor(() => events.some((e) => e.type === 'crashed'));
+    await manager.stop();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.strictEqual(events.filter((e) => e.type === 'started').length, 1);
+    assert.strictEqual(manager.statuses()[0].status, 'crashed');
+  });
+
+  it('rejects unknown process names', () => {
+    setup([spec('web', '')]);
+    assert.throws(() => manager.start('db'), /Unknown server process: db/);
+    assert.deepStrictEqual(manager.names(), ['web']);
+  });
+});
+
+describe('restartDelay', () => {
+  it('doubles from the initial delay up to the cap', () => {
+    const policy = { enabled: true, maxRetries: 10, initialDelay: 1000, maxDelay: 5000 };
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map((n) => restartDelay(n, policy)), [1000, 2000, 4000, 5000, 5000]);
+  });
+});
+
+describe('summarizeServerStatus', () => {
+  it('reports the most pressing state', () => {
+    assert.strictEqual(summarizeServerStatus([{ status: 'ready' }, { status: 'starting' }]), 'starting');
+    assert.strictEqual(summarizeServerStatus([{ status: 'restarting' }, { status: 'unhealthy' }]), 'unhealthy');
+    assert.strictEqual(summarizeServerStatus([{ status: 'running' }, { status: 'ready' }]), 'ready');
+    assert.strictEqual(summarizeServerStatus([{ status: 'stopped' }, { status: 'crashed' }]), 'crashed');
+  });
+
+  it('returns null without processes', () => {
+    assert.strictEqual(summarizeServerStatus([]), null);
+  });
+});
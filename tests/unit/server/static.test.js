@@ -7,9 +7,11 @@ const {
   getMimeType,
   MIME_TYPES,
   injectLiveReload,
+  buildReloadFrame,
   resolveStaticPath,
   broadcastReload,
 } = require('../../../src/server/static');
+const { JSDOM, VirtualConsole } = require('jsdom');
 const { parseDiffStats } = require('../../../src/git/commands');
 
 describe('MIME_TYPES', () => {
@@ -60,6 +62,72 @@ describe('getMimeType', () => {
   });
 });
 
+describe('buildReloadFrame', () => {
+  const RELOAD = { frame: 'data: reload\n\n', swap: false };
+
+  it('should ask for a reload without changed files', () => {
+    assert.deepEqual(buildReloadFrame(), RELOAD);
+    assert.deepEqual(buildReloadFrame([]), RELOAD);
+  });
+
+  it('should list stylesheets and images to swap as URL paths', () => {
+    const { frame, swap } = buildReloadFrame([path.join('css', 'site.css'), 'logo.PNG']);
+    assert.equal(swap, true);
+    assert.ok(frame.startsWith('data: ') && frame.endsWith('\n\n'));
+    assert.deepEqual(JSON.parse(frame.slice(6)), { type: 'swap', css: ['/css/site.css'], images: ['/logo.PNG'] });
+  });
+
+  it('should reload when anything else changed too', () => {
+    assert.deepEqual(buildReloadFrame(['site.css', 'index.html']), RELOAD);
+  });
+});
+
+describe('live reload client', () => {
+  /**
+   * Load a page with the live reload script and a fake EventSource.
+   * `send` delivers an SSE message; `reloads` counts location.reload()
+   * calls, which jsdom reports as unimplemented navigation.
+   */
+  function loadPage(body) {
+    const virtualConsole = new VirtualConsole();
+    const page = { reloads: 0 };
+    virtualConsole.on('jsdomError', (e) => {
+      if (/navigation/i.test(e.message)) page.reloads++;
+    });
+    const html = '<html><head><link rel="stylesheet" href="/css/site.css?v=1">' +
+      '<script>window.EventSource = function() { window.__source = this; };</script></head>' +
+      '<body>' + body + '</body></html>';
+    const dom = new JSDOM(injectLiveReload(html), { url: 'http://localhost:3000/', runScripts: 'dangerously', virtualConsole });
+    page.document = dom.window.document;
+    page.send = (data) => dom.window.__source.onmessage({ data });
+    return page;
+  }
+
+  it('should swap a changed stylesheet without reloading', () => {
+    const page = loadPage('<input value="typed">');
+    page.send(JSON.stringify({ type: 'swap', css: ['/css/site.css'], images: [] }));
+    const links = page.document.querySelectorAll('link[rel="stylesheet"]');
+    assert.equal(links.length, 2); // old one goes once the new one has loaded
+    assert.match(links[1].getAttribute('href'), /\/css\/site\.css\?v=1&livereload=\d+$/);
+    assert.equal(page.reloads, 0);
+  });
+
+  it('should cache-bust a changed image', () => {
+    const page = loadPage('<img src="/img/logo.png">');
+    page.send(JSON.stringify({ type: 'swap', css: [], images: ['/img/logo.png'] }));
+    assert.match(page.document.querySelector('img').src, /\/img\/logo\.png\?livereload=\d+$/);
+    assert.equal(page.reloads, 0);
+  });
+
+  it('should reload when the page does not use the changed file', () => {
+    const page = loadPage('');
+    page.send(JSON.stringify({ type: 'swap', css: ['/css/partial.css'], images: [] }));
+    assert.equal(page.reloads, 1);
+    page.send('reload');
+    assert.equal(page.reloads, 2);
+  });
+});
+
 describe('injectLiveReload', () => {
   it('should inject script before </body>', () => {
     const html = '<html><body><h1>Hello</h1></body></html>';
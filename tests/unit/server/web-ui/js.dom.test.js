@@ -47,6 +47,7 @@ function makeState(overrides) {
     noServer: false,
     clientCount: 1,
     repoWebUrl: null,
+    repoPlatform: null,
     sessionStats: { startTime: new Date().toISOString(), branchSwitches: 0, fetches: 0, pulls: 0 },
     ...overrides,
   };
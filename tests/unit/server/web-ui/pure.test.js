@@ -11,11 +11,27 @@ const {
   timeAgo,
   renderSparklineBars,
   fmtCompact,
+  parseBranchQuery,
+  fuzzyMatch,
+  matchQueryName,
+  matchBranchQuery,
+  queryNote,
+  highlightMatches,
   getDisplayBranches,
+  hostPlatform,
   buildBranchUrl,
   buildCommitUrl,
   buildPrUrl,
+  pairDiffLines,
+  journalDayRange,
+  journalEntryText,
+  digestSummary,
+  formatElapsed,
+  conversationTags,
+  heatmapLevel,
+  heatmapBucketLabel,
 } = require('../../../../src/server/web-ui/pure');
+const { parseGitLabMrList } = require('../../../../src/git/pr');
 
 // ── escHtml ─────────────────────────────────────────────────────────
 
@@ -395,6 +411,163 @@ describe('getDisplayBranches', () => {
     const names = result.map(b => b.name);
     assert.deepEqual(names, branches.map(b => b.name));
   });
+
+  it('should apply query qualifiers using the PR and ahead/behind lookups', () => {
+    const result = getDisplayBranches(branches, {
+      searchQuery: 'pr:open ahead:>0',
+      prStatuses: { 'feature-alpha': { state: 'OPEN' }, 'feature-beta': { state: 'OPEN' } },
+      aheadBehind: { 'feature-alpha': { ahead: 0, behind: 2 }, 'feature-beta': { ahead: 3, behind: 0 } },
+    });
+    assert.deepEqual(result.map(b => b.name), ['feature-beta']);
+  });
+});
+
+// ── Branch search queries ───────────────────────────────────────────
+
+describe('parseBranchQuery', () => {
+  it('should split qualifiers, regexes and text terms', () => {
+    const parsed = parseBranchQuery('  PR:Open|merged  /fix-\\d+/ Login ');
+    assert.deepEqual(parsed.filters, [{ key: 'pr', values: ['open', 'merged'] }]);
+    assert.equal(parsed.patterns.length, 2);
+    assert.ok(parsed.patterns[0].regex.test('FIX-12'));
+    assert.deepEqual(parsed.patterns[1], { text: 'login' });
+  });
+
+  it('should parse comparisons, with ages in milliseconds', () => {
+    assert.deepEqual(parseBranchQuery('ahead:>=2 behind:0 updated:<1h updated:>2w').filters, [
+      { key: 'ahead', op: '>=', value: 2 },
+      { key: 'behind', op: '=', value: 0 },
+      { key: 'updated', op: '<', value: 3600000 },
+      { key: 'updated', op: '>', value: 14 * 86400000 },
+    ]);
+    assert.deepEqual(parseBranchQuery('updated:3d').filters, [{ key: 'updated', op: '<', value: 3 * 86400000 }]);
+  });
+
+  it('should fall back to text for values that do not parse', () => {
+    const parsed = parseBranchQuery('ahead:lots updated:5 local:yes foo:bar /[/');
+    assert.deepEqual(parsed.filters, []);
+    assert.deepEqual(parsed.patterns.map(p => p.text), ['ahead:lots', 'updated:5', 'local:yes', 'foo:bar', '/[/']);
+  });
+});
+
+describe('fuzzyMatch', () => {
+  it('should prefer a contiguous match', () => {
+    assert.deepEqual(fuzzyMatch('Log', 'fix-login'), [4, 5, 6]);
+  });
+
+  it('should match characters in order', () => {
+    assert.deepEqual(fuzzyMatch('fxlg', 'fix-login'), [0, 2, 4, 6]);
+    assert.equal(fuzzyMatch('gl', 'fix-login'), null);
+  });
+});
+
+describe('matchQueryName', () => {
+  it('should merge the indices of every term', () => {
+    assert.deepEqual(matchQueryName('claude/fix-12', parseBranchQuery('/\\d+/ cl')), [0, 1, 11, 12]);
+  });
+
+  it('should return null when any term misses', () => {
+    assert.equal(matchQueryName('main', parseBranchQuery('ma zz')), null);
+  });
+});
+
+describe('matchBranchQuery', () => {
+  const now = Date.parse('2026-01-10T12:00:00Z');
+  const branch = {
+    name: 'claude/fix-login',
+    author: 'Ann Lee',
+    authorEmail: 'ann@example.com',
+    agent: 'claude',
+    date: '2026-01-10T11:30:00Z',
+    isLocal: false,
+    hasRemote: true,
+    remotes: ['origin', 'Upstream'],
+  };
+  const info = { pr: { state: 'OPEN', ci: 'fail' }, ahead: 2, behind: 0, now };
+  const matches = (query, extra) => matchBranchQuery(branch, parseBranchQuery(query), { ...info, ...extra }) !== null;
+
+  it('should match author, PR and CI state', () => {
+    assert.ok(matches('author:ann'));
+    assert.ok(!matches('author:bob'));
+    assert.ok(matches('pr:merged|open ci:fail'));
+    assert.ok(!matches('ci:pass'));
+    assert.ok(matches('pr:none ci:none', { pr: null }));
+    assert.ok(matches('ci:none', { pr: { state: 'OPEN', ci: null } }));
+  });
+
+  it('should leave out PRs whose CI state is unknown from every ci: value', () => {
+    const unknown = { pr: { state: 'OPEN' } };
+    assert.ok(!matches('ci:fail', unknown));
+    assert.ok(!matches('ci:pass|pending', unknown));
+    assert.ok(!matches('ci:none', unknown));
+    assert.ok(matches('pr:open', unknown));
+  });
+
+  it('should run ci: queries against a GitLab status map', () => {
+    const statusMap = parseGitLabMrList([
+      { source_branch: 'feature/open', iid: 4, title: 'Open', state: 'opened' },
+      { source_branch: 'feature/merged', iid: 3, title: 'Merged', state: 'merged' },
+    ]);
+    const branches = [{ name: 'feature/open' }, { name: 'feature/merged' }, { name: 'feature/no-mr' }];
+    const names = (searchQuery) => getDisplayBranches(branches, {
+      searchQuery,
+      prStatuses: JSON.parse(JSON.stringify(Object.fromEntries(statusMap))),
+    }).map((b) => b.name);
+    assert.deepEqual(names('ci:fail'), []);
+    assert.deepEqual(names('ci:pass|fail|pending'), []);
+    assert.deepEqual(names('ci:none'), ['feature/no-mr']);
+    assert.deepEqual(names('pr:open'), ['feature/open']);
+  });
+
+  it('should match author emails and agents', () => {
+    assert.ok(matches('author:example.com'));
+    assert.ok(matches('agent:'));
+    assert.ok(matches('agent:copilot|Claude'));
+    assert.ok(!matches('agent:none'));
+    assert.ok(!matches('agent:codex'));
+    assert.ok(matchBranchQuery({ ...branch, agent: null }, parseBranchQuery('agent:none'), info) !== null);
+  });
+
+  it('should compare counts and ages', () => {
+    assert.ok(matches('ahead:>0 behind:0 updated:<1h'));
+    assert.ok(!matches('updated:>1h'));
+    assert.ok(!matches('ahead:>0', { ahead: undefined }));
+  });
+
+  it('should check local and remote presence', () => {
+    assert.ok(!matches('local:'));
+    assert.ok(matches('remote:'));
+    assert.ok(matches('remote:upstream'));
+    assert.ok(!matches('remote:fork'));
+  });
+
+  it('should return the name highlights of a match', () => {
+    assert.deepEqual(matchBranchQuery(branch, parseBranchQuery('pr:open login'), info), [11, 12, 13, 14, 15]);
+    assert.deepEqual(matchBranchQuery(branch, parseBranchQuery('pr:open'), info), []);
+  });
+});
+
+describe('queryNote', () => {
+  it('should warn that ci: needs GitHub', () => {
+    assert.match(queryNote(parseBranchQuery('ci:fail login'), 'gitlab'), /ci: needs GitHub/);
+    assert.match(queryNote(parseBranchQuery('CI:pass'), 'bitbucket'), /ci:/);
+  });
+
+  it('should stay quiet on GitHub, an unknown platform or without ci:', () => {
+    assert.equal(queryNote(parseBranchQuery('ci:fail'), 'github'), null);
+    assert.equal(queryNote(parseBranchQuery('ci:fail'), null), null);
+    assert.equal(queryNote(parseBranchQuery('pr:open'), 'gitlab'), null);
+  });
+});
+
+describe('highlightMatches', () => {
+  it('should wrap runs of matched characters in mark tags', () => {
+    assert.equal(highlightMatches('a<b>c', [0, 1, 4]), '<mark>a&lt;</mark>b&gt;<mark>c</mark>');
+  });
+
+  it('should only escape without matches', () => {
+    assert.equal(highlightMatches('a&b', null), 'a&amp;b');
+  });
 });
 
 // ── buildBranchUrl ──────────────────────────────────────────────────
@@ -457,9 +630,27 @@ describe('buildBranchUrl', () => {
   });
 
   it('should default to /tree/ for unknown hosts', () => {
+    assert.equal(
+      buildBranchUrl('https://git.example.com/u/r', 'git.example.com', 'main'),
+      'https://git.example.com/u/r/tree/main'
+    );
+  });
+
+  it('should build Gitea/Forgejo branch URL with /src/branch/', () => {
     assert.equal(
       buildBranchUrl('https://gitea.example.com/u/r', 'gitea.example.com', 'main'),
-      'https://gitea.example.com/u/r/tree/main'
+      'https://gitea.example.com/u/r/src/branch/main'
+    );
+    assert.equal(
+      buildBranchUrl('https://codeberg.org/u/r', 'codeberg.org', 'feature/x'),
+      'https://codeberg.org/u/r/src/branch/feature%2Fx'
+    );
+  });
+
+  it('should follow an explicit platform over the host', () => {
+    assert.equal(
+      buildBranchUrl('https://git.example.com/u/r', 'git.example.com', 'main', 'gitea'),
+      'https://git.example.com/u/r/src/branch/main'
     );
   });
 
@@ -525,6 +716,17 @@ describe('buildPrUrl', () => {
     );
   });
 
+  it('should build Gitea pull-request URL with /pulls/', () => {
+    assert.equal(
+      buildPrUrl('https://gitea.example.com/u/r', 'gitea.example.com', 7),
+      'https://gitea.example.com/u/r/pulls/7'
+    );
+    assert.equal(
+      buildPrUrl('https://git.example.com/u/r', 'git.example.com', 7, 'gitea'),
+      'https://git.example.com/u/r/pulls/7'
+    );
+  });
+
   it('should build Bitbucket pull-request URL with /pull-requests/', () => {
     assert.equal(
       buildPrUrl('https://bitbucket.org/team/repo', 'bitbucket.org', 42),
@@ -565,3 +767,114 @@ describe('buildPrUrl', () => {
     );
   });
 });
+
+// ── pairDiffLines ───────────────────────────────────────────────────
+
+describe('pairDiffLines', () => {
+  const hunk = { type: 'hunk', text: '@@ -1,3 +1,4 @@', oldLine: null, newLine: null };
+  const ctx = { type: 'context', text: 'a', oldLine: 1, newLine: 1 };
+  const del = { type: 'del', text: 'b', oldLine: 2, newLine: null };
+  const add1 = { type: 'add', text: 'B', oldLine: null, newLine: 2 };
+  const add2 = { type: 'add', text: 'C', oldLine: null, newLine: 3 };
+
+  it('should pair removals with the additions that follow them', () => {
+    assert.deepEqual(pairDiffLines([hunk, ctx, del, add1, add2]), [
+      { hunk: '@@ -1,3 +1,4 @@', left: null, right: null },
+      { left: ctx, right: ctx },
+      { left: del, right: add1 },
+      { left: null, right: add2 },
+    ]);
+  });
+
+  it('should not pair a removal with additions before it', () => {
+    assert.deepEqual(pairDiffLines([add1, del]), [
+      { left: null, right: add1 },
+      { left: del, right: null },
+    ]);
+  });
+
+  it('should return no rows for no lines', () => {
+    assert.deepEqual(pairDiffLines([]), []);
+  });
+});
+
+// ── journal helpers ─────────────────────────────────────────────────
+
+describe('journalDayRange', () => {
+  it('should return the local bounds of the picked day', () => {
+    assert.deepEqual(journalDayRange('2026-10-18'), {
+      since: new Date(2026, 9, 18).getTime(),
+      until: new Date(2026, 9, 19).getTime(),
+    });
+  });
+
+  it('should return null for empty or impossible days', () => {
+    assert.equal(journalDayRange(''), null);
+    assert.equal(journalDayRange('2026-02-31'), null);
+  });
+});
+
+describe('journalEntryText', () => {
+  it('should describe switches and pass log messages through', () => {
+    assert.equal(journalEntryText({ kind: 'switch', from: 'main', to: 'dev' }), 'Switched main \u2192 dev');
+    assert.equal(journalEntryText({ kind: 'log', type: 'info', message: 'Fetched' }), 'Fetched');
+  });
+});
+
+describe('digestSummary', () => {
+  it('should count changes by kind', () => {
+    const digest = {
+      since: Date.now() - 2 * 3600 * 1000,
+      entries: [{ status: 'created' }, { status: 'created' }, { status: 'merged' }],
+    };
+    assert.equal(digestSummary(digest), 'Since 2h ago: 2 new, 1 merged');
+  });
+
+  it('should say when nothing changed', () => {
+    assert.equal(digestSummary({ since: null, entries: [] }), 'Since your last visit: nothing changed');
+  });
+});
+
+describe('formatElapsed', () => {
+  it('should format seconds, minutes and hours', () => {
+    assert.equal(formatElapsed(45400), '45s');
+    assert.equal(formatElapsed(125000), '2m 5s');
+    assert.equal(formatElapsed(180000), '3m');
+    assert.equal(formatElapsed(3780000), '1h 3m');
+  });
+});
+
+describe('conversationTags', () => {
+  const base = { path: null, line: null, reviewState: null, outdated: false, resolvable: false, resolved: false };
+
+  it('should place code threads and show whether they are resolved', () => {
+    assert.deepEqual(
+      conversationTags({ ...base, path: 'src/a.js', line: 12, resolvable: true, outdated: true }),
+      ['src/a.js:12', 'outdated', 'unresolved']
+    );
+    assert.deepEqual(conversationTags({ ...base, path: 'README.md', resolvable: true, resolved: true }), ['README.md', 'resolved']);
+  });
+
+  it('should name review verdicts and leave plain comments untagged', () => {
+    assert.deepEqual(conversationTags({ ...base, reviewState: 'CHANGES_REQUESTED' }), ['changes requested']);
+    assert.deepEqual(conversationTags({ ...base, reviewState: 'COMMENTED' }), []);
+  });
+});
+
+describe('heatmapLevel', () => {
+  it('should scale counts to levels 1-4 and leave empty cells at 0', () => {
+    assert.equal(heatmapLevel(0, 8), 0);
+    assert.equal(heatmapLevel(1, 8), 1);
+    assert.equal(heatmapLevel(5, 8), 3);
+    assert.equal(heatmapLevel(8, 8), 4);
+    assert.equal(heatmapLevel(3, 0), 0);
+  });
+});
+
+describe('heatmapBucketLabel', () => {
+  it('should label hours for the 24h window and dates otherwise', () => {
+    const start = new Date(2026, 9, 12, 9).getTime();
+    assert.equal(heatmapBucketLabel(start, '24h'), '09:00');
+    assert.equal(heatmapBucketLabel(start, '30d'), 'Oct 12');
+  });
+});
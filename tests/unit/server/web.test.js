@@ -14,6 +14,7 @@ const {
   MAX_STALLED_PUSHES,
   ALLOWED_ACTIONS,
   CONTENT_SECURITY_POLICY,
+  MAX_JOURNAL_ENTRIES,
 } = require('../../../src/server/web');
 const { Store } = require('../../../src/state/store');
 
@@ -101,6 +102,14 @@ describe('WebDashboardServer', () => {
       assert.equal(state.currentBranch, 'main');
     });
 
+    it('should include the monitored remotes', () => {
+      store.setState({ monitoredRemotes: ['origin', 'upstream'] });
+      server = new WebDashboardServer({ store });
+      const state = server.getSerializableState();
+
+      assert.deepEqual(state.monitoredRemotes, ['origin', 'upstream']);
+    });
+
     it('should include project metadata', () => {
       server = new WebDashboardServer({ store });
       const state = server.getSerializableState();
@@ -109,6 +118,15 @@ describe('WebDashboardServer', () => {
       assert.equal(typeof state.version, 'string');
     });
 
+    it('should include the repo web URL and platform', () => {
+      server = new WebDashboardServer({ store });
+      server.setRepoWebUrl('https://git.company.com/team/repo', 'gitea');
+      const state = server.getSerializableState();
+
+      assert.equal(state.repoWebUrl, 'https://git.company.com/team/repo');
+      assert.equal(state.repoPlatform, 'gitea');
+    });
+
     it('should include polling state', () => {
       server = new WebDashboardServer({ store });
       const state = server.getSerializableState();
@@ -166,6 +184,25 @@ describe('WebDashboardServer', () => {
       assert.equal(state.serverLogBuffer[1].isError, true);
     });
 
+    it('should include the command-mode processes', () => {
+      const serverProcesses = [
+        { name: 'web', command: 'npm run dev', port: 3000, restartOnSwitch: true, running: true, crashed: false, pid: 42 },
+      ];
+      store.setState({ serverProcesses, serverStatus: 'ready' });
+      server = new WebDashboardServer({ store });
+      const state = server.getSerializableState();
+      assert.deepEqual(state.serverProcesses, serverProcesses);
+      assert.equal(state.serverStatus, 'ready');
+    });
+
+    it('should include the pending dependency install', () => {
+      server = new WebDashboardServer({ store });
+      assert.equal(server.getSerializableState().pendingInstall, null);
+      const pendingInstall = { id: 1, trigger: 'pull', installs: [{ lockfiles: ['yarn.lock'], dir: '', command: 'yarn install' }] };
+      store.setState({ pendingInstall });
+      assert.deepEqual(server.getSerializableState().pendingInstall, pendingInstall);
+    });
+
     it('should default serverLogBuffer to empty array', () => {
       server = new WebDashboardServer({ store });
       const state = server.getSerializableState();
@@ -510,6 +547,221 @@ describe('WebDashboardServer', () => {
       assert.equal(res.status, 404);
     });
 
+    it('GET /api/diff should return the diff from getDiff', async () => {
+      let received = null;
+      server.getDiff = async (branch, against) => {
+        received = { branch, against };
+        return { branch, against, files: [] };
+      };
+      const res = await httpGet('/api/diff?branch=feature%2Fx&against=default');
+      assert.equal(res.status, 200);
+      assert.deepEqual(received, { branch: 'feature/x', against: 'default' });
+      assert.deepEqual(JSON.parse(res.body).files, []);
+    });
+
+    it('GET /api/diff should default to the current branch as base', async () => {
+      let against = null;
+      server.getDiff = async (_branch, a) => { against = a; return {}; };
+      await httpGet('/api/diff?branch=feature-x');
+      assert.equal(against, 'current');
+    });
+
+    it('GET /api/diff should reject bad branch names and bases', async () => {
+      server.getDiff = async () => { throw new Error('should not be called'); };
+      assert.equal((await httpGet('/api/diff')).status, 400);
+      assert.equal((await httpGet('/api/diff?branch=--output%3D%2Ftmp%2Fx')).status, 400);
+      assert.equal((await httpGet('/api/diff?branch=a..b')).status, 400);
+      assert.equal((await httpGet('/api/diff?branch=main&against=upstream')).status, 400);
+    });
+
+    it('GET /api/diff should 404 for a non-local project', async () => {
+      server.setLocalProjectId('test123');
+      server.getDiff = async () => ({});
+      const res = await httpGet('/api/diff?branch=main&project=other');
+      assert.equal(res.status, 404);
+    });
+
+    it('GET /api/diff should answer 501 without a diff provider', async () => {
+      const res = await httpGet('/api/diff?branch=main');
+      assert.equal(res.status, 501);
+    });
+
+    it('GET /api/diff should report getDiff failures as 500', async () => {
+      server.getDiff = async () => { throw new Error('unknown revision'); };
+      const res = await httpGet('/api/diff?branch=main');
+      assert.equal(res.status, 500);
+      assert.equal(JSON.parse(res.body).error, 'unknown revision');
+    });
+
+    it('GET /api/journal should pass the time range to getJournal', async () => {
+      let received = null;
+      server.getJournal = (query) => {
+        received = query;
+        return [{ time: 5, kind: 'log', type: 'info', message: 'hi' }];
+      };
+      const res = await httpGet('/api/journal?since=1&until=10&limit=50');
+      assert.equal(res.status, 200);
+      assert.deepEqual(received, { since: 1, until: 10, limit: 50 });
+      assert.equal(JSON.parse(res.body).entries[0].message, 'hi');
+    });
+
+    it('GET /api/journal should cap the limit and reject bad numbers', async () => {
+      let received = null;
+      server.getJournal = (query) => { received = query; return []; };
+      await httpGet('/api/journal?limit=999999');
+      assert.equal(received.limit, MAX_JOURNAL_ENTRIES);
+      assert.equal((await httpGet('/api/journal?since=yesterday')).status, 400);
+      assert.equal((await httpGet('/api/journal?until=-5')).status, 400);
+    });
+
+    it('GET /api/journal should answer 501 when the journal is disabled', async () => {
+      const res = await httpGet('/api/journal');
+      assert.equal(res.status, 501);
+      assert.equal(JSON.parse(res.body).error, 'Activity history is disabled');
+    });
+
+    it('GET /api/digest should return the digest from getDigest', async () => {
+      server.getDigest = async () => ({ since: 5, entries: [{ name: 'feature', status: 'created' }] });
+      const res = await httpGet('/api/digest');
+      assert.equal(res.status, 200);
+      assert.deepEqual(JSON.parse(res.body), { since: 5, entries: [{ name: 'feature', status: 'created' }] });
+    });
+
+    it('GET /api/digest should answer 501 without a digest provider', async () => {
+      const res = await httpGet('/api/digest');
+      assert.equal(res.status, 501);
+      assert.equal(JSON.parse(res.body).error, 'The digest is not available');
+    });
+
+    it('GET /api/heatmap should pass the window and rows to getHeatmap', async () => {
+      let requested = null;
+      server.getHeatmap = async (window, by) => {
+        requested = [window, by];
+        return { window, by, buckets: [], rows: [] };
+      };
+      const res = await httpGet('/api/heatmap?window=24h&by=author');
+      assert.equal(res.status, 200);
+      assert.deepEqual(requested, ['24h', 'author']);
+      assert.deepEqual(JSON.parse(res.body), { window: '24h', by: 'author', buckets: [], rows: [] });
+    });
+
+    it('GET /api/heatmap should default to branches over 7 days', async () => {
+      let requested = null;
+      server.getHeatmap = async (window, by) => { requested = [window, by]; return {}; };
+      await httpGet('/api/heatmap');
+      assert.deepEqual(requested, ['7d', 'branch']);
+    });
+
+    it('GET /api/heatmap should reject unknown windows and rows', async () => {
+      server.getHeatmap = async () => ({});
+      assert.equal((await httpGet('/api/heatmap?window=1y')).status, 400);
+      assert.equal((await httpGet('/api/heatmap?by=file')).status, 400);
+    });
+
+    it('GET /api/heatmap should answer 501 without a heatmap provider', async () => {
+      const res = await httpGet('/api/heatmap');
+      assert.equal(res.status, 501);
+    });
+
+    it('GET /api/checks should return the checks from getChecks', async () => {
+      let requested = null;
+      server.getChecks = async (branch) => {
+        requested = branch;
+        return { platform: 'github', checks: [{ id: '1', name: 'test', status: 'fail', durationMs: 1000, url: null }], reason: null };
+      };
+      const res = await httpGet('/api/checks?branch=feature%2Fx');
+      assert.equal(res.status, 200);
+      assert.equal(requested, 'feature/x');
+      assert.equal(JSON.parse(res.body).checks[0].status, 'fail');
+    });
+
+    it('GET /api/checks should reject invalid branch names', async () => {
+      server.getChecks = async () => ({ platform: 'github', checks: [], reason: null });
+      const res = await httpGet('/api/checks?branch=' + encodeURIComponent('bad;name'));
+      assert.equal(res.status, 400);
+    });
+
+    it('GET /api/checks should answer 501 without a checks provider', async () => {
+      const res = await httpGet('/api/checks?branch=main');
+      assert.equal(res.status, 501);
+    });
+
+    it('GET /api/checks/log should return the log tail from getCheckLog', async () => {
+      let requested = null;
+      server.getCheckLog = async (job) => {
+        requested = job;
+        return { lines: ['Error: boom'] };
+      };
+      const res = await httpGet('/api/checks/log?job=12345');
+      assert.equal(res.status, 200);
+      assert.equal(requested, '12345');
+      assert.deepEqual(JSON.parse(res.body), { lines: ['Error: boom'] });
+    });
+
+    it('GET /api/checks/log should only accept numeric job ids', async () => {
+      server.getCheckLog = async () => ({ lines: [] });
+      for (const job of ['', 'abc', '12;rm', '--help']) {
+        const res = await httpGet('/api/checks/log?job=' + encodeURIComponent(job));
+        assert.equal(res.status, 400, 'job=' + job);
+      }
+    });
+
+    it('GET /api/checks/log should answer 501 without a log provider', async () => {
+      const res = await httpGet('/api/checks/log?job=1');
+      assert.equal(res.status, 501);
+    });
+
+    it('GET /api/pr-draft should return the draft from getPrDraft', async () => {
+      let requested = null;
+      server.getPrDraft = async (branch) => {
+        requested = branch;
+        return { title: 'Add x', body: '- Add x', base: 'main' };
+      };
+      const res = await httpGet('/api/pr-draft?branch=feature%2Fx');
+      assert.equal(res.status, 200);
+      assert.equal(requested, 'feature/x');
+      assert.deepEqual(JSON.parse(res.body), { title: 'Add x', body: '- Add x', base: 'main' });
+    });
+
+    it('GET /api/pr-draft should reject invalid branch names', async () => {
+      server.getPrDraft = async () => ({ title: '', body: '', base: 'main' });
+      const res = await httpGet('/api/pr-draft?branch=' + encodeURIComponent('--help'));
+      assert.equal(res.status, 400);
+    });
+
+    it('GET /api/pr-draft should answer 501 without a draft provider', async () => {
+      const res = await httpGet('/api/pr-draft?branch=main');
+      assert.equal(res.status, 501);
+    });
+
+    it('GET /api/pr-conversation should return the threads from getConversation', async () => {
+      let requested = null;
+      const conversation = {
+        platform: 'github', number: 7, unresolved: 1, reason: null,
+        threads: [{ kind: 'thread', path: 'a.js', line: 3, resolvable: true, resolved: false, outdated: false, reviewState: null,
+          comments: [{ author: 'ann', body: 'Rename this', createdAt: '2026-01-01T00:00:00Z', url: null }] }],
+      };
+      server.getConversation = async (branch) => {
+        requested = branch;
+        return conversation;
+      };
+      const res = await httpGet('/api/pr-conversation?branch=feature%2Fx');
+      assert.equal(res.status, 200);
+      assert.equal(requested, 'feature/x');
+      assert.deepEqual(JSON.parse(res.body), conversation);
+    });
+
+    it('GET /api/pr-conversation should reject invalid branch names', async () => {
+      server.getConversation = async () => ({ threads: [] });
+      const res = await httpGet('/api/pr-conversation?branch=' + encodeURIComponent('--help'));
+      assert.equal(res.status, 400);
+    });
+
+    it('GET /api/pr-conversation should answer 501 without a provider', async () => {
+      const res = await httpGet('/api/pr-conversation?branch=main');
+      assert.equal(res.status, 501);
+    });
+
     it('POST /api/action should reject oversized payloads', async () => {
       const bigPayload = JSON.stringify({ action: 'fetch', payload: { data: 'x'.repeat(20000) } });
       const res = await new Promise((resolve, reject) => {
@@ -1000,6 +1252,14 @@ describe('WebDashboardServer', () => {
       assert.equal(received, 'restartServer');
     });
 
+    it('should pass the process to restart with restartServer', async () => {
+      let received = null;
+      server.onAction = (action, payload) => { received = payload; };
+      const res = await httpPost('/api/action', { action: 'restartServer', payload: { process: 'api' } });
+      assert.equal(res.status, 200);
+      assert.equal(received.process, 'api');
+    });
+
     it('should accept reloadBrowsers action', async () => {
       let received = null;
       server.onAction = (action, payload) => { received = action; };
@@ -1584,6 +1844,14 @@ describe('getWebDashboardHtml', () => {
       assert.ok(html.includes('function showBranchActions'));
     });
 
+    it('should load CI checks and failing job logs into the modal', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('id="branch-action-checks"'));
+      assert.ok(html.includes("'/api/checks?branch='"));
+      assert.ok(html.includes("'/api/checks/log?job='"));
+      assert.ok(html.includes('class="check-log-btn"'));
+    });
+
     it('should include hideBranchActions function', () => {
       const html = getWebDashboardHtml(4000);
       assert.ok(html.includes('function hideBranchActions'));
@@ -1641,6 +1909,122 @@ describe('getWebDashboardHtml', () => {
     });
   });
 
+  describe('create PR form', () => {
+    it('should include the form modal and its fields', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('id="pr-form-overlay"'));
+      assert.ok(html.includes("new Modal('pr-form-overlay'"));
+      for (const id of ['pr-form-title', 'pr-form-body', 'pr-form-base', 'pr-form-reviewers', 'pr-form-draft']) {
+        assert.ok(html.includes('id="' + id + '"'), id);
+      }
+    });
+
+    it('should pre-fill from /api/pr-draft and submit the createPr action', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'/api/pr-draft?branch=' + encodeURIComponent("));
+      assert.ok(html.includes("sendAction('createPr'"));
+      assert.ok(html.includes("key: 'createPr'"));
+    });
+  });
+
+  describe('PR conversation', () => {
+    it('should include the conversation modal and reply box', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('id="pr-conversation-overlay"'));
+      assert.ok(html.includes("new Modal('pr-conversation-overlay'"));
+      assert.ok(html.includes('id="pr-conversation-reply"'));
+    });
+
+    it('should load from /api/pr-conversation and post with the commentPr action', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'/api/pr-conversation?branch=' + encodeURIComponent("));
+      assert.ok(html.includes("sendAction('commentPr'"));
+      assert.ok(html.includes("key: 'viewConversation'"));
+    });
+
+    it('should badge branch rows with unresolved threads', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('data-conversation='));
+      assert.ok(html.includes('.pr-unresolved'));
+    });
+  });
+
+  // ── Diff Viewer ─────────────────────────────────────────────
+  describe('diff viewer', () => {
+    it('should include the diff modal and its Modal instance', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('id="diff-overlay"'));
+      assert.ok(html.includes("new Modal('diff-overlay'"));
+    });
+
+    it('should fetch diffs from /api/diff', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'/api/diff?branch=' + encodeURIComponent("));
+    });
+
+    it('should offer unified and side-by-side layouts and both bases', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'unified', diffLayout, 'Unified'"));
+      assert.ok(html.includes("'split', diffLayout, 'Side by side'"));
+      assert.ok(html.includes("'current', ui.diffAgainst"));
+      assert.ok(html.includes("'default', ui.diffAgainst"));
+    });
+
+    it('should support v key and a branch action to open the diff', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'v':") && html.includes("'viewDiff'"));
+      assert.ok(html.includes('View diff'));
+      assert.ok(html.includes('<kbd>v</kbd> diff'));
+    });
+  });
+
+  // ── Activity History ────────────────────────────────────────
+  describe('activity history', () => {
+    it('should add a History tab with a day picker to the log viewer', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('data-tab="history"'));
+      assert.ok(html.includes('id="journal-day"'));
+      assert.ok(html.includes('id="journal-recent"'));
+    });
+
+    it('should fetch history from /api/journal', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'/api/journal?limit=1000'"));
+      assert.ok(html.includes('journalDayRange(ui.journalDay)'));
+    });
+  });
+
+  describe('since-last-seen digest', () => {
+    it('should add a header button and modal for the digest', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('id="digest-btn"'));
+      assert.ok(html.includes('id="digest-overlay"'));
+      assert.ok(html.includes('<kbd>n</kbd> what\'s new'));
+    });
+
+    it('should fetch /api/digest and acknowledge through an action', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'/api/digest'"));
+      assert.ok(html.includes("sendAction('acknowledgeDigest')"));
+      assert.ok(html.includes("'n':         'digest'"));
+    });
+  });
+
+  describe('activity heatmap', () => {
+    it('should add a header button, modal and key for the heatmap', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes('id="heatmap-btn"'));
+      assert.ok(html.includes('id="heatmap-overlay"'));
+      assert.ok(html.includes("'a':         'heatmap'"));
+    });
+
+    it('should fetch /api/heatmap with the chosen window and rows', () => {
+      const html = getWebDashboardHtml(4000);
+      assert.ok(html.includes("'/api/heatmap?window='"));
+      assert.ok(html.includes('data-heatmap-by'));
+    });
+  });
+
   // ── Info Panel ──────────────────────────────────────────────
   describe('info panel', () => {
     it('should include info panel modal overlay', () => {
@@ -0,0 +1,118 @@
+/**
+ * Tests for the persistent activity journal.
+ *
+ * Journals are written to a throwaway directory under the OS temp dir rather
+ * than ~/.watchtower.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  WATCHTOWER_DIR,
+  journalFilePath,
+  parseJournalLine,
+  createJournal,
+} = require('../../../src/state/journal');
+
+describe('journal', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('journalFilePath', () => {
+    it('produces a per-repo path under ~/.watchtower', () => {
+      const a = journalFilePath('/repo/a');
+      assert.strictEqual(a, journalFilePath('/repo/a'));
+      assert.notStrictEqual(a, journalFilePath('/repo/b'));
+      assert.ok(a.startsWith(WATCHTOWER_DIR));
+      assert.ok(/journal-[0-9a-f]{16}\.jsonl$/.test(a));
+    });
+  });
+
+  describe('parseJournalLine', () => {
+    it('accepts log and switch entries', () => {
+      assert.deepStrictEqual(
+        parseJournalLine('{"time":1,"kind":"log","type":"info","message":"hi"}'),
+        { time: 1, kind: 'log', type: 'info', message: 'hi' }
+      );
+      assert.strictEqual(parseJournalLine('{"time":1,"kind":"switch","from":"a","to":"b"}').to, 'b');
+    });
+
+    it('rejects blank, truncated and foreign lines', () => {
+      assert.strictEqual(parseJournalLine(''), null);
+      assert.strictEqual(parseJournalLine('{"time":1,"kind":"log","mess'), null);
+      assert.strictEqual(parseJournalLine('{"kind":"log","message":"no time"}'), null);
+      assert.strictEqual(parseJournalLine('{"time":1,"kind":"other"}'), null);
+    });
+  });
+
+  describe('createJournal', () => {
+    it('appends entries and reads them back newest first', () => {
+      const journal = createJournal({ repoRoot: '/repo', dir });
+      journal.append({ time: 1, kind: 'log', type: 'info', message: 'first' });
+      journal.append({ time: 2, kind: 'switch', from: 'main', to: 'dev' });
+
+      // A second instance (i.e. the next session) sees the same entries
+      const entries = createJournal({ repoRoot: '/repo', dir }).read();
+      assert.deepStrictEqual(entries.map(e => e.time), [2, 1]);
+    });
+
+    it('filters by time range and limits to the newest entries', () => {
+      const journal = createJournal({ repoRoot: '/repo', dir });
+      for (let t = 1; t <= 10; t++) {
+        journal.append({ time: t, kind: 'log', type: 'info', message: `m${t}` });
+      }
+      assert.deepStrictEqual(journal.read({ since: 3, until: 6 }).map(e => e.time), [5, 4, 3]);
+      assert.deepStrictEqual(journal.read({ limit: 2 }).map(e => e.time), [10, 9]);
+    });
+
+    it('skips corrupt lines', () => {
+      const journal = createJournal({ repoRoot: '/repo', dir });
+      journal.append({ time: 1, kind: 'log', type: 'info', message: 'ok' });
+      fs.appendFileSync(journal.file, '{"time":2,"kind":"lo\n');
+      journal.append({ time: 3, kind: 'log', type: 'info', message: 'still ok' });
+      assert.deepStrictEqual(journal.read().map(e => e.time), [3, 1]);
+    });
+
+    it('rotates past maxBytes and keeps reading the rotated file', () => {
+      const journal = createJournal({ repoRoot: '/repo', dir, maxBytes: 200 });
+      for (let t = 1; t <= 6; t++) {
+        journal.append({ time: t, kind: 'log', type: 'info', message: 'x'.repeat(40) });
+      }
+      assert.ok(fs.existsSync(journal.file + '.1'), 'Expected a rotated file');
+      assert.ok(fs.statSync(journal.file).size <= 200);
+      const times = journal.read().map(e => e.time);
+      assert.strictEqual(times[0], 6);
+      assert.ok(times.length >= 3, 'Expected entries from both files');
+    });
+
+    it('counts maxBytes in bytes for non-ASCII entries', () => {
+      const journal = createJournal({ repoRoot: '/repo', dir, maxBytes: 250 });
+      journal.append({ time: 1, kind: 'log', type: 'info', message: 'é'.repeat(40) });
+      journal.append({ time: 2, kind: 'log', type: 'info', message: 'é'.repeat(40) });
+      assert.ok(fs.existsSync(journal.file + '.1'), 'Expected a rotated file');
+      assert.ok(fs.statSync(journal.file).size <= 250);
+    });
+
+    it('reports the first write failure once and stops writing', () => {
+      const blocker = path.join(dir, 'not-a-dir');
+      fs.writeFileSync(blocker, '');
+      const errors = [];
+      const journal = createJournal({ repoRoot: '/repo', dir: blocker, onError: (e) => errors.push(e) });
+      journal.append({ time: 1, kind: 'log', type: 'info', message: 'a' });
+      journal.append({ time: 2, kind: 'log', type: 'info', message: 'b' });
+      assert.strictEqual(errors.length, 1);
+      assert.deepStrictEqual(journal.read(), []);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for the persisted "last seen" snapshot.
+ *
+ * Snapshots are written to a throwaway directory under the OS temp dir
+ * rather than ~/.watchtower.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { lastSeenFilePath, loadLastSeen, saveLastSeen } = require('../../../src/state/last-seen');
+
+describe('last-seen', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-last-seen-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('produces a per-repo path', () => {
+    assert.notStrictEqual(lastSeenFilePath('/repo/a', dir), lastSeenFilePath('/repo/b', dir));
+    assert.ok(/last-seen-[0-9a-f]{16}\.json$/.test(lastSeenFilePath('/repo/a', dir)));
+  });
+
+  it('round-trips a snapshot', () => {
+    const snapshot = { seenAt: 5, baseCommit: 'abc1234', branches: { main: 'abc1234' } };
+    saveLastSeen('/repo', snapshot, path.join(dir, 'nested'));
+    assert.deepStrictEqual(loadLastSeen('/repo', path.join(dir, 'nested')), snapshot);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'nested')), [path.basename(lastSeenFilePath('/repo', dir))]);
+  });
+
+  it('reads missing and malformed files as null', () => {
+    assert.strictEqual(loadLastSeen('/repo', dir), null);
+    fs.writeFileSync(lastSeenFilePath('/repo', dir), '{"seenAt":');
+    assert.strictEqual(loadLastSeen('/repo', dir), null);
+    fs.writeFileSync(lastSeenFilePath('/repo', dir), '{"seenAt":1}');
+    assert.strictEqual(loadLastSeen('/repo', dir), null);
+  });
+});
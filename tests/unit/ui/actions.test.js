@@ -6,16 +6,48 @@ const {
   moveDown,
   enterSearchMode,
   handleSearchInput,
+  refreshBranchView,
+  cycleSortMode,
+  toggleGrouping,
+  toggleGroup,
   togglePreview,
   toggleHistory,
   toggleInfo,
   toggleHelp,
   toggleLogView,
   closeActionModal,
+  openActionPrompt,
+  closeActionPrompt,
+  editActionPrompt,
+  openCiLog,
+  showCiLog,
+  closeCiLog,
+  scrollCiLog,
+  openPrForm,
+  fillPrForm,
+  editPrForm,
+  submitPrForm,
+  failPrForm,
   openCleanupConfirm,
   closeCleanupConfirm,
+  openWorktreeList,
+  closeWorktreeList,
+  moveWorktreeSelection,
+  openDigest,
+  showDigest,
+  closeDigest,
+  scrollDigest,
   switchLogTab,
   scrollLog,
+  cycleLogServer,
+  shiftJournalDay,
+  clearJournalDay,
+  movePreviewFile,
+  openDiffView,
+  closeDiffView,
+  scrollDiff,
+  jumpToHunk,
+  switchDiffFile,
   toggleSound,
   toggleInactivityBackoff,
   setVisibleBranchCount,
@@ -405,9 +437,9 @@ describe('toggleHelp', () => {
 // ---------------------------------------------------------------------------
 
 describe('toggleLogView', () => {
-  it('should return null when noServer is true', () => {
-    const state = makeState({ noServer: true });
-    assert.equal(toggleLogView(state), null);
+  it('should open on the activity tab when noServer is true', () => {
+    const state = makeState({ noServer: true, logViewTab: 'server' });
+    assert.deepEqual(toggleLogView(state), { logViewMode: true, logScrollOffset: 0, logViewTab: 'activity' });
   });
 
   it('should open log view with logScrollOffset 0', () => {
@@ -428,7 +460,7 @@ describe('toggleLogView', () => {
 // ---------------------------------------------------------------------------
 
 describe('closeActionModal', () => {
-  it('should return actionMode false, actionData null, actionLoading false', () => {
+  it('should return actionMode false, actionData null, actionLoading false and close the prompt and CI log', () => {
     const state = makeState({
       actionMode: true,
       actionData: { type: 'delete' },
@@ -439,6 +471,12 @@ describe('closeActionModal', () => {
       actionMode: false,
       actionData: null,
       actionLoading: false,
+      actionPrompt: null,
+      ciLogMode: false,
+      ciLog: null,
+      ciLogScrollOffset: 0,
+      prFormMode: false,
+      prForm: null,
     });
   });
 
@@ -449,10 +487,64 @@ describe('closeActionModal', () => {
       actionMode: false,
       actionData: null,
       actionLoading: false,
+      actionPrompt: null,
+      ciLogMode: false,
+      ciLog: null,
+      ciLogScrollOffset: 0,
+      prFormMode: false,
+      prForm: null,
     });
   });
 });
 
+// ---------------------------------------------------------------------------
+// Action modal prompt
+// ---------------------------------------------------------------------------
+
+describe('openActionPrompt', () => {
+  it('should highlight the given merge method', () => {
+    assert.deepEqual(openActionPrompt(makeState(), 'merge', 'rebase'), {
+      actionPrompt: { kind: 'merge', input: '', selectedIndex: 2 },
+    });
+  });
+
+  it('should start text prompts empty', () => {
+    assert.deepEqual(openActionPrompt(makeState(), 'add-label'), {
+      actionPrompt: { kind: 'add-label', input: '', selectedIndex: 0 },
+    });
+  });
+
+  it('should close', () => {
+    assert.deepEqual(closeActionPrompt(makeState()), { actionPrompt: null });
+  });
+});
+
+describe('editActionPrompt', () => {
+  it('should move through merge methods, clamped at both ends', () => {
+    const state = makeState({ actionPrompt: { kind: 'merge', input: '', selectedIndex: 0 } });
+    assert.deepEqual(editActionPrompt(state, 'j').actionPrompt.selectedIndex, 1);
+    assert.equal(editActionPrompt(state, '\u001b[A'), null);
+    const last = makeState({ actionPrompt: { kind: 'auto-merge', input: '', selectedIndex: 2 } });
+    assert.equal(editActionPrompt(last, '\u001b[B'), null);
+  });
+
+  it('should ignore typing in the merge picker', () => {
+    const state = makeState({ actionPrompt: { kind: 'merge', input: '', selectedIndex: 0 } });
+    assert.equal(editActionPrompt(state, 'x'), null);
+  });
+
+  it('should edit text input', () => {
+    const state = makeState({ actionPrompt: { kind: 'request-review', input: 'an', selectedIndex: 0 } });
+    assert.equal(editActionPrompt(state, 'n').actionPrompt.input, 'ann');
+    assert.equal(editActionPrompt(state, '\u007f').actionPrompt.input, 'a');
+    assert.equal(editActionPrompt(state, '\u001b[A'), null);
+  });
+
+  it('should return null without a prompt', () => {
+    assert.equal(editActionPrompt(makeState({ actionPrompt: null }), 'a'), null);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // switchLogTab
 // ---------------------------------------------------------------------------
@@ -471,6 +563,28 @@ describe('switchLogTab', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// cycleLogServer
+// ---------------------------------------------------------------------------
+
+describe('cycleLogServer', () => {
+  const serverProcesses = [{ name: 'web' }, { name: 'api' }];
+
+  it('should step from all processes through each one and back', () => {
+    assert.deepEqual(cycleLogServer(makeState({ serverProcesses, logViewServer: null, logScrollOffset: 4 }), 1),
+      { logViewServer: 'web', logScrollOffset: 0 });
+    assert.deepEqual(cycleLogServer(makeState({ serverProcesses, logViewServer: 'api' }), 1),
+      { logViewServer: null, logScrollOffset: 0 });
+    assert.deepEqual(cycleLogServer(makeState({ serverProcesses, logViewServer: null }), -1),
+      { logViewServer: 'api', logScrollOffset: 0 });
+  });
+
+  it('should do nothing with fewer than two processes', () => {
+    assert.equal(cycleLogServer(makeState({ serverProcesses: [{ name: 'server' }] }), 1), null);
+    assert.equal(cycleLogServer(makeState({}), 1), null);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // scrollLog
 // ---------------------------------------------------------------------------
@@ -533,6 +647,15 @@ describe('scrollLog', () => {
     assert.equal(resultDown.logScrollOffset, 0);
   });
 
+  it('should only count the lines of the process shown', () => {
+    const serverLogBuffer = [
+      ...Array.from({ length: 15 }, (_, i) => ({ line: `web ${i}`, process: 'web' })),
+      ...Array.from({ length: 5 }, (_, i) => ({ line: `api ${i}`, process: 'api' })),
+    ];
+    const state = makeState({ logViewTab: 'server', serverLogBuffer, logViewServer: 'api', logScrollOffset: 0 });
+    assert.equal(scrollLog(state, 'up').logScrollOffset, 0);
+  });
+
   it('should handle empty activity log data', () => {
     const state = makeState({
       logViewTab: 'activity',
@@ -567,6 +690,101 @@ describe('scrollLog', () => {
     const result = scrollLog(state, 'up');
     assert.equal(result.logScrollOffset, 0);
   });
+
+  it('should use journalEntries on the history tab', () => {
+    const state = makeState({
+      logViewTab: 'history',
+      journalEntries: Array.from({ length: 12 }, (_, i) => ({ time: i, kind: 'log', type: 'info', message: `m${i}` })),
+      logScrollOffset: 2,
+    });
+    assert.equal(scrollLog(state, 'up').logScrollOffset, 2);
+    assert.equal(scrollLog({ ...state, journalEntries: null }, 'up').logScrollOffset, 0);
+  });
+});
+
+describe('shiftJournalDay / clearJournalDay', () => {
+  const today = '2026-10-19';
+
+  it('should start at today when stepping back from recent entries', () => {
+    assert.deepEqual(
+      shiftJournalDay(makeState({ journalDay: null }), -1, today),
+      { journalDay: today, journalEntries: null, logScrollOffset: 0 }
+    );
+    assert.equal(shiftJournalDay(makeState({ journalDay: null }), 1, today), null);
+  });
+
+  it('should step between days without passing today', () => {
+    assert.equal(shiftJournalDay(makeState({ journalDay: today }), -1, today).journalDay, '2026-10-18');
+    assert.equal(shiftJournalDay(makeState({ journalDay: '2026-10-18' }), 1, today).journalDay, today);
+    assert.equal(shiftJournalDay(makeState({ journalDay: today }), 1, today), null);
+  });
+
+  it('should clear the day filter', () => {
+    assert.deepEqual(
+      clearJournalDay(makeState({ journalDay: '2026-10-18' })),
+      { journalDay: null, journalEntries: null, logScrollOffset: 0 }
+    );
+    assert.equal(clearJournalDay(makeState({ journalDay: null })), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Preview file list and diff viewer
+// ---------------------------------------------------------------------------
+
+describe('movePreviewFile', () => {
+  const previewData = { commits: [], filesChanged: ['a.js', 'b.js', 'c.js'] };
+
+  it('should move within the file list and clamp at the ends', () => {
+    assert.deepEqual(movePreviewFile(makeState({ previewData, previewFileIndex: 0 }), 'down'), { previewFileIndex: 1 });
+    assert.deepEqual(movePreviewFile(makeState({ previewData, previewFileIndex: 0 }), 'up'), { previewFileIndex: 0 });
+    assert.deepEqual(movePreviewFile(makeState({ previewData, previewFileIndex: 2 }), 'down'), { previewFileIndex: 2 });
+  });
+
+  it('should return null when there are no files', () => {
+    assert.equal(movePreviewFile(makeState({ previewFileIndex: 0 }), 'down'), null);
+  });
+});
+
+describe('openDiffView / closeDiffView', () => {
+  it('should open only when the preview has files', () => {
+    assert.equal(openDiffView(makeState()), null);
+    const result = openDiffView(makeState({ previewData: { commits: [], filesChanged: ['a.js'] } }));
+    assert.equal(result.diffViewMode, true);
+    assert.equal(result.diffScrollOffset, 0);
+  });
+
+  it('should close back to the preview', () => {
+    assert.deepEqual(closeDiffView(makeState({ diffViewMode: true, diffScrollOffset: 9 })), {
+      diffViewMode: false,
+      diffScrollOffset: 0,
+    });
+  });
+});
+
+describe('diff navigation', () => {
+  const file = { path: 'a.js', hunkStarts: [0, 12, 30], lines: new Array(40) };
+  const diffState = (overrides) => makeState({ diffFiles: [file, { ...file, path: 'b.js' }], diffFileIndex: 0, diffScrollOffset: 0, ...overrides });
+
+  it('should clamp scrolling to the page', () => {
+    assert.deepEqual(scrollDiff(diffState({ diffScrollOffset: 5 }), -10, 20), { diffScrollOffset: 0 });
+    assert.deepEqual(scrollDiff(diffState({ diffScrollOffset: 5 }), 100, 20), { diffScrollOffset: 20 });
+    assert.deepEqual(scrollDiff(diffState(), 3, -4), { diffScrollOffset: 0 });
+  });
+
+  it('should jump between hunks', () => {
+    assert.deepEqual(jumpToHunk(diffState({ diffScrollOffset: 0 }), 'next', 30), { diffScrollOffset: 12 });
+    assert.deepEqual(jumpToHunk(diffState({ diffScrollOffset: 12 }), 'next', 30), { diffScrollOffset: 30 });
+    assert.deepEqual(jumpToHunk(diffState({ diffScrollOffset: 20 }), 'prev', 30), { diffScrollOffset: 12 });
+    assert.equal(jumpToHunk(diffState({ diffScrollOffset: 30 }), 'next', 30), null);
+    assert.equal(jumpToHunk(diffState({ diffScrollOffset: 0 }), 'prev', 30), null);
+  });
+
+  it('should wrap around when switching files', () => {
+    assert.deepEqual(switchDiffFile(diffState({ diffScrollOffset: 7 }), 1), { diffFileIndex: 1, diffScrollOffset: 0 });
+    assert.deepEqual(switchDiffFile(diffState(), -1), { diffFileIndex: 1, diffScrollOffset: 0 });
+    assert.equal(switchDiffFile(makeState({ diffFiles: null }), 1), null);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -750,6 +968,68 @@ describe('handleEscape', () => {
     const result = handleEscape(state);
     assert.deepEqual(result, { _quit: true });
   });
+
+  it('should keep the sort order when clearing a search', () => {
+    const state = makeState({ searchQuery: 'feat', sortMode: 'name' });
+    const result = handleEscape(state);
+    assert.deepEqual(result.filteredBranches.map((b) => b.name), ['feature-1', 'feature-2', 'main']);
+  });
+
+  it('should quit when the list is only sorted', () => {
+    const state = makeState({ sortMode: 'name', filteredBranches: [{ name: 'feature-1' }] });
+    assert.deepEqual(handleEscape(state), { _quit: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Sorting and grouping
+// ---------------------------------------------------------------------------
+
+describe('sorting and grouping', () => {
+  const branches = [
+    { name: 'main', commit: 'a' },
+    { name: 'claude/fix', commit: 'b' },
+    { name: 'claude/add', commit: 'c' },
+  ];
+
+  it('should cycle the sort mode and keep the selected branch selected', () => {
+    const state = makeState({ branches, selectedIndex: 2, selectedBranchName: 'claude/add' });
+    const result = cycleSortMode(state);
+    assert.equal(result.sortMode, 'name');
+    assert.deepEqual(result.filteredBranches.map((b) => b.name), ['claude/add', 'claude/fix', 'main']);
+    assert.equal(result.selectedIndex, 0);
+    assert.equal(result.selectedBranchName, 'claude/add');
+  });
+
+  it('should return to the plain list after the last sort mode', () => {
+    const result = cycleSortMode(makeState({ branches, sortMode: 'activity' }));
+    assert.equal(result.sortMode, 'date');
+    assert.equal(result.filteredBranches, null);
+  });
+
+  it('should group by prefix and collapse a group', () => {
+    const state = makeState({ branches, selectedBranchName: 'main' });
+    const grouped = toggleGrouping(state);
+    assert.equal(grouped.groupByPrefix, true);
+    assert.deepEqual(grouped.filteredBranches.map((b) => b.name), ['main', 'claude/', 'claude/fix', 'claude/add']);
+
+    const collapsed = toggleGroup({ ...state, ...grouped }, 'claude/');
+    assert.deepEqual(collapsed.collapsedGroups, ['claude/']);
+    assert.deepEqual(collapsed.filteredBranches.map((b) => b.name), ['main', 'claude/']);
+    assert.equal(toggleGroup({ ...state, ...collapsed }, 'claude/').collapsedGroups.length, 0);
+  });
+
+  it('should clamp the selection when the selected branch is no longer listed', () => {
+    const state = makeState({ branches, groupByPrefix: true, collapsedGroups: ['claude/'], selectedIndex: 3, selectedBranchName: 'claude/add' });
+    const result = refreshBranchView(state);
+    assert.equal(result.selectedIndex, 1);
+    assert.equal(result.selectedBranchName, 'claude/');
+  });
+
+  it('should not treat a group header as the selected branch', () => {
+    const state = makeState({ filteredBranches: [{ name: 'claude/', isGroupHeader: true }], selectedIndex: 0 });
+    assert.equal(getSelectedBranch(state), null);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -798,6 +1078,210 @@ describe('getSelectedBranch', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// worktree list
+// ---------------------------------------------------------------------------
+
+describe('openWorktreeList', () => {
+  const worktrees = [
+    { path: '/repo', branch: 'main', isMain: true },
+    { path: '/repo.worktrees/feature', branch: 'feature', isMain: false },
+  ];
+
+  it('should select the main tree when the server runs from it', () => {
+    const result = openWorktreeList(makeState({ serverWorktree: null }), worktrees);
+    assert.equal(result.worktreeMode, true);
+    assert.equal(result.worktrees, worktrees);
+    assert.equal(result.worktreeSelectedIndex, 0);
+  });
+
+  it('should select the worktree the server runs from', () => {
+    const state = makeState({ serverWorktree: { path: '/repo.worktrees/feature', branch: 'feature' } });
+    assert.equal(openWorktreeList(state, worktrees).worktreeSelectedIndex, 1);
+  });
+});
+
+describe('closeWorktreeList', () => {
+  it('should reset worktree list state', () => {
+    const result = closeWorktreeList(makeState({ worktreeMode: true, worktrees: [], worktreeSelectedIndex: 2 }));
+    assert.deepEqual(result, { worktreeMode: false, worktrees: null, worktreeSelectedIndex: 0 });
+  });
+});
+
+describe('moveWorktreeSelection', () => {
+  const worktrees = [{ path: '/a' }, { path: '/b' }];
+
+  it('should move within the list and clamp at the ends', () => {
+    const state = makeState({ worktrees, worktreeSelectedIndex: 0 });
+    assert.deepEqual(moveWorktreeSelection(state, 'down'), { worktreeSelectedIndex: 1 });
+    assert.deepEqual(moveWorktreeSelection(state, 'up'), { worktreeSelectedIndex: 0 });
+    assert.deepEqual(
+      moveWorktreeSelection({ ...state, worktreeSelectedIndex: 1 }, 'down'),
+      { worktreeSelectedIndex: 1 }
+    );
+  });
+
+  it('should return null when there are no worktrees', () => {
+    assert.equal(moveWorktreeSelection(makeState({ worktrees: null }), 'down'), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// CI log overlay
+// ---------------------------------------------------------------------------
+
+describe('CI log overlay', () => {
+  const check = { id: '42', name: 'CI / test', status: 'fail', durationMs: 1000, url: 'https://example.test/42' };
+
+  it('should open in a loading state for the check', () => {
+    assert.deepEqual(openCiLog(makeState(), check), {
+      ciLogMode: true,
+      ciLog: { jobId: '42', name: 'CI / test', url: 'https://example.test/42', lines: null, error: null },
+      ciLogScrollOffset: 0,
+    });
+  });
+
+  it('should fill in the log scrolled to the end', () => {
+    const state = makeState(openCiLog(makeState(), check));
+    const result = showCiLog(state, '42', { lines: ['a', 'b', 'c', 'd'] }, 3);
+    assert.deepEqual(result.ciLog.lines, ['a', 'b', 'c', 'd']);
+    assert.equal(result.ciLog.error, null);
+    assert.equal(result.ciLogScrollOffset, 1);
+  });
+
+  it('should ignore a log for another job or a closed overlay', () => {
+    const state = makeState(openCiLog(makeState(), check));
+    assert.equal(showCiLog(state, '7', { lines: ['a'] }, 3), null);
+    assert.equal(showCiLog(makeState(closeCiLog(state)), '42', { lines: ['a'] }, 3), null);
+  });
+
+  it('should keep fetch errors', () => {
+    const state = makeState(openCiLog(makeState(), check));
+    const result = showCiLog(state, '42', { error: 'not found' }, 3);
+    assert.deepEqual(result.ciLog.lines, []);
+    assert.equal(result.ciLog.error, 'not found');
+  });
+
+  it('should scroll within the lines that do not fit', () => {
+    const state = makeState({ ciLogMode: true, ciLog: { ...check, jobId: '42', lines: ['a', 'b', 'c'], error: null }, ciLogScrollOffset: 0 });
+    assert.deepEqual(scrollCiLog(state, 1, 2), { ciLogScrollOffset: 1 });
+    assert.deepEqual(scrollCiLog(state, 10, 2), { ciLogScrollOffset: 1 });
+    assert.equal(scrollCiLog(state, -1, 2), null);
+    assert.equal(scrollCiLog(state, 1, 5), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Create PR form
+// ---------------------------------------------------------------------------
+
+describe('create PR form', () => {
+  const draft = { title: 'Fix login', body: '- Fix login', base: 'main' };
+
+  it('should open empty on the title, then fill in the draft', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    assert.equal(state.prForm.field, 'title');
+    assert.equal(state.prForm.loading, true);
+    const filled = fillPrForm(state, 'feature-1', draft).prForm;
+    assert.equal(filled.title, 'Fix login');
+    assert.equal(filled.base, 'main');
+    assert.equal(filled.loading, false);
+  });
+
+  it('should keep what was typed before the draft arrived', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    const typed = makeState({ ...state, ...editPrForm(state, 'My title') });
+    assert.equal(fillPrForm(typed, 'feature-1', draft).prForm.title, 'My title');
+  });
+
+  it('should ignore a draft for another branch or a closed form', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    assert.equal(fillPrForm(state, 'feature-2', draft), null);
+    assert.equal(fillPrForm(makeState(), 'feature-1', draft), null);
+  });
+
+  it('should move between fields with Tab, Shift+Tab and the arrows', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    assert.equal(editPrForm(state, KEYS.TAB).prForm.field, 'body');
+    assert.equal(editPrForm(state, KEYS.DOWN).prForm.field, 'body');
+    assert.equal(editPrForm(state, KEYS.SHIFT_TAB), null);
+    const onSubmit = makeState({ ...state, prForm: { ...state.prForm, field: 'submit' } });
+    assert.equal(editPrForm(onSubmit, KEYS.TAB), null);
+    assert.equal(editPrForm(onSubmit, KEYS.UP).prForm.field, 'reviewers');
+    assert.equal(editPrForm(onSubmit, KEYS.ENTER), null);
+  });
+
+  it('should add lines to the body but move on from single-line fields', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    assert.equal(editPrForm(state, KEYS.ENTER).prForm.field, 'body');
+    const body = makeState({ ...state, prForm: { ...state.prForm, field: 'body', body: 'a' } });
+    assert.equal(editPrForm(body, KEYS.ENTER).prForm.body, 'a\n');
+    assert.equal(editPrForm(body, 'b\r\nc').prForm.body, 'ab\nc');
+  });
+
+  it('should edit text and drop control characters from pastes', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    assert.equal(editPrForm(state, 'a\tb\nc').prForm.title, 'ab c');
+    assert.equal(editPrForm(state, KEYS.UP + 'x'), null);
+    const typed = makeState({ ...state, prForm: { ...state.prForm, title: 'ab' } });
+    assert.equal(editPrForm(typed, KEYS.BACKSPACE).prForm.title, 'a');
+    assert.equal(editPrForm(state, KEYS.BACKSPACE), null);
+  });
+
+  it('should toggle the draft flag with Space', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    const onDraft = makeState({ ...state, prForm: { ...state.prForm, field: 'draft' } });
+    assert.equal(editPrForm(onDraft, ' ').prForm.draft, true);
+    assert.equal(editPrForm(onDraft, 'x'), null);
+  });
+
+  it('should ignore keys while submitting and show submission errors', () => {
+    const state = makeState(openPrForm(makeState(), 'feature-1'));
+    const submitting = makeState({ ...state, ...submitPrForm(state) });
+    assert.equal(submitting.prForm.submitting, true);
+    assert.equal(editPrForm(submitting, 'a'), null);
+    const failed = failPrForm(submitting, 'title is required').prForm;
+    assert.equal(failed.submitting, false);
+    assert.equal(failed.error, 'title is required');
+    assert.equal(submitPrForm(makeState()), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// since-last-seen digest
+// ---------------------------------------------------------------------------
+
+describe('digest overlay', () => {
+  const digest = {
+    since: 1,
+    entries: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+    snapshot: { seenAt: 2, baseCommit: null, branches: {} },
+  };
+
+  it('should open in a loading state and fill in once computed', () => {
+    const opened = openDigest(makeState());
+    assert.deepEqual(opened, { digestMode: true, digest: null, digestScrollOffset: 0 });
+    assert.deepEqual(showDigest(makeState(opened), digest), { digest, digestScrollOffset: 0 });
+  });
+
+  it('should ignore a digest that arrives after the overlay closed', () => {
+    assert.equal(showDigest(makeState({ digestMode: false }), digest), null);
+  });
+
+  it('should reset on close', () => {
+    const result = closeDigest(makeState({ digestMode: true, digest, digestScrollOffset: 2 }));
+    assert.deepEqual(result, { digestMode: false, digest: null, digestScrollOffset: 0 });
+  });
+
+  it('should scroll within the entries that do not fit', () => {
+    const state = makeState({ digestMode: true, digest, digestScrollOffset: 0 });
+    assert.deepEqual(scrollDigest(state, 'down', 2), { digestScrollOffset: 1 });
+    assert.equal(scrollDigest({ ...state, digestScrollOffset: 1 }, 'down', 2), null);
+    assert.equal(scrollDigest(state, 'up', 2), null);
+    assert.equal(scrollDigest(state, 'down', 5), null);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // openCleanupConfirm / closeCleanupConfirm
 // ---------------------------------------------------------------------------
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SORT_MODES, nextSortMode, branchGroup, arrangeBranches } = require('../../../src/ui/branch-list');
+
+const names = (rows) => rows.map((row) => row.name);
+
+function makeState(overrides = {}) {
+  return {
+    branches: [
+      { name: 'main' },
+      { name: 'claude/fix-login' },
+      { name: 'feature/search' },
+      { name: 'claude/add-tests' },
+    ],
+    searchQuery: '',
+    sortMode: 'date',
+    groupByPrefix: false,
+    collapsedGroups: [],
+    branchPrStatusMap: new Map(),
+    aheadBehindCache: new Map(),
+    activityCache: new Map(),
+    ...overrides,
+  };
+}
+
+describe('nextSortMode', () => {
+  it('should cycle through every mode and wrap around', () => {
+    const seen = [];
+    let mode = 'date';
+    for (let i = 0; i < SORT_MODES.length; i++) {
+      seen.push(mode);
+      mode = nextSortMode(mode);
+    }
+    assert.deepEqual(seen, [...SORT_MODES]);
+    assert.equal(mode, 'date');
+  });
+});
+
+describe('branchGroup', () => {
+  it('should return the first path segment with its slash', () => {
+    assert.equal(branchGroup('claude/fix/login'), 'claude/');
+    assert.equal(branchGroup('main'), null);
+  });
+});
+
+describe('arrangeBranches', () => {
+  it('should return null for the plain date order and the filter otherwise', () => {
+    assert.equal(arrangeBranches(makeState()), null);
+    assert.deepEqual(names(arrangeBranches(makeState({ searchQuery: 'claude' }))), ['claude/fix-login', 'claude/add-tests']);
+  });
+
+  it('should sort by name, keeping pinned first and deleted last', () => {
+    const state = makeState({
+      sortMode: 'name',
+      branches: [
+        { name: 'b' }, { name: 'a', isDeleted: true }, { name: 'z', isPinned: true }, { name: 'c' },
+      ],
+    });
+    assert.deepEqual(names(arrangeBranches(state)), ['z', 'b', 'c', 'a']);
+  });
+
+  it('should sort by commits ahead, then behind', () => {
+    const state = makeState({
+      sortMode: 'ahead-behind',
+      aheadBehindCache: new Map([
+        ['claude/fix-login', { ahead: 2, behind: 0 }],
+        ['feature/search', { ahead: 2, behind: 5 }],
+        ['claude/add-tests', { ahead: 7, behind: 1 }],
+      ]),
+    });
+    assert.deepEqual(names(arrangeBranches(state)), ['claude/add-tests', 'feature/search', 'claude/fix-login', 'main']);
+  });
+
+  it('should list open PRs, then no PR, then closed and merged ones', () => {
+    const state = makeState({
+      sortMode: 'pr',
+      branchPrStatusMap: new Map([
+        ['claude/fix-login', { state: 'MERGED' }],
+        ['feature/search', { state: 'OPEN' }],
+        ['claude/add-tests', { state: 'CLOSED' }],
+      ]),
+    });
+    assert.deepEqual(names(arrangeBranches(state)), ['feature/search', 'main', 'claude/add-tests', 'claude/fix-login']);
+  });
+
+  it('should sort by recent commit activity', () => {
+    const state = makeState({
+      sortMode: 'activity',
+      activityCache: new Map([['claude/add-tests', 9], ['feature/search', 3]]),
+    });
+    assert.deepEqual(names(arrangeBranches(state)), ['claude/add-tests', 'feature/search', 'main', 'claude/fix-login']);
+  });
+
+  it('should group by prefix under headers, ungrouped branches first', () => {
+    const rows = arrangeBranches(makeState({ groupByPrefix: true }));
+    assert.deepEqual(names(rows), ['main', 'claude/', 'claude/fix-login', 'claude/add-tests', 'feature/', 'feature/search']);
+    assert.deepEqual(rows[1], { name: 'claude/', isGroupHeader: true, count: 2, collapsed: false, hasUpdates: false });
+  });
+
+  it('should hide collapsed groups and flag updates inside them', () => {
+    const state = makeState({
+      groupByPrefix: true,
+      collapsedGroups: ['claude/'],
+      branches: [{ name: 'claude/a', hasUpdates: true }, { name: 'claude/b' }],
+    });
+    assert.deepEqual(arrangeBranches(state), [
+      { name: 'claude/', isGroupHeader: true, count: 2, collapsed: true, hasUpdates: true },
+    ]);
+  });
+
+  it('should filter with query qualifiers against the state caches', () => {
+    const state = makeState({
+      searchQuery: 'pr:open ahead:>0',
+      branchPrStatusMap: new Map([['claude/fix-login', { state: 'OPEN' }], ['feature/search', { state: 'OPEN' }]]),
+      aheadBehindCache: new Map([['claude/fix-login', { ahead: 3, behind: 0 }], ['feature/search', { ahead: 0, behind: 1 }]]),
+    });
+    assert.deepEqual(names(arrangeBranches(state)), ['claude/fix-login']);
+  });
+
+  it('should expand collapsed groups while searching', () => {
+    const state = makeState({ groupByPrefix: true, collapsedGroups: ['claude/'], searchQuery: 'login' });
+    assert.deepEqual(names(arrangeBranches(state)), ['claude/', 'claude/fix-login']);
+  });
+});
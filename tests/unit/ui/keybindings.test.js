@@ -38,10 +38,30 @@ describe('getCurrentMode', () => {
     assert.equal(getCurrentMode({ previewMode: true }), MODES.PREVIEW);
   });
 
+  it('should return DIFF when the diff viewer is open over the preview', () => {
+    assert.equal(getCurrentMode({ previewMode: true, diffViewMode: true }), MODES.DIFF);
+  });
+
   it('should return HISTORY when historyMode is true', () => {
     assert.equal(getCurrentMode({ historyMode: true }), MODES.HISTORY);
   });
 
+  it('should return WORKTREES when the worktree list is open', () => {
+    assert.equal(getCurrentMode({ worktreeMode: true }), MODES.WORKTREES);
+  });
+
+  it('should return DIGEST when the digest is open', () => {
+    assert.equal(getCurrentMode({ digestMode: true }), MODES.DIGEST);
+  });
+
+  it('should return CI_LOG over ACTION when a CI log is open', () => {
+    assert.equal(getCurrentMode({ actionMode: true, ciLogMode: true }), MODES.CI_LOG);
+  });
+
+  it('should return PR_FORM over ACTION when the create PR form is open', () => {
+    assert.equal(getCurrentMode({ actionMode: true, prFormMode: true }), MODES.PR_FORM);
+  });
+
   it('should return INFO when infoMode is true', () => {
     assert.equal(getCurrentMode({ infoMode: true }), MODES.INFO);
   });
@@ -202,6 +222,14 @@ describe('getNormalModeAction', () => {
     assert.equal(getNormalModeAction('h'), 'history');
   });
 
+  it('should map w to worktrees', () => {
+    assert.equal(getNormalModeAction('w'), 'worktrees');
+  });
+
+  it('should map n to digest', () => {
+    assert.equal(getNormalModeAction('n'), 'digest');
+  });
+
   it('should map i to info', () => {
     assert.equal(getNormalModeAction('i'), 'info');
   });
@@ -250,6 +278,19 @@ describe('getNormalModeAction', () => {
     assert.equal(getNormalModeAction('c'), 'toggle_casino');
   });
 
+  it('should map P to toggle_pin', () => {
+    assert.equal(getNormalModeAction('P'), 'toggle_pin');
+  });
+
+  it('should map M to toggle_mute', () => {
+    assert.equal(getNormalModeAction('M'), 'toggle_mute');
+  });
+
+  it('should map O to cycle_sort and g to toggle_grouping', () => {
+    assert.equal(getNormalModeAction('O'), 'cycle_sort');
+    assert.equal(getNormalModeAction('g'), 'toggle_grouping');
+  });
+
   it('should map q to quit', () => {
     assert.equal(getNormalModeAction('q'), 'quit');
   });
@@ -339,4 +380,15 @@ describe('filterBranches', () => {
     assert.ok(result.length >= 1);
     assert.ok(result.some(b => b.name === 'main'));
   });
+
+  it('should match fuzzy and regex terms', () => {
+    assert.deepEqual(filterBranches(branches, 'ftlgn').map(b => b.name), ['feature/login']);
+    assert.deepEqual(filterBranches(branches, '/^(main|bug)/').map(b => b.name), ['main', 'bugfix/crash']);
+  });
+
+  it('should look up PR state and counts through getInfo', () => {
+    const info = { 'feature/login': { pr: { state: 'OPEN' }, ahead: 1 }, 'feature/signup': { pr: null, ahead: 4 } };
+    const result = filterBranches(branches, 'feature ahead:>0 pr:none', (b) => info[b.name] || {});
+    assert.deepEqual(result.map(b => b.name), ['feature/signup']);
+  });
 });
@@ -15,17 +15,32 @@ const {
   renderFlash,
   renderErrorToast,
   renderPreview,
+  renderDiffView,
+  getDiffViewLayout,
   renderHistory,
+  renderWorktrees,
+  renderDigest,
+  getDigestLayout,
+  formatDigestSummary,
   renderLogView,
   renderInfo,
   renderHelp,
   renderActionModal,
+  renderCiLog,
+  renderPrForm,
+  getCiLogLayout,
+  formatCheckLines,
   renderUpdateModal,
   renderDivergeConfirm,
+  renderInstallConfirm,
   computeNamePadding,
+  underlineMatches,
+  formatRemoteTag,
+  formatRuleTag,
+  formatAuthorTag,
 } = require('../../../src/ui/renderer');
 const { truncate } = require('../../../src/ui/ansi');
-const { stripAnsi } = require('../../../src/ui/ansi');
+const { stripAnsi, ansi } = require('../../../src/ui/ansi');
 const { detectInstallSource, getUpdateCommand } = require('../../../src/utils/install-source');
 
 // ---------------------------------------------------------------------------
@@ -160,6 +175,15 @@ describe('renderHeader', () => {
     assert.ok(text.includes('CRASHED'), 'Expected CRASHED badge');
   });
 
+  it('should show STARTING and UNHEALTHY badges from the server status', () => {
+    const starting = collectState(renderHeader, { serverMode: 'command', serverRunning: true, serverStatus: 'starting' });
+    assert.ok(starting.text.includes('STARTING'), 'Expected STARTING badge');
+    const unhealthy = collectState(renderHeader, { serverMode: 'command', serverRunning: true, serverStatus: 'unhealthy' });
+    assert.ok(unhealthy.text.includes('UNHEALTHY'), 'Expected UNHEALTHY badge');
+    const ready = collectState(renderHeader, { serverMode: 'command', serverRunning: true, serverStatus: 'ready' });
+    assert.ok(!ready.text.includes('STARTING') && !ready.text.includes('UNHEALTHY'), 'No badge once ready');
+  });
+
   it('should not show CRASHED badge in static mode even if serverCrashed', () => {
     const { text } = collectState(renderHeader, {
       serverMode: 'static',
@@ -235,6 +259,13 @@ describe('renderBranchList', () => {
     assert.ok(text.includes('xyz'), 'Expected query in message');
   });
 
+  it('should warn when a ci: search runs against a platform without CI states', () => {
+    const branches = [{ name: 'feature/login', date: new Date(), commit: 'abc1234', subject: 'Add login' }];
+    const query = { searchMode: true, searchQuery: 'ci:fail', branches, filteredBranches: [] };
+    assert.ok(collectState(renderBranchList, { ...query, repoPlatform: 'gitlab' }).text.includes('ci: needs GitHub'));
+    assert.ok(!collectState(renderBranchList, { ...query, repoPlatform: 'github' }).text.includes('ci: needs GitHub'));
+  });
+
   it('should show branch names', () => {
     const { text } = collectState(renderBranchList, {
       branches: [
@@ -244,6 +275,22 @@ describe('renderBranchList', () => {
     assert.ok(text.includes('feature/login'), 'Expected branch name');
   });
 
+  it('should show group headers with their count and the sort mode in the title', () => {
+    const { text } = collectState(renderBranchList, {
+      sortMode: 'name',
+      groupByPrefix: true,
+      branches: [{ name: 'claude/a', date: new Date(), commit: 'abc1234', subject: 'A' }],
+      filteredBranches: [
+        { name: 'claude/', isGroupHeader: true, count: 3, collapsed: true, hasUpdates: true },
+      ],
+    });
+    assert.ok(text.includes('ACTIVE BRANCHES (by name, grouped)'), 'Expected arrangement in title');
+    assert.ok(text.includes('\u25B8 '), 'Expected collapsed marker');
+    assert.ok(text.includes('claude/'), 'Expected group prefix');
+    assert.ok(text.includes('(3)'), 'Expected group count');
+    assert.ok(text.includes('updates'), 'Expected hidden-updates hint');
+  });
+
   it('should show current branch with CURRENT badge', () => {
     const { text } = collectState(renderBranchList, {
       currentBranch: 'main',
@@ -369,6 +416,59 @@ describe('renderBranchList', () => {
   });
 });
 
+describe('formatRemoteTag', () => {
+  const branch = {
+    name: 'feature/x',
+    remotes: ['origin', 'upstream'],
+    remoteAheadBehind: { origin: { ahead: 0, behind: 0 }, upstream: { ahead: 1, behind: 3 } },
+  };
+
+  it('should list each remote with its non-zero ahead/behind counts', () => {
+    const tag = formatRemoteTag(makeState({ monitoredRemotes: ['origin', 'upstream'] }), branch);
+    assert.strictEqual(tag.plain, '[origin upstream\u21911\u21933] ');
+    assert.strictEqual(stripAnsi(tag.colored), tag.plain);
+  });
+
+  it('should be empty when only one remote is monitored', () => {
+    const tag = formatRemoteTag(makeState({ monitoredRemotes: ['origin'] }), branch);
+    assert.strictEqual(tag.plain, '');
+    assert.strictEqual(tag.colored, '');
+  });
+
+  it('should be empty for branches without remote info', () => {
+    const tag = formatRemoteTag(makeState({ monitoredRemotes: ['origin', 'upstream'] }), { name: 'local-only' });
+    assert.strictEqual(tag.plain, '');
+  });
+
+  it('should appear on the branch detail line in renderBranchList', () => {
+    const { text } = collectState(renderBranchList, {
+      monitoredRemotes: ['origin', 'upstream'],
+      branches: [{ ...branch, date: new Date(), commit: 'abc1234', subject: 'Fork work' }],
+    });
+    assert.ok(text.includes('[origin upstream\u21911\u21933]'), 'Expected remote tag');
+    assert.ok(text.includes('Fork work'), 'Expected subject after the tag');
+  });
+});
+
+describe('formatRuleTag', () => {
+  it('should be empty for branches without rules', () => {
+    assert.deepStrictEqual(formatRuleTag({ name: 'feature/x' }), { plain: '', colored: '' });
+  });
+
+  it('should list pinned and muted flags', () => {
+    const tag = formatRuleTag({ name: 'main', isPinned: true, isMuted: true });
+    assert.strictEqual(tag.plain, '[pinned muted] ');
+    assert.strictEqual(stripAnsi(tag.colored), tag.plain);
+  });
+
+  it('should appear on the branch detail line in renderBranchList', () => {
+    const { text } = collectState(renderBranchList, {
+      branches: [{ name: 'main', isPinned: true, date: new Date(), commit: 'abc1234', subject: 'Release prep' }],
+    });
+    assert.ok(text.includes('[pinned] Release prep'), 'Expected pinned tag before the subject');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // renderActivityLog
 // ---------------------------------------------------------------------------
@@ -445,7 +545,7 @@ describe('renderFooter', () => {
 
   it('should hide server keys when noServer is true', () => {
     const { text } = collectState(renderFooter, { noServer: true });
-    assert.ok(!text.includes('Logs'), 'Should not show Logs when noServer');
+    assert.ok(text.includes('Logs'), 'Logs (activity and history) stay available when noServer');
     assert.ok(!text.includes('Open'), 'Should not show Open when noServer');
   });
 
@@ -673,6 +773,20 @@ describe('renderPreview', () => {
     assert.ok(text.includes('and 3 more'), 'Expected overflow count');
   });
 
+  it('should keep the selected file in view', () => {
+    const files = Array.from({ length: 8 }, (_, i) => `src/file${i}.js`);
+    const { text } = collectState(renderPreview, {
+      previewMode: true,
+      previewData: { commits: [], filesChanged: files },
+      previewFileIndex: 7,
+      branches: [{ name: 'branch', date: new Date(), commit: 'abc', subject: 'S' }],
+      selectedIndex: 0,
+    });
+    assert.ok(text.includes('src/file7.js'), 'Expected selected file to be visible');
+    assert.ok(!text.includes('src/file0.js'), 'Expected window to scroll past the first file');
+    assert.ok(text.includes('[Enter] Diff'), 'Expected diff hint');
+  });
+
   it('should show branch name in preview title', () => {
     const { text } = collectState(renderPreview, {
       previewMode: true,
@@ -742,6 +856,105 @@ describe('renderHistory', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// renderWorktrees
+// ---------------------------------------------------------------------------
+
+describe('renderWorktrees', () => {
+  const worktrees = [
+    { path: '/repo', branch: 'main', head: 'a'.repeat(40), isMain: true, isCurrent: true, locked: false, prunable: false },
+    { path: '/repo.worktrees/feature/x', branch: 'feature/x', head: 'b'.repeat(40), isMain: false, isCurrent: false, locked: true, prunable: false },
+    { path: '/repo.worktrees/gone', branch: null, head: 'c'.repeat(40), isMain: false, isCurrent: false, locked: false, prunable: true },
+  ];
+
+  it('should list worktrees with their tags and paths', () => {
+    const { text } = collectState(renderWorktrees, { worktreeMode: true, worktrees, worktreeSelectedIndex: 0 });
+    assert.ok(text.includes('Worktrees'));
+    assert.ok(text.includes('[main]'));
+    assert.ok(text.includes('feature/x'));
+    assert.ok(text.includes('[locked]'));
+    assert.ok(text.includes('(detached ccccccc)'));
+    assert.ok(text.includes('[missing]'));
+    assert.ok(text.includes('/repo.worktrees/feature/x'));
+  });
+
+  it('should say where the dev server runs from', () => {
+    const { text } = collectState(renderWorktrees, {
+      worktreeMode: true, worktrees, worktreeSelectedIndex: 1,
+      serverMode: 'command', serverWorktree: { path: '/repo.worktrees/feature/x', branch: 'feature/x' },
+    });
+    assert.ok(text.includes('Dev server runs from: feature/x'));
+    assert.ok(text.includes('[Enter] Serve from here'));
+  });
+
+  it('should omit the serve hint without a dev server', () => {
+    const { text } = collectState(renderWorktrees, {
+      worktreeMode: true, worktrees, worktreeSelectedIndex: 0, serverMode: 'none',
+    });
+    assert.ok(text.includes('No dev server configured'));
+    assert.ok(!text.includes('Serve from here'));
+  });
+
+  it('should draw nothing when closed', () => {
+    const { text } = collectState(renderWorktrees, { worktreeMode: false, worktrees });
+    assert.strictEqual(text, '');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// renderDigest
+// ---------------------------------------------------------------------------
+
+describe('renderDigest', () => {
+  const entries = [
+    { name: 'agent/new', status: 'created', commit: 'a', previousCommit: null, subject: 'Add thing', commits: 1, stats: { added: 10, deleted: 0 } },
+    { name: 'agent/fix', status: 'updated', commit: 'b', previousCommit: 'c', subject: 'Fix it', commits: 3, stats: { added: 4, deleted: 2 } },
+    { name: 'agent/done', status: 'merged', commit: 'd', previousCommit: 'd', subject: '', commits: 2, stats: null },
+    { name: 'old', status: 'deleted', commit: 'e', previousCommit: 'e', subject: '', commits: null, stats: null },
+  ];
+  const digest = { since: Date.now() - 3 * 3600 * 1000, entries, snapshot: {} };
+
+  it('should list each change with its tag, counts and subject', () => {
+    const { text } = collectState(renderDigest, { digestMode: true, digest, digestScrollOffset: 0 });
+    assert.ok(text.includes('Since you last looked'));
+    assert.ok(text.includes('Since 3h ago: 1 new, 1 updated, 1 merged, 1 deleted'));
+    assert.ok(/NEW agent\/new/.test(text));
+    assert.ok(text.includes('1 commit '));
+    assert.ok(text.includes('+10 -0'));
+    assert.ok(text.includes('3 commits'));
+    assert.ok(text.includes('Fix it'));
+    assert.ok(/MRG agent\/done/.test(text));
+    assert.ok(/DEL old/.test(text));
+    assert.ok(text.includes('[Enter] Mark as seen'));
+  });
+
+  it('should show a loading state while the digest is computed', () => {
+    const { text } = collectState(renderDigest, { digestMode: true, digest: null });
+    assert.ok(text.includes('Comparing branches...'));
+    assert.ok(!text.includes('Mark as seen'));
+  });
+
+  it('should say when nothing changed', () => {
+    assert.strictEqual(formatDigestSummary({ since: null, entries: [], snapshot: {} }), 'Since your last visit: nothing changed');
+  });
+
+  it('should scroll when entries outnumber the rows', () => {
+    const many = Array.from({ length: 30 }, (_, i) => ({ ...entries[1], name: `branch-${String(i).padStart(2, '0')}` }));
+    const state = { terminalWidth: 120, terminalHeight: 20, digestMode: true, digest: { since: 1, entries: many }, digestScrollOffset: 5 };
+    const { contentHeight } = getDigestLayout(state);
+    assert.strictEqual(contentHeight, 10);
+    const { text } = collectState(renderDigest, state);
+    assert.ok(text.includes('branch-05'));
+    assert.ok(!text.includes('branch-04'));
+    assert.ok(text.includes('6-15/30'));
+  });
+
+  it('should draw nothing when closed', () => {
+    const { text } = collectState(renderDigest, { digestMode: false, digest });
+    assert.strictEqual(text, '');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // renderLogView
 // ---------------------------------------------------------------------------
@@ -799,6 +1012,17 @@ describe('renderLogView', () => {
     assert.ok(text.includes('CRASHED'), 'Expected CRASHED status');
   });
 
+  it('should show the health status when a check is configured', () => {
+    const { text } = collectState(renderLogView, {
+      logViewMode: true,
+      logViewTab: 'server',
+      serverMode: 'command',
+      serverRunning: true,
+      serverStatus: 'ready',
+    });
+    assert.ok(text.includes('READY'), 'Expected READY status');
+  });
+
   it('should show STOPPED status for stopped server', () => {
     const { text } = collectState(renderLogView, {
       logViewMode: true,
@@ -819,6 +1043,43 @@ describe('renderLogView', () => {
     assert.ok(text.includes('STATIC'), 'Expected STATIC indicator');
   });
 
+  it('should show a sub-tab per process and tag interleaved lines', () => {
+    const { text } = collectState(renderLogView, {
+      logViewMode: true,
+      logViewTab: 'server',
+      serverMode: 'command',
+      serverRunning: true,
+      serverProcesses: [{ name: 'web', running: true, crashed: false }, { name: 'api', running: false, crashed: true }],
+      serverLogBuffer: [
+        { line: 'ready on 3000', isError: false, process: 'web' },
+        { line: 'EADDRINUSE', isError: true, process: 'api' },
+      ],
+    });
+    assert.ok(text.includes(' All '), 'Expected the all-processes sub-tab');
+    assert.ok(text.includes('web \u25CF'), 'Expected the running web process');
+    assert.ok(text.includes('api \u2717'), 'Expected the crashed api process');
+    assert.ok(text.includes('1/2 RUNNING'), 'Expected the running count');
+    assert.ok(text.includes('api EADDRINUSE'), 'Expected lines tagged with their process');
+    assert.ok(text.includes('Process'), 'Expected the process switching hint');
+  });
+
+  it('should narrow the server tab to one process', () => {
+    const { text } = collectState(renderLogView, {
+      logViewMode: true,
+      logViewTab: 'server',
+      serverMode: 'command',
+      logViewServer: 'api',
+      serverProcesses: [{ name: 'web', running: true, crashed: false }, { name: 'api', running: false, crashed: true }],
+      serverLogBuffer: [
+        { line: 'ready on 3000', isError: false, process: 'web' },
+        { line: 'EADDRINUSE', isError: true, process: 'api' },
+      ],
+    });
+    assert.ok(text.includes('CRASHED'), 'Expected the shown process status');
+    assert.ok(text.includes('EADDRINUSE'));
+    assert.ok(!text.includes('ready on 3000'), 'Expected other processes left out');
+  });
+
   it('should show server log entries', () => {
     const { text } = collectState(renderLogView, {
       logViewMode: true,
@@ -844,6 +1105,39 @@ describe('renderLogView', () => {
     assert.ok(text.includes('Fetched successfully'), 'Expected activity message');
   });
 
+  it('should show the history tab with its day filter', () => {
+    const { text } = collectState(renderLogView, {
+      logViewMode: true,
+      logViewTab: 'history',
+      journalDay: '2026-10-18',
+      journalEntries: [
+        { time: new Date(2026, 9, 18, 23, 41, 5).getTime(), kind: 'switch', from: 'main', to: 'feature/x' },
+        { time: new Date(2026, 9, 18, 23, 40, 0).getTime(), kind: 'log', type: 'update', message: 'New commits on agent/fix' },
+      ],
+    });
+    assert.ok(text.includes('3:History'), 'Expected History tab');
+    assert.ok(text.includes('[2026-10-18]'), 'Expected day filter');
+    assert.ok(text.includes('[10-18 23:41:05]'), 'Expected dated timestamp');
+    assert.ok(text.includes('Switched main \u2192 feature/x'), 'Expected switch entry');
+    assert.ok(text.includes('New commits on agent/fix'), 'Expected log entry');
+    assert.ok(text.includes('Day'), 'Expected day navigation hint');
+  });
+
+  it('should show loading and empty states for the history tab', () => {
+    const loading = collectState(renderLogView, { logViewMode: true, logViewTab: 'history', journalEntries: null });
+    assert.ok(loading.text.includes('Loading history...'));
+    const empty = collectState(renderLogView, {
+      logViewMode: true, logViewTab: 'history', journalDay: '2026-10-01', journalEntries: [],
+    });
+    assert.ok(empty.text.includes('Nothing recorded on 2026-10-01'));
+  });
+
+  it('should hide the server tab when noServer is true', () => {
+    const { text } = collectState(renderLogView, { logViewMode: true, logViewTab: 'activity', noServer: true });
+    assert.ok(!text.includes('2:Server'), 'Should not show Server tab');
+    assert.ok(text.includes('3:History'), 'Expected History tab');
+  });
+
   it('should show close instructions', () => {
     const { text } = collectState(renderLogView, { logViewMode: true });
     assert.ok(text.includes('Switch Tab'), 'Expected tab switch hint');
@@ -1101,6 +1395,44 @@ describe('renderActionModal', () => {
     assert.ok(text.includes('Merge PR'), 'Expected Merge action');
   });
 
+  it('should show the configured merge method and the PR actions', () => {
+    const { text } = collectState(renderActionModal, {
+      actionMode: true,
+      actionData: makeActionData({
+        mergeMethod: 'rebase',
+        prInfo: { number: 10, title: 'A PR', state: 'OPEN', draft: true },
+      }),
+    });
+    assert.ok(text.includes('Merge PR (rebase, [M] other)'), 'Expected merge method');
+    assert.ok(text.includes('Enable auto-merge'), 'Expected auto-merge action');
+    assert.ok(text.includes('Mark ready for review'), 'Expected ready action for a draft');
+    assert.ok(text.includes('Request review'), 'Expected request review action');
+    assert.ok(text.includes('Add label'), 'Expected add label action');
+    assert.ok(text.includes('Close PR'), 'Expected close action');
+    assert.ok(text.includes('draft'), 'Expected draft badge');
+  });
+
+  it('should render the merge method prompt', () => {
+    const { text } = collectState(renderActionModal, {
+      actionMode: true,
+      actionPrompt: { kind: 'merge', input: '', selectedIndex: 1 },
+      actionData: makeActionData({ prInfo: { number: 10, title: 'A PR', state: 'OPEN' } }),
+    });
+    assert.ok(text.includes('Merge PR #10 with:'), 'Expected prompt title');
+    assert.ok(text.includes('> merge'), 'Expected selected method');
+    assert.ok(text.includes('[Enter] Confirm'), 'Expected prompt footer');
+  });
+
+  it('should render text prompts with the typed input', () => {
+    const { text } = collectState(renderActionModal, {
+      actionMode: true,
+      actionPrompt: { kind: 'request-review', input: 'ann,bo', selectedIndex: 0 },
+      actionData: makeActionData({ prInfo: { number: 10, title: 'A PR', state: 'OPEN' } }),
+    });
+    assert.ok(text.includes('Reviewers (comma-separated):'), 'Expected prompt title');
+    assert.ok(text.includes('ann,bo'), 'Expected typed input');
+  });
+
   it('should show reason when gh CLI is not installed', () => {
     const { text } = collectState(renderActionModal, {
       actionMode: true,
@@ -1127,6 +1459,22 @@ describe('renderActionModal', () => {
     assert.ok(text.includes('Create MR'), 'Expected MR label instead of PR');
   });
 
+  it('should read PRs over the API on Gitea without offering gh actions', () => {
+    const { text } = collectState(renderActionModal, {
+      actionMode: true,
+      actionData: makeActionData({
+        platform: 'gitea',
+        apiReady: true,
+        webUrl: 'https://codeberg.org/user/repo/src/branch/feature%2Ftest',
+        prInfo: { number: 4, title: 'Port', state: 'OPEN', approved: true },
+      }),
+    });
+    assert.ok(text.includes('Open branch on Gitea'), 'Expected Gitea label');
+    assert.ok(text.includes('PR #4'), 'Expected PR status from the API');
+    assert.ok(text.includes('Not supported on Gitea'), 'Expected approve/merge to be unsupported');
+    assert.ok(!text.includes('gh auth login'), 'Expected no gh setup hints');
+  });
+
   it('should show close instruction', () => {
     const { text } = collectState(renderActionModal, {
       actionMode: true,
@@ -1197,12 +1545,167 @@ describe('renderActionModal', () => {
     });
     assert.ok(text.includes('No PR for this branch'), 'Expected no-PR message');
   });
+
+  it('should list CI checks with status and duration', () => {
+    const { text } = collectState(renderActionModal, {
+      actionMode: true,
+      actionData: makeActionData({
+        prInfo: { number: 7, title: 'PR', state: 'OPEN' },
+        checks: [
+          { id: '1', name: 'CI / lint', status: 'pass', durationMs: 30000, url: null },
+          { id: '2', name: 'CI / test', status: 'fail', durationMs: 125000, url: null },
+        ],
+      }),
+    });
+    assert.ok(/\u2717 CI \/ test\s+2m 5s/.test(text), 'Expected failing check with duration');
+    assert.ok(/\u2713 CI \/ lint\s+30s/.test(text), 'Expected passing check');
+    assert.ok(text.indexOf('CI / test') < text.indexOf('CI / lint'), 'Expected failures first');
+    assert.ok(!/\[L\] View failing CI log\s+No failing jobs/.test(text));
+  });
+
+  it('should explain when there is no failing job log', () => {
+    const { text } = collectState(renderActionModal, {
+      actionMode: true,
+      actionData: makeActionData({
+        checks: [{ id: '1', name: 'build', status: 'pass', durationMs: null, url: null }],
+      }),
+    });
+    assert.ok(text.includes('[L] View failing CI log  No failing jobs'));
+  });
+});
+
+describe('formatCheckLines', () => {
+  it('should collapse checks past the limit', () => {
+    const checks = Array.from({ length: 9 }, (_, i) => ({ id: null, name: `job-${i}`, status: 'pass', durationMs: null, url: null }));
+    const lines = formatCheckLines(checks, 6, 40).map(stripAnsi);
+    assert.strictEqual(lines.length, 6);
+    assert.ok(lines[5].includes('+4 more'));
+  });
+
+  it('should mark running checks', () => {
+    const [line] = formatCheckLines([{ id: null, name: 'e2e', status: 'pending', durationMs: null, url: null }], 6, 40).map(stripAnsi);
+    assert.ok(line.endsWith('running'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// renderCiLog
+// ---------------------------------------------------------------------------
+
+describe('renderCiLog', () => {
+  const ciLog = { jobId: '9', name: 'CI / test', url: 'https://example.test/job/9', lines: null, error: null };
+
+  it('should show a loading state while the log is fetched', () => {
+    const { text } = collectState(renderCiLog, { ciLogMode: true, ciLog });
+    assert.ok(text.includes('CI / test'));
+    assert.ok(text.includes('Fetching log...'));
+    assert.ok(text.includes('[o] Open in browser'));
+  });
+
+  it('should show the visible slice of the log', () => {
+    const lines = Array.from({ length: 40 }, (_, i) => `log line ${String(i).padStart(2, '0')}`);
+    const state = { terminalHeight: 24, ciLogMode: true, ciLog: { ...ciLog, lines }, ciLogScrollOffset: 25 };
+    const { contentHeight } = getCiLogLayout(makeState(state));
+    assert.strictEqual(contentHeight, 15);
+    const { text } = collectState(renderCiLog, state);
+    assert.ok(text.includes('log line 25'));
+    assert.ok(text.includes('log line 39'));
+    assert.ok(!text.includes('log line 24'));
+    assert.ok(text.includes('26-40/40'));
+  });
+
+  it('should show fetch errors', () => {
+    const { text } = collectState(renderCiLog, { ciLogMode: true, ciLog: { ...ciLog, lines: [], error: 'HTTP 404' } });
+    assert.ok(text.includes('HTTP 404'));
+  });
+
+  it('should draw nothing when closed', () => {
+    const { text } = collectState(renderCiLog, { ciLogMode: false, ciLog });
+    assert.strictEqual(text, '');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// renderPrForm
+// ---------------------------------------------------------------------------
+
+describe('renderPrForm', () => {
+  const prForm = {
+    branch: 'feature/login', title: 'Add login', body: '- First\n- Second', base: 'main',
+    draft: true, reviewers: '', field: 'title', loading: false, submitting: false, error: null,
+  };
+
+  it('should show every field of the form', () => {
+    const { text } = collectState(renderPrForm, { prFormMode: true, prForm });
+    assert.ok(text.includes('Create PR: feature/login'));
+    assert.ok(text.includes('> Title'));
+    assert.ok(text.includes('Add login'));
+    assert.ok(text.includes('- Second'));
+    assert.ok(text.includes('main'));
+    assert.ok(text.includes('[x]'));
+    assert.ok(text.includes('comma-separated usernames'));
+    assert.ok(text.includes('[ Create PR ]'));
+  });
+
+  it('should label GitLab merge requests', () => {
+    const { text } = collectState(renderPrForm, {
+      prFormMode: true, prForm, actionData: { platform: 'gitlab' },
+    });
+    assert.ok(text.includes('Create MR: feature/login'));
+  });
+
+  it('should show loading, submitting and error states', () => {
+    assert.ok(collectState(renderPrForm, { prFormMode: true, prForm: { ...prForm, loading: true } }).text.includes('Reading commits...'));
+    assert.ok(collectState(renderPrForm, { prFormMode: true, prForm: { ...prForm, submitting: true } }).text.includes('Creating PR...'));
+    assert.ok(collectState(renderPrForm, { prFormMode: true, prForm: { ...prForm, error: 'base not found' } }).text.includes('base not found'));
+  });
+
+  it('should draw nothing when closed', () => {
+    const { text } = collectState(renderPrForm, { prFormMode: false, prForm: null });
+    assert.strictEqual(text, '');
+  });
 });
 
 // ---------------------------------------------------------------------------
 // renderUpdateModal
 // ---------------------------------------------------------------------------
 
+describe('renderInstallConfirm', () => {
+  const installState = {
+    installConfirmMode: true,
+    installConfirmSelectedIndex: 0,
+    pendingInstall: {
+      id: 1,
+      trigger: 'switch',
+      installs: [
+        { lockfiles: ['package-lock.json'], dir: '', command: 'npm install' },
+        { lockfiles: ['web/yarn.lock'], dir: 'web', command: 'yarn install' },
+      ],
+    },
+  };
+
+  it('renders nothing when installConfirmMode is false', () => {
+    const { raw } = collectState(renderInstallConfirm, { ...installState, installConfirmMode: false });
+    assert.strictEqual(raw, '');
+  });
+
+  it('names the changed lockfiles and the commands to run', () => {
+    const { text } = collectState(renderInstallConfirm, installState);
+    assert.ok(text.includes('Dependencies Changed'));
+    assert.ok(text.includes('package-lock.json, web/yarn.lock changed with this'));
+    assert.ok(text.includes('switch. Run:'));
+    assert.ok(text.includes('npm install'));
+    assert.ok(text.includes('yarn install (in web)'));
+    assert.ok(text.includes('[Y] Install  [Esc] Skip'));
+  });
+
+  it('marks the selected option', () => {
+    const { text } = collectState(renderInstallConfirm, { ...installState, installConfirmSelectedIndex: 1 });
+    assert.ok(text.includes('\u25b8 Skip'));
+    assert.ok(!text.includes('\u25b8 Install now'));
+  });
+});
+
 describe('renderDivergeConfirm', () => {
   const divergeState = {
     divergeConfirmMode: true,
@@ -1387,6 +1890,48 @@ describe('renderUpdateModal', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// underlineMatches
+// ---------------------------------------------------------------------------
+
+describe('formatAuthorTag', () => {
+  it('shows the agent in brackets ahead of the author', () => {
+    const tag = formatAuthorTag({ agent: 'claude', author: 'Ann Lee' });
+    assert.strictEqual(tag.plain, '[claude] ');
+    assert.strictEqual(stripAnsi(tag.colored), tag.plain);
+  });
+
+  it('falls back to a truncated author name, or nothing', () => {
+    assert.strictEqual(formatAuthorTag({ author: 'Ann Lee' }).plain, 'Ann Lee: ');
+    assert.ok(formatAuthorTag({ author: 'A very long author name' }).plain.length <= 18);
+    assert.deepStrictEqual(formatAuthorTag({}), { plain: '', colored: '' });
+  });
+});
+
+describe('underlineMatches', () => {
+  it('underlines runs of matched characters', () => {
+    assert.strictEqual(
+      underlineMatches('fix-login', 'fix-login', [0, 4, 5]),
+      ansi.underline + 'f' + ansi.resetUnderline + 'ix-' + ansi.underline + 'lo' + ansi.resetUnderline + 'gin'
+    );
+  });
+
+  it('leaves the name alone without matches', () => {
+    assert.strictEqual(underlineMatches('main', 'main', []), 'main');
+    assert.strictEqual(underlineMatches('main', 'main', null), 'main');
+  });
+
+  it('marks only the part of a truncated name that is shown', () => {
+    const long = 'feature/very-long-branch-name';
+    const display = truncate(long, 10);
+    // Index 20 is past the ellipsis
+    assert.strictEqual(
+      underlineMatches(display, long, [0, 20]),
+      ansi.underline + 'f' + ansi.resetUnderline + display.slice(1)
+    );
+  });
+});
+
 // ---------------------------------------------------------------------------
 // computeNamePadding
 // ---------------------------------------------------------------------------
@@ -1441,3 +1986,64 @@ describe('computeNamePadding', () => {
     assert.strictEqual(computeNamePadding('a'.repeat(50), 10), 1);
   });
 });
+
+// ---------------------------------------------------------------------------
+// renderDiffView
+// ---------------------------------------------------------------------------
+
+describe('renderDiffView', () => {
+  const file = {
+    path: 'src/app.js',
+    oldPath: null,
+    status: 'modified',
+    binary: false,
+    added: 1,
+    deleted: 1,
+    hunkStarts: [0],
+    lines: [
+      { type: 'hunk', text: '@@ -1,2 +1,2 @@', oldLine: null, newLine: null },
+      { type: 'del', text: 'old\x1b[2Jline', oldLine: 1, newLine: null },
+      { type: 'add', text: '\tnew line', oldLine: null, newLine: 1 },
+    ],
+  };
+  const diffState = (overrides) => ({
+    diffViewMode: true,
+    previewData: { branch: 'feature/x', commits: [], filesChanged: ['src/app.js'] },
+    diffFiles: [file],
+    diffFileIndex: 0,
+    diffScrollOffset: 0,
+    diffError: null,
+    ...overrides,
+  });
+
+  it('should do nothing when the viewer is closed', () => {
+    const output = [];
+    renderDiffView(makeState({ diffViewMode: false }), (s) => output.push(s));
+    assert.strictEqual(output.length, 0);
+  });
+
+  it('should show the file, stat summary and colorized lines', () => {
+    const { raw, text } = collectState(renderDiffView, diffState());
+    assert.ok(text.includes('feature/x'), 'Expected branch in title');
+    assert.ok(text.includes('src/app.js'), 'Expected file path');
+    assert.ok(text.includes('file 1/1'), 'Expected file position');
+    assert.ok(text.includes('hunk 1/1'), 'Expected hunk position');
+    assert.ok(text.includes('+     new line'), 'Expected added line with expanded tab');
+    assert.ok(raw.includes(ansi.green), 'Expected green for additions');
+    assert.ok(raw.includes(ansi.red), 'Expected red for deletions');
+  });
+
+  it('should strip escape sequences from file content', () => {
+    const { raw } = collectState(renderDiffView, diffState());
+    assert.ok(!raw.includes('\x1b[2J'), 'Screen-clear from the diff must not reach the terminal');
+  });
+
+  it('should show load errors', () => {
+    const { text } = collectState(renderDiffView, diffState({ diffFiles: null, diffError: 'Could not load diff: boom' }));
+    assert.ok(text.includes('Could not load diff: boom'));
+  });
+
+  it('should size the page from the terminal height', () => {
+    assert.strictEqual(getDiffViewLayout({ terminalWidth: 100, terminalHeight: 40 }).contentHeight, 33);
+  });
+});
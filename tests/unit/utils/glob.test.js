@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, matchesGlob, matchesAnyGlob } = require('../../../src/utils/glob');
+
+describe('matchesGlob', () => {
+  it('should match literal names exactly', () => {
+    assert.equal(matchesGlob('main', 'main'), true);
+    assert.equal(matchesGlob('main2', 'main'), false);
+    assert.equal(matchesGlob('my-main', 'main'), false);
+  });
+
+  it('should keep * within a single segment', () => {
+    assert.equal(matchesGlob('feature/login', 'feature/*'), true);
+    assert.equal(matchesGlob('feature/auth/login', 'feature/*'), false);
+    assert.equal(matchesGlob('release-1.2', 'release-*'), true);
+  });
+
+  it('should let ** cross segments', () => {
+    assert.equal(matchesGlob('claude/fix/deep/path', 'claude/**'), true);
+    assert.equal(matchesGlob('anything/at/all', '**'), true);
+    assert.equal(matchesGlob('team/a/b/wip', '**/wip'), true);
+  });
+
+  it('should let **/ match zero segments', () => {
+    assert.equal(matchesGlob('a/b', 'a/**/b'), true);
+    assert.equal(matchesGlob('a/x/y/b', 'a/**/b'), true);
+    assert.equal(matchesGlob('wip', '**/wip'), true);
+  });
+
+  it('should match ? against one non-slash character', () => {
+    assert.equal(matchesGlob('v1', 'v?'), true);
+    assert.equal(matchesGlob('v10', 'v?'), false);
+    assert.equal(matchesGlob('a/b', 'a?b'), false);
+  });
+
+  it('should treat regex metacharacters literally', () => {
+    assert.equal(matchesGlob('release-1.2', 'release-1.2'), true);
+    assert.equal(matchesGlob('release-1x2', 'release-1.2'), false);
+    assert.equal(matchesGlob('fix(ui)', 'fix(ui)'), true);
+    assert.equal(matchesGlob('a+b', 'a+b'), true);
+  });
+});
+
+describe('matchesAnyGlob', () => {
+  it('should return true when any pattern matches', () => {
+    assert.equal(matchesAnyGlob('dependabot/npm/x', ['main', 'dependabot/**']), true);
+  });
+
+  it('should return false for an empty pattern list', () => {
+    assert.equal(matchesAnyGlob('main', []), false);
+  });
+});
+
+describe('globToRegExp', () => {
+  it('should return the same compiled RegExp for repeated patterns', () => {
+    assert.equal(globToRegExp('feature/*'), globToRegExp('feature/*'));
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('sendDesktopNotification', () => {
+  let originalPlatform;
+  let execCalls;
+  let failAll;
+
+  beforeEach(() => {
+    originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform');
+    execCalls = [];
+    failAll = false;
+  });
+
+  afterEach(() => {
+    if (originalPlatform) {
+      Object.defineProperty(process, 'platform', originalPlatform);
+    }
+  });
+
+  // Reloads notify.js (and the sound.js cascade it borrows) with a mocked
+  // execFile. The mock only invokes the callback when failAll is set, so by
+  // default the cascade stops at its first attempt.
+  function loadModuleWithMockedExec() {
+    delete require.cache[require.resolve('../../../src/utils/notify')];
+    delete require.cache[require.resolve('../../../src/utils/sound')];
+    const cp = require('child_process');
+    const originalExecFile = cp.execFile;
+    cp.execFile = (cmd, args, opts, cb) => {
+      execCalls.push({ cmd, args, opts });
+      if (failAll) cb(new Error('ENOENT'));
+    };
+
+    const mod = require('../../../src/utils/notify');
+
+    cp.execFile = originalExecFile;
+    return mod;
+  }
+
+  it('should use notify-send on Linux with title and body as argv', () => {
+    Object.defineProperty(process, 'platform', { value: 'linux', configurable: true });
+    const { sendDesktopNotification } = loadModuleWithMockedExec();
+    sendDesktopNotification({ title: 'Updated: feature/x', body: '- fix $(rm -rf)', urgency: 'critical' });
+    assert.equal(execCalls.length, 1);
+    assert.equal(execCalls[0].cmd, 'notify-send');
+    assert.ok(execCalls[0].args.includes('--urgency=critical'));
+    assert.deepEqual(execCalls[0].args.slice(-3), ['--', 'Updated: feature/x', '- fix $(rm -rf)']);
+  });
+
+  it('should fall back to gdbus, then report unavailable', () => {
+    Object.defineProperty(process, 'platform', { value: 'linux', configurable: true });
+    failAll = true;
+    const { sendDesktopNotification } = loadModuleWithMockedExec();
+    let unavailable = 0;
+    sendDesktopNotification({ title: "it's", body: 'b' }, { onUnavailable: () => { unavailable++; } });
+    assert.deepEqual(execCalls.map(c => c.cmd), ['notify-send', 'gdbus']);
+    assert.ok(execCalls[1].args.includes("'it\\'s'"));
+    assert.equal(unavailable, 1);
+  });
+
+  it('should pass title and body to osascript as run arguments on macOS', () => {
+    Object.defineProperty(process, 'platform', { value: 'darwin', configurable: true });
+    const { sendDesktopNotification } = loadModuleWithMockedExec();
+    sendDesktopNotification({ title: 'say "hi"', body: 'b' }, { cwd: '/tmp/test' });
+    assert.equal(execCalls[0].cmd, 'osascript');
+    assert.deepEqual(execCalls[0].args.slice(-2), ['say "hi"', 'b']);
+    assert.equal(execCalls[0].opts.cwd, '/tmp/test');
+  });
+
+  it('should report unavailable on other platforms', () => {
+    Object.defineProperty(process, 'platform', { value: 'win32', configurable: true });
+    const { sendDesktopNotification } = loadModuleWithMockedExec();
+    let unavailable = 0;
+    sendDesktopNotification({ title: 't' }, { onUnavailable: () => { unavailable++; } });
+    assert.equal(execCalls.length, 0);
+    assert.equal(unavailable, 1);
+  });
+});
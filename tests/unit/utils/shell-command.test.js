@@ -0,0 +1,80 @@
+/**
+ * Tests for running shell commands in their own process group.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runShellCommand } = require('../../../src/utils/shell-command');
+
+const unixOnly = { skip: process.platform === 'win32' };
+
+describe('runShellCommand', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-watchtower-shell-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('passes input on stdin and output back through onOutput', async () => {
+    const output = [];
+    await runShellCommand('node -e "process.stdin.pipe(process.stdout)"', {
+      cwd: dir,
+      env: process.env,
+      timeout: 5000,
+      input: 'hello\n',
+      onOutput: (text, isError) => output.push({ text, isError }),
+    });
+    assert.deepEqual(output, [{ text: 'hello\n', isError: false }]);
+  });
+
+  it('rejects with the exit status on failure', async () => {
+    await assert.rejects(
+      runShellCommand('exit 3', { cwd: dir, env: process.env, timeout: 5000 }),
+      (err) => err.message === 'exited with code 3' && err.exitCode === 3
+    );
+  });
+
+  it('stops the whole group on timeout and settles only once it has exited', unixOnly, async () => {
+    const late = path.join(dir, 'late.txt');
+    const child = `node -e "setTimeout(() => require('fs').writeFileSync(process.argv[1], 'late'), 1000)" ${JSON.stringify(late)}`;
+    await assert.rejects(
+      runShellCommand(`${child} && true`, { cwd: dir, env: process.env, timeout: 200 }),
+      (err) => err.code === 'ETIMEDOUT' && /timed out/.test(err.message)
+    );
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    assert.equal(fs.existsSync(late), false);
+  });
+
+  it('escalates to SIGKILL when the group ignores SIGTERM', unixOnly, async () => {
+    const late = path.join(dir, 'survived.txt');
+    const command = `node -e "process.on('SIGTERM', () => {}); setTimeout(() => require('fs').writeFileSync(process.argv[1], 'late'), 2000)" ${JSON.stringify(late)}`;
+    const started = Date.now();
+    await assert.rejects(
+      runShellCommand(command, { cwd: dir, env: process.env, timeout: 1000, killGraceMs: 300 }),
+      /timed out/
+    );
+    // Settled only after the grace period, once SIGKILL had ended it
+    assert.ok(Date.now() - started >= 1300);
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    assert.equal(fs.existsSync(late), false);
+  });
+
+  it('stops the group when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const run = runShellCommand('node -e "setTimeout(() => {}, 10000)"', {
+      cwd: dir,
+      env: process.env,
+      timeout: 10000,
+      signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(run, (err) => err.code === 'ABORT_ERR');
+  });
+});
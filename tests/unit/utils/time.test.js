@@ -1,6 +1,6 @@
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
-const { formatTimeAgo } = require('../../../src/utils/time');
+const { formatTimeAgo, formatElapsed, toDayKey, dayBounds, shiftDayKey } = require('../../../src/utils/time');
 
 describe('formatTimeAgo', () => {
   let realDateNow;
@@ -69,3 +69,41 @@ describe('formatTimeAgo', () => {
     assert.equal(formatTimeAgo(date), '100 days ago');
   });
 });
+
+describe('day keys', () => {
+  it('should format local calendar days', () => {
+    assert.equal(toDayKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+  });
+
+  it('should give the bounds of a local day', () => {
+    const bounds = dayBounds('2026-03-01');
+    assert.equal(bounds.since, new Date(2026, 2, 1).getTime());
+    assert.equal(bounds.until, new Date(2026, 2, 2).getTime());
+  });
+
+  it('should reject malformed or impossible days', () => {
+    assert.equal(dayBounds('yesterday'), null);
+    assert.equal(dayBounds('2026-02-30'), null);
+  });
+
+  it('should shift across month and year ends', () => {
+    assert.equal(shiftDayKey('2026-03-01', -1), '2026-02-28');
+    assert.equal(shiftDayKey('2026-12-31', 1), '2027-01-01');
+  });
+});
+
+describe('formatElapsed', () => {
+  it('should format seconds', () => {
+    assert.equal(formatElapsed(0), '0s');
+    assert.equal(formatElapsed(45400), '45s');
+  });
+
+  it('should format minutes with seconds', () => {
+    assert.equal(formatElapsed(125000), '2m 5s');
+    assert.equal(formatElapsed(180000), '3m');
+  });
+
+  it('should drop seconds past an hour', () => {
+    assert.equal(formatElapsed(3780000), '1h 3m');
+  });
+});